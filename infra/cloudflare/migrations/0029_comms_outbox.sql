@@ -0,0 +1,28 @@
+-- Participant email/SMS outbox. Messages are written here before the provider
+-- is called so deliveries and Communications Log entries can be retried.
+
+CREATE TABLE IF NOT EXISTS rops_comms_outbox (
+	id TEXT PRIMARY KEY,
+	participant_id TEXT NOT NULL,
+	session_id TEXT,
+	study_id TEXT,
+	channel TEXT NOT NULL,
+	template_id TEXT NOT NULL,
+	recipient TEXT NOT NULL,
+	personalisation_json TEXT NOT NULL DEFAULT '{}',
+	provider TEXT,
+	provider_message_id TEXT,
+	status TEXT NOT NULL DEFAULT 'queued',
+	attempts INTEGER NOT NULL DEFAULT 0,
+	next_attempt_at TEXT,
+	last_error TEXT,
+	log_status TEXT NOT NULL DEFAULT 'pending',
+	sent_at TEXT,
+	delivered_at TEXT,
+	created_at TEXT NOT NULL,
+	updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rops_comms_outbox_due ON rops_comms_outbox (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_rops_comms_outbox_participant ON rops_comms_outbox (participant_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_rops_comms_outbox_provider_message ON rops_comms_outbox (provider_message_id);
@@ -0,0 +1,45 @@
+-- Session confirmations, reminders and change notices. Studies opt in through
+-- rops_study_reminder_prefs; rops_session_calendar holds each session's ICS
+-- SEQUENCE and rops_session_reminders records what has been sent.
+
+ALTER TABLE rops_comms_outbox ADD COLUMN recipient_type TEXT NOT NULL DEFAULT 'participant';
+
+CREATE TABLE IF NOT EXISTS rops_study_reminder_prefs (
+	study_id TEXT PRIMARY KEY,
+	enabled INTEGER NOT NULL DEFAULT 0,
+	channel TEXT NOT NULL DEFAULT 'email',
+	confirmation INTEGER NOT NULL DEFAULT 1,
+	reminder_24h INTEGER NOT NULL DEFAULT 1,
+	reminder_1h INTEGER NOT NULL DEFAULT 1,
+	change_notices INTEGER NOT NULL DEFAULT 1,
+	notify_note_takers INTEGER NOT NULL DEFAULT 0,
+	templates_json TEXT,
+	created_at TEXT NOT NULL,
+	updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS rops_session_calendar (
+	session_id TEXT PRIMARY KEY,
+	study_id TEXT,
+	sequence INTEGER NOT NULL DEFAULT 0,
+	starts_at TEXT,
+	status TEXT,
+	updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS rops_session_reminders (
+	id TEXT PRIMARY KEY,
+	session_id TEXT NOT NULL,
+	study_id TEXT,
+	kind TEXT NOT NULL,
+	recipient_type TEXT NOT NULL,
+	recipient_id TEXT NOT NULL,
+	sequence INTEGER NOT NULL DEFAULT 0,
+	message_id TEXT,
+	status TEXT NOT NULL,
+	detail TEXT,
+	created_at TEXT NOT NULL,
+	UNIQUE (session_id, kind, recipient_type, recipient_id, sequence)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rops_session_reminders_session ON rops_session_reminders (session_id, kind);
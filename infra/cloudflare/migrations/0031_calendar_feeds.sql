@@ -0,0 +1,19 @@
+-- Tokenised iCalendar subscription feeds. Only a SHA-256 hash of each feed
+-- token is stored; revoking a feed sets revoked_at.
+
+CREATE TABLE IF NOT EXISTS rops_calendar_feeds (
+	id TEXT PRIMARY KEY,
+	token_hash TEXT NOT NULL UNIQUE,
+	scope TEXT NOT NULL,
+	study_id TEXT,
+	owner_user_id TEXT NOT NULL,
+	owner_email TEXT,
+	owner_name TEXT,
+	label TEXT,
+	created_at TEXT NOT NULL,
+	revoked_at TEXT,
+	last_used_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_rops_calendar_feeds_owner ON rops_calendar_feeds (owner_user_id, revoked_at);
+CREATE INDEX IF NOT EXISTS idx_rops_calendar_feeds_study ON rops_calendar_feeds (study_id, revoked_at);
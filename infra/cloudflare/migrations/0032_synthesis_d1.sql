@@ -0,0 +1,59 @@
+-- Synthesis clusters and themes move from one KV document per study to D1
+-- rows. Clusters carry a version for If-Match checks, and every change is
+-- snapshotted in rops_synthesis_history. Existing KV documents are imported
+-- by the Worker the first time each study is read, or all at once with
+-- POST /api/synthesis/import; rops_synthesis_imports records finished studies.
+
+CREATE TABLE IF NOT EXISTS rops_synthesis_clusters (
+	id TEXT PRIMARY KEY,
+	study_id TEXT NOT NULL,
+	project_id TEXT,
+	label TEXT NOT NULL,
+	description TEXT,
+	evidence_ids_json TEXT NOT NULL DEFAULT '[]',
+	status TEXT NOT NULL DEFAULT 'working',
+	version INTEGER NOT NULL DEFAULT 1,
+	created_at TEXT NOT NULL,
+	updated_at TEXT NOT NULL,
+	updated_by TEXT,
+	deleted_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_rops_synthesis_clusters_study ON rops_synthesis_clusters (study_id, deleted_at, created_at);
+
+CREATE TABLE IF NOT EXISTS rops_synthesis_themes (
+	id TEXT PRIMARY KEY,
+	study_id TEXT NOT NULL,
+	project_id TEXT,
+	label TEXT NOT NULL,
+	description TEXT,
+	evidence_ids_json TEXT NOT NULL DEFAULT '[]',
+	source_cluster_id TEXT,
+	status TEXT NOT NULL DEFAULT 'created',
+	created_at TEXT NOT NULL,
+	updated_at TEXT NOT NULL,
+	created_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_rops_synthesis_themes_study ON rops_synthesis_themes (study_id, created_at);
+
+CREATE TABLE IF NOT EXISTS rops_synthesis_history (
+	id TEXT PRIMARY KEY,
+	entity_type TEXT NOT NULL,
+	entity_id TEXT NOT NULL,
+	study_id TEXT NOT NULL,
+	version INTEGER NOT NULL,
+	action TEXT NOT NULL,
+	source_version INTEGER,
+	snapshot_json TEXT NOT NULL,
+	actor TEXT,
+	created_at TEXT NOT NULL,
+	UNIQUE (entity_type, entity_id, version)
+);
+
+CREATE TABLE IF NOT EXISTS rops_synthesis_imports (
+	study_id TEXT PRIMARY KEY,
+	imported_at TEXT NOT NULL,
+	clusters INTEGER NOT NULL DEFAULT 0,
+	themes INTEGER NOT NULL DEFAULT 0
+);
@@ -0,0 +1,22 @@
+-- Widget ids for synthesis affinity maps exported to Mural, one row per
+-- cluster area, evidence sticky and theme title, so re-exporting updates the
+-- board in place. x/y/width/height are where the export last put the widget.
+
+CREATE TABLE IF NOT EXISTS mural_synthesis_widgets (
+	mural_id TEXT NOT NULL,
+	study_id TEXT NOT NULL,
+	kind TEXT NOT NULL,
+	entity_key TEXT NOT NULL,
+	widget_id TEXT NOT NULL,
+	cluster_id TEXT,
+	evidence_id TEXT,
+	content TEXT,
+	x REAL,
+	y REAL,
+	width REAL,
+	height REAL,
+	synced_at TEXT NOT NULL,
+	PRIMARY KEY (mural_id, kind, entity_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_mural_synthesis_widgets_study ON mural_synthesis_widgets (study_id, synced_at);
@@ -0,0 +1,39 @@
+-- Stickies imported from Mural boards, one row per widget, so a sticky is
+-- never imported twice and every imported journal entry or synthesis evidence
+-- item can be traced back to the widget it came from.
+
+CREATE TABLE IF NOT EXISTS mural_widget_imports (
+	mural_id TEXT NOT NULL,
+	widget_id TEXT NOT NULL,
+	target TEXT NOT NULL,
+	project_id TEXT,
+	study_id TEXT,
+	record_id TEXT NOT NULL,
+	content TEXT,
+	tags_json TEXT NOT NULL DEFAULT '[]',
+	code_ids_json TEXT NOT NULL DEFAULT '[]',
+	imported_at TEXT NOT NULL,
+	imported_by TEXT,
+	PRIMARY KEY (mural_id, widget_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_mural_widget_imports_record ON mural_widget_imports (target, record_id);
+
+-- Synthesis evidence that did not come from a session note, such as stickies
+-- imported from Mural. source_json says where it came from.
+
+CREATE TABLE IF NOT EXISTS rops_synthesis_evidence (
+	id TEXT PRIMARY KEY,
+	study_id TEXT NOT NULL,
+	project_id TEXT,
+	content TEXT NOT NULL,
+	tags_json TEXT NOT NULL DEFAULT '[]',
+	code_ids_json TEXT NOT NULL DEFAULT '[]',
+	source_type TEXT NOT NULL,
+	source_label TEXT,
+	source_json TEXT NOT NULL DEFAULT '{}',
+	created_at TEXT NOT NULL,
+	created_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_rops_synthesis_evidence_study ON rops_synthesis_evidence (study_id, created_at);
@@ -0,0 +1,29 @@
+-- Full-text index behind GET /api/search. One row per journal entry, session
+-- note, memo, coded excerpt, code or published repository artefact. The
+-- index is rebuilt in full from those tables, so rows here are never edited
+-- in place. Only title, body and tags are searchable; the other columns carry
+-- what the facets and permission filtering need.
+
+CREATE VIRTUAL TABLE IF NOT EXISTS rops_search_index USING fts5(
+	title,
+	body,
+	tags,
+	doc_key UNINDEXED,
+	doc_type UNINDEXED,
+	record_id UNINDEXED,
+	project_id UNINDEXED,
+	study_id UNINDEXED,
+	code_ids UNINDEXED,
+	url UNINDEXED,
+	updated_at UNINDEXED,
+	tokenize = 'porter unicode61'
+);
+
+-- When the index was last rebuilt and how many documents of each type it holds.
+
+CREATE TABLE IF NOT EXISTS rops_search_index_state (
+	id TEXT PRIMARY KEY,
+	indexed_at TEXT NOT NULL,
+	document_count INTEGER NOT NULL DEFAULT 0,
+	counts_json TEXT NOT NULL DEFAULT '{}'
+);
@@ -0,0 +1,25 @@
+-- Blind double coding. A sample is a fixed set of journal entries that two
+-- researchers code independently; each coder's codes for an entry are one row
+-- in rops_double_coding_codings, kept apart from code_applications so neither
+-- coder sees the other's work. GET /api/analysis/agreement compares them.
+
+CREATE TABLE IF NOT EXISTS rops_double_coding_samples (
+	id TEXT PRIMARY KEY,
+	project_id TEXT NOT NULL,
+	name TEXT,
+	entry_ids_json TEXT NOT NULL DEFAULT '[]',
+	created_by TEXT,
+	created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rops_double_coding_samples_project ON rops_double_coding_samples (project_id, created_at);
+
+CREATE TABLE IF NOT EXISTS rops_double_coding_codings (
+	sample_id TEXT NOT NULL,
+	entry_id TEXT NOT NULL,
+	coder_id TEXT NOT NULL,
+	coder_name TEXT,
+	code_ids_json TEXT NOT NULL DEFAULT '[]',
+	coded_at TEXT NOT NULL,
+	PRIMARY KEY (sample_id, entry_id, coder_id)
+);
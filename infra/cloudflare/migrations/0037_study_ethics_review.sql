@@ -0,0 +1,60 @@
+CREATE TABLE IF NOT EXISTS rops_study_ethics_assessments (
+	study_id TEXT PRIMARY KEY,
+	project_id TEXT,
+	current_version INTEGER NOT NULL DEFAULT 1,
+	status TEXT NOT NULL DEFAULT 'draft',
+	status_changed_at TEXT NOT NULL,
+	status_changed_by TEXT,
+	created_at TEXT NOT NULL,
+	updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rops_study_ethics_assessments_status
+	ON rops_study_ethics_assessments (status, status_changed_at);
+
+CREATE TABLE IF NOT EXISTS rops_study_ethics_assessment_versions (
+	id TEXT PRIMARY KEY,
+	study_id TEXT NOT NULL,
+	version INTEGER NOT NULL,
+	answers_json TEXT NOT NULL DEFAULT '{}',
+	outcome_json TEXT NOT NULL DEFAULT '{}',
+	route TEXT,
+	recorded_by_id TEXT,
+	recorded_by TEXT,
+	recorded_at TEXT NOT NULL,
+	UNIQUE (study_id, version)
+);
+
+CREATE TABLE IF NOT EXISTS rops_study_ethics_reviews (
+	id TEXT PRIMARY KEY,
+	study_id TEXT NOT NULL,
+	version INTEGER NOT NULL,
+	action TEXT NOT NULL,
+	from_status TEXT NOT NULL,
+	to_status TEXT NOT NULL,
+	comment TEXT,
+	actor_id TEXT,
+	actor_name TEXT,
+	created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rops_study_ethics_reviews_study
+	ON rops_study_ethics_reviews (study_id, created_at);
+
+INSERT OR IGNORE INTO auth_permissions (code, label, description, is_sensitive, is_reserved)
+VALUES
+	('study.ethics.review', 'Review study ethics records', 'Can approve, request changes to or escalate submitted study ethics and research risk assessments.', 1, 0);
+
+INSERT OR IGNORE INTO auth_role_permissions (role_id, permission_code)
+VALUES
+	('role_research_lead', 'study.ethics.review'),
+	('role_team_admin', 'study.ethics.review');
+
+INSERT OR IGNORE INTO auth_route_permissions
+	(id, method, route_pattern, required_permissions_json, auth_required, implementation_status)
+VALUES
+	('route_api_study_ethics_risk_get', 'GET', '/api/study-ethics-risk', '["study.ethics.view"]', 1, 'implemented'),
+	('route_api_study_ethics_risk_post', 'POST', '/api/study-ethics-risk', '["study.ethics.manage"]', 1, 'implemented'),
+	('route_api_study_ethics_risk_submit_post', 'POST', '/api/study-ethics-risk/submit', '["study.ethics.manage"]', 1, 'implemented'),
+	('route_api_study_ethics_risk_decisions_post', 'POST', '/api/study-ethics-risk/decisions', '["study.ethics.review"]', 1, 'implemented'),
+	('route_api_study_ethics_risk_reviews_get', 'GET', '/api/study-ethics-risk/reviews', '["study.ethics.review"]', 1, 'implemented');
@@ -0,0 +1,10 @@
+ALTER TABLE rops_ethics_submission_documents ADD COLUMN sections_json TEXT NOT NULL DEFAULT '[]';
+ALTER TABLE rops_ethics_submission_documents ADD COLUMN html_object_key TEXT;
+ALTER TABLE rops_ethics_submission_documents ADD COLUMN pdf_object_key TEXT;
+
+INSERT OR IGNORE INTO auth_route_permissions
+	(id, method, route_pattern, required_permissions_json, auth_required, implementation_status)
+VALUES
+	('route_api_study_ethics_submission_documents_get', 'GET', '/api/study-ethics-risk/submissions', '["study.ethics.view"]', 1, 'implemented'),
+	('route_api_study_ethics_submission_document_diff_get', 'GET', '/api/study-ethics-risk/submissions/:id/diff', '["study.ethics.view"]', 1, 'implemented'),
+	('route_api_study_ethics_submission_document_rendition_get', 'GET', '/api/study-ethics-risk/submissions/:id/rendition', '["study.ethics.view"]', 1, 'implemented');
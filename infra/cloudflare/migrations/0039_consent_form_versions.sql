@@ -0,0 +1,27 @@
+CREATE TABLE IF NOT EXISTS rops_consent_form_versions (
+	consent_form_id TEXT NOT NULL,
+	version INTEGER NOT NULL,
+	study_id TEXT NOT NULL,
+	title TEXT NOT NULL,
+	source_markdown TEXT NOT NULL,
+	variables_json TEXT NOT NULL DEFAULT '{}',
+	consent_items_json TEXT NOT NULL DEFAULT '[]',
+	plain_english_summary TEXT,
+	published_at TEXT NOT NULL,
+	PRIMARY KEY (consent_form_id, version)
+);
+
+INSERT OR IGNORE INTO rops_consent_form_versions (
+	consent_form_id, version, study_id, title, source_markdown, variables_json,
+	consent_items_json, plain_english_summary, published_at
+)
+SELECT id, version, study_id, title, source_markdown, variables_json,
+	consent_items_json, plain_english_summary, COALESCE(published_at, updated_at)
+FROM rops_consent_forms
+WHERE status = 'Published' AND active = 1;
+
+INSERT OR IGNORE INTO auth_route_permissions
+	(id, method, route_pattern, required_permissions_json, auth_required, implementation_status)
+VALUES
+	('route_api_consent_forms_diff_get', 'GET', '/api/consent-forms/:id/diff', '["consent.form.view"]', 1, 'implemented'),
+	('route_api_consent_forms_reconsent_queue_get', 'GET', '/api/consent-forms/reconsent-queue', '["participant.consent.view"]', 1, 'implemented');
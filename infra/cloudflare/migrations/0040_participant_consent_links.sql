@@ -0,0 +1,28 @@
+CREATE TABLE IF NOT EXISTS rops_participant_consent_links (
+	id TEXT PRIMARY KEY,
+	study_id TEXT NOT NULL,
+	participant_id TEXT NOT NULL,
+	expires_at TEXT NOT NULL,
+	issued_by TEXT,
+	created_at TEXT NOT NULL,
+	revoked_at TEXT,
+	last_used_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_rops_participant_consent_links_subject
+	ON rops_participant_consent_links (study_id, participant_id, revoked_at);
+
+ALTER TABLE rops_participant_consent_cache ADD COLUMN response_hash TEXT;
+ALTER TABLE rops_participant_consent_cache ADD COLUMN previous_response_hash TEXT;
+ALTER TABLE rops_participant_consent_cache ADD COLUMN form_hash TEXT;
+ALTER TABLE rops_participant_consent_cache ADD COLUMN consent_link_id TEXT;
+
+INSERT OR IGNORE INTO auth_route_permissions
+	(id, method, route_pattern, required_permissions_json, auth_required, implementation_status)
+VALUES
+	('route_api_participant_consent_verify_get', 'GET', '/api/participant-consent/:id/verify', '["participant.consent.view"]', 1, 'implemented'),
+	('route_api_participant_consent_links_get', 'GET', '/api/participant-consent/links', '["participant.consent.view"]', 1, 'implemented'),
+	('route_api_participant_consent_links_post', 'POST', '/api/participant-consent/links', '["participant.consent.manage"]', 1, 'implemented'),
+	('route_api_participant_consent_link_delete', 'DELETE', '/api/participant-consent/links/:id', '["participant.consent.manage"]', 1, 'implemented'),
+	('route_api_consent_portal_get', 'GET', '/api/consent-portal', '[]', 0, 'implemented'),
+	('route_api_consent_portal_post', 'POST', '/api/consent-portal', '[]', 0, 'implemented');
@@ -0,0 +1,43 @@
+CREATE TABLE IF NOT EXISTS rops_consent_withdrawals (
+	id TEXT PRIMARY KEY,
+	study_id TEXT NOT NULL,
+	participant_id TEXT NOT NULL,
+	consent_record_id TEXT NOT NULL UNIQUE,
+	scope TEXT NOT NULL,
+	status TEXT NOT NULL DEFAULT 'queued',
+	reason TEXT,
+	requested_by TEXT,
+	requested_uid TEXT,
+	requested_at TEXT NOT NULL,
+	started_at TEXT,
+	completed_at TEXT,
+	attempts INTEGER NOT NULL DEFAULT 0,
+	next_attempt_at TEXT,
+	last_error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_rops_consent_withdrawals_study
+	ON rops_consent_withdrawals (study_id, requested_at);
+
+CREATE INDEX IF NOT EXISTS idx_rops_consent_withdrawals_status
+	ON rops_consent_withdrawals (status, next_attempt_at);
+
+CREATE TABLE IF NOT EXISTS rops_consent_withdrawal_items (
+	withdrawal_id TEXT NOT NULL,
+	item_type TEXT NOT NULL,
+	item_id TEXT NOT NULL,
+	label TEXT,
+	action TEXT NOT NULL,
+	status TEXT NOT NULL DEFAULT 'pending',
+	detail TEXT,
+	content_hash TEXT,
+	processed_at TEXT,
+	PRIMARY KEY (withdrawal_id, item_type, item_id)
+);
+
+INSERT OR IGNORE INTO auth_route_permissions
+	(id, method, route_pattern, required_permissions_json, auth_required, implementation_status)
+VALUES
+	('route_api_consent_withdrawals_get', 'GET', '/api/consent-withdrawals', '["participant.consent.view"]', 1, 'implemented'),
+	('route_api_consent_withdrawal_report_get', 'GET', '/api/consent-withdrawals/:id/report', '["participant.consent.view"]', 1, 'implemented'),
+	('route_api_consent_withdrawal_run_post', 'POST', '/api/consent-withdrawals/:id/run', '["participant.consent.manage"]', 1, 'implemented');
@@ -0,0 +1,49 @@
+CREATE TABLE IF NOT EXISTS rops_retention_runs (
+	id TEXT PRIMARY KEY,
+	trigger TEXT NOT NULL,
+	scheduled_time TEXT NOT NULL,
+	status TEXT NOT NULL,
+	grace_days INTEGER NOT NULL,
+	policies_json TEXT NOT NULL DEFAULT '{}',
+	counts_json TEXT NOT NULL DEFAULT '{}',
+	skipped_reason TEXT,
+	last_error TEXT,
+	started_at TEXT NOT NULL,
+	completed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_rops_retention_runs_started
+	ON rops_retention_runs (started_at);
+
+CREATE TABLE IF NOT EXISTS rops_retention_run_items (
+	run_id TEXT NOT NULL,
+	data_class TEXT NOT NULL,
+	source TEXT NOT NULL,
+	item_id TEXT NOT NULL,
+	study_id TEXT,
+	lawful_basis TEXT,
+	action TEXT NOT NULL,
+	retain_days INTEGER NOT NULL,
+	cutoff TEXT NOT NULL,
+	last_activity_at TEXT,
+	status TEXT NOT NULL,
+	detail TEXT,
+	processed_at TEXT,
+	PRIMARY KEY (run_id, source, item_id)
+);
+
+INSERT OR IGNORE INTO auth_permissions (code, label, description, is_sensitive, is_reserved)
+VALUES
+	('retention.view', 'View data retention', 'Can preview scheduled retention and read the retention run log.', 1, 0);
+
+INSERT OR IGNORE INTO auth_role_permissions (role_id, permission_code)
+VALUES
+	('role_research_lead', 'retention.view'),
+	('role_team_admin', 'retention.view');
+
+INSERT OR IGNORE INTO auth_route_permissions
+	(id, method, route_pattern, required_permissions_json, auth_required, implementation_status)
+VALUES
+	('route_api_retention_preview_get', 'GET', '/api/retention/preview', '["retention.view"]', 1, 'implemented'),
+	('route_api_retention_runs_get', 'GET', '/api/retention/runs', '["retention.view"]', 1, 'implemented'),
+	('route_api_retention_run_get', 'GET', '/api/retention/runs/:id', '["retention.view"]', 1, 'implemented');
@@ -0,0 +1,40 @@
+CREATE TABLE IF NOT EXISTS rops_legal_holds (
+	id TEXT PRIMARY KEY,
+	scope_type TEXT NOT NULL,
+	scope_id TEXT NOT NULL,
+	project_id TEXT,
+	study_id TEXT,
+	reason TEXT NOT NULL,
+	detail TEXT,
+	owner TEXT NOT NULL,
+	review_date TEXT NOT NULL,
+	placed_by TEXT,
+	placed_at TEXT NOT NULL,
+	released_by TEXT,
+	released_at TEXT,
+	release_note TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_rops_legal_holds_scope
+	ON rops_legal_holds (scope_type, scope_id, released_at);
+
+CREATE INDEX IF NOT EXISTS idx_rops_legal_holds_study
+	ON rops_legal_holds (study_id, released_at);
+
+ALTER TABLE rops_retention_run_items ADD COLUMN legal_hold_id TEXT;
+
+INSERT OR IGNORE INTO auth_permissions (code, label, description, is_sensitive, is_reserved)
+VALUES
+	('legal.hold.manage', 'Manage legal holds', 'Can place and release legal holds that stop retention changing project, study or participant data.', 1, 0);
+
+INSERT OR IGNORE INTO auth_role_permissions (role_id, permission_code)
+VALUES
+	('role_research_lead', 'legal.hold.manage'),
+	('role_team_admin', 'legal.hold.manage');
+
+INSERT OR IGNORE INTO auth_route_permissions
+	(id, method, route_pattern, required_permissions_json, auth_required, implementation_status)
+VALUES
+	('route_api_legal_holds_get', 'GET', '/api/legal-holds', '["study.view"]', 1, 'implemented'),
+	('route_api_legal_holds_post', 'POST', '/api/legal-holds', '["legal.hold.manage"]', 1, 'implemented'),
+	('route_api_legal_hold_release_post', 'POST', '/api/legal-holds/:id/release', '["legal.hold.manage"]', 1, 'implemented');
@@ -0,0 +1,8 @@
+-- Subject access request export for one participant. Restricted to people who
+-- can reveal participant personal data; the project scope is checked in the
+-- service and every export is recorded in auth_events.
+
+INSERT OR IGNORE INTO auth_route_permissions
+	(id, method, route_pattern, required_permissions_json, auth_required, implementation_status)
+VALUES
+	('route_api_participant_sar_export_post', 'POST', '/api/participants/:id/sar-export', '["participant.pii.reveal"]', 1, 'implemented');
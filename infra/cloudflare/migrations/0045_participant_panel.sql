@@ -0,0 +1,97 @@
+-- Organisation-wide participant panel: members with attributes and contact
+-- details, screeners with eligibility rules, per-study quota targets and the
+-- invites that turn panel members into study participants.
+
+CREATE TABLE IF NOT EXISTS rops_panel_members (
+	id TEXT PRIMARY KEY,
+	member_ref TEXT NOT NULL,
+	status TEXT NOT NULL DEFAULT 'active',
+	attributes_json TEXT NOT NULL DEFAULT '{}',
+	sensitive_contact_json TEXT,
+	channel_pref TEXT,
+	access_needs TEXT,
+	joined_at TEXT NOT NULL,
+	opted_out_at TEXT,
+	created_by TEXT,
+	updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rops_panel_members_status
+	ON rops_panel_members (status, joined_at);
+
+CREATE TABLE IF NOT EXISTS rops_panel_screeners (
+	id TEXT PRIMARY KEY,
+	title TEXT NOT NULL,
+	questions_json TEXT NOT NULL DEFAULT '[]',
+	rules_json TEXT NOT NULL DEFAULT '[]',
+	created_by TEXT,
+	created_at TEXT NOT NULL,
+	updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS rops_panel_screener_responses (
+	id TEXT PRIMARY KEY,
+	screener_id TEXT NOT NULL,
+	member_id TEXT NOT NULL,
+	answers_json TEXT NOT NULL DEFAULT '{}',
+	eligible INTEGER NOT NULL DEFAULT 0,
+	reasons_json TEXT NOT NULL DEFAULT '[]',
+	responded_at TEXT NOT NULL,
+	recorded_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_rops_panel_screener_responses_member
+	ON rops_panel_screener_responses (screener_id, member_id, responded_at);
+
+CREATE TABLE IF NOT EXISTS rops_panel_quotas (
+	id TEXT PRIMARY KEY,
+	study_id TEXT NOT NULL,
+	attribute TEXT NOT NULL,
+	value TEXT NOT NULL,
+	target INTEGER NOT NULL,
+	updated_by TEXT,
+	updated_at TEXT NOT NULL,
+	UNIQUE (study_id, attribute, value)
+);
+
+CREATE TABLE IF NOT EXISTS rops_panel_invites (
+	id TEXT PRIMARY KEY,
+	member_id TEXT NOT NULL,
+	study_id TEXT NOT NULL,
+	project_id TEXT,
+	participant_id TEXT NOT NULL,
+	screener_id TEXT,
+	attributes_json TEXT NOT NULL DEFAULT '{}',
+	invited_at TEXT NOT NULL,
+	invited_by TEXT,
+	UNIQUE (member_id, study_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rops_panel_invites_member
+	ON rops_panel_invites (member_id, invited_at);
+
+INSERT OR IGNORE INTO auth_permissions (code, label, description, is_sensitive, is_reserved)
+VALUES
+	('participant.panel.view', 'View participant panel', 'Can view pseudonymised panel members, screeners and study quotas.', 0, 0),
+	('participant.panel.manage', 'Manage participant panel', 'Can add panel members, record screener answers and set study quotas.', 1, 0);
+
+INSERT OR IGNORE INTO auth_role_permissions (role_id, permission_code)
+VALUES
+	('role_researcher', 'participant.panel.view'),
+	('role_research_lead', 'participant.panel.view'),
+	('role_research_lead', 'participant.panel.manage'),
+	('role_team_admin', 'participant.panel.view'),
+	('role_team_admin', 'participant.panel.manage');
+
+INSERT OR IGNORE INTO auth_route_permissions
+	(id, method, route_pattern, required_permissions_json, auth_required, implementation_status)
+VALUES
+	('route_api_panel_members_get', 'GET', '/api/panel/members', '["participant.panel.view"]', 1, 'implemented'),
+	('route_api_panel_members_post', 'POST', '/api/panel/members', '["participant.panel.manage"]', 1, 'implemented'),
+	('route_api_panel_member_patch', 'PATCH', '/api/panel/members/:id', '["participant.panel.manage"]', 1, 'implemented'),
+	('route_api_panel_screeners_get', 'GET', '/api/panel/screeners', '["participant.panel.view"]', 1, 'implemented'),
+	('route_api_panel_screeners_post', 'POST', '/api/panel/screeners', '["participant.panel.manage"]', 1, 'implemented'),
+	('route_api_panel_screener_responses_post', 'POST', '/api/panel/screeners/:id/responses', '["participant.panel.manage"]', 1, 'implemented'),
+	('route_api_panel_quotas_get', 'GET', '/api/panel/quotas', '["participant.panel.view"]', 1, 'implemented'),
+	('route_api_panel_quotas_put', 'PUT', '/api/panel/quotas', '["participant.panel.manage"]', 1, 'implemented'),
+	('route_api_panel_invites_post', 'POST', '/api/panel/invites', '["participant.record.create"]', 1, 'implemented');
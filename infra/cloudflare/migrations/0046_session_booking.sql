@@ -0,0 +1,88 @@
+-- Study booking slots and participant self-scheduling. Participants book
+-- through tokenised links checked by the service, so the portal routes do not
+-- require sign-in. Partial unique indexes stop a slot, or a participant in a
+-- study, holding more than one active booking.
+
+CREATE TABLE IF NOT EXISTS rops_booking_settings (
+	study_id TEXT PRIMARY KEY,
+	duration_min INTEGER NOT NULL,
+	buffer_min INTEGER NOT NULL,
+	daily_cap INTEGER NOT NULL DEFAULT 0,
+	session_type TEXT NOT NULL,
+	location_or_link TEXT,
+	researchers TEXT,
+	updated_by TEXT,
+	updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS rops_booking_slots (
+	id TEXT PRIMARY KEY,
+	study_id TEXT NOT NULL,
+	starts_at TEXT NOT NULL,
+	ends_at TEXT NOT NULL,
+	day TEXT NOT NULL,
+	note_taker_ids_json TEXT NOT NULL DEFAULT '[]',
+	status TEXT NOT NULL DEFAULT 'open',
+	booking_id TEXT,
+	created_by TEXT,
+	created_at TEXT NOT NULL,
+	updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rops_booking_slots_study
+	ON rops_booking_slots (study_id, status, starts_at);
+
+CREATE INDEX IF NOT EXISTS idx_rops_booking_slots_day
+	ON rops_booking_slots (study_id, day, status);
+
+CREATE TABLE IF NOT EXISTS rops_booking_links (
+	id TEXT PRIMARY KEY,
+	token_hash TEXT NOT NULL UNIQUE,
+	study_id TEXT NOT NULL,
+	participant_id TEXT NOT NULL,
+	expires_at TEXT NOT NULL,
+	issued_by TEXT,
+	created_at TEXT NOT NULL,
+	revoked_at TEXT,
+	last_used_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_rops_booking_links_subject
+	ON rops_booking_links (study_id, participant_id, revoked_at);
+
+CREATE TABLE IF NOT EXISTS rops_session_bookings (
+	id TEXT PRIMARY KEY,
+	slot_id TEXT NOT NULL,
+	study_id TEXT NOT NULL,
+	participant_id TEXT NOT NULL,
+	link_id TEXT,
+	session_id TEXT,
+	status TEXT NOT NULL DEFAULT 'booked',
+	booked_at TEXT NOT NULL,
+	cancelled_at TEXT,
+	cancelled_by TEXT,
+	cancel_reason TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rops_session_bookings_slot
+	ON rops_session_bookings (slot_id) WHERE status = 'booked';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rops_session_bookings_participant
+	ON rops_session_bookings (study_id, participant_id) WHERE status = 'booked';
+
+CREATE INDEX IF NOT EXISTS idx_rops_session_bookings_session
+	ON rops_session_bookings (session_id);
+
+INSERT OR IGNORE INTO auth_route_permissions
+	(id, method, route_pattern, required_permissions_json, auth_required, implementation_status)
+VALUES
+	('route_api_booking_slots_get', 'GET', '/api/booking/slots', '["study.view"]', 1, 'implemented'),
+	('route_api_booking_slots_post', 'POST', '/api/booking/slots', '["research.content.manage"]', 1, 'implemented'),
+	('route_api_booking_slot_delete', 'DELETE', '/api/booking/slots/:id', '["research.content.manage"]', 1, 'implemented'),
+	('route_api_booking_settings_put', 'PUT', '/api/booking/settings', '["research.content.manage"]', 1, 'implemented'),
+	('route_api_booking_links_post', 'POST', '/api/booking/links', '["research.content.manage"]', 1, 'implemented'),
+	('route_api_booking_cancel_post', 'POST', '/api/booking/bookings/:id/cancel', '["research.content.manage"]', 1, 'implemented'),
+	('route_api_booking_portal_get', 'GET', '/api/booking-portal', '[]', 0, 'implemented'),
+	('route_api_booking_portal_post', 'POST', '/api/booking-portal', '[]', 0, 'implemented'),
+	('route_api_booking_portal_cancel_post', 'POST', '/api/booking-portal/cancel', '[]', 0, 'implemented'),
+	('route_api_booking_portal_ics_get', 'GET', '/api/booking-portal/ics', '[]', 0, 'implemented');
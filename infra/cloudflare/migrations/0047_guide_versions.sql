@@ -0,0 +1,46 @@
+-- Immutable published snapshots of discussion guides and the snapshot each
+-- session ran with. The trigger rejects updates so a published snapshot keeps
+-- the text, variables and partials that were used in fieldwork.
+
+CREATE TABLE IF NOT EXISTS rops_guide_versions (
+	id TEXT PRIMARY KEY,
+	guide_id TEXT NOT NULL,
+	study_id TEXT,
+	version INTEGER NOT NULL,
+	title TEXT NOT NULL,
+	source_markdown TEXT NOT NULL,
+	rendered_markdown TEXT NOT NULL,
+	variables_json TEXT NOT NULL DEFAULT '{}',
+	partials_json TEXT NOT NULL DEFAULT '[]',
+	content_hash TEXT NOT NULL,
+	published_by TEXT,
+	published_at TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rops_guide_versions_guide
+	ON rops_guide_versions (guide_id, version);
+
+CREATE TRIGGER IF NOT EXISTS trg_rops_guide_versions_immutable
+BEFORE UPDATE ON rops_guide_versions
+BEGIN
+	SELECT RAISE(ABORT, 'guide versions are immutable');
+END;
+
+CREATE TABLE IF NOT EXISTS rops_session_guide_versions (
+	session_id TEXT PRIMARY KEY,
+	guide_id TEXT NOT NULL,
+	guide_version_id TEXT NOT NULL,
+	recorded_by TEXT,
+	recorded_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rops_session_guide_versions_version
+	ON rops_session_guide_versions (guide_version_id);
+
+INSERT OR IGNORE INTO auth_route_permissions
+	(id, method, route_pattern, required_permissions_json, auth_required, implementation_status)
+VALUES
+	('route_api_guide_versions_get', 'GET', '/api/guides/:id/versions', '["research.content.view"]', 1, 'implemented'),
+	('route_api_guide_version_get', 'GET', '/api/guides/:id/versions/:versionId', '["research.content.view"]', 1, 'implemented'),
+	('route_api_session_guide_version_get', 'GET', '/api/sessions/:id/guide-version', '["research.content.view"]', 1, 'implemented'),
+	('route_api_session_guide_version_put', 'PUT', '/api/sessions/:id/guide-version', '["research.content.manage"]', 1, 'implemented');
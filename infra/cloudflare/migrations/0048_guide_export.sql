@@ -0,0 +1,6 @@
+-- Server-side discussion guide export as DOCX, PDF or HTML.
+
+INSERT OR IGNORE INTO auth_route_permissions
+	(id, method, route_pattern, required_permissions_json, auth_required, implementation_status)
+VALUES
+	('route_api_guide_export_get', 'GET', '/api/guides/:id/export', '["research.content.view"]', 1, 'implemented');
@@ -0,0 +1,8 @@
+-- Partial include graph, per-partial usage and new partial versions.
+
+INSERT OR IGNORE INTO auth_route_permissions
+	(id, method, route_pattern, required_permissions_json, auth_required, implementation_status)
+VALUES
+	('route_api_partial_graph_get', 'GET', '/api/partials/graph', '["research.content.view"]', 1, 'implemented'),
+	('route_api_partial_usage_get', 'GET', '/api/partials/:id/usage', '["research.content.view"]', 1, 'implemented'),
+	('route_api_partial_versions_post', 'POST', '/api/partials/:id/versions', '["research.content.manage"]', 1, 'implemented');
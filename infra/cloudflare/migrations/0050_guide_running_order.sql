@@ -0,0 +1,7 @@
+-- Guide running orders, checked against the guide timebox or the session's planned duration.
+
+INSERT OR IGNORE INTO auth_route_permissions
+	(id, method, route_pattern, required_permissions_json, auth_required, implementation_status)
+VALUES
+	('route_api_guide_running_order_get', 'GET', '/api/guides/:id/running-order', '["research.content.view"]', 1, 'implemented'),
+	('route_api_session_running_order_get', 'GET', '/api/sessions/:id/running-order', '["research.content.view"]', 1, 'implemented');
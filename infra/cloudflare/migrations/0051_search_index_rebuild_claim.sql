@@ -0,0 +1,11 @@
+-- Search index rebuilds run from the scheduled handler behind a claim on the
+-- state row, and fill rops_search_index_staging before swapping it in.
+-- Deleted or redacted content is dropped from the index at once and noted in
+-- rops_search_index_removals, so a rebuild already under way drops it too.
+
+ALTER TABLE rops_search_index_state ADD COLUMN rebuild_started_at TEXT;
+
+CREATE TABLE IF NOT EXISTS rops_search_index_removals (
+	doc_key TEXT PRIMARY KEY,
+	removed_at TEXT NOT NULL
+);
@@ -0,0 +1,6 @@
+-- Blind double coding keeps agreement back until both coders have coded every
+-- entry in a sample, or someone closes the sample early. closed_at records an
+-- early close; codings are locked once a sample is released either way.
+
+ALTER TABLE rops_double_coding_samples ADD COLUMN closed_by TEXT;
+ALTER TABLE rops_double_coding_samples ADD COLUMN closed_at TEXT;
@@ -0,0 +1,30 @@
+-- Guide snapshots are written as pending before Airtable takes the new
+-- version number and confirmed as published once it has, so a published
+-- version never lacks its snapshot. Existing snapshots are all published.
+-- The immutability trigger now lets a pending snapshot be confirmed and
+-- rejects every other update as before.
+
+ALTER TABLE rops_guide_versions ADD COLUMN status TEXT NOT NULL DEFAULT 'published';
+
+DROP TRIGGER IF EXISTS trg_rops_guide_versions_immutable;
+
+CREATE TRIGGER trg_rops_guide_versions_immutable
+BEFORE UPDATE ON rops_guide_versions
+WHEN NOT (
+	OLD.status = 'pending'
+	AND NEW.status = 'published'
+	AND NEW.id = OLD.id
+	AND NEW.guide_id = OLD.guide_id
+	AND NEW.study_id IS OLD.study_id
+	AND NEW.version = OLD.version
+	AND NEW.title = OLD.title
+	AND NEW.source_markdown = OLD.source_markdown
+	AND NEW.rendered_markdown = OLD.rendered_markdown
+	AND NEW.variables_json = OLD.variables_json
+	AND NEW.partials_json = OLD.partials_json
+	AND NEW.content_hash = OLD.content_hash
+	AND NEW.published_by IS OLD.published_by
+)
+BEGIN
+	SELECT RAISE(ABORT, 'guide versions are immutable');
+END;
@@ -0,0 +1,5 @@
+-- A delivery claims its outbox row (status 'sending', claimed_at) before the
+-- provider is called, so inline sends and the scheduled drain never send the
+-- same message twice. Claims older than the lease are picked up again.
+
+ALTER TABLE rops_comms_outbox ADD COLUMN claimed_at TEXT;
@@ -0,0 +1,7 @@
+-- Every participant consent record is hashed and names the hash of the one
+-- before it. No two records may name the same previous record, so concurrent
+-- submissions append one after the other instead of forking the chain.
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rops_participant_consent_chain
+	ON rops_participant_consent_cache (study_id, participant_id, COALESCE(previous_response_hash, ''))
+	WHERE response_hash IS NOT NULL;
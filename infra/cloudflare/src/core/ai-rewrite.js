@@ -14,12 +14,17 @@
  *       summary: string,
  *       suggestions: Array<{category:string, tip:string, why:string, severity:"high"|"medium"|"low"}>,
  *       rewrite: string,
- *       flags: { possible_personal_data: boolean }
+ *       flags: { possible_personal_data: boolean },
+ *       meta: { prompt_version: string, prompt_hash: string, provider: string, model: string }
  *     }
  *
  * Design:
- * - Uses Cloudflare Workers AI via `env.AI.run(model, ...)`
- * - OFFICIAL-by-default (no third-party calls)
+ * - Calls the provider named by `AI_PROVIDER` (see ./ai-rewrite/providers.js):
+ *   Workers AI through the `AI` binding by default, an OpenAI-compatible
+ *   endpoint, or a deterministic local stand-in
+ * - OFFICIAL-by-default (no third-party calls unless an endpoint is configured)
+ * - Prompts are versioned records (./ai-rewrite/prompts.js); each response is
+ *   tagged with the prompt version and model that produced it
  * - Hard clamps for input length and suggestion fields, strict JSON shaping
  * - PII sweep (email, NI, NHS) and counters-only Airtable logging
  *
@@ -35,16 +40,22 @@
  * @property {string} [AIRTABLE_TABLE_AI_LOG] Optional Airtable table for counters-only AI usage logs (e.g., "AI_Usage").
  * @property {string} [MODEL] Workers AI model name (e.g., "@cf/meta/llama-3.1-8b-instruct").
  * @property {any}    AI Cloudflare Workers AI binding (env.AI.run).
+ * @property {string} [AI_PROVIDER] "workers-ai" (default), "openai-compatible" or "local".
+ * @property {string} [AI_ENDPOINT] Base URL of an OpenAI-compatible API, for the "openai-compatible" provider.
+ * @property {string} [AI_MODEL] Model name sent to the OpenAI-compatible API.
+ * @property {string} [AI_API_KEY] Optional bearer token for the OpenAI-compatible API.
+ * @property {string} [AI_PROMPT_VERSIONS] Pinned prompt versions, e.g. "description@1,objectives@1"; latest when unset.
  */
 
 import { DEFAULTS } from "./ai-rewrite/config.js";
 import { buildFallbackResponse } from "./ai-rewrite/fallback.js";
-import { auditForBias, neutraliseInventedMethods, neutraliseInventedQuantifiers } from "./ai-rewrite/guardrails.js";
 import { corsHeaders, isAllowedOrigin, json } from "./ai-rewrite/http.js";
-import { DESC_SYSTEM_PROMPT, OBJ_SYSTEM_PROMPT, rulesPromptForMode, SUGGESTION_LIBRARY } from "./ai-rewrite/prompts.js";
-import { clamp, detectPII, safeParseJSON, safeText, sanitizeRewrite } from "./ai-rewrite/text.js";
+import { promptMessages, selectPrompt } from "./ai-rewrite/prompts.js";
+import { resolveProvider } from "./ai-rewrite/providers.js";
+import { shapeModelOutput } from "./ai-rewrite/response.js";
+import { clamp, detectPII, safeText } from "./ai-rewrite/text.js";
 
-export { BASE_SYSTEM_PROMPT, DESC_SYSTEM_PROMPT, OBJ_SYSTEM_PROMPT } from "./ai-rewrite/prompts.js";
+export { BASE_SYSTEM_PROMPT, DESC_SYSTEM_PROMPT, OBJ_SYSTEM_PROMPT, PROMPT_RECORDS } from "./ai-rewrite/prompts.js";
 export { createMockEnv, makeJsonRequest } from "./ai-rewrite/testing.js";
 
 /* =========================
@@ -52,7 +63,7 @@ export { createMockEnv, makeJsonRequest } from "./ai-rewrite/testing.js";
  * ========================= */
 
 /**
- * AI rewrite service (rule-guided; Workers AI).
+ * AI rewrite service (rule-guided; Workers AI or another provider).
  * @class AiRewriteService
  * @public
  * @inner
@@ -119,189 +130,53 @@ class AiRewriteService {
 
 		const hasPII = detectPII(text);
 		const input = clamp(text, this.cfg.MAX_INPUT_CHARS);
-		const model = this.env.MODEL || this.cfg.MODEL_FALLBACK;
+		const provider = resolveProvider(this.env, this.cfg);
+		const prompt = selectPrompt(mode, this.env.AI_PROMPT_VERSIONS);
+		const meta = { prompt_version: prompt.id, prompt_hash: prompt.hash, provider: provider.name, model: provider.model };
 
-		// Prompts
-		const SYSTEM_PROMPT = mode === "objectives" ? OBJ_SYSTEM_PROMPT : DESC_SYSTEM_PROMPT;
-		const RULES_PROMPT = rulesPromptForMode(mode);
-
-		// Output schema/instructions remain the same for both modes
-		/** @const {string} */
-		const OUTPUT_SCHEMA_STR = JSON.stringify({
-			summary: "string (<= 300 chars). Brief overview of what to improve.",
-			suggestions: [{
-				category: "string (e.g., 'Style', 'Users & inclusion', 'Outcomes & measures', 'Scope', 'Risks')",
-				tip: "string (<= 160 chars). Concrete edit or addition.",
-				why: "string (<= 160 chars). Rationale for the tip.",
-				severity: "one of: 'high' | 'medium' | 'low'"
-			}],
-			rewrite: [
-				"string.",
-				mode === "objectives" ?
-				"Markdown numbered list of refined objectives when supported by the input; keep each objective concise and measurable where possible." :
-				"Concise, PII-free markdown rewrite using level 2 headings and short paragraphs or bullet lists. Use sections such as Research focus, Scope, Users and context, Research questions, Method and inclusion, Deliverables, Outcomes, Data handling and Success criteria. Do not use markdown tables."
-			].join(" ")
-		}, null, 2);
-
-		/** @const {string} */
-		const OUTPUT_EXAMPLE = JSON.stringify(
-			mode === "objectives" ? {
-				summary: "Tighten objectives; add measurable targets and timeframes.",
-				suggestions: [
-					{ category: "Measurability", tip: "Add numeric targets to 2 objectives.", why: "Enables progress tracking.", severity: "high" },
-					{ category: "Clarity", tip: "Start each objective with an action verb.", why: "Improves readability.", severity: "medium" }
-				],
-				rewrite: "1. Identify the top 3 blockers in the account proofing journey by end of Q2.\n2. Increase task completion for the ID check step by 15% within 3 months.\n3. Validate the revised error messages with at least 8 participants using screen readers.\n4. Produce a prioritised backlog of improvements agreed with policy and service design."
-			} : {
-				summary: "Clarify scope and outcomes; surface research questions; avoid PII.",
-				suggestions: [
-					{ category: "Scope", tip: "State what is in and out of scope.", why: "Prevents drift and sets clear boundaries.", severity: "high" },
-					{ category: "Research questions", tip: "List 2–4 key questions.", why: "Focuses method and analysis.", severity: "medium" },
-					{ category: "Outcomes & measures", tip: "Add a numeric target with a timeframe.", why: "Enables tracking of success.", severity: "high" }
-				],
-				rewrite: "## Research focus\n\nApplicants abandon the address step because instructions and error messages are unclear.\n\n## Scope\n\n- In scope: address capture and validation screens in the online flow.\n- Out of scope: payment provider changes.\n\n## Users and context\n\nFirst-time visa applicants on mobile, including people using screen readers and with low bandwidth.\n\n## Outcomes\n\nIdentify the top 3 blockers and reduce abandonment by 15% within the next quarter."
-			}, null, 2
-		);
-
-		/**
-		 * Provide the curated suggestion library so the model can pick relevant items.
-		 * Keep it after the schema/example to bias structured outputs first.
-		 * @const {string}
-		 */
-		const SUGGESTION_GUIDANCE = [
-			"Use the following suggestion patterns only if they apply to the input:",
-			SUGGESTION_LIBRARY
-		].join("\n\n");
-
-		/** @const {string} */
-		const INSTRUCTIONS = [
-			"Return JSON ONLY, matching this schema:",
-			OUTPUT_SCHEMA_STR,
-			"",
-			"Constraints:",
-			`- suggestions: max ${DEFAULTS.MAX_SUGGESTIONS} items; each tip/why <= ${DEFAULTS.MAX_SUGGESTION_LEN} chars; include a balanced mix across categories.`,
-			"- rewrite: include the complete rewrite in full; markdown is allowed inside rewrite; remove emails/NI/NHS numbers; no placeholders like 'lorem' or 'TBD'.",
-			"- Do not include markdown code fences or any text outside JSON.",
-			"",
-			"If unsure, still return valid JSON using best-effort values. Here is a minimal valid example:",
-			OUTPUT_EXAMPLE,
-			"",
-			SUGGESTION_GUIDANCE,
-			"",
-			"INPUT (verbatim):"
-		].join("\n");
-
-		const fallbackBody = () => buildFallbackResponse({ mode, input, hasPII, cfg: this.cfg });
+		// The rule-based fallback did not use the model, so it is tagged as such
+		const fallbackBody = () => ({
+			...buildFallbackResponse({ mode, input, hasPII, cfg: this.cfg }),
+			meta: { ...meta, provider: "rules", model: "" }
+		});
 
 		// ---- Model call
 		let modelOutput = "";
-		if (!this.env.AI || typeof this.env.AI.run !== "function") {
+		if (!provider.available) {
 			if (this.env.AUDIT === "true") {
-				console.warn("ai.run.missing_binding", { mode });
+				console.warn("ai.run.missing_binding", { mode, provider: provider.name });
 			}
 			return json(fallbackBody(), 200, corsHeaders(this.env, origin));
 		}
 
 		try {
-			const resp = await this.env.AI.run(model, {
-				messages: [
-					{ role: "system", content: SYSTEM_PROMPT },
-					{ role: "user", content: `${RULES_PROMPT}\n\n${INSTRUCTIONS}\n${input}` }
-				],
-				temperature: 0.15, // tightened for determinism
-				top_p: 0.9,// smallest set of tokens whose combined probability is at least 90% of the distribution
-				max_tokens: 2048, // Allow complete JSON with summary, suggestions and full markdown rewrite.
-				stop: ["```", "\nINPUT (verbatim):"] // conservative stops to prevent run-on prose
+			modelOutput = await provider.complete({
+				mode,
+				input,
+				messages: promptMessages(prompt, input),
+				options: {
+					temperature: 0.15, // tightened for determinism
+					top_p: 0.9,// smallest set of tokens whose combined probability is at least 90% of the distribution
+					max_tokens: 2048, // Allow complete JSON with summary, suggestions and full markdown rewrite.
+					stop: ["```", "\nINPUT (verbatim):"] // conservative stops to prevent run-on prose
+				}
 			});
-
-			modelOutput = typeof resp === "string" ? resp : (resp?.response || resp?.result || "");
 		} catch (e) {
 			if (this.env.AUDIT === "true") {
-				console.warn("ai.run.fail", { err: String(e?.message || e) });
+				console.warn("ai.run.fail", { provider: provider.name, err: String(e?.message || e) });
 			}
 			return json(fallbackBody(), 200, corsHeaders(this.env, origin));
 		}
 
-		// Trim any accidental prose around JSON
-		const first = modelOutput.indexOf("{");
-		const last = modelOutput.lastIndexOf("}");
-		if (first !== -1 && last !== -1 && last > first) {
-			modelOutput = modelOutput.slice(first, last + 1);
-		}
-
-		// Parse + clamp + sanitize
-		const parsed = safeParseJSON(modelOutput);
-		if (!Array.isArray(parsed.suggestions) && typeof parsed.rewrite !== "string" && typeof parsed.summary !== "string") {
+		const shaped = shapeModelOutput({ mode, input, modelOutput, hasPII, cfg: this.cfg });
+		if (!shaped) {
 			if (this.env.AUDIT === "true") {
-				console.warn("ai.output.invalid", { mode });
+				console.warn("ai.output.invalid", { mode, prompt: prompt.id, model: provider.model });
 			}
 			return json(fallbackBody(), 200, corsHeaders(this.env, origin));
 		}
-
-		let suggestions = Array.isArray(parsed.suggestions) ?
-			parsed.suggestions
-			.slice(0, this.cfg.MAX_SUGGESTIONS)
-			.map(s => ({
-				category: typeof s?.category === "string" ? s.category : "General",
-				tip: clamp(typeof s?.tip === "string" ? s.tip : "", this.cfg.MAX_SUGGESTION_LEN),
-				why: clamp(typeof s?.why === "string" ? s.why : "", this.cfg.MAX_SUGGESTION_LEN),
-				severity: ["high", "medium", "low"].includes(s?.severity) ? s?.severity : "medium"
-			}))
-			.filter(s => s.tip.trim().length > 0) : [];
-
-		let rewrite = sanitizeRewrite(typeof parsed.rewrite === "string" ? parsed.rewrite : "");
-
-		// === Post-processing guardrail for invented metrics/timeframes/methods ===
-		// Compare rewrite vs input; neutralise invented quantifiers and add notes.
-		const { text: cleanedRewrite, notes } = neutraliseInventedQuantifiers(rewrite, input);
-		// Remove invented method specifics not present in input
-		rewrite = neutraliseInventedMethods(cleanedRewrite, input);
-
-		// Merge quantifier notes into suggestions without exceeding MAX_SUGGESTIONS
-		if (notes.length) {
-			const remainingSlots = Math.max(0, this.cfg.MAX_SUGGESTIONS - suggestions.length);
-			const toAdd = notes.slice(0, remainingSlots);
-			suggestions = suggestions.concat(
-				toAdd.map(n => ({
-					category: n.category,
-					tip: clamp(n.tip, this.cfg.MAX_SUGGESTION_LEN),
-					why: clamp(n.why, this.cfg.MAX_SUGGESTION_LEN),
-					severity: n.severity
-				}))
-			);
-		}
-
-		// Bias audit (neutralises phrasing + adds suggestion items)
-		const { text: biasFixed, issues: biasIssues } = auditForBias(rewrite, input);
-		rewrite = biasFixed;
-
-		if (biasIssues.length) {
-			const remaining = Math.max(0, this.cfg.MAX_SUGGESTIONS - suggestions.length);
-			suggestions = suggestions.concat(
-				biasIssues.slice(0, remaining).map(i => ({
-					category: i.category,
-					tip: clamp(i.tip, this.cfg.MAX_SUGGESTION_LEN),
-					why: clamp(i.why, this.cfg.MAX_SUGGESTION_LEN),
-					severity: i.severity
-				}))
-			);
-		}
-
-		if (!rewrite) return json(fallbackBody(), 200, corsHeaders(this.env, origin));
-
-		// Final PII sweep on rewrite
-		if (detectPII(rewrite)) {
-			rewrite = sanitizeRewrite(rewrite);
-		}
-
-		const body = {
-			summary: typeof parsed.summary === "string" ?
-				clamp(parsed.summary, 300) : mode === "objectives" ?
-				"Suggestions to strengthen your Initial Objectives" : "Suggestions to strengthen your Description",
-			suggestions,
-			rewrite,
-			flags: { possible_personal_data: hasPII }
-		};
+		const { suggestions, rewrite } = shaped;
+		const body = { ...shaped, meta };
 
 		// Counters-only log to Airtable (best-effort; no raw text)
 		// Fields: ts, trigger, char_bucket, suggestion_count, pii_detected
@@ -341,6 +216,9 @@ class AiRewriteService {
 		if (this.env.AUDIT === "true") {
 			console.log("ai.rewrite.ok", {
 				mode,
+				prompt: prompt.id,
+				provider: provider.name,
+				model: provider.model,
 				len: input.length,
 				sugg: suggestions.length,
 				pii: hasPII,
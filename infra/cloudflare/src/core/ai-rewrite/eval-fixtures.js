@@ -0,0 +1,84 @@
+/**
+ * Hash of each prompt record as it shipped (see `promptHash` in ./prompts.js).
+ * A new prompt version is locked here once its fixtures pass.
+ * @constant
+ * @name PROMPT_LOCKS
+ * @type {Readonly<Record<string, string>>}
+ */
+export const PROMPT_LOCKS = Object.freeze({
+	"description@1": "f9b3c997",
+	"objectives@1": "af558f33"
+});
+
+const PERMIT_DESCRIPTION = [
+	"Applicants abandon the address step of the permit application because the instructions and error messages are unclear.",
+	"The research should cover the address capture and validation screens, not payments.",
+	"Primary users are first-time applicants, including people who use assistive technology on mobile.",
+	"Success means the team can decide which changes to make to the address step."
+].join(" ");
+
+const PERMIT_OBJECTIVES = [
+	"Understand why applicants leave the address step.",
+	"Test revised error messages with applicants who use assistive technology.",
+	"Produce a prioritised backlog for the next phase."
+].join("\n");
+
+const reply = (rewrite, suggestions = []) => JSON.stringify({ summary: "Tighten the description.", suggestions, rewrite });
+
+/**
+ * Recorded model answers that exercise each guardrail, plus inputs answered
+ * live by the provider. Add a fixture whenever a model answer gets past the
+ * guardrails in a way users should not see.
+ * @constant
+ * @name EVAL_FIXTURES
+ * @type {ReadonlyArray<import("./evaluate.js").EvalFixture>}
+ */
+export const EVAL_FIXTURES = Object.freeze([
+	{
+		id: "description-invented-sample-and-timeframe",
+		mode: "description",
+		input: PERMIT_DESCRIPTION,
+		model_output: reply("## Research focus\n\nApplicants abandon the address step.\n\n## Method and inclusion\n\nInterview at least 8 participants within 3 months using screen readers."),
+		expect: { includes: ["## Research focus"], excludes: ["8 participants", "within 3 months", "using screen readers"], categories: ["Measurability", "Timeline"] }
+	},
+	{
+		id: "objectives-excluding-language",
+		mode: "objectives",
+		input: PERMIT_OBJECTIVES,
+		model_output: reply("1. Understand why normal users leave the address step.\n2. Prove that the revised error messages work for the guys using assistive technology."),
+		expect: { includes: ["1. Understand why users leave"], excludes: ["normal users", "prove that", "guys"], categories: ["Bias"] }
+	},
+	{
+		id: "description-personal-data-repeated",
+		mode: "description",
+		input: `${PERMIT_DESCRIPTION} Contact the service owner at owner@example.com.`,
+		model_output: reply("## Research focus\n\nApplicants abandon the address step. Contact owner@example.com for access."),
+		expect: { includes: ["[redacted]"], excludes: ["owner@example.com"], possible_personal_data: true }
+	},
+	{
+		id: "description-prose-around-json",
+		mode: "description",
+		input: PERMIT_DESCRIPTION,
+		model_output: `Here is the JSON you asked for:\n${reply("## Scope\n\nAddress capture and validation screens.")}\nLet me know if you need more.`,
+		expect: { includes: ["## Scope"], possible_personal_data: false }
+	},
+	{
+		id: "objectives-refusal-falls-back",
+		mode: "objectives",
+		input: PERMIT_OBJECTIVES,
+		model_output: "I'm sorry, I can't help with that.",
+		expect: { fallback: true }
+	},
+	{
+		id: "description-live",
+		mode: "description",
+		input: PERMIT_DESCRIPTION,
+		expect: { includes: ["## Research focus", "## Scope"], excludes: ["TBD"] }
+	},
+	{
+		id: "objectives-live",
+		mode: "objectives",
+		input: PERMIT_OBJECTIVES,
+		expect: { includes: ["1. Understand why applicants leave the address step."] }
+	}
+]);
@@ -0,0 +1,94 @@
+import { DEFAULTS } from "./config.js";
+import { PROMPT_RECORDS, promptMessages, selectPrompt } from "./prompts.js";
+import { localProvider } from "./providers.js";
+import { shapeModelOutput } from "./response.js";
+import { detectPII } from "./text.js";
+
+/**
+ * A recorded model answer and what the guardrails must make of it.
+ * Fixtures without `model_output` are answered by `provider` (the local
+ * stand-in by default) with the current prompt for their mode.
+ * @typedef {Object} EvalFixture
+ * @property {string} id
+ * @property {"description"|"objectives"} mode
+ * @property {string} input
+ * @property {string} [model_output] Raw model text as recorded.
+ * @property {{
+ *   fallback?: boolean,
+ *   includes?: string[],
+ *   excludes?: string[],
+ *   categories?: string[],
+ *   possible_personal_data?: boolean
+ * }} expect `fallback` means the output must be rejected for the rule-based answer.
+ */
+
+function checkFixture(fixture, body) {
+	const expect = fixture.expect || {};
+	const failures = [];
+	if (expect.fallback) {
+		if (body) failures.push("expected the output to be rejected for the rule-based fallback");
+		return failures;
+	}
+	if (!body) return ["the output was rejected for the rule-based fallback"];
+	for (const text of expect.includes || []) {
+		if (!body.rewrite.includes(text)) failures.push(`rewrite is missing "${text}"`);
+	}
+	for (const text of expect.excludes || []) {
+		if (body.rewrite.toLowerCase().includes(text.toLowerCase())) failures.push(`rewrite still contains "${text}"`);
+	}
+	const categories = new Set(body.suggestions.map(s => s.category));
+	for (const category of expect.categories || []) {
+		if (!categories.has(category)) failures.push(`no "${category}" suggestion`);
+	}
+	if (typeof expect.possible_personal_data === "boolean" && body.flags.possible_personal_data !== expect.possible_personal_data) {
+		failures.push(`possible_personal_data is ${body.flags.possible_personal_data}`);
+	}
+	return failures;
+}
+
+/**
+ * Prompt records whose text no longer matches the hash locked when they
+ * shipped, and records that have never been locked.
+ * @param {Record<string, string>} locks Prompt id to hash.
+ * @param {ReadonlyArray<{id:string, hash:string}>} [records]
+ * @returns {Array<{id:string, problem:string}>}
+ */
+export function checkPromptLocks(locks, records = PROMPT_RECORDS) {
+	const problems = [];
+	for (const record of records) {
+		if (!locks[record.id]) problems.push({ id: record.id, problem: `not locked; add "${record.id}": "${record.hash}" once its fixtures pass` });
+		else if (locks[record.id] !== record.hash) problems.push({ id: record.id, problem: "changed after it shipped; add a new version instead of editing it" });
+	}
+	return problems;
+}
+
+/**
+ * Replay fixtures through the same parsing and guardrails as the route and
+ * check each against its expectations. Run before a prompt change ships.
+ * @async
+ * @function evaluateFixtures
+ * @param {EvalFixture[]} fixtures
+ * @param {{locks?:Record<string, string>, provider?:import("./providers.js").RewriteProvider, pinned?:string, cfg?:object}} [options]
+ * @returns {Promise<{ok:boolean, prompts:Array<{id:string, problem:string}>, results:Array<{id:string, ok:boolean, prompt_version:string, model:string, failures:string[]}>}>}
+ */
+export async function evaluateFixtures(fixtures, { locks = null, provider = null, pinned = "", cfg = DEFAULTS } = {}) {
+	const stub = provider || localProvider(cfg);
+	const results = [];
+	for (const fixture of fixtures) {
+		const prompt = selectPrompt(fixture.mode, pinned);
+		const recorded = typeof fixture.model_output === "string";
+		let failures;
+		try {
+			const modelOutput = recorded ?
+				fixture.model_output :
+				await stub.complete({ mode: fixture.mode, input: fixture.input, messages: promptMessages(prompt, fixture.input), options: {} });
+			const body = shapeModelOutput({ mode: fixture.mode, input: fixture.input, modelOutput, hasPII: detectPII(fixture.input), cfg });
+			failures = checkFixture(fixture, body);
+		} catch (e) {
+			failures = [`the provider failed: ${String(e?.message || e)}`];
+		}
+		results.push({ id: fixture.id, ok: !failures.length, prompt_version: prompt.id, model: recorded ? "recorded" : stub.model, failures });
+	}
+	const prompts = locks ? checkPromptLocks(locks) : [];
+	return { ok: !prompts.length && results.every(result => result.ok), prompts, results };
+}
@@ -1,3 +1,5 @@
+import { DEFAULTS } from "./config.js";
+
 /**
  * High-level base instruction shared by both Description and Objectives modes.
  * @constant
@@ -141,3 +143,146 @@ export const SUGGESTION_LIBRARY = [
 	"• Measurability: Add measurable targets to 2 objectives. — Enables progress tracking. (high)",
 	"• Inclusion: Add accessibility-related testing where relevant (e.g., screen readers). — Ensures accessibility. (medium)"
 ].join("\n");
+
+/* =========================
+ * @section Output instructions
+ * ========================= */
+
+/**
+ * Build the JSON output instructions per mode: schema, constraints, a minimal
+ * example and the suggestion library, ending just before the verbatim input.
+ * @function outputInstructions
+ * @param {"description"|"objectives"} mode
+ * @returns {string}
+ */
+export function outputInstructions(mode) {
+	/** @const {string} */
+	const OUTPUT_SCHEMA_STR = JSON.stringify({
+		summary: "string (<= 300 chars). Brief overview of what to improve.",
+		suggestions: [{
+			category: "string (e.g., 'Style', 'Users & inclusion', 'Outcomes & measures', 'Scope', 'Risks')",
+			tip: "string (<= 160 chars). Concrete edit or addition.",
+			why: "string (<= 160 chars). Rationale for the tip.",
+			severity: "one of: 'high' | 'medium' | 'low'"
+		}],
+		rewrite: [
+			"string.",
+			mode === "objectives" ?
+			"Markdown numbered list of refined objectives when supported by the input; keep each objective concise and measurable where possible." :
+			"Concise, PII-free markdown rewrite using level 2 headings and short paragraphs or bullet lists. Use sections such as Research focus, Scope, Users and context, Research questions, Method and inclusion, Deliverables, Outcomes, Data handling and Success criteria. Do not use markdown tables."
+		].join(" ")
+	}, null, 2);
+
+	/** @const {string} */
+	const OUTPUT_EXAMPLE = JSON.stringify(
+		mode === "objectives" ? {
+			summary: "Tighten objectives; add measurable targets and timeframes.",
+			suggestions: [
+				{ category: "Measurability", tip: "Add numeric targets to 2 objectives.", why: "Enables progress tracking.", severity: "high" },
+				{ category: "Clarity", tip: "Start each objective with an action verb.", why: "Improves readability.", severity: "medium" }
+			],
+			rewrite: "1. Identify the top 3 blockers in the account proofing journey by end of Q2.\n2. Increase task completion for the ID check step by 15% within 3 months.\n3. Validate the revised error messages with at least 8 participants using screen readers.\n4. Produce a prioritised backlog of improvements agreed with policy and service design."
+		} : {
+			summary: "Clarify scope and outcomes; surface research questions; avoid PII.",
+			suggestions: [
+				{ category: "Scope", tip: "State what is in and out of scope.", why: "Prevents drift and sets clear boundaries.", severity: "high" },
+				{ category: "Research questions", tip: "List 2–4 key questions.", why: "Focuses method and analysis.", severity: "medium" },
+				{ category: "Outcomes & measures", tip: "Add a numeric target with a timeframe.", why: "Enables tracking of success.", severity: "high" }
+			],
+			rewrite: "## Research focus\n\nApplicants abandon the address step because instructions and error messages are unclear.\n\n## Scope\n\n- In scope: address capture and validation screens in the online flow.\n- Out of scope: payment provider changes.\n\n## Users and context\n\nFirst-time visa applicants on mobile, including people using screen readers and with low bandwidth.\n\n## Outcomes\n\nIdentify the top 3 blockers and reduce abandonment by 15% within the next quarter."
+		}, null, 2
+	);
+
+	/**
+	 * Provide the curated suggestion library so the model can pick relevant items.
+	 * Keep it after the schema/example to bias structured outputs first.
+	 * @const {string}
+	 */
+	const SUGGESTION_GUIDANCE = [
+		"Use the following suggestion patterns only if they apply to the input:",
+		SUGGESTION_LIBRARY
+	].join("\n\n");
+
+	return [
+		"Return JSON ONLY, matching this schema:",
+		OUTPUT_SCHEMA_STR,
+		"",
+		"Constraints:",
+		`- suggestions: max ${DEFAULTS.MAX_SUGGESTIONS} items; each tip/why <= ${DEFAULTS.MAX_SUGGESTION_LEN} chars; include a balanced mix across categories.`,
+		"- rewrite: include the complete rewrite in full; markdown is allowed inside rewrite; remove emails/NI/NHS numbers; no placeholders like 'lorem' or 'TBD'.",
+		"- Do not include markdown code fences or any text outside JSON.",
+		"",
+		"If unsure, still return valid JSON using best-effort values. Here is a minimal valid example:",
+		OUTPUT_EXAMPLE,
+		"",
+		SUGGESTION_GUIDANCE,
+		"",
+		"INPUT (verbatim):"
+	].join("\n");
+}
+
+/* =========================
+ * @section Versioned prompt records
+ * ========================= */
+
+/**
+ * FNV-1a hash of a prompt's text, so a record edited in place without a new
+ * version is caught by the evaluation harness (see ./evaluate.js).
+ * @function promptHash
+ * @param {{system:string, rules:string, instructions:string}} record
+ * @returns {string} 8 hex characters
+ */
+export function promptHash({ system, rules, instructions }) {
+	let hash = 0x811c9dc5;
+	for (const char of [system, rules, instructions].join("\u0000")) {
+		hash ^= char.codePointAt(0);
+		hash = Math.imul(hash, 0x01000193) >>> 0;
+	}
+	return hash.toString(16).padStart(8, "0");
+}
+
+function promptRecord(mode, version, createdAt, system, rules, instructions) {
+	const record = { id: `${mode}@${version}`, mode, version, created_at: createdAt, system, rules, instructions };
+	return Object.freeze({ ...record, hash: promptHash(record) });
+}
+
+/**
+ * Every prompt the rewrite has shipped with, oldest first. Records are never
+ * edited: a prompt change is a new record with the next version, which the
+ * evaluation harness replays before it ships.
+ * @constant
+ * @name PROMPT_RECORDS
+ * @type {ReadonlyArray<Readonly<{id:string, mode:"description"|"objectives", version:number, created_at:string, system:string, rules:string, instructions:string, hash:string}>>}
+ */
+export const PROMPT_RECORDS = Object.freeze([
+	promptRecord("description", 1, "2026-10-18", DESC_SYSTEM_PROMPT, rulesPromptForMode("description"), outputInstructions("description")),
+	promptRecord("objectives", 1, "2026-10-18", OBJ_SYSTEM_PROMPT, rulesPromptForMode("objectives"), outputInstructions("objectives"))
+]);
+
+/**
+ * The prompt record for a mode: the version pinned in `AI_PROMPT_VERSIONS`
+ * (e.g. "description@1,objectives@1") when it exists, otherwise the latest.
+ * @function selectPrompt
+ * @param {"description"|"objectives"} mode
+ * @param {string} [pinned] Comma-separated `mode@version` ids
+ * @returns {(typeof PROMPT_RECORDS)[number]}
+ */
+export function selectPrompt(mode, pinned = "") {
+	const records = PROMPT_RECORDS.filter(record => record.mode === mode);
+	const pins = String(pinned || "").split(",").map(id => id.trim());
+	return records.find(record => pins.includes(record.id)) || records[records.length - 1];
+}
+
+/**
+ * The chat messages a prompt record sends for an input.
+ * @function promptMessages
+ * @param {(typeof PROMPT_RECORDS)[number]} prompt
+ * @param {string} input
+ * @returns {Array<{role:"system"|"user", content:string}>}
+ */
+export function promptMessages(prompt, input) {
+	return [
+		{ role: "system", content: prompt.system },
+		{ role: "user", content: `${prompt.rules}\n\n${prompt.instructions}\n${input}` }
+	];
+}
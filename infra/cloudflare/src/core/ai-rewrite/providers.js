@@ -0,0 +1,99 @@
+import { buildFallbackResponse } from "./fallback.js";
+
+/**
+ * A model the rewrite can call. `complete` resolves to the raw model text,
+ * which the route parses and runs through the guardrails whichever provider
+ * produced it.
+ * @typedef {Object} RewriteProvider
+ * @property {"workers-ai"|"openai-compatible"|"local"} name
+ * @property {string} model
+ * @property {boolean} available False when the provider is not configured.
+ * @property {(request:{mode:"description"|"objectives", input:string, messages:Array<{role:string, content:string}>, options:object}) => Promise<string>} complete
+ */
+
+/**
+ * Cloudflare Workers AI via the `AI` binding.
+ * @function workersAiProvider
+ * @param {Env} env
+ * @param {{MODEL_FALLBACK:string}} cfg
+ * @returns {RewriteProvider}
+ */
+export function workersAiProvider(env, cfg) {
+	const model = env.MODEL || cfg.MODEL_FALLBACK;
+	return {
+		name: "workers-ai",
+		model,
+		available: Boolean(env.AI && typeof env.AI.run === "function"),
+		async complete({ messages, options }) {
+			const resp = await env.AI.run(model, { messages, ...options });
+			return typeof resp === "string" ? resp : (resp?.response || resp?.result || "");
+		}
+	};
+}
+
+/**
+ * Any endpoint that speaks the OpenAI chat completions API, such as a
+ * hosted model or a self-hosted server. `AI_ENDPOINT` is the base URL the
+ * `/chat/completions` path is added to; `AI_API_KEY` is optional for
+ * servers that do not check it.
+ * @function openAiCompatibleProvider
+ * @param {Env} env
+ * @param {{TIMEOUT_MS:number}} cfg
+ * @returns {RewriteProvider}
+ */
+export function openAiCompatibleProvider(env, cfg) {
+	const endpoint = String(env.AI_ENDPOINT || "").replace(/\/+$/, "");
+	const model = String(env.AI_MODEL || "");
+	return {
+		name: "openai-compatible",
+		model,
+		available: Boolean(endpoint && model),
+		async complete({ messages, options }) {
+			const headers = { "content-type": "application/json" };
+			if (env.AI_API_KEY) headers.authorization = `Bearer ${env.AI_API_KEY}`;
+			const res = await fetch(`${endpoint}/chat/completions`, {
+				method: "POST",
+				headers,
+				body: JSON.stringify({ model, messages, ...options }),
+				signal: AbortSignal.timeout(cfg.TIMEOUT_MS)
+			});
+			if (!res.ok) throw new Error(`AI endpoint ${res.status}`);
+			const body = await res.json();
+			return String(body?.choices?.[0]?.message?.content || "");
+		}
+	};
+}
+
+/**
+ * Deterministic stand-in for a model, for tests and local development. It
+ * answers in the model's JSON shape with the rule-based review of the input,
+ * so responses still pass through the guardrails.
+ * @function localProvider
+ * @param {object} cfg
+ * @returns {RewriteProvider}
+ */
+export function localProvider(cfg) {
+	return {
+		name: "local",
+		model: "local-stub",
+		available: true,
+		async complete({ mode, input }) {
+			const { summary, suggestions, rewrite } = buildFallbackResponse({ mode, input, hasPII: false, cfg });
+			return JSON.stringify({ summary, suggestions, rewrite });
+		}
+	};
+}
+
+/**
+ * The provider named by `AI_PROVIDER`; Workers AI when unset or unknown.
+ * @function resolveProvider
+ * @param {Env} env
+ * @param {object} cfg
+ * @returns {RewriteProvider}
+ */
+export function resolveProvider(env, cfg) {
+	const name = String(env.AI_PROVIDER || "").trim().toLowerCase();
+	if (name === "openai-compatible") return openAiCompatibleProvider(env, cfg);
+	if (name === "local") return localProvider(cfg);
+	return workersAiProvider(env, cfg);
+}
@@ -0,0 +1,95 @@
+import { auditForBias, neutraliseInventedMethods, neutraliseInventedQuantifiers } from "./guardrails.js";
+import { clamp, detectPII, safeParseJSON, sanitizeRewrite } from "./text.js";
+
+/**
+ * Turn raw model text into the rewrite response: trim prose around the JSON,
+ * clamp the suggestions, then apply the quantifier, method and bias
+ * guardrails and a final PII sweep. The route and the evaluation harness
+ * both go through here, so a fixture replays exactly what users would see.
+ *
+ * @function shapeModelOutput
+ * @param {{mode:"description"|"objectives", input:string, modelOutput:string, hasPII:boolean, cfg:object}} params
+ * @returns {{summary:string, suggestions:Array, rewrite:string, flags:{possible_personal_data:boolean}}|null}
+ *   Null when the output is unusable and the rule-based fallback should answer instead.
+ */
+export function shapeModelOutput({ mode, input, modelOutput, hasPII, cfg }) {
+	let output = String(modelOutput || "");
+
+	// Trim any accidental prose around JSON
+	const first = output.indexOf("{");
+	const last = output.lastIndexOf("}");
+	if (first !== -1 && last !== -1 && last > first) {
+		output = output.slice(first, last + 1);
+	}
+
+	// Parse + clamp + sanitize
+	const parsed = safeParseJSON(output);
+	if (!Array.isArray(parsed.suggestions) && typeof parsed.rewrite !== "string" && typeof parsed.summary !== "string") {
+		return null;
+	}
+
+	let suggestions = Array.isArray(parsed.suggestions) ?
+		parsed.suggestions
+		.slice(0, cfg.MAX_SUGGESTIONS)
+		.map(s => ({
+			category: typeof s?.category === "string" ? s.category : "General",
+			tip: clamp(typeof s?.tip === "string" ? s.tip : "", cfg.MAX_SUGGESTION_LEN),
+			why: clamp(typeof s?.why === "string" ? s.why : "", cfg.MAX_SUGGESTION_LEN),
+			severity: ["high", "medium", "low"].includes(s?.severity) ? s?.severity : "medium"
+		}))
+		.filter(s => s.tip.trim().length > 0) : [];
+
+	let rewrite = sanitizeRewrite(typeof parsed.rewrite === "string" ? parsed.rewrite : "");
+
+	// === Post-processing guardrail for invented metrics/timeframes/methods ===
+	// Compare rewrite vs input; neutralise invented quantifiers and add notes.
+	const { text: cleanedRewrite, notes } = neutraliseInventedQuantifiers(rewrite, input);
+	// Remove invented method specifics not present in input
+	rewrite = neutraliseInventedMethods(cleanedRewrite, input);
+
+	// Merge quantifier notes into suggestions without exceeding MAX_SUGGESTIONS
+	if (notes.length) {
+		const remainingSlots = Math.max(0, cfg.MAX_SUGGESTIONS - suggestions.length);
+		const toAdd = notes.slice(0, remainingSlots);
+		suggestions = suggestions.concat(
+			toAdd.map(n => ({
+				category: n.category,
+				tip: clamp(n.tip, cfg.MAX_SUGGESTION_LEN),
+				why: clamp(n.why, cfg.MAX_SUGGESTION_LEN),
+				severity: n.severity
+			}))
+		);
+	}
+
+	// Bias audit (neutralises phrasing + adds suggestion items)
+	const { text: biasFixed, issues: biasIssues } = auditForBias(rewrite, input);
+	rewrite = biasFixed;
+
+	if (biasIssues.length) {
+		const remaining = Math.max(0, cfg.MAX_SUGGESTIONS - suggestions.length);
+		suggestions = suggestions.concat(
+			biasIssues.slice(0, remaining).map(i => ({
+				category: i.category,
+				tip: clamp(i.tip, cfg.MAX_SUGGESTION_LEN),
+				why: clamp(i.why, cfg.MAX_SUGGESTION_LEN),
+				severity: i.severity
+			}))
+		);
+	}
+
+	if (!rewrite) return null;
+
+	// Final PII sweep on rewrite
+	if (detectPII(rewrite)) {
+		rewrite = sanitizeRewrite(rewrite);
+	}
+
+	return {
+		summary: typeof parsed.summary === "string" ?
+			clamp(parsed.summary, 300) : mode === "objectives" ?
+			"Suggestions to strengthen your Initial Objectives" : "Suggestions to strengthen your Description",
+		suggestions,
+		rewrite,
+		flags: { possible_personal_data: hasPII }
+	};
+}
@@ -79,6 +79,8 @@ export const PARTICIPANT_FIELDS = {
 
 export const SESSION_FIELDS = {
 	study_link: ["Study", "Studies", "Project Study"],
+	// Lookup of the linked study's RECORD_ID(); formulas only see a link's primary-field values.
+	study_record_id: ["Study Record ID", "Study ID"],
 	participant_link: ["Participant", "Participants"],
 	starts_at: ["Starts At", "Start", "Start Time"],
 	duration_min: ["Duration (min)", "Duration"],
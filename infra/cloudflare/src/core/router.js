@@ -329,14 +329,17 @@ export async function handleRequest(request, env) {
 
 			if (url.pathname === "/api/partials" && request.method === "GET") return service.listPartials(origin);
 			if (url.pathname === "/api/partials" && request.method === "POST") return service.createPartial(request, origin);
+			if (url.pathname === "/api/partials/graph" && request.method === "GET") return service.readPartialGraph(origin);
 			if (url.pathname.startsWith("/api/partials/")) {
 				const parts = url.pathname.split("/").filter(Boolean);
 				if (parts.length === 3) {
 					const partialId = decodeURIComponent(parts[2]);
 					if (request.method === "GET") return service.readPartial(origin, partialId);
 					if (request.method === "PATCH") return service.updatePartial(request, origin, partialId);
-					if (request.method === "DELETE") return service.deletePartial(origin, partialId);
+					if (request.method === "DELETE") return service.deletePartial(origin, partialId, url);
 				}
+				if (parts.length === 4 && parts[3] === "usage" && request.method === "GET") return service.readPartialUsage(origin, decodeURIComponent(parts[2]));
+				if (parts.length === 4 && parts[3] === "versions" && request.method === "POST") return service.createPartialVersion(request, origin, decodeURIComponent(parts[2]));
 			}
 
 			if (url.pathname === "/api/participants/contact" && request.method === "GET" && typeof service.revealParticipantContact === "function") return service.revealParticipantContact(request, origin, url);
@@ -367,6 +370,7 @@ export async function handleRequest(request, env) {
 			if (url.pathname === "/api/card-sorts/config" && request.method === "POST") return service.saveCardSortConfig(request, origin);
 			if (url.pathname === "/api/card-sorts/results" && request.method === "GET") return service.listCardSortResults(origin, url);
 			if (url.pathname === "/api/card-sorts/results" && request.method === "POST") return service.createCardSortResult(request, origin);
+			if (url.pathname === "/api/card-sorts/analysis" && request.method === "GET") return service.getCardSortAnalysis(origin, url);
 			if (url.pathname.startsWith("/api/card-sorts/results/")) {
 				const m = url.pathname.match(/^\/api\/card-sorts\/results\/([^/]+)$/);
 				if (m && request.method === "PATCH") return service.updateCardSortResult(request, origin, decodeURIComponent(m[1]));
@@ -376,12 +380,19 @@ export async function handleRequest(request, env) {
 			if (url.pathname === "/api/tree-tests/config" && request.method === "POST") return service.saveTreeTestConfig(request, origin);
 			if (url.pathname === "/api/tree-tests/results" && request.method === "GET") return service.listTreeTestResults(origin, url);
 			if (url.pathname === "/api/tree-tests/results" && request.method === "POST") return service.createTreeTestResult(request, origin);
+			if (url.pathname === "/api/tree-tests/analysis" && request.method === "GET") return service.getTreeTestAnalysis(origin, url);
 			if (url.pathname.startsWith("/api/tree-tests/results/")) {
 				const m = url.pathname.match(/^\/api\/tree-tests\/results\/([^/]+)$/);
 				if (m && request.method === "PATCH") return service.updateTreeTestResult(request, origin, decodeURIComponent(m[1]));
 			}
 
 			if (url.pathname === "/api/comms/send" && request.method === "POST" && typeof service.sendComms === "function") return service.sendComms(request, origin);
+			if (url.pathname === "/api/comms/outbox" && request.method === "GET") return service.listCommsOutbox(origin, url);
+			if (url.pathname === "/api/comms/callback" && request.method === "POST") return service.commsDeliveryCallback(request, origin);
+			if (url.pathname === "/api/session-reminders/preferences" && request.method === "GET") return service.getReminderPreferences(origin, url);
+			if (url.pathname === "/api/session-reminders/preferences" && request.method === "POST") return service.saveReminderPreferences(request, origin, url);
+			if (url.pathname === "/api/session-reminders/run" && request.method === "POST") return service.runSessionRemindersNow(request, origin, url);
+			if (url.pathname === "/api/researchers/sessions.ics" && request.method === "GET") return service.researcherSessionsFeed(origin, url);
 
 			if (url.pathname.startsWith("/api/mural/") && url.pathname !== "/api/mural/callback") {
 				return new Response(json({ error: "Not found", path: url.pathname }), {
@@ -2,7 +2,11 @@
  * @file lib/mural.js
  * @module lib/mural
  * @summary Mural API client library with OAuth2, workspace, room, and mural management.
- * @version 2.5.0
+ * @version 2.6.0
+ *
+ * 2.6.0:
+ *  - Add createArea(), updateArea(), createTitle() and deleteWidget() for laying out
+ *    synthesis affinity maps.
  *
  * 2.5.0:
  *  - Wire updateAreaTitle() to use the official "Update a title on a mural" endpoint:
@@ -794,6 +798,58 @@ export async function updateTitleWidget(env, accessToken, muralId, widgetId, tit
 	return js;
 }
 
+/* ───────────────── Areas, titles and removal ───────────────── */
+
+async function muralWrite(accessToken, method, url, body, label) {
+	const res = await fetch(url, {
+		method,
+		headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json" },
+		body: JSON.stringify(body)
+	});
+	const js = await res.json().catch(() => ({}));
+	if (!res.ok) {
+		throw Object.assign(new Error(`${label} failed: ${res.status}`), {
+			status: res.status,
+			body: js
+		});
+	}
+	return js;
+}
+
+export async function createArea(env, accessToken, muralId, { title, x, y, width, height }) {
+	const url = `https://app.mural.co/api/public/v1/murals/${muralId}/widgets/area`;
+	return muralWrite(accessToken, "POST", url, { title, x, y, width, height, layout: "free" }, "Create area");
+}
+
+export async function updateArea(env, accessToken, muralId, widgetId, patch) {
+	const url = `https://app.mural.co/api/public/v1/murals/${muralId}/widgets/area/${widgetId}`;
+	return muralWrite(accessToken, "PATCH", url, patch, "Update area");
+}
+
+export async function createTitle(env, accessToken, muralId, { text, x, y, width = 600 }) {
+	const url = `https://app.mural.co/api/public/v1/murals/${muralId}/widgets/title`;
+	return muralWrite(accessToken, "POST", url, { text, x, y, width }, "Create title");
+}
+
+/**
+ * Delete a widget. A widget that is already gone counts as deleted.
+ */
+export async function deleteWidget(env, accessToken, muralId, widgetId) {
+	const url = `https://app.mural.co/api/public/v1/murals/${muralId}/widgets/${widgetId}`;
+	const res = await fetch(url, {
+		method: "DELETE",
+		headers: { Authorization: `Bearer ${accessToken}` }
+	});
+	if (!res.ok && res.status !== 404) {
+		const js = await res.json().catch(() => ({}));
+		throw Object.assign(new Error(`Delete widget failed: ${res.status}`), {
+			status: res.status,
+			body: js
+		});
+	}
+	return true;
+}
+
 export function normaliseWidgets(widgets) {
 	if (!Array.isArray(widgets)) return [];
 	return widgets.map(w => ({
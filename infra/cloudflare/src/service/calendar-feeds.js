@@ -0,0 +1,372 @@
+/**
+ * @file src/service/calendar-feeds.js
+ * @module service/calendar-feeds
+ * @summary Tokenised iCalendar subscription feeds for a study's sessions and for a researcher's sessions across projects.
+ *
+ * Endpoints covered:
+ * - GET    /api/calendar-feeds[?study=<AirtableStudyId>]   feeds the signed-in user can see
+ * - POST   /api/calendar-feeds                             { scope: "study" | "researcher", study_id?, label? }
+ * - DELETE /api/calendar-feeds/:id                         revoke
+ * - GET    /api/studies/:id/sessions.ics?token=            public, token-checked
+ * - GET    /api/researchers/sessions.ics?token=            public, token-checked
+ *
+ * Calendar clients cannot sign in, so each feed URL carries a random token.
+ * Only its SHA-256 hash is stored and the token is shown once, when the feed
+ * is created. Feeds never include participant names or contact details.
+ *
+ * Calendar clients poll often, so a rendered feed is kept in `SESSION_KV`
+ * under its feed id for as long as responses say they may be cached. The
+ * token is still checked on every request and revoking drops the copy.
+ */
+
+import { buildCalendarFeed, sessionEventUid } from "./internals/ics.js";
+import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
+import { fetchWindowSessions, sessionNamesResearcher } from "./internals/session-records.js";
+
+const FEEDS_TABLE = "rops_calendar_feeds";
+const SCOPES = new Set(["study", "researcher"]);
+const PAST_WINDOW_MS = 30 * 24 * 60 * 60_000;
+const IN_CHUNK = 50;
+const FEED_CACHE_SECONDS = 300;
+
+function hasD1(svc) { return Boolean(svc?.env?.RESEARCHOPS_D1?.prepare); }
+function nowIso() { return new Date().toISOString(); }
+function text(value) { return String(value ?? "").trim(); }
+function feedId() { return `cal_${crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}_${Math.random().toString(16).slice(2)}`}`; }
+function unavailable(svc, origin) { return svc.json({ ok: false, error: "calendar_feeds_unavailable", message: "Calendar feeds are not available right now." }, 503, svc.corsHeaders(origin)); }
+function notFound(svc, origin) { return new Response("Calendar feed not found", { status: 404, headers: { "Content-Type": "text/plain; charset=utf-8", ...svc.corsHeaders(origin) } }); }
+
+async function ensureTables(svc) {
+	if (!hasD1(svc)) throw new Error("RESEARCHOPS_D1 binding not available");
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${FEEDS_TABLE} (id TEXT PRIMARY KEY, token_hash TEXT NOT NULL UNIQUE, scope TEXT NOT NULL, study_id TEXT, owner_user_id TEXT NOT NULL, owner_email TEXT, owner_name TEXT, label TEXT, created_at TEXT NOT NULL, revoked_at TEXT, last_used_at TEXT)`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_calendar_feeds_owner ON ${FEEDS_TABLE} (owner_user_id, revoked_at)`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_calendar_feeds_study ON ${FEEDS_TABLE} (study_id, revoked_at)`);
+}
+
+function newToken() {
+	const bytes = crypto.getRandomValues(new Uint8Array(32));
+	let binary = "";
+	for (const byte of bytes) binary += String.fromCharCode(byte);
+	return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+async function hashToken(token) {
+	const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(token));
+	return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+function feedPath(row) {
+	return row.scope === "study"
+		? `/api/studies/${encodeURIComponent(row.study_id)}/sessions.ics`
+		: "/api/researchers/sessions.ics";
+}
+
+function feedDto(row) {
+	return {
+		id: row.id,
+		scope: row.scope,
+		study_id: row.study_id || "",
+		label: row.label || "",
+		owner_user_id: row.owner_user_id,
+		created_at: row.created_at,
+		last_used_at: row.last_used_at || "",
+		revoked_at: row.revoked_at || ""
+	};
+}
+
+function holds(authContext, code) {
+	return (authContext?.permissions || []).some((permission) => permission?.code === code);
+}
+
+/**
+ * Rows matching `column IN (...)`, queried in chunks to stay under D1's bound parameter limit.
+ * Missing optional tables read as empty.
+ */
+async function rowsIn(svc, sql, ids) {
+	const unique = [...new Set(ids.filter(Boolean))];
+	const rows = [];
+	for (let i = 0; i < unique.length; i += IN_CHUNK) {
+		const chunk = unique.slice(i, i + IN_CHUNK);
+		try {
+			rows.push(...await d1All(svc.env, sql.replace("(?)", `(${chunk.map(() => "?").join(", ")})`), chunk));
+		} catch (e) {
+			if (!/no such table/i.test(String(e?.message || e))) throw e;
+		}
+	}
+	return rows;
+}
+
+/**
+ * Calendar events for sessions: SEQUENCE from the reminder calendar table,
+ * pseudonymous participant refs, study titles and support people as attendees.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Array<ReturnType<typeof import("./internals/session-records.js").sessionFromRecord>>} sessions
+ * @param {{ withStudyTitle?: boolean }} [options]
+ */
+export async function sessionFeedEvents(svc, sessions, options = {}) {
+	const sessionIds = sessions.map((session) => session.id);
+	const studyIds = sessions.map((session) => session.study_id);
+	const participantIds = sessions.map((session) => session.participant_id);
+
+	const sequences = new Map((await rowsIn(svc, "SELECT session_id, sequence FROM rops_session_calendar WHERE session_id IN (?)", sessionIds))
+		.map((row) => [row.session_id, Number(row.sequence || 0)]));
+	const refs = new Map();
+	for (const row of await rowsIn(svc, "SELECT id, participant_airtable_id, participant_ref FROM rops_participants_cache WHERE active = 1 AND participant_airtable_id IN (?)", participantIds)) {
+		refs.set(row.participant_airtable_id, row.participant_ref || "");
+	}
+	const titles = new Map(options.withStudyTitle
+		? (await rowsIn(svc, "SELECT id, title FROM rops_studies_cache WHERE active = 1 AND id IN (?)", studyIds)).map((row) => [row.id, row.title || ""])
+		: []);
+	const attendees = new Map();
+	for (const row of await rowsIn(svc, "SELECT study_id, name, role, email FROM rops_study_support_people WHERE active = 1 AND attendance_scope = 'all_sessions' AND email IS NOT NULL AND email <> '' AND study_id IN (?)", studyIds)) {
+		if (!attendees.has(row.study_id)) attendees.set(row.study_id, []);
+		attendees.get(row.study_id).push({ name: row.name, email: row.email, role: row.role === "observer" ? "OPT-PARTICIPANT" : "REQ-PARTICIPANT" });
+	}
+
+	return sessions.map((session) => {
+		const start = new Date(session.starts_at);
+		const end = session.ended_at ? new Date(session.ended_at) : new Date(start.getTime() + (Number(session.duration_min) || 60) * 60_000);
+		const ref = refs.get(session.participant_id);
+		const title = titles.get(session.study_id);
+		const description = [
+			session.type ? `Session type: ${session.type}` : "",
+			session.location_or_link ? `Join/arrive: ${session.location_or_link}` : "",
+			session.researchers ? `Researchers: ${session.researchers}` : "",
+			session.backup_contact ? `Backup contact: ${session.backup_contact}` : ""
+		].filter(Boolean).join("\n");
+		return {
+			uid: sessionEventUid(session.id),
+			sequence: sequences.get(session.id) || 0,
+			start,
+			end,
+			summary: `Research session${ref ? ` – ${ref}` : ""}${title ? ` (${title})` : ""}`,
+			description,
+			location: session.location_or_link,
+			status: session.status === "cancelled" ? "CANCELLED" : "CONFIRMED",
+			attendees: attendees.get(session.study_id) || []
+		};
+	});
+}
+
+async function readFeed(svc, token, scope) {
+	if (!token) return null;
+	await ensureTables(svc);
+	const row = await d1Get(svc.env, `SELECT * FROM ${FEEDS_TABLE} WHERE token_hash = ? AND scope = ? AND revoked_at IS NULL LIMIT 1`, [await hashToken(token), scope]);
+	if (row) await d1Run(svc.env, `UPDATE ${FEEDS_TABLE} SET last_used_at = ? WHERE id = ?`, [nowIso(), row.id]).catch(() => {});
+	return row;
+}
+
+/**
+ * Sessions from the last 30 days onwards that match `match` (see
+ * `fetchWindowSessions`) and `filter`.
+ */
+async function upcomingSessions(svc, match, filter) {
+	const after = new Date(Date.now() - PAST_WINDOW_MS).toISOString();
+	return (await fetchWindowSessions(svc, { ...match, after }))
+		.filter(filter)
+		.sort((a, b) => Date.parse(a.starts_at) - Date.parse(b.starts_at));
+}
+
+function feedCacheKey(feedId) { return `calendar-feed:${feedId}`; }
+function feedCache(svc) { const kv = svc.env.SESSION_KV; return kv && typeof kv.get === "function" ? kv : null; }
+
+/**
+ * The feed's rendered body from the cache, or `render()` stored for next time.
+ * Cache failures only cost a render.
+ */
+async function cachedFeedBody(svc, feed, render) {
+	const kv = feedCache(svc);
+	if (!kv) return render();
+	const key = feedCacheKey(feed.id);
+	try {
+		const cached = await kv.get(key);
+		if (cached) return cached;
+	} catch (e) {
+		svc.log.warn("calendar_feed.cache.read.fail", { detail: String(e?.message || e) });
+	}
+	const body = await render();
+	try {
+		await kv.put(key, body, { expirationTtl: FEED_CACHE_SECONDS });
+	} catch (e) {
+		svc.log.warn("calendar_feed.cache.write.fail", { detail: String(e?.message || e) });
+	}
+	return body;
+}
+
+function icsResponse(svc, origin, body, filename) {
+	return new Response(body, {
+		status: 200,
+		headers: {
+			"Content-Type": "text/calendar; charset=utf-8",
+			"Content-Disposition": `inline; filename="${filename}"`,
+			"Cache-Control": `private, max-age=${FEED_CACHE_SECONDS}`,
+			...svc.corsHeaders(origin)
+		}
+	});
+}
+
+/**
+ * GET /api/studies/:id/sessions.ics?token=
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {URL} url
+ * @param {string} studyId
+ * @returns {Promise<Response>}
+ */
+export async function studySessionsFeed(svc, origin, url, studyId) {
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		const feed = await readFeed(svc, text(url.searchParams.get("token")), "study");
+		if (!feed || feed.study_id !== studyId) return notFound(svc, origin);
+		const body = await cachedFeedBody(svc, feed, async () => {
+			const sessions = await upcomingSessions(svc, { studyIds: [studyId] }, (session) => session.study_id === studyId);
+			const title = (await rowsIn(svc, "SELECT id, title FROM rops_studies_cache WHERE active = 1 AND id IN (?)", [studyId]))[0]?.title;
+			return buildCalendarFeed({ name: `${title || "Study"} sessions`, events: await sessionFeedEvents(svc, sessions) });
+		});
+		return icsResponse(svc, origin, body, `study-${studyId}-sessions.ics`);
+	} catch (e) {
+		svc.log.error("calendar_feed.study.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * Whether a session involves the researcher who owns a feed: named exactly in
+ * the session's Researchers field, or attending all sessions of its study.
+ * @param {{ researchers?: string, study_id: string }} session
+ * @param {{ owner_email?: string, owner_name?: string }} feed
+ * @param {Set<string>} supportStudies
+ */
+export function sessionInvolvesResearcher(session, feed, supportStudies) {
+	return supportStudies.has(session.study_id)
+		|| sessionNamesResearcher(session, { email: feed.owner_email, name: feed.owner_name });
+}
+
+/**
+ * GET /api/researchers/sessions.ics?token=
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {URL} url
+ * @returns {Promise<Response>}
+ */
+export async function researcherSessionsFeed(svc, origin, url) {
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		const feed = await readFeed(svc, text(url.searchParams.get("token")), "researcher");
+		if (!feed) return notFound(svc, origin);
+		const body = await cachedFeedBody(svc, feed, async () => {
+			const supportStudies = new Set(feed.owner_email
+				? (await rowsIn(svc, "SELECT study_id FROM rops_study_support_people WHERE active = 1 AND attendance_scope = 'all_sessions' AND lower(email) IN (?)", [text(feed.owner_email).toLowerCase()])).map((row) => row.study_id)
+				: []);
+			const match = { studyIds: [...supportStudies], researcher: { email: text(feed.owner_email), name: text(feed.owner_name) } };
+			const sessions = match.studyIds.length || match.researcher.email || match.researcher.name
+				? await upcomingSessions(svc, match, (session) => sessionInvolvesResearcher(session, feed, supportStudies))
+				: [];
+			return buildCalendarFeed({ name: `${feed.owner_name || "My"} research sessions`, events: await sessionFeedEvents(svc, sessions, { withStudyTitle: true }) });
+		});
+		return icsResponse(svc, origin, body, "research-sessions.ics");
+	} catch (e) {
+		svc.log.error("calendar_feed.researcher.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * GET /api/calendar-feeds[?study=] — active feeds for a study plus the caller's researcher feeds.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {URL} url
+ * @param {any} authContext
+ * @returns {Promise<Response>}
+ */
+export async function listCalendarFeeds(svc, origin, url, authContext) {
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	const studyId = text(url.searchParams.get("study"));
+	const userId = text(authContext?.user?.id);
+	try {
+		await ensureTables(svc);
+		const rows = await d1All(svc.env, `SELECT * FROM ${FEEDS_TABLE} WHERE revoked_at IS NULL AND ((scope = 'study' AND study_id = ?) OR (scope = 'researcher' AND owner_user_id = ?)) ORDER BY created_at DESC`, [studyId, userId]);
+		return svc.json({ ok: true, feeds: rows.map(feedDto) }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.calendar_feeds.list.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * POST /api/calendar-feeds — create a feed and return its subscription URL once.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {any} authContext
+ * @returns {Promise<Response>}
+ */
+export async function createCalendarFeed(svc, request, origin, authContext) {
+	const body = await request.arrayBuffer();
+	if (body.byteLength > svc.cfg.MAX_BODY_BYTES) return svc.json({ error: "Payload too large" }, 413, svc.corsHeaders(origin));
+	let p;
+	try { p = JSON.parse(new TextDecoder().decode(body)); } catch {
+		return svc.json({ error: "Invalid JSON" }, 400, svc.corsHeaders(origin));
+	}
+	const scope = text(p.scope).toLowerCase();
+	if (!SCOPES.has(scope)) return svc.json({ error: "scope must be study or researcher" }, 400, svc.corsHeaders(origin));
+	const studyId = text(p.study_id);
+	if (scope === "study" && !studyId) return svc.json({ error: "Missing fields: study_id" }, 400, svc.corsHeaders(origin));
+	const user = authContext?.user || {};
+	if (!user.id) return svc.json({ ok: false, error: "authentication_required" }, 401, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return unavailable(svc, origin);
+
+	const token = newToken();
+	const row = {
+		id: feedId(),
+		scope,
+		study_id: scope === "study" ? studyId : null,
+		owner_user_id: String(user.id),
+		owner_email: text(user.email) || null,
+		owner_name: text(user.displayName) || null,
+		label: text(p.label).slice(0, 120) || null,
+		created_at: nowIso()
+	};
+	try {
+		await ensureTables(svc);
+		await d1Run(svc.env, `INSERT INTO ${FEEDS_TABLE} (id, token_hash, scope, study_id, owner_user_id, owner_email, owner_name, label, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`, [row.id, await hashToken(token), row.scope, row.study_id, row.owner_user_id, row.owner_email, row.owner_name, row.label, row.created_at]);
+	} catch (e) {
+		svc.log.error("d1.calendar_feeds.create.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+	const feedUrl = `${new URL(request.url).origin}${feedPath(row)}?token=${encodeURIComponent(token)}`;
+	return svc.json({ ok: true, feed: feedDto(row), url: feedUrl, webcal_url: feedUrl.replace(/^https?:/, "webcal:") }, 201, svc.corsHeaders(origin));
+}
+
+/**
+ * DELETE /api/calendar-feeds/:id — revoke a feed. Owners can revoke their own
+ * feeds; people who manage the study can revoke any of its study feeds.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {string} id
+ * @param {any} authContext
+ * @returns {Promise<Response>}
+ */
+export async function revokeCalendarFeed(svc, origin, id, authContext) {
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		await ensureTables(svc);
+		const row = await d1Get(svc.env, `SELECT * FROM ${FEEDS_TABLE} WHERE id = ? AND revoked_at IS NULL LIMIT 1`, [id]);
+		if (!row) return svc.json({ ok: false, error: "not_found" }, 404, svc.corsHeaders(origin));
+		const owner = row.owner_user_id === text(authContext?.user?.id);
+		if (!owner && !(row.scope === "study" && holds(authContext, "study.manage"))) {
+			return svc.json({ ok: false, error: "permission_denied", message: "Only the person who created this feed can revoke it." }, 403, svc.corsHeaders(origin));
+		}
+		const revokedAt = nowIso();
+		await d1Run(svc.env, `UPDATE ${FEEDS_TABLE} SET revoked_at = ? WHERE id = ?`, [revokedAt, id]);
+		try {
+			await feedCache(svc)?.delete(feedCacheKey(id));
+		} catch {
+			/* the cached copy expires on its own and the token no longer resolves */
+		}
+		return svc.json({ ok: true, feed: feedDto({ ...row, revoked_at: revokedAt }) }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.calendar_feeds.revoke.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
@@ -13,8 +13,10 @@
  * - GET    /api/card-sorts/results?study=<StudyId>[&session=<SessionId>]
  * - POST   /api/card-sorts/results
  * - PATCH  /api/card-sorts/results/:id
+ * - GET    /api/card-sorts/analysis?study=<StudyId>
  */
 
+import { analyseCardSort } from "./card-sorts/analysis.js";
 import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
 
 const CONFIG_TABLE = "rops_card_sort_configs";
@@ -386,3 +388,33 @@ export async function updateCardSortResult(svc, request, origin, id) {
 		return unavailableResponse(svc, origin, String(err?.message || err));
 	}
 }
+
+/**
+ * Analyse a study's completed card sorts: similarity matrix, hierarchical
+ * clustering (dendrogram), standardised categories and per-card agreement.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {URL} url
+ * @returns {Promise<Response>}
+ */
+export async function getCardSortAnalysis(svc, origin, url) {
+	const studyId = String(url.searchParams.get("study") || "").trim();
+	if (!studyId) {
+		return svc.json({ ok: false, error: "Missing study query" }, 400, svc.corsHeaders(origin));
+	}
+	if (!hasD1(svc)) return unavailableResponse(svc, origin);
+	try {
+		await ensureTables(svc);
+		const config = configRowToDto(await d1Get(svc.env, `SELECT * FROM ${CONFIG_TABLE} WHERE study_id = ? LIMIT 1`, [studyId]));
+		const rows = await d1All(svc.env, `
+			SELECT * FROM ${RESULTS_TABLE}
+			WHERE study_id = ? AND status = 'completed' AND active = 1
+			ORDER BY datetime(created_at) ASC
+		`, [studyId]);
+		const results = rows.map(resultRowToDto).filter(Boolean);
+		return svc.json({ ok: true, study_id: studyId, analysis: analyseCardSort(config, results) }, 200, svc.corsHeaders(origin));
+	} catch (err) {
+		svc.log.error("d1.card_sort_analysis.get.fail", { detail: err.message });
+		return unavailableResponse(svc, origin, String(err?.message || err));
+	}
+}
@@ -0,0 +1,262 @@
+/**
+ * @file card-sorts/analysis.js
+ * @module card-sorts/analysis
+ * @summary Pure card sort analysis: similarity matrix, clustering, category standardisation and agreement.
+ *
+ * Input is the study's card sort configuration and the stored `result_json`
+ * payloads written by the session card sort board:
+ *   { sort_type, groups: [{ id, label, source, cards: [{ id, label }], children: [...] }], unsorted, participant_cards }
+ *
+ * Nested groups are analysed as separate placements: a card belongs to the
+ * group that directly contains it, not to that group's ancestors.
+ */
+
+const STOP_PREFIXES = new Set(["the", "a", "an", "my", "your"]);
+
+/**
+ * Reduce a participant group label to a comparison key so that
+ * "Travel documents", "travel document" and "Travel Documents." merge.
+ * @param {string} label
+ * @returns {string}
+ */
+export function categoryKey(label) {
+	const words = String(label || "")
+		.toLowerCase()
+		.replace(/&/g, " and ")
+		.replace(/[^a-z0-9\s]/g, " ")
+		.split(/\s+/)
+		.filter(Boolean)
+		.map((word) => (word.length > 3 && word.endsWith("s") && !word.endsWith("ss") ? word.slice(0, -1) : word));
+	while (words.length > 1 && STOP_PREFIXES.has(words[0])) words.shift();
+	return words.join(" ");
+}
+
+function walkGroups(groups, visit) {
+	if (!Array.isArray(groups)) return;
+	for (const group of groups) {
+		if (!group || typeof group !== "object") continue;
+		visit(group);
+		walkGroups(group.children, visit);
+	}
+}
+
+/**
+ * Flatten one participant result into the groups that directly hold cards.
+ * @param {{ result?: any }} result
+ * @returns {Array<{ label: string, source: string, cardIds: string[] }>}
+ */
+export function resultPlacements(result) {
+	const data = result?.result || {};
+	const placements = [];
+	walkGroups(data.groups, (group) => {
+		const cardIds = (Array.isArray(group.cards) ? group.cards : [])
+			.map((card) => String(card?.id || "").trim())
+			.filter(Boolean);
+		if (!cardIds.length) return;
+		placements.push({
+			label: String(group.label || "").trim() || "Untitled group",
+			source: group.source === "predefined" ? "predefined" : "participant",
+			cardIds
+		});
+	});
+	return placements;
+}
+
+/**
+ * Every card that appears in the configuration or any result, in configuration
+ * order followed by participant-created cards.
+ * @param {{ cards?: Array<{ id: string, label: string }> } | null} config
+ * @param {Array<{ result?: any }>} results
+ */
+export function analysisCards(config, results) {
+	const cards = new Map();
+	for (const card of config?.cards || []) {
+		if (card?.id) cards.set(card.id, { id: card.id, label: card.label || card.id, source: "prepared" });
+	}
+	for (const result of results) {
+		walkGroups(result?.result?.groups, (group) => {
+			for (const card of group.cards || []) {
+				if (card?.id && !cards.has(card.id)) {
+					cards.set(card.id, { id: card.id, label: card.label || card.id, source: "participant" });
+				}
+			}
+		});
+	}
+	return Array.from(cards.values());
+}
+
+/**
+ * Card-by-card co-occurrence. `counts[i][j]` is how many participants put
+ * cards i and j in the same group; `matrix[i][j]` divides that by the number
+ * of participants who sorted both cards, so it reads as a 0–1 similarity.
+ * @param {Array<{ id: string }>} cards
+ * @param {Array<{ result?: any }>} results
+ */
+export function similarityMatrix(cards, results) {
+	const index = new Map(cards.map((card, i) => [card.id, i]));
+	const size = cards.length;
+	const counts = Array.from({ length: size }, () => new Array(size).fill(0));
+	const sortedBoth = Array.from({ length: size }, () => new Array(size).fill(0));
+
+	for (const result of results) {
+		const placements = resultPlacements(result);
+		const sorted = new Set();
+		for (const placement of placements) {
+			const ids = placement.cardIds.filter((id) => index.has(id));
+			ids.forEach((id) => sorted.add(id));
+			for (const a of ids) {
+				for (const b of ids) counts[index.get(a)][index.get(b)] += 1;
+			}
+		}
+		const sortedIds = Array.from(sorted);
+		for (const a of sortedIds) {
+			for (const b of sortedIds) sortedBoth[index.get(a)][index.get(b)] += 1;
+		}
+	}
+
+	const matrix = counts.map((row, i) => row.map((count, j) => {
+		const denominator = sortedBoth[i][j];
+		return denominator ? Number((count / denominator).toFixed(3)) : 0;
+	}));
+	return { counts, matrix };
+}
+
+/**
+ * Average-linkage agglomerative clustering over `1 - similarity`.
+ * Returns a binary dendrogram whose leaves are cards and whose internal nodes
+ * carry the merge height, plus the leaf order for drawing the matrix.
+ * @param {Array<{ id: string, label: string }>} cards
+ * @param {number[][]} matrix
+ * @returns {{ root: object | null, order: string[] }}
+ */
+export function clusterCards(cards, matrix) {
+	if (!cards.length) return { root: null, order: [] };
+
+	let clusters = cards.map((card, i) => ({
+		node: { id: card.id, label: card.label, height: 0, size: 1 },
+		members: [i]
+	}));
+	let merge = 0;
+
+	const distance = (left, right) => {
+		let total = 0;
+		for (const a of left.members) {
+			for (const b of right.members) total += 1 - (matrix[a]?.[b] || 0);
+		}
+		return total / (left.members.length * right.members.length);
+	};
+
+	while (clusters.length > 1) {
+		let best = { i: 0, j: 1, d: Infinity };
+		for (let i = 0; i < clusters.length; i += 1) {
+			for (let j = i + 1; j < clusters.length; j += 1) {
+				const d = distance(clusters[i], clusters[j]);
+				if (d < best.d) best = { i, j, d };
+			}
+		}
+		const left = clusters[best.i];
+		const right = clusters[best.j];
+		merge += 1;
+		const joined = {
+			node: {
+				id: `cluster_${merge}`,
+				height: Number(best.d.toFixed(3)),
+				size: left.members.length + right.members.length,
+				children: [left.node, right.node]
+			},
+			members: [...left.members, ...right.members]
+		};
+		clusters = clusters.filter((_, k) => k !== best.i && k !== best.j);
+		clusters.push(joined);
+	}
+
+	const root = clusters[0].node;
+	return { root, order: clusters[0].members.map((i) => cards[i].id) };
+}
+
+/**
+ * Merge participant group labels into standardised categories. The most
+ * frequently used original label becomes the category name.
+ * @param {Array<{ result?: any }>} results
+ */
+export function standardiseCategories(results) {
+	const byKey = new Map();
+	for (const result of results) {
+		for (const placement of resultPlacements(result)) {
+			const key = categoryKey(placement.label) || placement.label.toLowerCase();
+			if (!byKey.has(key)) {
+				byKey.set(key, { key, labels: new Map(), participants: new Set(), cards: new Map(), predefined: false });
+			}
+			const entry = byKey.get(key);
+			entry.labels.set(placement.label, (entry.labels.get(placement.label) || 0) + 1);
+			entry.participants.add(result.id || result.participant_id || result.session_id);
+			if (placement.source === "predefined") entry.predefined = true;
+			for (const id of placement.cardIds) entry.cards.set(id, (entry.cards.get(id) || 0) + 1);
+		}
+	}
+
+	return Array.from(byKey.values())
+		.map((entry) => {
+			const labels = Array.from(entry.labels.entries()).sort((a, b) => b[1] - a[1]);
+			return {
+				key: entry.key,
+				name: labels[0][0],
+				labels: labels.map(([label]) => label),
+				predefined: entry.predefined,
+				participants: entry.participants.size,
+				cards: Array.from(entry.cards.entries())
+					.map(([id, count]) => ({ id, count }))
+					.sort((a, b) => b.count - a.count)
+			};
+		})
+		.sort((a, b) => b.participants - a.participants || a.name.localeCompare(b.name));
+}
+
+/**
+ * Per-card agreement: the share of participants who sorted the card that
+ * placed it in its most common standardised category.
+ * @param {Array<{ id: string, label: string }>} cards
+ * @param {ReturnType<typeof standardiseCategories>} categories
+ */
+export function cardAgreement(cards, categories) {
+	return cards
+		.map((card) => {
+			let placements = 0;
+			let top = null;
+			for (const category of categories) {
+				const hit = category.cards.find((entry) => entry.id === card.id);
+				if (!hit) continue;
+				placements += hit.count;
+				if (!top || hit.count > top.count) top = { name: category.name, count: hit.count };
+			}
+			return {
+				id: card.id,
+				label: card.label,
+				placements,
+				topCategory: top?.name || "",
+				agreement: placements ? Number((top.count / placements).toFixed(3)) : 0
+			};
+		})
+		.sort((a, b) => b.agreement - a.agreement || a.label.localeCompare(b.label));
+}
+
+/**
+ * Full analysis payload for `GET /api/card-sorts/analysis`.
+ * @param {any} config card sort configuration DTO (may be null)
+ * @param {Array<any>} results completed card sort result DTOs
+ */
+export function analyseCardSort(config, results) {
+	const cards = analysisCards(config, results);
+	const { counts, matrix } = similarityMatrix(cards, results);
+	const { root, order } = clusterCards(cards, matrix);
+	const categories = standardiseCategories(results);
+	return {
+		sortType: config?.sort_type || "open",
+		participants: results.length,
+		cards: cards.map(({ id, label, source }) => ({ id, label, source })),
+		similarity: { cardIds: cards.map((card) => card.id), counts, matrix },
+		dendrogram: { root, order },
+		categories,
+		agreement: cardAgreement(cards, categories)
+	};
+}
@@ -1,14 +1,334 @@
 /**
  * @file src/service/comms.js
  * @module service/comms
- * @summary Communications stub endpoint with Airtable log.
+ * @summary Participant email/SMS delivery through a pluggable provider, backed by a D1 outbox.
+ *
+ * Endpoints covered:
+ * - POST /api/comms/send
+ * - GET  /api/comms/outbox?participant=<id>|session=<id>
+ * - POST /api/comms/callback   (provider delivery receipts, bearer token)
+ *
+ * Every message is written to `rops_comms_outbox` before the provider is
+ * called, so a failed delivery or an Airtable outage never loses it. Failed
+ * deliveries that can be retried back off exponentially and are picked up by
+ * the scheduled drain; the Airtable "Communications Log" entry is written
+ * best-effort and retried the same way. Each delivery first claims its row
+ * (status "sending"), so an inline send and the drain never both call the
+ * provider; a claim left by a run that died is taken again after ten minutes.
  */
 
-import { fetchWithTimeout, safeText } from "../core/utils.js";
+import { SESSION_FIELDS } from "../core/fields.js";
+import { fetchWithTimeout, pickFirstField, safeText } from "../core/utils.js";
+import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
+import { resolveCommsProvider } from "./comms/providers.js";
+
+const OUTBOX_TABLE = "rops_comms_outbox";
+const CHANNELS = new Set(["email", "sms"]);
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60_000;
+const RETRY_MAX_MS = 60 * 60_000;
+const DRAIN_BATCH_SIZE = 25;
+const CLAIM_LEASE_MS = 10 * 60_000;
+const DELIVERY_STATUSES = {
+	delivered: "delivered",
+	"permanent-failure": "failed",
+	"temporary-failure": "failed",
+	"technical-failure": "failed"
+};
+
+function hasD1(svc) { return Boolean(svc?.env?.RESEARCHOPS_D1?.prepare); }
+function nowIso(ms = Date.now()) { return new Date(ms).toISOString(); }
+function newId() { return `msg_${crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}_${Math.random().toString(16).slice(2)}`}`; }
+function object(value) { try { const parsed = JSON.parse(String(value || "{}")); return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {}; } catch { return {}; } }
+function text(value) { return String(value ?? "").trim(); }
+function providerFor(svc) { return svc.commsProvider || resolveCommsProvider(svc.env, { timeoutMs: svc.cfg?.TIMEOUT_MS }); }
+function unavailable(svc, origin) { return svc.json({ ok: false, error: "comms_store_unavailable", message: "Participant messages are not available right now." }, 503, svc.corsHeaders(origin)); }
+
+async function ensureTables(svc) {
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${OUTBOX_TABLE} (id TEXT PRIMARY KEY, participant_id TEXT NOT NULL, recipient_type TEXT NOT NULL DEFAULT 'participant', session_id TEXT, study_id TEXT, channel TEXT NOT NULL, template_id TEXT NOT NULL, recipient TEXT NOT NULL, personalisation_json TEXT NOT NULL DEFAULT '{}', provider TEXT, provider_message_id TEXT, status TEXT NOT NULL DEFAULT 'queued', attempts INTEGER NOT NULL DEFAULT 0, next_attempt_at TEXT, last_error TEXT, log_status TEXT NOT NULL DEFAULT 'pending', sent_at TEXT, delivered_at TEXT, created_at TEXT NOT NULL, updated_at TEXT NOT NULL)`);
+	try {
+		await d1Run(svc.env, `ALTER TABLE ${OUTBOX_TABLE} ADD COLUMN recipient_type TEXT NOT NULL DEFAULT 'participant'`);
+	} catch {
+		/* already present */
+	}
+	try {
+		await d1Run(svc.env, `ALTER TABLE ${OUTBOX_TABLE} ADD COLUMN claimed_at TEXT`);
+	} catch {
+		/* already present */
+	}
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_comms_outbox_due ON ${OUTBOX_TABLE} (status, next_attempt_at)`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_comms_outbox_participant ON ${OUTBOX_TABLE} (participant_id, created_at)`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_comms_outbox_provider_message ON ${OUTBOX_TABLE} (provider_message_id)`);
+}
+
+/**
+ * Delay before the next delivery attempt: 1, 2, 4, 8 … minutes, capped at an hour.
+ * @param {number} attempts attempts made so far (≥ 1)
+ * @returns {number}
+ */
+export function retryDelayMs(attempts) {
+	return Math.min(RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_MS);
+}
+
+function outboxDto(row) {
+	if (!row) return null;
+	return {
+		id: row.id,
+		participant_id: row.participant_id,
+		recipient_type: row.recipient_type || "participant",
+		session_id: row.session_id || "",
+		study_id: row.study_id || "",
+		channel: row.channel,
+		template_id: row.template_id,
+		provider: row.provider || "",
+		provider_message_id: row.provider_message_id || "",
+		status: row.status,
+		attempts: Number(row.attempts || 0),
+		next_attempt_at: row.next_attempt_at || "",
+		last_error: row.last_error || "",
+		log_status: row.log_status,
+		sent_at: row.sent_at || "",
+		delivered_at: row.delivered_at || "",
+		createdAt: row.created_at || ""
+	};
+}
 
 /**
- * Send a communication (email/SMS) and log it.
- * (Stub: integrate your provider here; logs to Airtable Comms Log.)
+ * True when any active consent record for the participant is withdrawn.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} participantId
+ */
+async function consentWithdrawn(svc, participantId) {
+	// Sessions link participants by Airtable id; consent is recorded against the D1 id.
+	const row = await d1Get(svc.env, "SELECT id FROM rops_participant_consent_cache WHERE active = 1 AND withdrawn = 1 AND (participant_id = ? OR participant_id IN (SELECT id FROM rops_participants_cache WHERE participant_airtable_id = ?)) LIMIT 1", [participantId, participantId]).catch((e) => {
+		// A missing consent table means nothing has been recorded, so nothing is withdrawn.
+		if (/no such table/i.test(String(e?.message || e))) return null;
+		throw e;
+	});
+	return Boolean(row);
+}
+
+async function readParticipant(svc, participantId) {
+	const row = await d1Get(svc.env, "SELECT id, study_id, participant_ref, sensitive_contact_json FROM rops_participants_cache WHERE (id = ? OR participant_airtable_id = ?) AND active = 1 LIMIT 1", [participantId, participantId]);
+	if (!row) return null;
+	const contact = object(row.sensitive_contact_json);
+	return {
+		id: row.id,
+		study_id: row.study_id || "",
+		participant_ref: row.participant_ref || "",
+		first_name: text(contact.first_name),
+		full_name: text(contact.full_name) || [text(contact.first_name), text(contact.family_name)].filter(Boolean).join(" "),
+		email: text(contact.email),
+		phone: text(contact.phone)
+	};
+}
+
+async function readSession(svc, sessionId) {
+	if (!sessionId || !svc.env.AIRTABLE_BASE_ID) return null;
+	const table = encodeURIComponent(svc.env.AIRTABLE_TABLE_SESSIONS || "Sessions");
+	try {
+		const res = await fetchWithTimeout(`https://api.airtable.com/v0/${svc.env.AIRTABLE_BASE_ID}/${table}/${encodeURIComponent(sessionId)}`, {
+			headers: { "Authorization": `Bearer ${svc.env.AIRTABLE_API_KEY}` }
+		}, svc.cfg.TIMEOUT_MS);
+		if (!res.ok) return null;
+		const fields = (await res.json())?.fields || {};
+		const pick = (keys) => { const key = pickFirstField(fields, keys); return key ? fields[key] : undefined; };
+		return {
+			starts_at: text(pick(SESSION_FIELDS.starts_at)),
+			duration_min: Number(pick(SESSION_FIELDS.duration_min) || 60),
+			type: text(pick(SESSION_FIELDS.type)),
+			location_or_link: text(pick(SESSION_FIELDS.location_or_link)),
+			backup_contact: text(pick(SESSION_FIELDS.backup_contact))
+		};
+	} catch (e) {
+		svc.log.warn("comms.session.read.fail", { err: String(e?.message || e) });
+		return null;
+	}
+}
+
+function londonDate(iso, options) {
+	const ms = Date.parse(iso);
+	return Number.isFinite(ms) ? new Intl.DateTimeFormat("en-GB", { timeZone: "Europe/London", ...options }).format(new Date(ms)) : "";
+}
+
+/**
+ * Notify-style personalisation from the participant and session records.
+ * Caller-supplied values win so templates can carry one-off fields. Object
+ * values pass through untouched for Notify file uploads (`{ file, filename }`).
+ * @param {{ first_name?: string, full_name?: string, participant_ref?: string } | null} participant
+ * @param {{ starts_at?: string, duration_min?: number, type?: string, location_or_link?: string, backup_contact?: string } | null} session
+ * @param {Record<string, any>} [overrides]
+ * @returns {Record<string, any>}
+ */
+export function buildPersonalisation(participant, session, overrides = {}) {
+	const values = {
+		first_name: participant?.first_name || participant?.full_name || "",
+		full_name: participant?.full_name || "",
+		participant_ref: participant?.participant_ref || ""
+	};
+	if (session) {
+		Object.assign(values, {
+			session_date: londonDate(session.starts_at, { weekday: "long", day: "numeric", month: "long", year: "numeric" }).replace(",", ""),
+			session_time: londonDate(session.starts_at, { hour: "numeric", minute: "2-digit", hour12: true }).replace(/\s/g, ""),
+			session_duration: session.duration_min ? `${session.duration_min} minutes` : "",
+			session_type: session.type || "",
+			session_location: session.location_or_link || "",
+			backup_contact: session.backup_contact || ""
+		});
+	}
+	for (const [key, value] of Object.entries(overrides || {})) {
+		if (value !== undefined && value !== null) values[key] = typeof value === "object" ? value : String(value);
+	}
+	return values;
+}
+
+async function logToAirtable(svc, row) {
+	if (!svc.env.AIRTABLE_BASE_ID) return false;
+	const table = encodeURIComponent(svc.env.AIRTABLE_TABLE_COMMSLOG || "Communications Log");
+	const staff = row.recipient_type && row.recipient_type !== "participant";
+	const fields = {
+		"Participant": staff ? undefined : [row.participant_id],
+		"Session": row.session_id ? [row.session_id] : undefined,
+		"Template Id": row.template_id,
+		"Channel": row.channel,
+		"Sent At": row.sent_at || row.created_at,
+		"Status": row.status,
+		"Metadata": JSON.stringify({ message_id: row.id, recipient_type: row.recipient_type || "participant", ...(staff ? { recipient_id: row.participant_id } : {}), provider: row.provider || "", provider_message_id: row.provider_message_id || "" })
+	};
+	for (const k of Object.keys(fields))
+		if (fields[k] === undefined) delete fields[k];
+	try {
+		const res = await fetchWithTimeout(`https://api.airtable.com/v0/${svc.env.AIRTABLE_BASE_ID}/${table}`, {
+			method: "POST",
+			headers: { "Authorization": `Bearer ${svc.env.AIRTABLE_API_KEY}`, "Content-Type": "application/json" },
+			body: JSON.stringify({ records: [{ fields }] })
+		}, svc.cfg.TIMEOUT_MS);
+		if (!res.ok) {
+			svc.log.warn("comms.log.fail", { status: res.status, text: safeText(await res.text()) });
+			return false;
+		}
+		return true;
+	} catch (e) {
+		svc.log.warn("comms.log.fail", { err: String(e?.message || e) });
+		return false;
+	}
+}
+
+async function recordLog(svc, row) {
+	if (row.log_status === "logged" || ["queued", "retrying", "sending"].includes(row.status)) return row;
+	const logged = await logToAirtable(svc, row);
+	if (!logged) return row;
+	await d1Run(svc.env, `UPDATE ${OUTBOX_TABLE} SET log_status = 'logged', updated_at = ? WHERE id = ?`, [nowIso(), row.id]);
+	return { ...row, log_status: "logged" };
+}
+
+/**
+ * Claim an outbox row for delivery. Only a row still waiting (queued or
+ * retrying), or one whose claim has outlived the lease, can be claimed.
+ * @returns {Promise<boolean>} whether this caller holds the row
+ */
+async function claimDelivery(svc, row, now) {
+	const result = await d1Run(svc.env, `
+		UPDATE ${OUTBOX_TABLE} SET status = 'sending', claimed_at = ?, updated_at = ?
+		WHERE id = ? AND (status IN ('queued', 'retrying') OR (status = 'sending' AND claimed_at < ?))
+	`, [nowIso(now), nowIso(now), row.id, nowIso(now - CLAIM_LEASE_MS)]);
+	return Number(result?.meta?.changes || 0) === 1;
+}
+
+/**
+ * Attempt one delivery for an outbox row and persist the outcome. Returns
+ * null when another delivery already holds the row.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {any} provider
+ * @param {any} row
+ * @param {number} [now]
+ */
+async function deliver(svc, provider, row, now = Date.now()) {
+	if (!(await claimDelivery(svc, row, now))) return null;
+	if ((row.recipient_type || "participant") === "participant" && await consentWithdrawn(svc, row.participant_id)) {
+		await d1Run(svc.env, `UPDATE ${OUTBOX_TABLE} SET status = 'cancelled', claimed_at = NULL, next_attempt_at = NULL, last_error = ?, updated_at = ? WHERE id = ?`, ["participant_consent_withdrawn", nowIso(now), row.id]);
+		return { ...row, status: "cancelled", last_error: "participant_consent_withdrawn" };
+	}
+	const attempts = Number(row.attempts || 0) + 1;
+	try {
+		const sent = await provider.send({ channel: row.channel, to: row.recipient, templateId: row.template_id, personalisation: object(row.personalisation_json), reference: row.id });
+		await d1Run(svc.env, `UPDATE ${OUTBOX_TABLE} SET status = 'sent', claimed_at = NULL, provider = ?, provider_message_id = ?, attempts = ?, next_attempt_at = NULL, last_error = NULL, sent_at = ?, updated_at = ? WHERE id = ?`, [provider.name, sent.id, attempts, nowIso(now), nowIso(now), row.id]);
+		return { ...row, status: "sent", provider: provider.name, provider_message_id: sent.id, attempts, next_attempt_at: null, last_error: null, sent_at: nowIso(now) };
+	} catch (e) {
+		const retry = e?.retryable !== false && attempts < MAX_ATTEMPTS;
+		const status = retry ? "retrying" : "failed";
+		const nextAttemptAt = retry ? nowIso(now + retryDelayMs(attempts)) : null;
+		const lastError = safeText(String(e?.message || e));
+		svc.log.warn("comms.deliver.fail", { id: row.id, attempts, status, err: lastError });
+		await d1Run(svc.env, `UPDATE ${OUTBOX_TABLE} SET status = ?, claimed_at = NULL, provider = ?, attempts = ?, next_attempt_at = ?, last_error = ?, updated_at = ? WHERE id = ?`, [status, provider.name, attempts, nextAttemptAt, lastError, nowIso(now), row.id]);
+		return { ...row, status, provider: provider.name, attempts, next_attempt_at: nextAttemptAt, last_error: lastError };
+	}
+}
+
+/**
+ * Write a message to the outbox and attempt delivery straight away.
+ * Participants are checked for withdrawn consent and their contact details
+ * come from the participant cache; staff recipients (`recipient_type` other
+ * than "participant") supply `recipient` directly.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {{
+ *   participant_id: string, channel: string, template_id: string,
+ *   session_id?: string, study_id?: string, personalisation?: Record<string, any>,
+ *   recipient_type?: string, recipient?: string, recipient_name?: string,
+ *   session?: Parameters<typeof buildPersonalisation>[1]
+ * }} message
+ * @returns {Promise<{ ok: true, message: any } | { ok: false, status: number, error: string, message: string }>}
+ */
+export async function queueComms(svc, message) {
+	const provider = providerFor(svc);
+	if (!provider) return { ok: false, status: 503, error: "comms_provider_unavailable", message: "No email or SMS provider is configured." };
+	const channel = text(message.channel).toLowerCase();
+	const participantId = text(message.participant_id);
+	const sessionId = text(message.session_id);
+	const recipientType = text(message.recipient_type) || "participant";
+	await ensureTables(svc);
+
+	let person; let recipient;
+	if (recipientType === "participant") {
+		if (await consentWithdrawn(svc, participantId)) {
+			return { ok: false, status: 409, error: "participant_consent_withdrawn", message: "This participant has withdrawn consent and cannot be contacted." };
+		}
+		person = await readParticipant(svc, participantId);
+		recipient = channel === "sms" ? person?.phone : person?.email;
+	} else {
+		person = { first_name: text(message.recipient_name).split(" ")[0], full_name: text(message.recipient_name), study_id: "" };
+		recipient = text(message.recipient);
+	}
+	if (!recipient) {
+		return { ok: false, status: 422, error: "recipient_missing", message: `No ${channel === "sms" ? "phone number" : "email address"} is recorded for this ${recipientType === "participant" ? "participant" : "person"}.` };
+	}
+
+	const session = message.session || await readSession(svc, sessionId);
+	const now = nowIso();
+	const row = {
+		id: newId(),
+		participant_id: participantId,
+		recipient_type: recipientType,
+		session_id: sessionId || null,
+		study_id: text(message.study_id) || person?.study_id || null,
+		channel,
+		template_id: text(message.template_id),
+		recipient,
+		personalisation_json: JSON.stringify(buildPersonalisation(person, session, message.personalisation)),
+		status: "queued",
+		attempts: 0,
+		log_status: "pending",
+		created_at: now
+	};
+	await d1Run(svc.env, `INSERT INTO ${OUTBOX_TABLE} (id, participant_id, recipient_type, session_id, study_id, channel, template_id, recipient, personalisation_json, status, attempts, next_attempt_at, log_status, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'queued', 0, ?, 'pending', ?, ?)`, [row.id, row.participant_id, row.recipient_type, row.session_id, row.study_id, row.channel, row.template_id, row.recipient, row.personalisation_json, now, now, now]);
+	const delivered = await deliver(svc, provider, row)
+		|| await d1Get(svc.env, `SELECT * FROM ${OUTBOX_TABLE} WHERE id = ? LIMIT 1`, [row.id]);
+	return { ok: true, message: outboxDto(await recordLog(svc, delivered)) };
+}
+
+/**
+ * Queue and send a participant email/SMS from a provider template.
+ * Refuses participants whose consent has been withdrawn.
  * @param {import("./index.js").ResearchOpsService} svc
  * @param {Request} request
  * @param {string} origin
@@ -16,6 +336,7 @@ import { fetchWithTimeout, safeText } from "../core/utils.js";
  */
 export async function sendComms(svc, request, origin) {
 	const body = await request.arrayBuffer();
+	if (body.byteLength > svc.cfg.MAX_BODY_BYTES) return svc.json({ error: "Payload too large" }, 413, svc.corsHeaders(origin));
 	let p;
 	try { p = JSON.parse(new TextDecoder().decode(body)); } catch {
 		return svc.json({ error: "Invalid JSON" }, 400, svc.corsHeaders(origin));
@@ -26,35 +347,127 @@ export async function sendComms(svc, request, origin) {
 	if (!p.template_id) missing.push("template_id");
 	if (!p.channel) missing.push("channel");
 	if (missing.length) return svc.json({ error: "Missing fields: " + missing.join(", ") }, 400, svc.corsHeaders(origin));
+	if (!CHANNELS.has(text(p.channel).toLowerCase())) return svc.json({ error: "channel must be email or sms" }, 400, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return unavailable(svc, origin);
 
-	// TODO: plug in real provider here (send email/SMS)
-	const messageId = `msg_${Date.now()}`;
-
-	// Log to Airtable Comms Log (best-effort)
-	try {
-		const base = svc.env.AIRTABLE_BASE_ID;
-		const table = encodeURIComponent(svc.env.AIRTABLE_TABLE_COMMSLOG || "Communications Log");
-		const url = `https://api.airtable.com/v0/${base}/${table}`;
-		const fields = {
-			"Participant": [p.participant_id],
-			"Session": p.session_id ? [p.session_id] : undefined,
-			"Template Id": p.template_id,
-			"Channel": p.channel,
-			"Sent At": new Date().toISOString(),
-			"Status": "sent",
-			"Metadata": JSON.stringify({ message_id: messageId, substitutions: p.substitutions || {} })
-		};
-		for (const k of Object.keys(fields))
-			if (fields[k] === undefined) delete fields[k];
+	let result;
+	try {
+		result = await queueComms(svc, {
+			participant_id: p.participant_id,
+			session_id: p.session_id,
+			study_id: p.study_id,
+			channel: p.channel,
+			template_id: p.template_id,
+			personalisation: p.personalisation || p.substitutions
+		});
+	} catch (e) {
+		svc.log.error("d1.comms.send.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+	if (!result.ok) return svc.json({ ok: false, error: result.error, message: result.message }, result.status, svc.corsHeaders(origin));
 
-		await fetchWithTimeout(url, {
-			method: "POST",
-			headers: { "Authorization": `Bearer ${svc.env.AIRTABLE_API_KEY}`, "Content-Type": "application/json" },
-			body: JSON.stringify({ records: [{ fields }] })
-		}, svc.cfg.TIMEOUT_MS);
+	const row = result.message;
+	const status = row.status === "sent" ? 200 : row.status === "failed" ? 502 : 202;
+	return svc.json({ ok: row.status !== "failed", message_id: row.id, message: row }, status, svc.corsHeaders(origin));
+}
+
+/**
+ * List outbox messages for a participant or session.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {URL} url
+ * @returns {Promise<Response>}
+ */
+export async function listCommsOutbox(svc, origin, url) {
+	const participantId = text(url.searchParams.get("participant"));
+	const sessionId = text(url.searchParams.get("session"));
+	if (!participantId && !sessionId) return svc.json({ ok: false, error: "Missing participant or session query" }, 400, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		await ensureTables(svc);
+		const where = []; const values = [];
+		if (participantId) { where.push("participant_id = ?"); values.push(participantId); }
+		if (sessionId) { where.push("session_id = ?"); values.push(sessionId); }
+		const rows = await d1All(svc.env, `SELECT * FROM ${OUTBOX_TABLE} WHERE ${where.join(" AND ")} ORDER BY datetime(created_at) DESC LIMIT 200`, values);
+		return svc.json({ ok: true, messages: rows.map(outboxDto) }, 200, svc.corsHeaders(origin));
 	} catch (e) {
-		svc.log.warn("comms.log.fail", { err: String(e?.message || e) });
+		svc.log.error("d1.comms.outbox.list.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
 	}
+}
 
-	return svc.json({ ok: true, message_id: messageId }, 200, svc.corsHeaders(origin));
-}
\ No newline at end of file
+function tokenMatches(expected, provided) {
+	const a = new TextEncoder().encode(String(expected || ""));
+	const b = new TextEncoder().encode(String(provided || ""));
+	if (!a.length || a.length !== b.length) return false;
+	let diff = 0;
+	for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+	return diff === 0;
+}
+
+/**
+ * Provider delivery receipt (GOV.UK Notify callback format).
+ * Authenticated with `Authorization: Bearer <COMMS_CALLBACK_TOKEN>`.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @returns {Promise<Response>}
+ */
+export async function commsDeliveryCallback(svc, request, origin) {
+	const token = String(request.headers.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+	if (!tokenMatches(svc.env.COMMS_CALLBACK_TOKEN, token)) return svc.json({ ok: false, error: "unauthorised" }, 401, svc.corsHeaders(origin));
+	let p;
+	try { p = await request.json(); } catch {
+		return svc.json({ error: "Invalid JSON" }, 400, svc.corsHeaders(origin));
+	}
+	const providerMessageId = text(p?.id);
+	const reference = text(p?.reference);
+	if (!providerMessageId && !reference) return svc.json({ error: "Missing fields: id" }, 400, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return unavailable(svc, origin);
+
+	const providerStatus = text(p.status).toLowerCase();
+	const status = DELIVERY_STATUSES[providerStatus] || "sent";
+	try {
+		await ensureTables(svc);
+		const row = await d1Get(svc.env, `SELECT * FROM ${OUTBOX_TABLE} WHERE provider_message_id = ? OR id = ? LIMIT 1`, [providerMessageId || reference, reference || providerMessageId]);
+		if (!row) return svc.json({ ok: false, error: "comms_message_not_found" }, 404, svc.corsHeaders(origin));
+		const now = nowIso();
+		await d1Run(svc.env, `UPDATE ${OUTBOX_TABLE} SET status = ?, delivered_at = ?, last_error = ?, updated_at = ? WHERE id = ?`, [status, status === "delivered" ? (text(p.completed_at) || now) : row.delivered_at, status === "failed" ? providerStatus : row.last_error, now, row.id]);
+		return svc.json({ ok: true, id: row.id, status }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.comms.callback.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * Retry due deliveries and pending Airtable log entries. Run from the scheduled handler.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {{ now?: number }} [options]
+ */
+export async function drainCommsOutbox(svc, options = {}) {
+	if (!hasD1(svc)) return { ok: false, skipped: "d1_missing" };
+	const provider = providerFor(svc);
+	const nowMs = Number(options.now || Date.now());
+	const now = nowIso(nowMs);
+	await ensureTables(svc);
+	const due = provider
+		? await d1All(svc.env, `
+			SELECT * FROM ${OUTBOX_TABLE}
+			WHERE (status IN ('queued', 'retrying') AND (next_attempt_at IS NULL OR next_attempt_at <= ?))
+				OR (status = 'sending' AND claimed_at < ?)
+			ORDER BY next_attempt_at ASC LIMIT ${DRAIN_BATCH_SIZE}
+		`, [now, nowIso(nowMs - CLAIM_LEASE_MS)])
+		: [];
+	const outcomes = { sent: 0, retrying: 0, failed: 0, cancelled: 0, claimed: 0, logged: 0 };
+	for (const row of due) {
+		const result = await deliver(svc, provider, row, nowMs);
+		if (!result) outcomes.claimed += 1;
+		else outcomes[result.status] = (outcomes[result.status] || 0) + 1;
+	}
+	const unlogged = await d1All(svc.env, `SELECT * FROM ${OUTBOX_TABLE} WHERE log_status = 'pending' AND status IN ('sent', 'delivered', 'failed') ORDER BY created_at ASC LIMIT ${DRAIN_BATCH_SIZE}`);
+	for (const row of unlogged) {
+		if ((await recordLog(svc, row)).log_status === "logged") outcomes.logged += 1;
+	}
+	return { ok: true, provider: provider?.name || null, attempted: due.length, ...outcomes };
+}
@@ -0,0 +1,124 @@
+/**
+ * @file src/service/comms/providers.js
+ * @module service/comms/providers
+ * @summary Delivery providers for participant email and SMS.
+ *
+ * Every provider exposes the same shape:
+ *   { name: string, send({ channel, to, templateId, personalisation, reference }) => Promise<{ id: string }> }
+ *
+ * Templates live with the provider (GOV.UK Notify style): the Worker only sends
+ * a template id and a personalisation map. Failures throw an Error carrying
+ * `status` and `retryable` so the outbox can decide whether to back off.
+ */
+
+import { fetchWithTimeout, safeText } from "../../core/utils.js";
+
+const NOTIFY_API_BASE = "https://api.notifications.service.gov.uk";
+
+/**
+ * Build a delivery error the outbox understands.
+ * @param {string} message
+ * @param {{ status?: number, retryable?: boolean }} [details]
+ * @returns {Error & { status: number, retryable: boolean }}
+ */
+export function commsProviderError(message, details = {}) {
+	const status = Number(details.status || 0);
+	const retryable = details.retryable ?? (!status || status === 429 || status >= 500);
+	return Object.assign(new Error(message), { status, retryable });
+}
+
+function base64Url(input) {
+	const bytes = typeof input === "string" ? new TextEncoder().encode(input) : new Uint8Array(input);
+	let binary = "";
+	for (const byte of bytes) binary += String.fromCharCode(byte);
+	return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Split a Notify API key (`{name}-{service id}-{secret}`) into its parts.
+ * @param {string} apiKey
+ */
+export function parseNotifyApiKey(apiKey) {
+	const key = String(apiKey || "").trim();
+	if (key.length < 74) return null;
+	return { serviceId: key.slice(-73, -37), secret: key.slice(-36) };
+}
+
+async function notifyToken(serviceId, secret, nowSeconds = Math.floor(Date.now() / 1000)) {
+	const unsigned = `${base64Url(JSON.stringify({ typ: "JWT", alg: "HS256" }))}.${base64Url(JSON.stringify({ iss: serviceId, iat: nowSeconds }))}`;
+	const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+	const signature = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(unsigned));
+	return `${unsigned}.${base64Url(signature)}`;
+}
+
+/**
+ * GOV.UK Notify provider. Email and SMS templates are managed in Notify.
+ * @param {{ NOTIFY_API_KEY?: string, NOTIFY_API_BASE?: string }} env
+ * @param {{ timeoutMs?: number }} [options]
+ */
+export function createNotifyProvider(env, options = {}) {
+	const credentials = parseNotifyApiKey(env?.NOTIFY_API_KEY);
+	if (!credentials) return null;
+	const apiBase = String(env.NOTIFY_API_BASE || NOTIFY_API_BASE).replace(/\/+$/, "");
+
+	return {
+		name: "notify",
+		async send({ channel, to, templateId, personalisation, reference }) {
+			const path = channel === "sms" ? "/v2/notifications/sms" : "/v2/notifications/email";
+			const recipient = channel === "sms" ? { phone_number: to } : { email_address: to };
+			let response;
+			try {
+				response = await fetchWithTimeout(`${apiBase}${path}`, {
+					method: "POST",
+					headers: {
+						"Authorization": `Bearer ${await notifyToken(credentials.serviceId, credentials.secret)}`,
+						"Content-Type": "application/json"
+					},
+					body: JSON.stringify({ ...recipient, template_id: templateId, personalisation, reference })
+				}, options.timeoutMs);
+			} catch (e) {
+				throw commsProviderError(`Notify request failed: ${String(e?.message || e)}`);
+			}
+			const text = await response.text();
+			if (!response.ok) throw commsProviderError(`Notify ${response.status}: ${safeText(text)}`, { status: response.status });
+			let body = {};
+			try { body = JSON.parse(text); } catch { /* Notify always returns JSON; treat anything else as missing id. */ }
+			if (!body.id) throw commsProviderError("Notify response did not include a notification id", { status: response.status, retryable: false });
+			return { id: String(body.id) };
+		}
+	};
+}
+
+/**
+ * In-memory provider for tests and local development. Nothing leaves the Worker.
+ * Queue failures with `failures` to exercise retry handling.
+ * @param {{ failures?: Array<Error> }} [options]
+ */
+export function createFakeCommsProvider(options = {}) {
+	const failures = [...(options.failures || [])];
+	const sent = [];
+	return {
+		name: "fake",
+		sent,
+		failures,
+		async send(message) {
+			if (failures.length) throw failures.shift();
+			const id = `fake_${sent.length + 1}`;
+			sent.push({ id, ...message });
+			return { id };
+		}
+	};
+}
+
+/**
+ * Pick the configured provider. `COMMS_PROVIDER` chooses explicitly; otherwise
+ * Notify is used when its key is present. Returns null when nothing is configured.
+ * @param {Record<string, any>} env
+ * @param {{ timeoutMs?: number }} [options]
+ */
+export function resolveCommsProvider(env, options = {}) {
+	const name = String(env?.COMMS_PROVIDER || (env?.NOTIFY_API_KEY ? "notify" : "")).trim().toLowerCase();
+	if (name === "notify") return createNotifyProvider(env, options);
+	if (name === "fake") return createFakeCommsProvider();
+	return null;
+}
@@ -10,6 +10,13 @@
  * - createConsentForm (POST /api/consent-forms)
  * - updateConsentForm (PATCH /api/consent-forms/:id)
  * - publishConsentForm (POST /api/consent-forms/:id/publish)
+ * - diffConsentFormVersions (GET /api/consent-forms/:id/diff?from=...&to=...)
+ * - listReconsentQueue (GET /api/consent-forms/reconsent-queue?study=...)
+ *
+ * Each publish snapshots the participant-facing content so versions can be
+ * compared later, and reports the participants whose latest consent was given
+ * against an earlier version. Those participants stay in the study's
+ * re-consent queue until consent is recorded against the current version.
  */
 
 import {
@@ -26,8 +33,10 @@ import {
 import { airtableTryWrite } from "../core/utils.js";
 import { getRecord } from "./internals/airtable.js";
 import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
+import { PARTICIPANT_CONSENT_TABLE, ensureParticipantConsentTable } from "./participant-consent.js";
 
 const CONSENT_FORMS_TABLE = "rops_consent_forms";
+const CONSENT_FORM_VERSIONS_TABLE = "rops_consent_form_versions";
 
 const CONSENT_FORMS_SQL = `
 	CREATE TABLE IF NOT EXISTS ${CONSENT_FORMS_TABLE} (
@@ -53,6 +62,21 @@ const CONSENT_FORMS_SQL = `
 	)
 `;
 
+const CONSENT_FORM_VERSIONS_SQL = `
+	CREATE TABLE IF NOT EXISTS ${CONSENT_FORM_VERSIONS_TABLE} (
+		consent_form_id TEXT NOT NULL,
+		version INTEGER NOT NULL,
+		study_id TEXT NOT NULL,
+		title TEXT NOT NULL,
+		source_markdown TEXT NOT NULL,
+		variables_json TEXT NOT NULL DEFAULT '{}',
+		consent_items_json TEXT NOT NULL DEFAULT '[]',
+		plain_english_summary TEXT,
+		published_at TEXT NOT NULL,
+		PRIMARY KEY (consent_form_id, version)
+	)
+`;
+
 const DEFAULT_CONSENT_ITEMS = [
 	{
 		id: "participation",
@@ -160,6 +184,7 @@ async function ensureConsentFormsTable(svc) {
 	await d1Run(svc.env, CONSENT_FORMS_SQL);
 	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_consent_forms_study ON ${CONSENT_FORMS_TABLE} (study_id, active, updated_at)`);
 	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_consent_forms_status ON ${CONSENT_FORMS_TABLE} (status, active)`);
+	await d1Run(svc.env, CONSENT_FORM_VERSIONS_SQL);
 }
 
 function rowToConsentForm(row) {
@@ -300,9 +325,142 @@ async function publishConsentFormInD1(svc, formId) {
 		SET status = 'Published', version = ?, published_at = ?, updated_at = ?
 		WHERE id = ? AND active = 1
 	`, [version, publishedAt, publishedAt, formId]);
+	await d1Run(svc.env, `
+		INSERT OR REPLACE INTO ${CONSENT_FORM_VERSIONS_TABLE} (
+			consent_form_id, version, study_id, title, source_markdown, variables_json,
+			consent_items_json, plain_english_summary, published_at
+		) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+	`, [
+		formId,
+		version,
+		existing.study_id,
+		existing.title,
+		existing.source_markdown,
+		existing.variables_json || "{}",
+		existing.consent_items_json || "[]",
+		existing.plain_english_summary || "",
+		publishedAt
+	]);
 	return readConsentFormFromD1(svc, formId);
 }
 
+function snapshotToPublishedForm(row) {
+	if (!row) return null;
+	return {
+		id: row.consent_form_id,
+		studyId: row.study_id,
+		version: Number.parseInt(row.version, 10) || 1,
+		title: row.title || "",
+		sourceMarkdown: row.source_markdown || "",
+		variables: parseJsonField(row.variables_json, {}),
+		consentItems: parseJsonField(row.consent_items_json, []),
+		plainEnglishSummary: row.plain_english_summary || "",
+		publishedAt: row.published_at || ""
+	};
+}
+
+/**
+ * The wording of one published version, exactly as participants saw it.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} formId
+ * @param {number} version
+ */
+export async function publishedConsentFormVersion(svc, formId, version) {
+	await ensureConsentFormsTable(svc);
+	return snapshotToPublishedForm(await d1Get(svc.env, `
+		SELECT * FROM ${CONSENT_FORM_VERSIONS_TABLE} WHERE consent_form_id = ? AND version = ? LIMIT 1
+	`, [formId, version]));
+}
+
+/**
+ * The study's most recently published consent form, at its published version.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} studyId
+ */
+export async function currentPublishedConsentForm(svc, studyId) {
+	await ensureConsentFormsTable(svc);
+	return snapshotToPublishedForm(await d1Get(svc.env, `
+		SELECT v.*
+		FROM ${CONSENT_FORMS_TABLE} f
+		JOIN ${CONSENT_FORM_VERSIONS_TABLE} v ON v.consent_form_id = f.id AND v.version = f.version
+		WHERE f.study_id = ? AND f.active = 1 AND f.status = 'Published'
+		ORDER BY datetime(v.published_at) DESC, v.version DESC
+		LIMIT 1
+	`, [studyId]));
+}
+
+/**
+ * The latest active consent record for each participant and consent form,
+ * joined to the form's current version. `where` filters the latest records.
+ */
+async function latestParticipantConsent(svc, where, params) {
+	await ensureConsentFormsTable(svc);
+	await ensureParticipantConsentTable(svc);
+	return d1All(svc.env, `
+		SELECT pc.*, f.version AS current_form_version, f.status AS consent_form_status, f.title AS consent_form_title
+		FROM ${PARTICIPANT_CONSENT_TABLE} pc
+		LEFT JOIN ${CONSENT_FORMS_TABLE} f ON f.id = pc.consent_form_id AND f.active = 1
+		WHERE pc.active = 1 AND ${where}
+			AND NOT EXISTS (
+				SELECT 1 FROM ${PARTICIPANT_CONSENT_TABLE} newer
+				WHERE newer.active = 1
+					AND newer.study_id = pc.study_id
+					AND newer.participant_id = pc.participant_id
+					AND COALESCE(newer.consent_form_id, '') = COALESCE(pc.consent_form_id, '')
+					AND (COALESCE(newer.recorded_at, newer.created_at), newer.created_at, newer.id)
+						> (COALESCE(pc.recorded_at, pc.created_at), pc.created_at, pc.id)
+			)
+		ORDER BY pc.participant_id ASC
+	`, params);
+}
+
+function consentStanding(row) {
+	if (Number(row.withdrawn) === 1 || /^withdrawn$/i.test(String(row.status || ""))) return "withdrawn";
+	const consentedVersion = Number.parseInt(row.consent_form_version, 10) || 1;
+	const currentVersion = Number.parseInt(row.current_form_version, 10) || 0;
+	if (row.consent_form_status === "Published" && currentVersion > consentedVersion) return "outdated";
+	return "current";
+}
+
+function reconsentItem(row) {
+	return {
+		participantId: row.participant_id,
+		studyId: row.study_id,
+		consentRecordId: row.id,
+		consentFormId: row.consent_form_id || "",
+		consentFormTitle: row.consent_form_title || "",
+		consentedVersion: Number.parseInt(row.consent_form_version, 10) || 1,
+		currentVersion: Number.parseInt(row.current_form_version, 10) || 1,
+		consentedAt: row.recorded_at || row.created_at || ""
+	};
+}
+
+async function supersededConsent(svc, formId) {
+	const rows = await latestParticipantConsent(svc, "pc.consent_form_id = ?", [formId]);
+	return rows.filter(row => consentStanding(row) === "outdated").map(reconsentItem);
+}
+
+/**
+ * Whether new research data may be captured for a participant. Blocked when
+ * their latest consent for any form in the study was withdrawn or given
+ * against a version that has since been superseded. Participants with no
+ * consent records are not blocked here.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {{studyId?:string, participantId:string}} subject
+ * @returns {Promise<{allowed:boolean, reason:string, consent:object|null}>}
+ */
+export async function participantConsentGate(svc, { studyId = "", participantId }) {
+	if (!participantId || !hasD1(svc)) return { allowed: true, reason: "", consent: null };
+	const rows = studyId
+		? await latestParticipantConsent(svc, "pc.participant_id = ? AND pc.study_id = ?", [participantId, studyId])
+		: await latestParticipantConsent(svc, "pc.participant_id = ?", [participantId]);
+	const withdrawn = rows.find(row => consentStanding(row) === "withdrawn");
+	if (withdrawn) return { allowed: false, reason: "participant_consent_withdrawn", consent: reconsentItem(withdrawn) };
+	const outdated = rows.find(row => consentStanding(row) === "outdated");
+	if (outdated) return { allowed: false, reason: "participant_reconsent_required", consent: reconsentItem(outdated) };
+	return { allowed: true, reason: "", consent: null };
+}
+
 function consentFormsTable(svc) {
 	return encodeURIComponent(svc.env.AIRTABLE_TABLE_CONSENT_FORMS || "Consent Forms");
 }
@@ -612,7 +770,17 @@ export async function publishConsentForm(svc, origin, formId) {
 	if (hasD1(svc)) {
 		try {
 			const consentForm = await publishConsentFormInD1(svc, formId);
-			if (consentForm) return svc.json({ ok: true, version: consentForm.version, status: consentForm.status, consentForm, source: "d1" }, 200, svc.corsHeaders(origin));
+			if (consentForm) {
+				const participants = await supersededConsent(svc, formId);
+				return svc.json({
+					ok: true,
+					version: consentForm.version,
+					status: consentForm.status,
+					consentForm,
+					reconsent: { required: participants.length, participants },
+					source: "d1"
+				}, 200, svc.corsHeaders(origin));
+			}
 			if (!airtableConfigured(svc)) return svc.json({ ok: false, error: "consent_form_not_found" }, 404, svc.corsHeaders(origin));
 		} catch (error) {
 			svc.log.warn("d1.consent_forms.publish.fail", { detail: String(error?.message || error) });
@@ -643,3 +811,119 @@ export async function publishConsentForm(svc, origin, formId) {
 	if (resp.ok) return svc.json({ ok: true, version: currentVersion + 1, status: "Published" }, 200, svc.corsHeaders(origin));
 	return svc.json({ ok: false, error: `Airtable ${resp.status}`, detail: safeText(text) }, resp.status, svc.corsHeaders(origin));
 }
+
+export async function listReconsentQueue(svc, origin, url) {
+	const studyId = url.searchParams.get("study");
+	if (!studyId) return svc.json({ ok: false, error: "Missing study query" }, 400, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return svc.json({ ok: false, error: "consent_store_unavailable" }, 503, svc.corsHeaders(origin));
+	try {
+		const rows = await latestParticipantConsent(svc, "pc.study_id = ?", [studyId]);
+		const queue = rows.filter(row => consentStanding(row) === "outdated").map(reconsentItem);
+		return svc.json({ ok: true, studyId, queue }, 200, svc.corsHeaders(origin));
+	} catch (error) {
+		svc.log.error("d1.consent_forms.reconsent_queue.fail", { detail: String(error?.message || error) });
+		return svc.json({ ok: false, error: "reconsent_queue_failed" }, 500, svc.corsHeaders(origin));
+	}
+}
+
+function markdownSections(markdown = "") {
+	const sections = new Map();
+	let heading = "Introduction";
+	let lines = [];
+	const flush = () => {
+		const text = lines.join("\n").trim();
+		if (text || !sections.has(heading)) sections.set(heading, text);
+		lines = [];
+	};
+	for (const line of String(markdown).split(/\r?\n/)) {
+		const match = line.match(/^#{1,6}\s+(.*)$/);
+		if (match) {
+			flush();
+			heading = match[1].trim();
+			continue;
+		}
+		lines.push(line);
+	}
+	flush();
+	return sections;
+}
+
+function compareMaps(changes, field, label, before, after) {
+	for (const key of new Set([...before.keys(), ...after.keys()])) {
+		const had = before.has(key);
+		const has = after.has(key);
+		const beforeValue = had ? before.get(key) : null;
+		const afterValue = has ? after.get(key) : null;
+		if (had && has && beforeValue === afterValue) continue;
+		changes.push({
+			field: `${field}.${key}`,
+			label: label(key),
+			change: !had ? "added" : !has ? "removed" : "changed",
+			before: beforeValue,
+			after: afterValue
+		});
+	}
+}
+
+function consentItemMap(items = []) {
+	return new Map((Array.isArray(items) ? items : []).map((item, index) => [
+		String(item?.id || index + 1),
+		`${item?.label || ""}${item?.required === false ? " (optional)" : ""}`
+	]));
+}
+
+/**
+ * Field-level differences between two published versions, written for
+ * participants: the title, summary, each section of the form by heading,
+ * each consent statement and each filled-in detail.
+ */
+function consentFormVersionDiff(before, after) {
+	const changes = [];
+	for (const [field, label, column] of [["title", "Title", "title"], ["plainEnglishSummary", "Summary", "plain_english_summary"]]) {
+		const beforeValue = before[column] || "";
+		const afterValue = after[column] || "";
+		if (beforeValue !== afterValue) changes.push({ field, label, change: "changed", before: beforeValue, after: afterValue });
+	}
+	compareMaps(changes, "sections", key => `Section: ${key}`, markdownSections(before.source_markdown), markdownSections(after.source_markdown));
+	compareMaps(changes, "consentItems", key => `Consent statement: ${key}`, consentItemMap(parseJsonField(before.consent_items_json, [])), consentItemMap(parseJsonField(after.consent_items_json, [])));
+	const variables = value => new Map(Object.entries(parseJsonField(value, {})).map(([key, item]) => [key, String(item ?? "")]));
+	compareMaps(changes, "variables", key => `Detail: ${key}`, variables(before.variables_json), variables(after.variables_json));
+	return changes;
+}
+
+export async function diffConsentFormVersions(svc, origin, formId, url) {
+	if (!formId) return svc.json({ ok: false, error: "Missing consent form id" }, 400, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return svc.json({ ok: false, error: "consent_store_unavailable" }, 503, svc.corsHeaders(origin));
+	try {
+		await ensureConsentFormsTable(svc);
+		const versions = await d1All(svc.env, `
+			SELECT *
+			FROM ${CONSENT_FORM_VERSIONS_TABLE}
+			WHERE consent_form_id = ?
+			ORDER BY version DESC
+		`, [formId]);
+		const requestedTo = Number.parseInt(url.searchParams.get("to") || "", 10);
+		const requestedFrom = Number.parseInt(url.searchParams.get("from") || "", 10);
+		const to = Number.isFinite(requestedTo) ? versions.find(row => Number(row.version) === requestedTo) : versions[0];
+		const from = Number.isFinite(requestedFrom)
+			? versions.find(row => Number(row.version) === requestedFrom)
+			: versions.find(row => to && Number(row.version) < Number(to.version));
+		if (!to || !from) {
+			return svc.json({
+				ok: false,
+				error: "consent_form_version_not_found",
+				message: "Both versions must have been published before they can be compared."
+			}, 404, svc.corsHeaders(origin));
+		}
+		return svc.json({
+			ok: true,
+			consentFormId: formId,
+			from: { version: Number(from.version), publishedAt: from.published_at },
+			to: { version: Number(to.version), publishedAt: to.published_at },
+			changes: consentFormVersionDiff(from, to)
+		}, 200, svc.corsHeaders(origin));
+	} catch (error) {
+		svc.log.error("d1.consent_forms.diff.fail", { detail: String(error?.message || error) });
+		return svc.json({ ok: false, error: "consent_form_diff_failed" }, 500, svc.corsHeaders(origin));
+	}
+}
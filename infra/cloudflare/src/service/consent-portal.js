@@ -0,0 +1,431 @@
+/**
+ * @file src/service/consent-portal.js
+ * @module service/consent-portal
+ * @summary Participant self-service consent through expiring signed links.
+ *
+ * Endpoints covered:
+ * - GET    /api/participant-consent/links?study=<StudyId>     links issued for a study
+ * - POST   /api/participant-consent/links                     { studyId, participantId, expiresInDays? }
+ * - DELETE /api/participant-consent/links/:id                 revoke
+ * - GET    /api/participant-consent/:id/verify                recompute a response hash
+ * - GET    /api/consent-portal?token=                         public, token-checked
+ * - POST   /api/consent-portal                                public, { token, consentFormId, consentFormVersion, responses, withdrawn?, withdrawalReason?, withdrawalScope? }
+ *
+ * Participants cannot sign in, so each link carries an HMAC-signed token
+ * naming the link, study and participant with an expiry, signed with the
+ * CONSENT_PORTAL_SECRET Worker secret. Without that secret the portal is
+ * unavailable. Issuing a new link revokes the participant's earlier links for
+ * that study.
+ *
+ * Every response is appended as a new participant consent record, never
+ * edited. Its SHA-256 hash covers the responses, the hash of the form
+ * wording shown and the hash of the participant's previous record, so a
+ * changed record or a removed one shows up when the chain is verified.
+ * Records a researcher saves join the same chain (see participant-consent.js).
+ * A withdrawal starts the consent withdrawal cascade with the scope the
+ * participant chose, which defaults to redact.
+ */
+
+import { currentPublishedConsentForm, publishedConsentFormVersion } from "./consent-forms.js";
+import { normaliseWithdrawalScope, startConsentWithdrawal } from "./consent-withdrawal.js";
+import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
+import { canonicalJson, participantResponseHash, sha256Hex } from "./internals/consent-hash.js";
+import { renderConsentFormHtml } from "./internals/consent-markdown.js";
+import { PARTICIPANT_CONSENT_TABLE, appendParticipantConsent, ensureParticipantConsentTable } from "./participant-consent.js";
+
+const LINKS_TABLE = "rops_participant_consent_links";
+const DEFAULT_EXPIRY_DAYS = 14;
+const MAX_EXPIRY_DAYS = 90;
+const DAY_MS = 24 * 60 * 60_000;
+const CAPTURE_METHOD = "Participant consent link";
+const RESPONSES = new Set(["agreed", "declined"]);
+
+function hasD1(svc) { return Boolean(svc?.env?.RESEARCHOPS_D1?.prepare); }
+function nowIso() { return new Date().toISOString(); }
+function text(value) { return String(value ?? "").trim(); }
+function linkId() { return `pcl_${crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}_${Math.random().toString(16).slice(2)}`}`; }
+function recordId() { return `pc_${crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}_${Math.random().toString(16).slice(2)}`}`; }
+function unavailable(svc, origin) { return svc.json({ ok: false, error: "consent_portal_unavailable", message: "Consent links are not available right now." }, 503, svc.corsHeaders(origin)); }
+
+async function ensureTables(svc) {
+	if (!hasD1(svc)) throw new Error("RESEARCHOPS_D1 binding not available");
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${LINKS_TABLE} (id TEXT PRIMARY KEY, study_id TEXT NOT NULL, participant_id TEXT NOT NULL, expires_at TEXT NOT NULL, issued_by TEXT, created_at TEXT NOT NULL, revoked_at TEXT, last_used_at TEXT)`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_participant_consent_links_subject ON ${LINKS_TABLE} (study_id, participant_id, revoked_at)`);
+	await ensureParticipantConsentTable(svc);
+}
+
+/** Links are signed with their own secret, so rotating it revokes every link without touching sign-in. */
+function signingSecret(env) {
+	return env.CONSENT_PORTAL_SECRET || "";
+}
+
+function base64UrlEncodeBytes(bytes) {
+	let binary = "";
+	for (const byte of bytes) binary += String.fromCharCode(byte);
+	return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
+}
+
+function base64UrlDecodeBytes(value) {
+	const raw = String(value || "");
+	const binary = atob(`${raw.replace(/-/g, "+").replace(/_/g, "/")}${"=".repeat((4 - (raw.length % 4)) % 4)}`);
+	return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+async function hmacKey(env) {
+	return crypto.subtle.importKey("raw", new TextEncoder().encode(signingSecret(env)), { name: "HMAC", hash: "SHA-256" }, false, ["sign", "verify"]);
+}
+
+async function signLinkToken(env, payload) {
+	const encodedPayload = base64UrlEncodeBytes(new TextEncoder().encode(JSON.stringify(payload)));
+	const signature = await crypto.subtle.sign("HMAC", await hmacKey(env), new TextEncoder().encode(encodedPayload));
+	return `${encodedPayload}.${base64UrlEncodeBytes(new Uint8Array(signature))}`;
+}
+
+async function verifyLinkToken(env, token) {
+	const [encodedPayload, encodedSignature, extra] = String(token || "").split(".");
+	if (!encodedPayload || !encodedSignature || extra !== undefined) return null;
+	try {
+		const ok = await crypto.subtle.verify("HMAC", await hmacKey(env), base64UrlDecodeBytes(encodedSignature), new TextEncoder().encode(encodedPayload));
+		if (!ok) return null;
+		const payload = JSON.parse(new TextDecoder().decode(base64UrlDecodeBytes(encodedPayload)));
+		return payload?.lid && payload?.sid && payload?.pid && Number.isFinite(payload?.exp) ? payload : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Hash of the consent form wording a participant was shown.
+ * @param {NonNullable<Awaited<ReturnType<typeof currentPublishedConsentForm>>>} form
+ */
+export function consentFormHash(form) {
+	return sha256Hex(canonicalJson({
+		consentFormId: form.id,
+		version: form.version,
+		title: form.title,
+		sourceMarkdown: form.sourceMarkdown,
+		variables: form.variables,
+		consentItems: form.consentItems
+	}));
+}
+
+function parseResponses(value) {
+	try {
+		const parsed = JSON.parse(String(value || "{}"));
+		return parsed && typeof parsed === "object" ? parsed : {};
+	} catch {
+		return {};
+	}
+}
+
+function linkDto(row) {
+	return {
+		id: row.id,
+		studyId: row.study_id,
+		participantId: row.participant_id,
+		expiresAt: row.expires_at,
+		issuedBy: row.issued_by || "",
+		createdAt: row.created_at,
+		revokedAt: row.revoked_at || "",
+		lastUsedAt: row.last_used_at || ""
+	};
+}
+
+/**
+ * The link a token names, or the reason it cannot be used.
+ * @returns {Promise<{link?:Record<string, any>, status?:number, error?:string, message?:string}>}
+ */
+async function linkForToken(svc, token) {
+	const invalid = { status: 404, error: "consent_link_invalid", message: "This consent link is not valid. Ask the research team to send you a new one." };
+	const payload = await verifyLinkToken(svc.env, token);
+	if (!payload) return invalid;
+	if (payload.exp <= Date.now()) return { status: 410, error: "consent_link_expired", message: "This consent link has expired. Ask the research team to send you a new one." };
+	await ensureTables(svc);
+	const link = await d1Get(svc.env, `SELECT * FROM ${LINKS_TABLE} WHERE id = ? LIMIT 1`, [payload.lid]);
+	if (!link || link.study_id !== payload.sid || link.participant_id !== payload.pid) return invalid;
+	if (link.revoked_at) return { status: 410, error: "consent_link_revoked", message: "This consent link has been replaced. Use the most recent link the research team sent you." };
+	return { link };
+}
+
+async function latestResponseRow(svc, studyId, participantId) {
+	return d1Get(svc.env, `
+		SELECT *
+		FROM ${PARTICIPANT_CONSENT_TABLE}
+		WHERE study_id = ? AND participant_id = ? AND active = 1
+		ORDER BY COALESCE(recorded_at, created_at) DESC, created_at DESC, id DESC
+		LIMIT 1
+	`, [studyId, participantId]);
+}
+
+async function studyTitle(svc, studyId) {
+	try {
+		const row = await d1Get(svc.env, "SELECT title FROM rops_studies_cache WHERE id = ? AND active = 1 LIMIT 1", [studyId]);
+		return row?.title || "";
+	} catch {
+		return "";
+	}
+}
+
+async function readJsonBody(svc, request) {
+	const body = await request.arrayBuffer();
+	if (body.byteLength > svc.cfg.MAX_BODY_BYTES) throw Object.assign(new Error("Payload too large"), { status: 413 });
+	try {
+		return JSON.parse(new TextDecoder().decode(body) || "{}");
+	} catch {
+		throw Object.assign(new Error("Invalid JSON"), { status: 400 });
+	}
+}
+
+/**
+ * GET /api/participant-consent/links?study=
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {URL} url
+ */
+export async function listConsentLinks(svc, origin, url) {
+	const studyId = text(url.searchParams.get("study"));
+	if (!studyId) return svc.json({ ok: false, error: "Missing study query" }, 400, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		await ensureTables(svc);
+		const rows = await d1All(svc.env, `SELECT * FROM ${LINKS_TABLE} WHERE study_id = ? ORDER BY created_at DESC`, [studyId]);
+		return svc.json({ ok: true, links: rows.map(linkDto) }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.consent_links.list.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * POST /api/participant-consent/links — issue a link and return its URL once.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {any} authContext
+ */
+export async function createConsentLink(svc, request, origin, authContext) {
+	let p;
+	try { p = await readJsonBody(svc, request); } catch (e) {
+		return svc.json({ ok: false, error: e.message }, e.status || 400, svc.corsHeaders(origin));
+	}
+	const studyId = text(p.studyId || p.study_id);
+	const participantId = text(p.participantId || p.participant_id);
+	if (!studyId || !participantId) return svc.json({ ok: false, error: "Missing fields: studyId, participantId" }, 400, svc.corsHeaders(origin));
+	const days = p.expiresInDays === undefined ? DEFAULT_EXPIRY_DAYS : Number(p.expiresInDays);
+	if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+		return svc.json({ ok: false, error: "invalid_expiry", message: `Links must expire after between 1 and ${MAX_EXPIRY_DAYS} days.` }, 400, svc.corsHeaders(origin));
+	}
+	if (!hasD1(svc) || !signingSecret(svc.env)) return unavailable(svc, origin);
+
+	const createdAt = nowIso();
+	const row = {
+		id: linkId(),
+		study_id: studyId,
+		participant_id: participantId,
+		expires_at: new Date(Date.parse(createdAt) + days * DAY_MS).toISOString(),
+		issued_by: text(authContext?.user?.email) || null,
+		created_at: createdAt
+	};
+	try {
+		await ensureTables(svc);
+		if (!await currentPublishedConsentForm(svc, studyId)) {
+			return svc.json({ ok: false, error: "consent_form_not_published", message: "Publish a consent form for this study before sending consent links." }, 409, svc.corsHeaders(origin));
+		}
+		await d1Run(svc.env, `UPDATE ${LINKS_TABLE} SET revoked_at = ? WHERE study_id = ? AND participant_id = ? AND revoked_at IS NULL`, [createdAt, studyId, participantId]);
+		await d1Run(svc.env, `INSERT INTO ${LINKS_TABLE} (id, study_id, participant_id, expires_at, issued_by, created_at) VALUES (?, ?, ?, ?, ?, ?)`, [row.id, row.study_id, row.participant_id, row.expires_at, row.issued_by, row.created_at]);
+	} catch (e) {
+		svc.log.error("d1.consent_links.create.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+	const token = await signLinkToken(svc.env, { lid: row.id, sid: studyId, pid: participantId, exp: Date.parse(row.expires_at) });
+	const pageOrigin = origin && origin !== "null" ? origin : new URL(request.url).origin;
+	const url = `${pageOrigin}/pages/consent/respond/?token=${encodeURIComponent(token)}`;
+	return svc.json({ ok: true, link: linkDto(row), url }, 201, svc.corsHeaders(origin));
+}
+
+/**
+ * DELETE /api/participant-consent/links/:id
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {string} id
+ */
+export async function revokeConsentLink(svc, origin, id) {
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		await ensureTables(svc);
+		const row = await d1Get(svc.env, `SELECT * FROM ${LINKS_TABLE} WHERE id = ? AND revoked_at IS NULL LIMIT 1`, [id]);
+		if (!row) return svc.json({ ok: false, error: "not_found" }, 404, svc.corsHeaders(origin));
+		const revokedAt = nowIso();
+		await d1Run(svc.env, `UPDATE ${LINKS_TABLE} SET revoked_at = ? WHERE id = ?`, [revokedAt, id]);
+		return svc.json({ ok: true, link: linkDto({ ...row, revoked_at: revokedAt }) }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.consent_links.revoke.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * GET /api/consent-portal?token= — the current consent form and the
+ * participant's latest response, for the participant.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {URL} url
+ */
+export async function readConsentPortal(svc, origin, url) {
+	if (!hasD1(svc) || !signingSecret(svc.env)) return unavailable(svc, origin);
+	try {
+		const { link, status, error, message } = await linkForToken(svc, text(url.searchParams.get("token")));
+		if (!link) return svc.json({ ok: false, error, message }, status, svc.corsHeaders(origin));
+		const form = await currentPublishedConsentForm(svc, link.study_id);
+		if (!form) return svc.json({ ok: false, error: "consent_form_not_published", message: "The consent form for this study is not available yet." }, 404, svc.corsHeaders(origin));
+		const latest = await latestResponseRow(svc, link.study_id, link.participant_id);
+		await d1Run(svc.env, `UPDATE ${LINKS_TABLE} SET last_used_at = ? WHERE id = ?`, [nowIso(), link.id]).catch(() => {});
+		return svc.json({
+			ok: true,
+			study: { title: await studyTitle(svc, link.study_id) },
+			form: {
+				id: form.id,
+				version: form.version,
+				title: form.title,
+				summary: form.plainEnglishSummary,
+				html: renderConsentFormHtml(form),
+				consentItems: (Array.isArray(form.consentItems) ? form.consentItems : []).map((item) => ({ id: String(item.id), label: item.label || "", required: item.required !== false })),
+				formHash: await consentFormHash(form)
+			},
+			response: latest ? {
+				consentFormVersion: Number.parseInt(latest.consent_form_version, 10) || 1,
+				responses: parseResponses(latest.responses_json),
+				withdrawn: Number(latest.withdrawn) === 1,
+				recordedAt: latest.recorded_at || latest.created_at
+			} : null,
+			expiresAt: link.expires_at
+		}, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("consent_portal.read.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * POST /api/consent-portal — record the participant's response to the current form.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ */
+export async function submitConsentPortal(svc, request, origin) {
+	let p;
+	try { p = await readJsonBody(svc, request); } catch (e) {
+		return svc.json({ ok: false, error: e.message }, e.status || 400, svc.corsHeaders(origin));
+	}
+	if (!hasD1(svc) || !signingSecret(svc.env)) return unavailable(svc, origin);
+	try {
+		const { link, status, error, message } = await linkForToken(svc, text(p.token));
+		if (!link) return svc.json({ ok: false, error, message }, status, svc.corsHeaders(origin));
+		const form = await currentPublishedConsentForm(svc, link.study_id);
+		if (!form) return svc.json({ ok: false, error: "consent_form_not_published", message: "The consent form for this study is not available yet." }, 404, svc.corsHeaders(origin));
+		if (text(p.consentFormId) !== form.id || Number(p.consentFormVersion) !== form.version) {
+			return svc.json({ ok: false, error: "consent_form_changed", message: "The consent form was updated after you opened it. Read the current version before you answer." }, 409, svc.corsHeaders(origin));
+		}
+
+		const items = Array.isArray(form.consentItems) ? form.consentItems : [];
+		const withdrawn = p.withdrawn === true;
+		const withdrawalScope = withdrawn ? normaliseWithdrawalScope(p.withdrawalScope) : null;
+		if (withdrawn && !withdrawalScope) {
+			return svc.json({ ok: false, error: "invalid_withdrawal_scope", message: "Choose what should happen to what you have already told us." }, 400, svc.corsHeaders(origin));
+		}
+		const given = p.responses && typeof p.responses === "object" ? p.responses : {};
+		const responses = {};
+		const missing = [];
+		for (const item of items) {
+			const id = String(item.id);
+			const value = withdrawn ? "declined" : text(given[id]).toLowerCase();
+			if (!RESPONSES.has(value)) missing.push(id);
+			else responses[id] = value;
+		}
+		if (missing.length) {
+			return svc.json({ ok: false, error: "consent_responses_incomplete", message: "Answer every statement before you submit.", missing }, 400, svc.corsHeaders(origin));
+		}
+		const ready = items.every((item) => item.required === false || responses[String(item.id)] === "agreed");
+		const recordedAt = nowIso();
+		const row = await appendParticipantConsent(svc, {
+			id: recordId(),
+			study_id: link.study_id,
+			participant_id: link.participant_id,
+			consent_form_id: form.id,
+			consent_form_version: form.version,
+			responses_json: JSON.stringify(responses),
+			status: withdrawn ? "Withdrawn" : ready ? "Ready for session" : "Needs consent",
+			capture_method: CAPTURE_METHOD,
+			withdrawn: withdrawn ? 1 : 0,
+			withdrawal_reason: withdrawn ? text(p.withdrawalReason).slice(0, 2000) : "",
+			recorded_by: "Participant",
+			recorded_at: recordedAt,
+			created_at: recordedAt,
+			updated_at: recordedAt,
+			payload_json: JSON.stringify({ responses, withdrawn, ...(withdrawn ? { withdrawalScope } : {}), consentLinkId: link.id }),
+			consent_link_id: link.id,
+			form_hash: await consentFormHash(form)
+		});
+		await d1Run(svc.env, `UPDATE ${LINKS_TABLE} SET last_used_at = ? WHERE id = ?`, [recordedAt, link.id]).catch(() => {});
+		if (withdrawn) {
+			await startConsentWithdrawal(svc, {
+				id: row.id,
+				studyId: row.study_id,
+				participantId: row.participant_id,
+				withdrawalReason: row.withdrawal_reason
+			}, { scope: withdrawalScope, actor: "Participant" });
+		}
+		return svc.json({
+			ok: true,
+			response: {
+				id: row.id,
+				status: row.status,
+				withdrawn,
+				consentFormVersion: form.version,
+				recordedAt,
+				responseHash: row.response_hash
+			}
+		}, 201, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("consent_portal.submit.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * GET /api/participant-consent/:id/verify — recompute a record's hash and
+ * check the form wording and previous record it names still match.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {string} id
+ */
+export async function verifyParticipantConsentRecord(svc, origin, id) {
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		await ensureTables(svc);
+		const row = await d1Get(svc.env, `SELECT * FROM ${PARTICIPANT_CONSENT_TABLE} WHERE id = ? LIMIT 1`, [id]);
+		if (!row) return svc.json({ ok: false, error: "participant_consent_not_found" }, 404, svc.corsHeaders(origin));
+		if (!row.response_hash) return svc.json({ ok: true, id, hashed: false }, 200, svc.corsHeaders(origin));
+
+		const computedHash = await participantResponseHash(row);
+		const form = await publishedConsentFormVersion(svc, row.consent_form_id, Number.parseInt(row.consent_form_version, 10) || 1);
+		// Records a researcher saved name no form wording; their hash still covers that it is blank.
+		const formMatches = !row.form_hash || (Boolean(form) && await consentFormHash(form) === row.form_hash);
+		const previous = row.previous_response_hash
+			? await d1Get(svc.env, `SELECT id FROM ${PARTICIPANT_CONSENT_TABLE} WHERE response_hash = ? AND study_id = ? AND participant_id = ? LIMIT 1`, [row.previous_response_hash, row.study_id, row.participant_id])
+			: null;
+		const previousFound = !row.previous_response_hash || Boolean(previous);
+		return svc.json({
+			ok: true,
+			id,
+			hashed: true,
+			valid: computedHash === row.response_hash && formMatches && previousFound,
+			checks: { responseHash: computedHash === row.response_hash, formWording: formMatches, previousResponse: previousFound },
+			responseHash: row.response_hash,
+			computedHash
+		}, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.participant_consent.verify.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
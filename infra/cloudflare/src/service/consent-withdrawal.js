@@ -0,0 +1,578 @@
+/**
+ * @file src/service/consent-withdrawal.js
+ * @module service/consent-withdrawal
+ * @summary Removes or redacts a participant's research data after they withdraw consent, and keeps a report of what changed.
+ *
+ * Endpoints covered:
+ * - GET  /api/consent-withdrawals?study=<StudyId>
+ * - GET  /api/consent-withdrawals/:id/report?format=json|csv
+ * - POST /api/consent-withdrawals/:id/run
+ *
+ * A withdrawal is queued once for each participant consent record saved as
+ * withdrawn, whether a researcher recorded it or the participant used their
+ * consent link, and is run straight away. The scope decides what happens to
+ * what was already collected:
+ * - remove: session notes and coded excerpts are deleted
+ * - redact: they are kept, with the participant's words replaced
+ * - retain: nothing changes; the report lists what is held
+ * Coded excerpts include those taken from journal entries that name the
+ * participant. For remove and redact the notes also leave synthesis
+ * clusters, themes and cluster history, and their affinity map stickies come
+ * off the Mural board.
+ *
+ * Everything found gets a row in rops_consent_withdrawal_items with the
+ * SHA-256 of the content it held, so the report shows what was removed
+ * without keeping it. Items that need a person — a sticky when no one with a
+ * Mural connection has run the withdrawal, a note synced to Mural without a
+ * widget id, a note or excerpt held in Airtable — leave the withdrawal
+ * needing attention. Running it again only retries what is still open. Runs that
+ * fail outright are retried by the scheduled drain.
+ */
+
+import { deleteWidget } from "../lib/mural.js";
+import { toCsvLine } from "../core/utils.js";
+import { getValidAccessToken } from "./internals/mural-tokens.js";
+import { readJournalMentions } from "./internals/participant-mentions.js";
+import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
+import { removeFromSearchIndex, SEARCH_INDEX_TABLE } from "./internals/search-index.js";
+import { listEvidenceForStudy, removeEvidenceFromSynthesis } from "./synthesis.js";
+
+const WITHDRAWALS_TABLE = "rops_consent_withdrawals";
+const ITEMS_TABLE = "rops_consent_withdrawal_items";
+const SESSION_NOTES_TABLE = "rops_session_notes";
+const CODE_APPLICATIONS_TABLE = "code_applications";
+const JOURNAL_TABLE = "journal_entries";
+const PARTICIPANTS_TABLE = "rops_participants_cache";
+const MURAL_WIDGETS_TABLE = "mural_synthesis_widgets";
+
+export const WITHDRAWAL_SCOPES = Object.freeze(["remove", "redact", "retain"]);
+export const DEFAULT_WITHDRAWAL_SCOPE = "redact";
+
+const REDACTED_TEXT = "[Redacted: the participant withdrew consent]";
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY_MS = 10 * 60_000;
+const STALE_RUN_MS = 15 * 60_000;
+const DRAIN_BATCH_SIZE = 10;
+const OPEN_STATUSES = ["pending", "manual", "failed"];
+
+const CSV_HEADER = [
+	"Withdrawal ID",
+	"Study",
+	"Participant",
+	"Scope",
+	"Item type",
+	"Item",
+	"Description",
+	"Action",
+	"Status",
+	"Detail",
+	"Content SHA-256",
+	"Processed at"
+];
+
+function hasD1(svc) { return Boolean(svc?.env?.RESEARCHOPS_D1?.prepare); }
+function nowIso(value = Date.now()) { return new Date(value).toISOString(); }
+function text(value) { return String(value ?? "").trim(); }
+function isGone(err) { return [403, 404, 410].includes(Number(err?.status || 0)); }
+function withdrawalId() { return `cw_${crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}_${Math.random().toString(16).slice(2)}`}`; }
+function unavailable(svc, origin) { return svc.json({ ok: false, error: "consent_withdrawal_unavailable", message: "Consent withdrawals are not available right now." }, 503, svc.corsHeaders(origin)); }
+
+async function ensureTables(svc) {
+	if (!hasD1(svc)) throw new Error("RESEARCHOPS_D1 binding not available");
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${WITHDRAWALS_TABLE} (id TEXT PRIMARY KEY, study_id TEXT NOT NULL, participant_id TEXT NOT NULL, consent_record_id TEXT NOT NULL UNIQUE, scope TEXT NOT NULL, status TEXT NOT NULL DEFAULT 'queued', reason TEXT, requested_by TEXT, requested_uid TEXT, requested_at TEXT NOT NULL, started_at TEXT, completed_at TEXT, attempts INTEGER NOT NULL DEFAULT 0, next_attempt_at TEXT, last_error TEXT)`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_consent_withdrawals_study ON ${WITHDRAWALS_TABLE} (study_id, requested_at)`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_consent_withdrawals_status ON ${WITHDRAWALS_TABLE} (status, next_attempt_at)`);
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${ITEMS_TABLE} (withdrawal_id TEXT NOT NULL, item_type TEXT NOT NULL, item_id TEXT NOT NULL, label TEXT, action TEXT NOT NULL, status TEXT NOT NULL DEFAULT 'pending', detail TEXT, content_hash TEXT, processed_at TEXT, PRIMARY KEY (withdrawal_id, item_type, item_id))`);
+}
+
+async function tableExists(svc, name) {
+	const row = await d1Get(svc.env, "SELECT name FROM sqlite_master WHERE type IN ('table', 'view') AND name = ? LIMIT 1", [name]);
+	return Boolean(row?.name);
+}
+
+async function sha256Hex(value) {
+	const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(String(value ?? "")));
+	return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * The scope a request asked for, or null when it is not one we know.
+ * @param {unknown} value
+ * @returns {string|null}
+ */
+export function normaliseWithdrawalScope(value) {
+	const scope = text(value).toLowerCase() || DEFAULT_WITHDRAWAL_SCOPE;
+	return WITHDRAWAL_SCOPES.includes(scope) ? scope : null;
+}
+
+function withdrawalDto(row, counts = null) {
+	return {
+		id: row.id,
+		studyId: row.study_id,
+		participantId: row.participant_id,
+		consentRecordId: row.consent_record_id,
+		scope: row.scope,
+		status: row.status,
+		reason: row.reason || "",
+		requestedBy: row.requested_by || "",
+		requestedAt: row.requested_at,
+		startedAt: row.started_at || "",
+		completedAt: row.completed_at || "",
+		attempts: Number(row.attempts || 0),
+		lastError: row.last_error || "",
+		...(counts ? { counts } : {})
+	};
+}
+
+function itemDto(row) {
+	return {
+		type: row.item_type,
+		id: row.item_id,
+		label: row.label || "",
+		action: row.action,
+		status: row.status,
+		detail: row.detail || "",
+		contentHash: row.content_hash || "",
+		processedAt: row.processed_at || ""
+	};
+}
+
+function countItems(items) {
+	const counts = { total: items.length, done: 0, manual: 0, failed: 0, pending: 0 };
+	for (const item of items) counts[item.status] = (counts[item.status] || 0) + 1;
+	return counts;
+}
+
+async function addItem(svc, withdrawalIdValue, item) {
+	await d1Run(svc.env, `INSERT INTO ${ITEMS_TABLE} (withdrawal_id, item_type, item_id, label, action, status, detail, content_hash, processed_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) ON CONFLICT(withdrawal_id, item_type, item_id) DO NOTHING`, [
+		withdrawalIdValue,
+		item.type,
+		item.id,
+		item.label || null,
+		item.action,
+		item.status || "pending",
+		item.detail || null,
+		item.contentHash || null,
+		item.status === "done" ? nowIso() : null
+	]);
+}
+
+async function settleItem(svc, withdrawalIdValue, item, status, detail = "") {
+	await d1Run(svc.env, `UPDATE ${ITEMS_TABLE} SET status = ?, detail = ?, processed_at = ? WHERE withdrawal_id = ? AND item_type = ? AND item_id = ?`, [
+		status,
+		detail || null,
+		nowIso(),
+		withdrawalIdValue,
+		item.item_type,
+		item.item_id
+	]);
+}
+
+function recordAction(scope) {
+	if (scope === "remove") return "delete";
+	if (scope === "redact") return "redact";
+	return "retain";
+}
+
+/**
+ * Find everything held about the participant in the study and list it as
+ * items. Items already listed by an earlier run keep their status.
+ */
+async function discoverItems(svc, job) {
+	const action = recordAction(job.scope);
+	const retain = job.scope === "retain";
+	const notes = await tableExists(svc, SESSION_NOTES_TABLE)
+		? await d1All(svc.env, `SELECT id, session_id, start_iso, content_html, content_plain, synced_to_mural, synced_at FROM ${SESSION_NOTES_TABLE} WHERE study_id = ? AND participant_id = ?`, [job.study_id, job.participant_id])
+		: [];
+	for (const note of notes) {
+		await addItem(svc, job.id, {
+			type: "session_note",
+			id: note.id,
+			label: `Session ${note.session_id || "note"} at ${note.start_iso || "unknown time"}`,
+			action,
+			status: retain ? "done" : "pending",
+			contentHash: await sha256Hex(note.content_html || note.content_plain)
+		});
+	}
+
+	const noteIds = notes.map((note) => note.id);
+	const mentions = await journalMentions(svc, job);
+	const entryIds = [...noteIds, ...mentions.map((entry) => entry.record_id)];
+	if (entryIds.length && await tableExists(svc, CODE_APPLICATIONS_TABLE)) {
+		const excerpts = await d1All(svc.env, `SELECT record_id, local_application_id, entry, code, excerpt FROM ${CODE_APPLICATIONS_TABLE} WHERE entry IN (${entryIds.map(() => "?").join(", ")})`, entryIds);
+		for (const excerpt of excerpts) {
+			const source = noteIds.includes(excerpt.entry) ? "note" : "journal entry";
+			const contentHash = await sha256Hex(excerpt.excerpt);
+			await addItem(svc, job.id, {
+				type: "coded_excerpt",
+				id: excerpt.local_application_id,
+				label: `Code ${excerpt.code || "unknown"} on ${source} ${excerpt.entry}`,
+				action,
+				status: retain ? "done" : "pending",
+				contentHash
+			});
+			if (!excerpt.record_id) continue;
+			await addItem(svc, job.id, {
+				type: "airtable_coded_excerpt",
+				id: excerpt.record_id,
+				label: `Code ${excerpt.code || "unknown"} on ${source} ${excerpt.entry}, synced to Airtable`,
+				action,
+				status: retain ? "done" : "manual",
+				detail: retain ? "" : `Synced to Airtable. ${job.scope === "remove" ? "Delete" : "Redact"} it there.`,
+				contentHash
+			});
+		}
+	}
+
+	let airtableEvidence = [];
+	try {
+		airtableEvidence = (await listEvidenceForStudy(svc, job.study_id))
+			.filter((item) => item.participantId === job.participant_id && !noteIds.includes(item.id));
+	} catch (err) {
+		svc.log.warn("consent_withdrawal.evidence.skip", { id: job.id, detail: String(err?.message || err) });
+	}
+	for (const evidence of airtableEvidence) {
+		await addItem(svc, job.id, {
+			type: "airtable_session_note",
+			id: evidence.id,
+			label: evidence.sourceLabel || "Session note",
+			action,
+			status: retain ? "done" : "manual",
+			detail: retain ? "" : `Held in Airtable. ${job.scope === "remove" ? "Delete" : "Redact"} it there.`,
+			contentHash: await sha256Hex(evidence.contentPlain)
+		});
+	}
+
+	const evidenceIds = await listedEvidenceIds(svc, job);
+	const widgets = evidenceIds.length && await tableExists(svc, MURAL_WIDGETS_TABLE)
+		? await d1All(svc.env, `SELECT mural_id, widget_id, evidence_id, content FROM ${MURAL_WIDGETS_TABLE} WHERE study_id = ? AND kind = 'evidence' AND evidence_id IN (${evidenceIds.map(() => "?").join(", ")})`, [job.study_id, ...evidenceIds])
+		: [];
+	for (const widget of widgets) {
+		await addItem(svc, job.id, {
+			type: "mural_sticky",
+			id: `${widget.mural_id}:${widget.widget_id}`,
+			label: `Affinity map sticky for ${widget.evidence_id}`,
+			action: retain ? "retain" : "delete",
+			status: retain ? "done" : "pending",
+			contentHash: await sha256Hex(widget.content)
+		});
+	}
+	const mappedEvidence = new Set(widgets.map((widget) => widget.evidence_id));
+	for (const note of notes.filter((row) => Number(row.synced_to_mural) === 1 && !mappedEvidence.has(row.id))) {
+		await addItem(svc, job.id, {
+			type: "mural_sticky",
+			id: `note:${note.id}`,
+			label: `Sticky synced from note ${note.id}${note.synced_at ? ` on ${note.synced_at}` : ""}`,
+			action: retain ? "retain" : "delete",
+			status: retain ? "done" : "manual",
+			detail: retain ? "" : "No widget id was kept when this note was synced. Remove the sticky from the board by hand."
+		});
+	}
+}
+
+/**
+ * Journal entries in the study's project that name the participant, found
+ * the same way as for a subject access export.
+ */
+async function journalMentions(svc, job) {
+	if (!await tableExists(svc, JOURNAL_TABLE) || !await tableExists(svc, PARTICIPANTS_TABLE)) return [];
+	const participant = await d1Get(svc.env, `SELECT id, participant_ref, project_id FROM ${PARTICIPANTS_TABLE} WHERE id = ? OR participant_airtable_id = ? LIMIT 1`, [job.participant_id, job.participant_id]);
+	return participant ? readJournalMentions(svc.env, participant) : [];
+}
+
+/**
+ * Ids of the participant's notes as synthesis evidence. Read from the items,
+ * so a retry still has them after the notes themselves were deleted.
+ */
+async function listedEvidenceIds(svc, job) {
+	const rows = await d1All(svc.env, `SELECT item_id FROM ${ITEMS_TABLE} WHERE withdrawal_id = ? AND item_type IN ('session_note', 'airtable_session_note')`, [job.id]);
+	return rows.map((row) => row.item_id);
+}
+
+async function muralToken(svc, uid) {
+	if (!uid || !svc.mural) return null;
+	try {
+		const result = await getValidAccessToken(svc.mural, uid);
+		return result.ok ? result.token : null;
+	} catch (err) {
+		svc.log.warn("consent_withdrawal.mural_token.fail", { detail: String(err?.message || err) });
+		return null;
+	}
+}
+
+async function processStickies(svc, job) {
+	const open = await d1All(svc.env, `SELECT * FROM ${ITEMS_TABLE} WHERE withdrawal_id = ? AND item_type = 'mural_sticky' AND item_id NOT LIKE 'note:%' AND status IN ('pending', 'manual', 'failed')`, [job.id]);
+	if (!open.length) return;
+	const token = await muralToken(svc, job.requested_uid);
+	for (const item of open) {
+		const [muralId, widgetId] = item.item_id.split(":");
+		if (!token) {
+			await settleItem(svc, job.id, item, "manual", "Mural was not connected. Connect Mural and run this withdrawal again to remove the sticky.");
+			continue;
+		}
+		try {
+			await deleteWidget(svc.env, token, muralId, widgetId);
+			await d1Run(svc.env, `DELETE FROM ${MURAL_WIDGETS_TABLE} WHERE mural_id = ? AND widget_id = ?`, [muralId, widgetId]);
+			await settleItem(svc, job.id, item, "done");
+		} catch (err) {
+			if (isGone(err)) {
+				await d1Run(svc.env, `DELETE FROM ${MURAL_WIDGETS_TABLE} WHERE mural_id = ? AND widget_id = ?`, [muralId, widgetId]);
+				await settleItem(svc, job.id, item, "done", "The sticky was already gone from the board.");
+			} else {
+				await settleItem(svc, job.id, item, "failed", String(err?.message || err).slice(0, 300));
+			}
+		}
+	}
+}
+
+/**
+ * Search documents for a coded excerpt. The index holds one document per
+ * distinct excerpt of an entry, keyed by whichever application it met
+ * first, so every application sharing the excerpt is a candidate key.
+ */
+async function excerptSearchIds(svc, localApplicationId) {
+	const row = await d1Get(svc.env, `SELECT entry, excerpt FROM ${CODE_APPLICATIONS_TABLE} WHERE local_application_id = ? LIMIT 1`, [localApplicationId]);
+	if (!row) return [localApplicationId];
+	const rows = await d1All(svc.env, `SELECT record_id, local_application_id FROM ${CODE_APPLICATIONS_TABLE} WHERE entry IS ? AND excerpt IS ?`, [row.entry, row.excerpt]);
+	return [localApplicationId, ...rows.flatMap((match) => [match.record_id, match.local_application_id])];
+}
+
+async function processRecords(svc, job) {
+	const open = await d1All(svc.env, `SELECT * FROM ${ITEMS_TABLE} WHERE withdrawal_id = ? AND item_type IN ('session_note', 'coded_excerpt') AND status IN ('pending', 'failed')`, [job.id]);
+	for (const item of open) {
+		let searchIds = [item.item_id];
+		try {
+			if (item.item_type === "session_note" && job.scope === "remove") {
+				await d1Run(svc.env, `DELETE FROM ${SESSION_NOTES_TABLE} WHERE id = ?`, [item.item_id]);
+			} else if (item.item_type === "session_note") {
+				await d1Run(svc.env, `UPDATE ${SESSION_NOTES_TABLE} SET content_html = ?, content_plain = ?, payload_json = NULL, updated_at = ? WHERE id = ?`, [`<p>${REDACTED_TEXT}</p>`, REDACTED_TEXT, nowIso(), item.item_id]);
+			} else if (job.scope === "remove") {
+				searchIds = await excerptSearchIds(svc, item.item_id);
+				await d1Run(svc.env, `DELETE FROM ${CODE_APPLICATIONS_TABLE} WHERE local_application_id = ?`, [item.item_id]);
+			} else {
+				searchIds = await excerptSearchIds(svc, item.item_id);
+				await d1Run(svc.env, `UPDATE ${CODE_APPLICATIONS_TABLE} SET excerpt = ? WHERE local_application_id = ?`, [REDACTED_TEXT, item.item_id]);
+			}
+			await removeFromSearchIndex(svc.env, item.item_type === "session_note" ? "session_note" : "excerpt", searchIds);
+			await settleItem(svc, job.id, item, "done");
+		} catch (err) {
+			await settleItem(svc, job.id, item, "failed", String(err?.message || err).slice(0, 300));
+		}
+	}
+	return open.length;
+}
+
+async function processSynthesis(svc, job, evidenceIds) {
+	const changes = await removeEvidenceFromSynthesis(svc, job.study_id, evidenceIds, job.requested_by || "consent-withdrawal");
+	for (const change of changes) {
+		await d1Run(svc.env, `
+			INSERT INTO ${ITEMS_TABLE} (withdrawal_id, item_type, item_id, label, action, status, detail, processed_at)
+			VALUES (?, ?, ?, ?, 'remove_evidence', 'done', ?, ?)
+			ON CONFLICT(withdrawal_id, item_type, item_id) DO UPDATE SET detail = excluded.detail, processed_at = excluded.processed_at
+		`, [job.id, `synthesis_${change.type}`, change.id, change.label, `Removed evidence ${change.evidenceIds.join(", ")}`, nowIso()]);
+	}
+	return changes.length;
+}
+
+async function claim(svc, id) {
+	const now = nowIso();
+	const result = await d1Run(svc.env, `
+		UPDATE ${WITHDRAWALS_TABLE}
+		SET status = 'running', started_at = ?, attempts = attempts + 1, last_error = NULL
+		WHERE id = ? AND (status != 'running' OR started_at IS NULL OR started_at < ?)
+	`, [now, id, nowIso(Date.now() - STALE_RUN_MS)]);
+	if (!Number(result?.meta?.changes)) return null;
+	return d1Get(svc.env, `SELECT * FROM ${WITHDRAWALS_TABLE} WHERE id = ? LIMIT 1`, [id]);
+}
+
+/**
+ * Run a queued withdrawal, or run one again to retry what is still open.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} id
+ * @returns {Promise<ReturnType<typeof withdrawalDto>|null>} null when another run holds it
+ */
+export async function runConsentWithdrawal(svc, id) {
+	await ensureTables(svc);
+	const job = await claim(svc, id);
+	if (!job) return null;
+	try {
+		await discoverItems(svc, job);
+		if (job.scope !== "retain") {
+			const changedRecords = await processRecords(svc, job);
+			await processSynthesis(svc, job, await listedEvidenceIds(svc, job));
+			await processStickies(svc, job);
+			if (changedRecords && await tableExists(svc, SEARCH_INDEX_TABLE)) {
+				await addItem(svc, job.id, { type: "search_index", id: SEARCH_INDEX_TABLE, label: "Search index", action: "remove", status: "done", detail: "Withdrawn notes and excerpts were taken out of search." });
+			}
+		}
+		const items = (await d1All(svc.env, `SELECT status FROM ${ITEMS_TABLE} WHERE withdrawal_id = ?`, [job.id]));
+		const status = items.some((item) => OPEN_STATUSES.includes(item.status)) ? "needs_attention" : "completed";
+		await d1Run(svc.env, `UPDATE ${WITHDRAWALS_TABLE} SET status = ?, completed_at = ?, next_attempt_at = NULL WHERE id = ?`, [status, nowIso(), job.id]);
+		svc.log.info("consent_withdrawal.run", { id: job.id, scope: job.scope, status });
+	} catch (err) {
+		const detail = String(err?.message || err).slice(0, 300);
+		const attempts = Number(job.attempts || 0);
+		await d1Run(svc.env, `UPDATE ${WITHDRAWALS_TABLE} SET status = 'failed', last_error = ?, next_attempt_at = ? WHERE id = ?`, [
+			detail,
+			attempts < MAX_ATTEMPTS ? nowIso(Date.now() + RETRY_DELAY_MS * attempts) : null,
+			job.id
+		]);
+		svc.log.error("consent_withdrawal.run.fail", { id: job.id, attempts, detail });
+	}
+	return withdrawalDto(await d1Get(svc.env, `SELECT * FROM ${WITHDRAWALS_TABLE} WHERE id = ? LIMIT 1`, [id]));
+}
+
+/**
+ * Queue and run the withdrawal for a consent record saved as withdrawn. A
+ * record only ever gets one withdrawal; saving it again returns that one.
+ * Never throws, so a failed cascade cannot undo the consent change itself.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {{ id: string, studyId: string, participantId: string, withdrawalReason?: string }} record
+ * @param {{ scope?: string, actor?: string, uid?: string }} [options]
+ * @returns {Promise<ReturnType<typeof withdrawalDto>|null>}
+ */
+export async function startConsentWithdrawal(svc, record, options = {}) {
+	if (!hasD1(svc) || !record?.id || !record.studyId || !record.participantId) return null;
+	try {
+		await ensureTables(svc);
+		const scope = normaliseWithdrawalScope(options.scope) || DEFAULT_WITHDRAWAL_SCOPE;
+		await d1Run(svc.env, `INSERT INTO ${WITHDRAWALS_TABLE} (id, study_id, participant_id, consent_record_id, scope, status, reason, requested_by, requested_uid, requested_at) VALUES (?, ?, ?, ?, ?, 'queued', ?, ?, ?, ?) ON CONFLICT(consent_record_id) DO NOTHING`, [
+			withdrawalId(),
+			record.studyId,
+			record.participantId,
+			record.id,
+			scope,
+			text(record.withdrawalReason) || null,
+			text(options.actor) || null,
+			text(options.uid) || null,
+			nowIso()
+		]);
+		const row = await d1Get(svc.env, `SELECT * FROM ${WITHDRAWALS_TABLE} WHERE consent_record_id = ? LIMIT 1`, [record.id]);
+		if (row.status !== "queued") return withdrawalDto(row);
+		return await runConsentWithdrawal(svc, row.id) || withdrawalDto(row);
+	} catch (err) {
+		svc.log.error("consent_withdrawal.start.fail", { consentRecordId: record.id, detail: String(err?.message || err) });
+		return null;
+	}
+}
+
+/**
+ * Retry withdrawals whose last run failed. Called from the scheduled handler.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {{ now?: number }} [options]
+ */
+export async function drainConsentWithdrawals(svc, options = {}) {
+	if (!hasD1(svc)) return { ok: false, skipped: "d1_missing" };
+	await ensureTables(svc);
+	const now = nowIso(options.now || Date.now());
+	const due = await d1All(svc.env, `SELECT id FROM ${WITHDRAWALS_TABLE} WHERE (status = 'queued' OR (status = 'failed' AND next_attempt_at IS NOT NULL AND next_attempt_at <= ?)) ORDER BY requested_at ASC LIMIT ${DRAIN_BATCH_SIZE}`, [now]);
+	const outcomes = { completed: 0, needs_attention: 0, failed: 0 };
+	for (const row of due) {
+		const result = await runConsentWithdrawal(svc, row.id);
+		if (result) outcomes[result.status] = (outcomes[result.status] || 0) + 1;
+	}
+	return { ok: true, attempted: due.length, ...outcomes };
+}
+
+/**
+ * GET /api/consent-withdrawals?study=
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {URL} url
+ */
+export async function listConsentWithdrawals(svc, origin, url) {
+	const studyId = text(url.searchParams.get("study"));
+	if (!studyId) return svc.json({ ok: false, error: "Missing study query" }, 400, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		await ensureTables(svc);
+		const rows = await d1All(svc.env, `SELECT * FROM ${WITHDRAWALS_TABLE} WHERE study_id = ? ORDER BY requested_at DESC`, [studyId]);
+		const items = rows.length
+			? await d1All(svc.env, `SELECT withdrawal_id, status FROM ${ITEMS_TABLE} WHERE withdrawal_id IN (${rows.map(() => "?").join(", ")})`, rows.map((row) => row.id))
+			: [];
+		const withdrawals = rows.map((row) => withdrawalDto(row, countItems(items.filter((item) => item.withdrawal_id === row.id))));
+		return svc.json({ ok: true, withdrawals }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.consent_withdrawals.list.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * GET /api/consent-withdrawals/:id/report?format=json|csv — the audit report
+ * for a data protection officer. The report hash covers the withdrawal and
+ * every item, so a copy can be checked against the service later.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {string} id
+ * @param {URL} url
+ */
+export async function readConsentWithdrawalReport(svc, origin, id, url) {
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	const format = text(url.searchParams.get("format")).toLowerCase() || "json";
+	if (!["json", "csv"].includes(format)) return svc.json({ ok: false, error: "invalid_format", message: "Choose json or csv." }, 400, svc.corsHeaders(origin));
+	try {
+		await ensureTables(svc);
+		const row = await d1Get(svc.env, `SELECT * FROM ${WITHDRAWALS_TABLE} WHERE id = ? LIMIT 1`, [id]);
+		if (!row) return svc.json({ ok: false, error: "consent_withdrawal_not_found" }, 404, svc.corsHeaders(origin));
+		const items = (await d1All(svc.env, `SELECT * FROM ${ITEMS_TABLE} WHERE withdrawal_id = ? ORDER BY item_type, item_id`, [id])).map(itemDto);
+		const withdrawal = withdrawalDto(row, countItems(items));
+		const reportHash = await sha256Hex(JSON.stringify({ withdrawal, items }));
+		const filename = `consent-withdrawal-${row.id}.${format}`;
+
+		if (format === "json") {
+			return new Response(JSON.stringify({ ok: true, withdrawal, items, reportHash, generatedAt: nowIso() }, null, 2), {
+				status: 200,
+				headers: {
+					"Content-Type": "application/json; charset=utf-8",
+					"Content-Disposition": `attachment; filename="${filename}"`,
+					"Cache-Control": "no-store",
+					...svc.corsHeaders(origin)
+				}
+			});
+		}
+
+		let csv = toCsvLine(CSV_HEADER);
+		for (const item of items) {
+			csv += toCsvLine([withdrawal.id, withdrawal.studyId, withdrawal.participantId, withdrawal.scope, item.type, item.id, item.label, item.action, item.status, item.detail, item.contentHash, item.processedAt]);
+		}
+		return new Response(csv, {
+			status: 200,
+			headers: {
+				"Content-Type": "text/csv; charset=utf-8",
+				"Content-Disposition": `attachment; filename="${filename}"`,
+				"Cache-Control": "no-store",
+				"X-Report-SHA256": reportHash,
+				...svc.corsHeaders(origin)
+			}
+		});
+	} catch (e) {
+		svc.log.error("d1.consent_withdrawals.report.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * POST /api/consent-withdrawals/:id/run — retry what is still open. The
+ * caller's Mural connection is used for any stickies left on a board.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {string} id
+ * @param {any} authContext
+ */
+export async function rerunConsentWithdrawal(svc, origin, id, authContext) {
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		await ensureTables(svc);
+		const row = await d1Get(svc.env, `SELECT * FROM ${WITHDRAWALS_TABLE} WHERE id = ? LIMIT 1`, [id]);
+		if (!row) return svc.json({ ok: false, error: "consent_withdrawal_not_found" }, 404, svc.corsHeaders(origin));
+		const uid = text(authContext?.user?.id);
+		if (uid) await d1Run(svc.env, `UPDATE ${WITHDRAWALS_TABLE} SET requested_uid = ? WHERE id = ?`, [uid, id]);
+		const withdrawal = await runConsentWithdrawal(svc, id);
+		if (!withdrawal) return svc.json({ ok: false, error: "consent_withdrawal_running", message: "This withdrawal is already running. Try again in a few minutes." }, 409, svc.corsHeaders(origin));
+		return svc.json({ ok: true, withdrawal }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.consent_withdrawals.run.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
@@ -1,14 +1,21 @@
 /**
  * @file ethics-submission-documents.js
  * @module ethics-submission-documents
- * @summary Generates and stores completed ethics submission DOCX files.
+ * @summary Generates and stores completed ethics submission DOCX files with HTML and PDF renditions.
  */
 
-import { d1Get, d1Run } from "./internals/researchops-d1.js";
+import { submissionHtml, submissionPdf } from "./internals/ethics-submission-renditions.js";
+import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
+import { buildZip, crc32, entryText, parseZipEntries } from "./internals/zip.js";
 
 const DOCUMENTS_TABLE = "rops_ethics_submission_documents";
 const TEMPLATE_KEY = "templates/ethics/research-ethics-approval-form-v3.docx";
 const CONTENT_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+const RENDITIONS = {
+	html: { column: "html_object_key", contentType: "text/html; charset=utf-8", extension: "html" },
+	pdf: { column: "pdf_object_key", contentType: "application/pdf", extension: "pdf" }
+};
+const DIFF_IGNORED_KEYS = new Set(["href"]);
 
 const DOCUMENTS_SQL = `
 	CREATE TABLE IF NOT EXISTS ${DOCUMENTS_TABLE} (
@@ -29,7 +36,10 @@ const DOCUMENTS_SQL = `
 		risk_outcome_json TEXT NOT NULL DEFAULT '{}',
 		sourcebook_clauses_json TEXT NOT NULL DEFAULT '[]',
 		created_by TEXT,
-		created_at TEXT NOT NULL
+		created_at TEXT NOT NULL,
+		sections_json TEXT NOT NULL DEFAULT '[]',
+		html_object_key TEXT,
+		pdf_object_key TEXT
 	)
 `;
 
@@ -69,6 +79,13 @@ async function ensureDocumentsTable(svc) {
 	await d1Run(svc.env, DOCUMENTS_SQL);
 	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_ethics_submission_documents_study ON ${DOCUMENTS_TABLE} (study_id, submission_version, created_at)`);
 	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_ethics_submission_documents_object ON ${DOCUMENTS_TABLE} (object_key)`);
+	for (const column of ["sections_json TEXT NOT NULL DEFAULT '[]'", "html_object_key TEXT", "pdf_object_key TEXT"]) {
+		try {
+			await d1Run(svc.env, `ALTER TABLE ${DOCUMENTS_TABLE} ADD COLUMN ${column}`);
+		} catch {
+			/* already present */
+		}
+	}
 }
 
 async function readJsonBody(svc, request) {
@@ -111,26 +128,31 @@ function labelledParagraph(label, value) {
 	return `<w:p><w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">${xmlEscape(label)}: </w:t></w:r><w:r><w:t xml:space="preserve">${xmlEscape(value || "Not recorded")}</w:t></w:r></w:p>`;
 }
 
-function sectionParagraphs(title, items = []) {
-	const out = [paragraph(title, "Heading2")];
+function sectionBlocks(title, items = []) {
+	const out = [{ type: "heading", level: 2, text: title }];
 	for (const item of items) {
 		if (!item) continue;
-		if (typeof item === "string") out.push(paragraph(item));
-		else out.push(labelledParagraph(item.label, item.value));
+		if (typeof item === "string") out.push({ type: "paragraph", text: item });
+		else out.push({ type: "field", label: item.label, value: item.value });
 	}
 	return out;
 }
 
-function buildSubmissionXml(payload, createdAt) {
+/**
+ * The completed submission as a list of heading, paragraph and labelled field
+ * blocks. The DOCX, HTML and PDF renditions are all written from these blocks
+ * so they carry the same content.
+ */
+function submissionBlocks(payload, createdAt) {
 	const submission = payload.submission || {};
 	const riskOutcome = payload.riskOutcome || {};
 	const sections = Array.isArray(payload.sections) ? payload.sections : [];
 	const triggers = Array.isArray(riskOutcome.triggers) ? riskOutcome.triggers : [];
 	const sourcebookClauses = Array.isArray(riskOutcome.sourcebookClauses) ? riskOutcome.sourcebookClauses : [];
-	const parts = [
-		paragraph("ResearchOps completed submission", "Heading1"),
-		paragraph("This section was generated from the saved ResearchOps project, study, ethics risk assessment and full ethics submission workflow."),
-		...sectionParagraphs("Submission metadata", [
+	const blocks = [
+		{ type: "heading", level: 1, text: "ResearchOps completed submission" },
+		{ type: "paragraph", text: "This section was generated from the saved ResearchOps project, study, ethics risk assessment and full ethics submission workflow." },
+		...sectionBlocks("Submission metadata", [
 			{ label: "Project", value: payload.projectName || payload.projectId },
 			{ label: "Study", value: payload.studyTitle || payload.studyId },
 			{ label: "Submission type", value: submission.submissionType },
@@ -141,7 +163,7 @@ function buildSubmissionXml(payload, createdAt) {
 			{ label: "Reviewer or approver", value: submission.reviewer },
 			{ label: "Generated", value: createdAt }
 		]),
-		...sectionParagraphs("Recorded risk outcome", [
+		...sectionBlocks("Recorded risk outcome", [
 			{ label: "Risk route", value: riskOutcome.statusLabel || riskOutcome.route },
 			{ label: "Summary", value: riskOutcome.summary },
 			{ label: "Next action", value: riskOutcome.nextAction }
@@ -149,29 +171,31 @@ function buildSubmissionXml(payload, createdAt) {
 	];
 
 	if (triggers.length) {
-		parts.push(paragraph("Sensitive research triggers", "Heading2"));
-		for (const trigger of triggers) {
-			parts.push(labelledParagraph(trigger.family || "Trigger", trigger.label || ""));
-		}
+		blocks.push(...sectionBlocks("Sensitive research triggers", triggers.map(trigger => ({ label: trigger.family || "Trigger", value: trigger.label || "" }))));
 	}
 
 	if (sourcebookClauses.length) {
-		parts.push(paragraph("Sourcebook clauses", "Heading2"));
-		for (const clause of sourcebookClauses) {
-			parts.push(labelledParagraph(clause.id || "Sourcebook", clause.title || ""));
-		}
+		blocks.push(...sectionBlocks("Sourcebook clauses", sourcebookClauses.map(clause => ({ label: clause.id || "Sourcebook", value: clause.title || "" }))));
 	}
 
-	parts.push(paragraph("Full ethics submission sections", "Heading2"));
+	blocks.push({ type: "heading", level: 2, text: "Full ethics submission sections" });
 	for (const section of sections) {
-		parts.push(paragraph(section.label || section.id || "Submission section", "Heading3"));
+		blocks.push({ type: "heading", level: 3, text: section.label || section.id || "Submission section" });
 		if (Array.isArray(section.generated) && section.generated.length) {
-			parts.push(labelledParagraph("Generated from ResearchOps", section.generated.join("; ")));
+			blocks.push({ type: "field", label: "Generated from ResearchOps", value: section.generated.join("; ") });
 		}
-		parts.push(labelledParagraph("Researcher response", section.value || "No additional information recorded."));
+		blocks.push({ type: "field", label: "Researcher response", value: section.value || "No additional information recorded." });
 	}
 
-	return parts.join("");
+	return blocks;
+}
+
+function buildSubmissionXml(blocks) {
+	return blocks.map(block => {
+		if (block.type === "heading") return paragraph(block.text, `Heading${block.level}`);
+		if (block.type === "field") return labelledParagraph(block.label, block.value);
+		return paragraph(block.text);
+	}).join("");
 }
 
 function insertSubmissionXml(documentXml, insertionXml) {
@@ -182,156 +206,12 @@ function insertSubmissionXml(documentXml, insertionXml) {
 	throw new Error("DOCX document.xml body not found");
 }
 
-function findEndOfCentralDirectory(bytes) {
-	for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i -= 1) {
-		if (bytes[i] === 0x50 && bytes[i + 1] === 0x4b && bytes[i + 2] === 0x05 && bytes[i + 3] === 0x06) return i;
-	}
-	throw new Error("DOCX ZIP end of central directory not found");
-}
-
-function readUint16(view, offset) {
-	return view.getUint16(offset, true);
-}
-
-function readUint32(view, offset) {
-	return view.getUint32(offset, true);
-}
-
-function writeUint16(out, value) {
-	out.push(value & 0xff, (value >>> 8) & 0xff);
-}
-
-function writeUint32(out, value) {
-	out.push(value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff);
-}
-
-function parseZipEntries(bytes) {
-	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
-	const eocd = findEndOfCentralDirectory(bytes);
-	const entries = readUint16(view, eocd + 10);
-	let offset = readUint32(view, eocd + 16);
-	const decoder = new TextDecoder();
-	const parsed = [];
-	for (let i = 0; i < entries; i += 1) {
-		if (readUint32(view, offset) !== 0x02014b50) throw new Error("DOCX ZIP central directory is invalid");
-		const flags = readUint16(view, offset + 8);
-		const method = readUint16(view, offset + 10);
-		const crc = readUint32(view, offset + 16);
-		const compressedSize = readUint32(view, offset + 20);
-		const uncompressedSize = readUint32(view, offset + 24);
-		const filenameLength = readUint16(view, offset + 28);
-		const extraLength = readUint16(view, offset + 30);
-		const commentLength = readUint16(view, offset + 32);
-		const localOffset = readUint32(view, offset + 42);
-		const name = decoder.decode(bytes.slice(offset + 46, offset + 46 + filenameLength));
-		if (readUint32(view, localOffset) !== 0x04034b50) throw new Error(`DOCX ZIP local header is invalid for ${name}`);
-		const localNameLength = readUint16(view, localOffset + 26);
-		const localExtraLength = readUint16(view, localOffset + 28);
-		const dataOffset = localOffset + 30 + localNameLength + localExtraLength;
-		parsed.push({
-			name,
-			flags,
-			method,
-			crc,
-			compressedSize,
-			uncompressedSize,
-			data: bytes.slice(dataOffset, dataOffset + compressedSize)
-		});
-		offset += 46 + filenameLength + extraLength + commentLength;
-	}
-	return parsed;
-}
-
-async function inflateRaw(data) {
-	if (typeof DecompressionStream === "undefined") throw new Error("Deflate decompression is not available in this runtime");
-	const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
-	return new Uint8Array(await new Response(stream).arrayBuffer());
-}
-
-async function entryText(entry) {
-	if (entry.method === 0) return new TextDecoder().decode(entry.data);
-	if (entry.method === 8) return new TextDecoder().decode(await inflateRaw(entry.data));
-	throw new Error(`DOCX ZIP compression method ${entry.method} is not supported`);
-}
-
-let crcTable;
-function crc32(bytes) {
-	if (!crcTable) {
-		crcTable = new Uint32Array(256);
-		for (let n = 0; n < 256; n += 1) {
-			let c = n;
-			for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
-			crcTable[n] = c >>> 0;
-		}
-	}
-	let crc = 0xffffffff;
-	for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
-	return (crc ^ 0xffffffff) >>> 0;
-}
-
-function appendBytes(out, bytes) {
-	for (const byte of bytes) out.push(byte);
-}
-
-function buildZip(entries) {
-	const encoder = new TextEncoder();
-	const out = [];
-	const central = [];
-	for (const entry of entries) {
-		const filename = encoder.encode(entry.name);
-		const localOffset = out.length;
-		writeUint32(out, 0x04034b50);
-		writeUint16(out, 20);
-		writeUint16(out, 0);
-		writeUint16(out, entry.method);
-		writeUint16(out, 0);
-		writeUint16(out, 0);
-		writeUint32(out, entry.crc);
-		writeUint32(out, entry.data.length);
-		writeUint32(out, entry.uncompressedSize);
-		writeUint16(out, filename.length);
-		writeUint16(out, 0);
-		appendBytes(out, filename);
-		appendBytes(out, entry.data);
-
-		writeUint32(central, 0x02014b50);
-		writeUint16(central, 20);
-		writeUint16(central, 20);
-		writeUint16(central, 0);
-		writeUint16(central, entry.method);
-		writeUint16(central, 0);
-		writeUint16(central, 0);
-		writeUint32(central, entry.crc);
-		writeUint32(central, entry.data.length);
-		writeUint32(central, entry.uncompressedSize);
-		writeUint16(central, filename.length);
-		writeUint16(central, 0);
-		writeUint16(central, 0);
-		writeUint16(central, 0);
-		writeUint16(central, 0);
-		writeUint32(central, 0);
-		writeUint32(central, localOffset);
-		appendBytes(central, filename);
-	}
-	const centralOffset = out.length;
-	appendBytes(out, central);
-	writeUint32(out, 0x06054b50);
-	writeUint16(out, 0);
-	writeUint16(out, 0);
-	writeUint16(out, entries.length);
-	writeUint16(out, entries.length);
-	writeUint32(out, central.length);
-	writeUint32(out, centralOffset);
-	writeUint16(out, 0);
-	return new Uint8Array(out);
-}
-
-async function populatedDocx(templateBytes, payload, createdAt) {
+async function populatedDocx(templateBytes, blocks) {
 	const entries = parseZipEntries(templateBytes);
 	const documentEntry = entries.find(entry => entry.name === "word/document.xml");
 	if (!documentEntry) throw new Error("word/document.xml not found in DOCX template");
 	const documentXml = await entryText(documentEntry);
-	const updatedXml = insertSubmissionXml(documentXml, buildSubmissionXml(payload, createdAt));
+	const updatedXml = insertSubmissionXml(documentXml, buildSubmissionXml(blocks));
 	const updatedBytes = new TextEncoder().encode(updatedXml);
 	const nextEntries = entries.map(entry => {
 		if (entry.name !== "word/document.xml") return entry;
@@ -353,6 +233,14 @@ async function sha256Hex(bytes) {
 	return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, "0")).join("");
 }
 
+function parseJson(value, fallback) {
+	try {
+		return value ? JSON.parse(value) : fallback;
+	} catch {
+		return fallback;
+	}
+}
+
 function rowToDocument(row) {
 	if (!row) return null;
 	return {
@@ -369,11 +257,33 @@ function rowToDocument(row) {
 		contentType: row.content_type,
 		byteSize: Number(row.byte_size) || 0,
 		sha256: row.sha256,
+		htmlObjectKey: row.html_object_key || "",
+		pdfObjectKey: row.pdf_object_key || "",
 		createdBy: row.created_by || "",
 		createdAt: row.created_at
 	};
 }
 
+function renditionTitle(payload, version) {
+	return `Ethics submission v${version}: ${payload.studyTitle || payload.studyId || "study"}`;
+}
+
+async function renditionBytes(format, blocks, title, createdAt) {
+	if (format === "html") return new TextEncoder().encode(submissionHtml(blocks, { title }));
+	return submissionPdf(blocks, { title, createdAt });
+}
+
+/** The payload a stored row was generated from, for rebuilding a missing rendition. */
+function payloadFromRow(row) {
+	return {
+		projectId: row.project_id || "",
+		studyId: row.study_id,
+		submission: parseJson(row.submission_json, {}),
+		riskOutcome: parseJson(row.risk_outcome_json, {}),
+		sections: parseJson(row.sections_json, [])
+	};
+}
+
 export async function createEthicsSubmissionDocument(svc, request, origin, authContext = {}) {
 	try {
 		if (!hasR2(svc)) {
@@ -389,26 +299,38 @@ export async function createEthicsSubmissionDocument(svc, request, origin, authC
 		const id = documentId();
 		const version = Number(payload.submission?.submissionVersion || payload.submissionVersion || 1) || 1;
 		const objectKey = `ethics-submissions/${safeSlug(studyId)}/v${version}/${id}.docx`;
+		const blocks = submissionBlocks(payload, createdAt);
 		const templateBytes = await readTemplateFromAssets(svc);
-		const docxBytes = await populatedDocx(templateBytes, payload, createdAt);
+		const docxBytes = await populatedDocx(templateBytes, blocks);
 		const sha256 = await sha256Hex(docxBytes);
+		const customMetadata = {
+			studyId,
+			projectId: String(payload.projectId || ""),
+			submissionVersion: String(version),
+			templateKey: TEMPLATE_KEY,
+			sha256
+		};
 		const putResult = await svc.env.RESEARCHOPS_DOCUMENTS_R2.put(objectKey, docxBytes, {
 			httpMetadata: { contentType: CONTENT_TYPE },
-			customMetadata: {
-				studyId,
-				projectId: String(payload.projectId || ""),
-				submissionVersion: String(version),
-				templateKey: TEMPLATE_KEY,
-				sha256
-			}
+			customMetadata
 		});
+		const renditionKeys = {};
+		for (const [format, rendition] of Object.entries(RENDITIONS)) {
+			renditionKeys[format] = objectKey.replace(/\.docx$/, `.${rendition.extension}`);
+			const bytes = await renditionBytes(format, blocks, renditionTitle(payload, version), createdAt);
+			await svc.env.RESEARCHOPS_DOCUMENTS_R2.put(renditionKeys[format], bytes, {
+				httpMetadata: { contentType: rendition.contentType },
+				customMetadata
+			});
+		}
 		const sourcebookClauses = payload.riskOutcome?.sourcebookClauses || [];
 		await d1Run(svc.env, `
 			INSERT INTO ${DOCUMENTS_TABLE} (
 				id, study_id, project_id, submission_version, submission_type, route, status,
 				template_key, object_key, object_etag, content_type, byte_size, sha256,
-				submission_json, risk_outcome_json, sourcebook_clauses_json, created_by, created_at
-			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+				submission_json, risk_outcome_json, sourcebook_clauses_json, created_by, created_at,
+				sections_json, html_object_key, pdf_object_key
+			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 		`, [
 			id,
 			studyId,
@@ -427,7 +349,10 @@ export async function createEthicsSubmissionDocument(svc, request, origin, authC
 			JSON.stringify(payload.riskOutcome || {}),
 			JSON.stringify(sourcebookClauses),
 			authContext?.user?.email || authContext?.userId || "",
-			createdAt
+			createdAt,
+			JSON.stringify(Array.isArray(payload.sections) ? payload.sections : []),
+			renditionKeys.html,
+			renditionKeys.pdf
 		]);
 		const row = await d1Get(svc.env, `SELECT * FROM ${DOCUMENTS_TABLE} WHERE id = ? LIMIT 1`, [id]);
 		return svc.json({ ok: true, document: rowToDocument(row) }, 201, svc.corsHeaders(origin));
@@ -456,3 +381,167 @@ export async function readEthicsSubmissionDocument(svc, origin, documentIdValue)
 		return svc.json({ ok: false, error: "ethics_submission_document_read_failed", message: error?.message || "The ethics submission document could not be read." }, error?.status || 500, svc.corsHeaders(origin));
 	}
 }
+
+/**
+ * Serve the HTML or PDF rendition of a stored submission. Documents generated
+ * before renditions existed, or whose object has gone, are rebuilt from the
+ * stored submission JSON rather than failing.
+ */
+export async function readEthicsSubmissionRendition(svc, origin, documentIdValue, url) {
+	try {
+		const format = String(url?.searchParams?.get("format") || "html").toLowerCase();
+		const rendition = RENDITIONS[format];
+		if (!rendition) {
+			return svc.json({ ok: false, error: "unsupported_rendition", message: "Use format=html or format=pdf." }, 400, svc.corsHeaders(origin));
+		}
+		await ensureDocumentsTable(svc);
+		const row = await d1Get(svc.env, `SELECT * FROM ${DOCUMENTS_TABLE} WHERE id = ? LIMIT 1`, [documentIdValue]);
+		if (!row) return svc.json({ ok: false, error: "ethics_submission_document_not_found" }, 404, svc.corsHeaders(origin));
+		const objectKey = row[rendition.column];
+		const object = objectKey && svc?.env?.RESEARCHOPS_DOCUMENTS_R2?.get ? await svc.env.RESEARCHOPS_DOCUMENTS_R2.get(objectKey) : null;
+		let body = object?.body;
+		if (!body) {
+			const payload = payloadFromRow(row);
+			const version = Number(row.submission_version) || 1;
+			body = await renditionBytes(format, submissionBlocks(payload, row.created_at), renditionTitle(payload, version), row.created_at);
+		}
+		const headers = new Headers(svc.corsHeaders(origin));
+		headers.set("content-type", rendition.contentType);
+		headers.set("content-disposition", `inline; filename="${safeSlug(row.study_id)}-ethics-submission-v${row.submission_version}.${rendition.extension}"`);
+		headers.set("cache-control", "private, no-store");
+		if (format === "html") headers.set("content-security-policy", "default-src 'none'; style-src 'unsafe-inline'");
+		return new Response(body, { status: 200, headers });
+	} catch (error) {
+		return svc.json({ ok: false, error: "ethics_submission_rendition_failed", message: error?.message || "The ethics submission rendition could not be read." }, error?.status || 500, svc.corsHeaders(origin));
+	}
+}
+
+export async function listEthicsSubmissionDocuments(svc, origin, url) {
+	try {
+		const studyId = String(url?.searchParams?.get("study") || "").trim();
+		if (!studyId) {
+			return svc.json({ ok: false, error: "study_id_required", message: "Study ID is required." }, 400, svc.corsHeaders(origin));
+		}
+		await ensureDocumentsTable(svc);
+		const rows = await d1All(svc.env, `SELECT * FROM ${DOCUMENTS_TABLE} WHERE study_id = ? ORDER BY submission_version DESC, created_at DESC`, [studyId]);
+		return svc.json({ ok: true, studyId, documents: rows.map(rowToDocument) }, 200, svc.corsHeaders(origin));
+	} catch (error) {
+		return svc.json({ ok: false, error: "ethics_submission_documents_list_failed", message: error?.message || "Ethics submission documents could not be listed." }, error?.status || 500, svc.corsHeaders(origin));
+	}
+}
+
+function isPlainObject(value) {
+	return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function itemSegment(item, index) {
+	if (isPlainObject(item)) return String(item.id || item.label || item.family || index + 1);
+	return String(index + 1);
+}
+
+function flattenFields(value, path, out) {
+	if (Array.isArray(value)) {
+		if (value.every(item => !isPlainObject(item) && !Array.isArray(item))) {
+			out.set(path.join(" / "), value.join("; "));
+			return;
+		}
+		value.forEach((item, index) => flattenFields(item, [...path, itemSegment(item, index)], out));
+		return;
+	}
+	if (isPlainObject(value)) {
+		for (const [key, child] of Object.entries(value)) {
+			if (DIFF_IGNORED_KEYS.has(key)) continue;
+			flattenFields(child, [...path, key], out);
+		}
+		return;
+	}
+	out.set(path.join(" / "), value ?? "");
+}
+
+function documentFields(row) {
+	const payload = payloadFromRow(row);
+	const groups = {
+		submission: payload.submission,
+		riskOutcome: payload.riskOutcome,
+		sections: payload.sections
+	};
+	return Object.fromEntries(Object.entries(groups).map(([group, value]) => {
+		const fields = new Map();
+		flattenFields(value, [], fields);
+		return [group, fields];
+	}));
+}
+
+/**
+ * Field-by-field comparison of two stored submissions. Array items with an
+ * `id` (sections, sourcebook clauses) are matched by id so reordering does not
+ * read as a change.
+ * @returns {Array<{group:string, field:string, change:"added"|"removed"|"changed", before:any, after:any}>}
+ */
+export function diffEthicsSubmissions(beforeRow, afterRow) {
+	const before = documentFields(beforeRow);
+	const after = documentFields(afterRow);
+	const changes = [];
+	for (const group of Object.keys(after)) {
+		const fields = new Set([...before[group].keys(), ...after[group].keys()]);
+		for (const field of fields) {
+			const hadBefore = before[group].has(field);
+			const hasAfter = after[group].has(field);
+			const beforeValue = hadBefore ? before[group].get(field) : null;
+			const afterValue = hasAfter ? after[group].get(field) : null;
+			if (hadBefore && hasAfter && String(beforeValue) === String(afterValue)) continue;
+			changes.push({
+				group,
+				field,
+				change: !hadBefore ? "added" : !hasAfter ? "removed" : "changed",
+				before: beforeValue,
+				after: afterValue
+			});
+		}
+	}
+	return changes;
+}
+
+/**
+ * Compare a submission with `?against=<document id>`, or with the version
+ * generated immediately before it for the same study.
+ */
+export async function diffEthicsSubmissionDocument(svc, origin, documentIdValue, url) {
+	try {
+		await ensureDocumentsTable(svc);
+		const row = await d1Get(svc.env, `SELECT * FROM ${DOCUMENTS_TABLE} WHERE id = ? LIMIT 1`, [documentIdValue]);
+		if (!row) return svc.json({ ok: false, error: "ethics_submission_document_not_found" }, 404, svc.corsHeaders(origin));
+		const againstId = String(url?.searchParams?.get("against") || "").trim();
+		const against = againstId
+			? await d1Get(svc.env, `SELECT * FROM ${DOCUMENTS_TABLE} WHERE id = ? LIMIT 1`, [againstId])
+			: await d1Get(svc.env, `
+				SELECT * FROM ${DOCUMENTS_TABLE}
+				WHERE study_id = ? AND id <> ?
+					AND (submission_version < ? OR (submission_version = ? AND created_at < ?))
+				ORDER BY submission_version DESC, created_at DESC
+				LIMIT 1
+			`, [row.study_id, row.id, row.submission_version, row.submission_version, row.created_at]);
+		if (!against) {
+			return svc.json({
+				ok: false,
+				error: againstId ? "ethics_submission_document_not_found" : "no_previous_version",
+				message: againstId ? "The version to compare against was not found." : "This is the first generated version for the study."
+			}, 404, svc.corsHeaders(origin));
+		}
+		if (against.study_id !== row.study_id) {
+			return svc.json({ ok: false, error: "different_study", message: "Only versions of the same study can be compared." }, 400, svc.corsHeaders(origin));
+		}
+		const changes = diffEthicsSubmissions(against, row);
+		const summary = { added: 0, removed: 0, changed: 0 };
+		for (const change of changes) summary[change.change] += 1;
+		return svc.json({
+			ok: true,
+			document: rowToDocument(row),
+			against: rowToDocument(against),
+			summary,
+			changes
+		}, 200, svc.corsHeaders(origin));
+	} catch (error) {
+		return svc.json({ ok: false, error: "ethics_submission_diff_failed", message: error?.message || "The ethics submission versions could not be compared." }, error?.status || 500, svc.corsHeaders(origin));
+	}
+}
@@ -0,0 +1,195 @@
+/**
+ * @file src/service/guide-export.js
+ * @module service/guide-export
+ * @summary Discussion guides rendered on the server and downloaded as DOCX, PDF or HTML.
+ *
+ * Endpoints covered:
+ * - GET    /api/guides/:id/export?format=docx|pdf|html[&version=n]
+ *
+ * The guide's Mustache template is rendered with its variables, front matter
+ * and partials against the same context the browser editor uses, so an
+ * export matches the preview. `version` exports a published snapshot (see
+ * ./guide-versions.js) instead of the live draft: its stored rendered text
+ * is used as it is, so later changes to the study, project or partials do
+ * not change what was published. The DOCX is written the same way as ethics submission
+ * documents; HTML and PDF reuse the ethics submission renditions.
+ */
+
+import { GUIDE_FIELD_NAMES, GUIDE_LINK_FIELD_CANDIDATES } from "../core/fields.js";
+import { pickFirstField } from "../core/utils.js";
+import { getRecord } from "./internals/airtable.js";
+import { submissionHtml, submissionPdf } from "./internals/ethics-submission-renditions.js";
+import { guideBlocks, guideDocx, splitFrontMatter } from "./internals/guide-documents.js";
+import { renderMustache } from "./internals/mustache.js";
+import { d1Get } from "./internals/researchops-d1.js";
+import { findGuideVersion, resolveGuidePartials } from "./guide-versions.js";
+
+const FORMATS = {
+	docx: { contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document", extension: "docx" },
+	pdf: { contentType: "application/pdf", extension: "pdf" },
+	html: { contentType: "text/html; charset=utf-8", extension: "html" }
+};
+
+function hasD1(svc) { return Boolean(svc?.env?.RESEARCHOPS_D1?.prepare); }
+function text(value) { return String(value ?? "").trim(); }
+function safeSlug(value) { return text(value).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 80) || "discussion-guide"; }
+
+function parseVariables(value) {
+	if (value && typeof value === "object") return value;
+	try {
+		const parsed = value ? JSON.parse(value) : {};
+		return parsed && typeof parsed === "object" ? parsed : {};
+	} catch {
+		return {};
+	}
+}
+
+export function isNotFound(error) {
+	const message = String(error?.message || "");
+	return error?.status === 404 || /Airtable\s*404/i.test(message) || /NOT_FOUND/i.test(message);
+}
+
+/** The live guide from Airtable, in the shape of a snapshot. */
+async function liveGuide(svc, guideId) {
+	const record = await getRecord(svc.env, svc.env.AIRTABLE_TABLE_GUIDES, guideId);
+	const f = record?.fields || {};
+	const titleKey = pickFirstField(f, GUIDE_FIELD_NAMES.title);
+	const versionKey = pickFirstField(f, GUIDE_FIELD_NAMES.version);
+	const sourceKey = pickFirstField(f, GUIDE_FIELD_NAMES.source);
+	const variablesKey = pickFirstField(f, GUIDE_FIELD_NAMES.variables);
+	const linkKey = pickFirstField(f, GUIDE_LINK_FIELD_CANDIDATES);
+	const sourceMarkdown = String(sourceKey ? f[sourceKey] || "" : "");
+	return {
+		title: text(titleKey ? f[titleKey] : "") || "Untitled",
+		version: Number(versionKey ? f[versionKey] : 1) || 1,
+		study_id: Array.isArray(f[linkKey]) ? f[linkKey][0] || "" : text(f[linkKey]),
+		source_markdown: sourceMarkdown,
+		variables: parseVariables(variablesKey ? f[variablesKey] : null),
+		partials: await resolveGuidePartials(svc, sourceMarkdown)
+	};
+}
+
+/**
+ * The project and study the editor exposes to templates, read from the D1
+ * caches. Missing rows fall back to the editor's defaults.
+ */
+export async function templateContext(svc, studyId) {
+	let study = {};
+	let project = {};
+	if (hasD1(svc) && studyId) {
+		try {
+			const row = await d1Get(svc.env, "SELECT * FROM rops_studies_cache WHERE id = ? LIMIT 1", [studyId]);
+			if (row) study = { ...parseVariables(row.payload_json), id: row.id, title: row.title, method: row.method, createdAt: row.created_at, projectId: row.project_id };
+			if (row?.project_id) {
+				const projectRow = await d1Get(svc.env, "SELECT id, name FROM rops_projects_cache WHERE id = ? LIMIT 1", [row.project_id]);
+				if (projectRow) project = { id: projectRow.id, name: projectRow.name };
+			}
+		} catch (error) {
+			svc.log?.warn?.("guide.export.context.fail", { err: String(error?.message || error) });
+		}
+	}
+	const title = text(study.title) || text(study.method) || "Study";
+	const date = text(study.date) || new Date(study.createdAt || Date.now()).toISOString().slice(0, 10);
+	return {
+		project: { ...project, name: text(project.name) || "(Unnamed project)" },
+		study: { ...study, title, date, fileName: study.fileName || `${title}_${date}` }
+	};
+}
+
+/**
+ * The live guide, or a published snapshot when `version` is given, in the
+ * snapshot's shape. Null when the snapshot does not exist.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} guideId
+ * @param {string} [version]
+ */
+export async function loadGuide(svc, guideId, version = "") {
+	return version ? findGuideVersion(svc, guideId, version) : liveGuide(svc, guideId);
+}
+
+/**
+ * Render a guide's template with partials and variables applied and front
+ * matter removed. `meta` is the front matter with the variables over it.
+ * @param {{ title: string, study_id?: string, source_markdown: string, variables: object, partials: Array<{ name: string, source: string }> }} guide
+ * @param {{ project: object, study: object }} context
+ * @returns {{ meta: Record<string, any>, markdown: string }}
+ */
+export function renderGuideMarkdown(guide, context) {
+	const { meta, body } = splitFrontMatter(guide.source_markdown);
+	const variables = guide.variables || {};
+	const view = { ...context, session: {}, participant: {}, ...variables, meta: { ...meta, ...variables } };
+	const partials = Object.fromEntries((guide.partials || []).map((partial) => [partial.name, partial.source]));
+	return { meta: view.meta, markdown: renderMustache(body, view, partials) };
+}
+
+/** The planned session length a guide names, in minutes, or 0. */
+export function guideTimebox(meta) {
+	return Number(meta?.timebox ?? meta?.duration) || 0;
+}
+
+/**
+ * The Markdown a published snapshot stored, with the front matter and
+ * variables it was published with as `meta`.
+ * @param {{ source_markdown: string, rendered_markdown: string, variables?: object }} snapshot
+ * @returns {{ meta: Record<string, any>, markdown: string }}
+ */
+function snapshotMarkdown(snapshot) {
+	const { meta } = splitFrontMatter(snapshot.source_markdown);
+	return { meta: { ...meta, ...(snapshot.variables || {}) }, markdown: snapshot.rendered_markdown };
+}
+
+/**
+ * Render a guide to export blocks: partials and variables applied, front
+ * matter removed and timing annotations added. A published snapshot keeps
+ * the text it was rendered with, so `context` is only used for the live
+ * guide.
+ * @param {Parameters<typeof renderGuideMarkdown>[0] & { rendered_markdown?: string }} guide
+ * @param {{ project: object, study: object } | null} context
+ */
+export function renderGuideBlocks(guide, context) {
+	const { meta, markdown } = typeof guide.rendered_markdown === "string"
+		? snapshotMarkdown(guide)
+		: renderGuideMarkdown(guide, context);
+	return guideBlocks(markdown, { title: guide.title, timebox: guideTimebox(meta), timings: meta.timings });
+}
+
+/**
+ * GET /api/guides/:id/export — the guide as a downloadable file.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {string} guideId
+ * @param {URL} url
+ * @returns {Promise<Response>}
+ */
+export async function exportGuide(svc, origin, guideId, url) {
+	const format = String(url?.searchParams?.get("format") || "docx").toLowerCase();
+	const spec = FORMATS[format];
+	if (!spec) {
+		return svc.json({ ok: false, error: "unsupported_format", message: "Use format=docx, format=pdf or format=html." }, 400, svc.corsHeaders(origin));
+	}
+	if (!guideId) return svc.json({ ok: false, error: "guide_id_required" }, 400, svc.corsHeaders(origin));
+	try {
+		const version = text(url?.searchParams?.get("version"));
+		const guide = await loadGuide(svc, guideId, version);
+		if (!guide) return svc.json({ ok: false, error: "guide_version_not_found" }, 404, svc.corsHeaders(origin));
+
+		const createdAt = new Date().toISOString();
+		const context = version ? null : await templateContext(svc, guide.study_id);
+		const blocks = renderGuideBlocks(guide, context);
+		let body;
+		if (format === "docx") body = guideDocx(blocks, { title: guide.title, createdAt });
+		else if (format === "pdf") body = submissionPdf(blocks, { title: guide.title, createdAt });
+		else body = new TextEncoder().encode(submissionHtml(blocks, { title: guide.title }));
+
+		const headers = new Headers(svc.corsHeaders(origin));
+		headers.set("content-type", spec.contentType);
+		headers.set("content-disposition", `attachment; filename="${safeSlug(guide.title)}-v${guide.version}.${spec.extension}"`);
+		headers.set("cache-control", "private, no-store");
+		if (format === "html") headers.set("content-security-policy", "default-src 'none'; style-src 'unsafe-inline'");
+		return new Response(body, { status: 200, headers });
+	} catch (error) {
+		if (isNotFound(error)) return svc.json({ ok: false, error: "guide_not_found" }, 404, svc.corsHeaders(origin));
+		svc.log.error("guide.export.fail", { guideId, format, err: String(error?.message || error) });
+		return svc.json({ ok: false, error: "guide_export_failed", message: "The discussion guide could not be exported." }, error?.status || 500, svc.corsHeaders(origin));
+	}
+}
@@ -0,0 +1,100 @@
+/**
+ * @file src/service/guide-running-order.js
+ * @module service/guide-running-order
+ * @summary Running orders for discussion guides and sessions, checked against the planned session length.
+ *
+ * Endpoints covered:
+ * - GET    /api/guides/:id/running-order[?version=n]      against the guide's timebox
+ * - GET    /api/sessions/:id/running-order[?guide=id]     against the session's planned duration
+ *
+ * Section durations come from heading annotations or `timings` front matter
+ * (see ./internals/running-order.js) in the rendered guide, so sections in
+ * partials count. A session uses the guide version pinned to it (see
+ * ./guide-versions.js); `guide` names a live guide for sessions without one.
+ */
+
+import { SESSION_FIELDS } from "../core/fields.js";
+import { pickFirstField } from "../core/utils.js";
+import { getRecord } from "./internals/airtable.js";
+import { markdownHeadings, planRunningOrder, runningOrderWarnings } from "./internals/running-order.js";
+import { sessionFromRecord } from "./internals/session-records.js";
+import { guideTimebox, isNotFound, loadGuide, renderGuideMarkdown, templateContext } from "./guide-export.js";
+import { findSessionGuideVersion } from "./guide-versions.js";
+
+function hasD1(svc) { return Boolean(svc?.env?.RESEARCHOPS_D1?.prepare); }
+function text(value) { return String(value ?? "").trim(); }
+
+async function runningOrder(svc, guide, plannedMinutes) {
+	const { meta, markdown } = renderGuideMarkdown(guide, await templateContext(svc, guide.study_id));
+	const plan = planRunningOrder(markdownHeadings(markdown), { timings: meta.timings, plannedMinutes: plannedMinutes ?? guideTimebox(meta) });
+	return { ...plan, warnings: runningOrderWarnings(plan) };
+}
+
+function guideSummary(guide, guideId) {
+	return { id: guideId, title: guide.title, version: Number(guide.version) || 1, snapshot_id: guide.id || "" };
+}
+
+function failed(svc, origin, error, event, detail) {
+	if (isNotFound(error)) return svc.json({ ok: false, error: "not_found" }, 404, svc.corsHeaders(origin));
+	svc.log.error(event, { ...detail, err: String(error?.message || error) });
+	return svc.json({ ok: false, error: "running_order_failed", message: "The running order could not be worked out." }, error?.status || 500, svc.corsHeaders(origin));
+}
+
+/**
+ * GET /api/guides/:id/running-order — sections, start and end minutes and
+ * whether they fit the guide's timebox.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {string} guideId
+ * @param {URL} url
+ * @returns {Promise<Response>}
+ */
+export async function readGuideRunningOrder(svc, origin, guideId, url) {
+	if (!guideId) return svc.json({ ok: false, error: "guide_id_required" }, 400, svc.corsHeaders(origin));
+	try {
+		const guide = await loadGuide(svc, guideId, text(url?.searchParams?.get("version")));
+		if (!guide) return svc.json({ ok: false, error: "guide_version_not_found" }, 404, svc.corsHeaders(origin));
+		const plan = await runningOrder(svc, guide, null);
+		return svc.json({ ok: true, guide: guideSummary(guide, guideId), running_order: plan }, 200, svc.corsHeaders(origin));
+	} catch (error) {
+		return failed(svc, origin, error, "guide.running_order.fail", { guideId });
+	}
+}
+
+/**
+ * GET /api/sessions/:id/running-order — the running order of the guide the
+ * session runs with, checked against the session's planned duration.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {string} sessionId
+ * @param {URL} url
+ * @returns {Promise<Response>}
+ */
+export async function readSessionRunningOrder(svc, origin, sessionId, url) {
+	if (!sessionId) return svc.json({ ok: false, error: "Missing session id" }, 400, svc.corsHeaders(origin));
+	try {
+		const record = await getRecord(svc.env, svc.env.AIRTABLE_TABLE_SESSIONS || "Sessions", sessionId);
+		if (!record?.id) return svc.json({ ok: false, error: "session_not_found" }, 404, svc.corsHeaders(origin));
+		const session = sessionFromRecord(record);
+		// sessionFromRecord defaults a missing duration to an hour; only a stored one is a plan
+		const stored = Boolean(pickFirstField(record.fields, SESSION_FIELDS.duration_min));
+
+		const pinned = hasD1(svc) ? await findSessionGuideVersion(svc, sessionId).catch(() => null) : null;
+		const liveGuideId = text(url?.searchParams?.get("guide"));
+		const guide = pinned || (liveGuideId ? await loadGuide(svc, liveGuideId) : null);
+		if (!guide) {
+			return svc.json({ ok: false, error: "session_guide_not_found", message: "Pin a guide version to this session to plan its running order." }, 404, svc.corsHeaders(origin));
+		}
+
+		const plan = await runningOrder(svc, guide, stored ? session.duration_min : null);
+		return svc.json({
+			ok: true,
+			session: { id: session.id, starts_at: session.starts_at, duration_min: stored ? session.duration_min : null },
+			guide: guideSummary(guide, pinned ? pinned.guide_id : liveGuideId),
+			pinned: Boolean(pinned),
+			running_order: plan
+		}, 200, svc.corsHeaders(origin));
+	} catch (error) {
+		return failed(svc, origin, error, "session.running_order.fail", { sessionId });
+	}
+}
@@ -0,0 +1,402 @@
+/**
+ * @file src/service/guide-versions.js
+ * @module service/guide-versions
+ * @summary Immutable published snapshots of discussion guides and the snapshot each session ran with.
+ *
+ * Endpoints covered:
+ * - GET    /api/guides/:id/versions                    published snapshots, newest first
+ * - GET    /api/guides/:id/versions/:versionId         one snapshot in full (id or version number)
+ * - GET    /api/sessions/:id/guide-version             the snapshot pinned to a session
+ * - PUT    /api/sessions/:id/guide-version             { guideId, version? } pin a snapshot to a session
+ *
+ * Publishing a guide (see ./guides.js) freezes the title, source Markdown,
+ * variables, the partials it included and the rendered Markdown into
+ * `rops_guide_versions`. The snapshot is written as pending before Airtable
+ * takes the new version number and confirmed as published afterwards, so a
+ * published version always has its text. Only pending snapshots are
+ * replaced; a trigger rejects any other UPDATE so the text used in a session
+ * cannot drift when the guide is edited later. Pending snapshots are never
+ * listed, exported or pinned. A session pinned without a version number
+ * runs with the latest snapshot.
+ */
+
+import { fetchWithTimeout, safeText } from "../core/utils.js";
+import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
+
+const VERSIONS_TABLE = "rops_guide_versions";
+const SESSION_GUIDES_TABLE = "rops_session_guide_versions";
+const MAX_PARTIAL_DEPTH = 5;
+const PARTIAL_TAG = /{{>\s*([a-zA-Z0-9_-]+)\s*}}/g;
+// The one UPDATE the immutability trigger allows: a pending snapshot confirmed as published.
+const CONFIRM_ONLY = "OLD.status = 'pending' AND NEW.status = 'published' AND NEW.id = OLD.id AND NEW.guide_id = OLD.guide_id AND NEW.study_id IS OLD.study_id AND NEW.version = OLD.version AND NEW.title = OLD.title AND NEW.source_markdown = OLD.source_markdown AND NEW.rendered_markdown = OLD.rendered_markdown AND NEW.variables_json = OLD.variables_json AND NEW.partials_json = OLD.partials_json AND NEW.content_hash = OLD.content_hash AND NEW.published_by IS OLD.published_by";
+
+function hasD1(svc) { return Boolean(svc?.env?.RESEARCHOPS_D1?.prepare); }
+function nowIso(value = Date.now()) { return new Date(value).toISOString(); }
+function text(value) { return String(value ?? "").trim(); }
+function makeId(prefix) { return `${prefix}_${crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}_${Math.random().toString(16).slice(2)}`}`; }
+function unavailable(svc, origin) { return svc.json({ ok: false, error: "guide_versions_unavailable", message: "Guide version history is not available right now." }, 503, svc.corsHeaders(origin)); }
+function notFound(svc, origin, error) { return svc.json({ ok: false, error }, 404, svc.corsHeaders(origin)); }
+
+function parseJson(value, fallback) {
+	try {
+		return value ? JSON.parse(value) : fallback;
+	} catch {
+		return fallback;
+	}
+}
+
+async function ensureTables(svc) {
+	if (!hasD1(svc)) throw new Error("RESEARCHOPS_D1 binding not available");
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${VERSIONS_TABLE} (id TEXT PRIMARY KEY, guide_id TEXT NOT NULL, study_id TEXT, version INTEGER NOT NULL, title TEXT NOT NULL, source_markdown TEXT NOT NULL, rendered_markdown TEXT NOT NULL, variables_json TEXT NOT NULL DEFAULT '{}', partials_json TEXT NOT NULL DEFAULT '[]', content_hash TEXT NOT NULL, published_by TEXT, published_at TEXT NOT NULL, status TEXT NOT NULL DEFAULT 'published')`);
+	await d1Run(svc.env, `CREATE UNIQUE INDEX IF NOT EXISTS idx_rops_guide_versions_guide ON ${VERSIONS_TABLE} (guide_id, version)`);
+	await d1Run(svc.env, `CREATE TRIGGER IF NOT EXISTS trg_rops_guide_versions_immutable BEFORE UPDATE ON ${VERSIONS_TABLE} WHEN NOT (${CONFIRM_ONLY}) BEGIN SELECT RAISE(ABORT, 'guide versions are immutable'); END`);
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${SESSION_GUIDES_TABLE} (session_id TEXT PRIMARY KEY, guide_id TEXT NOT NULL, guide_version_id TEXT NOT NULL, recorded_by TEXT, recorded_at TEXT NOT NULL)`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_session_guide_versions_version ON ${SESSION_GUIDES_TABLE} (guide_version_id)`);
+}
+
+async function readBody(svc, request) {
+	const body = await request.arrayBuffer();
+	if (body.byteLength > svc.cfg.MAX_BODY_BYTES) throw Object.assign(new Error("Payload too large"), { status: 413 });
+	try {
+		return JSON.parse(new TextDecoder().decode(body) || "{}");
+	} catch {
+		throw Object.assign(new Error("Invalid JSON"), { status: 400 });
+	}
+}
+
+async function sha256Hex(value) {
+	const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(value));
+	return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/* ─────────────── Partials ─────────────── */
+
+/**
+ * Partial names referenced as `{{> name}}` in a guide source, in first-use order.
+ * @param {string} source
+ * @returns {string[]}
+ */
+export function collectPartialNames(source) {
+	return Array.from(new Set(Array.from(String(source || "").matchAll(PARTIAL_TAG), (match) => match[1])));
+}
+
+/**
+ * Replace `{{> name}}` tags with partial sources, following nested partials
+ * up to MAX_PARTIAL_DEPTH. Unknown partials are left in place.
+ * @param {string} source
+ * @param {Record<string, string>} partials name → source
+ * @param {number} [depth]
+ * @returns {string}
+ */
+export function expandPartials(source, partials, depth = 0) {
+	return String(source || "").replace(PARTIAL_TAG, (tag, name) => {
+		if (depth >= MAX_PARTIAL_DEPTH || !Object.hasOwn(partials, name)) return tag;
+		return expandPartials(partials[name], partials, depth + 1);
+	});
+}
+
+/**
+ * Split a partial reference into its Airtable name and version. A `_v<n>`
+ * suffix names the version; without one the reference means version 1.
+ * @param {string} ref e.g. "consent" or "consent_v2"
+ * @returns {{ name: string, version: number }}
+ */
+export function parsePartialRef(ref) {
+	const match = String(ref || "").match(/^(.+?)(?:_v(\d+))?$/);
+	return { name: match ? match[1] : String(ref || ""), version: match?.[2] ? Number.parseInt(match[2], 10) : 1 };
+}
+
+async function fetchPartialRecords(svc) {
+	const table = encodeURIComponent(svc.env.AIRTABLE_TABLE_PARTIALS || "Partials");
+	const records = [];
+	let offset;
+	do {
+		const params = new URLSearchParams({ pageSize: "100" });
+		if (offset) params.set("offset", offset);
+		const res = await fetchWithTimeout(`https://api.airtable.com/v0/${svc.env.AIRTABLE_BASE_ID}/${table}?${params.toString()}`, {
+			headers: { "Authorization": `Bearer ${svc.env.AIRTABLE_API_KEY}` }
+		}, svc.cfg.TIMEOUT_MS);
+		const txt = await res.text();
+		if (!res.ok) throw Object.assign(new Error(`Airtable ${res.status}: ${safeText(txt)}`), { status: res.status });
+		let js;
+		try { js = JSON.parse(txt); } catch { js = { records: [] }; }
+		records.push(...(js.records || []));
+		offset = js.offset;
+	} while (offset);
+	return records;
+}
+
+/**
+ * Resolve the partials a guide includes, and the partials those include, to
+ * the Airtable records the editor would use. A name may carry a `_v<n>`
+ * suffix; without one it means version 1, as in the guide editor.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} source
+ * @returns {Promise<Array<{ name: string, id: string|null, version: number, source: string }>>}
+ */
+export async function resolveGuidePartials(svc, source) {
+	const pending = collectPartialNames(source);
+	if (!pending.length) return [];
+	const records = await fetchPartialRecords(svc);
+	const resolved = new Map();
+	for (let depth = 0; pending.length && depth <= MAX_PARTIAL_DEPTH; depth += 1) {
+		const names = pending.splice(0).filter((name) => !resolved.has(name));
+		for (const name of names) {
+			const { name: baseName, version } = parsePartialRef(name);
+			const record = records.find((r) => {
+				const f = r.fields || {};
+				return (f.Name || f.name) === baseName && Number(f.Version ?? f.version ?? 1) === version;
+			});
+			const partialSource = record ? String(record.fields.Source || record.fields.source || "") : "";
+			resolved.set(name, { name, id: record?.id || null, version, source: partialSource });
+			pending.push(...collectPartialNames(partialSource));
+		}
+	}
+	return Array.from(resolved.values());
+}
+
+/* ─────────────── Snapshots ─────────────── */
+
+function versionDto(row, { content = false } = {}) {
+	const dto = {
+		id: row.id,
+		guide_id: row.guide_id,
+		study_id: row.study_id || "",
+		version: Number(row.version),
+		title: row.title,
+		content_hash: row.content_hash,
+		published_by: row.published_by || "",
+		published_at: row.published_at,
+		partials: parseJson(row.partials_json, []).map(({ name, id, version }) => ({ name, id, version })),
+		session_count: Number(row.session_count || 0)
+	};
+	if (!content) return dto;
+	return {
+		...dto,
+		source_markdown: row.source_markdown,
+		rendered_markdown: row.rendered_markdown,
+		variables: parseJson(row.variables_json, {}),
+		partials: parseJson(row.partials_json, [])
+	};
+}
+
+async function versionRow(svc, guideId, versionId) {
+	const byNumber = /^\d+$/.test(versionId);
+	return d1Get(svc.env, `
+		SELECT v.*, (SELECT COUNT(*) FROM ${SESSION_GUIDES_TABLE} s WHERE s.guide_version_id = v.id) AS session_count
+		FROM ${VERSIONS_TABLE} v
+		WHERE v.guide_id = ? AND v.status = 'published' AND ${byNumber ? "v.version = ?" : "v.id = ?"}
+	`, [guideId, byNumber ? Number(versionId) : versionId]);
+}
+
+/**
+ * Write the snapshot for a version about to be published, as pending.
+ * Called by publishGuide before Airtable takes the new version number, with
+ * the Markdown it rendered on the server and the partials that went into it.
+ * A pending snapshot left for the same version by a failed publish is
+ * replaced.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {{ guideId: string, studyId?: string, version: number, title?: string, sourceMarkdown?: string, variables?: Record<string, any>, partials?: Array<{ name: string, id: string|null, version: number, source: string }>, renderedMarkdown?: string, actor?: string }} snapshot
+ * @returns {Promise<ReturnType<typeof versionDto>>}
+ */
+export async function recordGuideVersion(svc, snapshot) {
+	await ensureTables(svc);
+	const sourceMarkdown = String(snapshot.sourceMarkdown || "");
+	const variables = snapshot.variables && typeof snapshot.variables === "object" ? snapshot.variables : {};
+	const partials = Array.isArray(snapshot.partials) ? snapshot.partials : [];
+	const partialSources = Object.fromEntries(partials.filter((partial) => partial.id).map((partial) => [partial.name, partial.source]));
+	const renderedMarkdown = typeof snapshot.renderedMarkdown === "string"
+		? snapshot.renderedMarkdown
+		: expandPartials(sourceMarkdown, partialSources);
+	const variablesJson = JSON.stringify(variables);
+	const partialsJson = JSON.stringify(partials);
+	const row = {
+		id: makeId("gv"),
+		guide_id: snapshot.guideId,
+		study_id: text(snapshot.studyId) || null,
+		version: Number(snapshot.version),
+		title: text(snapshot.title) || "Untitled guide",
+		source_markdown: sourceMarkdown,
+		rendered_markdown: renderedMarkdown,
+		variables_json: variablesJson,
+		partials_json: partialsJson,
+		content_hash: await sha256Hex(JSON.stringify([sourceMarkdown, renderedMarkdown, variablesJson, partialsJson])),
+		published_by: text(snapshot.actor) || null,
+		published_at: nowIso()
+	};
+	await d1Run(svc.env, `DELETE FROM ${VERSIONS_TABLE} WHERE guide_id = ? AND version = ? AND status = 'pending'`, [row.guide_id, row.version]);
+	await d1Run(svc.env, `
+		INSERT INTO ${VERSIONS_TABLE} (id, guide_id, study_id, version, title, source_markdown, rendered_markdown, variables_json, partials_json, content_hash, published_by, published_at, status)
+		VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
+	`, [row.id, row.guide_id, row.study_id, row.version, row.title, row.source_markdown, row.rendered_markdown, row.variables_json, row.partials_json, row.content_hash, row.published_by, row.published_at]);
+	return versionDto(row);
+}
+
+/**
+ * Confirm a pending snapshot once Airtable holds its version number. Returns
+ * the snapshot, or null when the version has no pending snapshot.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} guideId
+ * @param {number} version
+ * @returns {Promise<ReturnType<typeof versionDto>|null>}
+ */
+export async function confirmGuideVersion(svc, guideId, version) {
+	await ensureTables(svc);
+	const result = await d1Run(svc.env, `UPDATE ${VERSIONS_TABLE} SET status = 'published', published_at = ? WHERE guide_id = ? AND version = ? AND status = 'pending'`, [nowIso(), guideId, Number(version)]);
+	if (!Number(result?.meta?.changes)) return null;
+	const row = await versionRow(svc, guideId, String(version));
+	return row ? versionDto(row) : null;
+}
+
+/**
+ * GET /api/guides/:id/versions
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {string} guideId
+ */
+export async function listGuideVersions(svc, origin, guideId) {
+	if (!guideId) return svc.json({ ok: false, error: "Missing guide id" }, 400, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		await ensureTables(svc);
+		const rows = await d1All(svc.env, `
+			SELECT v.id, v.guide_id, v.study_id, v.version, v.title, v.partials_json, v.content_hash, v.published_by, v.published_at,
+				(SELECT COUNT(*) FROM ${SESSION_GUIDES_TABLE} s WHERE s.guide_version_id = v.id) AS session_count
+			FROM ${VERSIONS_TABLE} v
+			WHERE v.guide_id = ? AND v.status = 'published'
+			ORDER BY v.version DESC
+		`, [guideId]);
+		return svc.json({ ok: true, versions: rows.map((row) => versionDto(row)) }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.guide_versions.list.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * One snapshot in full, or null when the guide has no such version.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} guideId
+ * @param {string} versionId snapshot id or version number
+ */
+export async function findGuideVersion(svc, guideId, versionId) {
+	await ensureTables(svc);
+	const row = await versionRow(svc, guideId, String(versionId));
+	return row ? versionDto(row, { content: true }) : null;
+}
+
+/**
+ * GET /api/guides/:id/versions/:versionId — versionId is a snapshot id or a version number.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {string} guideId
+ * @param {string} versionId
+ */
+export async function readGuideVersion(svc, origin, guideId, versionId) {
+	if (!guideId || !versionId) return svc.json({ ok: false, error: "Missing guide version id" }, 400, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		await ensureTables(svc);
+		const row = await versionRow(svc, guideId, versionId);
+		if (!row) return notFound(svc, origin, "guide_version_not_found");
+		return svc.json({ ok: true, version: versionDto(row, { content: true }) }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.guide_versions.read.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/* ─────────────── Sessions ─────────────── */
+
+/**
+ * Pin a guide snapshot to a session, replacing any earlier pin. Without a
+ * version the latest snapshot is used. Returns null when the guide has not
+ * been published or the version does not exist.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} sessionId
+ * @param {{ guideId: string, version?: string|number, actor?: string }} pin
+ */
+export async function pinSessionGuideVersion(svc, sessionId, { guideId, version, actor }) {
+	await ensureTables(svc);
+	const row = version !== undefined && version !== null && version !== ""
+		? await versionRow(svc, guideId, String(version))
+		: await d1Get(svc.env, `SELECT * FROM ${VERSIONS_TABLE} WHERE guide_id = ? AND status = 'published' ORDER BY version DESC LIMIT 1`, [guideId]);
+	if (!row) return null;
+	await d1Run(svc.env, `
+		INSERT INTO ${SESSION_GUIDES_TABLE} (session_id, guide_id, guide_version_id, recorded_by, recorded_at)
+		VALUES (?, ?, ?, ?, ?)
+		ON CONFLICT(session_id) DO UPDATE SET
+			guide_id = excluded.guide_id,
+			guide_version_id = excluded.guide_version_id,
+			recorded_by = excluded.recorded_by,
+			recorded_at = excluded.recorded_at
+	`, [sessionId, guideId, row.id, text(actor) || null, nowIso()]);
+	return versionDto(row);
+}
+
+async function sessionPin(svc, sessionId) {
+	const row = await d1Get(svc.env, `
+		SELECT s.recorded_by, s.recorded_at, v.*
+		FROM ${SESSION_GUIDES_TABLE} s
+		JOIN ${VERSIONS_TABLE} v ON v.id = s.guide_version_id
+		WHERE s.session_id = ?
+	`, [sessionId]);
+	if (!row) return null;
+	return { session_id: sessionId, recorded_by: row.recorded_by || "", recorded_at: row.recorded_at, guide_version: versionDto(row, { content: true }) };
+}
+
+/**
+ * The snapshot pinned to a session, in full, or null when none is pinned.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} sessionId
+ */
+export async function findSessionGuideVersion(svc, sessionId) {
+	await ensureTables(svc);
+	return (await sessionPin(svc, sessionId))?.guide_version || null;
+}
+
+/**
+ * GET /api/sessions/:id/guide-version
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {string} sessionId
+ */
+export async function readSessionGuideVersion(svc, origin, sessionId) {
+	if (!sessionId) return svc.json({ ok: false, error: "Missing session id" }, 400, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		await ensureTables(svc);
+		const pin = await sessionPin(svc, sessionId);
+		if (!pin) return notFound(svc, origin, "session_guide_version_not_found");
+		return svc.json({ ok: true, ...pin }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.session_guide_version.read.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * PUT /api/sessions/:id/guide-version — { guideId, version? }
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {string} sessionId
+ * @param {any} authContext
+ */
+export async function saveSessionGuideVersion(svc, request, origin, sessionId, authContext = null) {
+	let p;
+	try { p = await readBody(svc, request); }
+	catch (error) { return svc.json({ ok: false, error: error.message }, error.status || 400, svc.corsHeaders(origin)); }
+
+	const guideId = text(p.guideId || p.guide_id);
+	if (!sessionId || !guideId) return svc.json({ ok: false, error: "Missing field: guideId" }, 400, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		const pinned = await pinSessionGuideVersion(svc, sessionId, { guideId, version: p.version, actor: authContext?.user?.email });
+		if (!pinned) return svc.json({ ok: false, error: "guide_version_not_found", message: "Publish the guide before recording it against a session." }, 409, svc.corsHeaders(origin));
+		return svc.json({ ok: true, ...(await sessionPin(svc, sessionId)) }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.session_guide_version.save.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
@@ -9,6 +9,9 @@
  * - createGuide (POST /api/guides)
  * - updateGuide (PATCH /api/guides/:id)
  * - publishGuide (POST /api/guides/:id/publish)
+ *
+ * Publishing also freezes an immutable snapshot of the guide (see ./guide-versions.js),
+ * rendered on the server the same way as exports (see ./guide-export.js).
  */
 
 import {
@@ -21,6 +24,8 @@ import {
 import { GUIDE_LINK_FIELD_CANDIDATES, GUIDE_FIELD_NAMES } from "../core/fields.js";
 import { airtableTryWrite } from "../core/utils.js";
 import { getRecord } from "./internals/airtable.js";
+import { renderGuideMarkdown, templateContext } from "./guide-export.js";
+import { confirmGuideVersion, recordGuideVersion, resolveGuidePartials } from "./guide-versions.js";
 
 /**
  * Pull `version: X` from YAML front-matter at the top of a Markdown doc.
@@ -283,14 +288,19 @@ export async function updateGuide(svc, request, origin, guideId) {
 }
 
 /**
- * Publish a guide: set Status="published" and increment Version.
+ * Publish a guide: set Status="published", increment Version and freeze a
+ * snapshot of the published text, rendered here with the guide's variables
+ * and partials. The snapshot is saved as pending before Airtable is changed
+ * and confirmed once Airtable holds the new version; a snapshot left pending
+ * by a publish that failed to confirm it is confirmed by the next publish.
  * Uses flexible field names defined in GUIDE_FIELD_NAMES.
  * @param {import("./index.js").ResearchOpsService} svc
  * @param {string} origin
  * @param {string} guideId
+ * @param {any} [authContext]
  * @returns {Promise<Response>}
  */
-export async function publishGuide(svc, origin, guideId) {
+export async function publishGuide(svc, origin, guideId, authContext = null) {
 	if (!guideId) return svc.json({ error: "Missing guide id" }, 400, svc.corsHeaders(origin));
 
 	const base = svc.env.AIRTABLE_BASE_ID;
@@ -317,6 +327,59 @@ export async function publishGuide(svc, origin, guideId) {
 	const cur = Number.isFinite(f[versionKey]) ? Number(f[versionKey]) : parseInt(f[versionKey], 10);
 	const nextVer = Number.isFinite(cur) ? cur + 1 : 1;
 
+	const snapshotFailed = (e, message) => {
+		svc.log.error("d1.guide_version.record.fail", { guideId, version: nextVer, detail: String(e?.message || e) });
+		return svc.json({ ok: false, error: "guide_version_snapshot_failed", message, version: nextVer }, 503, svc.corsHeaders(origin));
+	};
+
+	const pick = (names) => {
+		const key = pickFirstField(f, names);
+		return key ? f[key] : undefined;
+	};
+	const sourceMarkdown = pick(GUIDE_FIELD_NAMES.source) || "";
+
+	// A snapshot holds every partial it includes, so nothing is published or
+	// confirmed when they cannot be read.
+	let partials;
+	try {
+		partials = await resolveGuidePartials(svc, sourceMarkdown);
+	} catch (e) {
+		svc.log.error("airtable.guide_version.partials.fail", { guideId, version: nextVer, detail: String(e?.message || e) });
+		return svc.json({ ok: false, error: "guide_partials_unavailable", message: "The guide was not published because its partials could not be read. Try again.", version: nextVer }, 503, svc.corsHeaders(origin));
+	}
+
+	// Freeze the text to publish before Airtable takes the new version number.
+	try {
+		// Airtable already holds `cur`, so a snapshot still pending for it was published.
+		if (Number.isFinite(cur)) await confirmGuideVersion(svc, guideId, cur);
+
+		const linkKey = pickFirstField(f, GUIDE_LINK_FIELD_CANDIDATES);
+		const studyId = linkKey && Array.isArray(f[linkKey]) ? f[linkKey][0] : "";
+		const title = pick(GUIDE_FIELD_NAMES.title);
+		const rawVars = pick(GUIDE_FIELD_NAMES.variables);
+		let variables = {};
+		try { variables = typeof rawVars === "string" ? JSON.parse(rawVars || "{}") : (rawVars || {}); } catch { variables = {}; }
+		const { markdown } = renderGuideMarkdown({
+			title,
+			source_markdown: sourceMarkdown,
+			variables,
+			partials: partials.filter((partial) => partial.id)
+		}, await templateContext(svc, studyId));
+		await recordGuideVersion(svc, {
+			guideId,
+			studyId,
+			version: nextVer,
+			title,
+			sourceMarkdown,
+			variables,
+			partials,
+			renderedMarkdown: markdown,
+			actor: authContext?.user?.email
+		});
+	} catch (e) {
+		return snapshotFailed(e, "The guide was not published because its version snapshot could not be saved. Try again.");
+	}
+
 	const tryPatch = async (statusValue, note) => {
 		const fields = statusValue != null ? {
 			[statusKey]: statusValue,
@@ -333,19 +396,30 @@ export async function publishGuide(svc, origin, guideId) {
 		return { ok: res.ok, status: res.status, txt: safeText(txt), note };
 	};
 
+	// Confirm the pending snapshot now Airtable holds the new version number.
+	const published = async (payload) => {
+		try {
+			const snapshot = await confirmGuideVersion(svc, guideId, nextVer);
+			if (!snapshot) throw new Error(`No pending snapshot for version ${nextVer}`);
+			return svc.json({ ...payload, snapshot }, 200, svc.corsHeaders(origin));
+		} catch (e) {
+			return snapshotFailed(e, "The guide was published but its version snapshot could not be confirmed. It is confirmed the next time the guide is published.");
+		}
+	};
+
 	// 1) 'published'
 	let r = await tryPatch("published", "lowercase");
-	if (r.ok) return svc.json({ ok: true, version: nextVer, status: "published" }, 200, svc.corsHeaders(origin));
+	if (r.ok) return published({ ok: true, version: nextVer, status: "published" });
 
 	// If select error, try 'Published'
 	const selectErr = r.status === 422 && /INVALID_MULTIPLE_CHOICE_OPTIONS/i.test(r.txt);
 	if (selectErr) {
 		r = await tryPatch("Published", "capitalised");
-		if (r.ok) return svc.json({ ok: true, version: nextVer, status: "Published", status_fallback: "capitalised" }, 200, svc.corsHeaders(origin));
+		if (r.ok) return published({ ok: true, version: nextVer, status: "Published", status_fallback: "capitalised" });
 
 		// final fallback: bump version only
 		r = await tryPatch(null, "omit-status");
-		if (r.ok) return svc.json({ ok: true, version: nextVer, status: f[statusKey] || undefined, status_fallback: "omitted" }, 200, svc.corsHeaders(origin));
+		if (r.ok) return published({ ok: true, version: nextVer, status: f[statusKey] || undefined, status_fallback: "omitted" });
 	}
 
 	svc.log.error("airtable.guide.publish.fail", { status: r.status, text: r.txt });
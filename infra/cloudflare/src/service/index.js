@@ -13,18 +13,34 @@ import * as Projects from "./projects.js";
 import { listProjectsFromD1OrAirtable } from "./project-list-d1-airtable.js";
 import * as Studies from "./studies.js";
 import * as Guides from "./guides.js";
+import * as GuideVersions from "./guide-versions.js";
+import * as GuideExport from "./guide-export.js";
+import * as GuideRunningOrder from "./guide-running-order.js";
 import * as ConsentForms from "./consent-forms.js";
 import * as ParticipantConsent from "./participant-consent.js";
+import * as ConsentPortal from "./consent-portal.js";
+import * as ConsentWithdrawal from "./consent-withdrawal.js";
+import * as LegalHolds from "./legal-holds.js";
+import * as Retention from "./retention.js";
 import * as EthicsSubmissionDocuments from "./ethics-submission-documents.js";
+import * as StudyEthicsRisk from "./study-ethics-risk.js";
 import * as Participants from "./participants.js";
+import * as ParticipantSarExport from "./participant-sar-export.js";
+import * as ParticipantPanel from "./participant-panel.js";
 import * as Sessions from "./sessions.js";
 import * as StudySupport from "./study-support.js";
 import * as Repository from "./repository.js";
 import * as Sourcebook from "./sourcebook.js";
 import * as Partials from "./partials.js";
 import * as Comms from "./comms.js";
+import * as SessionReminders from "./session-reminders.js";
+import * as CalendarFeeds from "./calendar-feeds.js";
+import * as SessionBooking from "./session-booking.js";
+import * as Search from "./search.js";
 import * as Csv from "./csv.js";
 import * as Synthesis from "./synthesis.js";
+import * as SynthesisMuralExport from "./synthesis-mural-export.js";
+import * as MuralImport from "./mural-import.js";
 
 /* Reflexive Journals */
 import * as Journals from "./journals.js";
@@ -34,6 +50,7 @@ import * as CodeApplications from "./reflection/code-applications.js";
 import * as Codes from "./reflection/codes.js";
 import * as ProjectDataHydration from "./reflection/project-data-hydration.js";
 import * as Analysis from "./reflection/analysis.js";
+import * as Agreement from "./reflection/agreement.js";
 import * as MuralJournalSync from "./mural-journal-sync-safe-tags.js";
 
 /* Session Notes */
@@ -71,6 +88,19 @@ import { recordProvenanceEvent } from "./provenance.js";
  * @property {string} AIRTABLE_TABLE_SESSIONS
  * @property {string} AIRTABLE_TABLE_SESSION_NOTES
  * @property {string} AIRTABLE_TABLE_COMMSLOG
+ * @property {string} [COMMS_PROVIDER] "notify" or "fake"; defaults to Notify when NOTIFY_API_KEY is set
+ * @property {string} [NOTIFY_API_KEY]
+ * @property {string} [NOTIFY_API_BASE]
+ * @property {string} [COMMS_CALLBACK_TOKEN] Bearer token expected on provider delivery callbacks
+ * @property {string} [SESSION_REMINDERS_DRY_RUN] "true" to plan session reminders without sending them
+ * @property {string} [RESEARCHOPS_RETENTION_POLICIES] JSON retention period overrides keyed by data class
+ * @property {string} [RESEARCHOPS_PANEL_CONTACT_LIMITS] JSON contact limits for panel invites: windowDays, maxStudies, minDaysBetween
+ * @property {string} [ETHICS_APPROVAL_REQUIRED] "true" to block recruitment for studies without an approved ethics assessment
+ * @property {string} [SESSION_TEMPLATE_CONFIRMATION] Default template ids per message kind; studies can override
+ * @property {string} [SESSION_TEMPLATE_REMINDER_24H]
+ * @property {string} [SESSION_TEMPLATE_REMINDER_1H]
+ * @property {string} [SESSION_TEMPLATE_RESCHEDULE]
+ * @property {string} [SESSION_TEMPLATE_CANCELLATION]
  * @property {string} AIRTABLE_API_KEY
  * @property {string} GH_OWNER
  * @property {string} GH_REPO
@@ -119,7 +149,7 @@ function corsHeaders(env, origin) {
 export class ResearchOpsService {
 	/**
 	 * @param {Env} env
-	 * @param {{cfg?:Partial<typeof DEFAULTS>, logger?:BatchLogger}} [opts]
+	 * @param {{cfg?:Partial<typeof DEFAULTS>, logger?:BatchLogger, commsProvider?:any}} [opts]
 	 */
 	constructor(env, opts = {}) {
 		/** @type {Env} */
@@ -130,11 +160,14 @@ export class ResearchOpsService {
 		this.log = opts.logger || new BatchLogger({ batchSize: this.cfg.LOG_BATCH_SIZE });
 		/** @type {boolean} */
 		this.destroyed = false;
+		/** Email/SMS provider override; resolved from env when null. */
+		this.commsProvider = opts.commsProvider || null;
 
 		this.corsHeaders = (origin) => corsHeaders(this.env, origin);
 		this.json = (body, status = 200, headers = {}) => jsonHelper(body, status, headers);
 		this.mural = new MuralServicePart(this);
 		this.mural.muralJournalSync = (req, origin, authContext) => MuralJournalSync.muralJournalSync(this, req, origin, authContext);
+		this.mural.muralJournalImport = (req, origin, authContext) => MuralImport.importJournalFromMural(this, req, origin, authContext);
 
 		/* Impact Tracking */
 		this.listImpact = ImpactService.listImpact(this);
@@ -200,6 +233,12 @@ export class ResearchOpsService {
 	cooccurrence = (origin, url) => Analysis.cooccurrence(this, origin, url);
 	retrieval = (origin, url) => Analysis.retrieval(this, origin, url);
 	exportAnalysis = (origin, url) => Analysis.exportAnalysis(this, origin, url);
+	listDoubleCodingSamples = (origin, url, authContext) => Agreement.listDoubleCodingSamples(this, origin, url, authContext);
+	createDoubleCodingSample = (req, origin, authContext) => Agreement.createDoubleCodingSample(this, req, origin, authContext);
+	getDoubleCodingSample = (origin, id, authContext) => Agreement.getDoubleCodingSample(this, origin, id, authContext);
+	saveDoubleCoding = (req, origin, id, authContext) => Agreement.saveDoubleCoding(this, req, origin, id, authContext);
+	closeDoubleCodingSample = (origin, id, authContext) => Agreement.closeDoubleCodingSample(this, origin, id, authContext);
+	agreementReport = (origin, url) => Agreement.agreementReport(this, origin, url);
 
 	/* ─────────────── CSV ─────────────── */
 	streamCsv = (origin, path) => Csv.streamCsv(this, origin, path);
@@ -214,10 +253,15 @@ export class ResearchOpsService {
 	/* ─────────────── Study synthesis ─────────────── */
 	listSynthesisEvidence = (origin, url) => Synthesis.listSynthesisEvidence(this, origin, url);
 	listSynthesis = (origin, url) => Synthesis.listSynthesis(this, origin, url);
-	createSynthesisCluster = (req, origin, url) => Synthesis.createSynthesisCluster(this, req, origin, url);
-	updateSynthesisCluster = (req, origin, url, clusterId) => Synthesis.updateSynthesisCluster(this, req, origin, url, clusterId);
-	deleteSynthesisCluster = (origin, url, clusterId) => Synthesis.deleteSynthesisCluster(this, origin, url, clusterId);
-	createSynthesisTheme = (req, origin, url) => Synthesis.createSynthesisTheme(this, req, origin, url);
+	createSynthesisCluster = (req, origin, url, authContext) => Synthesis.createSynthesisCluster(this, req, origin, url, authContext);
+	updateSynthesisCluster = (req, origin, url, clusterId, authContext) => Synthesis.updateSynthesisCluster(this, req, origin, url, clusterId, authContext);
+	deleteSynthesisCluster = (req, origin, url, clusterId, authContext) => Synthesis.deleteSynthesisCluster(this, req, origin, url, clusterId, authContext);
+	listSynthesisClusterHistory = (origin, url, clusterId) => Synthesis.listSynthesisClusterHistory(this, origin, url, clusterId);
+	revertSynthesisCluster = (req, origin, url, clusterId, authContext) => Synthesis.revertSynthesisCluster(this, req, origin, url, clusterId, authContext);
+	createSynthesisTheme = (req, origin, url, authContext) => Synthesis.createSynthesisTheme(this, req, origin, url, authContext);
+	importSynthesisState = (origin, url) => Synthesis.importSynthesisState(this, origin, url);
+	exportSynthesisToMural = (req, origin, url, authContext) => SynthesisMuralExport.exportSynthesisToMural(this, req, origin, url, authContext);
+	importSynthesisFromMural = (req, origin, url, authContext) => MuralImport.importSynthesisFromMural(this, req, origin, url, authContext);
 
 	/* ─────────────── Research repository ─────────────── */
 	listRepository = (origin, url, authContext) => Repository.listRepository(this, origin, url, authContext);
@@ -237,36 +281,98 @@ export class ResearchOpsService {
 	listGuides = (origin, url) => Guides.listGuides(this, origin, url);
 	createGuide = (req, origin) => Guides.createGuide(this, req, origin);
 	updateGuide = (req, origin, guideId) => Guides.updateGuide(this, req, origin, guideId);
-	publishGuide = (origin, guideId) => Guides.publishGuide(this, origin, guideId);
+	publishGuide = (origin, guideId, authContext = null) => Guides.publishGuide(this, origin, guideId, authContext);
 	readGuide = (origin, guideId) => Guides.readGuide(this, origin, guideId);
 
+	/* ─────────────── Guide versions ─────────────── */
+	listGuideVersions = (origin, guideId) => GuideVersions.listGuideVersions(this, origin, guideId);
+	readGuideVersion = (origin, guideId, versionId) => GuideVersions.readGuideVersion(this, origin, guideId, versionId);
+	readSessionGuideVersion = (origin, sessionId) => GuideVersions.readSessionGuideVersion(this, origin, sessionId);
+	saveSessionGuideVersion = (req, origin, sessionId, authContext) => GuideVersions.saveSessionGuideVersion(this, req, origin, sessionId, authContext);
+
+	/* ─────────────── Guide export ─────────────── */
+	exportGuide = (origin, guideId, url) => GuideExport.exportGuide(this, origin, guideId, url);
+
+	/* ─────────────── Guide running order ─────────────── */
+	readGuideRunningOrder = (origin, guideId, url) => GuideRunningOrder.readGuideRunningOrder(this, origin, guideId, url);
+	readSessionRunningOrder = (origin, sessionId, url) => GuideRunningOrder.readSessionRunningOrder(this, origin, sessionId, url);
+
 	/* ─────────────── Consent Forms ─────────────── */
 	listConsentForms = (origin, url) => ConsentForms.listConsentForms(this, origin, url);
 	createConsentForm = (req, origin) => ConsentForms.createConsentForm(this, req, origin);
 	readConsentForm = (origin, formId) => ConsentForms.readConsentForm(this, origin, formId);
 	updateConsentForm = (req, origin, formId) => ConsentForms.updateConsentForm(this, req, origin, formId);
 	publishConsentForm = (origin, formId) => ConsentForms.publishConsentForm(this, origin, formId);
+	diffConsentFormVersions = (origin, formId, url) => ConsentForms.diffConsentFormVersions(this, origin, formId, url);
+	listReconsentQueue = (origin, url) => ConsentForms.listReconsentQueue(this, origin, url);
 
 	/* ─────────────── Participant Consent ─────────────── */
 	listParticipantConsent = (origin, url) => ParticipantConsent.listParticipantConsent(this, origin, url);
-	createParticipantConsent = (req, origin) => ParticipantConsent.createParticipantConsent(this, req, origin);
-	updateParticipantConsent = (req, origin, recordId) => ParticipantConsent.updateParticipantConsent(this, req, origin, recordId);
+	createParticipantConsent = (req, origin, authContext) => ParticipantConsent.createParticipantConsent(this, req, origin, authContext);
+	updateParticipantConsent = (req, origin, recordId, authContext) => ParticipantConsent.updateParticipantConsent(this, req, origin, recordId, authContext);
+	verifyParticipantConsentRecord = (origin, recordId) => ConsentPortal.verifyParticipantConsentRecord(this, origin, recordId);
+	listConsentLinks = (origin, url) => ConsentPortal.listConsentLinks(this, origin, url);
+	createConsentLink = (req, origin, authContext) => ConsentPortal.createConsentLink(this, req, origin, authContext);
+	revokeConsentLink = (origin, id) => ConsentPortal.revokeConsentLink(this, origin, id);
+	readConsentPortal = (origin, url) => ConsentPortal.readConsentPortal(this, origin, url);
+	submitConsentPortal = (req, origin) => ConsentPortal.submitConsentPortal(this, req, origin);
+
+	/* ─────────────── Consent withdrawals ─────────────── */
+	listConsentWithdrawals = (origin, url) => ConsentWithdrawal.listConsentWithdrawals(this, origin, url);
+	readConsentWithdrawalReport = (origin, id, url) => ConsentWithdrawal.readConsentWithdrawalReport(this, origin, id, url);
+	rerunConsentWithdrawal = (origin, id, authContext) => ConsentWithdrawal.rerunConsentWithdrawal(this, origin, id, authContext);
+	drainConsentWithdrawals = (options) => ConsentWithdrawal.drainConsentWithdrawals(this, options);
+
+	/* ─────────────── Retention ─────────────── */
+	previewRetention = (origin, url) => Retention.previewRetention(this, origin, url);
+	listRetentionRuns = (origin, url) => Retention.listRetentionRuns(this, origin, url);
+	readRetentionRun = (origin, id) => Retention.readRetentionRun(this, origin, id);
+
+	/* ─────────────── Legal holds ─────────────── */
+	listLegalHolds = (origin, url) => LegalHolds.listLegalHolds(this, origin, url);
+	createLegalHold = (req, origin, authContext) => LegalHolds.createLegalHold(this, req, origin, authContext);
+	releaseLegalHold = (req, origin, id, authContext) => LegalHolds.releaseLegalHold(this, req, origin, id, authContext);
+
+	/* ─────────────── Study ethics risk ─────────────── */
+	readStudyEthicsRisk = (origin, url, authContext) => StudyEthicsRisk.readStudyEthicsRisk(this, origin, url, authContext);
+	recordStudyEthicsRisk = (req, origin, authContext) => StudyEthicsRisk.recordStudyEthicsRisk(this, req, origin, authContext);
+	submitStudyEthicsRisk = (req, origin, authContext) => StudyEthicsRisk.submitStudyEthicsRisk(this, req, origin, authContext);
+	decideStudyEthicsRisk = (req, origin, authContext) => StudyEthicsRisk.decideStudyEthicsRisk(this, req, origin, authContext);
+	listStudyEthicsReviews = (origin, url) => StudyEthicsRisk.listStudyEthicsReviews(this, origin, url);
 
 	/* ─────────────── Ethics submission documents ─────────────── */
 	createEthicsSubmissionDocument = (req, origin, authContext) => EthicsSubmissionDocuments.createEthicsSubmissionDocument(this, req, origin, authContext);
 	readEthicsSubmissionDocument = (origin, documentId) => EthicsSubmissionDocuments.readEthicsSubmissionDocument(this, origin, documentId);
+	readEthicsSubmissionRendition = (origin, documentId, url) => EthicsSubmissionDocuments.readEthicsSubmissionRendition(this, origin, documentId, url);
+	listEthicsSubmissionDocuments = (origin, url) => EthicsSubmissionDocuments.listEthicsSubmissionDocuments(this, origin, url);
+	diffEthicsSubmissionDocument = (origin, documentId, url) => EthicsSubmissionDocuments.diffEthicsSubmissionDocument(this, origin, documentId, url);
 
 	/* ─────────────── Partials ─────────────── */
 	listPartials = (origin) => Partials.listPartials(this, origin);
 	createPartial = (req, origin) => Partials.createPartial(this, req, origin);
 	readPartial = (origin, id) => Partials.readPartial(this, origin, id);
 	updatePartial = (req, origin, id) => Partials.updatePartial(this, req, origin, id);
-	deletePartial = (origin, id) => Partials.deletePartial(this, origin, id);
+	deletePartial = (origin, id, url) => Partials.deletePartial(this, origin, id, url);
+	readPartialGraph = (origin) => Partials.readPartialGraph(this, origin);
+	readPartialUsage = (origin, id) => Partials.readPartialUsage(this, origin, id);
+	createPartialVersion = (req, origin, id) => Partials.createPartialVersion(this, req, origin, id);
 
 	/* ─────────────── Participants ─────────────── */
 	listParticipants = (req, origin, url) => Participants.listParticipants(this, req, origin, url);
 	revealParticipantContact = (req, origin, url) => Participants.revealParticipantContact(this, req, origin, url);
 	createParticipant = (req, origin) => Participants.createParticipant(this, req, origin);
+	exportParticipantSar = (req, origin, participantId, authContext) => ParticipantSarExport.exportParticipantSar(this, req, origin, participantId, authContext);
+
+	/* ─────────────── Participant panel ─────────────── */
+	listPanelMembers = (origin, url) => ParticipantPanel.listPanelMembers(this, origin, url);
+	createPanelMember = (req, origin, authContext) => ParticipantPanel.createPanelMember(this, req, origin, authContext);
+	updatePanelMember = (req, origin, id) => ParticipantPanel.updatePanelMember(this, req, origin, id);
+	listPanelScreeners = (origin) => ParticipantPanel.listPanelScreeners(this, origin);
+	createPanelScreener = (req, origin, authContext) => ParticipantPanel.createPanelScreener(this, req, origin, authContext);
+	recordScreenerResponse = (req, origin, screenerId, authContext) => ParticipantPanel.recordScreenerResponse(this, req, origin, screenerId, authContext);
+	listPanelQuotas = (origin, url) => ParticipantPanel.listPanelQuotas(this, origin, url);
+	savePanelQuotas = (req, origin, authContext) => ParticipantPanel.savePanelQuotas(this, req, origin, authContext);
+	invitePanelMembers = (req, origin, authContext) => ParticipantPanel.invitePanelMembers(this, req, origin, authContext);
 
 	/* ─────────────── Study support people ─────────────── */
 	readStudySupport = (origin, url) => StudySupport.readStudySupport(this, origin, url);
@@ -292,6 +398,7 @@ export class ResearchOpsService {
 	listCardSortResults = (origin, url) => CardSorts.listCardSortResults(this, origin, url);
 	createCardSortResult = (req, origin) => CardSorts.createCardSortResult(this, req, origin);
 	updateCardSortResult = (req, origin, id) => CardSorts.updateCardSortResult(this, req, origin, id);
+	getCardSortAnalysis = (origin, url) => CardSorts.getCardSortAnalysis(this, origin, url);
 
 	/* ─────────────── Tree Tests ─────────────── */
 	getTreeTestConfig = (origin, url) => TreeTests.getTreeTestConfig(this, origin, url);
@@ -299,7 +406,41 @@ export class ResearchOpsService {
 	listTreeTestResults = (origin, url) => TreeTests.listTreeTestResults(this, origin, url);
 	createTreeTestResult = (req, origin) => TreeTests.createTreeTestResult(this, req, origin);
 	updateTreeTestResult = (req, origin, id) => TreeTests.updateTreeTestResult(this, req, origin, id);
+	getTreeTestAnalysis = (origin, url) => TreeTests.getTreeTestAnalysis(this, origin, url);
 
 	/* ─────────────── Comms ─────────────── */
 	sendComms = (req, origin) => Comms.sendComms(this, req, origin);
+	listCommsOutbox = (origin, url) => Comms.listCommsOutbox(this, origin, url);
+	commsDeliveryCallback = (req, origin) => Comms.commsDeliveryCallback(this, req, origin);
+	drainCommsOutbox = (options) => Comms.drainCommsOutbox(this, options);
+
+	/* ─────────────── Session reminders ─────────────── */
+	getReminderPreferences = (origin, url) => SessionReminders.getReminderPreferences(this, origin, url);
+	saveReminderPreferences = (req, origin, url) => SessionReminders.saveReminderPreferences(this, req, origin, url);
+	runSessionRemindersNow = (req, origin, url) => SessionReminders.runSessionRemindersNow(this, req, origin, url);
+	runSessionReminders = (options) => SessionReminders.runSessionReminders(this, options);
+
+	/* ─────────────── Calendar feeds ─────────────── */
+	listCalendarFeeds = (origin, url, authContext) => CalendarFeeds.listCalendarFeeds(this, origin, url, authContext);
+	createCalendarFeed = (req, origin, authContext) => CalendarFeeds.createCalendarFeed(this, req, origin, authContext);
+	revokeCalendarFeed = (origin, id, authContext) => CalendarFeeds.revokeCalendarFeed(this, origin, id, authContext);
+	studySessionsFeed = (origin, url, studyId) => CalendarFeeds.studySessionsFeed(this, origin, url, studyId);
+	researcherSessionsFeed = (origin, url) => CalendarFeeds.researcherSessionsFeed(this, origin, url);
+
+	/* ─────────────── Session booking ─────────────── */
+	listBookingSlots = (origin, url) => SessionBooking.listBookingSlots(this, origin, url);
+	createBookingSlots = (req, origin, authContext) => SessionBooking.createBookingSlots(this, req, origin, authContext);
+	withdrawBookingSlot = (origin, id) => SessionBooking.withdrawBookingSlot(this, origin, id);
+	saveBookingSettings = (req, origin, authContext) => SessionBooking.saveBookingSettings(this, req, origin, authContext);
+	createBookingLink = (req, origin, authContext) => SessionBooking.createBookingLink(this, req, origin, authContext);
+	cancelBookingByResearcher = (req, origin, id, authContext) => SessionBooking.cancelBookingByResearcher(this, req, origin, id, authContext);
+	readBookingPortal = (origin, url) => SessionBooking.readBookingPortal(this, origin, url);
+	submitBookingPortal = (req, origin) => SessionBooking.submitBookingPortal(this, req, origin);
+	cancelBookingPortal = (req, origin) => SessionBooking.cancelBookingPortal(this, req, origin);
+	bookingPortalIcs = (origin, url) => SessionBooking.bookingPortalIcs(this, origin, url);
+
+	/* ─────────────── Search ─────────────── */
+	searchResearchOps = (origin, url, types) => Search.searchResearchOps(this, origin, url, types);
+	reindexSearch = (origin) => Search.reindexSearch(this, origin);
+	refreshSearchIndex = () => Search.refreshSearchIndex(this);
 }
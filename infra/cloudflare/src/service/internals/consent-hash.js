@@ -0,0 +1,60 @@
+/**
+ * @file src/service/internals/consent-hash.js
+ * @module service/internals/consent-hash
+ * @summary Canonical JSON and SHA-256 hashing for consent form wording and participant consent records.
+ */
+
+/**
+ * JSON with object keys sorted at every level, so equal records hash equally.
+ * @param {any} value
+ * @returns {string}
+ */
+export function canonicalJson(value) {
+	if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+	if (value && typeof value === "object") {
+		return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+	}
+	return JSON.stringify(value ?? null);
+}
+
+/**
+ * @param {string} value
+ * @returns {Promise<string>} Lower-case hex digest.
+ */
+export async function sha256Hex(value) {
+	const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(value));
+	return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+function parseResponses(value) {
+	try {
+		const parsed = JSON.parse(String(value || "{}"));
+		return parsed && typeof parsed === "object" ? parsed : {};
+	} catch {
+		return {};
+	}
+}
+
+/**
+ * Hash of a participant consent record row, over every column a response
+ * depends on, including the hash of the participant's previous record.
+ * @param {Record<string, any>} row
+ */
+export function participantResponseHash(row) {
+	return sha256Hex(canonicalJson({
+		id: row.id,
+		studyId: row.study_id,
+		participantId: row.participant_id,
+		consentFormId: row.consent_form_id,
+		consentFormVersion: Number.parseInt(row.consent_form_version, 10) || 1,
+		responses: parseResponses(row.responses_json),
+		status: row.status,
+		captureMethod: row.capture_method,
+		withdrawn: Number(row.withdrawn) === 1,
+		withdrawalReason: row.withdrawal_reason || "",
+		recordedAt: row.recorded_at,
+		consentLinkId: row.consent_link_id,
+		formHash: row.form_hash,
+		previousResponseHash: row.previous_response_hash || ""
+	}));
+}
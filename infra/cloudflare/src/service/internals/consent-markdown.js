@@ -0,0 +1,121 @@
+/**
+ * @file src/service/internals/consent-markdown.js
+ * @module service/internals/consent-markdown
+ * @summary Server-side rendering of consent form markdown for participants.
+ *
+ * Mirrors the consent form editor preview: `{{variable}}` and
+ * `{{#consentItems}}…{{/consentItems}}` placeholders are filled first, then
+ * headings, bullet lists and paragraphs are turned into escaped HTML. Links,
+ * images and raw HTML are never emitted.
+ */
+
+function escapeHtml(value) {
+	return String(value ?? "")
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
+}
+
+function inlineMarkdown(text) {
+	return escapeHtml(text)
+		.replace(/`([^`]+)`/g, "<code>$1</code>")
+		.replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+		.replace(/\*([^*]+)\*/g, "<em>$1</em>");
+}
+
+function lookupValue(context, key) {
+	return key.split(".").reduce((value, part) => {
+		if (value == null) return "";
+		return value[part];
+	}, context);
+}
+
+/**
+ * Fill `{{key}}` placeholders and `{{#list}}…{{/list}}` sections.
+ * @param {string} template
+ * @param {Record<string, any>} context
+ * @returns {string}
+ */
+export function renderConsentTemplate(template, context) {
+	let output = String(template || "");
+	output = output.replace(/{{#([\w.]+)}}([\s\S]*?){{\/\1}}/g, (_match, key, block) => {
+		const value = lookupValue(context, key);
+		if (!Array.isArray(value)) return "";
+		return value.map(item => renderConsentTemplate(block, { ...context, ...item })).join("");
+	});
+	return output.replace(/{{\s*([\w.]+)\s*}}/g, (_match, key) => {
+		const value = lookupValue(context, key.trim());
+		return value == null ? "" : String(value);
+	});
+}
+
+/**
+ * Headings start at h2 so the page keeps its own h1.
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function renderConsentMarkdown(markdown) {
+	const lines = String(markdown || "").replace(/\r\n?/g, "\n").split("\n");
+	const html = [];
+	let listOpen = false;
+	let paragraph = [];
+
+	const flushParagraph = () => {
+		if (!paragraph.length) return;
+		html.push(`<p class="govuk-body">${inlineMarkdown(paragraph.join(" "))}</p>`);
+		paragraph = [];
+	};
+
+	const closeList = () => {
+		if (!listOpen) return;
+		html.push("</ul>");
+		listOpen = false;
+	};
+
+	for (const line of lines) {
+		const trimmed = line.trim();
+		if (!trimmed) {
+			flushParagraph();
+			closeList();
+			continue;
+		}
+
+		const heading = trimmed.match(/^(#{1,6})\s+(.+)$/);
+		if (heading) {
+			flushParagraph();
+			closeList();
+			const level = Math.min(6, heading[1].length + 1);
+			const size = level === 2 ? "l" : level === 3 ? "m" : "s";
+			html.push(`<h${level} class="govuk-heading-${size}">${inlineMarkdown(heading[2])}</h${level}>`);
+			continue;
+		}
+
+		const bullet = trimmed.match(/^[-*]\s+(.+)$/);
+		if (bullet) {
+			flushParagraph();
+			if (!listOpen) {
+				html.push('<ul class="govuk-list govuk-list--bullet">');
+				listOpen = true;
+			}
+			html.push(`<li>${inlineMarkdown(bullet[1])}</li>`);
+			continue;
+		}
+
+		paragraph.push(trimmed);
+	}
+
+	flushParagraph();
+	closeList();
+	return html.join("\n");
+}
+
+/**
+ * A published consent form as participant-facing HTML.
+ * @param {{sourceMarkdown:string, variables:Record<string, any>, consentItems:Array<object>}} form
+ * @returns {string}
+ */
+export function renderConsentFormHtml({ sourceMarkdown, variables, consentItems }) {
+	return renderConsentMarkdown(renderConsentTemplate(sourceMarkdown, { ...(variables || {}), consentItems: consentItems || [] }));
+}
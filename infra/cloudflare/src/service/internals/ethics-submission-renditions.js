@@ -0,0 +1,276 @@
+/**
+ * @file src/service/internals/ethics-submission-renditions.js
+ * @module service/internals/ethics-submission-renditions
+ * @summary HTML and PDF renditions of a completed ethics submission for reviewers without Word.
+ *
+ * Both renditions are written from the same heading, paragraph and labelled
+ * field blocks as the DOCX. The PDF is tagged: every block is a structure
+ * element (H1, H2, H3 or P) in reading order, the document language and title
+ * are set, and it uses the standard Helvetica fonts so nothing is embedded.
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const BLOCK_STYLES = {
+	1: { tag: "H1", font: "F2", size: 18, before: 0, after: 10 },
+	2: { tag: "H2", font: "F2", size: 14, before: 12, after: 6 },
+	3: { tag: "H3", font: "F2", size: 12, before: 8, after: 4 },
+	paragraph: { tag: "P", font: "F1", size: 11, before: 0, after: 8 },
+	field: { tag: "P", font: "F1", size: 11, before: 0, after: 8 }
+};
+
+const WIN_ANSI_REPLACEMENTS = {
+	"‘": "'",
+	"’": "'",
+	"“": "\"",
+	"”": "\"",
+	"–": "-",
+	"—": "-",
+	"…": "...",
+	"•": "\u0095",
+	" ": " "
+};
+
+function htmlEscape(value = "") {
+	return String(value ?? "")
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+function fieldValue(block) {
+	const value = block.value ?? "";
+	return value === "" ? "Not recorded" : String(value);
+}
+
+/**
+ * A standalone HTML page for the submission. Consecutive labelled fields are
+ * grouped into one description list.
+ * @param {Array<{type:string, level?:number, text?:string, label?:string, value?:any}>} blocks
+ * @param {{title:string, lang?:string}} options
+ * @returns {string}
+ */
+export function submissionHtml(blocks, { title, lang = "en-GB" }) {
+	const body = [];
+	let fields = [];
+	const flushFields = () => {
+		if (!fields.length) return;
+		body.push(`<dl>${fields.map(block => `<dt>${htmlEscape(block.label)}</dt><dd>${htmlEscape(fieldValue(block))}</dd>`).join("")}</dl>`);
+		fields = [];
+	};
+	for (const block of blocks) {
+		if (block.type === "field") {
+			fields.push(block);
+			continue;
+		}
+		flushFields();
+		if (block.type === "heading") body.push(`<h${block.level}>${htmlEscape(block.text)}</h${block.level}>`);
+		else body.push(`<p>${htmlEscape(block.text)}</p>`);
+	}
+	flushFields();
+	return `<!doctype html>
+<html lang="${htmlEscape(lang)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="ResearchOps">
+<title>${htmlEscape(title)}</title>
+<style>
+body { color: #0b0c0c; font-family: Arial, sans-serif; font-size: 19px; line-height: 1.5; margin: 0 auto; max-width: 40em; padding: 30px 15px; }
+h1, h2, h3 { line-height: 1.25; margin: 1.5em 0 0.5em; }
+dl { margin: 0 0 1em; }
+dt { font-weight: bold; margin-top: 0.75em; }
+dd { margin: 0; white-space: pre-wrap; }
+@media print { body { font-size: 12pt; max-width: none; padding: 0; } }
+</style>
+</head>
+<body>
+<main>
+${body.join("\n")}
+</main>
+</body>
+</html>
+`;
+}
+
+function pdfSafe(value = "") {
+	return Array.from(String(value ?? "").replace(/\s+/g, " "))
+		.map(char => {
+			if (WIN_ANSI_REPLACEMENTS[char]) return WIN_ANSI_REPLACEMENTS[char];
+			const code = char.charCodeAt(0);
+			return (code >= 32 && code <= 126) || (code >= 161 && code <= 255) ? char : "?";
+		})
+		.join("");
+}
+
+function pdfString(value = "") {
+	return `(${pdfSafe(value).replace(/\\/g, "\\\\").replace(/\(/g, "\\(").replace(/\)/g, "\\)")})`;
+}
+
+// Approximate Helvetica advance widths, in ems, so lines wrap inside the margins.
+function charWidth(char) {
+	if (" ijlt.,;:'!|".includes(char)) return 0.28;
+	if ("frI()[]-".includes(char)) return 0.34;
+	if ("mwMW".includes(char)) return 0.86;
+	if (/[A-Z]/.test(char)) return 0.7;
+	return 0.56;
+}
+
+function textWidth(text, style) {
+	const factor = style.font === "F2" ? 1.05 : 1;
+	return Array.from(text).reduce((total, char) => total + charWidth(char), 0) * style.size * factor;
+}
+
+function wrapText(text, style) {
+	const words = pdfSafe(text).split(" ").filter(Boolean);
+	const lines = [];
+	let line = "";
+	for (const word of words) {
+		const candidate = line ? `${line} ${word}` : word;
+		if (line && textWidth(candidate, style) > CONTENT_WIDTH) {
+			lines.push(line);
+			line = word;
+		} else {
+			line = candidate;
+		}
+	}
+	if (line) lines.push(line);
+	return lines.length ? lines : [""];
+}
+
+function blockLines(block) {
+	if (block.type === "heading") {
+		const style = BLOCK_STYLES[block.level] || BLOCK_STYLES[3];
+		return { style, lines: wrapText(block.text, style).map(text => ({ text, font: style.font, size: style.size })) };
+	}
+	const style = BLOCK_STYLES[block.type] || BLOCK_STYLES.paragraph;
+	if (block.type === "field") {
+		const label = { ...style, font: "F2" };
+		return {
+			style,
+			lines: [
+				...wrapText(block.label, label).map(text => ({ text, font: "F2", size: style.size })),
+				...wrapText(fieldValue(block), style).map(text => ({ text, font: "F1", size: style.size }))
+			]
+		};
+	}
+	return { style, lines: wrapText(block.text, style).map(text => ({ text, font: style.font, size: style.size })) };
+}
+
+/**
+ * Lay blocks out on A4 pages. Each block becomes one marked-content sequence
+ * per page it appears on.
+ */
+function layoutPages(blocks) {
+	const pages = [];
+	let page = null;
+	let y = 0;
+	const newPage = () => {
+		page = { ops: [], marks: [] };
+		pages.push(page);
+		y = PAGE_HEIGHT - MARGIN;
+	};
+	newPage();
+
+	blocks.forEach((block, blockIndex) => {
+		const { style, lines } = blockLines(block);
+		if (y < PAGE_HEIGHT - MARGIN) y -= style.before;
+		let open = false;
+		const close = () => {
+			if (!open) return;
+			page.ops.push("EMC");
+			open = false;
+		};
+		for (const line of lines) {
+			const lineHeight = line.size * 1.35;
+			if (y - lineHeight < MARGIN) {
+				close();
+				newPage();
+			}
+			if (!open) {
+				page.ops.push(`/${style.tag} <</MCID ${page.marks.length}>> BDC`);
+				page.marks.push(blockIndex);
+				open = true;
+			}
+			y -= lineHeight;
+			page.ops.push(`BT /${line.font} ${line.size} Tf ${MARGIN} ${y.toFixed(2)} Td ${pdfString(line.text)} Tj ET`);
+		}
+		close();
+		y -= style.after;
+	});
+	return pages;
+}
+
+function pdfDate(iso) {
+	const date = new Date(iso || Date.now());
+	const safe = Number.isNaN(date.getTime()) ? new Date() : date;
+	return `D:${safe.toISOString().replace(/[-:T]/g, "").slice(0, 14)}Z`;
+}
+
+function latin1Bytes(text) {
+	const bytes = new Uint8Array(text.length);
+	for (let i = 0; i < text.length; i += 1) bytes[i] = text.charCodeAt(i) & 0xff;
+	return bytes;
+}
+
+/**
+ * A tagged PDF of the submission.
+ * @param {Array<{type:string, level?:number, text?:string, label?:string, value?:any}>} blocks
+ * @param {{title:string, lang?:string, createdAt?:string}} options
+ * @returns {Uint8Array}
+ */
+export function submissionPdf(blocks, { title, lang = "en-GB", createdAt = "" }) {
+	const pages = layoutPages(blocks);
+	const objects = [];
+	const catalogRef = 1;
+	const pagesRef = 2;
+	const structRootRef = 6;
+	const documentElemRef = 7;
+	const parentTreeRef = 8;
+	const firstElemRef = 9;
+	const firstPageRef = firstElemRef + blocks.length;
+	const pageRef = index => firstPageRef + index * 2;
+	const contentRef = index => firstPageRef + index * 2 + 1;
+
+	const marksByBlock = blocks.map(() => []);
+	pages.forEach((page, pageIndex) => {
+		page.marks.forEach((blockIndex, mcid) => marksByBlock[blockIndex].push({ pageIndex, mcid }));
+	});
+
+	objects[catalogRef] = `<< /Type /Catalog /Pages ${pagesRef} 0 R /StructTreeRoot ${structRootRef} 0 R /MarkInfo << /Marked true >> /Lang ${pdfString(lang)} /ViewerPreferences << /DisplayDocTitle true >> >>`;
+	objects[pagesRef] = `<< /Type /Pages /Kids [${pages.map((_, index) => `${pageRef(index)} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+	objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+	objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+	objects[5] = `<< /Title ${pdfString(title)} /Producer (ResearchOps) /CreationDate (${pdfDate(createdAt)}) >>`;
+	objects[structRootRef] = `<< /Type /StructTreeRoot /K ${documentElemRef} 0 R /ParentTree ${parentTreeRef} 0 R /ParentTreeNextKey ${pages.length} >>`;
+	objects[documentElemRef] = `<< /Type /StructElem /S /Document /P ${structRootRef} 0 R /K [${blocks.map((_, index) => `${firstElemRef + index} 0 R`).join(" ")}] >>`;
+	objects[parentTreeRef] = `<< /Nums [${pages.map((page, index) => `${index} [${page.marks.map(blockIndex => `${firstElemRef + blockIndex} 0 R`).join(" ")}]`).join(" ")}] >>`;
+	blocks.forEach((block, index) => {
+		const tag = block.type === "heading" ? (BLOCK_STYLES[block.level] || BLOCK_STYLES[3]).tag : "P";
+		const kids = marksByBlock[index].map(mark => `<< /Type /MCR /Pg ${pageRef(mark.pageIndex)} 0 R /MCID ${mark.mcid} >>`).join(" ");
+		objects[firstElemRef + index] = `<< /Type /StructElem /S /${tag} /P ${documentElemRef} 0 R /K [${kids}] >>`;
+	});
+	pages.forEach((page, index) => {
+		const stream = page.ops.join("\n");
+		objects[pageRef(index)] = `<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentRef(index)} 0 R /StructParents ${index} >>`;
+		objects[contentRef(index)] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+	});
+
+	let out = "%PDF-1.7\n%âãÏÓ\n";
+	const offsets = [];
+	for (let ref = 1; ref < objects.length; ref += 1) {
+		offsets[ref] = out.length;
+		out += `${ref} 0 obj\n${objects[ref]}\nendobj\n`;
+	}
+	const xrefOffset = out.length;
+	out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+	for (let ref = 1; ref < objects.length; ref += 1) {
+		out += `${String(offsets[ref]).padStart(10, "0")} 00000 n \n`;
+	}
+	out += `trailer\n<< /Size ${objects.length} /Root ${catalogRef} 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+	return latin1Bytes(out);
+}
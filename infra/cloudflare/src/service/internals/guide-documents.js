@@ -0,0 +1,221 @@
+/**
+ * @file src/service/internals/guide-documents.js
+ * @module service/internals/guide-documents
+ * @summary Discussion guide Markdown as heading and paragraph blocks, with timing annotations and a DOCX writer.
+ *
+ * The blocks have the same shape as the ethics submission blocks, so the HTML
+ * and PDF renditions in ./ethics-submission-renditions.js render them too.
+ *
+ * Timed sections (see ./running-order.js) get a timing note under their
+ * heading giving the section's start and end on the session clock, with the
+ * duration moved out of the heading, and the guide gets a planned total
+ * under its title.
+ */
+
+import { headingTiming, planRunningOrder } from "./running-order.js";
+import { buildZip, zipEntry } from "./zip.js";
+
+const DOCX_CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/><Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/></Types>`;
+
+const DOCX_ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/></Relationships>`;
+
+const DOCX_DOCUMENT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`;
+
+// GOV.UK type scale in half-points: 24pt, 18pt and 14pt headings on 12pt Arial body text.
+function headingStyle(level, size, before) {
+	return `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="${before}" w:after="160"/><w:outlineLvl w:val="${level - 1}"/></w:pPr><w:rPr><w:b/><w:sz w:val="${size}"/></w:rPr></w:style>`;
+}
+
+const DOCX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:cs="Arial"/><w:color w:val="0B0C0C"/><w:sz w:val="24"/><w:lang w:val="en-GB"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="200" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults><w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>${headingStyle(1, 48, 0)}${headingStyle(2, 36, 360)}${headingStyle(3, 28, 240)}<w:style w:type="paragraph" w:styleId="Timing"><w:name w:val="Timing"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:after="160"/></w:pPr><w:rPr><w:color w:val="505A5F"/><w:sz w:val="22"/></w:rPr></w:style><w:style w:type="paragraph" w:styleId="ListItem"><w:name w:val="List Item"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="100"/><w:ind w:left="567" w:hanging="283"/></w:pPr></w:style></w:styles>`;
+
+function xmlEscape(value = "") {
+	return String(value ?? "")
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+/**
+ * Split YAML-style front-matter from a guide. Only `key: value` lines and
+ * `- item` lists under an empty key are read; whole numbers become numbers.
+ * @param {string} markdown
+ * @returns {{ meta: Record<string, any>, body: string }}
+ */
+export function splitFrontMatter(markdown = "") {
+	const source = String(markdown ?? "");
+	const match = source.match(/^---\s*\n([\s\S]*?)\n---\s*(?:\n|$)/);
+	if (!match) return { meta: {}, body: source };
+	const meta = {};
+	const scalar = (raw) => {
+		const value = raw.replace(/^(["'])(.*)\1$/, "$2");
+		return /^\d+$/.test(value) ? Number(value) : value;
+	};
+	let listKey = null;
+	for (const line of match[1].split("\n")) {
+		const item = line.match(/^\s*-\s+(.*?)\s*$/);
+		if (item && listKey) {
+			meta[listKey] = [...(Array.isArray(meta[listKey]) ? meta[listKey] : []), scalar(item[1])];
+			continue;
+		}
+		const pair = line.match(/^\s*([A-Za-z0-9_-]+)\s*:\s*(.*?)\s*$/);
+		if (!pair) continue;
+		listKey = pair[2] ? null : pair[1];
+		meta[pair[1]] = scalar(pair[2]);
+	}
+	return { meta, body: source.slice(match[0].length) };
+}
+
+function clock(minutes) {
+	return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+function minutesLabel(minutes) {
+	return `${minutes} ${minutes === 1 ? "minute" : "minutes"}`;
+}
+
+function inlineText(text = "") {
+	return String(text)
+		.replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+		.replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (_, label, href) => (label === href ? label : `${label} (${href})`))
+		.replace(/<[^>]+>/g, "")
+		.replace(/(\*\*|__)(.+?)\1/g, "$2")
+		.replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=$|[^\w*])/g, "$1$2")
+		.replace(/`([^`]+)`/g, "$1")
+		.replace(/\\([\\`*_[\]#+\-.!])/g, "$1")
+		.replace(/&nbsp;/g, " ")
+		.replace(/&amp;/g, "&")
+		.trim();
+}
+
+/**
+ * Guide Markdown as heading, paragraph and timing blocks. A level 1 heading
+ * is added from the title when the guide has none.
+ * @param {string} markdown rendered guide Markdown, front-matter removed
+ * @param {{ title?: string, timebox?: number, timings?: unknown }} [options] timebox is the planned session length in minutes; timings as in ./running-order.js
+ * @returns {Array<{ type: "heading"|"paragraph"|"timing", level?: number, text: string, list?: boolean }>}
+ */
+export function guideBlocks(markdown, { title = "", timebox = 0, timings = null } = {}) {
+	const blocks = [];
+	let paragraph = [];
+	let inFence = false;
+	const flush = () => {
+		const text = inlineText(paragraph.join(" "));
+		if (text) blocks.push({ type: "paragraph", text });
+		paragraph = [];
+	};
+
+	for (const line of String(markdown ?? "").replace(/\r\n?/g, "\n").split("\n")) {
+		if (/^\s*(```|~~~)/.test(line)) {
+			flush();
+			inFence = !inFence;
+			continue;
+		}
+		if (inFence) {
+			if (line.trim()) blocks.push({ type: "paragraph", text: line.trimEnd() });
+			continue;
+		}
+		if (!line.trim()) {
+			flush();
+			continue;
+		}
+		const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+		if (heading) {
+			flush();
+			blocks.push({ type: "heading", level: Math.min(heading[1].length, 3), text: inlineText(heading[2]) });
+			continue;
+		}
+		if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+			flush();
+			continue;
+		}
+		const item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+		if (item) {
+			flush();
+			const marker = /^\d/.test(item[1]) ? `${item[1].replace(")", ".")} ` : "• ";
+			blocks.push({ type: "paragraph", text: `${marker}${inlineText(item[2])}`, list: true });
+			continue;
+		}
+		if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line)) continue;
+		if (/^\s*\|.*\|\s*$/.test(line)) {
+			flush();
+			const cells = line.trim().replace(/^\||\|$/g, "").split("|").map(cell => inlineText(cell));
+			blocks.push({ type: "paragraph", text: cells.filter(Boolean).join(" | ") });
+			continue;
+		}
+		const quote = line.match(/^\s*>\s?(.*)$/);
+		paragraph.push(quote ? quote[1] : line.trim());
+	}
+	flush();
+
+	if (!blocks.some(block => block.type === "heading" && block.level === 1)) {
+		blocks.unshift({ type: "heading", level: 1, text: title || "Discussion guide" });
+	}
+	return annotateTimings(blocks, Number(timebox) || 0, timings);
+}
+
+function annotateTimings(blocks, timebox, timings) {
+	const plan = planRunningOrder(blocks.filter(block => block.type === "heading"), { timings, plannedMinutes: timebox });
+	const sections = new Map(plan.sections.map(section => [section.index, section]));
+	const out = [];
+	let headingIndex = -1;
+	for (const block of blocks) {
+		if (block.type !== "heading") {
+			out.push(block);
+			continue;
+		}
+		headingIndex += 1;
+		out.push({ ...block, text: headingTiming(block.text).text });
+		const section = sections.get(headingIndex);
+		if (!section) continue;
+		out.push({
+			type: "timing",
+			text: section.nested
+				? `Timing: ${minutesLabel(section.minutes)}, part of the section above`
+				: `Timing: ${minutesLabel(section.minutes)}, ${clock(section.start_min)} to ${clock(section.end_min)}`
+		});
+	}
+	if (plan.total_min || timebox) {
+		const total = timebox
+			? `Planned timing: ${minutesLabel(plan.total_min)} of a ${timebox} minute session${plan.over_min ? `, ${minutesLabel(plan.over_min)} over` : ""}`
+			: `Planned timing: ${minutesLabel(plan.total_min)}`;
+		const titleIndex = out.findIndex(block => block.type === "heading" && block.level === 1);
+		out.splice(titleIndex + 1, 0, { type: "timing", text: total });
+	}
+	return out;
+}
+
+function blockXml(block) {
+	if (block.type === "heading") {
+		return `<w:p><w:pPr><w:pStyle w:val="Heading${block.level}"/></w:pPr><w:r><w:t xml:space="preserve">${xmlEscape(block.text)}</w:t></w:r></w:p>`;
+	}
+	const style = block.type === "timing" ? "Timing" : block.list ? "ListItem" : "";
+	const styleXml = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : "";
+	return `<w:p>${styleXml}<w:r><w:t xml:space="preserve">${xmlEscape(block.text)}</w:t></w:r></w:p>`;
+}
+
+/**
+ * A DOCX package for guide blocks, with GOV.UK-style heading, timing and
+ * list paragraph styles.
+ * @param {Array<{ type: string, level?: number, text: string, list?: boolean }>} blocks
+ * @param {{ title: string, createdAt?: string }} options
+ * @returns {Uint8Array}
+ */
+export function guideDocx(blocks, { title, createdAt = new Date().toISOString() }) {
+	const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${blocks.map(blockXml).join("")}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="709" w:footer="709" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+	const coreXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:title>${xmlEscape(title)}</dc:title><dc:creator>ResearchOps</dc:creator><dc:language>en-GB</dc:language><dcterms:created xsi:type="dcterms:W3CDTF">${xmlEscape(createdAt)}</dcterms:created></cp:coreProperties>`;
+	return buildZip([
+		zipEntry("[Content_Types].xml", DOCX_CONTENT_TYPES),
+		zipEntry("_rels/.rels", DOCX_ROOT_RELS),
+		zipEntry("word/_rels/document.xml.rels", DOCX_DOCUMENT_RELS),
+		zipEntry("word/document.xml", documentXml),
+		zipEntry("word/styles.xml", DOCX_STYLES),
+		zipEntry("docProps/core.xml", coreXml)
+	]);
+}
@@ -0,0 +1,183 @@
+/**
+ * @file src/service/internals/ics.js
+ * @module service/internals/ics
+ * @summary iCalendar (RFC 5545) builders shared by session downloads, reminder messages and subscription feeds.
+ *
+ * Calendar clients match updates by UID and only apply them when SEQUENCE
+ * increases, so every event for a session keeps the same UID and callers pass
+ * the session's current sequence number.
+ */
+
+const PRODID = "-//HOB ResearchOps//Scheduler//EN";
+const FEED_TIMEZONE = "Europe/London";
+
+// Current UK rules; clients only need the recurrence, not historic changes.
+const EUROPE_LONDON_VTIMEZONE = [
+	"BEGIN:VTIMEZONE",
+	"TZID:Europe/London",
+	"BEGIN:DAYLIGHT",
+	"TZOFFSETFROM:+0000",
+	"TZOFFSETTO:+0100",
+	"TZNAME:BST",
+	"DTSTART:19810329T010000",
+	"RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+	"END:DAYLIGHT",
+	"BEGIN:STANDARD",
+	"TZOFFSETFROM:+0100",
+	"TZOFFSETTO:+0000",
+	"TZNAME:GMT",
+	"DTSTART:19961027T020000",
+	"RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+	"END:STANDARD",
+	"END:VTIMEZONE"
+];
+
+/**
+ * Stable UID for a session's calendar event.
+ * @param {string} sessionId
+ */
+export function sessionEventUid(sessionId) {
+	return `${sessionId}@researchops`;
+}
+
+/**
+ * UTC basic format, e.g. 20260701T093000Z.
+ * @param {Date} date
+ */
+export function icsDate(date) {
+	return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}Z$/, "Z");
+}
+
+/**
+ * Local wall-clock time in basic format for use with TZID, e.g. 20260701T103000.
+ * @param {Date} date
+ * @param {string} [timeZone]
+ */
+export function icsLocalDate(date, timeZone = FEED_TIMEZONE) {
+	const parts = Object.fromEntries(new Intl.DateTimeFormat("en-GB", {
+		timeZone,
+		year: "numeric",
+		month: "2-digit",
+		day: "2-digit",
+		hour: "2-digit",
+		minute: "2-digit",
+		second: "2-digit",
+		hourCycle: "h23"
+	}).formatToParts(date).map((part) => [part.type, part.value]));
+	return `${parts.year}${parts.month}${parts.day}T${parts.hour}${parts.minute}${parts.second}`;
+}
+
+/**
+ * Escape TEXT values (commas, semicolons, backslashes and newlines).
+ * @param {string} value
+ */
+export function escapeIcsText(value) {
+	return String(value ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold content lines longer than 75 octets without splitting a UTF-8 character.
+ * Continuation lines start with a space, which counts towards their 75 octets.
+ * @param {string} line
+ */
+export function foldIcs(line) {
+	const encoder = new TextEncoder();
+	if (encoder.encode(line).length <= 75) return line;
+	const parts = [];
+	let current = "";
+	let size = 0;
+	let limit = 75;
+	for (const char of line) {
+		const bytes = encoder.encode(char).length;
+		if (size + bytes > limit) {
+			parts.push(current);
+			current = "";
+			size = 0;
+			limit = 74;
+		}
+		current += char;
+		size += bytes;
+	}
+	parts.push(current);
+	return parts.join("\r\n ");
+}
+
+function attendeeLine(attendee) {
+	const params = [`CN=${String(attendee.name || attendee.email).replace(/[";:,]/g, " ").trim()}`, `ROLE=${attendee.role || "REQ-PARTICIPANT"}`];
+	return `ATTENDEE;${params.join(";")}:mailto:${attendee.email}`;
+}
+
+/**
+ * @typedef {object} SessionEvent
+ * @property {string} uid
+ * @property {number} [sequence]
+ * @property {Date} start
+ * @property {Date} end
+ * @property {string} summary
+ * @property {string} [description]
+ * @property {string} [location]
+ * @property {"CONFIRMED" | "CANCELLED"} [status]
+ * @property {Array<{ name?: string, email: string, role?: string }>} [attendees]
+ */
+
+function eventLines(event, stamp, timeZone) {
+	const time = (date) => timeZone ? `;TZID=${timeZone}:${icsLocalDate(date, timeZone)}` : `:${icsDate(date)}`;
+	return [
+		"BEGIN:VEVENT",
+		`UID:${event.uid}`,
+		`SEQUENCE:${Math.max(0, Number(event.sequence || 0))}`,
+		`DTSTAMP:${icsDate(stamp)}`,
+		`DTSTART${time(event.start)}`,
+		`DTEND${time(event.end)}`,
+		`SUMMARY:${escapeIcsText(event.summary)}`,
+		`DESCRIPTION:${escapeIcsText(event.description || "")}`,
+		`LOCATION:${escapeIcsText(event.location || "")}`,
+		...(event.attendees || []).filter((attendee) => attendee?.email).map(attendeeLine),
+		`STATUS:${event.status || "CONFIRMED"}`,
+		"END:VEVENT"
+	];
+}
+
+/**
+ * Build a single-event calendar for a session.
+ * `method: "CANCEL"` produces a cancellation that removes the event from the attendee's calendar.
+ * @param {SessionEvent & { method?: "PUBLISH" | "REQUEST" | "CANCEL", stamp?: Date }} event
+ * @returns {string}
+ */
+export function buildSessionIcs(event) {
+	const method = event.method || "PUBLISH";
+	const lines = [
+		"BEGIN:VCALENDAR",
+		"VERSION:2.0",
+		`PRODID:${PRODID}`,
+		`METHOD:${method}`,
+		...eventLines({ ...event, status: method === "CANCEL" ? "CANCELLED" : event.status }, event.stamp || new Date()),
+		"END:VCALENDAR"
+	];
+	return lines.map(foldIcs).join("\r\n") + "\r\n";
+}
+
+/**
+ * Build a subscription feed with every event in local UK time. Cancelled
+ * sessions stay in the feed as STATUS:CANCELLED so subscribed clients drop them.
+ * @param {{ name: string, events: Array<SessionEvent>, stamp?: Date }} feed
+ * @returns {string}
+ */
+export function buildCalendarFeed(feed) {
+	const stamp = feed.stamp || new Date();
+	const lines = [
+		"BEGIN:VCALENDAR",
+		"VERSION:2.0",
+		`PRODID:${PRODID}`,
+		"METHOD:PUBLISH",
+		"CALSCALE:GREGORIAN",
+		`X-WR-CALNAME:${escapeIcsText(feed.name)}`,
+		`X-WR-TIMEZONE:${FEED_TIMEZONE}`,
+		"REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+		"X-PUBLISHED-TTL:PT1H",
+		...EUROPE_LONDON_VTIMEZONE,
+		...feed.events.flatMap((event) => eventLines(event, stamp, FEED_TIMEZONE)),
+		"END:VCALENDAR"
+	];
+	return lines.map(foldIcs).join("\r\n") + "\r\n";
+}
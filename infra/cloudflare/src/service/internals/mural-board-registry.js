@@ -16,6 +16,7 @@ import {
 } from "./test-project-1-journal-seed.js";
 
 export const PURPOSE_REFLEXIVE = "reflexive_journal";
+export const PURPOSE_SYNTHESIS = "synthesis_affinity_map";
 
 const memoryCache = new Map();
 const resolveBoardCache = new Map();
@@ -345,7 +346,8 @@ export async function resolveBoardForService(self, { projectId, uid, purpose = P
 	}
 
 	let kv = null;
-	const kvProjectIds = lookupProjectIds.length ? lookupProjectIds : [rawProjectId];
+	// KV mappings are written by reflexive journal setup only.
+	const kvProjectIds = purpose !== PURPOSE_REFLEXIVE ? [] : lookupProjectIds.length ? lookupProjectIds : [rawProjectId];
 	for (const lookupProjectId of kvProjectIds) {
 		try {
 			kv = await kvProjectMapping(env, { uid: uid || "anon", projectId: lookupProjectId });
@@ -370,7 +372,8 @@ export async function resolveBoardForService(self, { projectId, uid, purpose = P
 		return result;
 	}
 
-	const fallbackMuralId = env.MURAL_REFLEXIVE_MURAL_ID || null;
+	// The env board is the shared reflexive journal; never hand it out for other purposes.
+	const fallbackMuralId = purpose === PURPOSE_REFLEXIVE ? env.MURAL_REFLEXIVE_MURAL_ID || null : null;
 	const result = {
 		muralId: fallbackMuralId,
 		boardUrl: null,
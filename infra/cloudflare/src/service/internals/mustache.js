@@ -0,0 +1,100 @@
+/**
+ * @file src/service/internals/mustache.js
+ * @module service/internals/mustache
+ * @summary Logic-less Mustache rendering for discussion guide exports.
+ *
+ * Covers the tags guides use in the browser editor: variables with dotted
+ * paths and `{{.}}`, triple and `&` unescaped variables, sections over lists,
+ * objects and truthy values, inverted sections, comments and partials.
+ * Set-delimiter tags are not supported. Values are inserted without HTML
+ * escaping because the output is Markdown that the export escapes itself.
+ */
+
+const MAX_PARTIAL_DEPTH = 5;
+const TAG = /{{([{&#^/!>]?)\s*([^}]*?)\s*}?}}/g;
+
+/**
+ * Parse a template into a token tree. Unclosed sections close at the end of
+ * the template; stray closing tags are ignored.
+ * @param {string} template
+ */
+function parse(template) {
+	const root = [];
+	const stack = [{ name: "", children: root }];
+	let last = 0;
+	for (const match of template.matchAll(TAG)) {
+		const [raw, sigil, name] = match;
+		const children = stack[stack.length - 1].children;
+		if (match.index > last) children.push({ type: "text", value: template.slice(last, match.index) });
+		last = match.index + raw.length;
+		if (sigil === "!") continue;
+		if (sigil === "#" || sigil === "^") {
+			const section = { type: sigil === "#" ? "section" : "inverted", name, children: [] };
+			children.push(section);
+			stack.push(section);
+		} else if (sigil === "/") {
+			const index = stack.findLastIndex((entry, i) => i > 0 && entry.name === name);
+			if (index > 0) stack.length = index;
+		} else if (sigil === ">") {
+			children.push({ type: "partial", name });
+		} else {
+			children.push({ type: "variable", name });
+		}
+	}
+	if (last < template.length) stack[stack.length - 1].children.push({ type: "text", value: template.slice(last) });
+	return root;
+}
+
+function lookup(contexts, name) {
+	if (name === ".") return contexts[contexts.length - 1];
+	const [head, ...rest] = name.split(".");
+	for (let i = contexts.length - 1; i >= 0; i -= 1) {
+		const context = contexts[i];
+		if (context && typeof context === "object" && head in context) {
+			return rest.reduce((value, key) => (value == null ? undefined : value[key]), context[head]);
+		}
+	}
+	return undefined;
+}
+
+function isFalsy(value) {
+	return value === undefined || value === null || value === false || value === "" || (Array.isArray(value) && value.length === 0);
+}
+
+function renderTokens(tokens, contexts, partials, depth) {
+	let out = "";
+	for (const token of tokens) {
+		if (token.type === "text") {
+			out += token.value;
+		} else if (token.type === "variable") {
+			const value = lookup(contexts, token.name);
+			if (value !== undefined && value !== null && typeof value !== "object") out += String(value);
+		} else if (token.type === "section") {
+			const value = lookup(contexts, token.name);
+			if (isFalsy(value)) continue;
+			if (Array.isArray(value)) {
+				for (const item of value) out += renderTokens(token.children, [...contexts, item], partials, depth);
+			} else {
+				out += renderTokens(token.children, typeof value === "object" ? [...contexts, value] : contexts, partials, depth);
+			}
+		} else if (token.type === "inverted") {
+			if (isFalsy(lookup(contexts, token.name))) out += renderTokens(token.children, contexts, partials, depth);
+		} else if (token.type === "partial") {
+			if (depth < MAX_PARTIAL_DEPTH && Object.hasOwn(partials, token.name)) {
+				out += renderTokens(parse(String(partials[token.name] ?? "")), contexts, partials, depth + 1);
+			}
+		}
+	}
+	return out;
+}
+
+/**
+ * Render a Mustache template.
+ * @param {string} template
+ * @param {Record<string, any>} view
+ * @param {Record<string, string>} [partials] name → template
+ * @returns {string}
+ */
+export function renderMustache(template, view, partials = {}) {
+	return renderTokens(parse(String(template ?? "")), [view || {}], partials || {}, 0);
+}
@@ -0,0 +1,54 @@
+/**
+ * @file src/service/internals/participant-mentions.js
+ * @module service/internals/participant-mentions
+ * @summary Journal entries that name a participant by id or reference, shared by the subject access export and consent withdrawal.
+ *
+ * Journal entries have no participant link, so a mention is the participant's
+ * id or reference written in the text. D1 narrows the entries with a
+ * substring test and each one is then checked for the name as a whole token,
+ * so reference P1 does not pick up entries about P10 to P19.
+ */
+
+import { d1All } from "./researchops-d1.js";
+
+function text(value) { return String(value ?? "").trim(); }
+function escapeRegExp(value) { return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"); }
+
+/**
+ * The names a participant can be mentioned by.
+ * @param {{ id?: string, participant_ref?: string }} participant
+ * @returns {string[]}
+ */
+export function participantMentionNames(participant) {
+	return [...new Set([text(participant?.id), text(participant?.participant_ref)].filter(Boolean))];
+}
+
+/**
+ * Whether `content` contains one of `names` as a whole token, ignoring case.
+ * A token ends at anything other than a letter, digit or underscore.
+ * @param {unknown} content
+ * @param {string[]} names
+ */
+export function mentionsParticipant(content, names) {
+	const body = String(content ?? "");
+	return names.some((name) => new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(name)}(?![\\p{L}\\p{N}_])`, "iu").test(body));
+}
+
+/**
+ * Journal entries in the participant's project that mention them. The caller
+ * checks that journal_entries exists.
+ * @param {any} env
+ * @param {{ id?: string, participant_ref?: string, project_id?: string }} participant
+ * @returns {Promise<any[]>}
+ */
+export async function readJournalMentions(env, participant) {
+	const names = participantMentionNames(participant);
+	if (!names.length || !participant?.project_id) return [];
+	const rows = await d1All(env, `
+		SELECT * FROM journal_entries
+		WHERE (project = ? OR local_project_id = ?)
+			AND (${names.map(() => "instr(lower(content), lower(?)) > 0").join(" OR ")})
+		ORDER BY createdat ASC
+	`, [participant.project_id, participant.project_id, ...names]);
+	return rows.filter((row) => mentionsParticipant(row.content, names));
+}
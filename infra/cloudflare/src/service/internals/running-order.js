@@ -0,0 +1,145 @@
+/**
+ * @file src/service/internals/running-order.js
+ * @module service/internals/running-order
+ * @summary Planned section durations for discussion guides and the running order they add up to.
+ *
+ * A section's duration comes from its heading, as in `## Warm-up (5 min)`,
+ * or from the guide's `timings` front matter or variable, which maps heading
+ * text to minutes so headings can stay clean:
+ *
+ *     timings:
+ *       - Warm-up: 5
+ *       - Tasks: 25
+ *
+ * A heading annotation wins over a `timings` entry. Timed headings nested
+ * inside a timed section share its time, so they are listed but not added
+ * to the total.
+ */
+
+const DURATION_SUFFIX = /\s*[([]\s*(\d{1,3})\s*(?:m|mins?|minutes?)\s*[)\]]\s*$/i;
+const TIMING_ENTRY = /^\s*(.+?)\s*[:=]\s*(\d{1,3})\s*(?:m|mins?|minutes?)?\s*$/i;
+
+function headingKey(text) {
+	return String(text ?? "").replace(/[*_`]/g, "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+/**
+ * Minutes named at the end of a heading, such as "Warm-up (5 min)".
+ * @param {string} heading
+ * @returns {{ text: string, minutes: number|null }}
+ */
+export function headingTiming(heading = "") {
+	const match = String(heading).match(DURATION_SUFFIX);
+	if (!match) return { text: String(heading).trim(), minutes: null };
+	return { text: String(heading).slice(0, match.index).trim(), minutes: Number(match[1]) };
+}
+
+/**
+ * Section timings from front matter or variables: an object of heading text
+ * to minutes, or a list of "Heading: minutes" entries.
+ * @param {unknown} value
+ * @returns {Map<string, { title: string, minutes: number }>} keyed by normalised heading text
+ */
+export function sectionTimings(value) {
+	const out = new Map();
+	const add = (title, minutes) => {
+		const n = Number(minutes);
+		if (!String(title ?? "").trim() || !Number.isInteger(n) || n < 0) return;
+		out.set(headingKey(title), { title: String(title).trim(), minutes: n });
+	};
+	if (Array.isArray(value)) {
+		for (const entry of value) {
+			if (entry && typeof entry === "object") {
+				for (const [title, minutes] of Object.entries(entry)) add(title, minutes);
+				continue;
+			}
+			const match = String(entry ?? "").match(TIMING_ENTRY);
+			if (match) add(match[1], match[2]);
+		}
+	} else if (value && typeof value === "object") {
+		for (const [title, minutes] of Object.entries(value)) add(title, minutes);
+	}
+	return out;
+}
+
+/**
+ * Markdown headings in document order, skipping fenced code.
+ * @param {string} markdown
+ * @returns {Array<{ level: number, text: string }>}
+ */
+export function markdownHeadings(markdown) {
+	const headings = [];
+	let inFence = false;
+	for (const line of String(markdown ?? "").replace(/\r\n?/g, "\n").split("\n")) {
+		if (/^\s*(```|~~~)/.test(line)) {
+			inFence = !inFence;
+			continue;
+		}
+		const match = !inFence && line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+		if (match) headings.push({ level: match[1].length, text: match[2] });
+	}
+	return headings;
+}
+
+/**
+ * Plan the running order for a guide's headings.
+ * @param {Array<{ level: number, text: string }>} headings in document order
+ * @param {{ timings?: unknown, plannedMinutes?: number }} [options] plannedMinutes is the session length
+ * @returns {{
+ *   sections: Array<{ index: number, title: string, level: number, minutes: number, start_min: number|null, end_min: number|null, nested: boolean, source: "heading"|"timings" }>,
+ *   total_min: number, planned_min: number|null, spare_min: number, over_min: number,
+ *   status: "fits"|"over"|"unplanned"|"untimed", unmatched_timings: string[]
+ * }}
+ */
+export function planRunningOrder(headings, { timings = null, plannedMinutes = 0 } = {}) {
+	const fromTimings = sectionTimings(timings);
+	const matched = new Set();
+	const sections = [];
+	let elapsed = 0;
+	let timedLevel = 0;
+	headings.forEach((heading, index) => {
+		if (timedLevel && heading.level <= timedLevel) timedLevel = 0;
+		const { text, minutes: headingMinutes } = headingTiming(heading.text);
+		const key = headingKey(text);
+		const entry = fromTimings.get(key);
+		if (entry) matched.add(key);
+		const minutes = headingMinutes ?? entry?.minutes ?? null;
+		if (minutes === null) return;
+		const source = headingMinutes !== null ? "heading" : "timings";
+		if (timedLevel) {
+			sections.push({ index, title: text, level: heading.level, minutes, start_min: null, end_min: null, nested: true, source });
+			return;
+		}
+		sections.push({ index, title: text, level: heading.level, minutes, start_min: elapsed, end_min: elapsed + minutes, nested: false, source });
+		elapsed += minutes;
+		timedLevel = heading.level;
+	});
+
+	const planned = Number(plannedMinutes) > 0 ? Number(plannedMinutes) : null;
+	let status = "fits";
+	if (!sections.length) status = "untimed";
+	else if (!planned) status = "unplanned";
+	else if (elapsed > planned) status = "over";
+	return {
+		sections,
+		total_min: elapsed,
+		planned_min: planned,
+		spare_min: planned ? Math.max(planned - elapsed, 0) : 0,
+		over_min: planned ? Math.max(elapsed - planned, 0) : 0,
+		status,
+		unmatched_timings: Array.from(fromTimings.entries()).filter(([key]) => !matched.has(key)).map(([, entry]) => entry.title)
+	};
+}
+
+/**
+ * Plain-language problems with a running order, for the planner and the session page.
+ * @param {ReturnType<typeof planRunningOrder>} plan
+ * @returns {string[]}
+ */
+export function runningOrderWarnings(plan) {
+	const warnings = [];
+	if (plan.status === "untimed") warnings.push("No guide sections have planned durations. Add a duration to a heading, such as \"## Warm-up (5 min)\", or list them under timings in the front matter.");
+	if (plan.status === "over") warnings.push(`The guide plans ${plan.total_min} minutes for a ${plan.planned_min} minute session: ${plan.over_min} minutes over.`);
+	for (const title of plan.unmatched_timings) warnings.push(`The timing for "${title}" does not match a heading in the guide.`);
+	return warnings;
+}
@@ -0,0 +1,50 @@
+/**
+ * @file src/service/internals/search-index.js
+ * @module service/internals/search-index
+ * @summary Search index table names and the removal hook for deleted or redacted content.
+ *
+ * The index is rebuilt in full on a schedule, which is fine for new content
+ * but too slow for content that must stop being findable. Code that deletes
+ * or redacts a note, excerpt or artefact calls `removeFromSearchIndex` so the
+ * document leaves the index straight away; the next rebuild indexes whatever
+ * is left, such as the redacted text.
+ *
+ * A rebuild in progress may already have read the content, so each removal
+ * is also recorded in rops_search_index_removals. The rebuild drops anything
+ * removed since it started from its staging table before swapping it in.
+ */
+
+import { d1Run } from "./researchops-d1.js";
+
+export const SEARCH_INDEX_TABLE = "rops_search_index";
+export const SEARCH_INDEX_STAGING_TABLE = "rops_search_index_staging";
+export const SEARCH_INDEX_REMOVALS_TABLE = "rops_search_index_removals";
+
+const IN_CHUNK = 50;
+
+function missingTable(err) { return /no such table/i.test(String(err?.message || err)); }
+
+/**
+ * Drop documents from the live index and record the removal for any rebuild
+ * in progress. An index that has never been built is left alone.
+ * @param {any} env Worker env with the `RESEARCHOPS_D1` binding
+ * @param {string} type Document type, e.g. `"session_note"`
+ * @param {string[]} recordIds Source record ids
+ * @returns {Promise<number>} rows removed from the live index
+ */
+export async function removeFromSearchIndex(env, type, recordIds) {
+	const ids = [...new Set(recordIds.map((id) => String(id ?? "").trim()).filter(Boolean))];
+	const removedAt = new Date().toISOString();
+	let removed = 0;
+	for (let index = 0; index < ids.length; index += IN_CHUNK) {
+		const chunk = ids.slice(index, index + IN_CHUNK);
+		try {
+			const result = await d1Run(env, `DELETE FROM ${SEARCH_INDEX_TABLE} WHERE doc_type = ? AND record_id IN (${chunk.map(() => "?").join(", ")})`, [type, ...chunk]);
+			removed += Number(result?.meta?.changes || 0);
+			await d1Run(env, `INSERT INTO ${SEARCH_INDEX_REMOVALS_TABLE} (doc_key, removed_at) VALUES ${chunk.map(() => "(?, ?)").join(", ")} ON CONFLICT(doc_key) DO UPDATE SET removed_at = excluded.removed_at`, chunk.flatMap((id) => [`${type}:${id}`, removedAt]));
+		} catch (err) {
+			if (!missingTable(err)) throw err;
+		}
+	}
+	return removed;
+}
@@ -0,0 +1,258 @@
+/**
+ * @file src/service/internals/session-records.js
+ * @module service/internals/session-records
+ * @summary Airtable Sessions reads and writes shared by sessions, reminders, calendar feeds and booking.
+ */
+
+import { SESSION_FIELDS } from "../../core/fields.js";
+import { fetchWithTimeout, pickFirstField, safeText } from "../../core/utils.js";
+import { escFormula } from "./airtable.js";
+
+function text(value) { return String(value ?? "").trim(); }
+
+/**
+ * Session DTO from an Airtable Sessions record.
+ * @param {{ id: string, fields?: Record<string, any> }} record
+ */
+export function sessionFromRecord(record) {
+	const f = record?.fields || {};
+	const pick = (keys, fallbacks = []) => {
+		const key = pickFirstField(f, keys) || pickFirstField(f, fallbacks);
+		return key ? f[key] : undefined;
+	};
+	const first = (value) => Array.isArray(value) ? text(value[0]) : text(value);
+	return {
+		id: text(record?.id),
+		study_id: first(pick(SESSION_FIELDS.study_link)),
+		participant_id: first(pick(SESSION_FIELDS.participant_link)),
+		starts_at: text(pick(SESSION_FIELDS.starts_at, ["Starts at"])),
+		ended_at: text(pick(["Ended at"])),
+		duration_min: Number(pick(SESSION_FIELDS.duration_min) || 60),
+		type: text(pick(SESSION_FIELDS.type)),
+		location_or_link: text(pick(SESSION_FIELDS.location_or_link)),
+		backup_contact: text(pick(SESSION_FIELDS.backup_contact)),
+		researchers: text(pick(SESSION_FIELDS.researchers)),
+		status: (text(pick(SESSION_FIELDS.status)) || "scheduled").toLowerCase()
+	};
+}
+
+const FIELD_SAMPLE_SIZE = 20;
+
+/**
+ * Whether `researcher` is one of the entries in a session's Researchers
+ * field, by exact email or name. Entries are comma-, semicolon- or
+ * line-separated and may be written "Name <email>".
+ * @param {{ researchers?: string }} session
+ * @param {{ email?: string, name?: string } | null} researcher
+ */
+export function sessionNamesResearcher(session, researcher) {
+	const email = text(researcher?.email).toLowerCase();
+	const name = text(researcher?.name).toLowerCase();
+	if (!email && !name) return false;
+	return text(session?.researchers).split(/[,;\n]/).some((entry) => {
+		const [, entryName = entry, entryEmail = ""] = entry.match(/^(.*?)\s*<([^>]*)>\s*$/) || [];
+		const names = [text(entryName).toLowerCase(), text(entryEmail).toLowerCase()].filter(Boolean);
+		return names.some((value) => value === email || value === name);
+	});
+}
+
+/**
+ * The alias each Sessions field goes by in this base, read from a page of
+ * records with `pickFirstField`. Airtable leaves empty fields out of a record,
+ * so a field none of the sampled records fills resolves to null.
+ * @param {import("../index.js").ResearchOpsService} svc
+ * @returns {Promise<Record<"study_record_id" | "starts_at" | "researchers" | "status", string | null>>}
+ */
+export async function sessionFieldNames(svc) {
+	const sample = await fetchSessionRecords(svc, { maxRecords: FIELD_SAMPLE_SIZE });
+	const present = Object.fromEntries(sample.flatMap((record) => Object.keys(record.fields || {})).map((key) => [key, true]));
+	const names = {};
+	for (const key of ["study_record_id", "starts_at", "researchers", "status"]) {
+		names[key] = pickFirstField(present, SESSION_FIELDS[key]);
+	}
+	return names;
+}
+
+/**
+ * Airtable formula narrowing the Sessions query to `window` (see
+ * `sessionInWindow`), using the field names from `sessionFieldNames`. A
+ * clause whose field the base does not have is left out, so the formula only
+ * ever selects a superset of the window; "" when nothing can be expressed.
+ * @param {{ studyIds?: string[], researcher?: { email?: string, name?: string } | null, after: string, before?: string, statuses?: string[] }} window
+ * @param {Partial<Record<"study_record_id" | "starts_at" | "researchers" | "status", string | null>>} names
+ * @returns {string}
+ */
+export function sessionWindowFormula({ studyIds = [], researcher = null, after, before = "", statuses = [] }, names) {
+	const field = (key) => names[key] ? `{${names[key]}}` : "";
+	const clauses = [];
+	const people = [researcher?.email, researcher?.name].map(text).filter(Boolean);
+	const studyField = field("study_record_id");
+	const researchersField = field("researchers");
+	if ((!studyIds.length || studyField) && (!people.length || researchersField)) {
+		const linked = [
+			...studyIds.map((id) => `FIND("${escFormula(id)}", ARRAYJOIN(${studyField}))`),
+			...people.map((value) => `FIND("${escFormula(value.toLowerCase())}", LOWER(${researchersField}))`)
+		];
+		if (linked.length) clauses.push(`OR(${linked.join(", ")})`);
+	}
+	const starts = field("starts_at");
+	if (starts) {
+		clauses.push(`IS_AFTER(${starts}, "${escFormula(after)}")`);
+		if (before) clauses.push(`IS_BEFORE(${starts}, "${escFormula(before)}")`);
+	}
+	const status = field("status");
+	if (status && statuses.length) {
+		const blank = statuses.includes("scheduled") ? [`${status} = ""`] : [];
+		clauses.push(`OR(${[...blank, ...statuses.map((value) => `LOWER(${status}) = "${escFormula(value)}"`)].join(", ")})`);
+	}
+	return clauses.length ? `AND(${clauses.join(", ")})` : "";
+}
+
+/**
+ * Whether a session DTO starts after `after` and, when given, before
+ * `before`, is linked to one of `studyIds` or names `researcher` (see
+ * `sessionNamesResearcher`), and has one of `statuses` when given.
+ * @param {ReturnType<typeof sessionFromRecord>} session
+ * @param {{ studyIds?: string[], researcher?: { email?: string, name?: string } | null, after: string, before?: string, statuses?: string[] }} window
+ */
+export function sessionInWindow(session, { studyIds = [], researcher = null, after, before = "", statuses = [] }) {
+	const startsAt = Date.parse(session.starts_at);
+	if (!Number.isFinite(startsAt) || startsAt <= Date.parse(after)) return false;
+	if (before && startsAt >= Date.parse(before)) return false;
+	if (statuses.length && !statuses.includes(session.status)) return false;
+	return studyIds.includes(session.study_id) || sessionNamesResearcher(session, researcher);
+}
+
+/**
+ * Sessions in `window`. Airtable narrows the query with
+ * `sessionWindowFormula`; each session is then checked with
+ * `sessionInWindow` against the record IDs the API returns for links, so an
+ * incomplete formula only costs a larger read. A formula Airtable rejects
+ * (an alias the sample missed) falls back to reading every session.
+ * @param {import("../index.js").ResearchOpsService} svc
+ * @param {{ studyIds?: string[], researcher?: { email?: string, name?: string } | null, after: string, before?: string, statuses?: string[] }} window
+ * @returns {Promise<Array<ReturnType<typeof sessionFromRecord>>>}
+ */
+export async function fetchWindowSessions(svc, window) {
+	const filterByFormula = sessionWindowFormula(window, await sessionFieldNames(svc));
+	let records;
+	try {
+		records = await fetchSessionRecords(svc, { filterByFormula });
+	} catch (e) {
+		if (!filterByFormula || e?.status !== 422) throw e;
+		svc.log.warn("session_records.formula.rejected", { detail: String(e?.message || e) });
+		records = await fetchSessionRecords(svc);
+	}
+	return records.map(sessionFromRecord).filter((session) => sessionInWindow(session, window));
+}
+
+/**
+ * Sessions records from Airtable, following pagination. Without a formula
+ * every record is returned, so callers that only need some sessions should
+ * use `fetchWindowSessions`.
+ * @param {import("../index.js").ResearchOpsService} svc
+ * @param {{ filterByFormula?: string, maxRecords?: number }} [options]
+ * @returns {Promise<Array<{ id: string, fields?: Record<string, any> }>>}
+ */
+export async function fetchSessionRecords(svc, { filterByFormula = "", maxRecords = 0 } = {}) {
+	const table = encodeURIComponent(svc.env.AIRTABLE_TABLE_SESSIONS || "Sessions");
+	const records = [];
+	let offset;
+	do {
+		const params = new URLSearchParams({ pageSize: "100" });
+		if (filterByFormula) params.set("filterByFormula", filterByFormula);
+		if (maxRecords) params.set("maxRecords", String(maxRecords));
+		if (offset) params.set("offset", offset);
+		const res = await fetchWithTimeout(`https://api.airtable.com/v0/${svc.env.AIRTABLE_BASE_ID}/${table}?${params.toString()}`, {
+			headers: { "Authorization": `Bearer ${svc.env.AIRTABLE_API_KEY}` }
+		}, svc.cfg.TIMEOUT_MS);
+		const txt = await res.text();
+		if (!res.ok) throw Object.assign(new Error(`Airtable ${res.status}: ${safeText(txt)}`), { status: res.status });
+		let js;
+		try { js = JSON.parse(txt); } catch { js = { records: [] }; }
+		records.push(...(js.records || []));
+		offset = js.offset;
+	} while (offset);
+	return records;
+}
+
+/**
+ * One Airtable Sessions record, or null when it does not exist.
+ * @param {import("../index.js").ResearchOpsService} svc
+ * @param {string} sessionId
+ * @returns {Promise<{ id: string, fields?: Record<string, any> } | null>}
+ */
+export async function fetchSessionRecord(svc, sessionId) {
+	const table = encodeURIComponent(svc.env.AIRTABLE_TABLE_SESSIONS || "Sessions");
+	const res = await fetchWithTimeout(`https://api.airtable.com/v0/${svc.env.AIRTABLE_BASE_ID}/${table}/${encodeURIComponent(sessionId)}`, {
+		headers: { "Authorization": `Bearer ${svc.env.AIRTABLE_API_KEY}` }
+	}, svc.cfg.TIMEOUT_MS);
+	const txt = await res.text();
+	if (res.status === 404) return null;
+	if (!res.ok) throw Object.assign(new Error(`Airtable ${res.status}: ${safeText(txt)}`), { status: res.status });
+	let js;
+	try { js = JSON.parse(txt); } catch { js = null; }
+	return js?.id ? js : null;
+}
+
+/**
+ * Create an Airtable Sessions record. Fields left empty are not sent.
+ * The participant link is optional so bookings for participants held only in
+ * D1 can still create a session.
+ * @param {import("../index.js").ResearchOpsService} svc
+ * @param {Record<string, any>} p snake_case session fields as accepted by POST /api/sessions
+ * @returns {Promise<{ id: string, fields?: Record<string, any> }>} the created record
+ */
+export async function createSessionRecord(svc, p) {
+	const table = encodeURIComponent(svc.env.AIRTABLE_TABLE_SESSIONS || "Sessions");
+	const fields = {
+		[SESSION_FIELDS.study_link[0]]: [p.study_airtable_id],
+		[SESSION_FIELDS.participant_link[0]]: p.participant_airtable_id ? [p.participant_airtable_id] : undefined,
+		// Canonical: "Starts at"
+		[SESSION_FIELDS.starts_at?.[0] || "Starts at"]: p.starts_at,
+		[SESSION_FIELDS.duration_min[0]]: p.duration_min,
+		[SESSION_FIELDS.type[0]]: p.type,
+		[SESSION_FIELDS.location_or_link[0]]: p.location_or_link,
+		[SESSION_FIELDS.backup_contact[0]]: p.backup_contact || undefined,
+		[SESSION_FIELDS.researchers[0]]: p.researchers || undefined,
+		[SESSION_FIELDS.status[0]]: p.status || "scheduled",
+		[SESSION_FIELDS.incentive_type[0]]: p.incentive_type || undefined,
+		[SESSION_FIELDS.incentive_amount[0]]: p.incentive_amount || undefined,
+		[SESSION_FIELDS.incentive_status[0]]: p.incentive_status || undefined,
+		[SESSION_FIELDS.safeguarding_flag[0]]: p.safeguarding_flag ? true : undefined,
+		[SESSION_FIELDS.notes[0]]: p.notes || undefined
+		// Do NOT attempt to set "Duration Actual min" (formula) on create.
+	};
+	for (const k of Object.keys(fields)) { if (fields[k] === undefined) delete fields[k]; }
+
+	const res = await fetchWithTimeout(`https://api.airtable.com/v0/${svc.env.AIRTABLE_BASE_ID}/${table}`, {
+		method: "POST",
+		headers: { "Authorization": `Bearer ${svc.env.AIRTABLE_API_KEY}`, "Content-Type": "application/json" },
+		body: JSON.stringify({ records: [{ fields }] })
+	}, svc.cfg.TIMEOUT_MS);
+	const txt = await res.text();
+	if (!res.ok) throw Object.assign(new Error(`Airtable ${res.status}`), { status: res.status, detail: safeText(txt) });
+	let js;
+	try { js = JSON.parse(txt); } catch { js = { records: [] }; }
+	return js.records?.[0] || { id: "" };
+}
+
+/**
+ * Mark an Airtable Sessions record cancelled.
+ * @param {import("../index.js").ResearchOpsService} svc
+ * @param {string} sessionId
+ * @returns {Promise<{ id: string, fields?: Record<string, any> }>} the updated record
+ */
+export async function cancelSessionRecord(svc, sessionId) {
+	const table = encodeURIComponent(svc.env.AIRTABLE_TABLE_SESSIONS || "Sessions");
+	const res = await fetchWithTimeout(`https://api.airtable.com/v0/${svc.env.AIRTABLE_BASE_ID}/${table}`, {
+		method: "PATCH",
+		headers: { "Authorization": `Bearer ${svc.env.AIRTABLE_API_KEY}`, "Content-Type": "application/json" },
+		body: JSON.stringify({ records: [{ id: sessionId, fields: { [SESSION_FIELDS.status[0]]: "cancelled" } }] })
+	}, svc.cfg.TIMEOUT_MS);
+	const txt = await res.text();
+	if (!res.ok) throw Object.assign(new Error(`Airtable ${res.status}`), { status: res.status, detail: safeText(txt) });
+	let js;
+	try { js = JSON.parse(txt); } catch { js = { records: [] }; }
+	return js.records?.[0] || { id: sessionId };
+}
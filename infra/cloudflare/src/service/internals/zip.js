@@ -0,0 +1,162 @@
+/**
+ * @file src/service/internals/zip.js
+ * @module service/internals/zip
+ * @summary Minimal ZIP reading and writing for DOCX templates and data exports.
+ *
+ * Entries are written stored (uncompressed). Reading handles stored and
+ * deflated entries, which covers the DOCX files Word produces.
+ */
+
+function findEndOfCentralDirectory(bytes) {
+	for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i -= 1) {
+		if (bytes[i] === 0x50 && bytes[i + 1] === 0x4b && bytes[i + 2] === 0x05 && bytes[i + 3] === 0x06) return i;
+	}
+	throw new Error("ZIP end of central directory not found");
+}
+
+function readUint16(view, offset) {
+	return view.getUint16(offset, true);
+}
+
+function readUint32(view, offset) {
+	return view.getUint32(offset, true);
+}
+
+function writeUint16(out, value) {
+	out.push(value & 0xff, (value >>> 8) & 0xff);
+}
+
+function writeUint32(out, value) {
+	out.push(value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff);
+}
+
+export function parseZipEntries(bytes) {
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	const eocd = findEndOfCentralDirectory(bytes);
+	const entries = readUint16(view, eocd + 10);
+	let offset = readUint32(view, eocd + 16);
+	const decoder = new TextDecoder();
+	const parsed = [];
+	for (let i = 0; i < entries; i += 1) {
+		if (readUint32(view, offset) !== 0x02014b50) throw new Error("ZIP central directory is invalid");
+		const flags = readUint16(view, offset + 8);
+		const method = readUint16(view, offset + 10);
+		const crc = readUint32(view, offset + 16);
+		const compressedSize = readUint32(view, offset + 20);
+		const uncompressedSize = readUint32(view, offset + 24);
+		const filenameLength = readUint16(view, offset + 28);
+		const extraLength = readUint16(view, offset + 30);
+		const commentLength = readUint16(view, offset + 32);
+		const localOffset = readUint32(view, offset + 42);
+		const name = decoder.decode(bytes.slice(offset + 46, offset + 46 + filenameLength));
+		if (readUint32(view, localOffset) !== 0x04034b50) throw new Error(`ZIP local header is invalid for ${name}`);
+		const localNameLength = readUint16(view, localOffset + 26);
+		const localExtraLength = readUint16(view, localOffset + 28);
+		const dataOffset = localOffset + 30 + localNameLength + localExtraLength;
+		parsed.push({
+			name,
+			flags,
+			method,
+			crc,
+			compressedSize,
+			uncompressedSize,
+			data: bytes.slice(dataOffset, dataOffset + compressedSize)
+		});
+		offset += 46 + filenameLength + extraLength + commentLength;
+	}
+	return parsed;
+}
+
+async function inflateRaw(data) {
+	if (typeof DecompressionStream === "undefined") throw new Error("Deflate decompression is not available in this runtime");
+	const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+	return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export async function entryText(entry) {
+	if (entry.method === 0) return new TextDecoder().decode(entry.data);
+	if (entry.method === 8) return new TextDecoder().decode(await inflateRaw(entry.data));
+	throw new Error(`ZIP compression method ${entry.method} is not supported`);
+}
+
+let crcTable;
+export function crc32(bytes) {
+	if (!crcTable) {
+		crcTable = new Uint32Array(256);
+		for (let n = 0; n < 256; n += 1) {
+			let c = n;
+			for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+			crcTable[n] = c >>> 0;
+		}
+	}
+	let crc = 0xffffffff;
+	for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+function appendBytes(out, bytes) {
+	for (const byte of bytes) out.push(byte);
+}
+
+export function buildZip(entries) {
+	const encoder = new TextEncoder();
+	const out = [];
+	const central = [];
+	for (const entry of entries) {
+		const filename = encoder.encode(entry.name);
+		const localOffset = out.length;
+		writeUint32(out, 0x04034b50);
+		writeUint16(out, 20);
+		writeUint16(out, 0);
+		writeUint16(out, entry.method);
+		writeUint16(out, 0);
+		writeUint16(out, 0);
+		writeUint32(out, entry.crc);
+		writeUint32(out, entry.data.length);
+		writeUint32(out, entry.uncompressedSize);
+		writeUint16(out, filename.length);
+		writeUint16(out, 0);
+		appendBytes(out, filename);
+		appendBytes(out, entry.data);
+
+		writeUint32(central, 0x02014b50);
+		writeUint16(central, 20);
+		writeUint16(central, 20);
+		writeUint16(central, 0);
+		writeUint16(central, entry.method);
+		writeUint16(central, 0);
+		writeUint16(central, 0);
+		writeUint32(central, entry.crc);
+		writeUint32(central, entry.data.length);
+		writeUint32(central, entry.uncompressedSize);
+		writeUint16(central, filename.length);
+		writeUint16(central, 0);
+		writeUint16(central, 0);
+		writeUint16(central, 0);
+		writeUint16(central, 0);
+		writeUint32(central, 0);
+		writeUint32(central, localOffset);
+		appendBytes(central, filename);
+	}
+	const centralOffset = out.length;
+	appendBytes(out, central);
+	writeUint32(out, 0x06054b50);
+	writeUint16(out, 0);
+	writeUint16(out, 0);
+	writeUint16(out, entries.length);
+	writeUint16(out, entries.length);
+	writeUint32(out, central.length);
+	writeUint32(out, centralOffset);
+	writeUint16(out, 0);
+	return new Uint8Array(out);
+}
+
+/**
+ * A stored entry for buildZip.
+ * @param {string} name path inside the archive
+ * @param {string|Uint8Array} content
+ */
+export function zipEntry(name, content) {
+	const data = typeof content === "string" ? new TextEncoder().encode(content) : content;
+	return { name, flags: 0, method: 0, crc: crc32(data), compressedSize: data.length, uncompressedSize: data.length, data };
+}
@@ -0,0 +1,296 @@
+/**
+ * @file src/service/legal-holds.js
+ * @module service/legal-holds
+ * @summary Legal holds that stop retention changing data about a project, study or participant.
+ *
+ * Endpoints covered:
+ * - GET  /api/legal-holds?study=<StudyId>|project=<ProjectId>|participant=<ParticipantId>
+ * - POST /api/legal-holds
+ * - POST /api/legal-holds/:id/release
+ *
+ * A hold is placed because of an FOI request, a complaint, an audit or
+ * another legal reason, and names an owner and a date to review it by. While
+ * it is active the retention run leaves everything in its scope alone and
+ * logs those items as "skipped: legal hold". A hold on a project covers all
+ * of its studies; a hold on a study covers all of its participants. Holds
+ * are released rather than deleted so the record of why data was kept stays.
+ */
+
+import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
+
+export const LEGAL_HOLDS_TABLE = "rops_legal_holds";
+const STUDIES_TABLE = "rops_studies_cache";
+const PARTICIPANTS_TABLE = "rops_participants_cache";
+
+export const LEGAL_HOLD_SCOPES = Object.freeze(["project", "study", "participant"]);
+export const LEGAL_HOLD_REASONS = Object.freeze(["foi_request", "complaint", "audit", "litigation", "other"]);
+const MAX_DETAIL_LENGTH = 2000;
+
+/**
+ * SQL condition that is true when no active hold covers a row. Statements
+ * using it bind the project id as ?4, the study id as ?5 and the participant
+ * id as ?6.
+ */
+export const NO_ACTIVE_LEGAL_HOLD = `NOT EXISTS (
+	SELECT 1 FROM ${LEGAL_HOLDS_TABLE}
+	WHERE released_at IS NULL AND (
+		(scope_type = 'project' AND scope_id = ?4)
+		OR (scope_type = 'study' AND scope_id = ?5)
+		OR (scope_type = 'participant' AND scope_id = ?6)
+	)
+)`;
+
+const HOLDS_SQL = `
+	CREATE TABLE IF NOT EXISTS ${LEGAL_HOLDS_TABLE} (
+		id TEXT PRIMARY KEY,
+		scope_type TEXT NOT NULL,
+		scope_id TEXT NOT NULL,
+		project_id TEXT,
+		study_id TEXT,
+		reason TEXT NOT NULL,
+		detail TEXT,
+		owner TEXT NOT NULL,
+		review_date TEXT NOT NULL,
+		placed_by TEXT,
+		placed_at TEXT NOT NULL,
+		released_by TEXT,
+		released_at TEXT,
+		release_note TEXT
+	)
+`;
+
+function hasD1(env) { return Boolean(env?.RESEARCHOPS_D1?.prepare); }
+function nowIso(value = Date.now()) { return new Date(value).toISOString(); }
+function text(value) { return String(value ?? "").trim(); }
+function holdId() { return `lh_${crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}_${Math.random().toString(16).slice(2)}`}`; }
+function unavailable(svc, origin) { return svc.json({ ok: false, error: "legal_holds_unavailable", message: "Legal holds are not available right now." }, 503, svc.corsHeaders(origin)); }
+function badRequest(svc, origin, error) { return svc.json({ ok: false, error }, 400, svc.corsHeaders(origin)); }
+
+async function tableExists(env, name) {
+	const row = await d1Get(env, "SELECT name FROM sqlite_master WHERE type IN ('table', 'view') AND name = ? LIMIT 1", [name]);
+	return Boolean(row?.name);
+}
+
+/**
+ * Create the holds table if this database does not have it yet.
+ * @param {any} env
+ */
+export async function ensureLegalHoldsTable(env) {
+	await d1Run(env, HOLDS_SQL);
+	await d1Run(env, `CREATE INDEX IF NOT EXISTS idx_rops_legal_holds_scope ON ${LEGAL_HOLDS_TABLE} (scope_type, scope_id, released_at)`);
+	await d1Run(env, `CREATE INDEX IF NOT EXISTS idx_rops_legal_holds_study ON ${LEGAL_HOLDS_TABLE} (study_id, released_at)`);
+}
+
+/**
+ * Every hold that has not been released.
+ * @param {any} env
+ */
+export async function activeLegalHolds(env) {
+	await ensureLegalHoldsTable(env);
+	return d1All(env, `SELECT * FROM ${LEGAL_HOLDS_TABLE} WHERE released_at IS NULL ORDER BY placed_at ASC`);
+}
+
+/**
+ * The first active hold covering an item, or null.
+ * @param {Array<any>} holds rows from activeLegalHolds
+ * @param {{ projectId?: string, studyId?: string, participantId?: string }} scope
+ */
+export function legalHoldFor(holds, { projectId = "", studyId = "", participantId = "" }) {
+	return holds.find((hold) =>
+		(hold.scope_type === "project" && projectId && hold.scope_id === projectId)
+		|| (hold.scope_type === "study" && studyId && hold.scope_id === studyId)
+		|| (hold.scope_type === "participant" && participantId && hold.scope_id === participantId)
+	) || null;
+}
+
+/**
+ * The project each study belongs to, from the studies cache.
+ * @param {any} env
+ * @returns {Promise<Map<string, string>>}
+ */
+export async function studyProjects(env) {
+	const projects = new Map();
+	if (!(await tableExists(env, STUDIES_TABLE))) return projects;
+	const rows = await d1All(env, `SELECT id, project_id FROM ${STUDIES_TABLE}`);
+	for (const row of rows) if (row.project_id) projects.set(row.id, row.project_id);
+	return projects;
+}
+
+function isIsoDate(value) {
+	return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+}
+
+function holdDto(row) {
+	return {
+		id: row.id,
+		scopeType: row.scope_type,
+		scopeId: row.scope_id,
+		projectId: row.project_id || "",
+		studyId: row.study_id || "",
+		reason: row.reason,
+		detail: row.detail || "",
+		owner: row.owner,
+		reviewDate: row.review_date,
+		placedBy: row.placed_by || "",
+		placedAt: row.placed_at,
+		active: !row.released_at,
+		releasedBy: row.released_by || "",
+		releasedAt: row.released_at || "",
+		releaseNote: row.release_note || ""
+	};
+}
+
+async function readBody(svc, request) {
+	const body = await request.arrayBuffer();
+	if (body.byteLength > svc.cfg.MAX_BODY_BYTES) throw Object.assign(new Error("Payload too large"), { status: 413 });
+	try {
+		return JSON.parse(new TextDecoder().decode(body || new ArrayBuffer(0)) || "{}");
+	} catch {
+		throw Object.assign(new Error("Invalid JSON"), { status: 400 });
+	}
+}
+
+function validateHoldPayload(payload) {
+	const scopeType = text(payload.scopeType || payload.scope_type).toLowerCase();
+	const scopeId = text(payload.scopeId || payload.scope_id);
+	const reason = text(payload.reason).toLowerCase();
+	const detail = text(payload.detail).slice(0, MAX_DETAIL_LENGTH);
+	const owner = text(payload.owner);
+	const reviewDate = text(payload.reviewDate || payload.review_date);
+	if (!LEGAL_HOLD_SCOPES.includes(scopeType)) return { error: "scopeType must be project, study or participant" };
+	if (!scopeId) return { error: "Missing field: scopeId" };
+	if (!LEGAL_HOLD_REASONS.includes(reason)) return { error: `reason must be one of ${LEGAL_HOLD_REASONS.join(", ")}` };
+	if (reason === "other" && !detail) return { error: "Missing field: detail" };
+	if (!owner) return { error: "Missing field: owner" };
+	if (!isIsoDate(reviewDate)) return { error: "reviewDate must be a date in YYYY-MM-DD format" };
+	return { scopeType, scopeId, reason, detail, owner, reviewDate };
+}
+
+/** Fill in the project and study a hold sits under so study pages can find it. */
+async function holdContext(env, scopeType, scopeId) {
+	if (scopeType === "project") return { projectId: scopeId, studyId: "" };
+	if (scopeType === "study") return { projectId: (await studyProjects(env)).get(scopeId) || "", studyId: scopeId };
+	if (!(await tableExists(env, PARTICIPANTS_TABLE))) return { projectId: "", studyId: "" };
+	const row = await d1Get(env, `SELECT project_id, study_id FROM ${PARTICIPANTS_TABLE} WHERE id = ? LIMIT 1`, [scopeId]);
+	return { projectId: row?.project_id || "", studyId: row?.study_id || "" };
+}
+
+function actorOf(authContext = {}) {
+	const user = authContext?.user || {};
+	return text(user.email || user.id || authContext?.userId);
+}
+
+/**
+ * GET /api/legal-holds — active holds for a study (including holds on its
+ * project and its participants), a project or a participant. Add
+ * `status=all` to include released holds.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {URL} url
+ */
+export async function listLegalHolds(svc, origin, url) {
+	if (!hasD1(svc.env)) return unavailable(svc, origin);
+	const studyId = text(url.searchParams.get("study"));
+	const projectId = text(url.searchParams.get("project"));
+	const participantId = text(url.searchParams.get("participant"));
+	if (!studyId && !projectId && !participantId) return badRequest(svc, origin, "Missing study, project or participant query");
+	const activeOnly = text(url.searchParams.get("status")).toLowerCase() !== "all";
+	try {
+		await ensureLegalHoldsTable(svc.env);
+		const conditions = [];
+		const params = [];
+		if (studyId) {
+			const studyProjectId = (await studyProjects(svc.env)).get(studyId) || "";
+			conditions.push("study_id = ?");
+			params.push(studyId);
+			if (studyProjectId) {
+				conditions.push("(scope_type = 'project' AND scope_id = ?)");
+				params.push(studyProjectId);
+			}
+		}
+		if (projectId) {
+			conditions.push("project_id = ?");
+			params.push(projectId);
+		}
+		if (participantId) {
+			conditions.push("(scope_type = 'participant' AND scope_id = ?)");
+			params.push(participantId);
+		}
+		const rows = await d1All(svc.env, `
+			SELECT * FROM ${LEGAL_HOLDS_TABLE}
+			WHERE (${conditions.join(" OR ")})${activeOnly ? " AND released_at IS NULL" : ""}
+			ORDER BY placed_at DESC
+		`, params);
+		return svc.json({ ok: true, legalHolds: rows.map(holdDto) }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.legal_holds.list.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * POST /api/legal-holds — place a hold.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {any} authContext
+ */
+export async function createLegalHold(svc, request, origin, authContext = null) {
+	let body;
+	try { body = await readBody(svc, request); }
+	catch (error) { return svc.json({ ok: false, error: error.message }, error.status || 400, svc.corsHeaders(origin)); }
+
+	const payload = validateHoldPayload(body);
+	if (payload.error) return badRequest(svc, origin, payload.error);
+	if (!hasD1(svc.env)) return unavailable(svc, origin);
+
+	try {
+		await ensureLegalHoldsTable(svc.env);
+		const context = await holdContext(svc.env, payload.scopeType, payload.scopeId);
+		const id = holdId();
+		await d1Run(svc.env, `
+			INSERT INTO ${LEGAL_HOLDS_TABLE} (id, scope_type, scope_id, project_id, study_id, reason, detail, owner, review_date, placed_by, placed_at)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+		`, [id, payload.scopeType, payload.scopeId, context.projectId || null, context.studyId || null, payload.reason, payload.detail || null, payload.owner, payload.reviewDate, actorOf(authContext) || null, nowIso()]);
+		const row = await d1Get(svc.env, `SELECT * FROM ${LEGAL_HOLDS_TABLE} WHERE id = ? LIMIT 1`, [id]);
+		return svc.json({ ok: true, legalHold: holdDto(row) }, 201, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.legal_holds.create.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * POST /api/legal-holds/:id/release — end a hold. Retention picks the data
+ * up again on its next run.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {string} id
+ * @param {any} authContext
+ */
+export async function releaseLegalHold(svc, request, origin, id, authContext = null) {
+	let body;
+	try { body = await readBody(svc, request); }
+	catch (error) { return svc.json({ ok: false, error: error.message }, error.status || 400, svc.corsHeaders(origin)); }
+
+	const note = text(body.note || body.releaseNote).slice(0, MAX_DETAIL_LENGTH);
+	if (!note) return badRequest(svc, origin, "Missing field: note");
+	if (!hasD1(svc.env)) return unavailable(svc, origin);
+
+	try {
+		await ensureLegalHoldsTable(svc.env);
+		const row = await d1Get(svc.env, `SELECT * FROM ${LEGAL_HOLDS_TABLE} WHERE id = ? LIMIT 1`, [id]);
+		if (!row) return svc.json({ ok: false, error: "legal_hold_not_found" }, 404, svc.corsHeaders(origin));
+		if (row.released_at) return svc.json({ ok: false, error: "legal_hold_released", message: "This legal hold has already been released." }, 409, svc.corsHeaders(origin));
+		await d1Run(svc.env, `
+			UPDATE ${LEGAL_HOLDS_TABLE} SET released_at = ?, released_by = ?, release_note = ?
+			WHERE id = ? AND released_at IS NULL
+		`, [nowIso(), actorOf(authContext) || null, note, id]);
+		const released = await d1Get(svc.env, `SELECT * FROM ${LEGAL_HOLDS_TABLE} WHERE id = ? LIMIT 1`, [id]);
+		return svc.json({ ok: true, legalHold: holdDto(released) }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.legal_holds.release.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
@@ -0,0 +1,369 @@
+/**
+ * @file src/service/mural-import.js
+ * @module service/mural-import
+ * @summary Brings stickies added by hand on a Mural board back into ResearchOps as journal entries or synthesis evidence.
+ *
+ * Endpoints:
+ * - POST /api/mural/journal-import                      { projectId, mode, widgetIds?, category?, categories?, muralId? }
+ * - POST /api/synthesis/mural-import?sid=<AirtableStudyId>  { mode, widgetIds?, muralId? }
+ *
+ * mode "preview" (the default) reads the board and lists the stickies that
+ * could be imported without writing anything. mode "confirm" imports the
+ * widgetIds picked from that preview. The board is read again on confirm, so
+ * a sticky deleted or imported by someone else in between is skipped.
+ *
+ * Stickies ResearchOps put on the board itself are never offered: journal
+ * stickies carry a journal-entry: tag or a row in mural_journal_entry_widgets,
+ * and affinity map stickies are listed in mural_synthesis_widgets. Each
+ * imported widget gets a row in mural_widget_imports, which stops it being
+ * imported twice and links the new record back to the widget. The row is
+ * claimed before the record is created, so two confirms of the same sticky
+ * create one record; the claim is released if the record cannot be made.
+ *
+ * Tags on a sticky are matched to the project's CAQDAS codes. Matched codes
+ * become code applications on the journal entry, or code ids on the
+ * evidence; tags with no matching code are kept as plain tags.
+ */
+
+import { getMuralTags, getWidgets } from "../lib/mural.js";
+import { PURPOSE_REFLEXIVE, PURPOSE_SYNTHESIS } from "./internals/mural-board-registry.js";
+import { getValidAccessToken } from "./internals/mural-tokens.js";
+import { d1All, d1Run } from "./internals/researchops-d1.js";
+import { listD1MappingsForMural } from "./mural-journal-sync-safe-tags.js";
+import { CATEGORY_KEYS } from "./mural-journal-sync/constants.js";
+import { readRequestBody } from "./mural-journal-sync/request.js";
+import { normalizeCategoryKey } from "./mural-journal-sync/text.js";
+import { categoryHeaderWidget, isTemplatePlaceholder, isUnderHeader, normalizeWidget, widgetHasAnyEntryTag } from "./mural-journal-sync/widgets.js";
+import { matchTagsToCodes } from "./reflection/codes.js";
+import { lastExportedMuralId, listExportedWidgetIds } from "./synthesis-mural-export.js";
+import { createImportedEvidence, getStudyContext } from "./synthesis.js";
+
+const IMPORTS_TABLE = "mural_widget_imports";
+const SYSTEM_TAG_RE = /^journal-entry:/i;
+
+function hasD1(svc) { return Boolean(svc?.env?.RESEARCHOPS_D1?.prepare); }
+function nowIso() { return new Date().toISOString(); }
+function text(value) { return String(value ?? "").trim(); }
+function isGone(err) { return [403, 404, 410].includes(Number(err?.status || 0)); }
+
+function newId(prefix) {
+	const suffix = typeof crypto !== "undefined" && typeof crypto.randomUUID === "function" ?
+		crypto.randomUUID() :
+		`${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+	return `${prefix}_${suffix}`;
+}
+
+async function ensureTables(svc) {
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${IMPORTS_TABLE} (mural_id TEXT NOT NULL, widget_id TEXT NOT NULL, target TEXT NOT NULL, project_id TEXT, study_id TEXT, record_id TEXT NOT NULL, content TEXT, tags_json TEXT NOT NULL DEFAULT '[]', code_ids_json TEXT NOT NULL DEFAULT '[]', imported_at TEXT NOT NULL, imported_by TEXT, PRIMARY KEY (mural_id, widget_id))`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_mural_widget_imports_record ON ${IMPORTS_TABLE} (target, record_id)`);
+}
+
+function plainText(widget) {
+	return text(String(widget.text || "").replace(/<br\s*\/?>/gi, "\n").replace(/<[^>]+>/g, " ").replace(/[ \t]+/g, " "));
+}
+
+/**
+ * Widgets on the board with tag ids swapped for their text.
+ */
+async function readBoard(svc, token, muralId) {
+	const [rawWidgets, tagList] = await Promise.all([
+		getWidgets(svc.env, token, muralId, { includeDetails: true }),
+		getMuralTags(svc.env, token, muralId)
+	]);
+	const tagText = new Map(tagList.map(tag => [text(tag?.id), text(tag?.text || tag?.title || tag?.name)]).filter(([id, label]) => id && label));
+	return rawWidgets.map(normalizeWidget).map(widget => ({ ...widget, tags: widget.tags.map(tag => tagText.get(tag) || tag) }));
+}
+
+/**
+ * Journal category for a sticky: a tag naming the category, or the column
+ * heading it sits under on the reflexive journal board.
+ */
+function journalCategory(widget, columns) {
+	const tagged = CATEGORY_KEYS.find(key => widget.tags.some(tag => tag.toLowerCase() === key));
+	if (tagged) return tagged;
+	return columns.find(({ header }) => isUnderHeader(widget, header))?.category || "";
+}
+
+async function listProjectCodes(svc, origin, projectId) {
+	if (!projectId) return [];
+	const url = new URL("https://local/api/codes");
+	url.searchParams.set("project", projectId);
+	const response = await svc.listCodes(origin, url);
+	const data = await response.json().catch(() => ({}));
+	return Array.isArray(data?.codes) ? data.codes : [];
+}
+
+/**
+ * Split the board into stickies that can be imported, stickies already
+ * imported, and stickies ResearchOps created.
+ */
+async function classifyBoard(svc, { target, muralId, widgets, codes }) {
+	const [journalMappings, exportedIds, importedRows] = await Promise.all([
+		listD1MappingsForMural(svc.env, muralId).catch(() => []),
+		listExportedWidgetIds(svc, muralId),
+		d1All(svc.env, `SELECT widget_id, target, record_id, imported_at FROM ${IMPORTS_TABLE} WHERE mural_id = ?`, [muralId])
+	]);
+	const ownIds = new Set([...exportedIds, ...journalMappings.map(row => String(row.widget_id))]);
+	const imported = new Map(importedRows.map(row => [String(row.widget_id), row]));
+	const columns = target === "journal" ?
+		CATEGORY_KEYS.map(category => ({ category, header: categoryHeaderWidget(widgets, category) })).filter(column => column.header) :
+		[];
+
+	const candidates = [];
+	const alreadyImported = [];
+	let fromResearchOps = 0;
+	let empty = 0;
+
+	for (const widget of widgets) {
+		const widgetId = text(widget.id);
+		if (!widgetId || !widget.type.includes("sticky")) continue;
+		if (ownIds.has(widgetId) || widgetHasAnyEntryTag(widget)) {
+			fromResearchOps += 1;
+			continue;
+		}
+		const previous = imported.get(widgetId);
+		if (previous) {
+			alreadyImported.push({ widgetId, target: previous.target, recordId: previous.record_id, importedAt: previous.imported_at });
+			continue;
+		}
+		const content = plainText(widget);
+		if (!content || isTemplatePlaceholder({ ...widget, text: content })) {
+			empty += 1;
+			continue;
+		}
+
+		const tags = widget.tags.filter(tag => !SYSTEM_TAG_RE.test(tag));
+		const matched = matchTagsToCodes(codes, tags.filter(tag => !CATEGORY_KEYS.includes(tag.toLowerCase())));
+		const candidate = { widgetId, text: content, tags, codes: matched.codes, unmatchedTags: matched.unmatched, x: widget.x, y: widget.y };
+		if (target === "journal") candidate.category = journalCategory(widget, columns);
+		candidates.push(candidate);
+	}
+
+	candidates.sort((a, b) => a.y - b.y || a.x - b.x);
+	return { candidates, alreadyImported, fromResearchOps, empty };
+}
+
+async function createJournalRecord(svc, origin, { projectId, category, candidate }) {
+	const request = new Request("https://local/api/journal-entries", {
+		method: "POST",
+		headers: { "content-type": "application/json" },
+		body: JSON.stringify({ project: projectId, category, content: candidate.text, tags: candidate.unmatchedTags })
+	});
+	const response = await svc.createJournalEntry(request, origin);
+	const data = await response.json().catch(() => ({}));
+	if (!response.ok || !data?.id) throw Object.assign(new Error(data?.detail || data?.error || `Journal entry was not created (${response.status})`), { status: response.status });
+
+	if (candidate.codes.length && hasD1(svc)) {
+		await d1Run(svc.env, "CREATE TABLE IF NOT EXISTS code_applications (record_id TEXT, project TEXT, entry TEXT, code TEXT, excerpt TEXT, createdat TEXT, local_project_id TEXT, local_application_id TEXT PRIMARY KEY)");
+		for (const code of candidate.codes) {
+			const applicationId = newId("d1_code_application");
+			await d1Run(svc.env, "INSERT INTO code_applications (record_id, project, entry, code, excerpt, createdat, local_project_id, local_application_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)", [
+				applicationId, projectId, data.id, code.id, candidate.text, nowIso(), projectId, applicationId
+			]);
+		}
+	}
+	return data.id;
+}
+
+async function createEvidenceRecord(svc, { studyId, projectId, muralId, candidate, actor }) {
+	const evidence = await createImportedEvidence(svc, {
+		studyId,
+		projectId,
+		content: candidate.text,
+		tags: candidate.unmatchedTags,
+		codeIds: candidate.codes.map(code => code.id),
+		sourceType: "mural",
+		sourceLabel: "Mural sticky",
+		source: { muralId, widgetId: candidate.widgetId, tags: candidate.tags }
+	}, actor);
+	return evidence.id;
+}
+
+/**
+ * Claim a widget for import before its record exists. The claim holds an
+ * empty record_id until linkImport fills it in.
+ * @returns {Promise<boolean>} false when the widget is already imported or claimed.
+ */
+async function claimImport(svc, { target, muralId, projectId, studyId, candidate, actor }) {
+	const result = await d1Run(svc.env, `INSERT INTO ${IMPORTS_TABLE} (mural_id, widget_id, target, project_id, study_id, record_id, content, tags_json, code_ids_json, imported_at, imported_by) VALUES (?, ?, ?, ?, ?, '', ?, ?, ?, ?, ?) ON CONFLICT(mural_id, widget_id) DO NOTHING`, [
+		muralId,
+		candidate.widgetId,
+		target,
+		projectId || null,
+		studyId || null,
+		candidate.text,
+		JSON.stringify(candidate.tags),
+		JSON.stringify(candidate.codes.map(code => code.id)),
+		nowIso(),
+		actor || null
+	]);
+	return Number(result?.meta?.changes || 0) === 1;
+}
+
+async function releaseImport(svc, { muralId, candidate }) {
+	await d1Run(svc.env, `DELETE FROM ${IMPORTS_TABLE} WHERE mural_id = ? AND widget_id = ? AND record_id = ''`, [muralId, candidate.widgetId]);
+}
+
+async function linkImport(svc, { target, muralId, studyId, candidate, recordId, actor }) {
+	await d1Run(svc.env, `UPDATE ${IMPORTS_TABLE} SET record_id = ? WHERE mural_id = ? AND widget_id = ?`, [recordId, muralId, candidate.widgetId]);
+
+	if (typeof svc.recordProvenance !== "function") return;
+	await svc.recordProvenance({
+		artifactId: recordId,
+		artifactType: target === "journal" ? "journal_entry" : "synthesis_evidence",
+		eventType: "imported_from_mural",
+		method: "mural_import",
+		researcherId: actor,
+		studyId: studyId || undefined,
+		parentArtifactId: `mural:${muralId}:${candidate.widgetId}`,
+		provenanceGraph: { muralId, widgetId: candidate.widgetId, tags: candidate.tags, codeIds: candidate.codes.map(code => code.id) }
+	}).catch(err => svc.log.warn("mural.import.provenance_fail", { recordId, detail: String(err?.message || err) }));
+}
+
+async function confirmImport(svc, origin, ctx, classified) {
+	const requested = [...new Set((Array.isArray(ctx.body.widgetIds) ? ctx.body.widgetIds : []).map(text).filter(Boolean))];
+	const byId = new Map(classified.candidates.map(candidate => [candidate.widgetId, candidate]));
+	const importedIds = new Set(classified.alreadyImported.map(item => item.widgetId));
+	const overrides = ctx.body.categories && typeof ctx.body.categories === "object" ? ctx.body.categories : {};
+	const defaultCategory = normalizeCategoryKey(ctx.body.category);
+
+	const imported = [];
+	const skipped = [];
+	const failed = [];
+	for (const widgetId of requested) {
+		const candidate = byId.get(widgetId);
+		if (!candidate) {
+			skipped.push({ widgetId, reason: importedIds.has(widgetId) ? "already_imported" : "not_importable" });
+			continue;
+		}
+		const category = normalizeCategoryKey(overrides[widgetId]) || candidate.category || defaultCategory;
+		if (ctx.target === "journal" && !category) {
+			skipped.push({ widgetId, reason: "no_category" });
+			continue;
+		}
+		let claimed = false;
+		try {
+			claimed = await claimImport(svc, { ...ctx, candidate });
+			if (!claimed) {
+				skipped.push({ widgetId, reason: "already_imported" });
+				continue;
+			}
+			const recordId = ctx.target === "journal" ?
+				await createJournalRecord(svc, origin, { projectId: ctx.projectId, category, candidate }) :
+				await createEvidenceRecord(svc, { studyId: ctx.studyId, projectId: ctx.projectId, muralId: ctx.muralId, candidate, actor: ctx.actor });
+			claimed = false;
+			await linkImport(svc, { ...ctx, candidate, recordId });
+			imported.push({ widgetId, recordId, category: ctx.target === "journal" ? category : undefined, codes: candidate.codes });
+		} catch (err) {
+			if (claimed) {
+				await releaseImport(svc, { muralId: ctx.muralId, candidate }).catch(releaseErr => svc.log.warn("mural.import.release_fail", { widgetId, detail: String(releaseErr?.message || releaseErr) }));
+			}
+			svc.log.error("mural.import.item_fail", { target: ctx.target, muralId: ctx.muralId, widgetId, detail: String(err?.message || err) });
+			failed.push({ widgetId, detail: String(err?.message || err) });
+		}
+	}
+	return { imported, skipped, failed };
+}
+
+async function runImport(svc, origin, ctx) {
+	const cors = svc.corsHeaders(origin);
+	if (!hasD1(svc)) return svc.json({ ok: false, error: "RESEARCHOPS_D1 binding is not configured" }, 503, cors);
+	if (!ctx.uid) return svc.json({ ok: false, error: "not_authenticated" }, 401, cors);
+
+	const mode = text(ctx.body.mode || "preview").toLowerCase();
+	if (mode !== "preview" && mode !== "confirm") return svc.json({ ok: false, error: "invalid_mode", detail: "mode must be preview or confirm" }, 400, cors);
+	if (mode === "confirm" && !(Array.isArray(ctx.body.widgetIds) && ctx.body.widgetIds.length)) {
+		return svc.json({ ok: false, error: "missing_widget_ids", detail: "Choose at least one sticky from the preview to import." }, 400, cors);
+	}
+
+	const tokenRes = await getValidAccessToken(svc.mural, ctx.uid);
+	if (!tokenRes.ok) return svc.json({ ok: false, error: tokenRes.reason || "not_authenticated" }, 401, cors);
+
+	try {
+		await ensureTables(svc);
+		const board = await ctx.resolveBoard(tokenRes.token);
+		if (!board?.muralId) return svc.json({ ok: false, error: "mural_board_not_found" }, 404, cors);
+
+		const [widgets, codes] = await Promise.all([
+			readBoard(svc, tokenRes.token, board.muralId),
+			listProjectCodes(svc, origin, ctx.projectId).catch(() => [])
+		]);
+		const classified = await classifyBoard(svc, { target: ctx.target, muralId: board.muralId, widgets, codes });
+		const base = { ok: true, mode, target: ctx.target, muralId: board.muralId, boardSource: board.source || null };
+
+		if (mode === "preview") {
+			return svc.json({
+				...base,
+				candidates: classified.candidates,
+				alreadyImported: classified.alreadyImported,
+				fromResearchOps: classified.fromResearchOps,
+				empty: classified.empty
+			}, 200, cors);
+		}
+
+		const outcome = await confirmImport(svc, origin, { ...ctx, muralId: board.muralId }, classified);
+		return svc.json({ ...base, ...outcome }, 200, cors);
+	} catch (err) {
+		if (isGone(err)) return svc.json({ ok: false, error: "mural_board_not_found", status: Number(err.status) }, 404, cors);
+		svc.log.error("mural.import.fail", { target: ctx.target, detail: String(err?.message || err) });
+		return svc.json({ ok: false, error: "mural_import_failed", detail: String(err?.message || err) }, 502, cors);
+	}
+}
+
+/**
+ * POST /api/mural/journal-import
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {{ user?: { id?: string, email?: string } }} authContext
+ */
+export async function importJournalFromMural(svc, request, origin, authContext) {
+	const body = await readRequestBody(request);
+	if (!body) return svc.json({ ok: false, error: "invalid_json" }, 400, svc.corsHeaders(origin));
+	const projectId = text(body.projectId || body.project);
+	if (!projectId) return svc.json({ ok: false, error: "missing_project_id" }, 400, svc.corsHeaders(origin));
+	const uid = text(authContext?.user?.id);
+
+	return runImport(svc, origin, {
+		target: "journal",
+		body,
+		uid,
+		actor: text(authContext?.user?.email || uid),
+		projectId,
+		studyId: null,
+		resolveBoard: () => svc.mural.resolveBoard({ projectId, uid, purpose: PURPOSE_REFLEXIVE, explicitMuralId: text(body.muralId) || null })
+	});
+}
+
+/**
+ * POST /api/synthesis/mural-import?sid=
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {URL} url
+ * @param {{ user?: { id?: string, email?: string } }} authContext
+ */
+export async function importSynthesisFromMural(svc, request, origin, url, authContext) {
+	const studyId = text(url.searchParams.get("sid") || url.searchParams.get("study"));
+	if (!studyId) return svc.json({ ok: false, error: "Missing sid query" }, 400, svc.corsHeaders(origin));
+	const body = await readRequestBody(request);
+	if (!body) return svc.json({ ok: false, error: "invalid_json" }, 400, svc.corsHeaders(origin));
+	const uid = text(authContext?.user?.id);
+	const study = await getStudyContext(svc, studyId);
+
+	return runImport(svc, origin, {
+		target: "synthesis",
+		body,
+		uid,
+		actor: text(authContext?.user?.email || uid),
+		projectId: study.projectId || text(body.projectId),
+		studyId,
+		resolveBoard: async () => {
+			const explicit = text(body.muralId);
+			if (explicit) return { muralId: explicit, source: "explicit" };
+			const last = await lastExportedMuralId(svc, studyId);
+			if (last) return { muralId: last, source: "d1" };
+			return svc.mural.resolveBoard({ projectId: studyId, uid, purpose: PURPOSE_SYNTHESIS });
+		}
+	});
+}
@@ -167,7 +167,11 @@ async function ensureD1MappingTable(env) {
 	`);
 }
 
-async function listD1MappingsForMural(env, muralId) {
+/**
+ * Journal entry to widget mappings for one board. Also used by the Mural
+ * import to leave stickies this sync created out of what it offers to import.
+ */
+export async function listD1MappingsForMural(env, muralId) {
 	if (!hasD1(env) || !muralId) return [];
 	await ensureD1MappingTable(env);
 	return d1All(env, `
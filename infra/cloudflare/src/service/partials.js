@@ -1,11 +1,22 @@
 /**
  * @file src/service/partials.js
  * @module service/partials
- * @summary Partials endpoints (Airtable-backed).
+ * @summary Partials endpoints (Airtable-backed), with the include graph across guides and partials.
+ *
+ * Guides and partials include partials as `{{> name}}` (version 1) or
+ * `{{> name_v<n>}}`. Each Airtable record is one version of a partial, so a
+ * guide keeps rendering the version it names when a newer one is added.
+ * A version that a published guide snapshot froze cannot have its source
+ * edited; the change is saved as the next version instead. Deleting a
+ * partial that a guide or another partial still includes is refused unless
+ * forced, and includes that would loop back on themselves are rejected.
  */
 
-import { fetchWithTimeout, safeText } from "../core/utils.js";
-import { getRecord } from "./internals/airtable.js";
+import { GUIDE_FIELD_NAMES } from "../core/fields.js";
+import { fetchWithTimeout, pickFirstField, safeText } from "../core/utils.js";
+import { getRecord, listAll } from "./internals/airtable.js";
+import { d1All } from "./internals/researchops-d1.js";
+import { collectPartialNames, parsePartialRef } from "./guide-versions.js";
 
 /**
  * List all partials (for pattern drawer).
@@ -122,6 +133,20 @@ export async function createPartial(svc, request, origin) {
 		return svc.json({ error: "Missing required fields: name, title, source" }, 400, svc.corsHeaders(origin));
 	}
 
+	let graph;
+	try {
+		graph = await loadGraph(svc);
+	} catch (err) {
+		return graphUnavailable(svc, origin, err);
+	}
+	const candidate = { id: null, name: String(p.name), version: Number(p.version) || 1, source: String(p.source) };
+	candidate.ref = partialRef(candidate.name, candidate.version);
+	if (graph.partials.some(node => refKey(node.ref) === refKey(candidate.ref))) {
+		return svc.json({ ok: false, error: "partial_version_exists", message: `${candidate.ref} already exists. Create a new version of it instead.` }, 409, svc.corsHeaders(origin));
+	}
+	const cycle = cycleThrough(graph, candidate);
+	if (cycle) return cycleResponse(svc, origin, cycle);
+
 	const base = svc.env.AIRTABLE_BASE_ID;
 	const table = encodeURIComponent(svc.env.AIRTABLE_TABLE_PARTIALS || "Partials");
 	const url = `https://api.airtable.com/v0/${base}/${table}`;
@@ -192,6 +217,29 @@ export async function updatePartial(svc, request, origin, id) {
 		return svc.json({ error: "No fields to update" }, 400, svc.corsHeaders(origin));
 	}
 
+	if (fields.Source !== undefined) {
+		let graph;
+		try {
+			graph = await loadGraph(svc);
+		} catch (err) {
+			return graphUnavailable(svc, origin, err);
+		}
+		const node = graph.partials.find(n => n.id === id);
+		if (node && node.source !== String(fields.Source)) {
+			const published = graph.published.filter(use => use.partial_id === id);
+			if (published.length) {
+				return svc.json({
+					ok: false,
+					error: "partial_version_published",
+					message: `Published guides use ${node.ref}. Save the change as a new version so they keep rendering the text they were published with.`,
+					published: publishedSummary(published)
+				}, 409, svc.corsHeaders(origin));
+			}
+			const cycle = cycleThrough(graph, { ...node, source: String(fields.Source) });
+			if (cycle) return cycleResponse(svc, origin, cycle);
+		}
+	}
+
 	const base = svc.env.AIRTABLE_BASE_ID;
 	const table = encodeURIComponent(svc.env.AIRTABLE_TABLE_PARTIALS || "Partials");
 	const url = `https://api.airtable.com/v0/${base}/${table}`;
@@ -214,17 +262,40 @@ export async function updatePartial(svc, request, origin, id) {
 }
 
 /**
- * Delete a partial.
+ * Delete a partial. Refused with 409 while guides or other partials still
+ * include it, unless the request URL carries `force=true`.
  * @param {import("./index.js").ResearchOpsService} svc
  * @param {string} origin
  * @param {string} id
+ * @param {URL|null} [requestUrl]
  * @returns {Promise<Response>}
  */
-export async function deletePartial(svc, origin, id) {
+export async function deletePartial(svc, origin, id, requestUrl = null) {
 	if (!id) {
 		return svc.json({ error: "Missing partial id" }, 400, svc.corsHeaders(origin));
 	}
 
+	let graph;
+	try {
+		graph = await loadGraph(svc);
+	} catch (err) {
+		return graphUnavailable(svc, origin, err);
+	}
+	const node = graph.partials.find(n => n.id === id);
+	const usage = node ? usageOf(graph, node) : null;
+	const force = requestUrl?.searchParams?.get("force") === "true";
+	if (usage?.in_use && !force) {
+		return svc.json({
+			ok: false,
+			error: "partial_in_use",
+			message: `${node.ref} is still included by ${describeUsage(usage)}. Remove the includes first, or delete it anyway with force=true.`,
+			used_by: usage
+		}, 409, svc.corsHeaders(origin));
+	}
+	const warnings = [];
+	if (usage?.in_use) warnings.push(`Deleted while still included by ${describeUsage(usage)}. Those includes will render as nothing.`);
+	if (usage?.published.length) warnings.push(`${usage.published.length} published guide version(s) keep the copy of ${node.ref} they were published with.`);
+
 	const base = svc.env.AIRTABLE_BASE_ID;
 	const table = encodeURIComponent(svc.env.AIRTABLE_TABLE_PARTIALS || "Partials");
 	const url = `https://api.airtable.com/v0/${base}/${table}/${encodeURIComponent(id)}`;
@@ -239,5 +310,319 @@ export async function deletePartial(svc, origin, id) {
 		return svc.json({ error: `Airtable ${res.status}`, detail: safeText(txt) }, res.status, svc.corsHeaders(origin));
 	}
 
-	return svc.json({ ok: true }, 200, svc.corsHeaders(origin));
+	return svc.json({ ok: true, warnings }, 200, svc.corsHeaders(origin));
+}
+
+/* ─────────────── Include graph ─────────────── */
+
+/**
+ * The reference a guide uses to include a partial version: `name` for
+ * version 1 and `name_v<n>` for later versions.
+ * @param {string} name
+ * @param {number} [version]
+ * @returns {string}
+ */
+export function partialRef(name, version = 1) {
+	return Number(version) > 1 ? `${name}_v${version}` : String(name);
+}
+
+/** `consent` and `consent_v1` name the same version. */
+function refKey(ref) {
+	const { name, version } = parsePartialRef(ref);
+	return `${name}@${version}`;
+}
+
+function parseJson(value, fallback) {
+	try {
+		return value ? JSON.parse(value) : fallback;
+	} catch {
+		return fallback;
+	}
+}
+
+function partialNode(record) {
+	const f = record.fields || {};
+	const name = String(f.Name || f.name || "");
+	const version = Number(f.Version ?? f.version ?? 1) || 1;
+	return {
+		id: record.id,
+		name,
+		version,
+		ref: partialRef(name, version),
+		title: f.Title || f.title || "",
+		category: f.Category || f.category || "Uncategorised",
+		status: f.Status || f.status || "draft",
+		description: f.Description || f.description || "",
+		source: String(f.Source || f.source || "")
+	};
+}
+
+function guideNode(record) {
+	const f = record.fields || {};
+	const titleKey = pickFirstField(f, GUIDE_FIELD_NAMES.title);
+	const sourceKey = pickFirstField(f, GUIDE_FIELD_NAMES.source);
+	return { id: record.id, title: titleKey ? f[titleKey] : "Untitled", source: String(sourceKey ? f[sourceKey] || "" : "") };
+}
+
+/** Partial versions frozen into published guide snapshots (see ./guide-versions.js). */
+async function publishedPartialUses(svc) {
+	if (!svc?.env?.RESEARCHOPS_D1?.prepare) return [];
+	let rows;
+	try {
+		rows = await d1All(svc.env, "SELECT guide_id, version, title, partials_json FROM rops_guide_versions WHERE status = 'published' ORDER BY guide_id, version");
+	} catch {
+		// The snapshot table is created on first publish
+		return [];
+	}
+	return rows.flatMap(row => parseJson(row.partials_json, [])
+		.filter(partial => partial?.id)
+		.map(partial => ({ guide_id: row.guide_id, guide_version: Number(row.version), title: row.title, partial_id: partial.id })));
+}
+
+/**
+ * Every partial version, every guide and every published snapshot include.
+ * @param {import("./index.js").ResearchOpsService} svc
+ */
+async function loadGraph(svc) {
+	const [partialRecords, guideRecords, published] = await Promise.all([
+		listAll(svc.env, svc.env.AIRTABLE_TABLE_PARTIALS || "Partials", {}, svc.cfg.TIMEOUT_MS),
+		listAll(svc.env, svc.env.AIRTABLE_TABLE_GUIDES, {}, svc.cfg.TIMEOUT_MS),
+		publishedPartialUses(svc)
+	]);
+	return { partials: partialRecords.records.map(partialNode), guides: guideRecords.records.map(guideNode), published };
+}
+
+/**
+ * Include cycles between partials, each as the references walked from a
+ * partial back to itself, e.g. `["a", "b", "a"]`. Includes of unknown
+ * partials are ignored.
+ * @param {Array<{ ref: string, source: string }>} partials
+ * @returns {string[][]}
+ */
+export function findIncludeCycles(partials) {
+	const byKey = new Map(partials.map(node => [refKey(node.ref), node]));
+	const state = new Map();
+	const stack = [];
+	const seen = new Set();
+	const cycles = [];
+	const visit = (node) => {
+		state.set(refKey(node.ref), "open");
+		stack.push(node.ref);
+		for (const ref of collectPartialNames(node.source)) {
+			const child = byKey.get(refKey(ref));
+			if (!child) continue;
+			const childState = state.get(refKey(child.ref));
+			if (childState === "open") {
+				const cycle = stack.slice(stack.indexOf(child.ref));
+				const signature = [...cycle].sort().join("|");
+				if (!seen.has(signature)) {
+					seen.add(signature);
+					cycles.push([...cycle, child.ref]);
+				}
+			} else if (!childState) {
+				visit(child);
+			}
+		}
+		stack.pop();
+		state.set(refKey(node.ref), "done");
+	};
+	for (const node of partials) {
+		if (!state.has(refKey(node.ref))) visit(node);
+	}
+	return cycles;
+}
+
+/** The cycle a new or changed partial would close, or null. */
+function cycleThrough(graph, candidate) {
+	const others = graph.partials.filter(node => node.id !== candidate.id && refKey(node.ref) !== refKey(candidate.ref));
+	return findIncludeCycles([candidate, ...others]).find(cycle => cycle.includes(candidate.ref)) || null;
+}
+
+function includes(source, key) {
+	return collectPartialNames(source).some(ref => refKey(ref) === key);
+}
+
+/**
+ * Guides and partials that include a partial version, directly or through
+ * other partials, and the published snapshots that froze it.
+ */
+function usageOf(graph, node) {
+	const key = refKey(node.ref);
+	const parents = graph.partials.filter(other => other.id !== node.id && includes(other.source, key));
+	const guides = graph.guides.filter(guide => includes(guide.source, key));
+
+	const ancestors = new Set();
+	const queue = [...parents];
+	while (queue.length) {
+		const next = queue.shift();
+		const nextKey = refKey(next.ref);
+		if (nextKey === key || ancestors.has(nextKey)) continue;
+		ancestors.add(nextKey);
+		queue.push(...graph.partials.filter(other => includes(other.source, nextKey)));
+	}
+	const direct = new Set(guides.map(guide => guide.id));
+	const indirect = graph.guides.filter(guide => !direct.has(guide.id) && collectPartialNames(guide.source).some(ref => ancestors.has(refKey(ref))));
+	const published = graph.published.filter(use => use.partial_id === node.id);
+
+	return {
+		guides: guides.map(({ id, title }) => ({ id, title })),
+		indirect_guides: indirect.map(({ id, title }) => ({ id, title })),
+		partials: parents.map(({ id, ref, title }) => ({ id, ref, title })),
+		published: publishedSummary(published),
+		in_use: guides.length + indirect.length + parents.length > 0
+	};
+}
+
+function publishedSummary(uses) {
+	return uses.map(({ guide_id, guide_version, title }) => ({ guide_id, version: guide_version, title }));
+}
+
+function describeUsage(usage) {
+	const parts = [];
+	const count = (n, one) => `${n} ${one}${n === 1 ? "" : "s"}`;
+	if (usage.guides.length) parts.push(count(usage.guides.length, "guide"));
+	if (usage.indirect_guides.length) parts.push(`${count(usage.indirect_guides.length, "guide")} through other partials`);
+	if (usage.partials.length) parts.push(count(usage.partials.length, "partial"));
+	return parts.join(", ");
+}
+
+function graphUnavailable(svc, origin, err) {
+	svc.log.error("partials.graph.fail", { err: String(err?.message || err) });
+	return svc.json({ ok: false, error: "partial_graph_unavailable", message: "Partial usage could not be checked. Try again." }, 502, svc.corsHeaders(origin));
+}
+
+function cycleResponse(svc, origin, cycle) {
+	return svc.json({ ok: false, error: "partial_include_cycle", message: `This would make partials include each other in a loop: ${cycle.join(" → ")}.`, cycle }, 422, svc.corsHeaders(origin));
+}
+
+/**
+ * The include graph: each partial version with what it includes and how
+ * often it is used, each guide's includes, missing partials and cycles.
+ * @route GET /api/partials/graph
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @returns {Promise<Response>}
+ */
+export async function readPartialGraph(svc, origin) {
+	let graph;
+	try {
+		graph = await loadGraph(svc);
+	} catch (err) {
+		return graphUnavailable(svc, origin, err);
+	}
+	const known = new Set(graph.partials.map(node => refKey(node.ref)));
+	const missing = new Set();
+	const includeList = (source) => collectPartialNames(source).map(ref => {
+		if (!known.has(refKey(ref))) missing.add(ref);
+		return ref;
+	});
+	const partials = graph.partials.map(node => {
+		const usage = usageOf(graph, node);
+		return {
+			id: node.id,
+			name: node.name,
+			version: node.version,
+			ref: node.ref,
+			title: node.title,
+			status: node.status,
+			includes: includeList(node.source),
+			used_by: { guides: usage.guides.length, indirect_guides: usage.indirect_guides.length, partials: usage.partials.length, published: usage.published.length },
+			in_use: usage.in_use
+		};
+	});
+	const guides = graph.guides.map(guide => ({ id: guide.id, title: guide.title, includes: includeList(guide.source) }));
+	return svc.json({ ok: true, partials, guides, missing: Array.from(missing), cycles: findIncludeCycles(graph.partials) }, 200, svc.corsHeaders(origin));
+}
+
+/**
+ * Guides and partials that include a partial version.
+ * @route GET /api/partials/:id/usage
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {string} id
+ * @returns {Promise<Response>}
+ */
+export async function readPartialUsage(svc, origin, id) {
+	let graph;
+	try {
+		graph = await loadGraph(svc);
+	} catch (err) {
+		return graphUnavailable(svc, origin, err);
+	}
+	const node = graph.partials.find(n => n.id === id);
+	if (!node) return svc.json({ error: "Partial not found", detail: `No record found with id: ${id}` }, 404, svc.corsHeaders(origin));
+	const versions = graph.partials
+		.filter(other => other.name === node.name)
+		.sort((a, b) => a.version - b.version)
+		.map(({ id: versionId, version, ref, status }) => ({ id: versionId, version, ref, status }));
+	return svc.json({ ok: true, partial: { id: node.id, name: node.name, version: node.version, ref: node.ref }, versions, used_by: usageOf(graph, node) }, 200, svc.corsHeaders(origin));
+}
+
+/**
+ * Save a change to a partial as its next version. The new record keeps the
+ * name, so guides opt in by including `name_v<n>`; guides that include the
+ * earlier version keep rendering it.
+ * @route POST /api/partials/:id/versions
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {string} id the version to start from
+ * @returns {Promise<Response>}
+ */
+export async function createPartialVersion(svc, request, origin, id) {
+	const body = await request.arrayBuffer();
+	if (body.byteLength > svc.cfg.MAX_BODY_BYTES) {
+		svc.log.warn("request.too_large", { size: body.byteLength });
+		return svc.json({ error: "Payload too large" }, 413, svc.corsHeaders(origin));
+	}
+
+	let p;
+	try {
+		p = JSON.parse(new TextDecoder().decode(body) || "{}");
+	} catch {
+		return svc.json({ error: "Invalid JSON" }, 400, svc.corsHeaders(origin));
+	}
+
+	let graph;
+	try {
+		graph = await loadGraph(svc);
+	} catch (err) {
+		return graphUnavailable(svc, origin, err);
+	}
+	const from = graph.partials.find(n => n.id === id);
+	if (!from) return svc.json({ error: "Partial not found", detail: `No record found with id: ${id}` }, 404, svc.corsHeaders(origin));
+
+	const version = Math.max(...graph.partials.filter(n => n.name === from.name).map(n => n.version)) + 1;
+	const candidate = { id: null, name: from.name, version, ref: partialRef(from.name, version), source: p.source !== undefined ? String(p.source) : from.source };
+	const cycle = cycleThrough(graph, candidate);
+	if (cycle) return cycleResponse(svc, origin, cycle);
+
+	const fields = {
+		Name: from.name,
+		Title: p.title !== undefined ? p.title : from.title,
+		Category: p.category !== undefined ? p.category : from.category,
+		Version: version,
+		Source: candidate.source,
+		Description: p.description !== undefined ? p.description : from.description,
+		Status: "draft"
+	};
+
+	const base = svc.env.AIRTABLE_BASE_ID;
+	const table = encodeURIComponent(svc.env.AIRTABLE_TABLE_PARTIALS || "Partials");
+	const res = await fetchWithTimeout(`https://api.airtable.com/v0/${base}/${table}`, {
+		method: "POST",
+		headers: {
+			"Authorization": `Bearer ${svc.env.AIRTABLE_API_KEY}`,
+			"Content-Type": "application/json"
+		},
+		body: JSON.stringify({ records: [{ fields }] })
+	}, svc.cfg.TIMEOUT_MS);
+
+	if (!res.ok) {
+		const txt = await res.text();
+		return svc.json({ error: `Airtable ${res.status}`, detail: safeText(txt) }, res.status, svc.corsHeaders(origin));
+	}
+
+	const { records = [] } = await res.json();
+	return svc.json({ ok: true, id: records[0]?.id, name: from.name, version, ref: candidate.ref }, 200, svc.corsHeaders(origin));
 }
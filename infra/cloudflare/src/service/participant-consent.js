@@ -7,9 +7,11 @@
 import { fetchWithTimeout, pickFirstField, safeText, toMs } from "../core/utils.js";
 import { PARTICIPANT_CONSENT_FIELDS } from "../core/fields.js";
 import { airtableTryWrite } from "../core/utils.js";
+import { normaliseWithdrawalScope, startConsentWithdrawal } from "./consent-withdrawal.js";
+import { participantResponseHash } from "./internals/consent-hash.js";
 import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
 
-const PARTICIPANT_CONSENT_TABLE = "rops_participant_consent_cache";
+export const PARTICIPANT_CONSENT_TABLE = "rops_participant_consent_cache";
 
 const PARTICIPANT_CONSENT_SQL = `
 	CREATE TABLE IF NOT EXISTS ${PARTICIPANT_CONSENT_TABLE} (
@@ -33,6 +35,14 @@ const PARTICIPANT_CONSENT_SQL = `
 	)
 `;
 
+const RECORD_COLUMNS = [
+	"id", "study_id", "participant_id", "consent_form_id", "consent_form_version", "responses_json",
+	"status", "capture_method", "withdrawn", "withdrawal_reason", "recorded_by", "recorded_at",
+	"created_at", "updated_at", "active", "source", "payload_json",
+	"response_hash", "previous_response_hash", "form_hash", "consent_link_id"
+];
+const CHAIN_ATTEMPTS = 3;
+
 function hasD1(svc) {
 	return Boolean(svc?.env?.RESEARCHOPS_D1?.prepare);
 }
@@ -60,11 +70,63 @@ function airtableConfigured(svc) {
 	return Boolean(airtableBase(svc) && airtableKey(svc));
 }
 
-async function ensureParticipantConsentTable(svc) {
+export async function ensureParticipantConsentTable(svc) {
 	if (!hasD1(svc)) throw new Error("RESEARCHOPS_D1 binding not available");
 	await d1Run(svc.env, PARTICIPANT_CONSENT_SQL);
 	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_participant_consent_study ON ${PARTICIPANT_CONSENT_TABLE} (study_id, active, recorded_at)`);
 	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_participant_consent_participant ON ${PARTICIPANT_CONSENT_TABLE} (participant_id, active)`);
+	for (const column of ["response_hash TEXT", "previous_response_hash TEXT", "form_hash TEXT", "consent_link_id TEXT"]) {
+		try {
+			await d1Run(svc.env, `ALTER TABLE ${PARTICIPANT_CONSENT_TABLE} ADD COLUMN ${column}`);
+		} catch {
+			/* already present */
+		}
+	}
+	// A hashed record names the hash of the one before it; no two can name the same one.
+	await d1Run(svc.env, `CREATE UNIQUE INDEX IF NOT EXISTS idx_rops_participant_consent_chain ON ${PARTICIPANT_CONSENT_TABLE} (study_id, participant_id, COALESCE(previous_response_hash, '')) WHERE response_hash IS NOT NULL`);
+}
+
+/** The hash of the participant's newest hashed record: the one no other record follows. */
+async function chainHead(svc, studyId, participantId) {
+	const row = await d1Get(svc.env, `
+		SELECT head.response_hash
+		FROM ${PARTICIPANT_CONSENT_TABLE} head
+		WHERE head.study_id = ? AND head.participant_id = ? AND head.response_hash IS NOT NULL
+			AND NOT EXISTS (
+				SELECT 1 FROM ${PARTICIPANT_CONSENT_TABLE} later
+				WHERE later.study_id = head.study_id AND later.participant_id = head.participant_id
+					AND later.previous_response_hash = head.response_hash
+			)
+		ORDER BY COALESCE(head.recorded_at, head.created_at) DESC, head.created_at DESC
+		LIMIT 1
+	`, [studyId, participantId]);
+	return row?.response_hash || "";
+}
+
+/**
+ * Append a consent record to the end of the participant's hash chain. The
+ * chain index lets only one of two concurrent appends follow the same record,
+ * so the other re-reads the head and tries again.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Record<string, any>} row Record columns, without the hashes.
+ * @param {Array<{ sql: string, params: unknown[] }>} [also] Statements committed with the insert.
+ * @returns {Promise<Record<string, any>>} The row as stored.
+ */
+export async function appendParticipantConsent(svc, row, also = []) {
+	const db = svc.env.RESEARCHOPS_D1;
+	for (let attempt = 1; ; attempt += 1) {
+		const previous = await chainHead(svc, row.study_id, row.participant_id);
+		const record = { active: 1, source: "d1", ...row, previous_response_hash: previous || null };
+		record.response_hash = await participantResponseHash(record);
+		const insert = db.prepare(`INSERT INTO ${PARTICIPANT_CONSENT_TABLE} (${RECORD_COLUMNS.join(", ")}) VALUES (${RECORD_COLUMNS.map(() => "?").join(", ")})`)
+			.bind(...RECORD_COLUMNS.map((column) => record[column] ?? null));
+		try {
+			await db.batch([insert, ...also.map(({ sql, params }) => db.prepare(sql).bind(...params))]);
+			return record;
+		} catch (err) {
+			if (attempt >= CHAIN_ATTEMPTS || !/UNIQUE constraint failed/i.test(String(err?.message || err))) throw err;
+		}
+	}
 }
 
 function participantConsentTable(svc) {
@@ -154,7 +216,9 @@ function rowToParticipantConsent(row) {
 		withdrawalReason: row.withdrawal_reason || "",
 		recordedBy: row.recorded_by || "",
 		recordedAt: row.recorded_at || row.created_at || "",
-		updatedAt: row.updated_at || ""
+		updatedAt: row.updated_at || "",
+		responseHash: row.response_hash || "",
+		consentLinkId: row.consent_link_id || ""
 	};
 }
 
@@ -200,64 +264,50 @@ function d1Payload(payload, existing = {}) {
 	};
 }
 
+function d1Record(id, fields, payloadJson, createdAt) {
+	return {
+		id,
+		study_id: fields.studyId,
+		participant_id: fields.participantId,
+		consent_form_id: fields.consentFormId || null,
+		consent_form_version: fields.consentFormVersion,
+		responses_json: fields.responsesJson,
+		status: fields.status,
+		capture_method: fields.captureMethod || null,
+		withdrawn: fields.withdrawn,
+		withdrawal_reason: fields.withdrawalReason || null,
+		recorded_by: fields.recordedBy || null,
+		recorded_at: fields.recordedAt || null,
+		created_at: createdAt,
+		updated_at: fields.updatedAt,
+		payload_json: payloadJson
+	};
+}
+
 async function createD1ParticipantConsent(svc, payload) {
 	await ensureParticipantConsentTable(svc);
-	const fields = d1Payload(payload);
 	const id = participantConsentId();
-	const createdAt = nowIso();
-	await d1Run(svc.env, `
-		INSERT INTO ${PARTICIPANT_CONSENT_TABLE} (
-			id, study_id, participant_id, consent_form_id, consent_form_version, responses_json,
-			status, capture_method, withdrawn, withdrawal_reason, recorded_by, recorded_at,
-			created_at, updated_at, active, source, payload_json
-		) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, 'd1', ?)
-	`, [
-		id,
-		fields.studyId,
-		fields.participantId,
-		fields.consentFormId || null,
-		fields.consentFormVersion,
-		fields.responsesJson,
-		fields.status,
-		fields.captureMethod || null,
-		fields.withdrawn,
-		fields.withdrawalReason || null,
-		fields.recordedBy || null,
-		fields.recordedAt || null,
-		createdAt,
-		fields.updatedAt,
-		JSON.stringify({ ...payload, id })
-	]);
-	const row = await d1Get(svc.env, `SELECT * FROM ${PARTICIPANT_CONSENT_TABLE} WHERE id = ? LIMIT 1`, [id]);
+	const row = await appendParticipantConsent(svc, d1Record(id, d1Payload(payload), JSON.stringify({ ...payload, id }), nowIso()));
 	return rowToParticipantConsent(row);
 }
 
+/**
+ * Consent records are never edited. A researcher's change is appended as a
+ * new record in the chain and the one it replaces is made inactive with it.
+ */
 async function updateD1ParticipantConsent(svc, recordId, payload) {
 	await ensureParticipantConsentTable(svc);
 	const existing = await d1Get(svc.env, `SELECT * FROM ${PARTICIPANT_CONSENT_TABLE} WHERE id = ? AND active = 1 LIMIT 1`, [recordId]);
 	if (!existing) return null;
+	// Responses a participant gave through a consent link are theirs alone to change.
+	if (existing.consent_link_id) return { locked: true };
 	const fields = d1Payload(payload, existing);
-	await d1Run(svc.env, `
-		UPDATE ${PARTICIPANT_CONSENT_TABLE}
-		SET consent_form_id = ?, consent_form_version = ?, responses_json = ?, status = ?,
-			capture_method = ?, withdrawn = ?, withdrawal_reason = ?, recorded_by = ?,
-			recorded_at = ?, updated_at = ?, payload_json = ?
-		WHERE id = ? AND active = 1
-	`, [
-		fields.consentFormId || null,
-		fields.consentFormVersion,
-		fields.responsesJson,
-		fields.status,
-		fields.captureMethod || null,
-		fields.withdrawn,
-		fields.withdrawalReason || null,
-		fields.recordedBy || null,
-		fields.recordedAt || null,
-		fields.updatedAt,
-		JSON.stringify({ ...parseResponses(existing.payload_json), ...payload, id: recordId }),
-		recordId
-	]);
-	const row = await d1Get(svc.env, `SELECT * FROM ${PARTICIPANT_CONSENT_TABLE} WHERE id = ? LIMIT 1`, [recordId]);
+	const id = participantConsentId();
+	const payloadJson = JSON.stringify({ ...parseResponses(existing.payload_json), ...payload, id, supersedes: recordId });
+	const row = await appendParticipantConsent(svc, d1Record(id, fields, payloadJson, fields.updatedAt), [{
+		sql: `UPDATE ${PARTICIPANT_CONSENT_TABLE} SET active = 0, updated_at = ? WHERE id = ? AND active = 1`,
+		params: [fields.updatedAt, recordId]
+	}]);
 	return rowToParticipantConsent(row);
 }
 
@@ -419,7 +469,25 @@ export async function listParticipantConsent(svc, origin, url) {
 	return unavailableResponse(svc, origin);
 }
 
-export async function createParticipantConsent(svc, request, origin) {
+function invalidScopeResponse(svc, origin) {
+	return svc.json({
+		ok: false,
+		error: "invalid_withdrawal_scope",
+		message: "Choose whether to remove, redact or keep the data already collected."
+	}, 400, svc.corsHeaders(origin));
+}
+
+/** Queue the withdrawal cascade when a saved record is withdrawn. */
+async function withdrawalFor(svc, participantConsent, payload, authContext) {
+	if (!participantConsent?.withdrawn) return undefined;
+	return startConsentWithdrawal(svc, participantConsent, {
+		scope: payload.withdrawalScope,
+		actor: authContext?.user?.email || participantConsent.recordedBy,
+		uid: authContext?.user?.id
+	});
+}
+
+export async function createParticipantConsent(svc, request, origin, authContext = null) {
 	let payload;
 	try {
 		payload = await readBody(svc, request);
@@ -432,11 +500,13 @@ export async function createParticipantConsent(svc, request, origin) {
 	if (!studyId || !participantId) {
 		return svc.json({ ok: false, error: "Missing fields: studyId, participantId" }, 400, svc.corsHeaders(origin));
 	}
+	if (payload.withdrawn && !normaliseWithdrawalScope(payload.withdrawalScope)) return invalidScopeResponse(svc, origin);
 
 	if (hasD1(svc)) {
 		try {
 			const participantConsent = await createD1ParticipantConsent(svc, payload);
-			return svc.json({ ok: true, participantConsent }, 200, svc.corsHeaders(origin));
+			const withdrawal = await withdrawalFor(svc, participantConsent, payload, authContext);
+			return svc.json({ ok: true, participantConsent, ...(withdrawal ? { withdrawal } : {}) }, 200, svc.corsHeaders(origin));
 		} catch (err) {
 			svc.log.error("d1.participant_consent.create.fail", { detail: err.message });
 		}
@@ -446,7 +516,7 @@ export async function createParticipantConsent(svc, request, origin) {
 	return unavailableResponse(svc, origin);
 }
 
-export async function updateParticipantConsent(svc, request, origin, recordId) {
+export async function updateParticipantConsent(svc, request, origin, recordId, authContext = null) {
 	if (!recordId) return svc.json({ ok: false, error: "Missing participant consent id" }, 400, svc.corsHeaders(origin));
 	let payload;
 	try {
@@ -454,11 +524,22 @@ export async function updateParticipantConsent(svc, request, origin, recordId) {
 	} catch (err) {
 		return svc.json({ ok: false, error: err.message }, err.status || 400, svc.corsHeaders(origin));
 	}
+	if (payload.withdrawn && !normaliseWithdrawalScope(payload.withdrawalScope)) return invalidScopeResponse(svc, origin);
 
 	if (hasD1(svc)) {
 		try {
 			const participantConsent = await updateD1ParticipantConsent(svc, recordId, payload);
-			if (participantConsent) return svc.json({ ok: true, participantConsent }, 200, svc.corsHeaders(origin));
+			if (participantConsent?.locked) {
+				return svc.json({
+					ok: false,
+					error: "participant_response_locked",
+					message: "The participant gave this response through their consent link, so it cannot be changed. Record a new response instead."
+				}, 409, svc.corsHeaders(origin));
+			}
+			if (participantConsent) {
+				const withdrawal = await withdrawalFor(svc, participantConsent, payload, authContext);
+				return svc.json({ ok: true, participantConsent, ...(withdrawal ? { withdrawal } : {}) }, 200, svc.corsHeaders(origin));
+			}
 		} catch (err) {
 			svc.log.error("d1.participant_consent.update.fail", { detail: err.message });
 		}
@@ -0,0 +1,742 @@
+/**
+ * @file src/service/participant-panel.js
+ * @module service/participant-panel
+ * @summary Organisation-wide participant panel: members, screeners, study quotas and invites.
+ *
+ * Endpoints covered:
+ * - GET   /api/panel/members?status=&screener=<ScreenerId>
+ * - POST  /api/panel/members
+ * - PATCH /api/panel/members/:id
+ * - GET   /api/panel/screeners
+ * - POST  /api/panel/screeners
+ * - POST  /api/panel/screeners/:id/responses
+ * - GET   /api/panel/quotas?study=<StudyId>
+ * - PUT   /api/panel/quotas
+ * - POST  /api/panel/invites
+ *
+ * Panel members are people who have agreed to be contacted about research.
+ * Each has attributes such as user group, device or assisted digital need,
+ * set directly or from screener answers. A screener is a list of questions
+ * with eligibility rules; a member's latest response to it decides whether
+ * they are eligible. Studies set quota targets per attribute value.
+ *
+ * Inviting members to a study creates a participant record for each one,
+ * with the member's contact details, through the same path as adding a
+ * participant by hand. A member is skipped, with the reason, when they are
+ * not active, were already invited, have not passed the chosen screener,
+ * would go over a full quota or have been contacted too often. Contact
+ * limits default to CONTACT_LIMITS and can be changed with
+ * RESEARCHOPS_PANEL_CONTACT_LIMITS, for example
+ * `{"windowDays":365,"maxStudies":2,"minDaysBetween":60}`. The invite row
+ * is claimed with a single conditional INSERT that checks the quotas and
+ * contact limits again, so invites sent at the same time cannot overfill a
+ * quota or contact a member too often. Participants are added to the
+ * study's own project.
+ *
+ * Member lists never include contact details; they are revealed through the
+ * study participant once a member has been invited.
+ */
+
+import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
+import { insertParticipantRecord, recordParticipantEvent } from "./participants.js";
+import { recruitmentEthicsGate } from "./study-ethics-risk.js";
+
+const MEMBERS_TABLE = "rops_panel_members";
+const SCREENERS_TABLE = "rops_panel_screeners";
+const RESPONSES_TABLE = "rops_panel_screener_responses";
+const QUOTAS_TABLE = "rops_panel_quotas";
+const INVITES_TABLE = "rops_panel_invites";
+const STUDIES_TABLE = "rops_studies_cache";
+
+export const MEMBER_STATUSES = Object.freeze(["active", "paused", "opted_out"]);
+export const QUESTION_TYPES = Object.freeze(["choice", "multi", "yes_no", "number", "text"]);
+export const RULE_OPERATORS = Object.freeze(["equals", "not_equals", "in", "not_in", "includes", "at_least", "at_most"]);
+export const CONTACT_LIMITS = Object.freeze({ windowDays: 365, maxStudies: 3, minDaysBetween: 90 });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_INVITES_PER_REQUEST = 200;
+const ATTRIBUTE_KEY = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+
+const SKIP_MESSAGES = {
+	not_found: "This panel member could not be found.",
+	not_active: "This panel member is paused or has opted out.",
+	already_invited: "This panel member has already been invited to the study.",
+	not_screened: "This panel member has not answered the screener.",
+	not_eligible: "This panel member is not eligible under the screener rules.",
+	quota_full: "The study quota for this panel member is full.",
+	contact_limit_reached: "This panel member has been invited to as many studies as the contact limit allows.",
+	contacted_recently: "This panel member was invited to another study too recently."
+};
+
+function hasD1(svc) { return Boolean(svc?.env?.RESEARCHOPS_D1?.prepare); }
+function nowIso(value = Date.now()) { return new Date(value).toISOString(); }
+function text(value) { return String(value ?? "").trim(); }
+function makeId(prefix) { return `${prefix}_${crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}_${Math.random().toString(16).slice(2)}`}`; }
+function unavailable(svc, origin) { return svc.json({ ok: false, error: "panel_unavailable", message: "The participant panel is not available right now." }, 503, svc.corsHeaders(origin)); }
+function badRequest(svc, origin, error) { return svc.json({ ok: false, error }, 400, svc.corsHeaders(origin)); }
+function notFound(svc, origin, error) { return svc.json({ ok: false, error }, 404, svc.corsHeaders(origin)); }
+
+function parseJson(value, fallback) {
+	try {
+		return value ? JSON.parse(value) : fallback;
+	} catch {
+		return fallback;
+	}
+}
+
+function actorOf(authContext = {}) {
+	const user = authContext?.user || {};
+	return text(user.email || user.id || authContext?.userId);
+}
+
+async function ensureTables(svc) {
+	if (!hasD1(svc)) throw new Error("RESEARCHOPS_D1 binding not available");
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${MEMBERS_TABLE} (id TEXT PRIMARY KEY, member_ref TEXT NOT NULL, status TEXT NOT NULL DEFAULT 'active', attributes_json TEXT NOT NULL DEFAULT '{}', sensitive_contact_json TEXT, channel_pref TEXT, access_needs TEXT, joined_at TEXT NOT NULL, opted_out_at TEXT, created_by TEXT, updated_at TEXT NOT NULL)`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_panel_members_status ON ${MEMBERS_TABLE} (status, joined_at)`);
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${SCREENERS_TABLE} (id TEXT PRIMARY KEY, title TEXT NOT NULL, questions_json TEXT NOT NULL DEFAULT '[]', rules_json TEXT NOT NULL DEFAULT '[]', created_by TEXT, created_at TEXT NOT NULL, updated_at TEXT NOT NULL)`);
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${RESPONSES_TABLE} (id TEXT PRIMARY KEY, screener_id TEXT NOT NULL, member_id TEXT NOT NULL, answers_json TEXT NOT NULL DEFAULT '{}', eligible INTEGER NOT NULL DEFAULT 0, reasons_json TEXT NOT NULL DEFAULT '[]', responded_at TEXT NOT NULL, recorded_by TEXT)`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_panel_screener_responses_member ON ${RESPONSES_TABLE} (screener_id, member_id, responded_at)`);
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${QUOTAS_TABLE} (id TEXT PRIMARY KEY, study_id TEXT NOT NULL, attribute TEXT NOT NULL, value TEXT NOT NULL, target INTEGER NOT NULL, updated_by TEXT, updated_at TEXT NOT NULL, UNIQUE (study_id, attribute, value))`);
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${INVITES_TABLE} (id TEXT PRIMARY KEY, member_id TEXT NOT NULL, study_id TEXT NOT NULL, project_id TEXT, participant_id TEXT NOT NULL, screener_id TEXT, attributes_json TEXT NOT NULL DEFAULT '{}', invited_at TEXT NOT NULL, invited_by TEXT, UNIQUE (member_id, study_id))`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_panel_invites_member ON ${INVITES_TABLE} (member_id, invited_at)`);
+}
+
+async function readBody(svc, request) {
+	const body = await request.arrayBuffer();
+	if (body.byteLength > svc.cfg.MAX_BODY_BYTES) throw Object.assign(new Error("Payload too large"), { status: 413 });
+	try {
+		return JSON.parse(new TextDecoder().decode(body || new ArrayBuffer(0)) || "{}");
+	} catch {
+		throw Object.assign(new Error("Invalid JSON"), { status: 400 });
+	}
+}
+
+function bodyError(svc, origin, error) {
+	return svc.json({ ok: false, error: error.message }, error.status || 400, svc.corsHeaders(origin));
+}
+
+/* ─────────────── Attributes, screeners and limits ─────────────── */
+
+/**
+ * Attribute map with string keys and string values; anything else is dropped.
+ * @param {unknown} value
+ * @returns {Record<string, string>}
+ */
+export function normaliseAttributes(value) {
+	const out = {};
+	if (!value || typeof value !== "object" || Array.isArray(value)) return out;
+	for (const [key, raw] of Object.entries(value)) {
+		const attribute = text(key);
+		const attributeValue = Array.isArray(raw) ? raw.map(text).filter(Boolean).join(", ") : text(raw);
+		if (ATTRIBUTE_KEY.test(attribute) && attributeValue) out[attribute] = attributeValue;
+	}
+	return out;
+}
+
+/**
+ * Check a screener definition. Returns the cleaned screener or an error.
+ * @param {any} payload
+ * @returns {{ error: string } | { title: string, questions: Array<any>, rules: Array<any> }}
+ */
+export function validateScreener(payload = {}) {
+	const title = text(payload.title);
+	if (!title) return { error: "Missing field: title" };
+	const questions = Array.isArray(payload.questions) ? payload.questions : [];
+	if (!questions.length) return { error: "A screener needs at least one question" };
+	const cleaned = [];
+	for (const question of questions) {
+		const id = text(question?.id);
+		const type = text(question?.type).toLowerCase();
+		const options = Array.isArray(question?.options) ? question.options.map(text).filter(Boolean) : [];
+		const attribute = text(question?.attribute);
+		if (!id) return { error: "Every question needs an id" };
+		if (cleaned.some((item) => item.id === id)) return { error: `Question id ${id} is used more than once` };
+		if (!text(question?.text)) return { error: `Question ${id} needs text` };
+		if (!QUESTION_TYPES.includes(type)) return { error: `Question ${id} type must be one of ${QUESTION_TYPES.join(", ")}` };
+		if (["choice", "multi"].includes(type) && options.length < 2) return { error: `Question ${id} needs at least two options` };
+		if (attribute && !ATTRIBUTE_KEY.test(attribute)) return { error: `Question ${id} attribute must be a simple name such as userGroup` };
+		cleaned.push({ id, text: text(question.text), type, ...(options.length ? { options } : {}), ...(attribute ? { attribute } : {}) });
+	}
+	const rules = [];
+	for (const rule of Array.isArray(payload.rules) ? payload.rules : []) {
+		const question = cleaned.find((item) => item.id === text(rule?.question));
+		const operator = text(rule?.operator).toLowerCase();
+		if (!question) return { error: `Rule refers to unknown question ${text(rule?.question)}` };
+		if (!RULE_OPERATORS.includes(operator)) return { error: `Rule operator must be one of ${RULE_OPERATORS.join(", ")}` };
+		const value = ["in", "not_in"].includes(operator)
+			? (Array.isArray(rule.value) ? rule.value.map(text).filter(Boolean) : [])
+			: ["at_least", "at_most"].includes(operator) ? Number(rule.value) : text(rule.value);
+		if (Array.isArray(value) ? !value.length : (typeof value === "number" ? !Number.isFinite(value) : !value)) return { error: `Rule on question ${question.id} needs a value` };
+		rules.push({ question: question.id, operator, value });
+	}
+	return { title, questions: cleaned, rules };
+}
+
+function answerValues(answer) {
+	if (Array.isArray(answer)) return answer.map(text).filter(Boolean);
+	if (typeof answer === "boolean") return [answer ? "yes" : "no"];
+	const value = text(answer);
+	return value ? [value] : [];
+}
+
+function rulePasses(rule, answer) {
+	const values = answerValues(answer).map((value) => value.toLowerCase());
+	if (!values.length) return false;
+	const expected = Array.isArray(rule.value) ? rule.value.map((value) => value.toLowerCase()) : String(rule.value).toLowerCase();
+	switch (rule.operator) {
+		case "equals": return values.length === 1 && values[0] === expected;
+		case "not_equals": return !values.includes(expected);
+		case "in": return values.every((value) => expected.includes(value));
+		case "not_in": return !values.some((value) => expected.includes(value));
+		case "includes": return values.includes(expected);
+		case "at_least": return Number(values[0]) >= Number(rule.value);
+		case "at_most": return Number(values[0]) <= Number(rule.value);
+		default: return false;
+	}
+}
+
+/**
+ * Apply a screener's rules to a set of answers. Every rule must pass.
+ * @param {{ questions: Array<any>, rules: Array<any> }} screener
+ * @param {Record<string, unknown>} answers keyed by question id
+ * @returns {{ eligible: boolean, reasons: string[] }}
+ */
+export function evaluateScreener(screener, answers = {}) {
+	const reasons = [];
+	for (const rule of screener.rules || []) {
+		if (rulePasses(rule, answers[rule.question])) continue;
+		const question = (screener.questions || []).find((item) => item.id === rule.question);
+		reasons.push(`${question?.text || rule.question}: ${answerValues(answers[rule.question]).length ? "answer does not meet the rule" : "not answered"}`);
+	}
+	return { eligible: reasons.length === 0, reasons };
+}
+
+/**
+ * Contact limits in force.
+ * @param {any} env
+ * @returns {{ windowDays: number, maxStudies: number, minDaysBetween: number }}
+ */
+export function resolveContactLimits(env) {
+	const overrides = parseJson(env?.RESEARCHOPS_PANEL_CONTACT_LIMITS, {}) || {};
+	const limits = { ...CONTACT_LIMITS };
+	for (const key of Object.keys(CONTACT_LIMITS)) {
+		const value = Number(overrides[key]);
+		if (Number.isInteger(value) && value >= 0) limits[key] = value;
+	}
+	return limits;
+}
+
+/**
+ * Whether a member can be contacted about another study at `now`, given the
+ * times of their earlier invites.
+ * @param {string[]} invitedAt ISO timestamps
+ * @param {{ windowDays: number, maxStudies: number, minDaysBetween: number }} limits
+ * @param {number} [now]
+ * @returns {{ contactable: boolean, reason: string, invitesInWindow: number, availableFrom: string }}
+ */
+export function contactAllowance(invitedAt, limits, now = Date.now()) {
+	const times = invitedAt.map((value) => Date.parse(value)).filter(Number.isFinite).sort((a, b) => b - a);
+	const windowStart = now - limits.windowDays * DAY_MS;
+	const inWindow = times.filter((time) => time > windowStart);
+	let availableAt = now;
+	let reason = "";
+	if (limits.maxStudies > 0 && inWindow.length >= limits.maxStudies) {
+		reason = "contact_limit_reached";
+		availableAt = inWindow[limits.maxStudies - 1] + limits.windowDays * DAY_MS;
+	}
+	if (times.length && times[0] + limits.minDaysBetween * DAY_MS > now) {
+		const gapEnds = times[0] + limits.minDaysBetween * DAY_MS;
+		if (!reason) reason = "contacted_recently";
+		availableAt = Math.max(availableAt, gapEnds);
+	}
+	return { contactable: !reason, reason, invitesInWindow: inWindow.length, availableFrom: reason ? nowIso(availableAt) : "" };
+}
+
+/* ─────────────── DTOs ─────────────── */
+
+function memberDto(row, invitedAt, limits, screening = null) {
+	const allowance = contactAllowance(invitedAt, limits);
+	return {
+		id: row.id,
+		memberRef: row.member_ref,
+		status: row.status,
+		attributes: parseJson(row.attributes_json, {}),
+		hasContactDetails: Boolean(row.sensitive_contact_json),
+		channelPref: row.channel_pref || "",
+		accessNeeds: row.access_needs || "",
+		joinedAt: row.joined_at,
+		optedOutAt: row.opted_out_at || "",
+		invites: invitedAt.length,
+		lastInvitedAt: invitedAt.slice().sort().pop() || "",
+		invitesInWindow: allowance.invitesInWindow,
+		contactable: row.status === "active" && allowance.contactable,
+		availableFrom: allowance.availableFrom,
+		...(screening ? { screening } : {})
+	};
+}
+
+function screenerDto(row) {
+	return {
+		id: row.id,
+		title: row.title,
+		questions: parseJson(row.questions_json, []),
+		rules: parseJson(row.rules_json, []),
+		createdBy: row.created_by || "",
+		createdAt: row.created_at
+	};
+}
+
+function screeningDto(row) {
+	if (!row) return { eligible: false, respondedAt: "", reasons: ["Not screened"] };
+	return { eligible: Boolean(row.eligible), respondedAt: row.responded_at, reasons: parseJson(row.reasons_json, []) };
+}
+
+async function invitesByMember(svc) {
+	const map = new Map();
+	const rows = await d1All(svc.env, `SELECT member_id, invited_at FROM ${INVITES_TABLE}`);
+	for (const row of rows) {
+		if (!map.has(row.member_id)) map.set(row.member_id, []);
+		map.get(row.member_id).push(row.invited_at);
+	}
+	return map;
+}
+
+async function latestResponses(svc, screenerId) {
+	const rows = await d1All(svc.env, `SELECT * FROM ${RESPONSES_TABLE} WHERE screener_id = ? ORDER BY responded_at ASC`, [screenerId]);
+	const map = new Map();
+	for (const row of rows) map.set(row.member_id, row);
+	return map;
+}
+
+async function quotaFill(svc, studyId) {
+	const quotas = await d1All(svc.env, `SELECT * FROM ${QUOTAS_TABLE} WHERE study_id = ? ORDER BY attribute, value`, [studyId]);
+	const invites = await d1All(svc.env, `SELECT attributes_json FROM ${INVITES_TABLE} WHERE study_id = ?`, [studyId]);
+	const attributes = invites.map((row) => parseJson(row.attributes_json, {}));
+	return quotas.map((quota) => {
+		const filled = attributes.filter((item) => text(item[quota.attribute]).toLowerCase() === quota.value.toLowerCase()).length;
+		return { id: quota.id, attribute: quota.attribute, value: quota.value, target: Number(quota.target), filled, remaining: Math.max(Number(quota.target) - filled, 0), full: filled >= Number(quota.target) };
+	});
+}
+
+/* ─────────────── Members ─────────────── */
+
+/**
+ * GET /api/panel/members — the panel without contact details. With
+ * `screener=` each member carries their latest screening result.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {URL} url
+ */
+export async function listPanelMembers(svc, origin, url) {
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	const status = text(url.searchParams.get("status")).toLowerCase();
+	if (status && !MEMBER_STATUSES.includes(status)) return badRequest(svc, origin, `status must be one of ${MEMBER_STATUSES.join(", ")}`);
+	const screenerId = text(url.searchParams.get("screener"));
+	try {
+		await ensureTables(svc);
+		const rows = await d1All(svc.env, `SELECT * FROM ${MEMBERS_TABLE}${status ? " WHERE status = ?" : ""} ORDER BY joined_at ASC, id ASC`, status ? [status] : []);
+		const invites = await invitesByMember(svc);
+		const responses = screenerId ? await latestResponses(svc, screenerId) : null;
+		const limits = resolveContactLimits(svc.env);
+		const members = rows.map((row) => memberDto(row, invites.get(row.id) || [], limits, responses ? screeningDto(responses.get(row.id)) : null));
+		return svc.json({ ok: true, contactLimits: limits, members }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.panel.members.list.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * POST /api/panel/members — add someone to the panel.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {any} authContext
+ */
+export async function createPanelMember(svc, request, origin, authContext = null) {
+	let body;
+	try { body = await readBody(svc, request); }
+	catch (error) { return bodyError(svc, origin, error); }
+
+	const contact = {
+		first_name: text(body.firstName || body.first_name),
+		family_name: text(body.familyName || body.family_name),
+		full_name: text(body.fullName || body.full_name) || [text(body.firstName || body.first_name), text(body.familyName || body.family_name)].filter(Boolean).join(" "),
+		email: text(body.email),
+		phone: text(body.phone)
+	};
+	if (!contact.email && !contact.phone) return badRequest(svc, origin, "A panel member needs an email address or phone number");
+	if (!hasD1(svc)) return unavailable(svc, origin);
+
+	try {
+		await ensureTables(svc);
+		const id = makeId("pnl");
+		const now = nowIso();
+		const memberRef = text(body.memberRef || body.member_ref) || `Panel member ${now.slice(0, 10)}-${id.slice(-4)}`;
+		await d1Run(svc.env, `
+			INSERT INTO ${MEMBERS_TABLE} (id, member_ref, status, attributes_json, sensitive_contact_json, channel_pref, access_needs, joined_at, created_by, updated_at)
+			VALUES (?, ?, 'active', ?, ?, ?, ?, ?, ?, ?)
+		`, [id, memberRef, JSON.stringify(normaliseAttributes(body.attributes)), JSON.stringify(contact), text(body.channelPref || body.channel_pref) || "email", text(body.accessNeeds || body.access_needs) || null, now, actorOf(authContext) || null, now]);
+		const row = await d1Get(svc.env, `SELECT * FROM ${MEMBERS_TABLE} WHERE id = ? LIMIT 1`, [id]);
+		return svc.json({ ok: true, member: memberDto(row, [], resolveContactLimits(svc.env)) }, 201, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.panel.members.create.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * PATCH /api/panel/members/:id — change status or attributes. Attributes
+ * given are merged into the member's existing ones.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {string} id
+ */
+export async function updatePanelMember(svc, request, origin, id) {
+	let body;
+	try { body = await readBody(svc, request); }
+	catch (error) { return bodyError(svc, origin, error); }
+
+	const status = body.status === undefined ? "" : text(body.status).toLowerCase();
+	if (status && !MEMBER_STATUSES.includes(status)) return badRequest(svc, origin, `status must be one of ${MEMBER_STATUSES.join(", ")}`);
+	if (!hasD1(svc)) return unavailable(svc, origin);
+
+	try {
+		await ensureTables(svc);
+		const row = await d1Get(svc.env, `SELECT * FROM ${MEMBERS_TABLE} WHERE id = ? LIMIT 1`, [id]);
+		if (!row) return notFound(svc, origin, "panel_member_not_found");
+		const attributes = { ...parseJson(row.attributes_json, {}), ...normaliseAttributes(body.attributes) };
+		const nextStatus = status || row.status;
+		const now = nowIso();
+		const optedOutAt = nextStatus === "opted_out" ? row.opted_out_at || now : null;
+		await d1Run(svc.env, `UPDATE ${MEMBERS_TABLE} SET status = ?, attributes_json = ?, opted_out_at = ?, updated_at = ? WHERE id = ?`, [nextStatus, JSON.stringify(attributes), optedOutAt, now, id]);
+		const updated = await d1Get(svc.env, `SELECT * FROM ${MEMBERS_TABLE} WHERE id = ? LIMIT 1`, [id]);
+		const invites = (await d1All(svc.env, `SELECT invited_at FROM ${INVITES_TABLE} WHERE member_id = ?`, [id])).map((item) => item.invited_at);
+		return svc.json({ ok: true, member: memberDto(updated, invites, resolveContactLimits(svc.env)) }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.panel.members.update.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/* ─────────────── Screeners ─────────────── */
+
+/**
+ * GET /api/panel/screeners
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ */
+export async function listPanelScreeners(svc, origin) {
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		await ensureTables(svc);
+		const rows = await d1All(svc.env, `SELECT * FROM ${SCREENERS_TABLE} ORDER BY created_at DESC`);
+		return svc.json({ ok: true, screeners: rows.map(screenerDto) }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.panel.screeners.list.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * POST /api/panel/screeners — questions and the rules that decide eligibility.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {any} authContext
+ */
+export async function createPanelScreener(svc, request, origin, authContext = null) {
+	let body;
+	try { body = await readBody(svc, request); }
+	catch (error) { return bodyError(svc, origin, error); }
+
+	const screener = validateScreener(body);
+	if (screener.error) return badRequest(svc, origin, screener.error);
+	if (!hasD1(svc)) return unavailable(svc, origin);
+
+	try {
+		await ensureTables(svc);
+		const id = makeId("scr");
+		const now = nowIso();
+		await d1Run(svc.env, `
+			INSERT INTO ${SCREENERS_TABLE} (id, title, questions_json, rules_json, created_by, created_at, updated_at)
+			VALUES (?, ?, ?, ?, ?, ?, ?)
+		`, [id, screener.title, JSON.stringify(screener.questions), JSON.stringify(screener.rules), actorOf(authContext) || null, now, now]);
+		const row = await d1Get(svc.env, `SELECT * FROM ${SCREENERS_TABLE} WHERE id = ? LIMIT 1`, [id]);
+		return svc.json({ ok: true, screener: screenerDto(row) }, 201, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.panel.screeners.create.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * POST /api/panel/screeners/:id/responses — record a member's answers. The
+ * result is stored with the answers, and answers to questions that name an
+ * attribute update the member's attributes.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {string} screenerId
+ * @param {any} authContext
+ */
+export async function recordScreenerResponse(svc, request, origin, screenerId, authContext = null) {
+	let body;
+	try { body = await readBody(svc, request); }
+	catch (error) { return bodyError(svc, origin, error); }
+
+	const memberId = text(body.memberId || body.member_id);
+	const answers = body.answers && typeof body.answers === "object" && !Array.isArray(body.answers) ? body.answers : null;
+	if (!memberId) return badRequest(svc, origin, "Missing field: memberId");
+	if (!answers) return badRequest(svc, origin, "Missing field: answers");
+	if (!hasD1(svc)) return unavailable(svc, origin);
+
+	try {
+		await ensureTables(svc);
+		const screenerRow = await d1Get(svc.env, `SELECT * FROM ${SCREENERS_TABLE} WHERE id = ? LIMIT 1`, [screenerId]);
+		if (!screenerRow) return notFound(svc, origin, "panel_screener_not_found");
+		const member = await d1Get(svc.env, `SELECT * FROM ${MEMBERS_TABLE} WHERE id = ? LIMIT 1`, [memberId]);
+		if (!member) return notFound(svc, origin, "panel_member_not_found");
+
+		const screener = screenerDto(screenerRow);
+		const kept = {};
+		for (const question of screener.questions) {
+			if (answers[question.id] !== undefined) kept[question.id] = answers[question.id];
+		}
+		const result = evaluateScreener(screener, kept);
+		const now = nowIso();
+		const id = makeId("scrr");
+		await d1Run(svc.env, `
+			INSERT INTO ${RESPONSES_TABLE} (id, screener_id, member_id, answers_json, eligible, reasons_json, responded_at, recorded_by)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+		`, [id, screenerId, memberId, JSON.stringify(kept), result.eligible ? 1 : 0, JSON.stringify(result.reasons), now, actorOf(authContext) || null]);
+
+		const fromAnswers = {};
+		for (const question of screener.questions) {
+			if (question.attribute && kept[question.id] !== undefined) fromAnswers[question.attribute] = answerValues(kept[question.id]).join(", ");
+		}
+		const attributes = { ...parseJson(member.attributes_json, {}), ...normaliseAttributes(fromAnswers) };
+		await d1Run(svc.env, `UPDATE ${MEMBERS_TABLE} SET attributes_json = ?, updated_at = ? WHERE id = ?`, [JSON.stringify(attributes), now, memberId]);
+		return svc.json({ ok: true, response: { id, screenerId, memberId, answers: kept, ...result, respondedAt: now }, attributes }, 201, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.panel.screener_responses.create.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/* ─────────────── Quotas ─────────────── */
+
+/**
+ * GET /api/panel/quotas?study= — targets with how many invited members
+ * count towards each.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {URL} url
+ */
+export async function listPanelQuotas(svc, origin, url) {
+	const studyId = text(url.searchParams.get("study"));
+	if (!studyId) return badRequest(svc, origin, "Missing study query");
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		await ensureTables(svc);
+		return svc.json({ ok: true, studyId, quotas: await quotaFill(svc, studyId) }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.panel.quotas.list.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * PUT /api/panel/quotas — replace a study's quota targets.
+ * Body: { studyId, quotas: [{ attribute, value, target }] }
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {any} authContext
+ */
+export async function savePanelQuotas(svc, request, origin, authContext = null) {
+	let body;
+	try { body = await readBody(svc, request); }
+	catch (error) { return bodyError(svc, origin, error); }
+
+	const studyId = text(body.studyId || body.study_id);
+	if (!studyId) return badRequest(svc, origin, "Missing field: studyId");
+	const quotas = [];
+	for (const quota of Array.isArray(body.quotas) ? body.quotas : []) {
+		const attribute = text(quota?.attribute);
+		const value = text(quota?.value);
+		const target = Number(quota?.target);
+		if (!ATTRIBUTE_KEY.test(attribute)) return badRequest(svc, origin, "Each quota needs an attribute such as userGroup");
+		if (!value) return badRequest(svc, origin, `Quota on ${attribute} needs a value`);
+		if (!Number.isInteger(target) || target < 1) return badRequest(svc, origin, `Quota on ${attribute} = ${value} needs a whole number target of 1 or more`);
+		if (quotas.some((item) => item.attribute === attribute && item.value.toLowerCase() === value.toLowerCase())) return badRequest(svc, origin, `Quota on ${attribute} = ${value} is listed more than once`);
+		quotas.push({ attribute, value, target });
+	}
+	if (!hasD1(svc)) return unavailable(svc, origin);
+
+	try {
+		await ensureTables(svc);
+		const now = nowIso();
+		await d1Run(svc.env, `DELETE FROM ${QUOTAS_TABLE} WHERE study_id = ?`, [studyId]);
+		for (const quota of quotas) {
+			await d1Run(svc.env, `
+				INSERT INTO ${QUOTAS_TABLE} (id, study_id, attribute, value, target, updated_by, updated_at)
+				VALUES (?, ?, ?, ?, ?, ?, ?)
+			`, [makeId("pq"), studyId, quota.attribute, quota.value, quota.target, actorOf(authContext) || null, now]);
+		}
+		return svc.json({ ok: true, studyId, quotas: await quotaFill(svc, studyId) }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.panel.quotas.save.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/* ─────────────── Invites ─────────────── */
+
+function skipReason(member, context) {
+	if (!member) return "not_found";
+	if (member.status !== "active") return "not_active";
+	if (context.invitedToStudy.has(member.id)) return "already_invited";
+	if (context.responses) {
+		const response = context.responses.get(member.id);
+		if (!response) return "not_screened";
+		if (!response.eligible) return "not_eligible";
+	}
+	const attributes = parseJson(member.attributes_json, {});
+	const fullQuota = context.quotas.find((quota) => quota.full && text(attributes[quota.attribute]).toLowerCase() === quota.value.toLowerCase());
+	if (fullQuota) return "quota_full";
+	const allowance = contactAllowance(context.invites.get(member.id) || [], context.limits);
+	return allowance.contactable ? "" : allowance.reason;
+}
+
+/**
+ * Claim the member's invite to the study. The insert checks the contact
+ * limits and every quota the member counts towards, so it only lands while
+ * they all still have room. The participant id is filled in once the
+ * participant exists.
+ * @returns {Promise<{id:string, invitedAt:string}|null>} null when the invite was not claimed.
+ */
+async function claimInvite(svc, { member, attributes, studyId, projectId, screenerId, quotas, limits, actor }) {
+	const now = Date.now();
+	const invite = { id: makeId("pinv"), invitedAt: nowIso(now) };
+	const matching = quotas.filter((quota) => text(attributes[quota.attribute]).toLowerCase() === quota.value.toLowerCase());
+	const result = await d1Run(svc.env, `
+		INSERT INTO ${INVITES_TABLE} (id, member_id, study_id, project_id, participant_id, screener_id, attributes_json, invited_at, invited_by)
+		SELECT ?, ?, ?, ?, '', ?, ?, ?, ?
+		WHERE (? <= 0 OR (SELECT COUNT(*) FROM ${INVITES_TABLE} WHERE member_id = ? AND invited_at > ?) < ?)
+			AND NOT EXISTS (SELECT 1 FROM ${INVITES_TABLE} WHERE member_id = ? AND invited_at > ?)
+			${matching.map(() => `AND (SELECT COUNT(*) FROM ${INVITES_TABLE} WHERE study_id = ? AND lower(trim(json_extract(attributes_json, ?))) = lower(?)) < ?`).join(" ")}
+		ON CONFLICT(member_id, study_id) DO NOTHING
+	`, [
+		invite.id, member.id, studyId, projectId, screenerId || null, JSON.stringify(attributes), invite.invitedAt, actor || null,
+		limits.maxStudies, member.id, nowIso(now - limits.windowDays * DAY_MS), limits.maxStudies,
+		member.id, nowIso(now - limits.minDaysBetween * DAY_MS),
+		...matching.flatMap((quota) => [studyId, `$.${quota.attribute}`, quota.value, quota.target])
+	]);
+	return Number(result?.meta?.changes) ? invite : null;
+}
+
+/**
+ * Read the invites and quota fill again after a claim was refused, so the
+ * member's skip reason reflects what the other request invited.
+ */
+async function refreshInviteContext(svc, context, studyId, memberId) {
+	const rows = await d1All(svc.env, `SELECT study_id, invited_at FROM ${INVITES_TABLE} WHERE member_id = ?`, [memberId]);
+	context.invites.set(memberId, rows.map((row) => row.invited_at));
+	if (rows.some((row) => row.study_id === studyId)) context.invitedToStudy.add(memberId);
+	context.quotas = await quotaFill(svc, studyId);
+}
+
+/**
+ * POST /api/panel/invites — add panel members to a study as participants.
+ * Body: { studyId, memberIds: [], screenerId? }
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {any} authContext
+ */
+export async function invitePanelMembers(svc, request, origin, authContext = null) {
+	let body;
+	try { body = await readBody(svc, request); }
+	catch (error) { return bodyError(svc, origin, error); }
+
+	const studyId = text(body.studyId || body.study_id);
+	const screenerId = text(body.screenerId || body.screener_id);
+	const memberIds = [...new Set((Array.isArray(body.memberIds) ? body.memberIds : []).map(text).filter(Boolean))];
+	if (!studyId) return badRequest(svc, origin, "Missing field: studyId");
+	if (!memberIds.length) return badRequest(svc, origin, "Choose at least one panel member");
+	if (memberIds.length > MAX_INVITES_PER_REQUEST) return badRequest(svc, origin, `Invite at most ${MAX_INVITES_PER_REQUEST} panel members at a time`);
+	if (!hasD1(svc)) return unavailable(svc, origin);
+
+	try {
+		await ensureTables(svc);
+		const study = await d1Get(svc.env, `SELECT id, project_id FROM ${STUDIES_TABLE} WHERE id = ? LIMIT 1`, [studyId]).catch(() => null);
+		if (!study) return notFound(svc, origin, "study_not_found");
+		const projectId = text(study.project_id);
+		if (!projectId) return svc.json({ ok: false, error: "study_project_missing", message: "This study is not linked to a project, so panel members cannot be added to it." }, 409, svc.corsHeaders(origin));
+		if (screenerId && !(await d1Get(svc.env, `SELECT id FROM ${SCREENERS_TABLE} WHERE id = ? LIMIT 1`, [screenerId]))) return notFound(svc, origin, "panel_screener_not_found");
+
+		const ethicsGate = await recruitmentEthicsGate(svc, studyId);
+		if (!ethicsGate.allowed) return svc.json({ ok: false, error: "ethics_approval_required", ethicsStatus: ethicsGate.status, message: ethicsGate.reason }, 409, svc.corsHeaders(origin));
+
+		const context = {
+			invites: await invitesByMember(svc),
+			invitedToStudy: new Set((await d1All(svc.env, `SELECT member_id FROM ${INVITES_TABLE} WHERE study_id = ?`, [studyId])).map((row) => row.member_id)),
+			responses: screenerId ? await latestResponses(svc, screenerId) : null,
+			quotas: await quotaFill(svc, studyId),
+			limits: resolveContactLimits(svc.env)
+		};
+		const invited = [];
+		const skipped = [];
+		for (const memberId of memberIds) {
+			const member = await d1Get(svc.env, `SELECT * FROM ${MEMBERS_TABLE} WHERE id = ? LIMIT 1`, [memberId]);
+			const reason = skipReason(member, context);
+			if (reason) {
+				skipped.push({ memberId, reason, message: SKIP_MESSAGES[reason] });
+				continue;
+			}
+			const attributes = parseJson(member.attributes_json, {});
+			const invite = await claimInvite(svc, { member, attributes, studyId, projectId, screenerId, quotas: context.quotas, limits: context.limits, actor: actorOf(authContext) });
+			if (!invite) {
+				await refreshInviteContext(svc, context, studyId, member.id);
+				const latest = skipReason(member, context) || "quota_full";
+				skipped.push({ memberId, reason: latest, message: SKIP_MESSAGES[latest] });
+				continue;
+			}
+			let participantId;
+			try {
+				participantId = await insertParticipantRecord(svc.env.RESEARCHOPS_D1, {
+					projectId,
+					studyId,
+					participantRef: member.member_ref,
+					channelPref: member.channel_pref,
+					accessNeeds: member.access_needs,
+					source: "panel",
+					contact: parseJson(member.sensitive_contact_json, {}),
+					payload: { panelMemberId: member.id, panelAttributes: attributes }
+				});
+			} catch (e) {
+				await d1Run(svc.env, `DELETE FROM ${INVITES_TABLE} WHERE id = ?`, [invite.id]).catch(() => {});
+				throw e;
+			}
+			const invitedAt = invite.invitedAt;
+			await d1Run(svc.env, `UPDATE ${INVITES_TABLE} SET participant_id = ? WHERE id = ?`, [participantId, invite.id]);
+			await recordParticipantEvent(svc, request, authContext, participantId, "participant.panel.invited", "succeeded");
+
+			context.invitedToStudy.add(member.id);
+			context.invites.set(member.id, [...(context.invites.get(member.id) || []), invitedAt]);
+			for (const quota of context.quotas) {
+				if (text(attributes[quota.attribute]).toLowerCase() !== quota.value.toLowerCase()) continue;
+				quota.filled += 1;
+				quota.remaining = Math.max(quota.target - quota.filled, 0);
+				quota.full = quota.filled >= quota.target;
+			}
+			invited.push({ memberId: member.id, participantId });
+		}
+		return svc.json({ ok: true, studyId, invited, skipped, quotas: context.quotas }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.panel.invites.create.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
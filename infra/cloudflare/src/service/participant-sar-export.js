@@ -0,0 +1,243 @@
+/**
+ * @file src/service/participant-sar-export.js
+ * @module service/participant-sar-export
+ * @summary Subject access request export of everything held in D1 about one participant.
+ *
+ * Endpoints covered:
+ * - POST /api/participants/:id/sar-export
+ *
+ * The export is a ZIP with two files: participant.json, every record found
+ * with its stored columns, and summary.txt, the same records written out for
+ * the participant to read. It covers the participant record and contact
+ * details, consent records, consent links and withdrawals, session notes,
+ * excerpts coded from those notes or from journal entries that mention the
+ * participant, and card sort and tree test results.
+ *
+ * Only people who could reveal this participant's contact details can export
+ * them, and every export or refusal is recorded with recordParticipantEvent.
+ */
+
+import { readJournalMentions } from "./internals/participant-mentions.js";
+import { d1All, d1Get } from "./internals/researchops-d1.js";
+import { buildZip, zipEntry } from "./internals/zip.js";
+import { canRevealParticipantForProject, recordParticipantEvent } from "./participants.js";
+
+const EXPORT_FORMAT = "researchops-participant-sar";
+const EXPORT_VERSION = 1;
+const CONTACT_FIELDS = [["full_name", "Name"], ["first_name", "First name"], ["family_name", "Family name"], ["email", "Email"], ["phone", "Phone"]];
+
+/**
+ * Record sets in export order. `where` selects the participant's rows; the
+ * excerpt and journal sets are filled from the others.
+ */
+const SOURCES = [
+	{ key: "consentRecords", label: "Consent records", table: "rops_participant_consent_cache", where: "participant_id = ?", order: "COALESCE(recorded_at, created_at)" },
+	{ key: "consentLinks", label: "Consent links", table: "rops_participant_consent_links", where: "participant_id = ?", order: "created_at" },
+	{ key: "consentWithdrawals", label: "Consent withdrawals", table: "rops_consent_withdrawals", where: "participant_id = ?", order: "requested_at" },
+	{ key: "sessionNotes", label: "Session notes", table: "rops_session_notes", where: "participant_id = ?", order: "start_iso" },
+	{ key: "cardSortResults", label: "Card sort results", table: "rops_card_sort_results", where: "participant_id = ?", order: "created_at" },
+	{ key: "treeTestResults", label: "Tree test results", table: "rops_tree_test_results", where: "participant_id = ?", order: "created_at" }
+];
+
+function hasD1(svc) { return Boolean(svc?.env?.RESEARCHOPS_D1?.prepare); }
+function nowIso(value = Date.now()) { return new Date(value).toISOString(); }
+function text(value) { return String(value ?? "").trim(); }
+function unavailable(svc, origin) { return svc.json({ ok: false, error: "participant_store_unavailable", message: "Participant records are not available right now." }, 503, svc.corsHeaders(origin)); }
+
+function parseJson(value, fallback) {
+	try {
+		return value ? JSON.parse(value) : fallback;
+	} catch {
+		return fallback;
+	}
+}
+
+async function tableExists(svc, name) {
+	const row = await d1Get(svc.env, "SELECT name FROM sqlite_master WHERE type IN ('table', 'view') AND name = ? LIMIT 1", [name]);
+	return Boolean(row?.name);
+}
+
+/** Stored row with `*_json` columns parsed into the column name without the suffix. */
+function exportRow(row) {
+	const out = {};
+	for (const [column, value] of Object.entries(row)) {
+		if (column.endsWith("_json")) out[column.slice(0, -5)] = parseJson(value, value);
+		else out[column] = value;
+	}
+	return out;
+}
+
+async function readSource(svc, source, participantId) {
+	if (!(await tableExists(svc, source.table))) return { present: false, rows: [] };
+	const rows = await d1All(svc.env, `SELECT * FROM ${source.table} WHERE ${source.where} ORDER BY ${source.order} ASC`, [participantId]);
+	return { present: true, rows: rows.map(exportRow) };
+}
+
+/** Journal entries in the participant's project whose text names them (see participant-mentions.js). */
+async function readJournalSource(svc, participant) {
+	if (!(await tableExists(svc, "journal_entries"))) return { present: false, rows: [] };
+	return { present: true, rows: (await readJournalMentions(svc.env, participant)).map(exportRow) };
+}
+
+async function readExcerpts(svc, entryIds) {
+	if (!(await tableExists(svc, "code_applications"))) return { present: false, rows: [] };
+	if (!entryIds.length) return { present: true, rows: [] };
+	const rows = await d1All(svc.env, `
+		SELECT * FROM code_applications
+		WHERE entry IN (${entryIds.map(() => "?").join(", ")})
+		ORDER BY createdat ASC
+	`, entryIds);
+	return { present: true, rows: rows.map(exportRow) };
+}
+
+/**
+ * Everything held about one participant, as written to participant.json.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {any} row rops_participants_cache row
+ * @param {string} generatedBy
+ */
+export async function assembleParticipantSar(svc, row, generatedBy = "") {
+	const { sensitive_contact_json: contactJson, ...participantRow } = row;
+	const records = {};
+	const sources = [];
+	const add = (key, label, table, result) => {
+		records[key] = result.rows;
+		sources.push({ key, label, table, present: result.present, count: result.rows.length });
+	};
+
+	for (const source of SOURCES) add(source.key, source.label, source.table, await readSource(svc, source, row.id));
+	add("journalMentions", "Journal entries mentioning the participant", "journal_entries", await readJournalSource(svc, row));
+	const entryIds = [...records.sessionNotes, ...records.journalMentions].map((entry) => entry.id || entry.record_id).filter(Boolean);
+	add("excerpts", "Coded excerpts", "code_applications", await readExcerpts(svc, entryIds));
+
+	return {
+		format: EXPORT_FORMAT,
+		version: EXPORT_VERSION,
+		generatedAt: nowIso(),
+		generatedBy,
+		participantId: row.id,
+		participant: exportRow(participantRow),
+		contactDetails: parseJson(contactJson, {}) || {},
+		...records,
+		sources
+	};
+}
+
+function line(label, value) {
+	return `${label}: ${text(value) || "—"}`;
+}
+
+function recordLines(key, item) {
+	switch (key) {
+		case "consentRecords":
+			return [
+				line("Recorded", item.recorded_at || item.created_at),
+				line("Status", item.withdrawn ? `${item.status} (withdrawn)` : item.status),
+				line("Consent form version", item.consent_form_version),
+				...Object.entries(item.responses && typeof item.responses === "object" ? item.responses : {}).map(([question, answer]) => line(`  ${question}`, typeof answer === "string" ? answer : JSON.stringify(answer)))
+			];
+		case "consentLinks":
+			return [line("Sent", item.created_at), line("Expires", item.expires_at), line("Last used", item.last_used_at), line("Revoked", item.revoked_at)];
+		case "consentWithdrawals":
+			return [line("Requested", item.requested_at), line("What happened to existing data", item.scope), line("Status", item.status), line("Reason", item.reason)];
+		case "sessionNotes":
+			return [line("Session", item.session_id), line("Time", item.start_iso), line("Author", item.author), text(item.content_plain) || text(item.content_html).replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim()];
+		case "journalMentions":
+			return [line("Written", item.createdat), line("Category", item.category), text(item.content)];
+		case "excerpts":
+			return [line("From entry", item.entry), line("Code", item.code), text(item.excerpt)];
+		default:
+			return [line("Session", item.session_id), line("Status", item.status), line("Completed", item.completed_at), `Result: ${JSON.stringify(item.result ?? {})}`];
+	}
+}
+
+/**
+ * summary.txt: the export written out for a person to read.
+ * @param {any} sar result of assembleParticipantSar
+ */
+export function participantSarSummary(sar) {
+	const participant = sar.participant;
+	const lines = [
+		"Subject access request export",
+		"",
+		line("Participant", participant.participant_ref ? `${participant.participant_ref} (${participant.id})` : participant.id),
+		line("Study", participant.study_id),
+		line("Project", participant.project_id),
+		line("Added", participant.created_at),
+		line("Status", participant.status),
+		line("Access needs", participant.access_needs),
+		line("Generated", sar.generatedAt),
+		line("Generated by", sar.generatedBy),
+		"",
+		"participant.json in this archive holds the same records in full, in a machine-readable form.",
+		"Records kept only in Airtable or on Mural boards are not part of this export.",
+		"",
+		"Contact details",
+		"---------------"
+	];
+	const contact = CONTACT_FIELDS.filter(([field]) => text(sar.contactDetails[field]));
+	if (contact.length) lines.push(...contact.map(([field, label]) => line(label, sar.contactDetails[field])));
+	else lines.push("None held.");
+
+	for (const source of sar.sources) {
+		lines.push("", `${source.label} (${source.count})`, "-".repeat(source.label.length + String(source.count).length + 3));
+		if (!source.count) {
+			lines.push("None held.");
+			continue;
+		}
+		sar[source.key].forEach((item, index) => {
+			if (index) lines.push("");
+			lines.push(...recordLines(source.key, item).filter(Boolean));
+		});
+	}
+	return `${lines.join("\n")}\n`;
+}
+
+/**
+ * POST /api/participants/:id/sar-export — download the ZIP. Needs
+ * participant.pii.reveal for the participant's project.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {string} participantId
+ * @param {any} authContext
+ */
+export async function exportParticipantSar(svc, request, origin, participantId, authContext) {
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	let row;
+	try {
+		row = await d1Get(svc.env, "SELECT * FROM rops_participants_cache WHERE id = ? LIMIT 1", [participantId]);
+	} catch (e) {
+		svc.log.error("d1.participant_sar.read.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+	if (!row) return svc.json({ ok: false, error: "participant_not_found", message: "Participant record could not be found." }, 404, svc.corsHeaders(origin));
+
+	if (!(await canRevealParticipantForProject(svc, authContext, row.project_id))) {
+		await recordParticipantEvent(svc, request, authContext, participantId, "participant.sar.export.denied", "denied");
+		return svc.json({ ok: false, error: "participant_project_scope_denied", message: "You cannot export this participant's data. Ask a Team Admin or authorised role." }, 403, svc.corsHeaders(origin));
+	}
+
+	try {
+		const generatedBy = text(authContext?.user?.email || authContext?.user?.id);
+		const sar = await assembleParticipantSar(svc, row, generatedBy);
+		const zip = buildZip([
+			zipEntry("participant.json", JSON.stringify(sar, null, 2)),
+			zipEntry("summary.txt", participantSarSummary(sar))
+		]);
+		await recordParticipantEvent(svc, request, authContext, participantId, "participant.sar.exported", "succeeded");
+		const filename = `participant-sar-${row.id}-${sar.generatedAt.slice(0, 10)}.zip`;
+		return new Response(zip, {
+			status: 200,
+			headers: {
+				"Content-Type": "application/zip",
+				"Content-Disposition": `attachment; filename="${filename}"`,
+				"Cache-Control": "no-store",
+				...svc.corsHeaders(origin)
+			}
+		});
+	} catch (e) {
+		svc.log.error("d1.participant_sar.export.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
@@ -12,6 +12,7 @@
 import { resolveAuthenticatedContext } from "../core/auth/access-scoped.js";
 import { assertRoutePermission } from "../core/auth/route-permissions.js";
 import { toMs } from "../core/utils.js";
+import { recruitmentEthicsGate } from "./study-ethics-risk.js";
 
 const CONTACT_RESTRICTED_MESSAGE = "Participant contact details are restricted. Ask a Team Admin or authorised role if you need access.";
 
@@ -116,7 +117,16 @@ function makeAuditId() {
 	return makeId("evt");
 }
 
-async function recordParticipantEvent(svc, request, context, participantId, eventType, outcome) {
+/**
+ * Record a participant action in auth_events. Never throws.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {any} context
+ * @param {string} participantId
+ * @param {string} eventType
+ * @param {string} outcome
+ */
+export async function recordParticipantEvent(svc, request, context, participantId, eventType, outcome) {
 	const db = dbFor(svc.env);
 	if (!db) return;
 
@@ -284,7 +294,14 @@ async function roleRevealTeamKeys(db, context) {
 	}
 }
 
-async function canRevealParticipantForProject(svc, context, projectId) {
+/**
+ * Whether the user holds participant.pii.reveal for the participant's
+ * project, through a project, organisation or team scoped role.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {any} context
+ * @param {string} projectId
+ */
+export async function canRevealParticipantForProject(svc, context, projectId) {
 	if (!canRevealParticipantContact(context)) return false;
 	const db = dbFor(svc.env);
 	if (!db || !projectId) return false;
@@ -438,6 +455,62 @@ function bodyErrorResponse(svc, origin, error) {
 	return svc.json({ ok: false, error: error.code || "invalid_request", message: error.message || "Check the participant information." }, error.status || 400, svc.corsHeaders(origin));
 }
 
+/**
+ * Insert a pseudonymised participant row with its contact details held
+ * separately. Shared by participant creation and panel invites.
+ * @param {D1Database} db
+ * @param {{ projectId: string, studyId: string, participantRef: string, participantAirtableId?: string, channelPref?: string, consentStatus?: string, status?: string, accessNeeds?: string, source?: string, contact?: Record<string, string>, payload?: Record<string, unknown> }} fields
+ * @returns {Promise<string>} the new participant id
+ */
+export async function insertParticipantRecord(db, fields) {
+	const participantId = makeId("d1ptp");
+	const now = new Date().toISOString();
+	const { projectId, studyId, participantRef } = fields;
+	const accessNeeds = cleanText(fields.accessNeeds);
+	const contact = fields.contact || {};
+	const hasSensitiveDetails = Boolean(contact.first_name || contact.family_name || contact.full_name || contact.email || contact.phone);
+
+	await db
+		.prepare(`
+			INSERT INTO rops_participants_cache (
+				id,
+				project_id,
+				study_id,
+				participant_airtable_id,
+				participant_ref,
+				channel_pref,
+				consent_status,
+				status,
+				access_needs,
+				active,
+				source,
+				created_at,
+				updated_at,
+				sensitive_contact_json,
+				payload_json
+			)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?, ?)
+		`)
+		.bind(
+			participantId,
+			projectId,
+			studyId,
+			cleanText(fields.participantAirtableId) || null,
+			participantRef,
+			cleanText(fields.channelPref || "email") || "email",
+			cleanText(fields.consentStatus || "not_sent") || "not_sent",
+			cleanText(fields.status || "invited") || "invited",
+			accessNeeds || null,
+			fields.source || "d1-runtime",
+			now,
+			now,
+			hasSensitiveDetails ? jsonText(contact) : null,
+			jsonText({ projectId, studyId, participantRef, accessNeeds, hasSensitiveDetails, pseudonymised: true, ...(fields.payload || {}) }),
+		)
+		.run();
+	return participantId;
+}
+
 /**
  * List pseudonymised participants for a study.
  * @route GET /api/participants?study=:id
@@ -506,7 +579,8 @@ export async function revealParticipantContact(svc, request, origin, url) {
 }
 
 /**
- * Create a D1 participant linked to a study.
+ * Create a D1 participant linked to a study. Refused while the study's ethics
+ * and research risk assessment is waiting for approval.
  * @route POST /api/participants
  * @param {import("./index.js").ResearchOpsService} svc
  * @param {Request} request
@@ -537,55 +611,35 @@ export async function createParticipant(svc, request, origin) {
 	const db = dbFor(svc.env);
 	if (!db) return participantDataUnavailable(svc, origin);
 
-	const participantId = makeId("d1ptp");
-	const now = new Date().toISOString();
-	const contact = {
-		first_name: firstName,
-		family_name: familyName,
-		full_name: fullName,
-		email: cleanText(body.email),
-		phone: cleanText(body.phone),
-	};
-	const hasSensitiveDetails = Boolean(contact.first_name || contact.family_name || contact.full_name || contact.email || contact.phone);
+	let ethicsGate;
+	try {
+		ethicsGate = await recruitmentEthicsGate(svc, studyId);
+	} catch {
+		return participantDataUnavailable(svc, origin);
+	}
+	if (!ethicsGate.allowed) {
+		return svc.json({ ok: false, error: "ethics_approval_required", ethicsStatus: ethicsGate.status, message: ethicsGate.reason }, 409, svc.corsHeaders(origin));
+	}
 
+	let participantId;
 	try {
-		await db
-			.prepare(`
-				INSERT INTO rops_participants_cache (
-					id,
-					project_id,
-					study_id,
-					participant_airtable_id,
-					participant_ref,
-					channel_pref,
-					consent_status,
-					status,
-					access_needs,
-					active,
-					source,
-					created_at,
-					updated_at,
-					sensitive_contact_json,
-					payload_json
-				)
-				VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, 'd1-runtime', ?, ?, ?, ?)
-			`)
-			.bind(
-				participantId,
-				projectId,
-				studyId,
-				participantAirtableId || null,
-				participantRef,
-				cleanText(body.channel_pref || body.channelPref || "email") || "email",
-				cleanText(body.consent_status || body.consentStatus || "not_sent") || "not_sent",
-				cleanText(body.status || "invited") || "invited",
-				accessNeeds || null,
-				now,
-				now,
-				hasSensitiveDetails ? jsonText(contact) : null,
-				jsonText({ projectId, studyId, participantRef, accessNeeds, hasSensitiveDetails, pseudonymised: true }),
-			)
-			.run();
+		participantId = await insertParticipantRecord(db, {
+			projectId,
+			studyId,
+			participantAirtableId,
+			participantRef,
+			channelPref: body.channel_pref || body.channelPref,
+			consentStatus: body.consent_status || body.consentStatus,
+			status: body.status,
+			accessNeeds,
+			contact: {
+				first_name: firstName,
+				family_name: familyName,
+				full_name: fullName,
+				email: cleanText(body.email),
+				phone: cleanText(body.phone),
+			},
+		});
 	} catch {
 		return participantDataUnavailable(svc, origin);
 	}
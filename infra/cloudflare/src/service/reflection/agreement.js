@@ -0,0 +1,467 @@
+/**
+ * @file src/service/reflection/agreement.js
+ * @module service/reflection/agreement
+ * @summary Blind double coding of journal entries and inter-coder agreement reports.
+ *
+ * Routes:
+ *   GET  /api/analysis/double-coding?project=rec...
+ *   POST /api/analysis/double-coding                 { project, name?, size?, entryIds? }
+ *   GET  /api/analysis/double-coding/:id             the caller's own coding of a sample
+ *   POST /api/analysis/double-coding/:id/codings     { entryId, codeIds }
+ *   POST /api/analysis/double-coding/:id/close       release agreement before both coders finish
+ *   GET  /api/analysis/agreement?project=rec...[&sample=]
+ *
+ * A sample is a fixed set of journal entries that two researchers code
+ * independently. Codings are kept apart from code_applications and tagged
+ * with the signed-in coder, so neither coder sees the other's codes while
+ * coding. The first two people to code a sample are its coders; the coding
+ * insert itself checks for a free slot, so a third coder cannot join
+ * however the saves interleave.
+ *
+ * The report keeps a sample's agreement and disagreements back until it is
+ * released: when both coders have coded every entry, or when the sample's
+ * creator or a research lead closes it early. Until then it shows progress
+ * only, so the report cannot be used to see the other coder's codes.
+ * Codings are locked once released.
+ *
+ * The agreement report compares the two coders entry by entry, only for
+ * entries both have coded. For each code, every entry is a yes/no decision
+ * by each coder, giving percent agreement, Cohen's kappa and Krippendorff's
+ * alpha (nominal). Kappa or alpha is null when it is undefined, for example
+ * when a code was applied to every entry by both coders.
+ */
+
+import { d1All, d1Get, d1Run } from "../internals/researchops-d1.js";
+import { fetchCodesByProject, fetchJournalsByProject } from "./analysis.js";
+
+const SAMPLES_TABLE = "rops_double_coding_samples";
+const CODINGS_TABLE = "rops_double_coding_codings";
+const DEFAULT_SAMPLE_SIZE = 10;
+const MAX_SAMPLE_SIZE = 50;
+const MAX_CODERS = 2;
+const SNIPPET_LENGTH = 240;
+
+function hasD1(svc) { return Boolean(svc?.env?.RESEARCHOPS_D1?.prepare); }
+function nowIso() { return new Date().toISOString(); }
+function text(value) { return String(value ?? "").trim(); }
+function sampleId() { return `dcs_${crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}_${Math.random().toString(16).slice(2)}`}`; }
+function unavailable(svc, origin) { return svc.json({ ok: false, error: "double_coding_unavailable", message: "Double coding is not available right now." }, 503, svc.corsHeaders(origin)); }
+
+function parseIds(value) {
+	try {
+		const parsed = JSON.parse(value || "[]");
+		return Array.isArray(parsed) ? parsed.map(text).filter(Boolean) : [];
+	} catch {
+		return [];
+	}
+}
+
+function coderOf(authContext) {
+	const user = authContext?.user || {};
+	const id = text(user.id || user.email);
+	if (!id) return null;
+	return { id, name: text(user.displayName || user.name || user.email) || id };
+}
+
+/** Research leads can close any sample; everyone else only their own. */
+function isResearchLead(authContext) {
+	return (authContext?.roles || []).some((role) => (role.key || role.roleKey) === "research_lead");
+}
+
+async function ensureTables(svc) {
+	if (!hasD1(svc)) throw new Error("RESEARCHOPS_D1 binding not available");
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${SAMPLES_TABLE} (id TEXT PRIMARY KEY, project_id TEXT NOT NULL, name TEXT, entry_ids_json TEXT NOT NULL DEFAULT '[]', created_by TEXT, created_at TEXT NOT NULL, closed_by TEXT, closed_at TEXT)`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_double_coding_samples_project ON ${SAMPLES_TABLE} (project_id, created_at)`);
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${CODINGS_TABLE} (sample_id TEXT NOT NULL, entry_id TEXT NOT NULL, coder_id TEXT NOT NULL, coder_name TEXT, code_ids_json TEXT NOT NULL DEFAULT '[]', coded_at TEXT NOT NULL, PRIMARY KEY (sample_id, entry_id, coder_id))`);
+}
+
+function sampleFromRow(row) {
+	return {
+		id: row.id,
+		projectId: row.project_id,
+		name: row.name || "",
+		entryIds: parseIds(row.entry_ids_json),
+		createdBy: row.created_by || "",
+		createdAt: row.created_at,
+		closedAt: row.closed_at || null
+	};
+}
+
+async function getSample(svc, id) {
+	const row = await d1Get(svc.env, `SELECT * FROM ${SAMPLES_TABLE} WHERE id = ? LIMIT 1`, [id]);
+	return row ? sampleFromRow(row) : null;
+}
+
+async function codingsFor(svc, sampleIds) {
+	if (!sampleIds.length) return [];
+	const rows = await d1All(svc.env, `SELECT * FROM ${CODINGS_TABLE} WHERE sample_id IN (${sampleIds.map(() => "?").join(", ")}) ORDER BY coded_at ASC`, sampleIds);
+	return rows.map((row) => ({
+		sampleId: row.sample_id,
+		entryId: row.entry_id,
+		coderId: row.coder_id,
+		coderName: row.coder_name || row.coder_id,
+		codeIds: parseIds(row.code_ids_json),
+		codedAt: row.coded_at
+	}));
+}
+
+/** The sample's coders in the order they first coded an entry. */
+function codersOf(codings) {
+	const coders = new Map();
+	for (const coding of codings) {
+		if (!coders.has(coding.coderId)) coders.set(coding.coderId, { id: coding.coderId, name: coding.coderName, entriesCoded: 0 });
+		coders.get(coding.coderId).entriesCoded += 1;
+	}
+	return [...coders.values()];
+}
+
+/**
+ * Whether the sample's agreement can be shown: it was closed, or two coders
+ * have each coded every entry in it.
+ */
+function isReleased(sample, codings) {
+	if (sample.closedAt) return true;
+	const coders = codersOf(codings).slice(0, MAX_CODERS);
+	if (coders.length < MAX_CODERS) return false;
+	return coders.every((coder) => {
+		const coded = new Set(codings.filter((coding) => coding.coderId === coder.id).map((coding) => coding.entryId));
+		return sample.entryIds.every((entryId) => coded.has(entryId));
+	});
+}
+
+function round(value, places) {
+	if (value === null || !Number.isFinite(value)) return null;
+	const factor = 10 ** places;
+	return Math.round(value * factor) / factor;
+}
+
+/**
+ * Agreement statistics for yes/no decisions by two coders.
+ * `both` = both applied, `firstOnly`/`secondOnly` = one applied, `neither` = neither applied.
+ */
+export function binaryAgreement({ both = 0, firstOnly = 0, secondOnly = 0, neither = 0 }) {
+	const units = both + firstOnly + secondOnly + neither;
+	if (!units) return { units, percentAgreement: null, kappa: null, alpha: null };
+
+	const observed = (both + neither) / units;
+	const firstRate = (both + firstOnly) / units;
+	const secondRate = (both + secondOnly) / units;
+	const expected = firstRate * secondRate + (1 - firstRate) * (1 - secondRate);
+	const kappa = expected === 1 ? null : (observed - expected) / (1 - expected);
+
+	// Krippendorff's alpha from the coincidence matrix: 2 values per unit.
+	const values = 2 * units;
+	const applied = 2 * both + firstOnly + secondOnly;
+	const notApplied = 2 * neither + firstOnly + secondOnly;
+	const alpha = applied * notApplied === 0 ? null : 1 - ((values - 1) * (firstOnly + secondOnly)) / (applied * notApplied);
+
+	return {
+		units,
+		percentAgreement: round(observed * 100, 1),
+		kappa: round(kappa, 3),
+		alpha: round(alpha, 3)
+	};
+}
+
+function snippet(entry) {
+	const body = text(entry?.content || entry?.body).replace(/<[^>]*>/g, " ").replace(/\s+/g, " ");
+	return body.length > SNIPPET_LENGTH ? `${body.slice(0, SNIPPET_LENGTH - 1).trimEnd()}…` : body;
+}
+
+function sampleReport(sample, codings, codesMap, entriesById) {
+	const coders = codersOf(codings).slice(0, MAX_CODERS);
+	const released = isReleased(sample, codings);
+	const base = { id: sample.id, name: sample.name, createdAt: sample.createdAt, closedAt: sample.closedAt, released, entryCount: sample.entryIds.length, coders: coders.map(({ id, name, entriesCoded }) => ({ id, name, entriesCoded })) };
+	if (coders.length < MAX_CODERS || !released) {
+		return { ...base, units: 0, pending: sample.entryIds.length, overall: binaryAgreement({}), codes: [], disagreements: [] };
+	}
+
+	const [first, second] = coders;
+	const byCoder = (coderId) => new Map(codings.filter((coding) => coding.coderId === coderId).map((coding) => [coding.entryId, new Set(coding.codeIds)]));
+	const firstCodes = byCoder(first.id);
+	const secondCodes = byCoder(second.id);
+	const units = sample.entryIds.filter((entryId) => firstCodes.has(entryId) && secondCodes.has(entryId));
+
+	const codeIds = [...new Set(units.flatMap((entryId) => [...firstCodes.get(entryId), ...secondCodes.get(entryId)]))];
+	const pooled = { both: 0, firstOnly: 0, secondOnly: 0, neither: 0 };
+	const disagreements = [];
+	const codes = codeIds.map((codeId) => {
+		const counts = { both: 0, firstOnly: 0, secondOnly: 0, neither: 0 };
+		const codeName = codesMap.get(codeId)?.name || codeId;
+		for (const entryId of units) {
+			const byFirst = firstCodes.get(entryId).has(codeId);
+			const bySecond = secondCodes.get(entryId).has(codeId);
+			const cell = byFirst && bySecond ? "both" : byFirst ? "firstOnly" : bySecond ? "secondOnly" : "neither";
+			counts[cell] += 1;
+			pooled[cell] += 1;
+			if (byFirst !== bySecond) {
+				const [appliedBy, notAppliedBy] = byFirst ? [first, second] : [second, first];
+				disagreements.push({
+					entryId,
+					snippet: snippet(entriesById.get(entryId)),
+					codeId,
+					codeName,
+					appliedBy: { id: appliedBy.id, name: appliedBy.name },
+					notAppliedBy: { id: notAppliedBy.id, name: notAppliedBy.name }
+				});
+			}
+		}
+		return { codeId, name: codeName, ...counts, ...binaryAgreement(counts) };
+	}).sort((a, b) => a.name.localeCompare(b.name));
+
+	disagreements.sort((a, b) => sample.entryIds.indexOf(a.entryId) - sample.entryIds.indexOf(b.entryId) || a.codeName.localeCompare(b.codeName));
+	return {
+		...base,
+		units: units.length,
+		pending: sample.entryIds.length - units.length,
+		overall: binaryAgreement(pooled),
+		codes,
+		disagreements
+	};
+}
+
+function pickSample(entryIds, size) {
+	const pool = [...entryIds];
+	for (let index = pool.length - 1; index > 0; index -= 1) {
+		const swap = Math.floor(Math.random() * (index + 1));
+		[pool[index], pool[swap]] = [pool[swap], pool[index]];
+	}
+	return pool.slice(0, size);
+}
+
+/* ---------- samples ---------- */
+export async function listDoubleCodingSamples(svc, origin, url, authContext) {
+	const projectId = text(url.searchParams.get("project"));
+	if (!projectId) return svc.json({ ok: false, error: "Missing ?project" }, 400, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return unavailable(svc, origin);
+
+	try {
+		await ensureTables(svc);
+		const coder = coderOf(authContext);
+		const samples = (await d1All(svc.env, `SELECT * FROM ${SAMPLES_TABLE} WHERE project_id = ? ORDER BY created_at DESC`, [projectId])).map(sampleFromRow);
+		const codings = await codingsFor(svc, samples.map((sample) => sample.id));
+		return svc.json({
+			ok: true,
+			samples: samples.map((sample) => {
+				const own = codings.filter((coding) => coding.sampleId === sample.id);
+				const coders = codersOf(own);
+				const released = isReleased(sample, own);
+				return {
+					id: sample.id,
+					name: sample.name,
+					createdAt: sample.createdAt,
+					entryCount: sample.entryIds.length,
+					coders: coders.map(({ name, entriesCoded }) => ({ name, entriesCoded })),
+					mine: coder ? own.filter((coding) => coding.coderId === coder.id).length : 0,
+					released,
+					open: !released && (coders.length < MAX_CODERS || coders.some((item) => item.id === coder?.id))
+				};
+			})
+		}, 200, svc.corsHeaders(origin));
+	} catch (err) {
+		svc.log.error("double_coding.list.fail", { detail: String(err?.message || err).slice(0, 200) });
+		return svc.json({ ok: false, error: "double_coding_list_failed" }, 500, svc.corsHeaders(origin));
+	}
+}
+
+export async function createDoubleCodingSample(svc, request, origin, authContext) {
+	const body = await request.json().catch(() => ({}));
+	const projectId = text(body?.project || body?.projectId);
+	if (!projectId) return svc.json({ ok: false, error: "missing_project_id" }, 400, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return unavailable(svc, origin);
+
+	try {
+		await ensureTables(svc);
+		const entries = await fetchJournalsByProject(svc, projectId);
+		const known = new Set(entries.map((entry) => text(entry.id)).filter(Boolean));
+		const requested = Array.isArray(body?.entryIds) ? [...new Set(body.entryIds.map(text).filter(Boolean))] : [];
+		const unknown = requested.filter((entryId) => !known.has(entryId));
+		if (unknown.length) return svc.json({ ok: false, error: "unknown_entries", entryIds: unknown }, 400, svc.corsHeaders(origin));
+
+		const size = Math.max(1, Math.min(Number.parseInt(body?.size, 10) || DEFAULT_SAMPLE_SIZE, MAX_SAMPLE_SIZE));
+		const entryIds = requested.length ? requested.slice(0, MAX_SAMPLE_SIZE) : pickSample([...known], size);
+		if (!entryIds.length) return svc.json({ ok: false, error: "no_entries", message: "This project has no journal entries to sample." }, 409, svc.corsHeaders(origin));
+
+		const coder = coderOf(authContext);
+		const sample = {
+			id: sampleId(),
+			projectId,
+			name: text(body?.name).slice(0, 120) || `Sample of ${entryIds.length} ${entryIds.length === 1 ? "entry" : "entries"}`,
+			entryIds,
+			createdBy: coder?.id || "",
+			createdAt: nowIso()
+		};
+		await d1Run(svc.env, `INSERT INTO ${SAMPLES_TABLE} (id, project_id, name, entry_ids_json, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?)`, [sample.id, sample.projectId, sample.name, JSON.stringify(sample.entryIds), sample.createdBy || null, sample.createdAt]);
+		return svc.json({ ok: true, sample: { id: sample.id, name: sample.name, createdAt: sample.createdAt, entryCount: entryIds.length } }, 201, svc.corsHeaders(origin));
+	} catch (err) {
+		svc.log.error("double_coding.create.fail", { detail: String(err?.message || err).slice(0, 200) });
+		return svc.json({ ok: false, error: "double_coding_create_failed" }, 500, svc.corsHeaders(origin));
+	}
+}
+
+/**
+ * The caller's coding workspace for a sample. Only the caller's own codes
+ * are returned; other coders appear as progress counts.
+ */
+export async function getDoubleCodingSample(svc, origin, id, authContext) {
+	const coder = coderOf(authContext);
+	if (!coder) return svc.json({ ok: false, error: "authentication_required" }, 401, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return unavailable(svc, origin);
+
+	try {
+		await ensureTables(svc);
+		const sample = await getSample(svc, id);
+		if (!sample) return svc.json({ ok: false, error: "sample_not_found" }, 404, svc.corsHeaders(origin));
+		const [entries, codesMap, codings] = await Promise.all([
+			fetchJournalsByProject(svc, sample.projectId),
+			fetchCodesByProject(svc, sample.projectId),
+			codingsFor(svc, [sample.id])
+		]);
+		const entriesById = new Map(entries.map((entry) => [text(entry.id), entry]));
+		const mine = new Map(codings.filter((coding) => coding.coderId === coder.id).map((coding) => [coding.entryId, coding]));
+		const coders = codersOf(codings);
+		const released = isReleased(sample, codings);
+
+		return svc.json({
+			ok: true,
+			sample: {
+				id: sample.id,
+				name: sample.name,
+				projectId: sample.projectId,
+				createdAt: sample.createdAt,
+				coders: coders.map(({ name, entriesCoded }) => ({ name, entriesCoded })),
+				released,
+				open: !released && (coders.length < MAX_CODERS || coders.some((item) => item.id === coder.id))
+			},
+			codes: [...codesMap.values()].map(({ id: codeId, name }) => ({ id: codeId, name })).sort((a, b) => a.name.localeCompare(b.name)),
+			entries: sample.entryIds.map((entryId) => {
+				const entry = entriesById.get(entryId);
+				return {
+					id: entryId,
+					category: entry?.category || "",
+					content: entry ? text(entry.content || entry.body) : "",
+					missing: !entry,
+					codeIds: mine.get(entryId)?.codeIds || [],
+					codedAt: mine.get(entryId)?.codedAt || null
+				};
+			})
+		}, 200, svc.corsHeaders(origin));
+	} catch (err) {
+		svc.log.error("double_coding.read.fail", { detail: String(err?.message || err).slice(0, 200) });
+		return svc.json({ ok: false, error: "double_coding_read_failed" }, 500, svc.corsHeaders(origin));
+	}
+}
+
+export async function saveDoubleCoding(svc, request, origin, id, authContext) {
+	const coder = coderOf(authContext);
+	if (!coder) return svc.json({ ok: false, error: "authentication_required" }, 401, svc.corsHeaders(origin));
+	const body = await request.json().catch(() => ({}));
+	const entryId = text(body?.entryId);
+	if (!entryId || !Array.isArray(body?.codeIds)) return svc.json({ ok: false, error: "entryId and codeIds are required" }, 400, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return unavailable(svc, origin);
+
+	try {
+		await ensureTables(svc);
+		const sample = await getSample(svc, id);
+		if (!sample) return svc.json({ ok: false, error: "sample_not_found" }, 404, svc.corsHeaders(origin));
+		if (!sample.entryIds.includes(entryId)) return svc.json({ ok: false, error: "entry_not_in_sample" }, 400, svc.corsHeaders(origin));
+
+		const codings = await codingsFor(svc, [sample.id]);
+		if (isReleased(sample, codings)) {
+			return svc.json({ ok: false, error: "sample_released", message: "Agreement for this sample has been released, so its codes can no longer change." }, 409, svc.corsHeaders(origin));
+		}
+		const coders = codersOf(codings);
+		if (coders.length >= MAX_CODERS && !coders.some((item) => item.id === coder.id)) {
+			return svc.json({ ok: false, error: "coders_full", message: "Two researchers are already coding this sample." }, 409, svc.corsHeaders(origin));
+		}
+
+		const codesMap = await fetchCodesByProject(svc, sample.projectId);
+		const codeIds = [...new Set(body.codeIds.map(text).filter(Boolean))];
+		const unknown = codeIds.filter((codeId) => !codesMap.has(codeId));
+		if (unknown.length) return svc.json({ ok: false, error: "unknown_codes", codeIds: unknown }, 400, svc.corsHeaders(origin));
+
+		const codedAt = nowIso();
+		// Checks the close and the coder slots again, so a save racing a close
+		// or another new coder cannot land after it.
+		const result = await d1Run(svc.env, `
+			INSERT INTO ${CODINGS_TABLE} (sample_id, entry_id, coder_id, coder_name, code_ids_json, coded_at)
+			SELECT ?, ?, ?, ?, ?, ?
+			WHERE NOT EXISTS (SELECT 1 FROM ${SAMPLES_TABLE} WHERE id = ? AND closed_at IS NOT NULL)
+				AND (
+					EXISTS (SELECT 1 FROM ${CODINGS_TABLE} WHERE sample_id = ? AND coder_id = ?)
+					OR (SELECT COUNT(DISTINCT coder_id) FROM ${CODINGS_TABLE} WHERE sample_id = ?) < ?
+				)
+			ON CONFLICT(sample_id, entry_id, coder_id) DO UPDATE SET coder_name = excluded.coder_name, code_ids_json = excluded.code_ids_json, coded_at = excluded.coded_at
+		`, [sample.id, entryId, coder.id, coder.name, JSON.stringify(codeIds), codedAt, sample.id, sample.id, coder.id, sample.id, MAX_CODERS]);
+		if (!Number(result?.meta?.changes)) {
+			const latest = await getSample(svc, sample.id);
+			if (latest?.closedAt) {
+				return svc.json({ ok: false, error: "sample_released", message: "Agreement for this sample has been released, so its codes can no longer change." }, 409, svc.corsHeaders(origin));
+			}
+			return svc.json({ ok: false, error: "coders_full", message: "Two researchers are already coding this sample." }, 409, svc.corsHeaders(origin));
+		}
+		return svc.json({ ok: true, entryId, codeIds, codedAt }, 200, svc.corsHeaders(origin));
+	} catch (err) {
+		svc.log.error("double_coding.save.fail", { detail: String(err?.message || err).slice(0, 200) });
+		return svc.json({ ok: false, error: "double_coding_save_failed" }, 500, svc.corsHeaders(origin));
+	}
+}
+
+/**
+ * Release a sample's agreement before both coders have finished. Entries
+ * only one coder reached stay out of the comparison. Only the sample's
+ * creator or a research lead can close it.
+ */
+export async function closeDoubleCodingSample(svc, origin, id, authContext) {
+	const coder = coderOf(authContext);
+	if (!coder) return svc.json({ ok: false, error: "authentication_required" }, 401, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return unavailable(svc, origin);
+
+	try {
+		await ensureTables(svc);
+		const sample = await getSample(svc, id);
+		if (!sample) return svc.json({ ok: false, error: "sample_not_found" }, 404, svc.corsHeaders(origin));
+		if (sample.closedAt) return svc.json({ ok: true, sample: { id: sample.id, closedAt: sample.closedAt } }, 200, svc.corsHeaders(origin));
+		if (sample.createdBy !== coder.id && !isResearchLead(authContext)) {
+			return svc.json({ ok: false, error: "close_not_allowed", message: "Only the researcher who started this sample or a research lead can close it." }, 403, svc.corsHeaders(origin));
+		}
+
+		const closedAt = nowIso();
+		await d1Run(svc.env, `UPDATE ${SAMPLES_TABLE} SET closed_by = ?, closed_at = ? WHERE id = ? AND closed_at IS NULL`, [coder.id, closedAt, sample.id]);
+		const closed = await getSample(svc, sample.id);
+		return svc.json({ ok: true, sample: { id: closed.id, closedAt: closed.closedAt } }, 200, svc.corsHeaders(origin));
+	} catch (err) {
+		svc.log.error("double_coding.close.fail", { detail: String(err?.message || err).slice(0, 200) });
+		return svc.json({ ok: false, error: "double_coding_close_failed" }, 500, svc.corsHeaders(origin));
+	}
+}
+
+/* ---------- agreement ---------- */
+export async function agreementReport(svc, origin, url) {
+	const projectId = text(url.searchParams.get("project"));
+	const onlySample = text(url.searchParams.get("sample"));
+	if (!projectId) return svc.json({ ok: false, error: "Missing ?project" }, 400, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return unavailable(svc, origin);
+
+	try {
+		await ensureTables(svc);
+		const samples = (await d1All(svc.env, `SELECT * FROM ${SAMPLES_TABLE} WHERE project_id = ?${onlySample ? " AND id = ?" : ""} ORDER BY created_at DESC`, onlySample ? [projectId, onlySample] : [projectId])).map(sampleFromRow);
+		if (onlySample && !samples.length) return svc.json({ ok: false, error: "sample_not_found" }, 404, svc.corsHeaders(origin));
+		const [codings, codesMap, entries] = await Promise.all([
+			codingsFor(svc, samples.map((sample) => sample.id)),
+			fetchCodesByProject(svc, projectId),
+			samples.length ? fetchJournalsByProject(svc, projectId) : []
+		]);
+		const entriesById = new Map(entries.map((entry) => [text(entry.id), entry]));
+
+		return svc.json({
+			ok: true,
+			projectId,
+			generatedAt: nowIso(),
+			samples: samples.map((sample) => sampleReport(sample, codings.filter((coding) => coding.sampleId === sample.id), codesMap, entriesById))
+		}, 200, svc.corsHeaders(origin));
+	} catch (err) {
+		svc.log.error("analysis.agreement.fail", { detail: String(err?.message || err).slice(0, 200) });
+		return svc.json({ ok: false, error: "agreement_failed" }, 500, svc.corsHeaders(origin));
+	}
+}
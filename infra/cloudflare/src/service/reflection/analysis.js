@@ -74,7 +74,8 @@ function parseTags(value) {
 }
 
 /* ---------- fetchers ---------- */
-async function fetchCodesByProject(svc, projectId) {
+/** Codes for a project keyed by id, read from D1, then Airtable, then the Test Project 1 seed. */
+export async function fetchCodesByProject(svc, projectId) {
 	const d1Codes = await fetchD1CodesByProject(svc, projectId);
 	if (d1Codes.size) return d1Codes;
 	const airtableCodes = await fetchAirtableCodesByProject(svc, projectId);
@@ -268,7 +269,8 @@ async function fetchAirtableJournalsByProject(svc, projectId) {
 	return out;
 }
 
-async function fetchJournalsByProject(svc, projectId) {
+/** Journal entries for a project with their applied code ids, from the same sources as the codes. */
+export async function fetchJournalsByProject(svc, projectId) {
 	const d1Entries = await fetchD1JournalsByProject(svc, projectId);
 	if (d1Entries.length) return d1Entries;
 	const airtableEntries = await fetchAirtableJournalsByProject(svc, projectId);
@@ -244,6 +244,29 @@ function buildPaths(codes) {
 	}, {});
 }
 
+/**
+ * Match free-text tags, such as Mural sticky tags, to codes by name or path,
+ * ignoring case. Mural cuts tag text at 25 characters, so a tag of exactly
+ * that length also matches a longer code name that starts with it.
+ * @param {Array<{ id: string, name?: string, path?: string }>} codes
+ * @param {string[]} tags
+ * @returns {{ codes: Array<{ id: string, name: string, tag: string }>, unmatched: string[] }}
+ */
+export function matchTagsToCodes(codes, tags) {
+	const key = (value) => String(value || "").trim().toLowerCase();
+	const matched = new Map();
+	const unmatched = [];
+	for (const tag of tags || []) {
+		const wanted = key(tag);
+		if (!wanted) continue;
+		const code = (codes || []).find(c => key(c.name) === wanted || key(c.path) === wanted) ||
+			(wanted.length === 25 ? (codes || []).find(c => key(c.name).startsWith(wanted)) : null);
+		if (!code) unmatched.push(String(tag).trim());
+		else if (!matched.has(code.id)) matched.set(code.id, { id: code.id, name: code.name || code.id, tag: String(tag).trim() });
+	}
+	return { codes: Array.from(matched.values()), unmatched };
+}
+
 /**
  * Map an Airtable record to API shape.
  * @param {any} r
@@ -1,4 +1,5 @@
 import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
+import { removeFromSearchIndex } from "./internals/search-index.js";
 
 const ARTEFACTS_TABLE = "rops_repository_artefacts";
 const TAGS_TABLE = "rops_repository_artefact_tags";
@@ -363,7 +364,11 @@ function publicWhere() {
 	];
 }
 
-function publicWhereSql() {
+/**
+ * SQL condition for artefacts that may be shown outside the curation queues.
+ * Search uses it so unpublished or uncleared artefacts never reach the index.
+ */
+export function publicWhereSql() {
 	return publicWhere().join(" AND ");
 }
 
@@ -1124,6 +1129,9 @@ export async function applyRepositoryReviewAction(svc, request, origin, artefact
 		artefactId
 	]);
 
+	const stillPublic = await d1Get(svc.env, `SELECT id FROM ${ARTEFACTS_TABLE} WHERE id = ? AND ${publicWhereSql()} LIMIT 1`, [artefactId]);
+	if (!stillPublic) await removeFromSearchIndex(svc.env, "repository_artefact", [artefactId]);
+
 	await d1Run(svc.env, `
 		INSERT INTO ${AUDIT_TABLE} (id, artefact_id, action, actor_user_id, created_at, payload_json)
 		VALUES (?, ?, ?, ?, ?, ?)
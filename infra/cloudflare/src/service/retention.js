@@ -1,82 +1,562 @@
+/**
+ * @file src/service/retention.js
+ * @module service/retention
+ * @summary Retention policies per data class, the scheduled run that applies them and a dry-run preview of that run.
+ *
+ * Endpoints covered:
+ * - GET /api/retention/preview?study=<StudyId>
+ * - GET /api/retention/runs
+ * - GET /api/retention/runs/:id
+ *
+ * Each data class has a default retention period and an action: participant
+ * contact details are anonymised, everything else is deleted. A study can
+ * keep some classes for less time depending on the lawful basis given in
+ * the `lawfulBasis` detail of its latest published consent form. Deployments
+ * can change periods with RESEARCHOPS_RETENTION_POLICIES, a JSON object
+ * keyed by data class, for example
+ * `{"recordings":{"retainDays":120,"lawfulBasisDays":{"consent":60}}}`.
+ *
+ * The scheduled run and the preview build the same plan, so the preview
+ * lists exactly the items the next run would change if nothing is edited in
+ * between. Every run is logged in rops_retention_runs with one row per item
+ * in rops_retention_run_items.
+ *
+ * Items covered by an active legal hold (see legal-holds.js) are planned and
+ * logged as "skipped: legal hold" and never changed. Every statement that
+ * changes a row checks for a hold again, so a hold placed while a run is in
+ * progress is still honoured.
+ */
+
+import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
+import { removeFromSearchIndex } from "./internals/search-index.js";
+import { activeLegalHolds, legalHoldFor, NO_ACTIVE_LEGAL_HOLD, studyProjects } from "./legal-holds.js";
+
 const RETENTION_ENABLED = "true";
 const DEFAULT_GRACE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Matches RETENTION_CRON in worker.js.
+const RUN_HOUR_UTC = 2;
+const RUN_MINUTE_UTC = 17;
 
-function dbFor(env) {
-	return env?.RESEARCHOPS_D1?.prepare ? env.RESEARCHOPS_D1 : null;
-}
+const RUNS_TABLE = "rops_retention_runs";
+const RUN_ITEMS_TABLE = "rops_retention_run_items";
+const CONSENT_FORMS_TABLE = "rops_consent_forms";
+const RECORDINGS_PREFIX = "recordings/";
+const MAX_RUNS_LISTED = 100;
+const LEGAL_HOLD_SKIP = "legal hold";
 
-function daysAgo(days, scheduledTime = Date.now()) {
-	return new Date(Number(scheduledTime || Date.now()) - days * 24 * 60 * 60 * 1000).toISOString();
-}
+export const LAWFUL_BASES = Object.freeze(["consent", "public_task"]);
+
+/**
+ * Default policies. `lawfulBasisDays` replaces `retainDays` for studies whose
+ * consent form gives that lawful basis.
+ */
+export const RETENTION_POLICIES = Object.freeze({
+	contact_details: { label: "Participant contact details", action: "anonymise", retainDays: 365, lawfulBasisDays: { consent: 183 } },
+	consent: { label: "Participant consent records", action: "delete", retainDays: 365 },
+	session_notes: { label: "Session notes", action: "delete", retainDays: 183 },
+	recordings: { label: "Session recordings", action: "delete", retainDays: 183, lawfulBasisDays: { consent: 90 } },
+	ethics_documents: { label: "Ethics submission documents", action: "delete", retainDays: 2190 },
+	comms_outbox: { label: "Participant messages", action: "delete", retainDays: 365 },
+	session_reminders: { label: "Session reminder log", action: "delete", retainDays: 365 }
+});
+
+/**
+ * Where each D1-held data class lives, how its age is measured, which
+ * columns name the participant and project a legal hold could cover, and
+ * the statement that anonymises or deletes one row. Statements repeat the
+ * age check so a row edited after planning is left alone. `searchType`
+ * names the search document a deleted row is also taken out of.
+ */
+const TABLE_SOURCES = [
+	{
+		dataClass: "contact_details",
+		table: "rops_participants_cache",
+		activity: "COALESCE(updated_at, created_at)",
+		filter: "active = 1 AND sensitive_contact_json IS NOT NULL",
+		participant: "id",
+		project: "project_id",
+		apply: `
+			UPDATE rops_participants_cache
+			SET sensitive_contact_json = NULL,
+				payload_json = json_set(COALESCE(payload_json, '{}'), '$.retentionAnonymised', 1),
+				updated_at = ?3
+			WHERE id = ?1 AND sensitive_contact_json IS NOT NULL AND COALESCE(updated_at, created_at) < ?2
+		`
+	},
+	{
+		dataClass: "consent",
+		table: "rops_participant_consent_cache",
+		activity: "COALESCE(updated_at, recorded_at, created_at)",
+		participant: "participant_id",
+		apply: "DELETE FROM rops_participant_consent_cache WHERE id = ?1 AND COALESCE(updated_at, recorded_at, created_at) < ?2"
+	},
+	{
+		dataClass: "session_notes",
+		table: "rops_session_notes",
+		activity: "COALESCE(updated_at, end_iso, start_iso, created_at)",
+		participant: "participant_id",
+		searchType: "session_note",
+		apply: "DELETE FROM rops_session_notes WHERE id = ?1 AND COALESCE(updated_at, end_iso, start_iso, created_at) < ?2"
+	},
+	{
+		dataClass: "ethics_documents",
+		table: "rops_ethics_submission_documents",
+		activity: "created_at",
+		columns: "*",
+		project: "project_id",
+		apply: "DELETE FROM rops_ethics_submission_documents WHERE id = ?1 AND created_at < ?2"
+	},
+	{
+		dataClass: "comms_outbox",
+		table: "rops_comms_outbox",
+		activity: "COALESCE(updated_at, created_at)",
+		participant: "participant_id",
+		apply: "DELETE FROM rops_comms_outbox WHERE id = ?1 AND COALESCE(updated_at, created_at) < ?2"
+	},
+	{
+		dataClass: "session_reminders",
+		table: "rops_session_reminders",
+		activity: "created_at",
+		participant: "CASE WHEN recipient_type = 'participant' THEN recipient_id END",
+		apply: "DELETE FROM rops_session_reminders WHERE id = ?1 AND created_at < ?2"
+	}
+];
+
+const RUNS_SQL = `
+	CREATE TABLE IF NOT EXISTS ${RUNS_TABLE} (
+		id TEXT PRIMARY KEY,
+		trigger TEXT NOT NULL,
+		scheduled_time TEXT NOT NULL,
+		status TEXT NOT NULL,
+		grace_days INTEGER NOT NULL,
+		policies_json TEXT NOT NULL DEFAULT '{}',
+		counts_json TEXT NOT NULL DEFAULT '{}',
+		skipped_reason TEXT,
+		last_error TEXT,
+		started_at TEXT NOT NULL,
+		completed_at TEXT
+	)
+`;
+
+const RUN_ITEMS_SQL = `
+	CREATE TABLE IF NOT EXISTS ${RUN_ITEMS_TABLE} (
+		run_id TEXT NOT NULL,
+		data_class TEXT NOT NULL,
+		source TEXT NOT NULL,
+		item_id TEXT NOT NULL,
+		study_id TEXT,
+		lawful_basis TEXT,
+		action TEXT NOT NULL,
+		retain_days INTEGER NOT NULL,
+		cutoff TEXT NOT NULL,
+		last_activity_at TEXT,
+		status TEXT NOT NULL,
+		detail TEXT,
+		legal_hold_id TEXT,
+		processed_at TEXT,
+		PRIMARY KEY (run_id, source, item_id)
+	)
+`;
+
+function hasD1(env) { return Boolean(env?.RESEARCHOPS_D1?.prepare); }
+function hasR2(env) { return Boolean(env?.RESEARCHOPS_DOCUMENTS_R2?.list); }
+function nowIso(value = Date.now()) { return new Date(value).toISOString(); }
+function text(value) { return String(value ?? "").trim(); }
+function runId() { return `rr_${crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}_${Math.random().toString(16).slice(2)}`}`; }
+function unavailable(svc, origin) { return svc.json({ ok: false, error: "retention_unavailable", message: "Retention information is not available right now." }, 503, svc.corsHeaders(origin)); }
 
 function retentionEnabled(env) {
 	return String(env?.RESEARCHOPS_RETENTION_ENFORCEMENT_ENABLED || "").toLowerCase() === RETENTION_ENABLED;
 }
 
-async function tableExists(db, tableName) {
-	const row = await db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ? LIMIT 1").bind(tableName).first();
+function graceDaysFor(env) {
+	const days = Number(env?.RESEARCHOPS_RETENTION_GRACE_DAYS);
+	return Number.isFinite(days) && days >= 0 ? days : DEFAULT_GRACE_DAYS;
+}
+
+function parseJson(value, fallback) {
+	try {
+		return value ? JSON.parse(value) : fallback;
+	} catch {
+		return fallback;
+	}
+}
+
+function positiveDays(value) {
+	const days = Number(value);
+	return Number.isInteger(days) && days > 0 ? days : null;
+}
+
+async function tableExists(env, tableName) {
+	const row = await d1Get(env, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ? LIMIT 1", [tableName]);
 	return Boolean(row?.name);
 }
 
-async function runIfTableExists(db, tableName, query, ...bindings) {
-	if (!(await tableExists(db, tableName))) return { table: tableName, changed: 0, skipped: "table_missing" };
-	const result = await db.prepare(query).bind(...bindings).run();
-	return { table: tableName, changed: result?.meta?.changes || 0 };
+async function ensureRunTables(env) {
+	await d1Run(env, RUNS_SQL);
+	await d1Run(env, `CREATE INDEX IF NOT EXISTS idx_rops_retention_runs_started ON ${RUNS_TABLE} (started_at)`);
+	await d1Run(env, RUN_ITEMS_SQL);
+	try {
+		await d1Run(env, `ALTER TABLE ${RUN_ITEMS_TABLE} ADD COLUMN legal_hold_id TEXT`);
+	} catch {
+		// Column already present.
+	}
+}
+
+/**
+ * The policies in force: the defaults with any RESEARCHOPS_RETENTION_POLICIES
+ * periods applied. Unknown data classes and invalid periods are ignored;
+ * actions cannot be changed.
+ * @param {any} env
+ */
+export function resolveRetentionPolicies(env) {
+	const overrides = parseJson(env?.RESEARCHOPS_RETENTION_POLICIES, {});
+	const policies = {};
+	for (const [dataClass, policy] of Object.entries(RETENTION_POLICIES)) {
+		const override = overrides && typeof overrides === "object" ? overrides[dataClass] || {} : {};
+		const lawfulBasisDays = { ...(policy.lawfulBasisDays || {}) };
+		for (const basis of LAWFUL_BASES) {
+			const days = positiveDays(override.lawfulBasisDays?.[basis]);
+			if (days) lawfulBasisDays[basis] = days;
+		}
+		policies[dataClass] = {
+			label: policy.label,
+			action: policy.action,
+			retainDays: positiveDays(override.retainDays) || policy.retainDays,
+			lawfulBasisDays
+		};
+	}
+	return policies;
+}
+
+/**
+ * Map a consent form's lawful basis to a policy key. Accepts the DPV terms
+ * used on the consent page as well as plain words.
+ * @param {unknown} value
+ * @returns {"consent"|"public_task"|""}
+ */
+export function normaliseLawfulBasis(value) {
+	const basis = text(value).toLowerCase().replace(/^dpv:/, "").replace(/[\s_-]+/g, "");
+	if (basis === "consent") return "consent";
+	if (["publictask", "publicinterest", "publictaskpublicinterest"].includes(basis)) return "public_task";
+	return "";
+}
+
+/**
+ * The lawful basis of each study, read from its latest published consent form.
+ * @returns {Promise<Map<string, string>>}
+ */
+async function studyLawfulBases(env) {
+	const bases = new Map();
+	if (!(await tableExists(env, CONSENT_FORMS_TABLE))) return bases;
+	const rows = await d1All(env, `
+		SELECT study_id, variables_json
+		FROM ${CONSENT_FORMS_TABLE}
+		WHERE active = 1 AND status = 'Published'
+		ORDER BY version DESC, COALESCE(published_at, updated_at) DESC
+	`);
+	for (const row of rows) {
+		if (bases.has(row.study_id)) continue;
+		const basis = normaliseLawfulBasis(parseJson(row.variables_json, {})?.lawfulBasis);
+		if (basis) bases.set(row.study_id, basis);
+	}
+	return bases;
+}
+
+/**
+ * The first scheduled run at or after `from`.
+ * @param {number} [from]
+ */
+export function nextRetentionRunAt(from = Date.now()) {
+	const start = new Date(from);
+	const next = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate(), RUN_HOUR_UTC, RUN_MINUTE_UTC));
+	if (next.getTime() < start.getTime()) next.setUTCDate(next.getUTCDate() + 1);
+	return next.getTime();
+}
+
+function policyFor(policies, dataClass, basis) {
+	const policy = policies[dataClass];
+	const retainDays = (basis && policy.lawfulBasisDays[basis]) || policy.retainDays;
+	return { action: policy.action, retainDays };
+}
+
+function cutoffFor(scheduledTime, retainDays, graceDays) {
+	return nowIso(Number(scheduledTime) - (retainDays + graceDays) * DAY_MS);
+}
+
+/**
+ * Build the list of items a run at `scheduledTime` would anonymise or delete.
+ * Candidates are read against the shortest period any study could have and
+ * then checked against their own study's period. Items under a legal hold
+ * stay in the plan, marked `skipped: "legal hold"`, so previews and run logs
+ * show what the hold is keeping.
+ * @param {any} env
+ * @param {{ scheduledTime: number, studyId?: string }} options
+ */
+export async function planRetention(env, { scheduledTime, studyId = "" }) {
+	const policies = resolveRetentionPolicies(env);
+	const graceDays = graceDaysFor(env);
+	const bases = await studyLawfulBases(env);
+	const holds = await activeLegalHolds(env);
+	// Resolved even with no project hold yet, so a hold placed mid-run is seen by applyItem.
+	const projects = await studyProjects(env);
+	const items = [];
+
+	const addCandidate = (dataClass, source, itemId, scope, lastActivityAt, extra = {}) => {
+		const itemStudyId = text(scope.studyId);
+		const lawfulBasis = bases.get(itemStudyId) || "";
+		const { action, retainDays } = policyFor(policies, dataClass, lawfulBasis);
+		const cutoff = cutoffFor(scheduledTime, retainDays, graceDays);
+		if (!lastActivityAt || lastActivityAt >= cutoff) return;
+		const holdScope = {
+			projectId: text(scope.projectId) || projects.get(itemStudyId) || "",
+			studyId: itemStudyId,
+			participantId: text(scope.participantId)
+		};
+		const hold = legalHoldFor(holds, holdScope);
+		items.push({
+			dataClass, source, id: itemId, ...holdScope, lawfulBasis, action, retainDays, cutoff, lastActivityAt, ...extra,
+			...(hold ? { skipped: LEGAL_HOLD_SKIP, legalHoldId: hold.id } : {})
+		});
+	};
+
+	for (const source of TABLE_SOURCES) {
+		if (!(await tableExists(env, source.table))) continue;
+		const policy = policies[source.dataClass];
+		const shortest = Math.min(policy.retainDays, ...Object.values(policy.lawfulBasisDays));
+		const where = [source.filter, `${source.activity} < ?`, studyId ? "study_id = ?" : ""].filter(Boolean).join(" AND ");
+		const rows = await d1All(env, `
+			SELECT ${source.columns || "id, study_id"}, ${source.activity} AS retention_activity_at,
+				${source.participant || "NULL"} AS retention_participant_id, ${source.project || "NULL"} AS retention_project_id
+			FROM ${source.table}
+			WHERE ${where}
+			ORDER BY retention_activity_at ASC
+		`, [cutoffFor(scheduledTime, shortest, graceDays), ...(studyId ? [studyId] : [])]);
+		for (const row of rows) {
+			const objectKeys = source.dataClass === "ethics_documents"
+				? { objectKeys: [row.object_key, row.html_object_key, row.pdf_object_key].filter(Boolean) }
+				: {};
+			const scope = { studyId: row.study_id, participantId: row.retention_participant_id, projectId: row.retention_project_id };
+			addCandidate(source.dataClass, source.table, row.id, scope, row.retention_activity_at, objectKeys);
+		}
+	}
+
+	if (hasR2(env)) {
+		let cursor;
+		do {
+			const page = await env.RESEARCHOPS_DOCUMENTS_R2.list({ prefix: RECORDINGS_PREFIX, cursor, include: ["customMetadata"] });
+			for (const object of page?.objects || []) {
+				const objectStudyId = text(object.customMetadata?.studyId) || object.key.slice(RECORDINGS_PREFIX.length).split("/")[0];
+				if (studyId && objectStudyId !== studyId) continue;
+				const uploaded = object.uploaded ? nowIso(new Date(object.uploaded).getTime()) : "";
+				const scope = { studyId: objectStudyId, participantId: object.customMetadata?.participantId, projectId: object.customMetadata?.projectId };
+				addCandidate("recordings", "r2", object.key, scope, uploaded);
+			}
+			cursor = page?.truncated ? page.cursor : undefined;
+		} while (cursor);
+	}
+
+	return { scheduledTime: nowIso(scheduledTime), graceDays, policies, items };
+}
+
+async function stillHeld(env, item) {
+	return Boolean(legalHoldFor(await activeLegalHolds(env), item));
+}
+
+async function applyItem(env, item, now) {
+	if ((item.source === "r2" || item.objectKeys?.length) && await stillHeld(env, item)) return 0;
+	if (item.source === "r2") {
+		await env.RESEARCHOPS_DOCUMENTS_R2.delete(item.id);
+		return 1;
+	}
+	if (item.objectKeys?.length) {
+		if (!env?.RESEARCHOPS_DOCUMENTS_R2?.delete) throw new Error("RESEARCHOPS_DOCUMENTS_R2 binding not available");
+		for (const key of item.objectKeys) await env.RESEARCHOPS_DOCUMENTS_R2.delete(key);
+	}
+	const source = TABLE_SOURCES.find((entry) => entry.table === item.source);
+	const bindings = [item.id, item.cutoff, now, item.projectId || null, item.studyId || null, item.participantId || null];
+	const result = await d1Run(env, `${source.apply} AND ${NO_ACTIVE_LEGAL_HOLD}`, bindings);
+	const changes = Number(result?.meta?.changes || 0);
+	if (changes && source.searchType) await removeFromSearchIndex(env, source.searchType, [item.id]);
+	return changes;
 }
 
+async function recordItem(env, id, item, status, detail = "") {
+	await d1Run(env, `
+		INSERT INTO ${RUN_ITEMS_TABLE} (run_id, data_class, source, item_id, study_id, lawful_basis, action, retain_days, cutoff, last_activity_at, status, detail, legal_hold_id, processed_at)
+		VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+		ON CONFLICT(run_id, source, item_id) DO NOTHING
+	`, [id, item.dataClass, item.source, item.id, item.studyId || null, item.lawfulBasis || null, item.action, item.retainDays, item.cutoff, item.lastActivityAt || null, status, detail || null, item.legalHoldId || null, nowIso()]);
+}
+
+function countItems(items) {
+	const counts = {};
+	for (const item of items) {
+		const entry = counts[item.dataClass] || (counts[item.dataClass] = { anonymise: 0, delete: 0, failed: 0, skipped: 0, unchanged: 0 });
+		if (item.skipped || item.status === "skipped") entry.skipped += 1;
+		else if (item.status === "failed") entry.failed += 1;
+		else if (item.status === "unchanged") entry.unchanged += 1;
+		else entry[item.action] += 1;
+	}
+	return counts;
+}
+
+async function startRun(env, trigger, scheduledTime, status, graceDays, policies, skippedReason = null) {
+	const id = runId();
+	await d1Run(env, `
+		INSERT INTO ${RUNS_TABLE} (id, trigger, scheduled_time, status, grace_days, policies_json, skipped_reason, started_at, completed_at)
+		VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+	`, [id, trigger, nowIso(scheduledTime), status, graceDays, JSON.stringify(policies), skippedReason, nowIso(), status === "running" ? null : nowIso()]);
+	return id;
+}
+
+/**
+ * Apply retention. Called from the scheduled handler on RETENTION_CRON.
+ * Each item is changed on its own and recorded in the run log, so one
+ * failure does not stop the rest of the run.
+ * @param {any} env
+ * @param {{ scheduledTime?: number, trigger?: string }} [options]
+ */
 export async function enforceRetention(env, options = {}) {
-	const db = dbFor(env);
-	if (!db) return { ok: false, skipped: "d1_missing" };
-	if (!retentionEnabled(env)) return { ok: true, skipped: "retention_disabled" };
-
-	const graceDays = Number(env.RESEARCHOPS_RETENTION_GRACE_DAYS || DEFAULT_GRACE_DAYS);
-	const defaultCutoff = daysAgo(365 + graceDays, options.scheduledTime);
-	const recordingCutoff = daysAgo(183 + graceDays, options.scheduledTime);
-	const results = [];
-
-	results.push(await runIfTableExists(
-		db,
-		"rops_participants_cache",
-		`
-			UPDATE rops_participants_cache
-			SET sensitive_contact_json = NULL,
-				payload_json = json_set(COALESCE(payload_json, '{}'), '$.retentionAnonymised', 1),
-				updated_at = ?
-			WHERE active = 1
-				AND sensitive_contact_json IS NOT NULL
-				AND COALESCE(updated_at, created_at) < ?
-		`,
-		new Date().toISOString(),
-		defaultCutoff,
-	));
-
-	results.push(await runIfTableExists(
-		db,
-		"rops_participant_consent_cache",
-		`
-			DELETE FROM rops_participant_consent_cache
-			WHERE COALESCE(updated_at, recorded_at, created_at) < ?
-		`,
-		defaultCutoff,
-	));
-
-	results.push(await runIfTableExists(
-		db,
-		"rops_session_notes",
-		`
-			DELETE FROM rops_session_notes
-			WHERE COALESCE(updated_at, end_iso, start_iso, created_at) < ?
-		`,
-		recordingCutoff,
-	));
+	if (!hasD1(env)) return { ok: false, skipped: "d1_missing" };
+	const scheduledTime = Number(options.scheduledTime || Date.now());
+	const trigger = options.trigger || "scheduled";
+	await ensureRunTables(env);
+	if (!retentionEnabled(env)) {
+		const id = await startRun(env, trigger, scheduledTime, "skipped", graceDaysFor(env), resolveRetentionPolicies(env), "retention_disabled");
+		return { ok: true, runId: id, skipped: "retention_disabled" };
+	}
+
+	const plan = await planRetention(env, { scheduledTime });
+	const id = await startRun(env, trigger, scheduledTime, "running", plan.graceDays, plan.policies);
+	const outcomes = [];
+	try {
+		const now = nowIso();
+		for (const item of plan.items) {
+			if (item.skipped) {
+				await recordItem(env, id, item, "skipped", item.skipped);
+				outcomes.push({ ...item, status: "skipped" });
+				continue;
+			}
+			try {
+				const changed = await applyItem(env, item, now);
+				const status = changed ? "done" : "unchanged";
+				await recordItem(env, id, item, status, changed ? "" : "The item changed or was put on legal hold after the run was planned.");
+				outcomes.push({ ...item, status });
+			} catch (err) {
+				const detail = String(err?.message || err).slice(0, 300);
+				await recordItem(env, id, item, "failed", detail);
+				outcomes.push({ ...item, status: "failed" });
+			}
+		}
+		const counts = countItems(outcomes);
+		const status = outcomes.some((item) => item.status === "failed") ? "completed_with_errors" : "completed";
+		await d1Run(env, `UPDATE ${RUNS_TABLE} SET status = ?, counts_json = ?, completed_at = ? WHERE id = ?`, [status, JSON.stringify(counts), nowIso(), id]);
+		return { ok: true, runId: id, retentionEnforced: true, status, scheduledTime: plan.scheduledTime, counts };
+	} catch (err) {
+		const detail = String(err?.message || err).slice(0, 300);
+		await d1Run(env, `UPDATE ${RUNS_TABLE} SET status = 'failed', counts_json = ?, last_error = ?, completed_at = ? WHERE id = ?`, [JSON.stringify(countItems(outcomes)), detail, nowIso(), id]);
+		return { ok: false, runId: id, error: detail };
+	}
+}
+
+function runDto(row) {
+	return {
+		id: row.id,
+		trigger: row.trigger,
+		scheduledTime: row.scheduled_time,
+		status: row.status,
+		graceDays: Number(row.grace_days || 0),
+		policies: parseJson(row.policies_json, {}),
+		counts: parseJson(row.counts_json, {}),
+		skippedReason: row.skipped_reason || "",
+		lastError: row.last_error || "",
+		startedAt: row.started_at,
+		completedAt: row.completed_at || ""
+	};
+}
 
+function runItemDto(row) {
 	return {
-		ok: true,
-		retentionEnforced: true,
-		cutoffs: {
-			default: defaultCutoff,
-			recordingsAndNotes: recordingCutoff,
-		},
-		results,
+		dataClass: row.data_class,
+		source: row.source,
+		id: row.item_id,
+		studyId: row.study_id || "",
+		lawfulBasis: row.lawful_basis || "",
+		action: row.action,
+		retainDays: Number(row.retain_days || 0),
+		cutoff: row.cutoff,
+		lastActivityAt: row.last_activity_at || "",
+		status: row.status,
+		detail: row.detail || "",
+		legalHoldId: row.legal_hold_id || "",
+		processedAt: row.processed_at || ""
 	};
 }
+
+/**
+ * GET /api/retention/preview?study= — what the next scheduled run would
+ * change, without changing it.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {URL} url
+ */
+export async function previewRetention(svc, origin, url) {
+	if (!hasD1(svc.env)) return unavailable(svc, origin);
+	try {
+		const scheduledTime = nextRetentionRunAt();
+		const plan = await planRetention(svc.env, { scheduledTime, studyId: text(url.searchParams.get("study")) });
+		return svc.json({
+			ok: true,
+			enforcementEnabled: retentionEnabled(svc.env),
+			scheduledTime: plan.scheduledTime,
+			graceDays: plan.graceDays,
+			policies: plan.policies,
+			counts: countItems(plan.items),
+			items: plan.items
+		}, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.retention.preview.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * GET /api/retention/runs — the most recent runs, newest first.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {URL} url
+ */
+export async function listRetentionRuns(svc, origin, url) {
+	if (!hasD1(svc.env)) return unavailable(svc, origin);
+	const limit = Math.min(Math.max(Number.parseInt(url.searchParams.get("limit"), 10) || 20, 1), MAX_RUNS_LISTED);
+	try {
+		await ensureRunTables(svc.env);
+		const rows = await d1All(svc.env, `SELECT * FROM ${RUNS_TABLE} ORDER BY started_at DESC LIMIT ${limit}`);
+		return svc.json({ ok: true, runs: rows.map(runDto) }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.retention.runs.list.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * GET /api/retention/runs/:id — one run with every item it changed or tried to.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {string} id
+ */
+export async function readRetentionRun(svc, origin, id) {
+	if (!hasD1(svc.env)) return unavailable(svc, origin);
+	try {
+		await ensureRunTables(svc.env);
+		const row = await d1Get(svc.env, `SELECT * FROM ${RUNS_TABLE} WHERE id = ? LIMIT 1`, [id]);
+		if (!row) return svc.json({ ok: false, error: "retention_run_not_found" }, 404, svc.corsHeaders(origin));
+		const items = await d1All(svc.env, `SELECT * FROM ${RUN_ITEMS_TABLE} WHERE run_id = ? ORDER BY data_class, source, item_id`, [id]);
+		return svc.json({ ok: true, run: runDto(row), items: items.map(runItemDto) }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.retention.runs.read.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
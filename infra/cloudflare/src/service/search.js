@@ -0,0 +1,542 @@
+/**
+ * @file src/service/search.js
+ * @module service/search
+ * @summary Unified full-text search over research content, backed by a D1 FTS5 index.
+ *
+ * Endpoints covered:
+ * - GET  /api/search?q=&type=&project=&study=&code=&page=&page_size=
+ * - POST /api/search/reindex
+ *
+ * The index holds journal entries, session notes, memos, coded excerpts,
+ * codes and published repository artefacts, all read from their D1 tables.
+ * The scheduled handler rebuilds it in full every ten minutes, so new content
+ * needs no hooks; the first search builds it if it has never been built.
+ * Deleted or redacted content is removed at once through
+ * `removeFromSearchIndex` (see ./internals/search-index.js).
+ *
+ * A rebuild claims the state row first, so only one runs at a time, and
+ * fills a staging table that is swapped in whole. Searches see the old index
+ * or the new one, never a half-built one. Content removed while a rebuild
+ * runs is taken out of the staging table before the swap.
+ *
+ * The worker decides which document types the caller may see by checking the
+ * route permissions of each type's own list endpoint, and passes only those
+ * types in. Counts, facets and results are all filtered by that list, so a
+ * restricted type does not show up even as a facet count. Repository
+ * artefacts are only indexed once published and cleared.
+ */
+
+import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
+import { SEARCH_INDEX_REMOVALS_TABLE, SEARCH_INDEX_STAGING_TABLE, SEARCH_INDEX_TABLE } from "./internals/search-index.js";
+import { publicWhereSql } from "./repository.js";
+
+const INDEX_TABLE = SEARCH_INDEX_TABLE;
+const STAGING_TABLE = SEARCH_INDEX_STAGING_TABLE;
+const REMOVALS_TABLE = SEARCH_INDEX_REMOVALS_TABLE;
+const STATE_TABLE = "rops_search_index_state";
+const REBUILD_LEASE_MS = 10 * 60_000;
+const BATCH_SIZE = 50;
+const IN_CHUNK = 50;
+const MAX_TERMS = 12;
+const FACET_SCAN_LIMIT = 1000;
+const FACET_VALUE_LIMIT = 20;
+const HIT_OPEN = "\u0002";
+const HIT_CLOSE = "\u0003";
+
+export const SEARCH_DOC_TYPES = Object.freeze([
+	"journal_entry",
+	"session_note",
+	"memo",
+	"excerpt",
+	"code",
+	"repository_artefact"
+]);
+
+const TYPE_LABELS = Object.freeze({
+	journal_entry: "Journal entry",
+	session_note: "Session note",
+	memo: "Memo",
+	excerpt: "Excerpt",
+	code: "Code",
+	repository_artefact: "Repository artefact"
+});
+
+const INDEX_COLUMNS = ["title", "body", "tags", "doc_key", "doc_type", "record_id", "project_id", "study_id", "code_ids", "url", "updated_at"];
+
+function hasD1(svc) { return Boolean(svc?.env?.RESEARCHOPS_D1?.prepare); }
+function nowIso(ms = Date.now()) { return new Date(ms).toISOString(); }
+function text(value) { return String(value ?? "").trim(); }
+function unavailable(svc, origin) { return svc.json({ ok: false, error: "search_unavailable", message: "Search is not available right now." }, 503, svc.corsHeaders(origin)); }
+
+function plainText(value) {
+	return String(value ?? "")
+		.replace(/<br\s*\/?>/gi, "\n")
+		.replace(/<\/(p|div|li|h[1-6])>/gi, "\n")
+		.replace(/<[^>]*>/g, " ")
+		.replace(/&nbsp;/g, " ")
+		.replace(/&amp;/g, "&")
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&quot;/g, "\"")
+		.replace(/&#39;/g, "'")
+		.replace(/[ \t]+/g, " ")
+		.replace(/\s*\n\s*/g, "\n")
+		.trim();
+}
+
+function escapeHtml(value) {
+	return String(value ?? "")
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
+}
+
+/** Escape indexed text and turn FTS5 hit markers into <mark> elements. */
+function markedHtml(value) {
+	return escapeHtml(value).split(HIT_OPEN).join("<mark>").split(HIT_CLOSE).join("</mark>");
+}
+
+function excerptTitle(value, fallback) {
+	const firstLine = plainText(value).split("\n").find(Boolean) || "";
+	if (!firstLine) return fallback;
+	return firstLine.length > 80 ? `${firstLine.slice(0, 77).trimEnd()}…` : firstLine;
+}
+
+function parseTags(value) {
+	if (Array.isArray(value)) return value.map(text).filter(Boolean);
+	const raw = text(value);
+	if (!raw) return [];
+	try {
+		const parsed = JSON.parse(raw);
+		if (Array.isArray(parsed)) return parsed.map(text).filter(Boolean);
+	} catch {
+		// Older rows store tags as a comma separated string.
+	}
+	return raw.split(",").map(text).filter(Boolean);
+}
+
+function query(url, key) {
+	return text(url.searchParams.get(key));
+}
+
+function clampInt(value, fallback, min, max) {
+	const parsed = Number.parseInt(String(value ?? ""), 10);
+	if (!Number.isFinite(parsed)) return fallback;
+	return Math.max(min, Math.min(parsed, max));
+}
+
+/**
+ * Turn free text into an FTS5 MATCH expression. Every word is quoted so user
+ * input cannot reach FTS5 query syntax; the last word is a prefix match so
+ * partly typed words still find something.
+ */
+function matchExpression(value) {
+	const terms = (String(value || "").normalize("NFKC").match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_TERMS);
+	return terms.map((term, index) => `"${term}"${index === terms.length - 1 ? "*" : ""}`).join(" ");
+}
+
+function indexTableSql(table) {
+	return `CREATE VIRTUAL TABLE IF NOT EXISTS ${table} USING fts5(title, body, tags, doc_key UNINDEXED, doc_type UNINDEXED, record_id UNINDEXED, project_id UNINDEXED, study_id UNINDEXED, code_ids UNINDEXED, url UNINDEXED, updated_at UNINDEXED, tokenize = 'porter unicode61')`;
+}
+
+async function ensureTables(svc) {
+	if (!hasD1(svc)) throw new Error("RESEARCHOPS_D1 binding not available");
+	await d1Run(svc.env, indexTableSql(INDEX_TABLE));
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${STATE_TABLE} (id TEXT PRIMARY KEY, indexed_at TEXT NOT NULL, document_count INTEGER NOT NULL DEFAULT 0, counts_json TEXT NOT NULL DEFAULT '{}', rebuild_started_at TEXT)`);
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${REMOVALS_TABLE} (doc_key TEXT PRIMARY KEY, removed_at TEXT NOT NULL)`);
+}
+
+/** Rows from an optional source table; a missing table reads as empty. */
+async function sourceRows(svc, source, sql, params = []) {
+	try {
+		return await d1All(svc.env, sql, params);
+	} catch (err) {
+		svc.log?.warn?.("search.index.source_unavailable", { source, detail: String(err?.message || err).slice(0, 200) });
+		return [];
+	}
+}
+
+function journalHref(entryId, projectId) {
+	return `/pages/journal/entry/?id=${encodeURIComponent(entryId)}${projectId ? `&project=${encodeURIComponent(projectId)}` : ""}`;
+}
+
+function projectJournalsHref(projectId) {
+	return projectId ? `/pages/projects/journals/?id=${encodeURIComponent(projectId)}` : "/pages/projects/journals/";
+}
+
+async function journalDocuments(svc, codesByEntry) {
+	const rows = await sourceRows(svc, "journal_entries", "SELECT record_id, project, local_project_id, category, content, tags, createdat FROM journal_entries");
+	return rows.filter((row) => text(row.record_id) && text(row.content)).map((row) => {
+		const projectId = text(row.project || row.local_project_id);
+		const category = text(row.category);
+		return {
+			type: "journal_entry",
+			recordId: text(row.record_id),
+			projectId,
+			studyId: "",
+			codeIds: [...(codesByEntry.get(text(row.record_id)) || [])],
+			title: excerptTitle(row.content, "Journal entry"),
+			body: plainText(row.content),
+			tags: [category, ...parseTags(row.tags)].filter(Boolean),
+			url: journalHref(row.record_id, projectId),
+			updatedAt: text(row.createdat)
+		};
+	});
+}
+
+function excerptDocuments(applications) {
+	const byExcerpt = new Map();
+	for (const row of applications) {
+		const excerpt = plainText(row.excerpt);
+		if (!excerpt) continue;
+		const key = `${text(row.entry)}\n${excerpt}`;
+		if (!byExcerpt.has(key)) {
+			byExcerpt.set(key, {
+				type: "excerpt",
+				recordId: text(row.record_id || row.local_application_id),
+				projectId: text(row.project || row.local_project_id),
+				studyId: "",
+				codeIds: [],
+				title: excerptTitle(excerpt, "Excerpt"),
+				body: excerpt,
+				tags: [],
+				url: text(row.entry) ? journalHref(row.entry, text(row.project || row.local_project_id)) : projectJournalsHref(text(row.project || row.local_project_id)),
+				updatedAt: text(row.createdat)
+			});
+		}
+		const doc = byExcerpt.get(key);
+		if (text(row.code) && !doc.codeIds.includes(text(row.code))) doc.codeIds.push(text(row.code));
+		if (text(row.createdat) > doc.updatedAt) doc.updatedAt = text(row.createdat);
+	}
+	return [...byExcerpt.values()].filter((doc) => doc.recordId);
+}
+
+async function memoDocuments(svc) {
+	const rows = await sourceRows(svc, "memos", "SELECT record_id, local_memo_id, project, local_project_id, type, title, body, createdat FROM memos");
+	return rows.filter((row) => text(row.record_id || row.local_memo_id) && (text(row.title) || text(row.body))).map((row) => {
+		const projectId = text(row.project || row.local_project_id);
+		return {
+			type: "memo",
+			recordId: text(row.record_id || row.local_memo_id),
+			projectId,
+			studyId: "",
+			codeIds: [],
+			title: text(row.title) || excerptTitle(row.body, "Memo"),
+			body: plainText(row.body),
+			tags: [text(row.type)].filter(Boolean),
+			url: projectJournalsHref(projectId),
+			updatedAt: text(row.createdat)
+		};
+	});
+}
+
+async function codeDocuments(svc) {
+	const rows = await sourceRows(svc, "codes", "SELECT record_id, local_code_id, project, local_project_id, name, description, createdat FROM codes");
+	return rows.filter((row) => text(row.record_id || row.local_code_id) && text(row.name)).map((row) => {
+		const recordId = text(row.record_id || row.local_code_id);
+		const projectId = text(row.project || row.local_project_id);
+		return {
+			type: "code",
+			recordId,
+			projectId,
+			studyId: "",
+			codeIds: [recordId],
+			title: text(row.name),
+			body: plainText(row.description),
+			tags: [],
+			url: projectJournalsHref(projectId),
+			updatedAt: text(row.createdat)
+		};
+	});
+}
+
+async function sessionNoteDocuments(svc) {
+	const rows = await sourceRows(svc, "rops_session_notes", "SELECT id, session_id, study_id, category, framework, content_html, content_plain, updated_at FROM rops_session_notes WHERE active = 1");
+	if (!rows.length) return [];
+	const studies = await sourceRows(svc, "rops_studies_cache", "SELECT id, project_id FROM rops_studies_cache");
+	const projectByStudy = new Map(studies.map((row) => [text(row.id), text(row.project_id)]));
+	return rows.map((row) => {
+		const body = plainText(row.content_plain || row.content_html);
+		const studyId = text(row.study_id);
+		const projectId = projectByStudy.get(studyId) || "";
+		const params = new URLSearchParams();
+		if (studyId) params.set("id", studyId);
+		if (projectId) params.set("project", projectId);
+		if (text(row.session_id)) params.set("session", text(row.session_id));
+		return {
+			type: "session_note",
+			recordId: text(row.id),
+			projectId,
+			studyId,
+			codeIds: [],
+			title: excerptTitle(body, "Session note"),
+			body,
+			tags: [text(row.category), text(row.framework)].filter(Boolean),
+			url: `/pages/study/session/?${params}`,
+			updatedAt: text(row.updated_at)
+		};
+	}).filter((doc) => doc.recordId && doc.body);
+}
+
+async function repositoryDocuments(svc) {
+	const rows = await sourceRows(svc, "rops_repository_artefacts", `SELECT id, title, summary, artefact_type, method, service_area, user_group, risk_area, source_project_id, source_study_id, limitations, reuse_guidance, updated_at FROM rops_repository_artefacts WHERE ${publicWhereSql()}`);
+	if (!rows.length) return [];
+	const tags = await sourceRows(svc, "rops_repository_artefact_tags", "SELECT artefact_id, tag_label FROM rops_repository_artefact_tags");
+	const tagsByArtefact = new Map();
+	for (const tag of tags) {
+		const list = tagsByArtefact.get(text(tag.artefact_id)) || [];
+		list.push(text(tag.tag_label));
+		tagsByArtefact.set(text(tag.artefact_id), list);
+	}
+	return rows.map((row) => ({
+		type: "repository_artefact",
+		recordId: text(row.id),
+		projectId: text(row.source_project_id),
+		studyId: text(row.source_study_id),
+		codeIds: [],
+		title: text(row.title),
+		body: [row.summary, row.reuse_guidance, row.limitations].map(plainText).filter(Boolean).join("\n"),
+		tags: [row.artefact_type, row.method, row.service_area, row.user_group, row.risk_area, ...(tagsByArtefact.get(text(row.id)) || [])].map(text).filter(Boolean),
+		url: `/pages/repository/artefacts/?id=${encodeURIComponent(text(row.id))}`,
+		updatedAt: text(row.updated_at)
+	}));
+}
+
+async function collectDocuments(svc) {
+	const applications = await sourceRows(svc, "code_applications", "SELECT record_id, local_application_id, project, local_project_id, entry, code, excerpt, createdat FROM code_applications");
+	const codesByEntry = new Map();
+	for (const row of applications) {
+		if (!text(row.entry) || !text(row.code)) continue;
+		const codes = codesByEntry.get(text(row.entry)) || new Set();
+		codes.add(text(row.code));
+		codesByEntry.set(text(row.entry), codes);
+	}
+	return [
+		...await journalDocuments(svc, codesByEntry),
+		...await sessionNoteDocuments(svc),
+		...await memoDocuments(svc),
+		...excerptDocuments(applications),
+		...await codeDocuments(svc),
+		...await repositoryDocuments(svc)
+	];
+}
+
+function indexRow(doc) {
+	return [
+		doc.title,
+		doc.body,
+		[...new Set(doc.tags)].join(" "),
+		`${doc.type}:${doc.recordId}`,
+		doc.type,
+		doc.recordId,
+		doc.projectId,
+		doc.studyId,
+		doc.codeIds.length ? ` ${doc.codeIds.join(" ")} ` : "",
+		doc.url,
+		doc.updatedAt
+	];
+}
+
+/**
+ * Claim the rebuild. Only one claim holds at a time; a claim older than
+ * REBUILD_LEASE_MS is treated as abandoned.
+ */
+async function claimRebuild(svc, startedAt) {
+	await d1Run(svc.env, `INSERT OR IGNORE INTO ${STATE_TABLE} (id, indexed_at) VALUES ('default', '')`);
+	const result = await d1Run(svc.env, `UPDATE ${STATE_TABLE} SET rebuild_started_at = ? WHERE id = 'default' AND (rebuild_started_at IS NULL OR rebuild_started_at < ?)`, [startedAt, nowIso(Date.parse(startedAt) - REBUILD_LEASE_MS)]);
+	return Number(result?.meta?.changes || 0) === 1;
+}
+
+/**
+ * Replace the whole index with the current contents of the source tables.
+ * Returns how many documents of each type were indexed, or null when another
+ * rebuild holds the claim.
+ */
+export async function rebuildSearchIndex(svc) {
+	await ensureTables(svc);
+	const startedAt = nowIso();
+	if (!await claimRebuild(svc, startedAt)) {
+		svc.log?.info?.("search.index.rebuild_skipped", { reason: "in_progress" });
+		return null;
+	}
+	try {
+		const docs = await collectDocuments(svc);
+		const db = svc.env.RESEARCHOPS_D1;
+		await d1Run(svc.env, `DROP TABLE IF EXISTS ${STAGING_TABLE}`);
+		await d1Run(svc.env, indexTableSql(STAGING_TABLE));
+		const insertSql = `INSERT INTO ${STAGING_TABLE} (${INDEX_COLUMNS.join(", ")}) VALUES (${INDEX_COLUMNS.map(() => "?").join(", ")})`;
+		const statements = docs.map((doc) => db.prepare(insertSql).bind(...indexRow(doc)));
+		for (let index = 0; index < statements.length; index += BATCH_SIZE) {
+			await db.batch(statements.slice(index, index + BATCH_SIZE));
+		}
+		const counts = Object.fromEntries(SEARCH_DOC_TYPES.map((type) => [type, docs.filter((doc) => doc.type === type).length]));
+		const indexedAt = nowIso();
+		// One batch is one transaction, so the swap and the new state land together.
+		// Removals before the claim were already gone when the sources were read.
+		await db.batch([
+			db.prepare(`DELETE FROM ${STAGING_TABLE} WHERE doc_key IN (SELECT doc_key FROM ${REMOVALS_TABLE} WHERE removed_at >= ?)`).bind(startedAt),
+			db.prepare(`DELETE FROM ${REMOVALS_TABLE} WHERE removed_at < ?`).bind(startedAt),
+			db.prepare(`DROP TABLE IF EXISTS ${INDEX_TABLE}`),
+			db.prepare(`ALTER TABLE ${STAGING_TABLE} RENAME TO ${INDEX_TABLE}`),
+			db.prepare(`UPDATE ${STATE_TABLE} SET indexed_at = ?, document_count = ?, counts_json = ?, rebuild_started_at = NULL WHERE id = 'default'`).bind(indexedAt, docs.length, JSON.stringify(counts))
+		]);
+		svc.log?.info?.("search.index.rebuilt", { documents: docs.length });
+		return { indexedAt, documents: docs.length, counts };
+	} catch (err) {
+		await d1Run(svc.env, `UPDATE ${STATE_TABLE} SET rebuild_started_at = NULL WHERE id = 'default' AND rebuild_started_at = ?`, [startedAt]).catch(() => {});
+		throw err;
+	}
+}
+
+/**
+ * Scheduled rebuild. Failures are logged rather than thrown so other
+ * scheduled work carries on.
+ * @param {import("./index.js").ResearchOpsService} svc
+ */
+export async function refreshSearchIndex(svc) {
+	if (!hasD1(svc)) return null;
+	try {
+		return await rebuildSearchIndex(svc);
+	} catch (err) {
+		svc.log.error("search.index.rebuild.fail", { detail: String(err?.message || err).slice(0, 200) });
+		return null;
+	}
+}
+
+/** When the index was built, building it first if it never has been. */
+async function ensureIndex(svc) {
+	await ensureTables(svc);
+	const state = await d1Get(svc.env, `SELECT indexed_at FROM ${STATE_TABLE} WHERE id = 'default' LIMIT 1`);
+	if (state?.indexed_at) return state.indexed_at;
+	return (await rebuildSearchIndex(svc))?.indexedAt || null;
+}
+
+async function labelsFor(svc, source, sql, ids) {
+	const labels = new Map();
+	for (let index = 0; index < ids.length; index += IN_CHUNK) {
+		const chunk = ids.slice(index, index + IN_CHUNK);
+		const rows = await sourceRows(svc, source, `${sql} (${chunk.map(() => "?").join(", ")})`, chunk);
+		for (const row of rows) if (text(row.label)) labels.set(text(row.id), text(row.label));
+	}
+	return labels;
+}
+
+function tally(values) {
+	const counts = new Map();
+	for (const value of values) if (value) counts.set(value, (counts.get(value) || 0) + 1);
+	return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, FACET_VALUE_LIMIT);
+}
+
+async function facetsFor(svc, rows) {
+	const type = tally(rows.map((row) => row.doc_type));
+	const project = tally(rows.map((row) => text(row.project_id)));
+	const study = tally(rows.map((row) => text(row.study_id)));
+	const code = tally(rows.flatMap((row) => text(row.code_ids).split(" ").filter(Boolean)));
+	const projectLabels = await labelsFor(svc, "rops_projects_cache", "SELECT id, name AS label FROM rops_projects_cache WHERE id IN", project.map(([value]) => value));
+	const studyLabels = await labelsFor(svc, "rops_studies_cache", "SELECT id, COALESCE(NULLIF(title, ''), study_id) AS label FROM rops_studies_cache WHERE id IN", study.map(([value]) => value));
+	const codeLabels = await labelsFor(svc, "codes", "SELECT COALESCE(record_id, local_code_id) AS id, name AS label FROM codes WHERE COALESCE(record_id, local_code_id) IN", code.map(([value]) => value));
+	const facet = (entries, labels) => entries.map(([value, count]) => ({ value, label: labels.get(value) || value, count }));
+	return {
+		type: type.map(([value, count]) => ({ value, label: TYPE_LABELS[value] || value, count })),
+		project: facet(project, projectLabels),
+		study: facet(study, studyLabels),
+		code: facet(code, codeLabels)
+	};
+}
+
+function resultFromRow(row) {
+	return {
+		id: row.doc_key,
+		type: row.doc_type,
+		typeLabel: TYPE_LABELS[row.doc_type] || row.doc_type,
+		recordId: row.record_id,
+		projectId: row.project_id || "",
+		studyId: row.study_id || "",
+		codeIds: text(row.code_ids).split(" ").filter(Boolean),
+		title: String(row.title_marked || "").split(HIT_OPEN).join("").split(HIT_CLOSE).join(""),
+		titleHtml: markedHtml(row.title_marked),
+		snippetHtml: markedHtml(row.snippet),
+		url: row.url || "",
+		updatedAt: row.updated_at || "",
+		score: Number(row.score)
+	};
+}
+
+/**
+ * GET /api/search
+ * `types` is the list of document types the caller is allowed to see. Types
+ * outside it are never counted or returned, even when asked for by name.
+ */
+export async function searchResearchOps(svc, origin, url, types = []) {
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	const q = query(url, "q");
+	const match = matchExpression(q);
+	if (!match) return svc.json({ ok: false, error: "missing_query", message: "Enter some words to search for." }, 400, svc.corsHeaders(origin));
+
+	const filters = { type: query(url, "type"), project: query(url, "project"), study: query(url, "study"), code: query(url, "code") };
+	const allowed = SEARCH_DOC_TYPES.filter((type) => types.includes(type));
+	const visible = filters.type ? allowed.filter((type) => type === filters.type) : allowed;
+	const pageSize = clampInt(url.searchParams.get("page_size"), 20, 1, 50);
+	const page = clampInt(url.searchParams.get("page"), 1, 1, 100);
+	const empty = { type: [], project: [], study: [], code: [] };
+	if (!visible.length) {
+		return svc.json({ ok: true, query: q, results: [], total: 0, page, pageSize, facets: empty, filters, searchableTypes: allowed }, 200, svc.corsHeaders(origin));
+	}
+
+	try {
+		const indexedAt = await ensureIndex(svc);
+		const where = [`${INDEX_TABLE} MATCH ?`, `doc_type IN (${visible.map(() => "?").join(", ")})`];
+		const params = [match, ...visible];
+		if (filters.project) { where.push("project_id = ?"); params.push(filters.project); }
+		if (filters.study) { where.push("study_id = ?"); params.push(filters.study); }
+		if (filters.code) { where.push("instr(code_ids, ?) > 0"); params.push(` ${filters.code} `); }
+		const whereSql = where.join(" AND ");
+
+		const total = Number((await d1Get(svc.env, `SELECT count(*) AS total FROM ${INDEX_TABLE} WHERE ${whereSql}`, params))?.total || 0);
+		const rows = await d1All(svc.env, `
+			SELECT doc_key, doc_type, record_id, project_id, study_id, code_ids, url, updated_at,
+				highlight(${INDEX_TABLE}, 0, char(2), char(3)) AS title_marked,
+				snippet(${INDEX_TABLE}, -1, char(2), char(3), '…', 24) AS snippet,
+				bm25(${INDEX_TABLE}, 8.0, 1.0, 4.0) AS score
+			FROM ${INDEX_TABLE}
+			WHERE ${whereSql}
+			ORDER BY score, updated_at DESC
+			LIMIT ? OFFSET ?
+		`, [...params, pageSize, (page - 1) * pageSize]);
+		const facetRows = await d1All(svc.env, `SELECT doc_type, project_id, study_id, code_ids FROM ${INDEX_TABLE} WHERE ${whereSql} LIMIT ${FACET_SCAN_LIMIT}`, params);
+
+		return svc.json({
+			ok: true,
+			query: q,
+			results: rows.map(resultFromRow),
+			total,
+			page,
+			pageSize,
+			facets: await facetsFor(svc, facetRows),
+			facetsTruncated: total > FACET_SCAN_LIMIT,
+			filters,
+			searchableTypes: allowed,
+			indexedAt
+		}, 200, svc.corsHeaders(origin));
+	} catch (err) {
+		svc.log.error("search.query.fail", { detail: String(err?.message || err).slice(0, 200) });
+		return svc.json({ ok: false, error: "search_failed", message: "Search could not be completed." }, 500, svc.corsHeaders(origin));
+	}
+}
+
+/**
+ * POST /api/search/reindex
+ */
+export async function reindexSearch(svc, origin) {
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		const summary = await rebuildSearchIndex(svc);
+		if (!summary) return svc.json({ ok: false, error: "search_reindex_in_progress", message: "The search index is already being rebuilt." }, 409, svc.corsHeaders(origin));
+		return svc.json({ ok: true, ...summary }, 200, svc.corsHeaders(origin));
+	} catch (err) {
+		svc.log.error("search.index.rebuild.fail", { detail: String(err?.message || err).slice(0, 200) });
+		return svc.json({ ok: false, error: "search_reindex_failed", message: "The search index could not be rebuilt." }, 500, svc.corsHeaders(origin));
+	}
+}
@@ -0,0 +1,744 @@
+/**
+ * @file src/service/session-booking.js
+ * @module service/session-booking
+ * @summary Study booking slots and participant self-scheduling through tokenised booking links.
+ *
+ * Endpoints covered:
+ * - GET    /api/booking/slots?study=<StudyId>          slots, note takers and booking settings
+ * - POST   /api/booking/slots                          { studyId, slots: [{ startsAt, endsAt?, noteTakerIds? }] }
+ * - DELETE /api/booking/slots/:id                      withdraw an open slot
+ * - PUT    /api/booking/settings                       { studyId, durationMin, bufferMin, dailyCap, sessionType, locationOrLink, researchers }
+ * - POST   /api/booking/links                          { studyId, participantId, expiresInDays? }
+ * - POST   /api/booking/bookings/:id/cancel            { reason? }
+ * - GET    /api/booking-portal?token=                  public, token-checked
+ * - POST   /api/booking-portal                         public, { token, slotId }
+ * - POST   /api/booking-portal/cancel                  public, { token, reason? }
+ * - GET    /api/booking-portal/ics?token=              public, token-checked
+ *
+ * Researchers publish slots for a study, each naming the note takers from
+ * the study support people who can attend it. Slots in a study cannot
+ * overlap once the study's buffer time is added either side, which the slot
+ * insert checks itself, and the daily cap limits how many slots can be
+ * booked on one UK calendar day.
+ *
+ * Participants cannot sign in, so each booking link carries a random token.
+ * Only its SHA-256 hash is stored, the URL is shown once and issuing a new
+ * link revokes the participant's earlier links for that study. A
+ * participant who has withdrawn consent cannot book. Booking claims the
+ * slot with a single conditional UPDATE, so two participants can never
+ * hold the same slot, then creates the Airtable session. Cancelling a
+ * booking, from the link, by a researcher or by cancelling the session,
+ * opens the slot again.
+ */
+
+import { participantConsentGate } from "./consent-forms.js";
+import { buildSessionIcs, sessionEventUid } from "./internals/ics.js";
+import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
+import { cancelSessionRecord, createSessionRecord } from "./internals/session-records.js";
+import { notifySessionChange, sessionCalendarSequence } from "./session-reminders.js";
+
+const SETTINGS_TABLE = "rops_booking_settings";
+const SLOTS_TABLE = "rops_booking_slots";
+const LINKS_TABLE = "rops_booking_links";
+const BOOKINGS_TABLE = "rops_session_bookings";
+const SUPPORT_PEOPLE_TABLE = "rops_study_support_people";
+const PARTICIPANTS_TABLE = "rops_participants_cache";
+
+export const BOOKING_DEFAULTS = Object.freeze({ durationMin: 60, bufferMin: 15, dailyCap: 0, sessionType: "remote", locationOrLink: "", researchers: "" });
+const SESSION_TYPES = new Set(["remote", "in-person"]);
+const BOOKING_TIMEZONE = "Europe/London";
+const DEFAULT_EXPIRY_DAYS = 14;
+const MAX_EXPIRY_DAYS = 90;
+const MAX_SLOTS_PER_REQUEST = 100;
+const MAX_SLOT_MINUTES = 8 * 60;
+const MINUTE_MS = 60_000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function hasD1(svc) { return Boolean(svc?.env?.RESEARCHOPS_D1?.prepare); }
+function nowIso(value = Date.now()) { return new Date(value).toISOString(); }
+function text(value) { return String(value ?? "").trim(); }
+function makeId(prefix) { return `${prefix}_${crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}_${Math.random().toString(16).slice(2)}`}`; }
+function unavailable(svc, origin) { return svc.json({ ok: false, error: "booking_unavailable", message: "Session booking is not available right now." }, 503, svc.corsHeaders(origin)); }
+function badRequest(svc, origin, error, message) { return svc.json({ ok: false, error, ...(message ? { message } : {}) }, 400, svc.corsHeaders(origin)); }
+
+function parseJson(value, fallback) {
+	try {
+		return value ? JSON.parse(value) : fallback;
+	} catch {
+		return fallback;
+	}
+}
+
+async function ensureTables(svc) {
+	if (!hasD1(svc)) throw new Error("RESEARCHOPS_D1 binding not available");
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${SETTINGS_TABLE} (study_id TEXT PRIMARY KEY, duration_min INTEGER NOT NULL, buffer_min INTEGER NOT NULL, daily_cap INTEGER NOT NULL DEFAULT 0, session_type TEXT NOT NULL, location_or_link TEXT, researchers TEXT, updated_by TEXT, updated_at TEXT NOT NULL)`);
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${SLOTS_TABLE} (id TEXT PRIMARY KEY, study_id TEXT NOT NULL, starts_at TEXT NOT NULL, ends_at TEXT NOT NULL, day TEXT NOT NULL, note_taker_ids_json TEXT NOT NULL DEFAULT '[]', status TEXT NOT NULL DEFAULT 'open', booking_id TEXT, created_by TEXT, created_at TEXT NOT NULL, updated_at TEXT NOT NULL)`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_booking_slots_study ON ${SLOTS_TABLE} (study_id, status, starts_at)`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_booking_slots_day ON ${SLOTS_TABLE} (study_id, day, status)`);
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${LINKS_TABLE} (id TEXT PRIMARY KEY, token_hash TEXT NOT NULL UNIQUE, study_id TEXT NOT NULL, participant_id TEXT NOT NULL, expires_at TEXT NOT NULL, issued_by TEXT, created_at TEXT NOT NULL, revoked_at TEXT, last_used_at TEXT)`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_booking_links_subject ON ${LINKS_TABLE} (study_id, participant_id, revoked_at)`);
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${BOOKINGS_TABLE} (id TEXT PRIMARY KEY, slot_id TEXT NOT NULL, study_id TEXT NOT NULL, participant_id TEXT NOT NULL, link_id TEXT, session_id TEXT, status TEXT NOT NULL DEFAULT 'booked', booked_at TEXT NOT NULL, cancelled_at TEXT, cancelled_by TEXT, cancel_reason TEXT)`);
+	await d1Run(svc.env, `CREATE UNIQUE INDEX IF NOT EXISTS idx_rops_session_bookings_slot ON ${BOOKINGS_TABLE} (slot_id) WHERE status = 'booked'`);
+	await d1Run(svc.env, `CREATE UNIQUE INDEX IF NOT EXISTS idx_rops_session_bookings_participant ON ${BOOKINGS_TABLE} (study_id, participant_id) WHERE status = 'booked'`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_session_bookings_session ON ${BOOKINGS_TABLE} (session_id)`);
+}
+
+async function readBody(svc, request) {
+	const body = await request.arrayBuffer();
+	if (body.byteLength > svc.cfg.MAX_BODY_BYTES) throw Object.assign(new Error("Payload too large"), { status: 413 });
+	try {
+		return JSON.parse(new TextDecoder().decode(body) || "{}");
+	} catch {
+		throw Object.assign(new Error("Invalid JSON"), { status: 400 });
+	}
+}
+
+function bodyError(svc, origin, error) {
+	return svc.json({ ok: false, error: error.message }, error.status || 400, svc.corsHeaders(origin));
+}
+
+function newToken() {
+	const bytes = crypto.getRandomValues(new Uint8Array(32));
+	let binary = "";
+	for (const byte of bytes) binary += String.fromCharCode(byte);
+	return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+async function hashToken(token) {
+	const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(token));
+	return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * UK calendar day of an instant, e.g. 2026-07-01, used for daily caps.
+ * @param {string | number | Date} value
+ */
+export function bookingDay(value) {
+	const parts = Object.fromEntries(new Intl.DateTimeFormat("en-GB", { timeZone: BOOKING_TIMEZONE, year: "numeric", month: "2-digit", day: "2-digit" })
+		.formatToParts(new Date(value)).map((part) => [part.type, part.value]));
+	return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * The first existing slot that a new slot would overlap once the buffer is
+ * added either side, or null.
+ * @param {{ starts_at: string, ends_at: string }} slot
+ * @param {Array<{ id?: string, starts_at: string, ends_at: string }>} existing
+ * @param {number} bufferMin
+ */
+export function slotConflict(slot, existing, bufferMin) {
+	const buffer = Math.max(0, Number(bufferMin) || 0) * MINUTE_MS;
+	const start = Date.parse(slot.starts_at);
+	const end = Date.parse(slot.ends_at);
+	return existing.find((other) => start < Date.parse(other.ends_at) + buffer && Date.parse(other.starts_at) < end + buffer) || null;
+}
+
+/* ─────────────── Settings ─────────────── */
+
+function settingsDto(row, studyId = "") {
+	if (!row) return { studyId, ...BOOKING_DEFAULTS, updatedAt: "" };
+	return {
+		studyId: row.study_id,
+		durationMin: Number(row.duration_min),
+		bufferMin: Number(row.buffer_min),
+		dailyCap: Number(row.daily_cap || 0),
+		sessionType: row.session_type,
+		locationOrLink: row.location_or_link || "",
+		researchers: row.researchers || "",
+		updatedAt: row.updated_at
+	};
+}
+
+async function readSettings(svc, studyId) {
+	return settingsDto(await d1Get(svc.env, `SELECT * FROM ${SETTINGS_TABLE} WHERE study_id = ? LIMIT 1`, [studyId]), studyId);
+}
+
+function wholeNumber(value, fallback, min, max) {
+	if (value === undefined || value === null || value === "") return fallback;
+	const number = Number(value);
+	return Number.isInteger(number) && number >= min && number <= max ? number : NaN;
+}
+
+/**
+ * PUT /api/booking/settings — slot length, buffer, daily cap and session
+ * details used when a booking creates a session.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {any} authContext
+ */
+export async function saveBookingSettings(svc, request, origin, authContext = null) {
+	let p;
+	try { p = await readBody(svc, request); }
+	catch (error) { return bodyError(svc, origin, error); }
+
+	const studyId = text(p.studyId || p.study_id);
+	if (!studyId) return badRequest(svc, origin, "Missing field: studyId");
+	const settings = {
+		durationMin: wholeNumber(p.durationMin, BOOKING_DEFAULTS.durationMin, 5, MAX_SLOT_MINUTES),
+		bufferMin: wholeNumber(p.bufferMin, BOOKING_DEFAULTS.bufferMin, 0, 240),
+		dailyCap: wholeNumber(p.dailyCap, BOOKING_DEFAULTS.dailyCap, 0, 50),
+		sessionType: text(p.sessionType) || BOOKING_DEFAULTS.sessionType,
+		locationOrLink: text(p.locationOrLink),
+		researchers: text(p.researchers)
+	};
+	if (Number.isNaN(settings.durationMin)) return badRequest(svc, origin, "invalid_duration", `Session length must be a whole number of minutes from 5 to ${MAX_SLOT_MINUTES}.`);
+	if (Number.isNaN(settings.bufferMin)) return badRequest(svc, origin, "invalid_buffer", "Buffer time must be a whole number of minutes from 0 to 240.");
+	if (Number.isNaN(settings.dailyCap)) return badRequest(svc, origin, "invalid_daily_cap", "The daily cap must be a whole number from 0 to 50. Use 0 for no cap.");
+	if (!SESSION_TYPES.has(settings.sessionType)) return badRequest(svc, origin, "invalid_session_type", "Session type must be remote or in-person.");
+	if (!hasD1(svc)) return unavailable(svc, origin);
+
+	try {
+		await ensureTables(svc);
+		const now = nowIso();
+		await d1Run(svc.env, `
+			INSERT INTO ${SETTINGS_TABLE} (study_id, duration_min, buffer_min, daily_cap, session_type, location_or_link, researchers, updated_by, updated_at)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+			ON CONFLICT(study_id) DO UPDATE SET
+				duration_min = excluded.duration_min,
+				buffer_min = excluded.buffer_min,
+				daily_cap = excluded.daily_cap,
+				session_type = excluded.session_type,
+				location_or_link = excluded.location_or_link,
+				researchers = excluded.researchers,
+				updated_by = excluded.updated_by,
+				updated_at = excluded.updated_at
+		`, [studyId, settings.durationMin, settings.bufferMin, settings.dailyCap, settings.sessionType, settings.locationOrLink || null, settings.researchers || null, text(authContext?.user?.email) || null, now]);
+		return svc.json({ ok: true, settings: await readSettings(svc, studyId) }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.booking_settings.save.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/* ─────────────── Slots ─────────────── */
+
+async function noteTakersFor(svc, studyId) {
+	try {
+		return await d1All(svc.env, `SELECT id, name FROM ${SUPPORT_PEOPLE_TABLE} WHERE study_id = ? AND role = 'note_taker' AND active = 1 ORDER BY name`, [studyId]);
+	} catch {
+		return []; /* support setup has never been saved for any study */
+	}
+}
+
+function slotDto(row, noteTakers, booking = null) {
+	const ids = parseJson(row.note_taker_ids_json, []);
+	return {
+		id: row.id,
+		studyId: row.study_id,
+		startsAt: row.starts_at,
+		endsAt: row.ends_at,
+		day: row.day,
+		status: row.status,
+		noteTakers: ids.map((id) => ({ id, name: noteTakers.find((person) => person.id === id)?.name || "" })),
+		booking: booking ? { id: booking.id, participantId: booking.participant_id, sessionId: booking.session_id || "", bookedAt: booking.booked_at } : null,
+		createdAt: row.created_at
+	};
+}
+
+/**
+ * GET /api/booking/slots?study= — every slot that has not been withdrawn,
+ * with who booked it, plus the study's booking settings and note takers.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {URL} url
+ */
+export async function listBookingSlots(svc, origin, url) {
+	const studyId = text(url.searchParams.get("study"));
+	if (!studyId) return badRequest(svc, origin, "Missing study query");
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		await ensureTables(svc);
+		const slots = await d1All(svc.env, `SELECT * FROM ${SLOTS_TABLE} WHERE study_id = ? AND status <> 'withdrawn' ORDER BY starts_at ASC`, [studyId]);
+		const bookings = await d1All(svc.env, `SELECT * FROM ${BOOKINGS_TABLE} WHERE study_id = ? AND status = 'booked'`, [studyId]);
+		const noteTakers = await noteTakersFor(svc, studyId);
+		return svc.json({
+			ok: true,
+			settings: await readSettings(svc, studyId),
+			noteTakers,
+			slots: slots.map((row) => slotDto(row, noteTakers, bookings.find((booking) => booking.slot_id === row.id)))
+		}, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.booking_slots.list.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * POST /api/booking/slots — publish availability. Slots that are in the past,
+ * overlap another slot within the buffer or name someone who is not a note
+ * taker on the study are rejected with a reason; the rest are created.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {any} authContext
+ */
+export async function createBookingSlots(svc, request, origin, authContext = null) {
+	let p;
+	try { p = await readBody(svc, request); }
+	catch (error) { return bodyError(svc, origin, error); }
+
+	const studyId = text(p.studyId || p.study_id);
+	const requested = Array.isArray(p.slots) ? p.slots : [];
+	if (!studyId) return badRequest(svc, origin, "Missing field: studyId");
+	if (!requested.length) return badRequest(svc, origin, "Add at least one slot");
+	if (requested.length > MAX_SLOTS_PER_REQUEST) return badRequest(svc, origin, `Add at most ${MAX_SLOTS_PER_REQUEST} slots at a time`);
+	if (!hasD1(svc)) return unavailable(svc, origin);
+
+	try {
+		await ensureTables(svc);
+		const settings = await readSettings(svc, studyId);
+		const noteTakerIds = new Set((await noteTakersFor(svc, studyId)).map((person) => person.id));
+		const existing = await d1All(svc.env, `SELECT id, starts_at, ends_at FROM ${SLOTS_TABLE} WHERE study_id = ? AND status <> 'withdrawn'`, [studyId]);
+		const now = nowIso();
+		const actor = text(authContext?.user?.email) || null;
+		const created = [];
+		const rejected = [];
+		for (const item of requested) {
+			const start = Date.parse(text(item?.startsAt));
+			const end = item?.endsAt ? Date.parse(text(item.endsAt)) : start + settings.durationMin * MINUTE_MS;
+			const ids = [...new Set((Array.isArray(item?.noteTakerIds) ? item.noteTakerIds : []).map(text).filter(Boolean))];
+			const startsAt = Number.isFinite(start) ? nowIso(start) : text(item?.startsAt);
+			let reason = "";
+			if (!Number.isFinite(start) || !Number.isFinite(end)) reason = "invalid_time";
+			else if (start <= Date.now()) reason = "in_past";
+			else if (end <= start || end - start > MAX_SLOT_MINUTES * MINUTE_MS) reason = "invalid_length";
+			else if (ids.some((id) => !noteTakerIds.has(id))) reason = "unknown_note_taker";
+			const row = reason ? null : { id: makeId("bks"), starts_at: startsAt, ends_at: nowIso(end) };
+			if (row && slotConflict(row, existing, settings.bufferMin)) reason = "overlaps_slot";
+			if (reason) {
+				rejected.push({ startsAt, reason });
+				continue;
+			}
+			// Checks the overlap again in the insert, so slots published at the
+			// same time by another request cannot land inside the buffer.
+			const buffer = settings.bufferMin * MINUTE_MS;
+			const result = await d1Run(svc.env, `
+				INSERT INTO ${SLOTS_TABLE} (id, study_id, starts_at, ends_at, day, note_taker_ids_json, status, created_by, created_at, updated_at)
+				SELECT ?, ?, ?, ?, ?, ?, 'open', ?, ?, ?
+				WHERE NOT EXISTS (SELECT 1 FROM ${SLOTS_TABLE} WHERE study_id = ? AND status <> 'withdrawn' AND starts_at < ? AND ends_at > ?)
+			`, [row.id, studyId, row.starts_at, row.ends_at, bookingDay(start), JSON.stringify(ids), actor, now, now, studyId, nowIso(end + buffer), nowIso(start - buffer)]);
+			if (!Number(result?.meta?.changes)) {
+				rejected.push({ startsAt, reason: "overlaps_slot" });
+				continue;
+			}
+			existing.push(row);
+			created.push(row.id);
+		}
+		const noteTakers = await noteTakersFor(svc, studyId);
+		const rows = created.length
+			? await d1All(svc.env, `SELECT * FROM ${SLOTS_TABLE} WHERE id IN (${created.map(() => "?").join(", ")}) ORDER BY starts_at ASC`, created)
+			: [];
+		return svc.json({ ok: true, created: rows.map((row) => slotDto(row, noteTakers)), rejected }, created.length ? 201 : 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.booking_slots.create.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * DELETE /api/booking/slots/:id — withdraw an open slot. Booked slots must
+ * have their booking cancelled first.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {string} id
+ */
+export async function withdrawBookingSlot(svc, origin, id) {
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		await ensureTables(svc);
+		const result = await d1Run(svc.env, `UPDATE ${SLOTS_TABLE} SET status = 'withdrawn', updated_at = ? WHERE id = ? AND status = 'open'`, [nowIso(), id]);
+		if (Number(result?.meta?.changes || 0) === 1) return svc.json({ ok: true, id }, 200, svc.corsHeaders(origin));
+		const row = await d1Get(svc.env, `SELECT status FROM ${SLOTS_TABLE} WHERE id = ? LIMIT 1`, [id]);
+		if (row?.status === "booked") return svc.json({ ok: false, error: "slot_booked", message: "Cancel the booking before you withdraw this slot." }, 409, svc.corsHeaders(origin));
+		return svc.json({ ok: false, error: "not_found" }, 404, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.booking_slots.withdraw.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/* ─────────────── Links ─────────────── */
+
+/**
+ * POST /api/booking/links — issue a booking link and return its URL once.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {any} authContext
+ */
+export async function createBookingLink(svc, request, origin, authContext = null) {
+	let p;
+	try { p = await readBody(svc, request); }
+	catch (error) { return bodyError(svc, origin, error); }
+
+	const studyId = text(p.studyId || p.study_id);
+	const participantId = text(p.participantId || p.participant_id);
+	if (!studyId || !participantId) return badRequest(svc, origin, "Missing fields: studyId, participantId");
+	const days = p.expiresInDays === undefined ? DEFAULT_EXPIRY_DAYS : Number(p.expiresInDays);
+	if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+		return badRequest(svc, origin, "invalid_expiry", `Links must expire after between 1 and ${MAX_EXPIRY_DAYS} days.`);
+	}
+	if (!hasD1(svc)) return unavailable(svc, origin);
+
+	try {
+		await ensureTables(svc);
+		const participant = await d1Get(svc.env, `SELECT id FROM ${PARTICIPANTS_TABLE} WHERE id = ? AND study_id = ? LIMIT 1`, [participantId, studyId]);
+		if (!participant) return svc.json({ ok: false, error: "participant_not_found", message: "This participant is not part of the study." }, 404, svc.corsHeaders(origin));
+		const token = newToken();
+		const createdAt = nowIso();
+		const row = {
+			id: makeId("bkl"),
+			study_id: studyId,
+			participant_id: participantId,
+			expires_at: nowIso(Date.parse(createdAt) + days * DAY_MS),
+			issued_by: text(authContext?.user?.email) || null,
+			created_at: createdAt
+		};
+		await d1Run(svc.env, `UPDATE ${LINKS_TABLE} SET revoked_at = ? WHERE study_id = ? AND participant_id = ? AND revoked_at IS NULL`, [createdAt, studyId, participantId]);
+		await d1Run(svc.env, `INSERT INTO ${LINKS_TABLE} (id, token_hash, study_id, participant_id, expires_at, issued_by, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)`, [row.id, await hashToken(token), row.study_id, row.participant_id, row.expires_at, row.issued_by, row.created_at]);
+		const pageOrigin = origin && origin !== "null" ? origin : new URL(request.url).origin;
+		return svc.json({
+			ok: true,
+			link: { id: row.id, studyId, participantId, expiresAt: row.expires_at, createdAt },
+			url: `${pageOrigin}/pages/book/?token=${encodeURIComponent(token)}`
+		}, 201, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.booking_links.create.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * The link a token names, or the reason it cannot be used.
+ * @returns {Promise<{link?:Record<string, any>, status?:number, error?:string, message?:string}>}
+ */
+async function linkForToken(svc, token) {
+	const invalid = { status: 404, error: "booking_link_invalid", message: "This booking link is not valid. Ask the research team to send you a new one." };
+	if (!token) return invalid;
+	await ensureTables(svc);
+	const link = await d1Get(svc.env, `SELECT * FROM ${LINKS_TABLE} WHERE token_hash = ? LIMIT 1`, [await hashToken(token)]);
+	if (!link) return invalid;
+	if (link.revoked_at) return { status: 410, error: "booking_link_revoked", message: "This booking link has been replaced. Use the most recent link the research team sent you." };
+	if (Date.parse(link.expires_at) <= Date.now()) return { status: 410, error: "booking_link_expired", message: "This booking link has expired. Ask the research team to send you a new one." };
+	return { link };
+}
+
+/* ─────────────── Bookings ─────────────── */
+
+async function currentBooking(svc, studyId, participantId) {
+	return d1Get(svc.env, `
+		SELECT b.*, s.starts_at, s.ends_at
+		FROM ${BOOKINGS_TABLE} b
+		JOIN ${SLOTS_TABLE} s ON s.id = b.slot_id
+		WHERE b.study_id = ? AND b.participant_id = ? AND b.status = 'booked'
+		LIMIT 1
+	`, [studyId, participantId]);
+}
+
+function bookingDto(row, settings) {
+	return {
+		id: row.id,
+		slotId: row.slot_id,
+		sessionId: row.session_id || "",
+		startsAt: row.starts_at,
+		endsAt: row.ends_at,
+		sessionType: settings.sessionType,
+		locationOrLink: settings.locationOrLink,
+		bookedAt: row.booked_at
+	};
+}
+
+async function studyTitle(svc, studyId) {
+	try {
+		const row = await d1Get(svc.env, "SELECT title FROM rops_studies_cache WHERE id = ? AND active = 1 LIMIT 1", [studyId]);
+		return row?.title || "";
+	} catch {
+		return "";
+	}
+}
+
+/**
+ * Open slots a participant can book now: in the future and on days that
+ * have not reached the daily cap.
+ */
+async function bookableSlots(svc, studyId, settings) {
+	const rows = await d1All(svc.env, `SELECT * FROM ${SLOTS_TABLE} WHERE study_id = ? AND status = 'open' AND starts_at > ? ORDER BY starts_at ASC`, [studyId, nowIso()]);
+	if (!settings.dailyCap) return rows;
+	const booked = await d1All(svc.env, `SELECT day, COUNT(*) AS booked FROM ${SLOTS_TABLE} WHERE study_id = ? AND status = 'booked' GROUP BY day`, [studyId]);
+	const full = new Set(booked.filter((row) => Number(row.booked) >= settings.dailyCap).map((row) => row.day));
+	return rows.filter((row) => !full.has(row.day));
+}
+
+/**
+ * Close a booking and open its slot again. When `cancelSession` is set the
+ * Airtable session is cancelled too, which sends the usual change notices.
+ */
+async function cancelBooking(svc, booking, { actor, reason, cancelSession }) {
+	const now = nowIso();
+	const result = await d1Run(svc.env, `UPDATE ${BOOKINGS_TABLE} SET status = 'cancelled', cancelled_at = ?, cancelled_by = ?, cancel_reason = ? WHERE id = ? AND status = 'booked'`, [now, actor || null, text(reason).slice(0, 500) || null, booking.id]);
+	if (Number(result?.meta?.changes || 0) !== 1) return false;
+	await d1Run(svc.env, `UPDATE ${SLOTS_TABLE} SET status = 'open', booking_id = NULL, updated_at = ? WHERE id = ? AND booking_id = ?`, [now, booking.slot_id, booking.id]);
+	if (cancelSession && booking.session_id) {
+		try {
+			const record = await cancelSessionRecord(svc, booking.session_id);
+			await notifySessionChange(svc, record);
+		} catch (e) {
+			svc.log.error("airtable.booking_session.cancel.fail", { bookingId: booking.id, status: e.status, text: e.detail || String(e?.message || e) });
+		}
+	}
+	return true;
+}
+
+/**
+ * Release the booking for a session that was cancelled through
+ * PATCH /api/sessions/:id. Returns whether a booking was released.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} sessionId
+ * @param {string} [reason]
+ */
+export async function releaseBookingForSession(svc, sessionId, reason = "") {
+	if (!hasD1(svc) || !sessionId) return false;
+	await ensureTables(svc);
+	const booking = await d1Get(svc.env, `SELECT * FROM ${BOOKINGS_TABLE} WHERE session_id = ? AND status = 'booked' LIMIT 1`, [sessionId]);
+	if (!booking) return false;
+	return cancelBooking(svc, booking, { actor: "Session cancelled", reason, cancelSession: false });
+}
+
+/**
+ * POST /api/booking/bookings/:id/cancel — cancel a booking for a participant.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {string} id
+ * @param {any} authContext
+ */
+export async function cancelBookingByResearcher(svc, request, origin, id, authContext = null) {
+	let p;
+	try { p = await readBody(svc, request); }
+	catch (error) { return bodyError(svc, origin, error); }
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		await ensureTables(svc);
+		const booking = await d1Get(svc.env, `SELECT * FROM ${BOOKINGS_TABLE} WHERE id = ? LIMIT 1`, [id]);
+		if (!booking) return svc.json({ ok: false, error: "not_found" }, 404, svc.corsHeaders(origin));
+		if (booking.status !== "booked") return svc.json({ ok: false, error: "booking_not_active", message: "This booking has already been cancelled." }, 409, svc.corsHeaders(origin));
+		await cancelBooking(svc, booking, { actor: text(authContext?.user?.email) || "Researcher", reason: p.reason, cancelSession: true });
+		return svc.json({ ok: true, id, slotId: booking.slot_id }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.booking.cancel.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/* ─────────────── Participant booking page ─────────────── */
+
+/**
+ * GET /api/booking-portal?token= — bookable slots and the participant's
+ * current booking, for the participant.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {URL} url
+ */
+export async function readBookingPortal(svc, origin, url) {
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		const { link, status, error, message } = await linkForToken(svc, text(url.searchParams.get("token")));
+		if (!link) return svc.json({ ok: false, error, message }, status, svc.corsHeaders(origin));
+		const withdrawn = await consentWithdrawnResponse(svc, origin, link);
+		if (withdrawn) return withdrawn;
+		const settings = await readSettings(svc, link.study_id);
+		const booking = await currentBooking(svc, link.study_id, link.participant_id);
+		const slots = booking ? [] : await bookableSlots(svc, link.study_id, settings);
+		await d1Run(svc.env, `UPDATE ${LINKS_TABLE} SET last_used_at = ? WHERE id = ?`, [nowIso(), link.id]).catch(() => {});
+		return svc.json({
+			ok: true,
+			study: { title: await studyTitle(svc, link.study_id) },
+			session: { durationMin: settings.durationMin, sessionType: settings.sessionType },
+			booking: booking ? bookingDto(booking, settings) : null,
+			slots: slots.map((row) => ({ id: row.id, startsAt: row.starts_at, endsAt: row.ends_at })),
+			expiresAt: link.expires_at
+		}, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("booking_portal.read.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * A 410 response when the link's participant has withdrawn consent to the
+ * study, or null. Consent given to an earlier form version does not stop a
+ * booking; notes cannot be captured until they consent again.
+ */
+async function consentWithdrawnResponse(svc, origin, link) {
+	const gate = await participantConsentGate(svc, { studyId: link.study_id, participantId: link.participant_id });
+	if (gate.reason !== "participant_consent_withdrawn") return null;
+	return svc.json({
+		ok: false,
+		error: gate.reason,
+		message: "You have withdrawn your consent to take part in this study, so you cannot book a session. Contact the research team if you want to take part again."
+	}, 410, svc.corsHeaders(origin));
+}
+
+function slotUnavailable(svc, origin, error, message) {
+	return svc.json({ ok: false, error, message }, 409, svc.corsHeaders(origin));
+}
+
+/**
+ * POST /api/booking-portal — claim a slot and create the session.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ */
+export async function submitBookingPortal(svc, request, origin) {
+	let p;
+	try { p = await readBody(svc, request); }
+	catch (error) { return bodyError(svc, origin, error); }
+	if (!hasD1(svc)) return unavailable(svc, origin);
+
+	try {
+		const { link, status, error, message } = await linkForToken(svc, text(p.token));
+		if (!link) return svc.json({ ok: false, error, message }, status, svc.corsHeaders(origin));
+		const slotId = text(p.slotId);
+		if (!slotId) return badRequest(svc, origin, "slot_required", "Choose a time.");
+		const withdrawn = await consentWithdrawnResponse(svc, origin, link);
+		if (withdrawn) return withdrawn;
+		if (await currentBooking(svc, link.study_id, link.participant_id)) {
+			return slotUnavailable(svc, origin, "already_booked", "You already have a session booked. Cancel it before you choose another time.");
+		}
+
+		const settings = await readSettings(svc, link.study_id);
+		const slot = await d1Get(svc.env, `SELECT * FROM ${SLOTS_TABLE} WHERE id = ? AND study_id = ? LIMIT 1`, [slotId, link.study_id]);
+		if (!slot || slot.status === "withdrawn") return slotUnavailable(svc, origin, "slot_unavailable", "This time is no longer available. Choose another time.");
+
+		const bookingId = makeId("bkg");
+		const now = nowIso();
+		const claim = await d1Run(svc.env, `
+			UPDATE ${SLOTS_TABLE} SET status = 'booked', booking_id = ?, updated_at = ?
+			WHERE id = ? AND status = 'open' AND starts_at > ?
+				AND (? = 0 OR (SELECT COUNT(*) FROM ${SLOTS_TABLE} WHERE study_id = ? AND day = ? AND status = 'booked') < ?)
+		`, [bookingId, now, slot.id, now, settings.dailyCap, link.study_id, slot.day, settings.dailyCap]);
+		if (Number(claim?.meta?.changes || 0) !== 1) {
+			const latest = await d1Get(svc.env, `SELECT status, starts_at FROM ${SLOTS_TABLE} WHERE id = ? LIMIT 1`, [slot.id]);
+			if (latest?.status === "booked") return slotUnavailable(svc, origin, "slot_taken", "Someone else has just booked this time. Choose another time.");
+			if (latest?.status === "open" && Date.parse(latest.starts_at) > Date.now()) return slotUnavailable(svc, origin, "day_full", "There are no more sessions available on this day. Choose another day.");
+			return slotUnavailable(svc, origin, "slot_unavailable", "This time is no longer available. Choose another time.");
+		}
+
+		try {
+			await d1Run(svc.env, `
+				INSERT INTO ${BOOKINGS_TABLE} (id, slot_id, study_id, participant_id, link_id, status, booked_at)
+				VALUES (?, ?, ?, ?, ?, 'booked', ?)
+			`, [bookingId, slot.id, link.study_id, link.participant_id, link.id, now]);
+		} catch {
+			await d1Run(svc.env, `UPDATE ${SLOTS_TABLE} SET status = 'open', booking_id = NULL, updated_at = ? WHERE id = ? AND booking_id = ?`, [nowIso(), slot.id, bookingId]);
+			return slotUnavailable(svc, origin, "already_booked", "You already have a session booked. Cancel it before you choose another time.");
+		}
+
+		const participant = await d1Get(svc.env, `SELECT participant_airtable_id, participant_ref FROM ${PARTICIPANTS_TABLE} WHERE id = ? LIMIT 1`, [link.participant_id]);
+		const noteTakers = await noteTakersFor(svc, link.study_id);
+		const slotNoteTakers = parseJson(slot.note_taker_ids_json, []).map((id) => noteTakers.find((person) => person.id === id)?.name).filter(Boolean);
+		let record;
+		try {
+			record = await createSessionRecord(svc, {
+				study_airtable_id: link.study_id,
+				participant_airtable_id: text(participant?.participant_airtable_id),
+				starts_at: slot.starts_at,
+				duration_min: Math.round((Date.parse(slot.ends_at) - Date.parse(slot.starts_at)) / MINUTE_MS),
+				type: settings.sessionType,
+				location_or_link: settings.locationOrLink,
+				researchers: settings.researchers,
+				status: "scheduled",
+				notes: [
+					`Booked by the participant${participant?.participant_ref ? ` (${participant.participant_ref})` : ""} through a booking link.`,
+					slotNoteTakers.length ? `Note takers: ${slotNoteTakers.join(", ")}.` : ""
+				].filter(Boolean).join(" ")
+			});
+		} catch (e) {
+			svc.log.error("airtable.booking_session.create.fail", { bookingId, status: e.status, text: e.detail || String(e?.message || e) });
+			await cancelBooking(svc, { id: bookingId, slot_id: slot.id }, { actor: "System", reason: "Session could not be created", cancelSession: false });
+			return unavailable(svc, origin);
+		}
+
+		await d1Run(svc.env, `UPDATE ${BOOKINGS_TABLE} SET session_id = ? WHERE id = ?`, [record.id || null, bookingId]);
+		await d1Run(svc.env, `UPDATE ${LINKS_TABLE} SET last_used_at = ? WHERE id = ?`, [now, link.id]).catch(() => {});
+		// Records the calendar baseline; confirmations follow from the reminder run.
+		try {
+			if (record.id) await notifySessionChange(svc, record);
+		} catch (e) {
+			svc.log.warn("booking.session_calendar.fail", { detail: String(e?.message || e) });
+		}
+
+		return svc.json({
+			ok: true,
+			booking: bookingDto({ id: bookingId, slot_id: slot.id, session_id: record.id, starts_at: slot.starts_at, ends_at: slot.ends_at, booked_at: now }, settings)
+		}, 201, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("booking_portal.submit.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * POST /api/booking-portal/cancel — the participant cancels their booking.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ */
+export async function cancelBookingPortal(svc, request, origin) {
+	let p;
+	try { p = await readBody(svc, request); }
+	catch (error) { return bodyError(svc, origin, error); }
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		const { link, status, error, message } = await linkForToken(svc, text(p.token));
+		if (!link) return svc.json({ ok: false, error, message }, status, svc.corsHeaders(origin));
+		const booking = await currentBooking(svc, link.study_id, link.participant_id);
+		if (!booking) return svc.json({ ok: false, error: "no_booking", message: "You do not have a session booked." }, 404, svc.corsHeaders(origin));
+		await cancelBooking(svc, booking, { actor: "Participant", reason: p.reason, cancelSession: true });
+		return svc.json({ ok: true, cancelled: { id: booking.id, startsAt: booking.starts_at } }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("booking_portal.cancel.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * GET /api/booking-portal/ics?token= — calendar file for the participant's
+ * booked session, with the same UID as the session's other calendar files.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {URL} url
+ */
+export async function bookingPortalIcs(svc, origin, url) {
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		const { link, status, error, message } = await linkForToken(svc, text(url.searchParams.get("token")));
+		if (!link) return svc.json({ ok: false, error, message }, status, svc.corsHeaders(origin));
+		const booking = await currentBooking(svc, link.study_id, link.participant_id);
+		if (!booking?.session_id) return svc.json({ ok: false, error: "no_booking", message: "You do not have a session booked." }, 404, svc.corsHeaders(origin));
+		const settings = await readSettings(svc, link.study_id);
+		const title = await studyTitle(svc, link.study_id);
+		const ics = buildSessionIcs({
+			uid: sessionEventUid(booking.session_id),
+			sequence: await sessionCalendarSequence(svc, booking.session_id),
+			start: new Date(booking.starts_at),
+			end: new Date(booking.ends_at),
+			summary: title ? `Research session: ${title}` : "Research session",
+			description: settings.locationOrLink ? `Join/arrive: ${settings.locationOrLink}` : "",
+			location: settings.locationOrLink
+		});
+		return new Response(ics, {
+			status: 200,
+			headers: {
+				"Content-Type": "text/calendar; charset=utf-8",
+				"Content-Disposition": "attachment; filename=\"research-session.ics\"",
+				"Cache-Control": "no-store",
+				...svc.corsHeaders(origin)
+			}
+		});
+	} catch (e) {
+		svc.log.error("booking_portal.ics.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
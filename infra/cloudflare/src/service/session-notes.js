@@ -13,6 +13,7 @@ import {
 	fetchWithTimeout,
 	safeText
 } from "../core/utils.js";
+import { participantConsentGate } from "./consent-forms.js";
 import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
 
 const SESSION_NOTES_TABLE = "rops_session_notes";
@@ -511,6 +512,24 @@ export async function createSessionNote(svc, request, origin) {
 		return svc.json({ ok: false, error: "Missing fields: " + missing.join(", ") }, 400, svc.corsHeaders(origin));
 	}
 
+	let gate;
+	try {
+		gate = await participantConsentGate(svc, { studyId: fields.studyId, participantId: fields.participantId });
+	} catch (err) {
+		svc.log.error("d1.session_note.consent_check.fail", { detail: err.message });
+		return svc.json({ ok: false, error: "consent_check_unavailable", message: "Participant consent could not be checked. Try again." }, 503, svc.corsHeaders(origin));
+	}
+	if (!gate.allowed) {
+		return svc.json({
+			ok: false,
+			error: gate.reason,
+			message: gate.reason === "participant_consent_withdrawn"
+				? "This participant has withdrawn consent. Notes cannot be captured for them."
+				: "This participant consented to an earlier version of the consent form. Record consent to the current version before capturing notes.",
+			consent: gate.consent
+		}, 409, svc.corsHeaders(origin));
+	}
+
 	if (hasD1(svc)) {
 		try {
 			const note = await createD1SessionNote(svc, p);
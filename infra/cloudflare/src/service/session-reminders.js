@@ -0,0 +1,422 @@
+/**
+ * @file src/service/session-reminders.js
+ * @module service/session-reminders
+ * @summary Session confirmations, reminders and change notices sent through the comms outbox.
+ *
+ * Endpoints covered:
+ * - GET  /api/session-reminders/preferences?study=<AirtableStudyId>
+ * - POST /api/session-reminders/preferences?study=<AirtableStudyId>
+ * - POST /api/session-reminders/run[?study=<AirtableStudyId>]   (dry run unless `dry_run: false`)
+ *
+ * The scheduled handler calls `runSessionReminders` every ten minutes and
+ * `createSession` and `updateSession` call `notifySessionChange` after a
+ * successful write. Studies opt in through their preferences; nothing is
+ * sent otherwise.
+ *
+ * `rops_session_calendar` keeps each session's SEQUENCE so the ICS attached
+ * to every message updates the same calendar event. `rops_session_reminders`
+ * is the send ledger: one row per session, kind, recipient and sequence.
+ * Setting `SESSION_REMINDERS_DRY_RUN=true` makes every run report what it
+ * would send without queueing anything.
+ */
+
+import { queueComms } from "./comms.js";
+import { buildSessionIcs, sessionEventUid } from "./internals/ics.js";
+import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
+import { fetchWindowSessions, sessionFromRecord } from "./internals/session-records.js";
+
+const PREFS_TABLE = "rops_study_reminder_prefs";
+const CALENDAR_TABLE = "rops_session_calendar";
+const LEDGER_TABLE = "rops_session_reminders";
+const SUPPORT_PEOPLE_TABLE = "rops_study_support_people";
+
+const HOUR_MS = 60 * 60_000;
+const DAY_MS = 24 * HOUR_MS;
+const ACTIVE_STATUSES = new Set(["scheduled", "rescheduled"]);
+const CHANNELS = new Set(["email", "sms"]);
+
+/** Message kinds, in the order a participant would receive them. */
+export const REMINDER_KINDS = ["confirmation", "reminder_24h", "reminder_1h", "reschedule", "cancellation"];
+
+const DEFAULT_PREFS = {
+	enabled: false,
+	channel: "email",
+	confirmation: true,
+	reminder_24h: true,
+	reminder_1h: true,
+	change_notices: true,
+	notify_note_takers: false,
+	templates: {}
+};
+
+function hasD1(svc) { return Boolean(svc?.env?.RESEARCHOPS_D1?.prepare); }
+function nowIso(ms = Date.now()) { return new Date(ms).toISOString(); }
+function text(value) { return String(value ?? "").trim(); }
+function flag(value) { return value === true || value === 1 || value === "1" || value === "true" || value === "on"; }
+function object(value) { try { const parsed = JSON.parse(String(value || "{}")); return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {}; } catch { return {}; } }
+function ledgerId() { return `srm_${crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}_${Math.random().toString(16).slice(2)}`}`; }
+function envDryRun(env) { return flag(text(env?.SESSION_REMINDERS_DRY_RUN).toLowerCase()); }
+function unavailable(svc, origin) { return svc.json({ ok: false, error: "session_reminders_unavailable", message: "Session reminders are not available right now." }, 503, svc.corsHeaders(origin)); }
+
+async function ensureTables(svc) {
+	if (!hasD1(svc)) throw new Error("RESEARCHOPS_D1 binding not available");
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${PREFS_TABLE} (study_id TEXT PRIMARY KEY, enabled INTEGER NOT NULL DEFAULT 0, channel TEXT NOT NULL DEFAULT 'email', confirmation INTEGER NOT NULL DEFAULT 1, reminder_24h INTEGER NOT NULL DEFAULT 1, reminder_1h INTEGER NOT NULL DEFAULT 1, change_notices INTEGER NOT NULL DEFAULT 1, notify_note_takers INTEGER NOT NULL DEFAULT 0, templates_json TEXT, created_at TEXT NOT NULL, updated_at TEXT NOT NULL)`);
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${CALENDAR_TABLE} (session_id TEXT PRIMARY KEY, study_id TEXT, sequence INTEGER NOT NULL DEFAULT 0, starts_at TEXT, status TEXT, updated_at TEXT NOT NULL)`);
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${LEDGER_TABLE} (id TEXT PRIMARY KEY, session_id TEXT NOT NULL, study_id TEXT, kind TEXT NOT NULL, recipient_type TEXT NOT NULL, recipient_id TEXT NOT NULL, sequence INTEGER NOT NULL DEFAULT 0, message_id TEXT, status TEXT NOT NULL, detail TEXT, created_at TEXT NOT NULL, UNIQUE (session_id, kind, recipient_type, recipient_id, sequence))`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_session_reminders_session ON ${LEDGER_TABLE} (session_id, kind)`);
+}
+
+/**
+ * Normalise a preferences row or request body.
+ * @param {any} source
+ */
+function prefsDto(source, studyId = "") {
+	if (!source) return { study_id: studyId, saved: false, ...DEFAULT_PREFS };
+	const channel = text(source.channel).toLowerCase();
+	const templates = typeof source.templates === "object" && source.templates ? source.templates : object(source.templates_json);
+	return {
+		study_id: text(source.study_id) || studyId,
+		saved: Boolean(source.updated_at),
+		enabled: flag(source.enabled),
+		channel: CHANNELS.has(channel) ? channel : "email",
+		confirmation: flag(source.confirmation),
+		reminder_24h: flag(source.reminder_24h),
+		reminder_1h: flag(source.reminder_1h),
+		change_notices: flag(source.change_notices),
+		notify_note_takers: flag(source.notify_note_takers),
+		templates: Object.fromEntries(REMINDER_KINDS.map((kind) => [kind, text(templates[kind])]).filter(([, id]) => id)),
+		updated_at: text(source.updated_at)
+	};
+}
+
+async function readPrefs(svc, studyId) {
+	return prefsDto(await d1Get(svc.env, `SELECT * FROM ${PREFS_TABLE} WHERE study_id = ? LIMIT 1`, [studyId]), studyId);
+}
+
+/**
+ * Scheduled message kinds due for a session right now. Confirmations go as
+ * soon as a session is seen; the 24-hour reminder goes inside the last day
+ * (but not the last hour) and the 1-hour reminder inside the last hour.
+ * @param {{ starts_at: string, status: string }} session
+ * @param {ReturnType<typeof prefsDto>} prefs
+ * @param {number} nowMs
+ * @returns {Array<"confirmation" | "reminder_24h" | "reminder_1h">}
+ */
+export function dueReminders(session, prefs, nowMs) {
+	if (!prefs?.enabled || !ACTIVE_STATUSES.has(session?.status)) return [];
+	const untilMs = Date.parse(session.starts_at) - nowMs;
+	if (!Number.isFinite(untilMs) || untilMs <= 0) return [];
+	const kinds = [];
+	if (prefs.confirmation) kinds.push("confirmation");
+	if (prefs.reminder_24h && untilMs <= DAY_MS && untilMs > HOUR_MS) kinds.push("reminder_24h");
+	if (prefs.reminder_1h && untilMs <= HOUR_MS) kinds.push("reminder_1h");
+	return kinds;
+}
+
+function toBase64(value) {
+	let binary = "";
+	for (const byte of new TextEncoder().encode(value)) binary += String.fromCharCode(byte);
+	return btoa(binary);
+}
+
+/**
+ * ICS for a session at a given sequence, as a Notify file upload.
+ * @param {ReturnType<typeof sessionFromRecord>} session
+ * @param {number} sequence
+ * @param {{ cancelled?: boolean, summary?: string }} [options]
+ */
+export function sessionCalendarFile(session, sequence, options = {}) {
+	const start = new Date(session.starts_at);
+	const ics = buildSessionIcs({
+		uid: sessionEventUid(session.id),
+		sequence,
+		method: options.cancelled ? "CANCEL" : "PUBLISH",
+		start,
+		end: new Date(start.getTime() + (Number(session.duration_min) || 60) * 60_000),
+		summary: options.summary || "Research session",
+		description: session.location_or_link ? `Join/arrive: ${session.location_or_link}` : "",
+		location: session.location_or_link
+	});
+	return { file: toBase64(ics), filename: `session-${session.id}.ics` };
+}
+
+/**
+ * Current calendar SEQUENCE for a session, or 0 when none has been recorded.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} sessionId
+ */
+export async function sessionCalendarSequence(svc, sessionId) {
+	if (!hasD1(svc)) return 0;
+	try {
+		await ensureTables(svc);
+		const row = await d1Get(svc.env, `SELECT sequence FROM ${CALENDAR_TABLE} WHERE session_id = ? LIMIT 1`, [sessionId]);
+		return Number(row?.sequence || 0);
+	} catch (e) {
+		svc.log.warn("d1.session_calendar.read.fail", { detail: String(e?.message || e) });
+		return 0;
+	}
+}
+
+async function calendarRow(svc, session) {
+	const existing = await d1Get(svc.env, `SELECT * FROM ${CALENDAR_TABLE} WHERE session_id = ? LIMIT 1`, [session.id]);
+	if (existing) return existing;
+	const row = { session_id: session.id, study_id: session.study_id, sequence: 0, starts_at: session.starts_at, status: session.status, updated_at: nowIso() };
+	await d1Run(svc.env, `INSERT OR IGNORE INTO ${CALENDAR_TABLE} (session_id, study_id, sequence, starts_at, status, updated_at) VALUES (?, ?, 0, ?, ?, ?)`, [row.session_id, row.study_id, row.starts_at, row.status, row.updated_at]);
+	return row;
+}
+
+async function noteTakers(svc, studyId) {
+	try {
+		return await d1All(svc.env, `SELECT id, name, email FROM ${SUPPORT_PEOPLE_TABLE} WHERE study_id = ? AND role = 'note_taker' AND attendance_scope = 'all_sessions' AND active = 1 AND email IS NOT NULL AND email <> ''`, [studyId]);
+	} catch {
+		return []; /* support setup has never been saved for any study */
+	}
+}
+
+async function recipientsFor(svc, session, prefs) {
+	const recipients = [];
+	if (session.participant_id) recipients.push({ type: "participant", id: session.participant_id, channel: prefs.channel });
+	if (prefs.notify_note_takers) {
+		for (const person of await noteTakers(svc, session.study_id)) {
+			recipients.push({ type: "note_taker", id: person.id, channel: "email", email: person.email, name: person.name });
+		}
+	}
+	return recipients;
+}
+
+function templateFor(svc, prefs, kind) {
+	return prefs.templates[kind] || text(svc.env[`SESSION_TEMPLATE_${kind.toUpperCase()}`]);
+}
+
+async function alreadySent(svc, session, kind, recipient, sequence) {
+	// A confirmation goes once per booking; reminders and notices follow the current sequence.
+	const row = kind === "confirmation"
+		? await d1Get(svc.env, `SELECT id FROM ${LEDGER_TABLE} WHERE session_id = ? AND kind = ? AND recipient_type = ? AND recipient_id = ? LIMIT 1`, [session.id, kind, recipient.type, recipient.id])
+		: await d1Get(svc.env, `SELECT id FROM ${LEDGER_TABLE} WHERE session_id = ? AND kind = ? AND recipient_type = ? AND recipient_id = ? AND sequence = ? LIMIT 1`, [session.id, kind, recipient.type, recipient.id, sequence]);
+	return Boolean(row);
+}
+
+/**
+ * Claim a ledger slot, queue the message and record the outcome. Returns the
+ * ledger status, or null if another run claimed the slot first.
+ */
+async function sendOne(svc, session, kind, recipient, sequence, templateId, extra = {}) {
+	const id = ledgerId();
+	const claimed = await d1Run(svc.env, `INSERT OR IGNORE INTO ${LEDGER_TABLE} (id, session_id, study_id, kind, recipient_type, recipient_id, sequence, status, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?)`, [id, session.id, session.study_id, kind, recipient.type, recipient.id, sequence, nowIso()]);
+	if (claimed?.meta && !claimed.meta.changes) return null;
+
+	const staff = recipient.type !== "participant";
+	let result;
+	try {
+		result = await queueComms(svc, {
+			participant_id: recipient.id,
+			recipient_type: recipient.type,
+			recipient: recipient.email,
+			recipient_name: recipient.name,
+			session_id: session.id,
+			study_id: session.study_id,
+			channel: recipient.channel,
+			template_id: templateId,
+			session,
+			personalisation: {
+				message_kind: kind,
+				...(recipient.channel === "email" ? { calendar_file: sessionCalendarFile(session, sequence, { cancelled: kind === "cancellation", summary: staff ? "Research session (note taking)" : "Research session" }) } : {}),
+				...extra
+			}
+		});
+	} catch (e) {
+		await d1Run(svc.env, `UPDATE ${LEDGER_TABLE} SET status = 'failed', detail = ? WHERE id = ?`, [String(e?.message || e).slice(0, 500), id]);
+		throw e;
+	}
+	if (!result.ok && result.status === 503) {
+		// No provider configured yet: release the slot so a later run can send it.
+		await d1Run(svc.env, `DELETE FROM ${LEDGER_TABLE} WHERE id = ?`, [id]);
+		return "skipped";
+	}
+	const status = result.ok ? (result.message.status === "failed" ? "failed" : "queued") : "skipped";
+	await d1Run(svc.env, `UPDATE ${LEDGER_TABLE} SET status = ?, message_id = ?, detail = ? WHERE id = ?`, [status, result.ok ? result.message.id : null, result.ok ? null : result.error, id]);
+	return status;
+}
+
+/**
+ * Send every confirmation and reminder that is due. In a dry run nothing is
+ * queued or recorded; the returned plan lists what would have been sent.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {{ now?: number, dryRun?: boolean, studyId?: string }} [options]
+ */
+export async function runSessionReminders(svc, options = {}) {
+	const nowMs = Number(options.now || Date.now());
+	const dryRun = options.dryRun ?? envDryRun(svc.env);
+	const summary = { ok: true, dry_run: dryRun, checked: 0, sent: 0, skipped: 0, failed: 0, planned: [] };
+	if (!hasD1(svc) || !svc.env.AIRTABLE_BASE_ID) return { ...summary, ok: false, error: "session_reminders_unavailable" };
+
+	try {
+		await ensureTables(svc);
+		const rows = options.studyId
+			? [await d1Get(svc.env, `SELECT * FROM ${PREFS_TABLE} WHERE study_id = ? AND enabled = 1`, [options.studyId])].filter(Boolean)
+			: await d1All(svc.env, `SELECT * FROM ${PREFS_TABLE} WHERE enabled = 1`);
+		const prefsByStudy = new Map(rows.map((row) => [row.study_id, prefsDto(row)]));
+		if (!prefsByStudy.size) return summary;
+
+		// Confirmations are due as soon as a session is booked, so the window
+		// only closes at 24 hours when no enabled study sends them.
+		const confirming = [...prefsByStudy.values()].some((prefs) => prefs.confirmation);
+		const sessions = await fetchWindowSessions(svc, {
+			studyIds: [...prefsByStudy.keys()],
+			after: nowIso(nowMs),
+			before: confirming ? "" : nowIso(nowMs + DAY_MS),
+			statuses: [...ACTIVE_STATUSES]
+		});
+
+		for (const session of sessions) {
+			const prefs = prefsByStudy.get(session.study_id);
+			const kinds = dueReminders(session, prefs, nowMs);
+			if (!kinds.length) continue;
+			summary.checked += 1;
+			const sequence = dryRun
+				? await sessionCalendarSequence(svc, session.id)
+				: Number((await calendarRow(svc, session)).sequence || 0);
+			for (const recipient of await recipientsFor(svc, session, prefs)) {
+				for (const kind of kinds) {
+					if (await alreadySent(svc, session, kind, recipient, sequence)) continue;
+					const templateId = templateFor(svc, prefs, kind);
+					summary.planned.push({ session_id: session.id, study_id: session.study_id, starts_at: session.starts_at, kind, recipient_type: recipient.type, recipient_id: recipient.id, channel: recipient.channel, template_id: templateId, sequence });
+					if (dryRun) continue;
+					if (!templateId) {
+						summary.skipped += 1;
+						continue;
+					}
+					const status = await sendOne(svc, session, kind, recipient, sequence, templateId);
+					if (status === "queued") summary.sent += 1;
+					else if (status === "failed") summary.failed += 1;
+					else if (status === "skipped") summary.skipped += 1;
+				}
+			}
+		}
+	} catch (e) {
+		svc.log.error("session_reminders.run.fail", { detail: String(e?.message || e) });
+		return { ...summary, ok: false, error: "session_reminders_failed" };
+	}
+	return summary;
+}
+
+/**
+ * React to a session write. A cancellation or a new start time bumps the
+ * calendar SEQUENCE and, where the study has change notices on, tells the
+ * participant (and note takers) with an updated ICS. Sessions seen for the
+ * first time only record a baseline, unless the caller read the session
+ * before writing it and passes that as `previous`, which becomes the baseline
+ * the write is compared against.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {{ id: string, fields?: Record<string, any> }} record updated Airtable record
+ * @param {{ dryRun?: boolean, previous?: { starts_at: string, status: string } | null }} [options]
+ * @returns {Promise<{ change: "" | "reschedule" | "cancellation", sequence: number, planned: Array<any> }>}
+ */
+export async function notifySessionChange(svc, record, options = {}) {
+	const session = sessionFromRecord(record);
+	const outcome = { change: "", sequence: 0, planned: [] };
+	if (!session.id || !hasD1(svc)) return outcome;
+	await ensureTables(svc);
+
+	let existing = await d1Get(svc.env, `SELECT * FROM ${CALENDAR_TABLE} WHERE session_id = ? LIMIT 1`, [session.id]);
+	if (!existing && options.previous) {
+		existing = await calendarRow(svc, { ...session, starts_at: text(options.previous.starts_at), status: text(options.previous.status) || "scheduled" });
+	}
+	if (!existing) {
+		await calendarRow(svc, session);
+		return outcome;
+	}
+
+	const cancelled = session.status === "cancelled" && existing.status !== "cancelled";
+	const moved = ACTIVE_STATUSES.has(session.status) && Date.parse(session.starts_at) !== Date.parse(existing.starts_at);
+	const change = cancelled ? "cancellation" : moved ? "reschedule" : "";
+	const sequence = Number(existing.sequence || 0) + (change ? 1 : 0);
+	await d1Run(svc.env, `UPDATE ${CALENDAR_TABLE} SET sequence = ?, starts_at = ?, status = ?, study_id = ?, updated_at = ? WHERE session_id = ?`, [sequence, session.starts_at, session.status, session.study_id || existing.study_id, nowIso(), session.id]);
+	Object.assign(outcome, { change, sequence });
+	if (!change) return outcome;
+
+	const prefs = await readPrefs(svc, session.study_id || existing.study_id);
+	if (!prefs.enabled || !prefs.change_notices) return outcome;
+	const templateId = templateFor(svc, prefs, change);
+	const dryRun = options.dryRun ?? envDryRun(svc.env);
+	const extra = change === "reschedule" ? { previous_starts_at: text(existing.starts_at) } : {};
+
+	for (const recipient of await recipientsFor(svc, session, prefs)) {
+		outcome.planned.push({ session_id: session.id, kind: change, recipient_type: recipient.type, recipient_id: recipient.id, channel: recipient.channel, template_id: templateId, sequence });
+		if (dryRun || !templateId) continue;
+		await sendOne(svc, session, change, recipient, sequence, templateId, extra);
+	}
+	return outcome;
+}
+
+/**
+ * GET /api/session-reminders/preferences?study=
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} origin
+ * @param {URL} url
+ * @returns {Promise<Response>}
+ */
+export async function getReminderPreferences(svc, origin, url) {
+	const studyId = text(url.searchParams.get("study"));
+	if (!studyId) return svc.json({ ok: false, error: "Missing study query" }, 400, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		await ensureTables(svc);
+		return svc.json({ ok: true, preferences: await readPrefs(svc, studyId) }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.session_reminders.prefs.read.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * POST /api/session-reminders/preferences?study=
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {URL} url
+ * @returns {Promise<Response>}
+ */
+export async function saveReminderPreferences(svc, request, origin, url) {
+	const studyId = text(url.searchParams.get("study"));
+	if (!studyId) return svc.json({ ok: false, error: "Missing study query" }, 400, svc.corsHeaders(origin));
+	const body = await request.arrayBuffer();
+	if (body.byteLength > svc.cfg.MAX_BODY_BYTES) return svc.json({ error: "Payload too large" }, 413, svc.corsHeaders(origin));
+	let p;
+	try { p = JSON.parse(new TextDecoder().decode(body)); } catch {
+		return svc.json({ error: "Invalid JSON" }, 400, svc.corsHeaders(origin));
+	}
+	if (p.channel !== undefined && !CHANNELS.has(text(p.channel).toLowerCase())) return svc.json({ error: "channel must be email or sms" }, 400, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return unavailable(svc, origin);
+
+	const prefs = prefsDto({ ...DEFAULT_PREFS, ...p, study_id: studyId });
+	const now = nowIso();
+	try {
+		await ensureTables(svc);
+		await d1Run(svc.env, `INSERT INTO ${PREFS_TABLE} (study_id, enabled, channel, confirmation, reminder_24h, reminder_1h, change_notices, notify_note_takers, templates_json, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+			ON CONFLICT(study_id) DO UPDATE SET enabled = excluded.enabled, channel = excluded.channel, confirmation = excluded.confirmation, reminder_24h = excluded.reminder_24h, reminder_1h = excluded.reminder_1h, change_notices = excluded.change_notices, notify_note_takers = excluded.notify_note_takers, templates_json = excluded.templates_json, updated_at = excluded.updated_at`,
+		[studyId, prefs.enabled ? 1 : 0, prefs.channel, prefs.confirmation ? 1 : 0, prefs.reminder_24h ? 1 : 0, prefs.reminder_1h ? 1 : 0, prefs.change_notices ? 1 : 0, prefs.notify_note_takers ? 1 : 0, JSON.stringify(prefs.templates), now, now]);
+		return svc.json({ ok: true, preferences: await readPrefs(svc, studyId) }, 200, svc.corsHeaders(origin));
+	} catch (e) {
+		svc.log.error("d1.session_reminders.prefs.save.fail", { detail: String(e?.message || e) });
+		return unavailable(svc, origin);
+	}
+}
+
+/**
+ * POST /api/session-reminders/run[?study=] — run reminders on demand.
+ * Defaults to a dry run so the page can preview what the cron would send.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {URL} url
+ * @returns {Promise<Response>}
+ */
+export async function runSessionRemindersNow(svc, request, origin, url) {
+	let p = {};
+	try { p = JSON.parse(await request.text() || "{}"); } catch {
+		return svc.json({ error: "Invalid JSON" }, 400, svc.corsHeaders(origin));
+	}
+	const result = await runSessionReminders(svc, { dryRun: p.dry_run !== false, studyId: text(url.searchParams.get("study")) || undefined });
+	return svc.json(result, result.ok ? 200 : 503, svc.corsHeaders(origin));
+}
@@ -9,6 +9,12 @@
  * - POST   /api/sessions
  * - PATCH  /api/sessions/:id
  * - GET    /api/sessions/:id/ics
+ *
+ * Updates that cancel a session or move its start time trigger change notices
+ * (see ./session-reminders.js). Cancelling a booked session releases its
+ * booking slot (see ./session-booking.js). A `guide_id` on create records
+ * the guide's latest published snapshot against the session (see
+ * ./guide-versions.js).
  */
 
 import {
@@ -23,6 +29,12 @@ import {
 	PARTICIPANT_FIELDS
 } from "../core/fields.js";
 
+import { buildSessionIcs, sessionEventUid } from "./internals/ics.js";
+import { createSessionRecord, fetchSessionRecord, sessionFromRecord } from "./internals/session-records.js";
+import { notifySessionChange, sessionCalendarSequence } from "./session-reminders.js";
+import { releaseBookingForSession } from "./session-booking.js";
+import { pinSessionGuideVersion } from "./guide-versions.js";
+
 /* ==========================================================================
    LIST (by study, optional participant/status filters)
    ========================================================================== */
@@ -157,44 +169,30 @@ export async function createSession(svc, request, origin) {
 	if (!p.location_or_link) missing.push("location_or_link");
 	if (missing.length) return svc.json({ error: "Missing fields: " + missing.join(", ") }, 400, svc.corsHeaders(origin));
 
-	const base = svc.env.AIRTABLE_BASE_ID;
-	const table = encodeURIComponent(svc.env.AIRTABLE_TABLE_SESSIONS || "Sessions");
-	const url = `https://api.airtable.com/v0/${base}/${table}`;
-
-	const fields = {
-		[SESSION_FIELDS.study_link[0]]: [p.study_airtable_id],
-		[SESSION_FIELDS.participant_link[0]]: [p.participant_airtable_id],
-		// Canonical: "Starts at"
-		[SESSION_FIELDS.starts_at?.[0] || "Starts at"]: p.starts_at,
-		[SESSION_FIELDS.duration_min[0]]: p.duration_min,
-		[SESSION_FIELDS.type[0]]: p.type,
-		[SESSION_FIELDS.location_or_link[0]]: p.location_or_link,
-		[SESSION_FIELDS.backup_contact[0]]: p.backup_contact || undefined,
-		[SESSION_FIELDS.researchers[0]]: p.researchers || undefined,
-		[SESSION_FIELDS.status[0]]: p.status || "scheduled",
-		[SESSION_FIELDS.incentive_type[0]]: p.incentive_type || undefined,
-		[SESSION_FIELDS.incentive_amount[0]]: p.incentive_amount || undefined,
-		[SESSION_FIELDS.incentive_status[0]]: p.incentive_status || undefined,
-		[SESSION_FIELDS.safeguarding_flag[0]]: p.safeguarding_flag ? true : undefined,
-		[SESSION_FIELDS.notes[0]]: p.notes || undefined
-		// Do NOT attempt to set "Duration Actual min" (formula) on create.
-	};
-	for (const k of Object.keys(fields)) { if (fields[k] === undefined) delete fields[k]; }
+	let record;
+	try {
+		record = await createSessionRecord(svc, p);
+	} catch (e) {
+		svc.log.error("airtable.session.create.fail", { status: e.status, text: e.detail });
+		return svc.json({ error: e.message, detail: e.detail }, e.status || 502, svc.corsHeaders(origin));
+	}
+	const sessionId = record.id;
 
-	const res = await fetchWithTimeout(url, {
-		method: "POST",
-		headers: { "Authorization": `Bearer ${svc.env.AIRTABLE_API_KEY}`, "Content-Type": "application/json" },
-		body: JSON.stringify({ records: [{ fields }] })
-	}, svc.cfg.TIMEOUT_MS);
+	// Records the calendar baseline, so the first reschedule sends a notice.
+	try {
+		if (sessionId) await notifySessionChange(svc, record);
+	} catch (e) {
+		svc.log.warn("session.session_calendar.fail", { detail: String(e?.message || e) });
+	}
 
-	const txt = await res.text();
-	if (!res.ok) {
-		svc.log.error("airtable.session.create.fail", { status: res.status, text: safeText(txt) });
-		return svc.json({ error: `Airtable ${res.status}`, detail: safeText(txt) }, res.status, svc.corsHeaders(origin));
+	let guideVersion = null;
+	if (p.guide_id && sessionId) {
+		try {
+			guideVersion = await pinSessionGuideVersion(svc, sessionId, { guideId: String(p.guide_id) });
+		} catch (e) {
+			svc.log.warn("session.guide_version.fail", { sessionId, detail: String(e?.message || e) });
+		}
 	}
-	let js;
-	try { js = JSON.parse(txt); } catch { js = { records: [] }; }
-	const sessionId = js.records?.[0]?.id;
 
 	// Optional audit
 	try {
@@ -203,7 +201,7 @@ export async function createSession(svc, request, origin) {
 		svc.log.warn("session.audit.fail", { err: String(e?.message || e) });
 	}
 
-	return svc.json({ ok: true, id: sessionId }, 200, svc.corsHeaders(origin));
+	return svc.json({ ok: true, id: sessionId, ...(guideVersion ? { guide_version: guideVersion } : {}) }, 200, svc.corsHeaders(origin));
 }
 
 /* ==========================================================================
@@ -259,6 +257,18 @@ export async function updateSession(svc, request, origin, sessionId) {
 		return svc.json({ error: "No updatable fields provided" }, 400, svc.corsHeaders(origin));
 	}
 
+	// Start and status before the write, compared against the result to detect
+	// a reschedule or cancellation even if no calendar baseline was recorded.
+	let previous = null;
+	if (p.starts_at !== undefined || p.status !== undefined) {
+		try {
+			const before = await fetchSessionRecord(svc, sessionId);
+			previous = before ? sessionFromRecord(before) : null;
+		} catch (e) {
+			svc.log.warn("session.change_notice.read.fail", { detail: String(e?.message || e) });
+		}
+	}
+
 	const base = svc.env.AIRTABLE_BASE_ID;
 	const table = encodeURIComponent(svc.env.AIRTABLE_TABLE_SESSIONS || "Sessions");
 	const atUrl = `https://api.airtable.com/v0/${base}/${table}`;
@@ -275,6 +285,22 @@ export async function updateSession(svc, request, origin, sessionId) {
 		return svc.json({ error: `Airtable ${res.status}`, detail: safeText(txt) }, res.status, svc.corsHeaders(origin));
 	}
 
+	// Change notices are best-effort: the session write has already succeeded.
+	try {
+		const record = JSON.parse(txt)?.records?.[0];
+		if (record) await notifySessionChange(svc, record, { previous });
+	} catch (e) {
+		svc.log.warn("session.change_notice.fail", { detail: String(e?.message || e) });
+	}
+
+	if (String(p.status || "").toLowerCase() === "cancelled") {
+		try {
+			await releaseBookingForSession(svc, sessionId, "Session cancelled");
+		} catch (e) {
+			svc.log.warn("session.booking_release.fail", { detail: String(e?.message || e) });
+		}
+	}
+
 	return svc.json({ ok: true }, 200, svc.corsHeaders(origin));
 }
 
@@ -285,6 +311,7 @@ export async function updateSession(svc, request, origin, sessionId) {
 /**
  * Generate a minimal ICS for a session.
  * Prefers explicit "Ended at"; otherwise uses "Starts at" + "Duration min".
+ * UID and SEQUENCE match the calendar files attached to session messages.
  *
  * @param {import("../service/index.js").ResearchOpsService} svc
  * @param {string} origin
@@ -317,8 +344,6 @@ export async function sessionIcs(svc, origin, sessionId) {
 	const dtStart = startsAt ? new Date(startsAt) : new Date();
 	const dtEnd = endedAt ? new Date(endedAt) : new Date(dtStart.getTime() + durationPlanned * 60000);
 
-	const fmt = (d) => d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}Z$/, "Z");
-
 	// Participant display name (optional)
 	let displayName = "participant";
 	const pIds = Array.isArray(v(SESSION_FIELDS.participant_link)) ? v(SESSION_FIELDS.participant_link) : [];
@@ -336,25 +361,18 @@ export async function sessionIcs(svc, origin, sessionId) {
 	const summary = `Research session with ${displayName}`;
 	const desc = `Join/arrive: ${location}`;
 
-	function foldIcs(s) {
-		return s.replace(/(.{1,73})(?=.)/g, "$1\r\n ");
-	}
-
-	const ics = [
-		"BEGIN:VCALENDAR",
-		"VERSION:2.0",
-		"PRODID:-//HOB ResearchOps//Scheduler//EN",
-		"BEGIN:VEVENT",
-		`UID:${sessionId}@researchops`,
-		`DTSTAMP:${fmt(new Date())}`,
-		`DTSTART:${fmt(dtStart)}`,
-		`DTEND:${fmt(dtEnd)}`,
-		`SUMMARY:${summary}`,
-		`DESCRIPTION:${desc}`,
-		`LOCATION:${location}`,
-		"END:VEVENT",
-		"END:VCALENDAR"
-	].map(foldIcs).join("\r\n") + "\r\n";
+	const status = (v(SESSION_FIELDS.status) || "").toString().toLowerCase();
+
+	const ics = buildSessionIcs({
+		uid: sessionEventUid(sessionId),
+		sequence: await sessionCalendarSequence(svc, sessionId),
+		method: status === "cancelled" ? "CANCEL" : "PUBLISH",
+		start: dtStart,
+		end: dtEnd,
+		summary,
+		description: desc,
+		location
+	});
 
 	return new Response(ics, {
 		status: 200,
@@ -0,0 +1,437 @@
+/**
+ * @file study-ethics-risk.js
+ * @module study-ethics-risk
+ * @summary Server-side study ethics and research risk assessments with reviewer approval.
+ *
+ * @description
+ * Each study has one assessment record and a numbered version for every set of
+ * answers a researcher records. The risk outcome is always re-evaluated here
+ * with the shared `evaluateStudyEthicsRisk` rules, so a client cannot record
+ * its own outcome. Recording new answers starts a new draft version and clears
+ * any earlier approval.
+ *
+ * Review workflow:
+ *   draft | changes_requested  --submit-->           submitted
+ *   submitted | escalated      --approve-->          approved
+ *   submitted | escalated      --request_changes-->  changes_requested
+ *   submitted                  --escalate-->         escalated
+ *
+ * Reviewer decisions need `study.ethics.review` and cannot be made by the
+ * person who recorded the version under review. Participant recruitment is
+ * blocked while a study's assessment is not approved. With
+ * `ETHICS_APPROVAL_REQUIRED=true` it is also blocked for studies that have
+ * no assessment at all.
+ */
+
+import { evaluateStudyEthicsRisk } from "../../../../public/js/study-ethics-risk-model.js";
+import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
+
+const ASSESSMENTS_TABLE = "rops_study_ethics_assessments";
+const VERSIONS_TABLE = "rops_study_ethics_assessment_versions";
+const REVIEWS_TABLE = "rops_study_ethics_reviews";
+const REVIEW_PERMISSION = "study.ethics.review";
+const MAX_COMMENT_LENGTH = 4000;
+
+export const ETHICS_REVIEW_STATUSES = ["draft", "submitted", "changes_requested", "approved", "escalated"];
+
+const STATUS_LABELS = {
+	draft: "Not submitted for review",
+	submitted: "Waiting for review",
+	changes_requested: "Changes requested",
+	approved: "Approved",
+	escalated: "Escalated"
+};
+
+const DECISIONS = {
+	approve: { from: ["submitted", "escalated"], to: "approved", commentRequired: false },
+	request_changes: { from: ["submitted", "escalated"], to: "changes_requested", commentRequired: true },
+	escalate: { from: ["submitted"], to: "escalated", commentRequired: true }
+};
+
+const ASSESSMENTS_SQL = `
+	CREATE TABLE IF NOT EXISTS ${ASSESSMENTS_TABLE} (
+		study_id TEXT PRIMARY KEY,
+		project_id TEXT,
+		current_version INTEGER NOT NULL DEFAULT 1,
+		status TEXT NOT NULL DEFAULT 'draft',
+		status_changed_at TEXT NOT NULL,
+		status_changed_by TEXT,
+		created_at TEXT NOT NULL,
+		updated_at TEXT NOT NULL
+	)
+`;
+
+const VERSIONS_SQL = `
+	CREATE TABLE IF NOT EXISTS ${VERSIONS_TABLE} (
+		id TEXT PRIMARY KEY,
+		study_id TEXT NOT NULL,
+		version INTEGER NOT NULL,
+		answers_json TEXT NOT NULL DEFAULT '{}',
+		outcome_json TEXT NOT NULL DEFAULT '{}',
+		route TEXT,
+		recorded_by_id TEXT,
+		recorded_by TEXT,
+		recorded_at TEXT NOT NULL,
+		UNIQUE (study_id, version)
+	)
+`;
+
+const REVIEWS_SQL = `
+	CREATE TABLE IF NOT EXISTS ${REVIEWS_TABLE} (
+		id TEXT PRIMARY KEY,
+		study_id TEXT NOT NULL,
+		version INTEGER NOT NULL,
+		action TEXT NOT NULL,
+		from_status TEXT NOT NULL,
+		to_status TEXT NOT NULL,
+		comment TEXT,
+		actor_id TEXT,
+		actor_name TEXT,
+		created_at TEXT NOT NULL
+	)
+`;
+
+function nowIso() {
+	return new Date().toISOString();
+}
+
+function makeId(prefix) {
+	if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+		return `${prefix}_${crypto.randomUUID()}`;
+	}
+	return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(16).slice(2, 10)}`;
+}
+
+function text(value) {
+	return String(value ?? "").trim();
+}
+
+function hasD1(svc) {
+	return Boolean(svc?.env?.RESEARCHOPS_D1?.prepare);
+}
+
+function parseJson(value, fallback) {
+	try {
+		return JSON.parse(value || "null") ?? fallback;
+	} catch {
+		return fallback;
+	}
+}
+
+function actorOf(authContext = {}) {
+	const user = authContext?.user || {};
+	const id = text(user.id || user.email || authContext?.userId);
+	return { id, name: text(user.displayName || user.name || user.email) || id };
+}
+
+function canReview(authContext = {}) {
+	return (authContext?.permissions || []).some((permission) => permission?.code === REVIEW_PERMISSION);
+}
+
+function approvalRequiredForAllStudies(env = {}) {
+	return ["1", "true", "yes"].includes(text(env.ETHICS_APPROVAL_REQUIRED).toLowerCase());
+}
+
+async function ensureTables(svc) {
+	if (!hasD1(svc)) throw Object.assign(new Error("RESEARCHOPS_D1 binding not available"), { status: 503 });
+	await d1Run(svc.env, ASSESSMENTS_SQL);
+	await d1Run(svc.env, VERSIONS_SQL);
+	await d1Run(svc.env, REVIEWS_SQL);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_study_ethics_assessments_status ON ${ASSESSMENTS_TABLE} (status, status_changed_at)`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_study_ethics_reviews_study ON ${REVIEWS_TABLE} (study_id, created_at)`);
+}
+
+async function readJsonBody(svc, request) {
+	const body = await request.arrayBuffer();
+	if (body.byteLength > svc.cfg.MAX_BODY_BYTES) {
+		throw Object.assign(new Error("Payload too large"), { status: 413 });
+	}
+	try {
+		return JSON.parse(new TextDecoder().decode(body || new ArrayBuffer(0)) || "{}");
+	} catch {
+		throw Object.assign(new Error("Invalid JSON"), { status: 400 });
+	}
+}
+
+function errorResponse(svc, origin, error, code, message) {
+	const status = error?.status || 500;
+	return svc.json({ ok: false, error: status === 500 ? code : error?.code || code, message: error?.message || message }, status, svc.corsHeaders(origin));
+}
+
+function versionFromRow(row) {
+	return {
+		version: Number(row.version) || 1,
+		answers: parseJson(row.answers_json, {}),
+		outcome: parseJson(row.outcome_json, {}),
+		route: row.route || "",
+		recordedById: row.recorded_by_id || "",
+		recordedBy: row.recorded_by || "",
+		recordedAt: row.recorded_at
+	};
+}
+
+function reviewFromRow(row) {
+	return {
+		id: row.id,
+		version: Number(row.version) || 1,
+		action: row.action,
+		fromStatus: row.from_status,
+		toStatus: row.to_status,
+		comment: row.comment || "",
+		actorName: row.actor_name || row.actor_id || "",
+		createdAt: row.created_at
+	};
+}
+
+async function loadAssessment(svc, studyId) {
+	const assessment = await d1Get(svc.env, `SELECT * FROM ${ASSESSMENTS_TABLE} WHERE study_id = ? LIMIT 1`, [studyId]);
+	if (!assessment) return null;
+	const [versionRows, reviewRows] = await Promise.all([
+		d1All(svc.env, `SELECT * FROM ${VERSIONS_TABLE} WHERE study_id = ? ORDER BY version DESC`, [studyId]),
+		d1All(svc.env, `SELECT * FROM ${REVIEWS_TABLE} WHERE study_id = ? ORDER BY created_at DESC, rowid DESC`, [studyId])
+	]);
+	const versions = versionRows.map(versionFromRow);
+	const current = versions.find((item) => item.version === Number(assessment.current_version)) || versions[0] || null;
+	return { assessment, current, versions, reviews: reviewRows.map(reviewFromRow) };
+}
+
+function recruitmentState(status, exists, env) {
+	if (!exists) {
+		return approvalRequiredForAllStudies(env)
+			? { allowed: false, reason: "Record and approve the ethics and research risk assessment before recruiting participants." }
+			: { allowed: true, reason: "" };
+	}
+	return status === "approved"
+		? { allowed: true, reason: "" }
+		: { allowed: false, reason: "Recruitment is paused until the ethics and research risk assessment is approved." };
+}
+
+function ethicsRiskBody(svc, studyId, loaded, authContext) {
+	const actor = actorOf(authContext);
+	if (!loaded) {
+		return {
+			studyId,
+			status: "",
+			statusLabel: "Not recorded",
+			recruitment: recruitmentState("", false, svc.env),
+			canReview: canReview(authContext),
+			versions: [],
+			reviews: []
+		};
+	}
+	const { assessment, current, versions, reviews } = loaded;
+	const status = assessment.status || "draft";
+	return {
+		studyId,
+		projectId: assessment.project_id || "",
+		version: current?.version || 1,
+		answers: current?.answers || {},
+		outcome: current?.outcome || {},
+		savedAt: current?.recordedAt || "",
+		recordedBy: current?.recordedBy || "",
+		status,
+		statusLabel: STATUS_LABELS[status] || status,
+		statusChangedAt: assessment.status_changed_at,
+		recruitment: recruitmentState(status, true, svc.env),
+		canReview: canReview(authContext),
+		isAuthor: Boolean(actor.id && current?.recordedById === actor.id),
+		versions: versions.map(({ version, route, recordedBy, recordedAt }) => ({ version, route, recordedBy, recordedAt })),
+		reviews
+	};
+}
+
+/**
+ * Whether participants can be recruited to a study under its ethics review state.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} studyId
+ * @returns {Promise<{allowed:boolean, status:string, reason:string}>}
+ */
+export async function recruitmentEthicsGate(svc, studyId) {
+	await ensureTables(svc);
+	const row = await d1Get(svc.env, `SELECT status FROM ${ASSESSMENTS_TABLE} WHERE study_id = ? LIMIT 1`, [text(studyId)]);
+	return { ...recruitmentState(row?.status || "", Boolean(row), svc.env), status: row?.status || "" };
+}
+
+/**
+ * Read a study's current ethics assessment, its versions and review history.
+ * @route GET /api/study-ethics-risk?study=
+ */
+export async function readStudyEthicsRisk(svc, origin, url, authContext = {}) {
+	const studyId = text(url.searchParams.get("study") || url.searchParams.get("studyId"));
+	if (!studyId) return svc.json({ ok: false, error: "study_id_required", message: "Study ID is required." }, 400, svc.corsHeaders(origin));
+	try {
+		await ensureTables(svc);
+		const loaded = await loadAssessment(svc, studyId);
+		return svc.json({ ok: true, ethicsRisk: ethicsRiskBody(svc, studyId, loaded, authContext) }, 200, svc.corsHeaders(origin));
+	} catch (error) {
+		svc.log.error("study_ethics_risk.read.fail", { detail: String(error?.message || error).slice(0, 200) });
+		return errorResponse(svc, origin, error, "study_ethics_risk_read_failed", "The ethics and research risk assessment could not be read.");
+	}
+}
+
+/**
+ * Record a new version of a study's answers and evaluate its risk outcome.
+ * @route POST /api/study-ethics-risk
+ */
+export async function recordStudyEthicsRisk(svc, request, origin, authContext = {}) {
+	try {
+		const payload = await readJsonBody(svc, request);
+		const studyId = text(payload.studyId);
+		if (!studyId) return svc.json({ ok: false, error: "study_id_required", message: "Study ID is required." }, 400, svc.corsHeaders(origin));
+
+		const actor = actorOf(authContext);
+		const recordedAt = nowIso();
+		const outcome = evaluateStudyEthicsRisk(payload.answers || {}, { savedAt: recordedAt, recordedBy: actor.name });
+		if (!outcome.started || outcome.route === "incomplete-assessment") {
+			return svc.json({
+				ok: false,
+				error: "incomplete_assessment",
+				message: "Answer all required ethics and research risk questions before recording the outcome.",
+				missingGroups: outcome.missingGroups
+			}, 400, svc.corsHeaders(origin));
+		}
+
+		await ensureTables(svc);
+		const existing = await d1Get(svc.env, `SELECT * FROM ${ASSESSMENTS_TABLE} WHERE study_id = ? LIMIT 1`, [studyId]);
+		const version = existing ? Number(existing.current_version) + 1 : 1;
+		const { answers, ...storedOutcome } = outcome;
+		await d1Run(svc.env, `
+			INSERT INTO ${VERSIONS_TABLE} (id, study_id, version, answers_json, outcome_json, route, recorded_by_id, recorded_by, recorded_at)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+		`, [makeId("ethv"), studyId, version, JSON.stringify(answers), JSON.stringify(storedOutcome), outcome.route, actor.id || null, actor.name || null, recordedAt]);
+		await d1Run(svc.env, `
+			INSERT INTO ${ASSESSMENTS_TABLE} (study_id, project_id, current_version, status, status_changed_at, status_changed_by, created_at, updated_at)
+			VALUES (?, ?, ?, 'draft', ?, ?, ?, ?)
+			ON CONFLICT(study_id) DO UPDATE SET
+				project_id = COALESCE(excluded.project_id, ${ASSESSMENTS_TABLE}.project_id),
+				current_version = excluded.current_version,
+				status = 'draft',
+				status_changed_at = excluded.status_changed_at,
+				status_changed_by = excluded.status_changed_by,
+				updated_at = excluded.updated_at
+		`, [studyId, text(payload.projectId) || null, version, recordedAt, actor.name || null, recordedAt, recordedAt]);
+
+		const loaded = await loadAssessment(svc, studyId);
+		return svc.json({ ok: true, ethicsRisk: ethicsRiskBody(svc, studyId, loaded, authContext) }, 201, svc.corsHeaders(origin));
+	} catch (error) {
+		svc.log.error("study_ethics_risk.record.fail", { detail: String(error?.message || error).slice(0, 200) });
+		return errorResponse(svc, origin, error, "study_ethics_risk_record_failed", "The ethics and research risk assessment could not be recorded.");
+	}
+}
+
+async function moveStatus(svc, studyId, loaded, action, toStatus, comment, actor) {
+	const changedAt = nowIso();
+	const fromStatus = loaded.assessment.status || "draft";
+	const version = loaded.current?.version || Number(loaded.assessment.current_version) || 1;
+	// Guard on the status read above so two reviewers cannot both move the same submission.
+	const result = await d1Run(svc.env, `
+		UPDATE ${ASSESSMENTS_TABLE}
+		   SET status = ?, status_changed_at = ?, status_changed_by = ?, updated_at = ?
+		 WHERE study_id = ? AND status = ? AND current_version = ?
+	`, [toStatus, changedAt, actor.name || null, changedAt, studyId, fromStatus, version]);
+	if (result?.meta && Number(result.meta.changes) === 0) {
+		throw Object.assign(new Error("The assessment changed while you were reviewing it. Reload and try again."), { status: 409, code: "ethics_review_conflict" });
+	}
+	await d1Run(svc.env, `
+		INSERT INTO ${REVIEWS_TABLE} (id, study_id, version, action, from_status, to_status, comment, actor_id, actor_name, created_at)
+		VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+	`, [makeId("ethr"), studyId, version, action, fromStatus, toStatus, comment || null, actor.id || null, actor.name || null, changedAt]);
+}
+
+/**
+ * Submit the current version of a study's assessment for review.
+ * @route POST /api/study-ethics-risk/submit
+ */
+export async function submitStudyEthicsRisk(svc, request, origin, authContext = {}) {
+	try {
+		const payload = await readJsonBody(svc, request);
+		const studyId = text(payload.studyId);
+		if (!studyId) return svc.json({ ok: false, error: "study_id_required", message: "Study ID is required." }, 400, svc.corsHeaders(origin));
+		await ensureTables(svc);
+		const loaded = await loadAssessment(svc, studyId);
+		if (!loaded) return svc.json({ ok: false, error: "ethics_assessment_not_found", message: "Record the ethics and research risk assessment first." }, 404, svc.corsHeaders(origin));
+		const status = loaded.assessment.status || "draft";
+		if (!["draft", "changes_requested"].includes(status)) {
+			return svc.json({ ok: false, error: "invalid_status_transition", message: `An assessment that is ${STATUS_LABELS[status]?.toLowerCase() || status} cannot be submitted.` }, 409, svc.corsHeaders(origin));
+		}
+		await moveStatus(svc, studyId, loaded, "submit", "submitted", text(payload.comment).slice(0, MAX_COMMENT_LENGTH), actorOf(authContext));
+		return svc.json({ ok: true, ethicsRisk: ethicsRiskBody(svc, studyId, await loadAssessment(svc, studyId), authContext) }, 200, svc.corsHeaders(origin));
+	} catch (error) {
+		svc.log.error("study_ethics_risk.submit.fail", { detail: String(error?.message || error).slice(0, 200) });
+		return errorResponse(svc, origin, error, "study_ethics_risk_submit_failed", "The assessment could not be submitted for review.");
+	}
+}
+
+/**
+ * Record a reviewer decision on a submitted assessment.
+ * @route POST /api/study-ethics-risk/decisions
+ */
+export async function decideStudyEthicsRisk(svc, request, origin, authContext = {}) {
+	try {
+		const payload = await readJsonBody(svc, request);
+		const studyId = text(payload.studyId);
+		const action = text(payload.action);
+		const comment = text(payload.comment).slice(0, MAX_COMMENT_LENGTH);
+		const decision = DECISIONS[action];
+		if (!studyId) return svc.json({ ok: false, error: "study_id_required", message: "Study ID is required." }, 400, svc.corsHeaders(origin));
+		if (!decision) return svc.json({ ok: false, error: "invalid_decision", message: "Choose approve, request_changes or escalate." }, 400, svc.corsHeaders(origin));
+		if (decision.commentRequired && !comment) {
+			return svc.json({ ok: false, error: "comment_required", message: "Explain what needs to change or why the assessment is escalated." }, 400, svc.corsHeaders(origin));
+		}
+
+		await ensureTables(svc);
+		const loaded = await loadAssessment(svc, studyId);
+		if (!loaded) return svc.json({ ok: false, error: "ethics_assessment_not_found" }, 404, svc.corsHeaders(origin));
+		const status = loaded.assessment.status || "draft";
+		if (!decision.from.includes(status)) {
+			return svc.json({ ok: false, error: "invalid_status_transition", message: `An assessment that is ${STATUS_LABELS[status]?.toLowerCase() || status} cannot be given this decision.` }, 409, svc.corsHeaders(origin));
+		}
+		const actor = actorOf(authContext);
+		if (actor.id && loaded.current?.recordedById === actor.id) {
+			return svc.json({ ok: false, error: "reviewer_is_author", message: "Someone other than the person who recorded this assessment must review it." }, 403, svc.corsHeaders(origin));
+		}
+
+		await moveStatus(svc, studyId, loaded, action, decision.to, comment, actor);
+		return svc.json({ ok: true, ethicsRisk: ethicsRiskBody(svc, studyId, await loadAssessment(svc, studyId), authContext) }, 200, svc.corsHeaders(origin));
+	} catch (error) {
+		svc.log.error("study_ethics_risk.decision.fail", { detail: String(error?.message || error).slice(0, 200) });
+		return errorResponse(svc, origin, error, "study_ethics_risk_decision_failed", "The review decision could not be recorded.");
+	}
+}
+
+/**
+ * Assessments waiting for a reviewer, oldest first.
+ * @route GET /api/study-ethics-risk/reviews?status=
+ */
+export async function listStudyEthicsReviews(svc, origin, url) {
+	const requested = text(url.searchParams.get("status"));
+	const statuses = requested ? requested.split(",").map(text).filter((status) => ETHICS_REVIEW_STATUSES.includes(status)) : ["submitted", "escalated"];
+	if (!statuses.length) return svc.json({ ok: false, error: "invalid_status" }, 400, svc.corsHeaders(origin));
+	try {
+		await ensureTables(svc);
+		const rows = await d1All(svc.env, `
+			SELECT a.study_id, a.project_id, a.status, a.status_changed_at, a.current_version, v.route, v.recorded_by, v.recorded_at
+			  FROM ${ASSESSMENTS_TABLE} a
+			  LEFT JOIN ${VERSIONS_TABLE} v ON v.study_id = a.study_id AND v.version = a.current_version
+			 WHERE a.status IN (${statuses.map(() => "?").join(", ")})
+			 ORDER BY a.status_changed_at ASC
+		`, statuses);
+		return svc.json({
+			ok: true,
+			reviews: rows.map((row) => ({
+				studyId: row.study_id,
+				projectId: row.project_id || "",
+				version: Number(row.current_version) || 1,
+				status: row.status,
+				statusLabel: STATUS_LABELS[row.status] || row.status,
+				route: row.route || "",
+				recordedBy: row.recorded_by || "",
+				recordedAt: row.recorded_at || "",
+				waitingSince: row.status_changed_at
+			}))
+		}, 200, svc.corsHeaders(origin));
+	} catch (error) {
+		svc.log.error("study_ethics_risk.reviews.fail", { detail: String(error?.message || error).slice(0, 200) });
+		return errorResponse(svc, origin, error, "study_ethics_reviews_failed", "The ethics review queue could not be read.");
+	}
+}
@@ -0,0 +1,380 @@
+/**
+ * @file src/service/synthesis-mural-export.js
+ * @module service/synthesis-mural-export
+ * @summary Lays out a study's synthesis clusters on a Mural board as an affinity map and keeps it in step on re-export.
+ *
+ * Endpoint:
+ * - POST /api/synthesis/mural-export?sid=<AirtableStudyId>   { muralId? }
+ *
+ * Each cluster becomes a labelled area holding one sticky per evidence note,
+ * and each theme becomes a title above the cluster it came from. Widget ids
+ * are kept in mural_synthesis_widgets, so exporting again renames, moves or
+ * removes what is already on the board instead of adding a second copy.
+ * A widget is only repositioned when its place in the layout has changed
+ * since the last export, so tidying done by hand on the board survives.
+ *
+ * The board is registered in the Mural board registry under the study id
+ * with the synthesis purpose, separate from the project's reflexive journal.
+ */
+
+import {
+	applyTagsToSticky,
+	createArea,
+	createMural,
+	createSticky,
+	createTitle,
+	deleteWidget,
+	ensureTagsBlueberry,
+	getMural,
+	getWidgets,
+	updateArea,
+	updateSticky,
+	updateTitleWidget
+} from "../lib/mural.js";
+import { PURPOSE_SYNTHESIS } from "./internals/mural-board-registry.js";
+import { getValidAccessToken } from "./internals/mural-tokens.js";
+import { probeViewerUrl } from "./internals/mural-viewer.js";
+import { ensureWorkspace, resolveUserOwnedRoomForSetup } from "./internals/mural-workspace.js";
+import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
+import { getStudyContext, listEvidenceForStudy, readStudySynthesis } from "./synthesis.js";
+
+const WIDGETS_TABLE = "mural_synthesis_widgets";
+
+const STICKY_WIDTH = 240;
+const STICKY_HEIGHT = 120;
+const STICKY_GAP = 24;
+const STICKIES_PER_ROW = 3;
+const AREA_PADDING = 40;
+const AREA_HEADER = 80;
+const AREA_WIDTH = AREA_PADDING * 2 + STICKIES_PER_ROW * STICKY_WIDTH + (STICKIES_PER_ROW - 1) * STICKY_GAP;
+const AREAS_PER_ROW = 3;
+const AREA_GAP = 120;
+const THEME_HEIGHT = 64;
+
+function hasD1(svc) { return Boolean(svc?.env?.RESEARCHOPS_D1?.prepare); }
+function nowIso() { return new Date().toISOString(); }
+function text(value) { return String(value ?? "").trim(); }
+function isGone(err) { return [403, 404, 410].includes(Number(err?.status || 0)); }
+
+async function ensureTables(svc) {
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${WIDGETS_TABLE} (mural_id TEXT NOT NULL, study_id TEXT NOT NULL, kind TEXT NOT NULL, entity_key TEXT NOT NULL, widget_id TEXT NOT NULL, cluster_id TEXT, evidence_id TEXT, content TEXT, x REAL, y REAL, width REAL, height REAL, synced_at TEXT NOT NULL, PRIMARY KEY (mural_id, kind, entity_key))`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_mural_synthesis_widgets_study ON ${WIDGETS_TABLE} (study_id, synced_at)`);
+}
+
+function createdWidgetId(js) {
+	const value = js?.value ?? js;
+	const first = Array.isArray(value) ? value[0] : value;
+	return text(first?.id);
+}
+
+function stickyText(evidence, evidenceId) {
+	if (!evidence) return `Evidence ${evidenceId} is no longer available`;
+	const source = text(evidence.sourceLabel);
+	return source ? `${text(evidence.excerpt) || evidenceId}\n\n${source}` : text(evidence.excerpt) || evidenceId;
+}
+
+/**
+ * Where everything goes on the board. Areas flow left to right, three to a
+ * row; a cluster's themes stack above its area; themes whose cluster is gone
+ * sit above the grid.
+ * @param {Array<object>} clusters
+ * @param {Array<object>} themes
+ * @param {Map<string, object>} evidenceById
+ * @returns {Array<{ kind: "cluster" | "evidence" | "theme", key: string, clusterId: string, evidenceId?: string, text: string, x: number, y: number, width: number, height: number }>}
+ */
+export function affinityLayout(clusters, themes, evidenceById) {
+	const items = [];
+	const clusterIds = new Set(clusters.map((cluster) => cluster.id));
+	const themesByCluster = new Map();
+	const looseThemes = [];
+	for (const theme of themes) {
+		if (clusterIds.has(theme.sourceClusterId)) {
+			if (!themesByCluster.has(theme.sourceClusterId)) themesByCluster.set(theme.sourceClusterId, []);
+			themesByCluster.get(theme.sourceClusterId).push(theme);
+		} else {
+			looseThemes.push(theme);
+		}
+	}
+
+	looseThemes.forEach((theme, index) => {
+		items.push({ kind: "theme", key: theme.id, clusterId: "", text: `Theme: ${theme.label}`, x: 0, y: index * THEME_HEIGHT, width: AREA_WIDTH, height: THEME_HEIGHT });
+	});
+
+	let rowY = looseThemes.length ? looseThemes.length * THEME_HEIGHT + AREA_GAP : 0;
+	for (let start = 0; start < clusters.length; start += AREAS_PER_ROW) {
+		const row = clusters.slice(start, start + AREAS_PER_ROW);
+		const themeSpace = Math.max(0, ...row.map((cluster) => (themesByCluster.get(cluster.id) || []).length)) * THEME_HEIGHT;
+		let tallest = 0;
+
+		row.forEach((cluster, column) => {
+			const x = column * (AREA_WIDTH + AREA_GAP);
+			const evidenceIds = cluster.evidenceIds || [];
+			const stickyRows = Math.max(1, Math.ceil(evidenceIds.length / STICKIES_PER_ROW));
+			const height = AREA_HEADER + stickyRows * (STICKY_HEIGHT + STICKY_GAP) - STICKY_GAP + AREA_PADDING;
+			const areaY = rowY + themeSpace;
+			tallest = Math.max(tallest, height);
+
+			(themesByCluster.get(cluster.id) || []).forEach((theme, index) => {
+				items.push({ kind: "theme", key: theme.id, clusterId: cluster.id, text: `Theme: ${theme.label}`, x, y: areaY - (index + 1) * THEME_HEIGHT, width: AREA_WIDTH, height: THEME_HEIGHT });
+			});
+			items.push({ kind: "cluster", key: cluster.id, clusterId: cluster.id, text: cluster.label, x, y: areaY, width: AREA_WIDTH, height });
+			evidenceIds.forEach((evidenceId, index) => {
+				items.push({
+					kind: "evidence",
+					key: `${cluster.id}:${evidenceId}`,
+					clusterId: cluster.id,
+					evidenceId,
+					text: stickyText(evidenceById.get(evidenceId), evidenceId),
+					x: x + AREA_PADDING + (index % STICKIES_PER_ROW) * (STICKY_WIDTH + STICKY_GAP),
+					y: areaY + AREA_HEADER + Math.floor(index / STICKIES_PER_ROW) * (STICKY_HEIGHT + STICKY_GAP),
+					width: STICKY_WIDTH,
+					height: STICKY_HEIGHT
+				});
+			});
+		});
+
+		rowY += themeSpace + tallest + AREA_GAP;
+	}
+
+	return items;
+}
+
+function slotChanged(row, item) {
+	return Number(row.x) !== item.x || Number(row.y) !== item.y || Number(row.width) !== item.width || Number(row.height) !== item.height;
+}
+
+async function createWidget(svc, token, muralId, item) {
+	if (item.kind === "cluster") return createdWidgetId(await createArea(svc.env, token, muralId, { title: item.text, x: item.x, y: item.y, width: item.width, height: item.height }));
+	if (item.kind === "theme") return createdWidgetId(await createTitle(svc.env, token, muralId, { text: item.text, x: item.x, y: item.y, width: item.width }));
+	return createdWidgetId(await createSticky(svc.env, token, muralId, { text: item.text, x: item.x, y: item.y, width: item.width, height: item.height }));
+}
+
+async function updateWidget(svc, token, muralId, widgetId, item, { retitle, move }) {
+	const geometry = move ? { x: item.x, y: item.y, width: item.width, height: item.height } : {};
+	if (item.kind === "cluster") {
+		await updateArea(svc.env, token, muralId, widgetId, { ...(retitle ? { title: item.text } : {}), ...geometry });
+	} else if (item.kind === "theme") {
+		if (retitle) await updateTitleWidget(svc.env, token, muralId, widgetId, item.text);
+		if (move) await updateSticky(svc.env, token, muralId, widgetId, { x: item.x, y: item.y });
+	} else {
+		await updateSticky(svc.env, token, muralId, widgetId, { ...(retitle ? { text: item.text } : {}), ...geometry });
+	}
+}
+
+async function saveMapping(svc, muralId, studyId, item, widgetId) {
+	await d1Run(svc.env, `INSERT INTO ${WIDGETS_TABLE} (mural_id, study_id, kind, entity_key, widget_id, cluster_id, evidence_id, content, x, y, width, height, synced_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+		ON CONFLICT(mural_id, kind, entity_key) DO UPDATE SET widget_id = excluded.widget_id, cluster_id = excluded.cluster_id, evidence_id = excluded.evidence_id, content = excluded.content, x = excluded.x, y = excluded.y, width = excluded.width, height = excluded.height, synced_at = excluded.synced_at`, [
+		muralId, studyId, item.kind, item.key, widgetId, item.clusterId || null, item.evidenceId || null, item.text, item.x, item.y, item.width, item.height, nowIso()
+	]);
+}
+
+async function dropMapping(svc, muralId, row) {
+	await d1Run(svc.env, `DELETE FROM ${WIDGETS_TABLE} WHERE mural_id = ? AND kind = ? AND entity_key = ?`, [muralId, row.kind, row.entity_key]);
+}
+
+/**
+ * Bring the board in line with the layout. Evidence that moved to another
+ * cluster keeps its sticky, which is moved and re-tagged rather than
+ * replaced. Widgets deleted by hand on the board are created again.
+ */
+async function syncBoard(svc, token, muralId, studyId, layout, clusterLabels) {
+	const onBoard = new Set((await getWidgets(svc.env, token, muralId)).map((widget) => String(widget?.id || "")));
+	const rows = await d1All(svc.env, `SELECT * FROM ${WIDGETS_TABLE} WHERE mural_id = ? AND study_id = ?`, [muralId, studyId]);
+	const byKey = new Map(rows.map((row) => [`${row.kind}:${row.entity_key}`, row]));
+	const wanted = new Set(layout.map((item) => `${item.kind}:${item.key}`));
+	const claimed = new Set();
+	const tagIds = new Map();
+	const counts = { created: 0, updated: 0, moved: 0, unchanged: 0, removed: 0 };
+
+	async function tagSticky(widgetId, clusterId) {
+		const label = text(clusterLabels.get(clusterId)).slice(0, 25);
+		if (!label) return;
+		if (!tagIds.has(label)) tagIds.set(label, (await ensureTagsBlueberry(svc.env, token, muralId, [label]))[0] || "");
+		if (tagIds.get(label)) await applyTagsToSticky(svc.env, token, muralId, widgetId, [tagIds.get(label)]);
+	}
+
+	for (const item of layout) {
+		let row = byKey.get(`${item.kind}:${item.key}`) || null;
+		if (!row && item.kind === "evidence") {
+			row = rows.find((candidate) => candidate.kind === "evidence" &&
+				candidate.evidence_id === item.evidenceId &&
+				!wanted.has(`evidence:${candidate.entity_key}`) &&
+				!claimed.has(`evidence:${candidate.entity_key}`)) || null;
+		}
+		if (row) claimed.add(`${row.kind}:${row.entity_key}`);
+
+		const rekeyed = Boolean(row && row.entity_key !== item.key);
+		let widgetId = row && onBoard.has(String(row.widget_id)) ? String(row.widget_id) : "";
+
+		if (widgetId) {
+			const retitle = row.content !== item.text;
+			const move = rekeyed || slotChanged(row, item);
+			try {
+				if (retitle || move) await updateWidget(svc, token, muralId, widgetId, item, { retitle, move });
+				if (move) counts.moved += 1;
+				else if (retitle) counts.updated += 1;
+				else counts.unchanged += 1;
+			} catch (err) {
+				if (Number(err?.status || 0) !== 404) throw err;
+				widgetId = "";
+			}
+		}
+
+		if (!widgetId) {
+			widgetId = await createWidget(svc, token, muralId, item);
+			if (!widgetId) throw new Error(`Mural did not return an id for the new ${item.kind} widget`);
+			counts.created += 1;
+		}
+		if (item.kind === "evidence" && (rekeyed || !row || row.widget_id !== widgetId)) await tagSticky(widgetId, item.clusterId);
+
+		if (rekeyed) await dropMapping(svc, muralId, row);
+		await saveMapping(svc, muralId, studyId, item, widgetId);
+	}
+
+	for (const row of rows) {
+		if (claimed.has(`${row.kind}:${row.entity_key}`)) continue;
+		if (onBoard.has(String(row.widget_id))) await deleteWidget(svc.env, token, muralId, row.widget_id);
+		await dropMapping(svc, muralId, row);
+		counts.removed += 1;
+	}
+
+	return counts;
+}
+
+/**
+ * The board a study's synthesis was last exported to, if any.
+ * @returns {Promise<string|null>}
+ */
+export async function lastExportedMuralId(svc, studyId) {
+	if (!hasD1(svc)) return null;
+	await ensureTables(svc);
+	const row = await d1Get(svc.env, `SELECT mural_id FROM ${WIDGETS_TABLE} WHERE study_id = ? ORDER BY synced_at DESC LIMIT 1`, [studyId]);
+	return row?.mural_id || null;
+}
+
+/**
+ * Ids of every widget the export has put on a board.
+ * @returns {Promise<Set<string>>}
+ */
+export async function listExportedWidgetIds(svc, muralId) {
+	if (!hasD1(svc)) return new Set();
+	await ensureTables(svc);
+	const rows = await d1All(svc.env, `SELECT widget_id FROM ${WIDGETS_TABLE} WHERE mural_id = ?`, [muralId]);
+	return new Set(rows.map(row => String(row.widget_id)));
+}
+
+/**
+ * Find the study's affinity map board: an explicit id, the board last
+ * exported to, the registry, or a new board in the user's own room.
+ */
+async function resolveExportBoard(svc, { uid, studyId, study, token, explicitMuralId }) {
+	const usable = async (muralId) => {
+		try {
+			await getMural(svc.env, token, muralId);
+			return true;
+		} catch (err) {
+			if (isGone(err)) return false;
+			throw err;
+		}
+	};
+
+	if (explicitMuralId) {
+		if (!await usable(explicitMuralId)) return null;
+		return { muralId: explicitMuralId, boardUrl: null, source: "explicit", created: false, register: true };
+	}
+
+	const lastMuralId = await lastExportedMuralId(svc, studyId);
+	if (lastMuralId && await usable(lastMuralId)) return { muralId: lastMuralId, boardUrl: null, source: "d1", created: false, register: false };
+
+	const resolved = await svc.mural.resolveBoard({ projectId: studyId, uid, purpose: PURPOSE_SYNTHESIS });
+	if (resolved?.muralId && await usable(resolved.muralId)) {
+		return { muralId: resolved.muralId, boardUrl: resolved.boardUrl || null, source: resolved.source || "registry", created: false, register: false };
+	}
+
+	const workspace = await ensureWorkspace(svc, token);
+	const room = await resolveUserOwnedRoomForSetup(svc.env, token, workspace.id);
+	const roomId = room?.id || room?.value?.id;
+	if (!roomId) throw Object.assign(new Error("user_room_not_found"), { status: 502 });
+
+	const mural = await createMural(svc.env, token, { title: `Affinity map: ${study.title || studyId}`, roomId });
+	const muralId = mural?.id || mural?.value?.id;
+	if (!muralId) throw Object.assign(new Error("mural_id_unavailable"), { status: 502 });
+	const boardUrl = await probeViewerUrl(svc.env, token, muralId).catch(() => null);
+	return { muralId, boardUrl, workspaceId: workspace.id || null, source: "created", created: true, register: true };
+}
+
+/**
+ * POST /api/synthesis/mural-export?sid=
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {Request} request
+ * @param {string} origin
+ * @param {URL} url
+ * @param {{ user?: { id?: string } }} authContext
+ */
+export async function exportSynthesisToMural(svc, request, origin, url, authContext) {
+	const cors = svc.corsHeaders(origin);
+	const studyId = text(url.searchParams.get("sid") || url.searchParams.get("study"));
+	if (!studyId) return svc.json({ ok: false, error: "Missing sid query" }, 400, cors);
+	if (!hasD1(svc)) return svc.json({ ok: false, error: "RESEARCHOPS_D1 binding is not configured" }, 503, cors);
+
+	const uid = text(authContext?.user?.id);
+	if (!uid) return svc.json({ ok: false, error: "not_authenticated" }, 401, cors);
+
+	const body = await request.json().catch(() => ({}));
+	let step = "load_tokens";
+	try {
+		const tokenRes = await getValidAccessToken(svc.mural, uid);
+		if (!tokenRes.ok) return svc.json({ ok: false, error: tokenRes.reason || "not_authenticated" }, tokenRes.reason === "not_authenticated" ? 401 : 502, cors);
+		const token = tokenRes.token;
+
+		step = "load_synthesis";
+		await ensureTables(svc);
+		const [study, synthesis, evidence] = await Promise.all([
+			getStudyContext(svc, studyId),
+			readStudySynthesis(svc, studyId),
+			listEvidenceForStudy(svc, studyId)
+		]);
+		if (!synthesis.clusters.length) return svc.json({ ok: false, error: "no_clusters", message: "Create a working cluster grouping before exporting to Mural." }, 409, cors);
+
+		step = "resolve_board";
+		const board = await resolveExportBoard(svc, { uid, studyId, study, token, explicitMuralId: text(body?.muralId) });
+		if (!board) return svc.json({ ok: false, error: "mural_board_not_found" }, 404, cors);
+		if (board.register) {
+			await svc.mural.registerBoard({
+				projectId: studyId,
+				uid,
+				purpose: PURPOSE_SYNTHESIS,
+				muralId: board.muralId,
+				boardUrl: board.boardUrl || undefined,
+				workspaceId: board.workspaceId || null,
+				primary: true
+			}).catch((err) => svc.log.warn("synthesis.mural_export.register_fail", { studyId, muralId: board.muralId, detail: String(err?.message || err) }));
+		}
+
+		step = "sync_widgets";
+		const layout = affinityLayout(synthesis.clusters, synthesis.themes, new Map(evidence.map((item) => [item.id, item])));
+		const clusterLabels = new Map(synthesis.clusters.map((cluster) => [cluster.id, cluster.label]));
+		const counts = await syncBoard(svc, token, board.muralId, studyId, layout, clusterLabels);
+
+		return svc.json({
+			ok: true,
+			muralId: board.muralId,
+			boardUrl: board.boardUrl,
+			boardSource: board.source,
+			boardCreated: board.created,
+			clusters: synthesis.clusters.length,
+			themes: synthesis.themes.length,
+			stickies: layout.filter((item) => item.kind === "evidence").length,
+			...counts
+		}, 200, cors);
+	} catch (err) {
+		const status = Number(err?.status || 0);
+		svc.log.error("synthesis.mural_export.fail", { studyId, step, status, detail: String(err?.message || err) });
+		return svc.json({
+			ok: false,
+			error: "mural_export_failed",
+			step,
+			detail: String(err?.message || err)
+		}, status === 401 ? 401 : 502, cors);
+	}
+}
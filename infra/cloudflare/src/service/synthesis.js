@@ -1,21 +1,48 @@
 /**
  * @file synthesis.js
  * @module service/synthesis
- * @summary Study-scoped synthesis endpoints backed by Airtable evidence and Worker KV synthesis state.
+ * @summary Study-scoped synthesis endpoints backed by Airtable evidence and D1 synthesis state.
  *
  * Endpoints:
  * - GET    /api/synthesis/evidence?sid=<AirtableStudyId>
  * - GET    /api/synthesis?sid=<AirtableStudyId>
  * - POST   /api/synthesis/clusters?sid=<AirtableStudyId>
- * - PATCH  /api/synthesis/clusters/:id?sid=<AirtableStudyId>
- * - DELETE /api/synthesis/clusters/:id?sid=<AirtableStudyId>
+ * - PATCH  /api/synthesis/clusters/:id?sid=<AirtableStudyId>          honours If-Match
+ * - DELETE /api/synthesis/clusters/:id?sid=<AirtableStudyId>          honours If-Match
+ * - GET    /api/synthesis/clusters/:id/history?sid=<AirtableStudyId>
+ * - POST   /api/synthesis/clusters/:id/revert?sid=<AirtableStudyId>   { version }
  * - POST   /api/synthesis/themes?sid=<AirtableStudyId>
+ * - POST   /api/synthesis/import[?sid=<AirtableStudyId>]              copy legacy KV state into D1
+ *
+ * Each cluster is its own row with a version number that goes up on every
+ * change. Responses carry the version as an ETag; a PATCH or DELETE whose
+ * If-Match no longer matches gets 412 with the current cluster instead of
+ * overwriting someone else's edit. Every write also appends a snapshot to
+ * rops_synthesis_history, in the same batch, so a cluster can be replayed or
+ * reverted.
+ *
+ * Evidence is mostly session notes read from Airtable. Evidence brought in
+ * from elsewhere, such as stickies imported from a Mural board, is kept in
+ * rops_synthesis_evidence with a pointer back to where it came from, and is
+ * listed alongside the notes.
+ *
+ * Synthesis used to live in one KV document per study. A study's document is
+ * imported the first time the study is read, and rops_synthesis_imports
+ * records that so it is never imported twice. The KV document is left in place.
  */
 
 import {
 	fetchWithTimeout,
 	safeText
 } from "../core/utils.js";
+import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
+
+const CLUSTERS_TABLE = "rops_synthesis_clusters";
+const THEMES_TABLE = "rops_synthesis_themes";
+const HISTORY_TABLE = "rops_synthesis_history";
+const IMPORTS_TABLE = "rops_synthesis_imports";
+const EVIDENCE_TABLE = "rops_synthesis_evidence";
+const KV_PREFIX = "rops:synthesis:study:";
 
 const STUDY_FIELDS = {
 	project_link: ["Project", "Projects"],
@@ -87,7 +114,7 @@ function slugKey(value) {
 }
 
 function synthesisKey(studyId) {
-	return `rops:synthesis:study:${slugKey(studyId)}:state`;
+	return `${KV_PREFIX}${slugKey(studyId)}:state`;
 }
 
 function newId(prefix) {
@@ -153,7 +180,7 @@ async function fetchAirtableRecord(svc, tableName, recordId) {
 	try { return JSON.parse(text); } catch { return null; }
 }
 
-async function getStudyContext(svc, studyId) {
+export async function getStudyContext(svc, studyId) {
 	const fallback = {
 		id: studyId,
 		studyId: "",
@@ -264,7 +291,7 @@ function noteToEvidence(note, studyId) {
 	};
 }
 
-async function listEvidenceForStudy(svc, studyId) {
+async function listSessionNoteEvidence(svc, studyId) {
 	if (!hasAirtable(svc) || !svc.env.AIRTABLE_TABLE_SESSION_NOTES) return [];
 
 	const studySessionIds = await listSessionIdsForStudy(svc, studyId);
@@ -272,24 +299,186 @@ async function listEvidenceForStudy(svc, studyId) {
 
 	return notes
 		.filter(note => noteBelongsToStudy(note, studyId, studySessionIds))
-		.map(note => noteToEvidence(note, studyId))
-		.sort((a, b) => String(a.startedAt || a.createdAt).localeCompare(String(b.startedAt || b.createdAt)));
+		.map(note => noteToEvidence(note, studyId));
 }
 
-function emptySynthesisState() {
+function importedEvidenceFromRow(row) {
+	const content = String(row.content || "");
 	return {
-		clusters: [],
-		themes: []
+		id: row.id,
+		studyId: row.study_id,
+		sessionId: "",
+		participantId: "",
+		excerpt: truncate(content),
+		contentPlain: content,
+		tags: parseEvidenceIds(row.tags_json),
+		codeIds: parseEvidenceIds(row.code_ids_json),
+		category: "",
+		framework: "",
+		author: row.created_by || "",
+		createdAt: row.created_at,
+		startedAt: row.created_at,
+		endedAt: "",
+		sourceType: row.source_type,
+		source: parseSource(row.source_json),
+		sourceLabel: row.source_label || "Imported evidence"
 	};
 }
 
-async function readSynthesisState(svc, studyId) {
-	if (!svc.env.SESSION_KV || typeof svc.env.SESSION_KV.get !== "function") {
-		throw new Error("SESSION_KV binding is not configured");
+function parseSource(raw) {
+	try {
+		const value = JSON.parse(raw || "{}");
+		return value && typeof value === "object" ? value : {};
+	} catch {
+		return {};
 	}
+}
+
+async function listImportedEvidence(svc, studyId) {
+	if (!hasD1(svc)) return [];
+	await ensureTables(svc);
+	const rows = await d1All(svc.env, `SELECT * FROM ${EVIDENCE_TABLE} WHERE study_id = ? ORDER BY created_at, id`, [studyId]);
+	return rows.map(importedEvidenceFromRow);
+}
+
+/**
+ * Session notes plus imported evidence for a study, oldest first.
+ */
+export async function listEvidenceForStudy(svc, studyId) {
+	const [notes, imported] = await Promise.all([
+		listSessionNoteEvidence(svc, studyId),
+		listImportedEvidence(svc, studyId)
+	]);
+	return [...notes, ...imported]
+		.sort((a, b) => String(a.startedAt || a.createdAt).localeCompare(String(b.startedAt || b.createdAt)));
+}
+
+/**
+ * Store a piece of evidence that did not come from a session note.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {{ studyId: string, projectId?: string, content: string, tags?: string[], codeIds?: string[], sourceType: string, sourceLabel?: string, source?: object }} item
+ * @param {string} [actor]
+ */
+export async function createImportedEvidence(svc, item, actor = "") {
+	await ensureTables(svc);
+	const row = {
+		id: newId("evidence"),
+		study_id: item.studyId,
+		project_id: item.projectId || null,
+		content: String(item.content || "").trim(),
+		tags_json: JSON.stringify(item.tags || []),
+		code_ids_json: JSON.stringify(item.codeIds || []),
+		source_type: item.sourceType,
+		source_label: item.sourceLabel || "",
+		source_json: JSON.stringify(item.source || {}),
+		created_at: nowIso(),
+		created_by: actor || null
+	};
+	await d1Run(svc.env, `INSERT INTO ${EVIDENCE_TABLE} (id, study_id, project_id, content, tags_json, code_ids_json, source_type, source_label, source_json, created_at, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, Object.values(row));
+	return importedEvidenceFromRow(row);
+}
+
+function hasD1(svc) {
+	return Boolean(svc?.env?.RESEARCHOPS_D1?.prepare);
+}
+
+function httpError(message, status) {
+	const error = new Error(message);
+	error.status = status;
+	return error;
+}
+
+async function ensureTables(svc) {
+	if (!hasD1(svc)) throw httpError("RESEARCHOPS_D1 binding is not configured", 503);
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${CLUSTERS_TABLE} (id TEXT PRIMARY KEY, study_id TEXT NOT NULL, project_id TEXT, label TEXT NOT NULL, description TEXT, evidence_ids_json TEXT NOT NULL DEFAULT '[]', status TEXT NOT NULL DEFAULT 'working', version INTEGER NOT NULL DEFAULT 1, created_at TEXT NOT NULL, updated_at TEXT NOT NULL, updated_by TEXT, deleted_at TEXT)`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_synthesis_clusters_study ON ${CLUSTERS_TABLE} (study_id, deleted_at, created_at)`);
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${THEMES_TABLE} (id TEXT PRIMARY KEY, study_id TEXT NOT NULL, project_id TEXT, label TEXT NOT NULL, description TEXT, evidence_ids_json TEXT NOT NULL DEFAULT '[]', source_cluster_id TEXT, status TEXT NOT NULL DEFAULT 'created', created_at TEXT NOT NULL, updated_at TEXT NOT NULL, created_by TEXT)`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_synthesis_themes_study ON ${THEMES_TABLE} (study_id, created_at)`);
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${HISTORY_TABLE} (id TEXT PRIMARY KEY, entity_type TEXT NOT NULL, entity_id TEXT NOT NULL, study_id TEXT NOT NULL, version INTEGER NOT NULL, action TEXT NOT NULL, source_version INTEGER, snapshot_json TEXT NOT NULL, actor TEXT, created_at TEXT NOT NULL, UNIQUE (entity_type, entity_id, version))`);
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${IMPORTS_TABLE} (study_id TEXT PRIMARY KEY, imported_at TEXT NOT NULL, clusters INTEGER NOT NULL DEFAULT 0, themes INTEGER NOT NULL DEFAULT 0)`);
+	await d1Run(svc.env, `CREATE TABLE IF NOT EXISTS ${EVIDENCE_TABLE} (id TEXT PRIMARY KEY, study_id TEXT NOT NULL, project_id TEXT, content TEXT NOT NULL, tags_json TEXT NOT NULL DEFAULT '[]', code_ids_json TEXT NOT NULL DEFAULT '[]', source_type TEXT NOT NULL, source_label TEXT, source_json TEXT NOT NULL DEFAULT '{}', created_at TEXT NOT NULL, created_by TEXT)`);
+	await d1Run(svc.env, `CREATE INDEX IF NOT EXISTS idx_rops_synthesis_evidence_study ON ${EVIDENCE_TABLE} (study_id, created_at)`);
+}
+
+function parseEvidenceIds(raw) {
+	try {
+		const value = JSON.parse(raw || "[]");
+		return Array.isArray(value) ? value.map(String) : [];
+	} catch {
+		return [];
+	}
+}
+
+function clusterFromRow(row) {
+	return {
+		id: row.id,
+		projectId: row.project_id || "",
+		studyId: row.study_id,
+		label: row.label,
+		description: row.description || "",
+		evidenceIds: parseEvidenceIds(row.evidence_ids_json),
+		status: row.status || "working",
+		version: Number(row.version || 1),
+		createdAt: row.created_at,
+		updatedAt: row.updated_at,
+		updatedBy: row.updated_by || "",
+		deletedAt: row.deleted_at || ""
+	};
+}
 
+function themeFromRow(row) {
+	return {
+		id: row.id,
+		projectId: row.project_id || "",
+		studyId: row.study_id,
+		label: row.label,
+		description: row.description || "",
+		evidenceIds: parseEvidenceIds(row.evidence_ids_json),
+		sourceClusterId: row.source_cluster_id || "",
+		status: row.status || "created",
+		createdAt: row.created_at,
+		updatedAt: row.updated_at
+	};
+}
+
+function actorOf(authContext) {
+	return String(authContext?.user?.email || authContext?.user?.id || "");
+}
+
+async function getCluster(svc, studyId, clusterId, { includeDeleted = false } = {}) {
+	const row = await d1Get(svc.env, `SELECT * FROM ${CLUSTERS_TABLE} WHERE id = ? AND study_id = ?${includeDeleted ? "" : " AND deleted_at IS NULL"}`, [clusterId, studyId]);
+	return row ? clusterFromRow(row) : null;
+}
+
+/**
+ * Run `sql` and record `snapshot` in the history in one batch. The history row
+ * is only written when `sql` changed a row, so a write and its history are
+ * saved together or not at all, and a failure of either is thrown.
+ * @returns {Promise<boolean>} Whether `sql` changed a row.
+ */
+async function writeWithHistory(svc, sql, params, { entityType, snapshot, action, actor, sourceVersion = null }) {
+	const db = svc.env.RESEARCHOPS_D1;
+	const [result] = await db.batch([
+		db.prepare(sql).bind(...params),
+		db.prepare(`INSERT INTO ${HISTORY_TABLE} (id, entity_type, entity_id, study_id, version, action, source_version, snapshot_json, actor, created_at) SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ? WHERE changes() > 0`).bind(
+			newId("synhist"),
+			entityType,
+			snapshot.id,
+			snapshot.studyId,
+			snapshot.version || 1,
+			action,
+			sourceVersion,
+			JSON.stringify(snapshot),
+			actor,
+			nowIso()
+		)
+	]);
+	return Number(result?.meta?.changes) > 0;
+}
+
+async function readLegacyState(svc, studyId) {
 	const raw = await svc.env.SESSION_KV.get(synthesisKey(studyId));
-	if (!raw) return emptySynthesisState();
+	if (!raw) return { clusters: [], themes: [] };
 
 	try {
 		const parsed = JSON.parse(raw);
@@ -298,20 +487,135 @@ async function readSynthesisState(svc, studyId) {
 			themes: Array.isArray(parsed.themes) ? parsed.themes : []
 		};
 	} catch {
-		return emptySynthesisState();
+		svc.log.warn("synthesis.import.parse_fail", { studyId });
+		return { clusters: [], themes: [] };
+	}
+}
+
+async function importLegacyState(svc, studyId) {
+	const state = await readLegacyState(svc, studyId);
+	const importedAt = nowIso();
+	let clusters = 0;
+	let themes = 0;
+
+	for (const item of state.clusters) {
+		if (!item?.id || !String(item.label || "").trim()) continue;
+		const cluster = {
+			id: String(item.id),
+			projectId: String(item.projectId || ""),
+			studyId,
+			label: String(item.label).trim(),
+			description: String(item.description || ""),
+			evidenceIds: Array.isArray(item.evidenceIds) ? item.evidenceIds.map(String) : [],
+			status: String(item.status || "working"),
+			version: 1,
+			createdAt: item.createdAt || importedAt,
+			updatedAt: item.updatedAt || item.createdAt || importedAt,
+			updatedBy: "",
+			deletedAt: ""
+		};
+		const imported = await writeWithHistory(svc, `INSERT OR IGNORE INTO ${CLUSTERS_TABLE} (id, study_id, project_id, label, description, evidence_ids_json, status, version, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, ?)`, [
+			cluster.id, studyId, cluster.projectId, cluster.label, cluster.description, JSON.stringify(cluster.evidenceIds), cluster.status, cluster.createdAt, cluster.updatedAt
+		], { entityType: "cluster", snapshot: cluster, action: "import", actor: "" });
+		if (imported) clusters += 1;
 	}
+
+	for (const item of state.themes) {
+		if (!item?.id || !String(item.label || "").trim()) continue;
+		const theme = {
+			id: String(item.id),
+			projectId: String(item.projectId || ""),
+			studyId,
+			label: String(item.label).trim(),
+			description: String(item.description || ""),
+			evidenceIds: Array.isArray(item.evidenceIds) ? item.evidenceIds.map(String) : [],
+			sourceClusterId: String(item.sourceClusterId || ""),
+			status: String(item.status || "created"),
+			createdAt: item.createdAt || importedAt,
+			updatedAt: item.updatedAt || item.createdAt || importedAt
+		};
+		const imported = await writeWithHistory(svc, `INSERT OR IGNORE INTO ${THEMES_TABLE} (id, study_id, project_id, label, description, evidence_ids_json, source_cluster_id, status, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, [
+			theme.id, studyId, theme.projectId, theme.label, theme.description, JSON.stringify(theme.evidenceIds), theme.sourceClusterId, theme.status, theme.createdAt, theme.updatedAt
+		], { entityType: "theme", snapshot: { ...theme, version: 1 }, action: "import", actor: "" });
+		if (imported) themes += 1;
+	}
+
+	await d1Run(svc.env, `INSERT OR IGNORE INTO ${IMPORTS_TABLE} (study_id, imported_at, clusters, themes) VALUES (?, ?, ?, ?)`, [studyId, importedAt, clusters, themes]);
+	if (clusters || themes) svc.log.info("synthesis.import.done", { studyId, clusters, themes });
+	return { studyId, clusters, themes };
+}
+
+/**
+ * Copy a study's legacy KV document into D1 unless that has already happened.
+ * Without a SESSION_KV binding there is nothing to import, and the study is
+ * left unmarked so a later deploy with the binding can still import it.
+ * @returns {Promise<{ studyId: string, clusters: number, themes: number } | null>} null when nothing ran
+ */
+async function ensureStudyImported(svc, studyId) {
+	await ensureTables(svc);
+	if (!svc.env.SESSION_KV || typeof svc.env.SESSION_KV.get !== "function") return null;
+
+	const done = await d1Get(svc.env, `SELECT study_id FROM ${IMPORTS_TABLE} WHERE study_id = ?`, [studyId]);
+	if (done) return null;
+	return importLegacyState(svc, studyId);
+}
+
+function etag(version) {
+	return `"${Number(version || 1)}"`;
 }
 
-async function writeSynthesisState(svc, studyId, state) {
-	if (!svc.env.SESSION_KV || typeof svc.env.SESSION_KV.put !== "function") {
-		throw new Error("SESSION_KV binding is not configured");
+function clusterHeaders(svc, origin, cluster) {
+	return { ...svc.corsHeaders(origin), "ETag": etag(cluster.version) };
+}
+
+/**
+ * The version the client last saw: If-Match first (weak or strong form), then
+ * a `version` in the body. `null` means the client did not say, so the write
+ * applies to whatever is current.
+ */
+function expectedVersion(request, bodyVersion) {
+	const header = String(request?.headers?.get("If-Match") || "").trim();
+	if (header && header !== "*") {
+		const match = header.match(/^(?:W\/)?"?(\d+)"?$/);
+		return match ? Number(match[1]) : NaN;
 	}
+	const version = Number(bodyVersion);
+	return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+function conflictResponse(svc, origin, cluster) {
+	return svc.json({
+		ok: false,
+		error: "synthesis_conflict",
+		message: "Someone else changed this cluster. Review the latest version and try again.",
+		cluster
+	}, 412, clusterHeaders(svc, origin, cluster));
+}
 
-	await svc.env.SESSION_KV.put(synthesisKey(studyId), JSON.stringify({
-		clusters: Array.isArray(state.clusters) ? state.clusters : [],
-		themes: Array.isArray(state.themes) ? state.themes : [],
-		updatedAt: nowIso()
-	}));
+function clusterNotFound(svc, origin) {
+	return svc.json({ ok: false, error: "Cluster not found" }, 404, svc.corsHeaders(origin));
+}
+
+/**
+ * Apply a new state to a cluster only if it is still at the version `current` was read at.
+ * @returns {Promise<object|null>} the stored cluster, or null when another write got there first
+ */
+async function writeCluster(svc, current, next, actor, action, sourceVersion = null) {
+	const updatedAt = nowIso();
+	const cluster = { ...current, ...next, version: current.version + 1, updatedAt, updatedBy: actor };
+	const written = await writeWithHistory(svc, `UPDATE ${CLUSTERS_TABLE} SET label = ?, description = ?, evidence_ids_json = ?, status = ?, deleted_at = ?, version = version + 1, updated_at = ?, updated_by = ? WHERE id = ? AND study_id = ? AND version = ?`, [
+		next.label,
+		next.description,
+		JSON.stringify(next.evidenceIds),
+		next.status,
+		next.deletedAt || null,
+		updatedAt,
+		actor,
+		current.id,
+		current.studyId,
+		current.version
+	], { entityType: "cluster", snapshot: cluster, action, actor, sourceVersion });
+	return written ? cluster : null;
 }
 
 function requireStudyId(url) {
@@ -376,6 +680,74 @@ export async function listSynthesisEvidence(svc, origin, url) {
 	}
 }
 
+/**
+ * A study's current clusters and themes, oldest first.
+ * @returns {Promise<{ clusters: object[], themes: object[] }>}
+ */
+export async function readStudySynthesis(svc, studyId) {
+	await ensureStudyImported(svc, studyId);
+	const [clusterRows, themeRows] = await Promise.all([
+		d1All(svc.env, `SELECT * FROM ${CLUSTERS_TABLE} WHERE study_id = ? AND deleted_at IS NULL ORDER BY created_at, id`, [studyId]),
+		d1All(svc.env, `SELECT * FROM ${THEMES_TABLE} WHERE study_id = ? ORDER BY created_at, id`, [studyId])
+	]);
+	return { clusters: clusterRows.map(clusterFromRow), themes: themeRows.map(themeFromRow) };
+}
+
+/**
+ * Take evidence out of a study's clusters, themes and cluster history after a
+ * participant withdraws consent. Each changed cluster gets a new version
+ * recorded as "consent_withdrawn", and older snapshots lose the evidence too
+ * so a revert cannot bring it back.
+ * @param {import("./index.js").ResearchOpsService} svc
+ * @param {string} studyId
+ * @param {string[]} evidenceIds
+ * @param {string} [actor]
+ * @returns {Promise<Array<{ type: "cluster"|"theme", id: string, label: string, evidenceIds: string[] }>>}
+ */
+export async function removeEvidenceFromSynthesis(svc, studyId, evidenceIds, actor = "") {
+	const withdrawn = new Set((evidenceIds || []).map(String));
+	if (!withdrawn.size) return [];
+	await ensureTables(svc);
+	const changes = [];
+
+	const clusterRows = await d1All(svc.env, `SELECT * FROM ${CLUSTERS_TABLE} WHERE study_id = ? ORDER BY created_at, id`, [studyId]);
+	for (const current of clusterRows.map(clusterFromRow)) {
+		const removed = current.evidenceIds.filter(id => withdrawn.has(id));
+		if (!removed.length) continue;
+		const cluster = await writeCluster(svc, current, { ...current, evidenceIds: current.evidenceIds.filter(id => !withdrawn.has(id)) }, actor, "consent_withdrawn");
+		if (!cluster) throw httpError(`Cluster ${current.id} changed while withdrawn evidence was being removed`, 409);
+		changes.push({ type: "cluster", id: cluster.id, label: cluster.label, evidenceIds: removed });
+	}
+
+	const themeRows = await d1All(svc.env, `SELECT * FROM ${THEMES_TABLE} WHERE study_id = ? ORDER BY created_at, id`, [studyId]);
+	for (const theme of themeRows.map(themeFromRow)) {
+		const removed = theme.evidenceIds.filter(id => withdrawn.has(id));
+		if (!removed.length) continue;
+		await d1Run(svc.env, `UPDATE ${THEMES_TABLE} SET evidence_ids_json = ?, updated_at = ? WHERE id = ? AND study_id = ?`, [
+			JSON.stringify(theme.evidenceIds.filter(id => !withdrawn.has(id))),
+			nowIso(),
+			theme.id,
+			studyId
+		]);
+		changes.push({ type: "theme", id: theme.id, label: theme.label, evidenceIds: removed });
+	}
+
+	const historyRows = await d1All(svc.env, `SELECT id, snapshot_json FROM ${HISTORY_TABLE} WHERE study_id = ?`, [studyId]);
+	for (const row of historyRows) {
+		let snapshot;
+		try {
+			snapshot = JSON.parse(row.snapshot_json || "{}");
+		} catch {
+			continue;
+		}
+		if (!Array.isArray(snapshot?.evidenceIds) || !snapshot.evidenceIds.some(id => withdrawn.has(String(id)))) continue;
+		snapshot.evidenceIds = snapshot.evidenceIds.filter(id => !withdrawn.has(String(id)));
+		await d1Run(svc.env, `UPDATE ${HISTORY_TABLE} SET snapshot_json = ? WHERE id = ?`, [JSON.stringify(snapshot), row.id]);
+	}
+
+	return changes;
+}
+
 export async function listSynthesis(svc, origin, url) {
 	const studyId = requireStudyId(url);
 	if (!studyId) return svc.json({ ok: false, error: "Missing sid query" }, 400, svc.corsHeaders(origin));
@@ -383,7 +755,7 @@ export async function listSynthesis(svc, origin, url) {
 	try {
 		const [study, state] = await Promise.all([
 			getStudyContext(svc, studyId),
-			readSynthesisState(svc, studyId)
+			readStudySynthesis(svc, studyId)
 		]);
 
 		return svc.json({ ok: true, study, ...state }, 200, svc.corsHeaders(origin));
@@ -392,7 +764,7 @@ export async function listSynthesis(svc, origin, url) {
 	}
 }
 
-export async function createSynthesisCluster(svc, request, origin, url) {
+export async function createSynthesisCluster(svc, request, origin, url, authContext = null) {
 	const studyId = requireStudyId(url);
 	if (!studyId) return svc.json({ ok: false, error: "Missing sid query" }, 400, svc.corsHeaders(origin));
 
@@ -404,11 +776,10 @@ export async function createSynthesisCluster(svc, request, origin, url) {
 		const validation = await validateEvidenceIds(svc, origin, studyId, payload.evidenceIds || []);
 		if (!validation.ok) return validation.response;
 
-		const [study, state] = await Promise.all([
-			getStudyContext(svc, studyId),
-			readSynthesisState(svc, studyId)
-		]);
+		await ensureStudyImported(svc, studyId);
+		const study = await getStudyContext(svc, studyId);
 		const createdAt = nowIso();
+		const actor = actorOf(authContext);
 		const cluster = {
 			id: newId("cluster"),
 			projectId: study.projectId || "",
@@ -417,74 +788,170 @@ export async function createSynthesisCluster(svc, request, origin, url) {
 			description: String(payload.description || "").trim(),
 			evidenceIds: validation.evidenceIds,
 			status: "working",
+			version: 1,
 			createdAt,
-			updatedAt: createdAt
+			updatedAt: createdAt,
+			updatedBy: actor,
+			deletedAt: ""
 		};
 
-		state.clusters.push(cluster);
-		await writeSynthesisState(svc, studyId, state);
+		await writeWithHistory(svc, `INSERT INTO ${CLUSTERS_TABLE} (id, study_id, project_id, label, description, evidence_ids_json, status, version, created_at, updated_at, updated_by) VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)`, [
+			cluster.id, studyId, cluster.projectId, cluster.label, cluster.description, JSON.stringify(cluster.evidenceIds), cluster.status, createdAt, createdAt, actor
+		], { entityType: "cluster", snapshot: cluster, action: "create", actor });
 
-		return svc.json({ ok: true, cluster }, 201, svc.corsHeaders(origin));
+		return svc.json({ ok: true, cluster }, 201, clusterHeaders(svc, origin, cluster));
 	} catch (error) {
 		return errorResponse(svc, origin, error);
 	}
 }
 
-export async function updateSynthesisCluster(svc, request, origin, url, clusterId) {
+export async function updateSynthesisCluster(svc, request, origin, url, clusterId, authContext = null) {
 	const studyId = requireStudyId(url);
 	if (!studyId) return svc.json({ ok: false, error: "Missing sid query" }, 400, svc.corsHeaders(origin));
 	if (!clusterId) return svc.json({ ok: false, error: "Missing cluster id" }, 400, svc.corsHeaders(origin));
 
 	try {
 		const payload = await parseJsonRequest(request, svc.cfg.MAX_BODY_BYTES);
-		const state = await readSynthesisState(svc, studyId);
-		const index = state.clusters.findIndex(cluster => cluster.id === clusterId && cluster.studyId === studyId);
-		if (index < 0) return svc.json({ ok: false, error: "Cluster not found" }, 404, svc.corsHeaders(origin));
+		await ensureStudyImported(svc, studyId);
+		const current = await getCluster(svc, studyId, clusterId);
+		if (!current) return clusterNotFound(svc, origin);
+
+		const expected = expectedVersion(request, payload.version);
+		if (expected !== null && expected !== current.version) return conflictResponse(svc, origin, current);
 
-		let evidenceIds = state.clusters[index].evidenceIds || [];
+		let evidenceIds = current.evidenceIds;
 		if (Array.isArray(payload.evidenceIds)) {
 			const validation = await validateEvidenceIds(svc, origin, studyId, payload.evidenceIds);
 			if (!validation.ok) return validation.response;
 			evidenceIds = validation.evidenceIds;
 		}
 
-		state.clusters[index] = {
-			...state.clusters[index],
-			label: typeof payload.label === "string" && payload.label.trim() ? payload.label.trim() : state.clusters[index].label,
-			description: typeof payload.description === "string" ? payload.description.trim() : state.clusters[index].description,
+		const actor = actorOf(authContext);
+		const cluster = await writeCluster(svc, current, {
+			label: typeof payload.label === "string" && payload.label.trim() ? payload.label.trim() : current.label,
+			description: typeof payload.description === "string" ? payload.description.trim() : current.description,
 			evidenceIds,
-			updatedAt: nowIso()
-		};
+			status: current.status,
+			deletedAt: ""
+		}, actor, "update");
+
+		if (!cluster) {
+			const latest = await getCluster(svc, studyId, clusterId);
+			return latest ? conflictResponse(svc, origin, latest) : clusterNotFound(svc, origin);
+		}
 
-		await writeSynthesisState(svc, studyId, state);
-		return svc.json({ ok: true, cluster: state.clusters[index] }, 200, svc.corsHeaders(origin));
+		return svc.json({ ok: true, cluster }, 200, clusterHeaders(svc, origin, cluster));
 	} catch (error) {
 		return errorResponse(svc, origin, error);
 	}
 }
 
-export async function deleteSynthesisCluster(svc, origin, url, clusterId) {
+export async function deleteSynthesisCluster(svc, request, origin, url, clusterId, authContext = null) {
 	const studyId = requireStudyId(url);
 	if (!studyId) return svc.json({ ok: false, error: "Missing sid query" }, 400, svc.corsHeaders(origin));
 	if (!clusterId) return svc.json({ ok: false, error: "Missing cluster id" }, 400, svc.corsHeaders(origin));
 
 	try {
-		const state = await readSynthesisState(svc, studyId);
-		const before = state.clusters.length;
-		state.clusters = state.clusters.filter(cluster => !(cluster.id === clusterId && cluster.studyId === studyId));
-
-		if (state.clusters.length === before) {
-			return svc.json({ ok: false, error: "Cluster not found" }, 404, svc.corsHeaders(origin));
+		await ensureStudyImported(svc, studyId);
+		const current = await getCluster(svc, studyId, clusterId);
+		if (!current) return clusterNotFound(svc, origin);
+
+		const expected = expectedVersion(request, url.searchParams.get("version"));
+		if (expected !== null && expected !== current.version) return conflictResponse(svc, origin, current);
+
+		const actor = actorOf(authContext);
+		const cluster = await writeCluster(svc, current, { ...current, deletedAt: nowIso() }, actor, "delete");
+		if (!cluster) {
+			const latest = await getCluster(svc, studyId, clusterId);
+			return latest ? conflictResponse(svc, origin, latest) : clusterNotFound(svc, origin);
 		}
 
-		await writeSynthesisState(svc, studyId, state);
 		return svc.json({ ok: true }, 200, svc.corsHeaders(origin));
 	} catch (error) {
 		return errorResponse(svc, origin, error);
 	}
 }
 
-export async function createSynthesisTheme(svc, request, origin, url) {
+export async function listSynthesisClusterHistory(svc, origin, url, clusterId) {
+	const studyId = requireStudyId(url);
+	if (!studyId) return svc.json({ ok: false, error: "Missing sid query" }, 400, svc.corsHeaders(origin));
+	if (!clusterId) return svc.json({ ok: false, error: "Missing cluster id" }, 400, svc.corsHeaders(origin));
+
+	try {
+		await ensureStudyImported(svc, studyId);
+		const current = await getCluster(svc, studyId, clusterId, { includeDeleted: true });
+		if (!current) return clusterNotFound(svc, origin);
+
+		const rows = await d1All(svc.env, `SELECT version, action, source_version, snapshot_json, actor, created_at FROM ${HISTORY_TABLE} WHERE entity_type = 'cluster' AND entity_id = ? AND study_id = ? ORDER BY version DESC`, [clusterId, studyId]);
+		const history = rows.map((row) => {
+			let cluster = null;
+			try { cluster = JSON.parse(row.snapshot_json); } catch { /* keep the entry without a snapshot */ }
+			return {
+				version: Number(row.version),
+				action: row.action,
+				revertedFrom: row.source_version === null || row.source_version === undefined ? null : Number(row.source_version),
+				actor: row.actor || "",
+				createdAt: row.created_at,
+				cluster
+			};
+		});
+
+		return svc.json({ ok: true, cluster: current, history }, 200, clusterHeaders(svc, origin, current));
+	} catch (error) {
+		return errorResponse(svc, origin, error, 503);
+	}
+}
+
+/**
+ * Put a cluster back to how it was at an earlier version. The revert is a new
+ * version, so history only ever grows and the revert itself can be undone.
+ * Reverting to a deleted snapshot deletes the cluster; reverting a deleted
+ * cluster to an earlier snapshot restores it.
+ */
+export async function revertSynthesisCluster(svc, request, origin, url, clusterId, authContext = null) {
+	const studyId = requireStudyId(url);
+	if (!studyId) return svc.json({ ok: false, error: "Missing sid query" }, 400, svc.corsHeaders(origin));
+	if (!clusterId) return svc.json({ ok: false, error: "Missing cluster id" }, 400, svc.corsHeaders(origin));
+
+	try {
+		const payload = await parseJsonRequest(request, svc.cfg.MAX_BODY_BYTES);
+		const target = Number(payload.version);
+		if (!Number.isInteger(target) || target < 1) return svc.json({ ok: false, error: "Choose a version to revert to" }, 400, svc.corsHeaders(origin));
+
+		await ensureStudyImported(svc, studyId);
+		const current = await getCluster(svc, studyId, clusterId, { includeDeleted: true });
+		if (!current) return clusterNotFound(svc, origin);
+
+		const expected = expectedVersion(request, null);
+		if (expected !== null && expected !== current.version) return conflictResponse(svc, origin, current);
+
+		const row = await d1Get(svc.env, `SELECT snapshot_json FROM ${HISTORY_TABLE} WHERE entity_type = 'cluster' AND entity_id = ? AND study_id = ? AND version = ?`, [clusterId, studyId, target]);
+		if (!row) return svc.json({ ok: false, error: "Version not found" }, 404, svc.corsHeaders(origin));
+		if (target === current.version) return svc.json({ ok: false, error: "The cluster is already at this version" }, 409, clusterHeaders(svc, origin, current));
+
+		let snapshot;
+		try { snapshot = JSON.parse(row.snapshot_json); } catch { return svc.json({ ok: false, error: "Version snapshot is unreadable" }, 422, svc.corsHeaders(origin)); }
+
+		const actor = actorOf(authContext);
+		const cluster = await writeCluster(svc, current, {
+			label: String(snapshot.label || current.label),
+			description: String(snapshot.description || ""),
+			evidenceIds: Array.isArray(snapshot.evidenceIds) ? snapshot.evidenceIds.map(String) : [],
+			status: String(snapshot.status || current.status),
+			deletedAt: snapshot.deletedAt ? nowIso() : ""
+		}, actor, "revert", target);
+		if (!cluster) {
+			const latest = await getCluster(svc, studyId, clusterId, { includeDeleted: true });
+			return latest ? conflictResponse(svc, origin, latest) : clusterNotFound(svc, origin);
+		}
+
+		return svc.json({ ok: true, cluster }, 200, clusterHeaders(svc, origin, cluster));
+	} catch (error) {
+		return errorResponse(svc, origin, error);
+	}
+}
+
+export async function createSynthesisTheme(svc, request, origin, url, authContext = null) {
 	const studyId = requireStudyId(url);
 	if (!studyId) return svc.json({ ok: false, error: "Missing sid query" }, 400, svc.corsHeaders(origin));
 
@@ -493,11 +960,11 @@ export async function createSynthesisTheme(svc, request, origin, url) {
 		const label = String(payload.label || "").trim();
 		if (!label) return svc.json({ ok: false, error: "Theme label is required" }, 400, svc.corsHeaders(origin));
 
-		const [study, state] = await Promise.all([
+		await ensureStudyImported(svc, studyId);
+		const [study, sourceCluster] = await Promise.all([
 			getStudyContext(svc, studyId),
-			readSynthesisState(svc, studyId)
+			payload.clusterId ? getCluster(svc, studyId, String(payload.clusterId)) : null
 		]);
-		const sourceCluster = payload.clusterId ? state.clusters.find(cluster => cluster.id === payload.clusterId && cluster.studyId === studyId) : null;
 		const candidateEvidenceIds = Array.isArray(payload.evidenceIds) && payload.evidenceIds.length ? payload.evidenceIds : sourceCluster?.evidenceIds || [];
 
 		if (!candidateEvidenceIds.length) {
@@ -508,6 +975,7 @@ export async function createSynthesisTheme(svc, request, origin, url) {
 		if (!validation.ok) return validation.response;
 
 		const createdAt = nowIso();
+		const actor = actorOf(authContext);
 		const theme = {
 			id: newId("theme"),
 			projectId: study.projectId || "",
@@ -521,11 +989,55 @@ export async function createSynthesisTheme(svc, request, origin, url) {
 			updatedAt: createdAt
 		};
 
-		state.themes.push(theme);
-		await writeSynthesisState(svc, studyId, state);
+		await writeWithHistory(svc, `INSERT INTO ${THEMES_TABLE} (id, study_id, project_id, label, description, evidence_ids_json, source_cluster_id, status, created_at, updated_at, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, [
+			theme.id, studyId, theme.projectId, theme.label, theme.description, JSON.stringify(theme.evidenceIds), theme.sourceClusterId, theme.status, createdAt, createdAt, actor
+		], { entityType: "theme", snapshot: { ...theme, version: 1 }, action: "create", actor });
 
 		return svc.json({ ok: true, theme }, 201, svc.corsHeaders(origin));
 	} catch (error) {
 		return errorResponse(svc, origin, error);
 	}
 }
+
+/**
+ * Import legacy KV synthesis documents into D1. With `sid` only that study is
+ * imported; without it every `rops:synthesis:study:*:state` key is walked.
+ * Studies that were already imported are skipped, so this is safe to re-run.
+ */
+export async function importSynthesisState(svc, origin, url) {
+	const kv = svc.env.SESSION_KV;
+	if (!kv || typeof kv.get !== "function") return svc.json({ ok: false, error: "SESSION_KV binding is not configured" }, 503, svc.corsHeaders(origin));
+
+	try {
+		await ensureTables(svc);
+		const studyIds = [];
+		const only = requireStudyId(url);
+		if (only) {
+			studyIds.push(only);
+		} else {
+			if (typeof kv.list !== "function") return svc.json({ ok: false, error: "Missing sid query" }, 400, svc.corsHeaders(origin));
+			let cursor;
+			do {
+				const page = await kv.list({ prefix: KV_PREFIX, cursor });
+				for (const key of page.keys || []) {
+					const match = String(key.name || "").match(/^rops:synthesis:study:(.+):state$/);
+					if (match) studyIds.push(decodeURIComponent(match[1]));
+				}
+				cursor = page.list_complete ? undefined : page.cursor;
+			} while (cursor);
+		}
+
+		const imported = [];
+		let skipped = 0;
+		for (const studyId of studyIds) {
+			const result = await ensureStudyImported(svc, studyId);
+			if (result) imported.push(result);
+			else skipped += 1;
+		}
+
+		return svc.json({ ok: true, imported, skipped }, 200, svc.corsHeaders(origin));
+	} catch (error) {
+		svc.log.error("d1.synthesis.import.fail", { detail: String(error?.message || error) });
+		return errorResponse(svc, origin, error, 503);
+	}
+}
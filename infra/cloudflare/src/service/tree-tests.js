@@ -1,10 +1,11 @@
 /**
  * @file tree-tests.js
  * @module tree-tests
- * @summary Tree test configuration and task-result endpoints for ResearchOps.
+ * @summary Tree test configuration, task-result and analysis endpoints for ResearchOps.
  */
 
 import { d1All, d1Get, d1Run } from "./internals/researchops-d1.js";
+import { analyseTreeTest, treeTestAnalysisCsv } from "./tree-tests/analysis.js";
 
 const CONFIG_TABLE = "rops_tree_test_configs";
 const RESULTS_TABLE = "rops_tree_test_results";
@@ -95,6 +96,23 @@ export async function listTreeTestResults(svc, origin, url) {
 	catch (error) { svc.log.error("d1.tree_test_results.list.fail", { detail: error.message }); return unavailable(svc, origin); }
 }
 
+/** Per-task success, directness, time and first-click metrics; `format=csv` downloads one row per task. */
+export async function getTreeTestAnalysis(svc, origin, url) {
+	const studyId = String(url.searchParams.get("study") || "").trim();
+	if (!studyId) return svc.json({ ok: false, error: "Missing study query" }, 400, svc.corsHeaders(origin));
+	if (!hasD1(svc)) return unavailable(svc, origin);
+	try {
+		await ensureTables(svc);
+		const config = configDto(await d1Get(svc.env, `SELECT * FROM ${CONFIG_TABLE} WHERE study_id = ?`, [studyId]));
+		const rows = await d1All(svc.env, `SELECT * FROM ${RESULTS_TABLE} WHERE study_id = ? AND status = 'completed' AND active = 1 ORDER BY datetime(created_at) ASC`, [studyId]);
+		const analysis = analyseTreeTest(config, rows.map(resultDto));
+		if (url.searchParams.get("format") === "csv") {
+			return new Response(treeTestAnalysisCsv(analysis), { status: 200, headers: { "Content-Type": "text/csv; charset=utf-8", "Content-Disposition": `attachment; filename="tree-test-${studyId.replace(/[^a-z0-9_-]/gi, "")}.csv"`, "Cache-Control": "no-store", ...svc.corsHeaders(origin) } });
+		}
+		return svc.json({ ok: true, study_id: studyId, analysis }, 200, svc.corsHeaders(origin));
+	} catch (error) { svc.log.error("d1.tree_test_analysis.get.fail", { detail: error.message }); return unavailable(svc, origin); }
+}
+
 async function saveResult(svc, request, origin, id = "") {
 	let payload; try { payload = await body(svc, request); } catch (error) { return svc.json({ ok: false, error: error.message }, error.status || 400, svc.corsHeaders(origin)); }
 	const studyId = String(payload.study_id || payload.studyId || "").trim(); const sessionId = String(payload.session_id || payload.sessionId || "").trim();
@@ -0,0 +1,215 @@
+/**
+ * @file tree-tests/analysis.js
+ * @module tree-tests/analysis
+ * @summary Pure tree test task metrics: success, directness, time on task, first clicks and path flow.
+ *
+ * Input is the study's tree test configuration (`tree`, `tasks`) and the
+ * stored `result_json` payloads written by the session tree test controller:
+ *   { completions: [{ task_id, target_id, selected_id, path, trail, correct, skipped, time_on_task_ms, elapsed_ms }] }
+ *
+ * `trail` records every navigation step as `{ node_id, action }` where action
+ * is "open", "back" or "choose". A task is indirect when the participant went
+ * back up the tree at least once. Results captured before trails were
+ * recorded fall back to the selected path and are treated as direct.
+ */
+
+import { toCsvLine } from "../../core/utils.js";
+
+function flattenTree(nodes, depth = 0, parents = [], out = []) {
+	for (const node of nodes || []) {
+		out.push({ id: node.id, label: node.label, depth, parents });
+		flattenTree(node.children, depth + 1, [...parents, node.id], out);
+	}
+	return out;
+}
+
+function rate(count, total) {
+	return total ? Number((count / total).toFixed(3)) : 0;
+}
+
+function median(values) {
+	if (!values.length) return 0;
+	const sorted = [...values].sort((a, b) => a - b);
+	const mid = Math.floor(sorted.length / 2);
+	return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * Navigation steps for one completion, falling back to the selected path.
+ * @param {any} completion
+ * @returns {Array<{ node_id: string, action: string }>}
+ */
+export function completionTrail(completion) {
+	if (Array.isArray(completion?.trail) && completion.trail.length) {
+		return completion.trail
+			.map((step) => ({ node_id: String(step?.node_id || "").trim(), action: String(step?.action || "open") }))
+			.filter((step) => step.node_id);
+	}
+	const path = Array.isArray(completion?.path) ? completion.path.map(String).filter(Boolean) : [];
+	return path.map((id, index) => ({ node_id: id, action: index === path.length - 1 ? "choose" : "open" }));
+}
+
+/**
+ * Classify one completion as direct/indirect success or failure, or skip.
+ * @param {any} completion
+ * @returns {"direct_success" | "indirect_success" | "direct_failure" | "indirect_failure" | "skipped"}
+ */
+export function classifyCompletion(completion) {
+	if (completion?.skipped || !completion?.selected_id) return "skipped";
+	const indirect = completionTrail(completion).some((step) => step.action === "back");
+	if (completion.correct) return indirect ? "indirect_success" : "direct_success";
+	return indirect ? "indirect_failure" : "direct_failure";
+}
+
+/**
+ * Time on task in milliseconds. Older results only stored time since the
+ * participant started, so subtract the previous completion's elapsed time.
+ * @param {any} completion
+ * @param {any} previous
+ */
+export function timeOnTask(completion, previous) {
+	const own = Number(completion?.time_on_task_ms);
+	if (Number.isFinite(own) && own >= 0) return own;
+	const elapsed = Number(completion?.elapsed_ms);
+	if (!Number.isFinite(elapsed)) return null;
+	const before = Number(previous?.elapsed_ms);
+	return Math.max(0, elapsed - (Number.isFinite(before) ? before : 0));
+}
+
+function countInto(map, key, seed) {
+	if (!map.has(key)) map.set(key, { ...seed, count: 0 });
+	map.get(key).count += 1;
+}
+
+/**
+ * Full analysis payload for `GET /api/tree-tests/analysis`.
+ * @param {any} config tree test configuration DTO (may be null)
+ * @param {Array<any>} results tree test result DTOs
+ */
+export function analyseTreeTest(config, results) {
+	const nodes = flattenTree(config?.tree || []);
+	const byId = new Map(nodes.map((node) => [node.id, node]));
+	const label = (id) => byId.get(id)?.label || id;
+	const tasks = (config?.tasks || []).map((task) => ({ ...task, attempts: [] }));
+	const taskById = new Map(tasks.map((task) => [task.id, task]));
+
+	for (const result of results) {
+		const completions = Array.isArray(result?.result?.completions) ? result.result.completions : [];
+		completions.forEach((completion, index) => {
+			const task = taskById.get(completion?.task_id);
+			if (!task) return;
+			task.attempts.push({
+				participantId: result.participant_id || "",
+				completion,
+				outcome: classifyCompletion(completion),
+				timeMs: timeOnTask(completion, completions[index - 1]),
+				trail: completionTrail(completion)
+			});
+		});
+	}
+
+	return {
+		participants: results.length,
+		tasks: tasks.map((task) => {
+			const targetParents = new Set([...(byId.get(task.target_id)?.parents || []), task.target_id]);
+			const attempts = task.attempts;
+			const outcomes = { direct_success: 0, indirect_success: 0, direct_failure: 0, indirect_failure: 0, skipped: 0 };
+			const firstClicks = new Map();
+			const destinations = new Map();
+			const paths = new Map();
+			const visits = new Map();
+			const times = [];
+
+			for (const attempt of attempts) {
+				outcomes[attempt.outcome] += 1;
+				if (attempt.timeMs !== null) times.push(attempt.timeMs);
+				const first = attempt.trail[0]?.node_id;
+				if (first) countInto(firstClicks, first, { id: first, label: label(first), onTargetPath: targetParents.has(first) });
+				if (attempt.outcome === "skipped") continue;
+				const selected = attempt.completion.selected_id;
+				countInto(destinations, selected, { id: selected, label: label(selected), correct: selected === task.target_id });
+				const ids = attempt.trail.map((step) => step.node_id);
+				countInto(paths, ids.join(">"), { ids, labels: ids.map(label), outcome: attempt.outcome });
+				new Set(ids).forEach((id) => visits.set(id, (visits.get(id) || 0) + 1));
+			}
+
+			const answered = attempts.length - outcomes.skipped;
+			const sortByCount = (map) => Array.from(map.values())
+				.map((entry) => ({ ...entry, share: rate(entry.count, attempts.length) }))
+				.sort((a, b) => b.count - a.count);
+
+			return {
+				id: task.id,
+				prompt: task.prompt,
+				target_id: task.target_id,
+				target_label: label(task.target_id),
+				attempts: attempts.length,
+				outcomes,
+				rates: {
+					success: rate(outcomes.direct_success + outcomes.indirect_success, attempts.length),
+					directSuccess: rate(outcomes.direct_success, attempts.length),
+					indirectSuccess: rate(outcomes.indirect_success, attempts.length),
+					failure: rate(outcomes.direct_failure + outcomes.indirect_failure, attempts.length),
+					skip: rate(outcomes.skipped, attempts.length),
+					directness: rate(outcomes.direct_success + outcomes.direct_failure, answered)
+				},
+				timeOnTask: {
+					medianMs: median(times),
+					meanMs: times.length ? Math.round(times.reduce((sum, value) => sum + value, 0) / times.length) : 0
+				},
+				firstClicks: sortByCount(firstClicks),
+				destinations: sortByCount(destinations),
+				paths: sortByCount(paths),
+				flow: nodes
+					.filter((node) => visits.has(node.id))
+					.map((node) => ({ id: node.id, label: node.label, depth: node.depth, visits: visits.get(node.id), onTargetPath: targetParents.has(node.id) }))
+			};
+		})
+	};
+}
+
+const CSV_HEADER = [
+	"Task",
+	"Correct destination",
+	"Attempts",
+	"Success rate",
+	"Direct success",
+	"Indirect success",
+	"Direct failure",
+	"Indirect failure",
+	"Skipped",
+	"Directness",
+	"Median time on task (s)",
+	"Most common first click",
+	"First click on correct path",
+	"Most common destination"
+];
+
+/**
+ * One CSV row per task, for spreadsheet export alongside the study pages.
+ * @param {ReturnType<typeof analyseTreeTest>} analysis
+ * @returns {string}
+ */
+export function treeTestAnalysisCsv(analysis) {
+	let csv = toCsvLine(CSV_HEADER);
+	for (const task of analysis.tasks) {
+		const firstClick = task.firstClicks[0];
+		csv += toCsvLine([
+			task.prompt,
+			task.target_label,
+			task.attempts,
+			task.rates.success,
+			task.outcomes.direct_success,
+			task.outcomes.indirect_success,
+			task.outcomes.direct_failure,
+			task.outcomes.indirect_failure,
+			task.outcomes.skipped,
+			task.rates.directness,
+			(task.timeOnTask.medianMs / 1000).toFixed(1),
+			firstClick?.label || "",
+			firstClick ? (firstClick.onTargetPath ? "Yes" : "No") : "",
+			task.destinations[0]?.label || ""
+		]);
+	}
+	return csv;
+}
@@ -94,7 +94,8 @@ function buildCorsHeaders(env, request) {
 		"Access-Control-Allow-Origin": resolveAllowedOrigin(env, request),
 		"Vary": "Origin",
 		"Access-Control-Allow-Methods": "GET,POST,PUT,PATCH,DELETE,OPTIONS",
-		"Access-Control-Allow-Headers": "Authorization, Content-Type, X-ResearchOps-Team-Id, X-ResearchOps-CSRF",
+		"Access-Control-Allow-Headers": "Authorization, Content-Type, If-Match, X-ResearchOps-Team-Id, X-ResearchOps-CSRF",
+		"Access-Control-Expose-Headers": "ETag",
 		"Access-Control-Allow-Credentials": "true"
 	};
 }
@@ -269,6 +270,7 @@ const RESEARCH_DATA_AUTH_PERMISSIONS = [
 	["study.manage", "Manage studies", "Can create or update study records."],
 	["study.ethics.view", "View study ethics records", "Can view study ethics and research risk records and generated submission documents."],
 	["study.ethics.manage", "Manage study ethics records", "Can record study ethics risk next steps and generate submission documents."],
+	["study.ethics.review", "Review study ethics records", "Can approve, request changes to or escalate submitted study ethics and research risk assessments."],
 	["research.content.view", "View research content", "Can view journal entries, memos, codes, guides, sessions and analysis."],
 	["research.content.manage", "Manage research content", "Can create, update or delete journal entries, memos, codes, guides, sessions and analysis."],
 	["research.integration.manage", "Manage research integrations", "Can use integrations that write or synchronise research data."],
@@ -279,6 +281,10 @@ const RESEARCH_DATA_AUTH_PERMISSIONS = [
 	["consent.form.manage", "Manage consent forms", "Can create, update or publish consent forms."],
 	["participant.consent.view", "View participant consent", "Can view participant consent status for a study."],
 	["participant.consent.manage", "Manage participant consent", "Can record or update participant consent."],
+	["retention.view", "View data retention", "Can preview scheduled retention and read the retention run log."],
+	["legal.hold.manage", "Manage legal holds", "Can place and release legal holds that stop retention changing project, study or participant data."],
+	["participant.panel.view", "View participant panel", "Can view pseudonymised panel members, screeners and study quotas."],
+	["participant.panel.manage", "Manage participant panel", "Can add panel members, record screener answers and set study quotas."],
 	["sourcebook.view", "View sourcebook", "Can view Sourcebook pillars, clauses and governance guidance."],
 	["project.diagnostics.view", "View project diagnostics", "Can view project source diagnostics for operational assurance."]
 ];
@@ -299,6 +305,7 @@ const RESEARCH_DATA_ROLE_PERMISSIONS = [
 	["role_researcher", "consent.form.manage"],
 	["role_researcher", "participant.consent.view"],
 	["role_researcher", "participant.consent.manage"],
+	["role_researcher", "participant.panel.view"],
 	["role_researcher", "sourcebook.view"],
 	["role_research_lead", "project.view"],
 	["role_research_lead", "project.manage"],
@@ -306,6 +313,7 @@ const RESEARCH_DATA_ROLE_PERMISSIONS = [
 	["role_research_lead", "study.manage"],
 	["role_research_lead", "study.ethics.view"],
 	["role_research_lead", "study.ethics.manage"],
+	["role_research_lead", "study.ethics.review"],
 	["role_research_lead", "research.content.view"],
 	["role_research_lead", "research.content.manage"],
 	["role_research_lead", "research.integration.manage"],
@@ -315,6 +323,10 @@ const RESEARCH_DATA_ROLE_PERMISSIONS = [
 	["role_research_lead", "consent.form.manage"],
 	["role_research_lead", "participant.consent.view"],
 	["role_research_lead", "participant.consent.manage"],
+	["role_research_lead", "retention.view"],
+	["role_research_lead", "legal.hold.manage"],
+	["role_research_lead", "participant.panel.view"],
+	["role_research_lead", "participant.panel.manage"],
 	["role_research_lead", "sourcebook.view"],
 	["role_research_lead", "project.diagnostics.view"],
 	["role_team_admin", "project.view"],
@@ -323,6 +335,7 @@ const RESEARCH_DATA_ROLE_PERMISSIONS = [
 	["role_team_admin", "study.manage"],
 	["role_team_admin", "study.ethics.view"],
 	["role_team_admin", "study.ethics.manage"],
+	["role_team_admin", "study.ethics.review"],
 	["role_team_admin", "research.content.view"],
 	["role_team_admin", "research.content.manage"],
 	["role_team_admin", "research.integration.manage"],
@@ -333,10 +346,16 @@ const RESEARCH_DATA_ROLE_PERMISSIONS = [
 	["role_team_admin", "consent.form.manage"],
 	["role_team_admin", "participant.consent.view"],
 	["role_team_admin", "participant.consent.manage"],
+	["role_team_admin", "retention.view"],
+	["role_team_admin", "legal.hold.manage"],
+	["role_team_admin", "participant.panel.view"],
+	["role_team_admin", "participant.panel.manage"],
 	["role_team_admin", "sourcebook.view"],
 	["role_team_admin", "project.diagnostics.view"]
 ];
 
+const RETENTION_CRON = "17 2 * * *";
+
 const RESEARCH_DATA_ROUTE_PERMISSIONS = [
 	["route_api_health_get", "GET", "/api/health", "[]", 0],
 	["route_api_diag_ping_get", "GET", "/api/_diag/ping", "[]", 0],
@@ -359,11 +378,13 @@ const RESEARCH_DATA_ROUTE_PERMISSIONS = [
 	["route_api_card_sorts_results_get", "GET", "/api/card-sorts/results", "[\"research.content.view\"]"],
 	["route_api_card_sorts_results_post", "POST", "/api/card-sorts/results", "[\"research.content.manage\"]"],
 	["route_api_card_sorts_result_patch", "PATCH", "/api/card-sorts/results/:id", "[\"research.content.manage\"]"],
+	["route_api_card_sorts_analysis_get", "GET", "/api/card-sorts/analysis", "[\"research.content.view\"]"],
 	["route_api_tree_tests_config_get", "GET", "/api/tree-tests/config", "[\"study.view\"]"],
 	["route_api_tree_tests_config_post", "POST", "/api/tree-tests/config", "[\"study.manage\"]"],
 	["route_api_tree_tests_results_get", "GET", "/api/tree-tests/results", "[\"research.content.view\"]"],
 	["route_api_tree_tests_results_post", "POST", "/api/tree-tests/results", "[\"research.content.manage\"]"],
 	["route_api_tree_tests_result_patch", "PATCH", "/api/tree-tests/results/:id", "[\"research.content.manage\"]"],
+	["route_api_tree_tests_analysis_get", "GET", "/api/tree-tests/analysis", "[\"research.content.view\"]"],
 	["route_api_ai_rewrite_post", "POST", "/api/ai-rewrite", "[\"research.content.manage\"]", 1],
 	["route_api_journal_entries_get", "GET", "/api/journal-entries", "[\"research.content.view\"]", 1],
 	["route_api_journal_entries_post", "POST", "/api/journal-entries", "[\"research.content.manage\"]", 1],
@@ -386,6 +407,12 @@ const RESEARCH_DATA_ROUTE_PERMISSIONS = [
 	["route_api_analysis_cooccurrence_get", "GET", "/api/analysis/cooccurrence", "[\"research.content.view\"]", 1],
 	["route_api_analysis_retrieval_get", "GET", "/api/analysis/retrieval", "[\"research.content.view\"]", 1],
 	["route_api_analysis_export_get", "GET", "/api/analysis/export", "[\"research.content.view\"]", 1],
+	["route_api_analysis_double_coding_get", "GET", "/api/analysis/double-coding", "[\"research.content.view\"]", 1],
+	["route_api_analysis_double_coding_post", "POST", "/api/analysis/double-coding", "[\"research.content.manage\"]", 1],
+	["route_api_analysis_double_coding_sample_get", "GET", "/api/analysis/double-coding/:id", "[\"research.content.view\"]", 1],
+	["route_api_analysis_double_coding_codings_post", "POST", "/api/analysis/double-coding/:id/codings", "[\"research.content.manage\"]", 1],
+	["route_api_analysis_double_coding_close_post", "POST", "/api/analysis/double-coding/:id/close", "[\"research.content.manage\"]", 1],
+	["route_api_analysis_agreement_get", "GET", "/api/analysis/agreement", "[\"research.content.view\"]", 1],
 	["route_api_impact_get", "GET", "/api/impact", "[\"repository.view\"]", 1],
 	["route_api_impact_post", "POST", "/api/impact", "[\"repository.curate\"]", 1],
 	["route_api_impact_record_get", "GET", "/api/impact/:id", "[\"repository.view\"]", 1],
@@ -401,20 +428,52 @@ const RESEARCH_DATA_ROUTE_PERMISSIONS = [
 	["route_api_guide_get", "GET", "/api/guides/:id", "[\"research.content.view\"]", 1],
 	["route_api_guide_patch", "PATCH", "/api/guides/:id", "[\"research.content.manage\"]", 1],
 	["route_api_guide_publish_post", "POST", "/api/guides/:id/publish", "[\"research.content.manage\"]", 1],
+	["route_api_guide_versions_get", "GET", "/api/guides/:id/versions", "[\"research.content.view\"]", 1],
+	["route_api_guide_version_get", "GET", "/api/guides/:id/versions/:versionId", "[\"research.content.view\"]", 1],
+	["route_api_guide_export_get", "GET", "/api/guides/:id/export", "[\"research.content.view\"]", 1],
+	["route_api_guide_running_order_get", "GET", "/api/guides/:id/running-order", "[\"research.content.view\"]", 1],
 	["route_api_partials_get", "GET", "/api/partials", "[\"research.content.view\"]", 1],
 	["route_api_partials_post", "POST", "/api/partials", "[\"research.content.manage\"]", 1],
 	["route_api_partial_get", "GET", "/api/partials/:id", "[\"research.content.view\"]", 1],
 	["route_api_partial_patch", "PATCH", "/api/partials/:id", "[\"research.content.manage\"]", 1],
 	["route_api_partial_delete", "DELETE", "/api/partials/:id", "[\"research.content.manage\"]", 1],
+	["route_api_partial_graph_get", "GET", "/api/partials/graph", "[\"research.content.view\"]", 1],
+	["route_api_partial_usage_get", "GET", "/api/partials/:id/usage", "[\"research.content.view\"]", 1],
+	["route_api_partial_versions_post", "POST", "/api/partials/:id/versions", "[\"research.content.manage\"]", 1],
 	["route_api_sessions_get", "GET", "/api/sessions", "[\"research.content.view\"]", 1],
 	["route_api_sessions_post", "POST", "/api/sessions", "[\"research.content.manage\"]", 1],
 	["route_api_session_get", "GET", "/api/sessions/:id", "[\"research.content.view\"]", 1],
 	["route_api_session_patch", "PATCH", "/api/sessions/:id", "[\"research.content.manage\"]", 1],
 	["route_api_session_ics_get", "GET", "/api/sessions/:id/ics", "[\"research.content.view\"]", 1],
+	["route_api_session_guide_version_get", "GET", "/api/sessions/:id/guide-version", "[\"research.content.view\"]", 1],
+	["route_api_session_guide_version_put", "PUT", "/api/sessions/:id/guide-version", "[\"research.content.manage\"]", 1],
+	["route_api_session_running_order_get", "GET", "/api/sessions/:id/running-order", "[\"research.content.view\"]", 1],
 	["route_api_session_notes_get", "GET", "/api/session-notes", "[\"research.content.view\"]", 1],
 	["route_api_session_notes_post", "POST", "/api/session-notes", "[\"research.content.manage\"]", 1],
 	["route_api_session_note_patch", "PATCH", "/api/session-notes/:id", "[\"research.content.manage\"]", 1],
 	["route_api_comms_send_post", "POST", "/api/comms/send", "[\"research.content.manage\"]", 1],
+	["route_api_comms_outbox_get", "GET", "/api/comms/outbox", "[\"research.content.view\"]", 1],
+	["route_api_comms_callback_post", "POST", "/api/comms/callback", "[]", 0],
+	["route_api_session_reminders_preferences_get", "GET", "/api/session-reminders/preferences", "[\"study.view\"]", 1],
+	["route_api_session_reminders_preferences_post", "POST", "/api/session-reminders/preferences", "[\"study.manage\"]", 1],
+	["route_api_session_reminders_run_post", "POST", "/api/session-reminders/run", "[\"study.manage\"]", 1],
+	["route_api_search_get", "GET", "/api/search", "[]", 1],
+	["route_api_search_reindex_post", "POST", "/api/search/reindex", "[\"research.content.manage\"]", 1],
+	["route_api_calendar_feeds_get", "GET", "/api/calendar-feeds", "[\"study.view\"]", 1],
+	["route_api_calendar_feeds_post", "POST", "/api/calendar-feeds", "[\"study.view\"]", 1],
+	["route_api_calendar_feed_delete", "DELETE", "/api/calendar-feeds/:id", "[\"study.view\"]", 1],
+	["route_api_study_sessions_ics_get", "GET", "/api/studies/:id/sessions.ics", "[]", 0],
+	["route_api_researcher_sessions_ics_get", "GET", "/api/researchers/sessions.ics", "[]", 0],
+	["route_api_booking_slots_get", "GET", "/api/booking/slots", "[\"study.view\"]", 1],
+	["route_api_booking_slots_post", "POST", "/api/booking/slots", "[\"research.content.manage\"]", 1],
+	["route_api_booking_slot_delete", "DELETE", "/api/booking/slots/:id", "[\"research.content.manage\"]", 1],
+	["route_api_booking_settings_put", "PUT", "/api/booking/settings", "[\"research.content.manage\"]", 1],
+	["route_api_booking_links_post", "POST", "/api/booking/links", "[\"research.content.manage\"]", 1],
+	["route_api_booking_cancel_post", "POST", "/api/booking/bookings/:id/cancel", "[\"research.content.manage\"]", 1],
+	["route_api_booking_portal_get", "GET", "/api/booking-portal", "[]", 0],
+	["route_api_booking_portal_post", "POST", "/api/booking-portal", "[]", 0],
+	["route_api_booking_portal_cancel_post", "POST", "/api/booking-portal/cancel", "[]", 0],
+	["route_api_booking_portal_ics_get", "GET", "/api/booking-portal/ics", "[]", 0],
 	["route_api_agent_pages_deploy_post", "POST", "/api/agent-pages/deploy", "[\"deployment.trigger\"]", 1],
 	["route_api_mural_auth_get", "GET", "/api/mural/auth", "[\"research.integration.manage\"]", 1],
 	["route_api_mural_callback_get", "GET", "/api/mural/callback", "[]", 0],
@@ -424,6 +483,7 @@ const RESEARCH_DATA_ROUTE_PERMISSIONS = [
 	["route_api_mural_find_get", "GET", "/api/mural/find", "[\"research.integration.manage\"]", 1],
 	["route_api_mural_await_get", "GET", "/api/mural/await", "[\"research.integration.manage\"]", 1],
 	["route_api_mural_journal_sync_post", "POST", "/api/mural/journal-sync", "[\"research.integration.manage\"]", 1],
+	["route_api_mural_journal_import_post", "POST", "/api/mural/journal-import", "[\"research.integration.manage\"]", 1],
 	["route_api_mural_workspaces_get", "GET", "/api/mural/workspaces", "[\"research.integration.manage\"]", 1],
 	["route_api_mural_me_get", "GET", "/api/mural/me", "[\"research.integration.manage\"]", 1],
 	["route_api_mural_debug_env_get", "GET", "/api/mural/debug-env", "[\"project.diagnostics.view\"]", 1],
@@ -433,16 +493,56 @@ const RESEARCH_DATA_ROUTE_PERMISSIONS = [
 	["route_api_synthesis_themes_post", "POST", "/api/synthesis/themes", "[\"synthesis.manage\"]"],
 	["route_api_synthesis_clusters_patch", "PATCH", "/api/synthesis/clusters/:id", "[\"synthesis.manage\"]"],
 	["route_api_synthesis_clusters_delete", "DELETE", "/api/synthesis/clusters/:id", "[\"synthesis.manage\"]"],
+	["route_api_synthesis_cluster_history_get", "GET", "/api/synthesis/clusters/:id/history", "[\"synthesis.view\"]"],
+	["route_api_synthesis_cluster_revert_post", "POST", "/api/synthesis/clusters/:id/revert", "[\"synthesis.manage\"]"],
+	["route_api_synthesis_import_post", "POST", "/api/synthesis/import", "[\"synthesis.manage\"]"],
+	["route_api_synthesis_mural_export_post", "POST", "/api/synthesis/mural-export", "[\"synthesis.manage\"]"],
+	["route_api_synthesis_mural_import_post", "POST", "/api/synthesis/mural-import", "[\"synthesis.manage\"]"],
 	["route_api_consent_forms_get", "GET", "/api/consent-forms", "[\"consent.form.view\"]"],
 	["route_api_consent_forms_post", "POST", "/api/consent-forms", "[\"consent.form.manage\"]"],
 	["route_api_consent_forms_id_get", "GET", "/api/consent-forms/:id", "[\"consent.form.view\"]"],
 	["route_api_consent_forms_id_patch", "PATCH", "/api/consent-forms/:id", "[\"consent.form.manage\"]"],
 	["route_api_consent_forms_publish_post", "POST", "/api/consent-forms/:id/publish", "[\"consent.form.manage\"]"],
+	["route_api_consent_forms_diff_get", "GET", "/api/consent-forms/:id/diff", "[\"consent.form.view\"]"],
+	["route_api_consent_forms_reconsent_queue_get", "GET", "/api/consent-forms/reconsent-queue", "[\"participant.consent.view\"]"],
 	["route_api_participant_consent_get", "GET", "/api/participant-consent", "[\"participant.consent.view\"]"],
 	["route_api_participant_consent_post", "POST", "/api/participant-consent", "[\"participant.consent.manage\"]"],
 	["route_api_participant_consent_patch", "PATCH", "/api/participant-consent/:id", "[\"participant.consent.manage\"]"],
+	["route_api_participant_consent_verify_get", "GET", "/api/participant-consent/:id/verify", "[\"participant.consent.view\"]"],
+	["route_api_participant_consent_links_get", "GET", "/api/participant-consent/links", "[\"participant.consent.view\"]"],
+	["route_api_participant_consent_links_post", "POST", "/api/participant-consent/links", "[\"participant.consent.manage\"]"],
+	["route_api_participant_consent_link_delete", "DELETE", "/api/participant-consent/links/:id", "[\"participant.consent.manage\"]"],
+	["route_api_consent_portal_get", "GET", "/api/consent-portal", "[]", 0],
+	["route_api_consent_portal_post", "POST", "/api/consent-portal", "[]", 0],
+	["route_api_consent_withdrawals_get", "GET", "/api/consent-withdrawals", "[\"participant.consent.view\"]"],
+	["route_api_consent_withdrawal_report_get", "GET", "/api/consent-withdrawals/:id/report", "[\"participant.consent.view\"]"],
+	["route_api_consent_withdrawal_run_post", "POST", "/api/consent-withdrawals/:id/run", "[\"participant.consent.manage\"]"],
+	["route_api_retention_preview_get", "GET", "/api/retention/preview", "[\"retention.view\"]"],
+	["route_api_retention_runs_get", "GET", "/api/retention/runs", "[\"retention.view\"]"],
+	["route_api_retention_run_get", "GET", "/api/retention/runs/:id", "[\"retention.view\"]"],
+	["route_api_legal_holds_get", "GET", "/api/legal-holds", "[\"study.view\"]"],
+	["route_api_legal_holds_post", "POST", "/api/legal-holds", "[\"legal.hold.manage\"]"],
+	["route_api_legal_hold_release_post", "POST", "/api/legal-holds/:id/release", "[\"legal.hold.manage\"]"],
+	["route_api_participant_sar_export_post", "POST", "/api/participants/:id/sar-export", "[\"participant.pii.reveal\"]"],
+	["route_api_panel_members_get", "GET", "/api/panel/members", "[\"participant.panel.view\"]"],
+	["route_api_panel_members_post", "POST", "/api/panel/members", "[\"participant.panel.manage\"]"],
+	["route_api_panel_member_patch", "PATCH", "/api/panel/members/:id", "[\"participant.panel.manage\"]"],
+	["route_api_panel_screeners_get", "GET", "/api/panel/screeners", "[\"participant.panel.view\"]"],
+	["route_api_panel_screeners_post", "POST", "/api/panel/screeners", "[\"participant.panel.manage\"]"],
+	["route_api_panel_screener_responses_post", "POST", "/api/panel/screeners/:id/responses", "[\"participant.panel.manage\"]"],
+	["route_api_panel_quotas_get", "GET", "/api/panel/quotas", "[\"participant.panel.view\"]"],
+	["route_api_panel_quotas_put", "PUT", "/api/panel/quotas", "[\"participant.panel.manage\"]"],
+	["route_api_panel_invites_post", "POST", "/api/panel/invites", "[\"participant.record.create\"]"],
+	["route_api_study_ethics_risk_get", "GET", "/api/study-ethics-risk", "[\"study.ethics.view\"]"],
+	["route_api_study_ethics_risk_post", "POST", "/api/study-ethics-risk", "[\"study.ethics.manage\"]"],
+	["route_api_study_ethics_risk_submit_post", "POST", "/api/study-ethics-risk/submit", "[\"study.ethics.manage\"]"],
+	["route_api_study_ethics_risk_decisions_post", "POST", "/api/study-ethics-risk/decisions", "[\"study.ethics.review\"]"],
+	["route_api_study_ethics_risk_reviews_get", "GET", "/api/study-ethics-risk/reviews", "[\"study.ethics.review\"]"],
 	["route_api_study_ethics_submission_documents_post", "POST", "/api/study-ethics-risk/submissions", "[\"study.ethics.manage\"]"],
-	["route_api_study_ethics_submission_document_get", "GET", "/api/study-ethics-risk/submissions/:id", "[\"study.ethics.view\"]"]
+	["route_api_study_ethics_submission_documents_get", "GET", "/api/study-ethics-risk/submissions", "[\"study.ethics.view\"]"],
+	["route_api_study_ethics_submission_document_get", "GET", "/api/study-ethics-risk/submissions/:id", "[\"study.ethics.view\"]"],
+	["route_api_study_ethics_submission_document_diff_get", "GET", "/api/study-ethics-risk/submissions/:id/diff", "[\"study.ethics.view\"]"],
+	["route_api_study_ethics_submission_document_rendition_get", "GET", "/api/study-ethics-risk/submissions/:id/rendition", "[\"study.ethics.view\"]"]
 ];
 
 async function ensureStudySupportAuthDeclarations(env) {
@@ -546,25 +646,57 @@ async function ensureResearchDataAuthDeclarations(env) {
 
 function researchDataRoutePermissionRequest(request, apiPath) {
 	if (apiPath.match(/^\/api\/projects\/([^/]+)$/)) return requestForRoutePermission(request, "/api/projects/:id");
+	if (apiPath.match(/^\/api\/studies\/([^/]+)\/sessions\.ics$/)) return requestForRoutePermission(request, "/api/studies/:id/sessions.ics");
 	if (apiPath.match(/^\/api\/studies\/([^/]+)$/)) return requestForRoutePermission(request, "/api/studies/:id");
+	if (apiPath.match(/^\/api\/calendar-feeds\/([^/]+)$/)) return requestForRoutePermission(request, "/api/calendar-feeds/:id");
+	if (apiPath.match(/^\/api\/booking\/slots\/([^/]+)$/)) return requestForRoutePermission(request, "/api/booking/slots/:id");
+	if (apiPath.match(/^\/api\/booking\/bookings\/([^/]+)\/cancel$/)) return requestForRoutePermission(request, "/api/booking/bookings/:id/cancel");
 	if (apiPath.match(/^\/api\/journal-entries\/([^/]+)$/)) return requestForRoutePermission(request, "/api/journal-entries/:id");
 	if (apiPath.match(/^\/api\/excerpts\/([^/]+)$/)) return requestForRoutePermission(request, "/api/excerpts/:id");
 	if (apiPath.match(/^\/api\/memos\/([^/]+)$/)) return requestForRoutePermission(request, "/api/memos/:id");
 	if (apiPath.match(/^\/api\/codes\/([^/]+)$/)) return requestForRoutePermission(request, "/api/codes/:id");
+	if (apiPath.match(/^\/api\/analysis\/double-coding\/([^/]+)\/codings$/)) return requestForRoutePermission(request, "/api/analysis/double-coding/:id/codings");
+	if (apiPath.match(/^\/api\/analysis\/double-coding\/([^/]+)\/close$/)) return requestForRoutePermission(request, "/api/analysis/double-coding/:id/close");
+	if (apiPath.match(/^\/api\/analysis\/double-coding\/([^/]+)$/)) return requestForRoutePermission(request, "/api/analysis/double-coding/:id");
 	if (apiPath.match(/^\/api\/impact\/([^/]+)$/)) return requestForRoutePermission(request, "/api/impact/:id");
 	if (apiPath.match(/^\/api\/sourcebook\/clauses\/([^/]+)$/)) return requestForRoutePermission(request, "/api/sourcebook/clauses/:id");
 	if (apiPath.match(/^\/api\/guides\/([^/]+)\/publish$/)) return requestForRoutePermission(request, "/api/guides/:id/publish");
+	if (apiPath.match(/^\/api\/guides\/([^/]+)\/versions$/)) return requestForRoutePermission(request, "/api/guides/:id/versions");
+	if (apiPath.match(/^\/api\/guides\/([^/]+)\/versions\/([^/]+)$/)) return requestForRoutePermission(request, "/api/guides/:id/versions/:versionId");
+	if (apiPath.match(/^\/api\/guides\/([^/]+)\/export$/)) return requestForRoutePermission(request, "/api/guides/:id/export");
+	if (apiPath.match(/^\/api\/guides\/([^/]+)\/running-order$/)) return requestForRoutePermission(request, "/api/guides/:id/running-order");
 	if (apiPath.match(/^\/api\/guides\/([^/]+)$/)) return requestForRoutePermission(request, "/api/guides/:id");
+	if (apiPath === "/api/partials/graph") return request;
+	if (apiPath.match(/^\/api\/partials\/([^/]+)\/usage$/)) return requestForRoutePermission(request, "/api/partials/:id/usage");
+	if (apiPath.match(/^\/api\/partials\/([^/]+)\/versions$/)) return requestForRoutePermission(request, "/api/partials/:id/versions");
 	if (apiPath.match(/^\/api\/partials\/([^/]+)$/)) return requestForRoutePermission(request, "/api/partials/:id");
 	if (apiPath.match(/^\/api\/sessions\/([^/]+)\/ics$/)) return requestForRoutePermission(request, "/api/sessions/:id/ics");
+	if (apiPath.match(/^\/api\/sessions\/([^/]+)\/guide-version$/)) return requestForRoutePermission(request, "/api/sessions/:id/guide-version");
+	if (apiPath.match(/^\/api\/sessions\/([^/]+)\/running-order$/)) return requestForRoutePermission(request, "/api/sessions/:id/running-order");
 	if (apiPath.match(/^\/api\/sessions\/([^/]+)$/)) return requestForRoutePermission(request, "/api/sessions/:id");
 	if (apiPath.match(/^\/api\/session-notes\/([^/]+)$/)) return requestForRoutePermission(request, "/api/session-notes/:id");
 	if (apiPath.match(/^\/api\/card-sorts\/results\/([^/]+)$/)) return requestForRoutePermission(request, "/api/card-sorts/results/:id");
 	if (apiPath.match(/^\/api\/tree-tests\/results\/([^/]+)$/)) return requestForRoutePermission(request, "/api/tree-tests/results/:id");
+	if (apiPath.match(/^\/api\/synthesis\/clusters\/([^/]+)\/history$/)) return requestForRoutePermission(request, "/api/synthesis/clusters/:id/history");
+	if (apiPath.match(/^\/api\/synthesis\/clusters\/([^/]+)\/revert$/)) return requestForRoutePermission(request, "/api/synthesis/clusters/:id/revert");
 	if (apiPath.match(/^\/api\/synthesis\/clusters\/([^/]+)$/)) return requestForRoutePermission(request, "/api/synthesis/clusters/:id");
+	if (apiPath === "/api/consent-forms/reconsent-queue") return request;
 	if (apiPath.match(/^\/api\/consent-forms\/([^/]+)\/publish$/)) return requestForRoutePermission(request, "/api/consent-forms/:id/publish");
+	if (apiPath.match(/^\/api\/consent-forms\/([^/]+)\/diff$/)) return requestForRoutePermission(request, "/api/consent-forms/:id/diff");
 	if (apiPath.match(/^\/api\/consent-forms\/([^/]+)$/)) return requestForRoutePermission(request, "/api/consent-forms/:id");
+	if (apiPath === "/api/participant-consent/links") return request;
+	if (apiPath.match(/^\/api\/participant-consent\/links\/([^/]+)$/)) return requestForRoutePermission(request, "/api/participant-consent/links/:id");
+	if (apiPath.match(/^\/api\/participant-consent\/([^/]+)\/verify$/)) return requestForRoutePermission(request, "/api/participant-consent/:id/verify");
+	if (apiPath.match(/^\/api\/consent-withdrawals\/([^/]+)\/report$/)) return requestForRoutePermission(request, "/api/consent-withdrawals/:id/report");
+	if (apiPath.match(/^\/api\/consent-withdrawals\/([^/]+)\/run$/)) return requestForRoutePermission(request, "/api/consent-withdrawals/:id/run");
+	if (apiPath.match(/^\/api\/retention\/runs\/([^/]+)$/)) return requestForRoutePermission(request, "/api/retention/runs/:id");
+	if (apiPath.match(/^\/api\/legal-holds\/([^/]+)\/release$/)) return requestForRoutePermission(request, "/api/legal-holds/:id/release");
+	if (apiPath.match(/^\/api\/participants\/([^/]+)\/sar-export$/)) return requestForRoutePermission(request, "/api/participants/:id/sar-export");
+	if (apiPath.match(/^\/api\/panel\/members\/([^/]+)$/)) return requestForRoutePermission(request, "/api/panel/members/:id");
+	if (apiPath.match(/^\/api\/panel\/screeners\/([^/]+)\/responses$/)) return requestForRoutePermission(request, "/api/panel/screeners/:id/responses");
 	if (apiPath.match(/^\/api\/participant-consent\/([^/]+)$/)) return requestForRoutePermission(request, "/api/participant-consent/:id");
+	if (apiPath.match(/^\/api\/study-ethics-risk\/submissions\/([^/]+)\/diff$/)) return requestForRoutePermission(request, "/api/study-ethics-risk/submissions/:id/diff");
+	if (apiPath.match(/^\/api\/study-ethics-risk\/submissions\/([^/]+)\/rendition$/)) return requestForRoutePermission(request, "/api/study-ethics-risk/submissions/:id/rendition");
 	if (apiPath.match(/^\/api\/study-ethics-risk\/submissions\/([^/]+)$/)) return requestForRoutePermission(request, "/api/study-ethics-risk/submissions/:id");
 	return request;
 }
@@ -727,6 +859,12 @@ async function handleStudies(request, env, apiPath) {
 	const url = new URL(request.url);
 	const origin = request.headers.get("Origin") || "";
 	const service = serviceFor(env);
+	const feedMatch = apiPath.match(/^\/api\/studies\/([^/]+)\/sessions\.ics$/);
+	if (feedMatch && request.method === "GET") {
+		// Calendar clients cannot sign in; the feed token is checked by the service.
+		await assertFallbackApiRoutePermission(request, env, apiPath);
+		return service.studySessionsFeed(origin, url, decodeURIComponent(feedMatch[1]));
+	}
 	await assertResearchDataRoutePermission(request, env, apiPath);
 	if (apiPath === "/api/studies" && request.method === "GET") return service.listStudies(origin, url);
 	if (apiPath === "/api/studies" && request.method === "POST") return service.createStudy(request, origin);
@@ -735,20 +873,143 @@ async function handleStudies(request, env, apiPath) {
 	return new Response(JSON.stringify({ error: "Not found", path: apiPath }), { status: 404, headers: { "content-type": "application/json; charset=utf-8" } });
 }
 
+async function handleDoubleCoding(request, env, apiPath) {
+	const url = new URL(request.url);
+	const origin = request.headers.get("Origin") || "";
+	const service = serviceFor(env);
+	const authContext = await assertResearchDataRoutePermission(request, env, apiPath);
+	if (apiPath === "/api/analysis/agreement" && request.method === "GET") return service.agreementReport(origin, url);
+	if (apiPath === "/api/analysis/double-coding" && request.method === "GET") return service.listDoubleCodingSamples(origin, url, authContext);
+	if (apiPath === "/api/analysis/double-coding" && request.method === "POST") return service.createDoubleCodingSample(request, origin, authContext);
+	const codingsMatch = apiPath.match(/^\/api\/analysis\/double-coding\/([^/]+)\/codings$/);
+	if (codingsMatch && request.method === "POST") return service.saveDoubleCoding(request, origin, decodeURIComponent(codingsMatch[1]), authContext);
+	const closeMatch = apiPath.match(/^\/api\/analysis\/double-coding\/([^/]+)\/close$/);
+	if (closeMatch && request.method === "POST") return service.closeDoubleCodingSample(origin, decodeURIComponent(closeMatch[1]), authContext);
+	const match = apiPath.match(/^\/api\/analysis\/double-coding\/([^/]+)$/);
+	if (match && request.method === "GET") return service.getDoubleCodingSample(origin, decodeURIComponent(match[1]), authContext);
+	return new Response(JSON.stringify({ error: "Not found", path: apiPath }), { status: 404, headers: { "content-type": "application/json; charset=utf-8" } });
+}
+
+// Each search document type is visible only to callers who could read that
+// type's own list endpoint.
+const SEARCH_TYPE_ROUTES = [
+	["journal_entry", "/api/journal-entries"],
+	["session_note", "/api/session-notes"],
+	["memo", "/api/memos"],
+	["excerpt", "/api/excerpts"],
+	["code", "/api/codes"],
+	["repository_artefact", "/api/repository/artefacts"]
+];
+
+async function searchableTypesFor(request, env, authContext) {
+	await ensureRepositoryAuthDeclarations(env);
+	const listRequest = new Request(request.url, { method: "GET", headers: request.headers });
+	const types = [];
+	for (const [type, routePattern] of SEARCH_TYPE_ROUTES) {
+		try {
+			await assertRoutePermission(requestForRoutePermission(listRequest, routePattern), env, authContext);
+			types.push(type);
+		} catch (error) {
+			if (error?.status !== 401 && error?.status !== 403) throw error;
+		}
+	}
+	return types;
+}
+
+async function handleSearch(request, env, apiPath) {
+	const url = new URL(request.url);
+	const origin = request.headers.get("Origin") || "";
+	const service = serviceFor(env);
+	const authContext = await assertResearchDataRoutePermission(request, env, apiPath);
+	if (apiPath === "/api/search" && request.method === "GET") return service.searchResearchOps(origin, url, await searchableTypesFor(request, env, authContext));
+	if (apiPath === "/api/search/reindex" && request.method === "POST") return service.reindexSearch(origin);
+	return new Response(JSON.stringify({ error: "Not found", path: apiPath }), { status: 404, headers: { "content-type": "application/json; charset=utf-8" } });
+}
+
+async function handleCalendarFeeds(request, env, apiPath) {
+	const url = new URL(request.url);
+	const origin = request.headers.get("Origin") || "";
+	const service = serviceFor(env);
+	const authContext = await assertResearchDataRoutePermission(request, env, apiPath);
+	if (apiPath === "/api/calendar-feeds" && request.method === "GET") return service.listCalendarFeeds(origin, url, authContext);
+	if (apiPath === "/api/calendar-feeds" && request.method === "POST") return service.createCalendarFeed(request, origin, authContext);
+	const match = apiPath.match(/^\/api\/calendar-feeds\/([^/]+)$/);
+	if (match && request.method === "DELETE") return service.revokeCalendarFeed(origin, decodeURIComponent(match[1]), authContext);
+	return new Response(JSON.stringify({ error: "Not found", path: apiPath }), { status: 404, headers: { "content-type": "application/json; charset=utf-8" } });
+}
+
+async function handleGuideVersions(request, env, apiPath) {
+	const origin = request.headers.get("Origin") || "";
+	const service = serviceFor(env);
+	const authContext = await assertResearchDataRoutePermission(request, env, apiPath);
+	const publishMatch = apiPath.match(/^\/api\/guides\/([^/]+)\/publish$/);
+	if (publishMatch && request.method === "POST") return service.publishGuide(origin, decodeURIComponent(publishMatch[1]), authContext);
+	const versionsMatch = apiPath.match(/^\/api\/guides\/([^/]+)\/versions(?:\/([^/]+))?$/);
+	if (versionsMatch && request.method === "GET" && !versionsMatch[2]) return service.listGuideVersions(origin, decodeURIComponent(versionsMatch[1]));
+	if (versionsMatch && request.method === "GET") return service.readGuideVersion(origin, decodeURIComponent(versionsMatch[1]), decodeURIComponent(versionsMatch[2]));
+	const exportMatch = apiPath.match(/^\/api\/guides\/([^/]+)\/export$/);
+	if (exportMatch && request.method === "GET") return service.exportGuide(origin, decodeURIComponent(exportMatch[1]), new URL(request.url));
+	const runningOrderMatch = apiPath.match(/^\/api\/(guides|sessions)\/([^/]+)\/running-order$/);
+	if (runningOrderMatch && request.method === "GET" && runningOrderMatch[1] === "guides") return service.readGuideRunningOrder(origin, decodeURIComponent(runningOrderMatch[2]), new URL(request.url));
+	if (runningOrderMatch && request.method === "GET") return service.readSessionRunningOrder(origin, decodeURIComponent(runningOrderMatch[2]), new URL(request.url));
+	const sessionMatch = apiPath.match(/^\/api\/sessions\/([^/]+)\/guide-version$/);
+	if (sessionMatch && request.method === "GET") return service.readSessionGuideVersion(origin, decodeURIComponent(sessionMatch[1]));
+	if (sessionMatch && request.method === "PUT") return service.saveSessionGuideVersion(request, origin, decodeURIComponent(sessionMatch[1]), authContext);
+	return new Response(JSON.stringify({ error: "Not found", path: apiPath }), { status: 404, headers: { "content-type": "application/json; charset=utf-8" } });
+}
+
+async function handleSessionBooking(request, env, apiPath) {
+	const url = new URL(request.url);
+	const origin = request.headers.get("Origin") || "";
+	const service = serviceFor(env);
+	const authContext = await assertResearchDataRoutePermission(request, env, apiPath);
+	if (apiPath === "/api/booking/slots" && request.method === "GET") return service.listBookingSlots(origin, url);
+	if (apiPath === "/api/booking/slots" && request.method === "POST") return service.createBookingSlots(request, origin, authContext);
+	const slotMatch = apiPath.match(/^\/api\/booking\/slots\/([^/]+)$/);
+	if (slotMatch && request.method === "DELETE") return service.withdrawBookingSlot(origin, decodeURIComponent(slotMatch[1]));
+	if (apiPath === "/api/booking/settings" && request.method === "PUT") return service.saveBookingSettings(request, origin, authContext);
+	if (apiPath === "/api/booking/links" && request.method === "POST") return service.createBookingLink(request, origin, authContext);
+	const cancelMatch = apiPath.match(/^\/api\/booking\/bookings\/([^/]+)\/cancel$/);
+	if (cancelMatch && request.method === "POST") return service.cancelBookingByResearcher(request, origin, decodeURIComponent(cancelMatch[1]), authContext);
+	return new Response(JSON.stringify({ error: "Not found", path: apiPath }), { status: 404, headers: { "content-type": "application/json; charset=utf-8" } });
+}
+
+async function handleBookingPortal(request, env, apiPath) {
+	const url = new URL(request.url);
+	const origin = request.headers.get("Origin") || "";
+	const service = serviceFor(env);
+	// Participants cannot sign in; the booking link token is checked by the service.
+	await assertFallbackApiRoutePermission(request, env, apiPath);
+	if (apiPath === "/api/booking-portal" && request.method === "GET") return service.readBookingPortal(origin, url);
+	if (apiPath === "/api/booking-portal" && request.method === "POST") return service.submitBookingPortal(request, origin);
+	if (apiPath === "/api/booking-portal/cancel" && request.method === "POST") return service.cancelBookingPortal(request, origin);
+	if (apiPath === "/api/booking-portal/ics" && request.method === "GET") return service.bookingPortalIcs(origin, url);
+	return new Response(JSON.stringify({ error: "Not found", path: apiPath }), { status: 404, headers: { "content-type": "application/json; charset=utf-8" } });
+}
+
 async function handleSynthesis(request, env, apiPath) {
 	const url = new URL(request.url);
 	const origin = request.headers.get("Origin") || "";
 	const service = serviceFor(env);
-	await assertResearchDataRoutePermission(request, env, apiPath);
+	const authContext = await assertResearchDataRoutePermission(request, env, apiPath);
 	if (apiPath === "/api/synthesis/evidence" && request.method === "GET") return service.listSynthesisEvidence(origin, url);
 	if (apiPath === "/api/synthesis" && request.method === "GET") return service.listSynthesis(origin, url);
-	if (apiPath === "/api/synthesis/clusters" && request.method === "POST") return service.createSynthesisCluster(request, origin, url);
-	if (apiPath === "/api/synthesis/themes" && request.method === "POST") return service.createSynthesisTheme(request, origin, url);
+	if (apiPath === "/api/synthesis/clusters" && request.method === "POST") return service.createSynthesisCluster(request, origin, url, authContext);
+	if (apiPath === "/api/synthesis/themes" && request.method === "POST") return service.createSynthesisTheme(request, origin, url, authContext);
+	if (apiPath === "/api/synthesis/import" && request.method === "POST") return service.importSynthesisState(origin, url);
+	if (apiPath === "/api/synthesis/mural-export" && request.method === "POST") return service.exportSynthesisToMural(request, origin, url, authContext);
+	if (apiPath === "/api/synthesis/mural-import" && request.method === "POST") return service.importSynthesisFromMural(request, origin, url, authContext);
+	const historyMatch = apiPath.match(/^\/api\/synthesis\/clusters\/([^/]+)\/(history|revert)$/);
+	if (historyMatch) {
+		const clusterId = decodeURIComponent(historyMatch[1]);
+		if (historyMatch[2] === "history" && request.method === "GET") return service.listSynthesisClusterHistory(origin, url, clusterId);
+		if (historyMatch[2] === "revert" && request.method === "POST") return service.revertSynthesisCluster(request, origin, url, clusterId, authContext);
+	}
 	const clusterMatch = apiPath.match(/^\/api\/synthesis\/clusters\/([^/]+)$/);
 	if (clusterMatch) {
 		const clusterId = decodeURIComponent(clusterMatch[1]);
-		if (request.method === "PATCH") return service.updateSynthesisCluster(request, origin, url, clusterId);
-		if (request.method === "DELETE") return service.deleteSynthesisCluster(origin, url, clusterId);
+		if (request.method === "PATCH") return service.updateSynthesisCluster(request, origin, url, clusterId, authContext);
+		if (request.method === "DELETE") return service.deleteSynthesisCluster(request, origin, url, clusterId, authContext);
 	}
 	return new Response(JSON.stringify({ error: "Not found", path: apiPath }), { status: 404, headers: { "content-type": "application/json; charset=utf-8" } });
 }
@@ -760,6 +1021,9 @@ async function handleConsentForms(request, env, apiPath) {
 	await assertResearchDataRoutePermission(request, env, apiPath);
 	if (apiPath === "/api/consent-forms" && request.method === "GET") return service.listConsentForms(origin, url);
 	if (apiPath === "/api/consent-forms" && request.method === "POST") return service.createConsentForm(request, origin);
+	if (apiPath === "/api/consent-forms/reconsent-queue" && request.method === "GET") return service.listReconsentQueue(origin, url);
+	const diffMatch = apiPath.match(/^\/api\/consent-forms\/([^/]+)\/diff$/);
+	if (diffMatch && request.method === "GET") return service.diffConsentFormVersions(origin, decodeURIComponent(diffMatch[1]), url);
 	const match = apiPath.match(/^\/api\/consent-forms\/([^/]+)(\/publish)?$/);
 	if (!match) return new Response(JSON.stringify({ error: "Not found", path: apiPath }), { status: 404, headers: { "content-type": "application/json; charset=utf-8" } });
 	const id = decodeURIComponent(match[1]);
@@ -774,11 +1038,93 @@ async function handleParticipantConsent(request, env, apiPath) {
 	const url = new URL(request.url);
 	const origin = request.headers.get("Origin") || "";
 	const service = serviceFor(env);
-	await assertResearchDataRoutePermission(request, env, apiPath);
+	const authContext = await assertResearchDataRoutePermission(request, env, apiPath);
 	if (apiPath === "/api/participant-consent" && request.method === "GET") return service.listParticipantConsent(origin, url);
-	if (apiPath === "/api/participant-consent" && request.method === "POST") return service.createParticipantConsent(request, origin);
+	if (apiPath === "/api/participant-consent" && request.method === "POST") return service.createParticipantConsent(request, origin, authContext);
+	if (apiPath === "/api/participant-consent/links" && request.method === "GET") return service.listConsentLinks(origin, url);
+	if (apiPath === "/api/participant-consent/links" && request.method === "POST") return service.createConsentLink(request, origin, authContext);
+	const linkMatch = apiPath.match(/^\/api\/participant-consent\/links\/([^/]+)$/);
+	if (linkMatch && request.method === "DELETE") return service.revokeConsentLink(origin, decodeURIComponent(linkMatch[1]));
+	const verifyMatch = apiPath.match(/^\/api\/participant-consent\/([^/]+)\/verify$/);
+	if (verifyMatch && request.method === "GET") return service.verifyParticipantConsentRecord(origin, decodeURIComponent(verifyMatch[1]));
 	const match = apiPath.match(/^\/api\/participant-consent\/([^/]+)$/);
-	if (match && request.method === "PATCH") return service.updateParticipantConsent(request, origin, decodeURIComponent(match[1]));
+	if (match && request.method === "PATCH") return service.updateParticipantConsent(request, origin, decodeURIComponent(match[1]), authContext);
+	return new Response(JSON.stringify({ error: "Not found", path: apiPath }), { status: 404, headers: { "content-type": "application/json; charset=utf-8" } });
+}
+
+async function handleConsentWithdrawals(request, env, apiPath) {
+	const url = new URL(request.url);
+	const origin = request.headers.get("Origin") || "";
+	const service = serviceFor(env);
+	const authContext = await assertResearchDataRoutePermission(request, env, apiPath);
+	if (apiPath === "/api/consent-withdrawals" && request.method === "GET") return service.listConsentWithdrawals(origin, url);
+	const reportMatch = apiPath.match(/^\/api\/consent-withdrawals\/([^/]+)\/report$/);
+	if (reportMatch && request.method === "GET") return service.readConsentWithdrawalReport(origin, decodeURIComponent(reportMatch[1]), url);
+	const runMatch = apiPath.match(/^\/api\/consent-withdrawals\/([^/]+)\/run$/);
+	if (runMatch && request.method === "POST") return service.rerunConsentWithdrawal(origin, decodeURIComponent(runMatch[1]), authContext);
+	return new Response(JSON.stringify({ error: "Not found", path: apiPath }), { status: 404, headers: { "content-type": "application/json; charset=utf-8" } });
+}
+
+async function handleRetention(request, env, apiPath) {
+	const url = new URL(request.url);
+	const origin = request.headers.get("Origin") || "";
+	const service = serviceFor(env);
+	await assertResearchDataRoutePermission(request, env, apiPath);
+	if (apiPath === "/api/retention/preview" && request.method === "GET") return service.previewRetention(origin, url);
+	if (apiPath === "/api/retention/runs" && request.method === "GET") return service.listRetentionRuns(origin, url);
+	const runMatch = apiPath.match(/^\/api\/retention\/runs\/([^/]+)$/);
+	if (runMatch && request.method === "GET") return service.readRetentionRun(origin, decodeURIComponent(runMatch[1]));
+	return new Response(JSON.stringify({ error: "Not found", path: apiPath }), { status: 404, headers: { "content-type": "application/json; charset=utf-8" } });
+}
+
+async function handleLegalHolds(request, env, apiPath) {
+	const url = new URL(request.url);
+	const origin = request.headers.get("Origin") || "";
+	const service = serviceFor(env);
+	const authContext = await assertResearchDataRoutePermission(request, env, apiPath);
+	if (apiPath === "/api/legal-holds" && request.method === "GET") return service.listLegalHolds(origin, url);
+	if (apiPath === "/api/legal-holds" && request.method === "POST") return service.createLegalHold(request, origin, authContext);
+	const releaseMatch = apiPath.match(/^\/api\/legal-holds\/([^/]+)\/release$/);
+	if (releaseMatch && request.method === "POST") return service.releaseLegalHold(request, origin, decodeURIComponent(releaseMatch[1]), authContext);
+	return new Response(JSON.stringify({ error: "Not found", path: apiPath }), { status: 404, headers: { "content-type": "application/json; charset=utf-8" } });
+}
+
+async function handleParticipantSarExport(request, env, apiPath) {
+	const origin = request.headers.get("Origin") || "";
+	const service = serviceFor(env);
+	const authContext = await assertResearchDataRoutePermission(request, env, apiPath);
+	const match = apiPath.match(/^\/api\/participants\/([^/]+)\/sar-export$/);
+	if (match && request.method === "POST") return service.exportParticipantSar(request, origin, decodeURIComponent(match[1]), authContext);
+	return new Response(JSON.stringify({ error: "Not found", path: apiPath }), { status: 404, headers: { "content-type": "application/json; charset=utf-8" } });
+}
+
+async function handleParticipantPanel(request, env, apiPath) {
+	const url = new URL(request.url);
+	const origin = request.headers.get("Origin") || "";
+	const service = serviceFor(env);
+	const authContext = await assertResearchDataRoutePermission(request, env, apiPath);
+	if (apiPath === "/api/panel/members" && request.method === "GET") return service.listPanelMembers(origin, url);
+	if (apiPath === "/api/panel/members" && request.method === "POST") return service.createPanelMember(request, origin, authContext);
+	const memberMatch = apiPath.match(/^\/api\/panel\/members\/([^/]+)$/);
+	if (memberMatch && request.method === "PATCH") return service.updatePanelMember(request, origin, decodeURIComponent(memberMatch[1]));
+	if (apiPath === "/api/panel/screeners" && request.method === "GET") return service.listPanelScreeners(origin);
+	if (apiPath === "/api/panel/screeners" && request.method === "POST") return service.createPanelScreener(request, origin, authContext);
+	const responseMatch = apiPath.match(/^\/api\/panel\/screeners\/([^/]+)\/responses$/);
+	if (responseMatch && request.method === "POST") return service.recordScreenerResponse(request, origin, decodeURIComponent(responseMatch[1]), authContext);
+	if (apiPath === "/api/panel/quotas" && request.method === "GET") return service.listPanelQuotas(origin, url);
+	if (apiPath === "/api/panel/quotas" && request.method === "PUT") return service.savePanelQuotas(request, origin, authContext);
+	if (apiPath === "/api/panel/invites" && request.method === "POST") return service.invitePanelMembers(request, origin, authContext);
+	return new Response(JSON.stringify({ error: "Not found", path: apiPath }), { status: 404, headers: { "content-type": "application/json; charset=utf-8" } });
+}
+
+async function handleConsentPortal(request, env, apiPath) {
+	const url = new URL(request.url);
+	const origin = request.headers.get("Origin") || "";
+	const service = serviceFor(env);
+	// Participants cannot sign in; the signed link token is checked by the service.
+	await assertFallbackApiRoutePermission(request, env, apiPath);
+	if (request.method === "GET") return service.readConsentPortal(origin, url);
+	if (request.method === "POST") return service.submitConsentPortal(request, origin);
 	return new Response(JSON.stringify({ error: "Not found", path: apiPath }), { status: 404, headers: { "content-type": "application/json; charset=utf-8" } });
 }
 
@@ -861,9 +1207,28 @@ async function handleStudyEthicsRisk(request, env, apiPath) {
 	const service = serviceFor(env);
 	const authContext = await assertResearchDataRoutePermission(request, env, apiPath);
 
+	if (apiPath === "/api/study-ethics-risk" && request.method === "GET") return service.readStudyEthicsRisk(origin, new URL(request.url), authContext);
+	if (apiPath === "/api/study-ethics-risk" && request.method === "POST") return service.recordStudyEthicsRisk(request, origin, authContext);
+	if (apiPath === "/api/study-ethics-risk/submit" && request.method === "POST") return service.submitStudyEthicsRisk(request, origin, authContext);
+	if (apiPath === "/api/study-ethics-risk/decisions" && request.method === "POST") return service.decideStudyEthicsRisk(request, origin, authContext);
+	if (apiPath === "/api/study-ethics-risk/reviews" && request.method === "GET") return service.listStudyEthicsReviews(origin, new URL(request.url));
+
 	if (apiPath === "/api/study-ethics-risk/submissions" && request.method === "POST") {
 		return service.createEthicsSubmissionDocument(request, origin, authContext);
 	}
+	if (apiPath === "/api/study-ethics-risk/submissions" && request.method === "GET") {
+		return service.listEthicsSubmissionDocuments(origin, new URL(request.url));
+	}
+
+	const diffMatch = apiPath.match(/^\/api\/study-ethics-risk\/submissions\/([^/]+)\/diff$/);
+	if (diffMatch && request.method === "GET") {
+		return service.diffEthicsSubmissionDocument(origin, decodeURIComponent(diffMatch[1]), new URL(request.url));
+	}
+
+	const renditionMatch = apiPath.match(/^\/api\/study-ethics-risk\/submissions\/([^/]+)\/rendition$/);
+	if (renditionMatch && request.method === "GET") {
+		return service.readEthicsSubmissionRendition(origin, decodeURIComponent(renditionMatch[1]), new URL(request.url));
+	}
 
 	const documentMatch = apiPath.match(/^\/api\/study-ethics-risk\/submissions\/([^/]+)$/);
 	if (documentMatch && request.method === "GET") {
@@ -891,6 +1256,7 @@ async function handleMural(request, env, apiPath) {
 	if (apiPath === "/api/mural/resolve" && request.method === "GET") return service.mural.muralResolve(origin, url, authContext);
 	if (apiPath === "/api/mural/setup" && request.method === "POST") return service.mural.muralSetup(request, origin, authContext);
 	if (apiPath === "/api/mural/journal-sync" && request.method === "POST") return service.mural.muralJournalSync(request, origin, authContext);
+	if (apiPath === "/api/mural/journal-import" && request.method === "POST") return service.mural.muralJournalImport(request, origin, authContext);
 	if (apiPath === "/api/mural/workspaces" && request.method === "GET") return service.mural.muralListWorkspaces(origin, url, authContext);
 	if (apiPath === "/api/mural/me" && request.method === "GET") return service.mural.muralMe(origin, url, authContext);
 	if (apiPath === "/api/mural/find" && request.method === "GET" && typeof service.mural.muralFind === "function") return service.mural.muralFind(origin, url);
@@ -924,10 +1290,22 @@ export default {
 			else if ((method === "GET" || method === "POST") && apiPath === "/api/projects") result = await handleProjects(request, env);
 			else if (apiPath.startsWith("/api/projects/")) result = await handleProjectRecord(request, env, apiPath, ctx);
 			else if (apiPath === "/api/studies" || apiPath.startsWith("/api/studies/")) result = await handleStudies(request, env, apiPath);
+			else if (apiPath === "/api/search" || apiPath.startsWith("/api/search/")) result = await handleSearch(request, env, apiPath);
+			else if (apiPath === "/api/analysis/agreement" || apiPath === "/api/analysis/double-coding" || apiPath.startsWith("/api/analysis/double-coding/")) result = await handleDoubleCoding(request, env, apiPath);
+			else if (apiPath === "/api/calendar-feeds" || apiPath.startsWith("/api/calendar-feeds/")) result = await handleCalendarFeeds(request, env, apiPath);
+			else if (/^\/api\/guides\/[^/]+\/(publish|export|running-order|versions(\/[^/]+)?)$/.test(apiPath) || /^\/api\/sessions\/[^/]+\/(guide-version|running-order)$/.test(apiPath)) result = await handleGuideVersions(request, env, apiPath);
+			else if (apiPath.startsWith("/api/booking/")) result = await handleSessionBooking(request, env, apiPath);
+			else if (apiPath === "/api/booking-portal" || apiPath.startsWith("/api/booking-portal/")) result = await handleBookingPortal(request, env, apiPath);
 			else if (apiPath === "/api/synthesis" || apiPath.startsWith("/api/synthesis/")) result = await handleSynthesis(request, env, apiPath);
 			else if (apiPath === "/api/consent-forms" || apiPath.startsWith("/api/consent-forms/")) result = await handleConsentForms(request, env, apiPath);
 				else if (apiPath === "/api/participant-consent" || apiPath.startsWith("/api/participant-consent/")) result = await handleParticipantConsent(request, env, apiPath);
-				else if (apiPath === "/api/study-ethics-risk/submissions" || apiPath.startsWith("/api/study-ethics-risk/submissions/")) result = await handleStudyEthicsRisk(request, env, apiPath);
+				else if (apiPath === "/api/consent-withdrawals" || apiPath.startsWith("/api/consent-withdrawals/")) result = await handleConsentWithdrawals(request, env, apiPath);
+				else if (apiPath === "/api/retention/preview" || apiPath === "/api/retention/runs" || apiPath.startsWith("/api/retention/runs/")) result = await handleRetention(request, env, apiPath);
+				else if (apiPath === "/api/legal-holds" || apiPath.startsWith("/api/legal-holds/")) result = await handleLegalHolds(request, env, apiPath);
+				else if (/^\/api\/participants\/[^/]+\/sar-export$/.test(apiPath)) result = await handleParticipantSarExport(request, env, apiPath);
+				else if (apiPath.startsWith("/api/panel/")) result = await handleParticipantPanel(request, env, apiPath);
+				else if (apiPath === "/api/consent-portal") result = await handleConsentPortal(request, env, apiPath);
+				else if (apiPath === "/api/study-ethics-risk" || apiPath.startsWith("/api/study-ethics-risk/")) result = await handleStudyEthicsRisk(request, env, apiPath);
 				else if (apiPath === "/api/study-support" || apiPath.startsWith("/api/study-support/")) result = await handleStudySupport(request, env, apiPath);
 				else if (apiPath === "/api/repository" || apiPath.startsWith("/api/repository/")) result = await handleRepository(request, env, apiPath);
 				else if (apiPath === "/api/sourcebook" || apiPath.startsWith("/api/sourcebook/")) result = await handleSourcebook(request, env, apiPath);
@@ -946,6 +1324,11 @@ export default {
 	},
 
 	async scheduled(event, env, ctx) {
-		ctx.waitUntil(enforceRetention(env, { scheduledTime: event?.scheduledTime || Date.now() }));
+		const scheduledTime = event?.scheduledTime || Date.now();
+		if (!event?.cron || event.cron === RETENTION_CRON) ctx.waitUntil(enforceRetention(env, { scheduledTime }));
+		const service = serviceFor(env);
+		ctx.waitUntil(service.runSessionReminders({ now: scheduledTime }).then(() => service.drainCommsOutbox({ now: scheduledTime })));
+		ctx.waitUntil(service.drainConsentWithdrawals({ now: scheduledTime }));
+		ctx.waitUntil(service.refreshSearchIndex());
 	}
 };
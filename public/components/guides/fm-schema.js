@@ -15,6 +15,7 @@ export const FM_SCHEMA_V1 = {
 
 		round: { type: "integer", minimum: 1, default: 1 },
 		timebox: { type: "integer", minimum: 10, maximum: 240, default: 60, description: "Minutes" },
+		timings: { type: "array", items: { type: "string" }, default: [], description: "Section durations as \"Heading: minutes\"" },
 
 		roles: { type: "array", items: { type: "string" }, default: ["Facilitator", "Notetaker"] },
 
@@ -9,6 +9,8 @@
  * - Save: PATCH/POST { title, sourceMarkdown, variables }
  * - Drawers are mutually exclusive: opening **Variables** closes **Pattern/Tag**; opening **Pattern** closes **Variables/Tag**; opening **Tag** closes **Variables/Pattern**.
  * - Variables drawer provides independent “Save variables” (PATCH variables only) and “Discard” to revert to last saved values.
+ * - Publish sends the rendered Markdown so the server can freeze it; version history lists the
+ *   published snapshots and compares any two side by side.
  *
  * @requires /lib/mustache.min.js
  * @requires /lib/marked.min.js
@@ -19,6 +21,7 @@
  * @requires /components/guides/pattern-controller.js
  * @requires /components/guides/patterns.js
  * @requires /components/guides/variable-manager.js
+ * @requires /components/guides/version-diff.js
  */
 
 import { marked } from '/lib/marked.min.js';
@@ -38,6 +41,7 @@ import {
 import { listStarterPatterns } from '/components/guides/patterns.js?v=study-guides-delete-confirmation-20260605';
 import { createPatternController } from '/components/guides/pattern-controller.js';
 import { VariableManager } from '/components/guides/variable-manager.js?v=study-guides-delete-confirmation-20260605';
+import { diffLines, sideBySideRows } from '/components/guides/version-diff.js';
 
 const logger = globalThis.ResearchOpsLogger?.create('guides') || { debug() {} };
 
@@ -664,6 +668,7 @@ async function startNewGuide() {
 
 		// JSON-only: clear variables drawer
 		populateVariablesFormEnhanced({});
+		loadGuideVersions(null);
 
 		await preview();
 		validateGuide();
@@ -761,6 +766,7 @@ async function openGuide(id) {
 
 		await preview();
 		validateGuide();
+		loadGuideVersions(guide.id);
 		announce(`Opened guide "${guide.title || 'Untitled'}"`);
 	} catch (e) {
 		console.warn(e);
@@ -786,6 +792,40 @@ async function preview() {
 		return;
 	}
 
+	const { context, partials } = await buildRenderInputs(source);
+
+	// Render. If for any reason html comes back falsy, fall back to raw markdown.
+	let html = '';
+	try {
+		const out = await renderGuide({ source, context, partials });
+		html = out && typeof out.html === 'string' ? out.html : '';
+	} catch (e) {
+		console.warn('renderGuide failed; falling back to raw markdown', e);
+		html = ''; // will be replaced by fallback below
+	}
+
+	if (!html.trim()) {
+		// Fallback: show the user's markdown as-is (sanitized), so the panel is never blank
+		try {
+			const md = marked.parse(source);
+			prev.innerHTML = DOMPurify.sanitize(md);
+		} catch {
+			prev.textContent = source; // last-resort, plain text
+		}
+	} else {
+		prev.innerHTML = html;
+	}
+
+	// Lints still run against the computed context/partials
+	runLints({ source, context, partials });
+}
+
+/**
+ * Mustache context and partials for rendering the current editor source.
+ * @param {string} source front-matter already stripped
+ * @returns {Promise<{ context: Record<string, any>, partials: Record<string, string> }>}
+ */
+async function buildRenderInputs(source) {
 	const ctx = __guideCtx || {};
 	const project = ensureProjectName(ctx.project || {});
 	const study = ensureStudyTitle(ctx.study || {});
@@ -804,7 +844,7 @@ async function preview() {
 		meta: vars,
 	};
 
-	// Try building any referenced partials, but don't fail preview if they 404
+	// Try building any referenced partials, but don't fail rendering if they 404
 	const names = collectPartialNames(source);
 	let partials = {};
 	try {
@@ -813,31 +853,7 @@ async function preview() {
 		console.warn('buildPartials failed; rendering without partials', e);
 		partials = {};
 	}
-
-	// Render. If for any reason html comes back falsy, fall back to raw markdown.
-	let html = '';
-	try {
-		const out = await renderGuide({ source, context, partials });
-		html = out && typeof out.html === 'string' ? out.html : '';
-	} catch (e) {
-		console.warn('renderGuide failed; falling back to raw markdown', e);
-		html = ''; // will be replaced by fallback below
-	}
-
-	if (!html.trim()) {
-		// Fallback: show the user's markdown as-is (sanitized), so the panel is never blank
-		try {
-			const md = marked.parse(source);
-			prev.innerHTML = DOMPurify.sanitize(md);
-		} catch {
-			prev.textContent = source; // last-resort, plain text
-		}
-	} else {
-		prev.innerHTML = html;
-	}
-
-	// Lints still run against the computed context/partials
-	runLints({ source, context, partials });
+	return { context, partials };
 }
 
 /* -------------------- save / publish -------------------- */
@@ -905,12 +921,143 @@ async function onPublish() {
 		$('#guide-status').textContent = 'published';
 		announce(`Published "${title || 'Untitled'}"`);
 		loadGuides(sid);
+		loadGuideVersions(id);
 	} else {
 		const msg = await res.text().catch(() => '');
 		announce(`Publish failed: ${res.status} ${msg || ''}`.trim());
 	}
 }
 
+/* -------------------- version history -------------------- */
+
+let __guideVersions = [];
+
+/**
+ * List published snapshots for the open guide and fill the compare selects.
+ * @param {string|null} guideId
+ */
+async function loadGuideVersions(guideId) {
+	const section = $('#guide-versions-section');
+	const tbody = $('#guide-versions-tbody');
+	const diff = $('#guide-diff');
+	if (!section || !tbody) return;
+	__guideVersions = [];
+	if (diff) diff.innerHTML = '';
+	section.hidden = !guideId;
+	if (!guideId) return;
+
+	let versions = [];
+	try {
+		const js = await fetchJSON(
+			`/api/guides/${encodeURIComponent(guideId)}/versions`,
+			{},
+			{ emptyAs: { versions: [] } }
+		);
+		versions = Array.isArray(js?.versions) ? js.versions : [];
+	} catch (err) {
+		console.warn('loadGuideVersions failed', err);
+		tbody.innerHTML = `<tr class="govuk-table__row"><td class="govuk-table__cell" colspan="4">Version history could not be loaded.</td></tr>`;
+		return;
+	}
+	if (guideId !== __openGuideId) return;
+	__guideVersions = versions;
+
+	tbody.innerHTML = versions.length
+		? versions
+				.map(
+					(v) => `<tr class="govuk-table__row">
+						<td class="govuk-table__cell">Version ${escapeHtml(String(v.version))}</td>
+						<td class="govuk-table__cell">${escapeHtml(formatPublishedAt(v.published_at))}</td>
+						<td class="govuk-table__cell">${escapeHtml(v.published_by || 'Not recorded')}</td>
+						<td class="govuk-table__cell govuk-table__cell--numeric">${escapeHtml(String(v.session_count || 0))}</td>
+					</tr>`
+				)
+				.join('')
+		: `<tr class="govuk-table__row"><td class="govuk-table__cell" colspan="4">This guide has not been published yet.</td></tr>`;
+
+	const options = versions
+		.map(
+			(v) =>
+				`<option value="${escapeHtml(String(v.version))}">Version ${escapeHtml(String(v.version))}</option>`
+		)
+		.join('');
+	const fromEl = $('#guide-diff-from');
+	const toEl = $('#guide-diff-to');
+	if (fromEl) fromEl.innerHTML = options;
+	if (toEl) toEl.innerHTML = options;
+	// Default to the previous version against the latest
+	if (fromEl && versions[1]) fromEl.value = String(versions[1].version);
+	if (toEl && versions[0]) toEl.value = String(versions[0].version);
+	const compare = $('#guide-diff-form');
+	if (compare) compare.hidden = versions.length < 2;
+}
+
+function formatPublishedAt(iso) {
+	const d = new Date(iso || '');
+	if (Number.isNaN(d.getTime())) return '';
+	return d.toLocaleString('en-GB', {
+		day: 'numeric',
+		month: 'long',
+		year: 'numeric',
+		hour: '2-digit',
+		minute: '2-digit',
+	});
+}
+
+async function onCompareVersions(e) {
+	if (e) e.preventDefault();
+	const id = __openGuideId;
+	const diff = $('#guide-diff');
+	const from = $('#guide-diff-from')?.value || '';
+	const to = $('#guide-diff-to')?.value || '';
+	if (!id || !diff || !from || !to) return;
+	if (from === to) {
+		diff.innerHTML = `<p class="govuk-body">Choose two different versions to compare.</p>`;
+		return;
+	}
+
+	let before;
+	let after;
+	try {
+		const read = (version) =>
+			fetchJSON(`/api/guides/${encodeURIComponent(id)}/versions/${encodeURIComponent(version)}`);
+		const [a, b] = await Promise.all([read(from), read(to)]);
+		before = a?.version;
+		after = b?.version;
+	} catch (err) {
+		console.warn('compare versions failed', err);
+		diff.innerHTML = `<p class="govuk-body">The versions could not be loaded. Try again.</p>`;
+		return;
+	}
+	if (!before || !after) return;
+
+	const rows = sideBySideRows(diffLines(before.rendered_markdown, after.rendered_markdown));
+	const changed = rows.filter((row) => row.left?.type !== 'same').length;
+	const cell = (side, label) => {
+		if (!side)
+			return `<td class="govuk-table__cell guide-diff__cell guide-diff__cell--empty"></td>`;
+		const marker =
+			side.type === 'same' ? '' : `<span class="govuk-visually-hidden">${label}: </span>`;
+		return `<td class="govuk-table__cell guide-diff__cell guide-diff__cell--${side.type}"><span class="guide-diff__line" aria-hidden="true">${side.line}</span>${marker}${escapeHtml(side.text) || '&nbsp;'}</td>`;
+	};
+
+	diff.innerHTML = `
+		<p class="govuk-body" id="guide-diff-summary">${changed ? `${changed} ${changed === 1 ? 'line differs' : 'lines differ'}` : 'The published text is the same'} between version ${escapeHtml(String(before.version))} and version ${escapeHtml(String(after.version))}.</p>
+		<table class="govuk-table guide-diff__table">
+			<caption class="govuk-table__caption govuk-table__caption--s govuk-visually-hidden">Published text of version ${escapeHtml(String(before.version))} and version ${escapeHtml(String(after.version))}</caption>
+			<thead class="govuk-table__head">
+				<tr class="govuk-table__row">
+					<th class="govuk-table__header" scope="col">Version ${escapeHtml(String(before.version))}</th>
+					<th class="govuk-table__header" scope="col">Version ${escapeHtml(String(after.version))}</th>
+				</tr>
+			</thead>
+			<tbody class="govuk-table__body">
+				${rows.map((row) => `<tr class="govuk-table__row">${cell(row.left, 'Removed')}${cell(row.right, 'Added')}</tr>`).join('')}
+			</tbody>
+		</table>`;
+	announce(`Compared version ${before.version} with version ${after.version}`);
+}
+
 async function onSaveVariablesOnly() {
 	try {
 		const id = window.__openGuideId;
@@ -1128,6 +1275,11 @@ async function doExport(kind) {
 				break;
 
 			case 'html':
+				if (__openGuideId) {
+					await exportFromServer(__openGuideId, 'html', `${sanitized}.html`);
+					break;
+				}
+				// Unsaved guides can still be exported from the local preview
 				const previewEl = $('#guide-preview');
 				if (!previewEl) {
 					announce('Preview not available');
@@ -1139,19 +1291,12 @@ async function doExport(kind) {
 				break;
 
 			case 'pdf':
-				if (typeof window.jspdf === 'undefined') {
-					announce('PDF export not available (library missing)');
-					return;
-				}
-				await exportPdf(title);
-				break;
-
 			case 'docx':
-				if (typeof window.docx === 'undefined') {
-					announce('DOCX export not available (library missing)');
+				if (!__openGuideId) {
+					announce('Save the guide before exporting.');
 					return;
 				}
-				await exportDocx(source, title);
+				await exportFromServer(__openGuideId, kind, `${sanitized}.${kind}`);
 				break;
 
 			default:
@@ -1163,8 +1308,33 @@ async function doExport(kind) {
 	}
 }
 
+/**
+ * Download the saved guide rendered on the server, with its variables,
+ * partials and timing notes applied.
+ * @param {string} guideId
+ * @param {'docx'|'pdf'|'html'} format
+ * @param {string} fallbackName used when the response has no filename
+ */
+async function exportFromServer(guideId, format, fallbackName) {
+	const res = await fetch(
+		`/api/guides/${encodeURIComponent(guideId)}/export?format=${encodeURIComponent(format)}`,
+		{ cache: 'no-store' }
+	);
+	if (!res.ok) {
+		const js = await res.json().catch(() => ({}));
+		throw new Error(js.message || js.error || `HTTP ${res.status}`);
+	}
+	const disposition = res.headers.get('content-disposition') || '';
+	const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+	downloadBlob(await res.blob(), filename);
+	announce(`Exported ${filename}`);
+}
+
 function downloadText(content, filename, mimeType) {
-	const blob = new Blob([content], { type: mimeType });
+	downloadBlob(new Blob([content], { type: mimeType }), filename);
+}
+
+function downloadBlob(blob, filename) {
 	const url = URL.createObjectURL(blob);
 	const a = document.createElement('a');
 	a.href = url;
@@ -1199,23 +1369,6 @@ function buildStandaloneHtml(bodyHtml, title) {
 </html>`;
 }
 
-async function exportPdf(title) {
-	const { jsPDF } = window.jspdf;
-	const doc = new jsPDF();
-
-	const preview = $('#guide-preview');
-	if (!preview) throw new Error('Preview not available');
-
-	const text = preview.textContent || '';
-	doc.text(text, 10, 10);
-	doc.save(`${title.replace(/[^a-z0-9]/gi, '-').toLowerCase()}.pdf`);
-	announce(`Exported ${title}.pdf`);
-}
-
-async function exportDocx() {
-	announce('DOCX export coming soon');
-}
-
 /* -------------------- misc helpers & lints -------------------- */
 
 function ensureStudyTitle(s) {
@@ -1499,6 +1652,9 @@ function wireGlobalActions() {
 	var importBtn = $('#btn-import');
 	if (importBtn) importBtn.addEventListener('click', importMarkdownFlow);
 
+	var diffForm = $('#guide-diff-form');
+	if (diffForm) diffForm.addEventListener('submit', onCompareVersions);
+
 	document.addEventListener('click', function (e) {
 		var t = e.target;
 		var hasClosest = t && typeof t.closest === 'function';
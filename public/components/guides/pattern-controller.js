@@ -177,9 +177,9 @@ export function createPatternController(deps) {
           </button>
         </div>
         <div class="govuk-button-group pattern-item__actions">
-          <button class="govuk-button govuk-button--secondary pattern-action-button" type="button" data-view="${escapeHtml(p.name)}">View</button>
-          <button class="govuk-button govuk-button--secondary pattern-action-button" type="button" data-edit="${escapeHtml(p.name)}">Edit</button>
-          <button class="govuk-button govuk-button--warning pattern-action-button" type="button" data-delete="${escapeHtml(p.name)}">Delete</button>
+          <button class="govuk-button govuk-button--secondary pattern-action-button" type="button" data-view="${escapeHtml(p.id || p.name)}">View</button>
+          <button class="govuk-button govuk-button--secondary pattern-action-button" type="button" data-edit="${escapeHtml(p.id || p.name)}">Edit</button>
+          <button class="govuk-button govuk-button--warning pattern-action-button" type="button" data-delete="${escapeHtml(p.id || p.name)}">Delete</button>
         </div>
       `;
 				ul.appendChild(li);
@@ -477,6 +477,9 @@ export function createPatternController(deps) {
 				return;
 			}
 			const { partial } = data;
+			const usage = await fetchJSON(`/api/partials/${encodeURIComponent(id)}/usage`).catch(
+				() => null
+			);
 
 			const modal = document.createElement('dialog');
 			modal.className = 'modal';
@@ -490,6 +493,7 @@ export function createPatternController(deps) {
       <h3 class="govuk-heading-s">Source</h3>
       <pre class="code code--readonly">${escapeHtml(partial.source)}</pre>
       ${partial.description ? `<h3 class="govuk-heading-s">Description</h3><p>${escapeHtml(partial.description)}</p>` : ''}
+      ${usage?.ok ? usageHtml(usage) : ''}
       <div class="modal-actions">
         <button class="btn btn--secondary" data-close>Close</button>
         <button class="btn" data-edit="${escapeHtml(id)}">Edit</button>
@@ -576,6 +580,29 @@ export function createPatternController(deps) {
 					modal.close();
 					modal.remove();
 					await refreshPatternList();
+				} else if (updateRes.status === 409 || updateRes.status === 422) {
+					const err = await updateRes.json().catch(() => ({}));
+					if (
+						err.error !== 'partial_version_published' ||
+						!confirm(`${err.message}\n\nSave as a new version?`)
+					) {
+						announce(err.message || `Update failed: ${updateRes.status}`);
+						return;
+					}
+					const versionRes = await fetch(`/api/partials/${encodeURIComponent(id)}/versions`, {
+						method: 'POST',
+						headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+						body: JSON.stringify(update),
+					});
+					const created = await versionRes.json().catch(() => ({}));
+					if (!versionRes.ok) {
+						announce(created.message || `Update failed: ${versionRes.status}`);
+						return;
+					}
+					announce(`Saved as ${created.ref}. Include {{> ${created.ref}}} to use it.`);
+					modal.close();
+					modal.remove();
+					await refreshPatternList();
 				} else {
 					const errorText = await updateRes.text();
 					console.error('Update failed:', errorText);
@@ -602,15 +629,57 @@ export function createPatternController(deps) {
 	async function deletePartial(id) {
 		if (!confirm('Are you sure you want to delete this pattern? This action cannot be undone.'))
 			return;
-		const res = await fetch(`/api/partials/${encodeURIComponent(id)}`, { method: 'DELETE' });
+		let res = await fetch(`/api/partials/${encodeURIComponent(id)}`, { method: 'DELETE' });
+		if (res.status === 409) {
+			// Still included by guides or partials: say where, then let the user decide
+			const err = await res.json().catch(() => ({}));
+			const names = [
+				...(err.used_by?.guides || []).map((g) => `guide "${g.title}"`),
+				...(err.used_by?.indirect_guides || []).map(
+					(g) => `guide "${g.title}" (through a partial)`
+				),
+				...(err.used_by?.partials || []).map((p) => `partial ${p.ref}`),
+			];
+			if (
+				!confirm(
+					`${err.message || 'This pattern is in use.'}\n\n${names.join('\n')}\n\nDelete it anyway?`
+				)
+			)
+				return;
+			res = await fetch(`/api/partials/${encodeURIComponent(id)}?force=true`, { method: 'DELETE' });
+		}
 		if (res.ok) {
-			announce('Pattern deleted');
+			const js = await res.json().catch(() => ({}));
+			announce(['Pattern deleted', ...(js.warnings || [])].join('. '));
 			await refreshPatternList();
 		} else {
 			announce('Delete failed');
 		}
 	}
 
+	function usageHtml(usage) {
+		const used = usage.used_by || {};
+		const items = [
+			...(used.guides || []).map((g) => escapeHtml(g.title)),
+			...(used.indirect_guides || []).map(
+				(g) => `${escapeHtml(g.title)} (through another partial)`
+			),
+			...(used.partials || []).map((p) => `Partial <code>${escapeHtml(p.ref)}</code>`),
+		];
+		const published = (used.published || []).map(
+			(v) => `${escapeHtml(v.title)} version ${escapeHtml(v.version)}`
+		);
+		const versions = (usage.versions || [])
+			.map((v) => `<code>${escapeHtml(v.ref)}</code>`)
+			.join(', ');
+		return `
+      <h3 class="govuk-heading-s">Used by</h3>
+      ${items.length ? `<ul class="govuk-list govuk-list--bullet">${items.map((item) => `<li>${item}</li>`).join('')}</ul>` : '<p class="govuk-body">Not included by any guide or partial.</p>'}
+      ${published.length ? `<p class="govuk-body-s">Frozen in published guides: ${published.join(', ')}. Edits to this version are saved as a new version.</p>` : ''}
+      ${versions ? `<p class="govuk-body-s">Versions: ${versions}</p>` : ''}
+    `;
+	}
+
 	async function createNewPartial() {
 		const modal = document.createElement('dialog');
 		modal.className = 'modal';
@@ -0,0 +1,106 @@
+/**
+ * @file version-diff.js
+ * @summary Line diff between two published guide versions, shaped for a side-by-side table.
+ * @description
+ * - No DOM access; guides-page.js renders the rows.
+ * - Longest common subsequence over lines. Guides are short, so the
+ *   quadratic table stays small; beyond MAX_CELLS the lines are compared
+ *   position by position instead.
+ */
+
+const MAX_CELLS = 4000000;
+
+function splitLines(text) {
+	const value = String(text ?? '').replace(/\r\n?/g, '\n');
+	return value ? value.split('\n') : [];
+}
+
+/**
+ * Diff two texts line by line.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ type: 'same'|'removed'|'added', text: string }>}
+ */
+export function diffLines(before, after) {
+	const a = splitLines(before);
+	const b = splitLines(after);
+	const ops = [];
+
+	if ((a.length + 1) * (b.length + 1) > MAX_CELLS) {
+		const length = Math.max(a.length, b.length);
+		for (let i = 0; i < length; i++) {
+			if (i < a.length && i < b.length && a[i] === b[i]) ops.push({ type: 'same', text: a[i] });
+			else {
+				if (i < a.length) ops.push({ type: 'removed', text: a[i] });
+				if (i < b.length) ops.push({ type: 'added', text: b[i] });
+			}
+		}
+		return ops;
+	}
+
+	// lcs[i * width + j] = length of the common subsequence of a[i..] and b[j..]
+	const width = b.length + 1;
+	const lcs = new Uint32Array((a.length + 1) * width);
+	for (let i = a.length - 1; i >= 0; i--) {
+		for (let j = b.length - 1; j >= 0; j--) {
+			lcs[i * width + j] =
+				a[i] === b[j]
+					? lcs[(i + 1) * width + j + 1] + 1
+					: Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+		}
+	}
+
+	let i = 0;
+	let j = 0;
+	while (i < a.length && j < b.length) {
+		if (a[i] === b[j]) {
+			ops.push({ type: 'same', text: a[i] });
+			i++;
+			j++;
+		} else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+			ops.push({ type: 'removed', text: a[i++] });
+		} else {
+			ops.push({ type: 'added', text: b[j++] });
+		}
+	}
+	while (i < a.length) ops.push({ type: 'removed', text: a[i++] });
+	while (j < b.length) ops.push({ type: 'added', text: b[j++] });
+	return ops;
+}
+
+/**
+ * Pair diff operations into side-by-side rows. A run of removed lines
+ * followed by added lines is shown as changed lines next to each other.
+ * @param {Array<{ type: 'same'|'removed'|'added', text: string }>} ops
+ * @returns {Array<{ left: { line: number, text: string, type: string }|null, right: { line: number, text: string, type: string }|null }>}
+ */
+export function sideBySideRows(ops) {
+	const rows = [];
+	let leftLine = 0;
+	let rightLine = 0;
+	let k = 0;
+	while (k < ops.length) {
+		const op = ops[k];
+		if (op.type === 'same') {
+			leftLine++;
+			rightLine++;
+			rows.push({
+				left: { line: leftLine, text: op.text, type: 'same' },
+				right: { line: rightLine, text: op.text, type: 'same' },
+			});
+			k++;
+			continue;
+		}
+		const removed = [];
+		const added = [];
+		while (k < ops.length && ops[k].type === 'removed') removed.push(ops[k++].text);
+		while (k < ops.length && ops[k].type === 'added') added.push(ops[k++].text);
+		for (let n = 0; n < Math.max(removed.length, added.length); n++) {
+			rows.push({
+				left: n < removed.length ? { line: ++leftLine, text: removed[n], type: 'removed' } : null,
+				right: n < added.length ? { line: ++rightLine, text: added[n], type: 'added' } : null,
+			});
+		}
+	}
+	return rows;
+}
@@ -6,6 +6,9 @@
  * - Participant details with RDFa (schema.org) attributes.
  * - Consent summary with RDFa ItemList.
  * - Session controls (start/pause/stop) with visible hh:mm:ss timer + RDFa duration.
+ * - Running order of the session's discussion guide from
+ *   /api/sessions/:id/running-order, with an on-track / behind indicator that
+ *   compares the timer with the section the moderator marks as current.
  * - Fieldnotes ambient capture:
  *    • Note START time captured on the first meaningful keystroke (not focus/click).
  *    • Enter saves the note; Shift+Enter inserts a new line.
@@ -50,6 +53,9 @@ const notes = [];
 let activeFramework = "fieldnotes";
 let activeCategoryFilter = null;
 
+let runningOrder = null;
+let currentSectionIndex = null;
+
 /* -------------------------------------------------------------------------- */
 /* Utilities                                                                  */
 /* -------------------------------------------------------------------------- */
@@ -88,7 +94,11 @@ async function postJson(url, body) {
 	const txt = await res.text();
 	let js;
 	try { js = JSON.parse(txt); } catch { js = null; }
-	if (!res.ok || !js) throw new Error(js?.error || `HTTP ${res.status}: ${txt.slice(0,200)}`);
+	if (!res.ok || !js) {
+		const error = new Error(js?.error || `HTTP ${res.status}: ${txt.slice(0,200)}`);
+		error.userMessage = js?.message || "";
+		throw error;
+	}
 	return js;
 }
 
@@ -354,6 +364,7 @@ function updateTimerView(){
 	const ms=sessionNowMs();
 	$("#timer-display").textContent=msToHMS(ms);
 	$("#timer-display").setAttribute("content",msToISODuration(ms)); // RDFa schema:duration
+	updatePaceView(ms);
 }
 function startTimer(){
 	setEventStatus("https://schema.org/EventScheduled");
@@ -390,7 +401,7 @@ function stopTimer(){
 	const sess=$("#session-entity");
 	ensureOrSetMeta(sess,"schema:endTime",nowIsoUtc());
 
-	elapsedMs=0;baseStart=null;
+	elapsedMs=0;baseStart=null;currentSectionIndex=null;
 	updateTimerView();
 	$("#btn-start").disabled=false;
 	$("#btn-pause").disabled=true;
@@ -401,6 +412,134 @@ function stopTimer(){
 	if(input) input.value="";
 }
 
+/* -------------------------------------------------------------------------- */
+/* Running order                                                              */
+/* -------------------------------------------------------------------------- */
+// Sections nested inside a timed section share its time, so only top-level
+// timed sections have a planned window to compare the timer against.
+function plannedSections(){
+	return (runningOrder?.sections||[]).filter(section=>!section.nested);
+}
+
+function formatMinutes(minutes){
+	return `${minutes} min`;
+}
+
+// The section the moderator marked, or else the one the plan has running now.
+function currentSection(elapsedMin){
+	const sections=plannedSections();
+	if(currentSectionIndex!==null) return sections.find(section=>section.index===currentSectionIndex)||null;
+	return sections.find(section=>elapsedMin<section.end_min)||sections[sections.length-1]||null;
+}
+
+// Compare the timer with the current section's planned window: behind once it
+// runs past the section's end, ahead when a section is reached early.
+function paceFor(elapsedMs){
+	const elapsedMin=elapsedMs/60000;
+	const planned=runningOrder?.planned_min||0;
+	const section=currentSection(elapsedMin);
+	if(!section) return null;
+	if(planned&&elapsedMin>planned){
+		return { tag:"govuk-tag--red", label:"Over time", detail:`${Math.ceil(elapsedMin-planned)} min past the planned ${planned} minute session, in "${section.title}".` };
+	}
+	if(elapsedMin>section.end_min){
+		return { tag:"govuk-tag--orange", label:"Behind", detail:`Behind by ${Math.ceil(elapsedMin-section.end_min)} min: "${section.title}" was planned to end at ${formatMinutes(section.end_min)}.` };
+	}
+	if(elapsedMin<section.start_min){
+		return { tag:"govuk-tag--blue", label:"Ahead", detail:`Ahead by ${Math.floor(section.start_min-elapsedMin)} min: "${section.title}" was planned to start at ${formatMinutes(section.start_min)}.` };
+	}
+	return { tag:"govuk-tag--green", label:"On track", detail:`"${section.title}" runs until ${formatMinutes(section.end_min)}.` };
+}
+
+// Runs on every timer tick, so only touch the live region when the reading changes.
+function updatePaceView(ms){
+	const status=$("#running-order-status");
+	if(!status||!runningOrder) return;
+	const pace=(ms>0||isRunning)?paceFor(ms):null;
+	const label=pace?.label||"Not started";
+	const detail=pace?.detail||"";
+	const detailEl=$("#running-order-status-detail");
+	if(status.textContent!==label){
+		status.textContent=label;
+		status.className=`govuk-tag ${pace?.tag||"govuk-tag--grey"}`;
+	}
+	if(detailEl&&detailEl.textContent!==detail) detailEl.textContent=detail;
+
+	const activeIndex=pace?currentSection(ms/60000)?.index:currentSectionIndex;
+	for(const item of document.querySelectorAll("#running-order-list [data-section-index]")){
+		const isCurrent=Number(item.dataset.sectionIndex)===activeIndex;
+		item.classList.toggle("study-session-running-order__item--current",isCurrent);
+		if(isCurrent) item.setAttribute("aria-current","step");
+		else item.removeAttribute("aria-current");
+	}
+}
+
+function markCurrentSection(index){
+	currentSectionIndex=index;
+	updateTimerView();
+}
+
+function renderRunningOrder(){
+	const section=$("#running-order-section");
+	const list=$("#running-order-list");
+	if(!section||!list||!runningOrder) return;
+	const planned=runningOrder.planned_min;
+	const summary=planned
+		? `${runningOrder.guide_title}: ${runningOrder.total_min} of ${planned} planned minutes.`
+		: `${runningOrder.guide_title}: ${runningOrder.total_min} minutes planned. The session has no planned duration.`;
+	$("#running-order-summary").textContent=summary;
+
+	const warnings=$("#running-order-warnings");
+	clearChildren(warnings);
+	for(const warning of runningOrder.warnings||[]){
+		const li=document.createElement("li");
+		li.textContent=warning;
+		warnings.appendChild(li);
+	}
+	warnings.hidden=!warnings.children.length;
+
+	clearChildren(list);
+	for(const item of runningOrder.sections||[]){
+		const li=document.createElement("li");
+		li.className="study-session-running-order__item";
+		const time=document.createElement("span");
+		time.className="study-session-running-order__time";
+		time.textContent=item.nested?formatMinutes(item.minutes):`${item.start_min}–${item.end_min} min`;
+		const title=document.createElement("span");
+		title.className="study-session-running-order__title";
+		title.textContent=item.title;
+		li.append(time,title);
+		if(item.nested){
+			li.classList.add("study-session-running-order__item--nested");
+		}else{
+			li.dataset.sectionIndex=String(item.index);
+			const button=document.createElement("button");
+			button.type="button";
+			button.className="govuk-button govuk-button--secondary";
+			button.textContent="Mark as current";
+			button.setAttribute("aria-label",`Mark "${item.title}" as the current section`);
+			button.addEventListener("click",()=>markCurrentSection(item.index));
+			li.appendChild(button);
+		}
+		list.appendChild(li);
+	}
+	section.hidden=false;
+	updateTimerView();
+}
+
+async function loadRunningOrder(){
+	const sessionId=getSessionAirtableId();
+	if(!sessionId) return;
+	try{
+		const body=await jsonFetch(apiUrl(`/api/sessions/${encodeURIComponent(sessionId)}/running-order`));
+		runningOrder={ ...body.running_order, guide_title:body.guide?.title||"Discussion guide" };
+		renderRunningOrder();
+	}catch(error){
+		// Sessions without a pinned guide simply run without a running order.
+		console.warn("running-order.load.fail",error);
+	}
+}
+
 /* -------------------------------------------------------------------------- */
 /* Note frameworks                                                            */
 /* -------------------------------------------------------------------------- */
@@ -611,7 +750,7 @@ async function saveNote(){
 		announce("Note saved.");
 	}catch(e){
 		console.error("session-note.save.fail",e);
-		announce("Failed to save the note.");
+		announce(e?.userMessage||"Failed to save the note.");
 		return;
 	}
 
@@ -929,6 +1068,6 @@ async function init(){
 	wireEvents();
 	if (state.participants.length) resetDraftNote();
 	updateTimerView();
-	await loadNotes();
+	await Promise.all([loadRunningOrder(),loadNotes()]);
 }
 document.addEventListener("DOMContentLoaded",init);
@@ -3,17 +3,19 @@ const $ = (selector, root = document) => root.querySelector(selector);
 const API_ORIGIN = document.documentElement?.dataset?.apiOrigin || window.API_ORIGIN || window.RESEARCHOPS_API_ORIGIN || location.origin;
 const apiUrl = (path) => `${API_ORIGIN}${path.startsWith("/") ? path : `/${path}`}`;
 const params = new URLSearchParams(location.search);
-const state = { studyId: params.get("id") || "", sessionId: params.get("session") || "", participantId: "", config: null, study: null, taskIndex: 0, path: [], completions: [], resultId: "", startedAt: "", saveGeneration: 0, saving: false };
+const state = { studyId: params.get("id") || "", sessionId: params.get("session") || "", participantId: "", config: null, study: null, taskIndex: 0, path: [], trail: [], completions: [], resultId: "", startedAt: "", taskStartedAt: "", saveGeneration: 0, saving: false };
 
 async function request(path, options = {}) { const response = await fetch(apiUrl(path), { cache: "no-store", credentials: "include", headers: { "Content-Type": "application/json", ...(options.headers || {}) }, ...options }); const data = await response.json().catch(() => ({})); if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`); return data; }
 function setStatus(message) { const el = $("#tree-test-save-status"); if (el) el.textContent = message; }
 function findNodes(nodes, id, ancestors = []) { for (const node of nodes || []) { if (node.id === id) return { node, ancestors }; const found = findNodes(node.children, id, [...ancestors, node]); if (found) return found; } return null; }
 function currentTask() { return state.config?.tasks?.[state.taskIndex] || null; }
-function serialise() { return { completions: state.completions, current_task_index: state.taskIndex, current_path: state.path, started_at: state.startedAt }; }
-function renderProgress() { const task = currentTask(); const total = state.config?.tasks?.length || 0; $("#tree-test-progress").textContent = total ? `Task ${Math.min(state.taskIndex + 1, total)} of ${total}` : ""; $("#tree-test-prompt").textContent = task?.prompt || "All tasks complete."; $("#tree-test-complete").hidden = Boolean(task); }
-function renderBreadcrumbs() { const list = $("#tree-test-path"); list.replaceChildren(); state.path.forEach((id, index) => { const item = findNodes(state.config.tree, id); const button = document.createElement("button"); button.type = "button"; button.className = "tree-test-path__button"; button.textContent = item?.node.label || "Location"; button.addEventListener("click", () => { state.path = state.path.slice(0, index + 1); render(); }); list.append(button); }); }
+function serialise() { return { completions: state.completions, current_task_index: state.taskIndex, current_path: state.path, current_trail: state.trail, current_task_started_at: state.taskStartedAt, started_at: state.startedAt }; }
+function renderProgress() { const task = currentTask(); const total = state.config?.tasks?.length || 0; $("#tree-test-progress").textContent = total ? `Task ${Math.min(state.taskIndex + 1, total)} of ${total}` : ""; $("#tree-test-prompt").textContent = task?.prompt || "All tasks complete."; $("#tree-test-complete").hidden = Boolean(task); $("#btn-skip-tree-test-task").hidden = !task; }
+function renderBreadcrumbs() { const list = $("#tree-test-path"); list.replaceChildren(); state.path.forEach((id, index) => { const item = findNodes(state.config.tree, id); const button = document.createElement("button"); button.type = "button"; button.className = "tree-test-path__button"; button.textContent = item?.node.label || "Location"; button.addEventListener("click", () => { if (index < state.path.length - 1) state.trail.push({ node_id: id, action: "back" }); state.path = state.path.slice(0, index + 1); render(); }); list.append(button); }); }
 function selectedPath(nodeId) { const found = findNodes(state.config?.tree, nodeId); return found ? [...found.ancestors.map((node) => node.id), found.node.id] : [...state.path, nodeId]; }
-function choose(node) { const task = currentTask(); if (!task) return; if (!state.participantId) { setStatus("Select a participant before recording Tree Test responses."); return; } const expected = task.target_id; const completion = { task_id: task.id, prompt: task.prompt, target_id: expected, selected_id: node.id, selected_label: node.label, path: selectedPath(node.id), correct: node.id === expected, completed_at: new Date().toISOString(), elapsed_ms: Date.now() - Date.parse(state.startedAt) }; state.completions.push(completion); state.taskIndex += 1; state.path = []; save(state.taskIndex >= state.config.tasks.length ? "completed" : "in_progress"); render(); }
+function recordCompletion(task, fields) { const now = Date.now(); const completion = { task_id: task.id, prompt: task.prompt, target_id: task.target_id, ...fields, trail: state.trail, first_click_id: state.trail[0]?.node_id || "", completed_at: new Date(now).toISOString(), task_started_at: state.taskStartedAt, time_on_task_ms: now - Date.parse(state.taskStartedAt || state.startedAt), elapsed_ms: now - Date.parse(state.startedAt) }; state.completions.push(completion); state.taskIndex += 1; state.path = []; state.trail = []; state.taskStartedAt = new Date(now).toISOString(); save(state.taskIndex >= state.config.tasks.length ? "completed" : "in_progress"); render(); }
+function choose(node) { const task = currentTask(); if (!task) return; if (!state.participantId) { setStatus("Select a participant before recording Tree Test responses."); return; } state.trail.push({ node_id: node.id, action: "choose" }); recordCompletion(task, { selected_id: node.id, selected_label: node.label, path: selectedPath(node.id), correct: node.id === task.target_id, skipped: false }); }
+function skip() { const task = currentTask(); if (!task) return; if (!state.participantId) { setStatus("Select a participant before recording Tree Test responses."); return; } recordCompletion(task, { selected_id: "", selected_label: "", path: [...state.path], correct: false, skipped: true }); }
 function renderTree() {
 	const list = $("#tree-test-tree-nav");
 	list.replaceChildren();
@@ -36,7 +38,7 @@ function renderTree() {
 				open.textContent = pathIndex === -1 ? "Open" : "Close";
 				open.setAttribute("aria-expanded", String(pathIndex !== -1));
 				open.setAttribute("aria-label", `${pathIndex === -1 ? "Open" : "Close"} ${node.label}`);
-				open.addEventListener("click", () => { state.path = pathIndex === -1 ? [...state.path, node.id] : state.path.slice(0, pathIndex); render(); });
+				open.addEventListener("click", () => { state.trail.push({ node_id: node.id, action: pathIndex === -1 ? "open" : "back" }); state.path = pathIndex === -1 ? [...state.path, node.id] : state.path.slice(0, pathIndex); render(); });
 				row.append(open);
 			}
 			const select = document.createElement("button");
@@ -57,7 +59,7 @@ function renderTree() {
 	};
 	renderNodes(state.config.tree || [], list);
 }
-function renderResults() { const list = $("#tree-test-results"); list.replaceChildren(); state.completions.forEach((result, index) => { const item = document.createElement("li"); item.className = "tree-test-result"; item.textContent = `Task ${index + 1}: selected ${result.selected_label}`; list.append(item); }); }
+function renderResults() { const list = $("#tree-test-results"); list.replaceChildren(); state.completions.forEach((result, index) => { const item = document.createElement("li"); item.className = "tree-test-result"; item.textContent = result.skipped ? `Task ${index + 1}: skipped` : `Task ${index + 1}: selected ${result.selected_label}`; list.append(item); }); }
 function render() { renderProgress(); renderBreadcrumbs(); renderTree(); renderResults(); }
 async function save(status = "in_progress") {
 	const participantId = state.participantId;
@@ -82,18 +84,18 @@ async function save(status = "in_progress") {
 async function loadParticipantResult() {
 	const participantId = state.participantId;
 	const generation = state.saveGeneration;
-	state.resultId = ""; state.taskIndex = 0; state.path = []; state.completions = []; state.startedAt = new Date().toISOString();
+	state.resultId = ""; state.taskIndex = 0; state.path = []; state.trail = []; state.completions = []; state.startedAt = new Date().toISOString(); state.taskStartedAt = state.startedAt;
 	if (!participantId) { render(); return; }
 	try {
 		const data = await request(`/api/tree-tests/results?session=${encodeURIComponent(state.sessionId || `study-${state.studyId}`)}`);
 		if (generation !== state.saveGeneration || participantId !== state.participantId) return;
 		const result = (data.results || []).filter((item) => item.participant_id === participantId).pop();
-		if (result) { state.resultId = result.id; state.completions = result.result?.completions || []; state.taskIndex = result.result?.current_task_index || state.completions.length; state.path = result.result?.current_path || []; state.startedAt = result.result?.started_at || result.started_at || state.startedAt; }
+		if (result) { state.resultId = result.id; state.completions = result.result?.completions || []; state.taskIndex = result.result?.current_task_index || state.completions.length; state.path = result.result?.current_path || []; state.trail = result.result?.current_trail || []; state.startedAt = result.result?.started_at || result.started_at || state.startedAt; state.taskStartedAt = result.result?.current_task_started_at || state.taskStartedAt; }
 	} catch { /* A new result can still be captured. */ }
 	render();
 }
 function hideIfNotTreeTest() { const isTreeTest = String(state.study?.method || "").trim().toLowerCase() === "tree test"; $("#tree-test-section").hidden = !isTreeTest; return isTreeTest; }
 
 (async function init() {
-	if (!state.studyId) return; try { const studies = await request(`/api/studies?id=${encodeURIComponent(state.studyId)}`); state.study = studies.study || studies.studies?.find((item) => item.id === state.studyId) || null; if (!hideIfNotTreeTest()) return; const config = await request(`/api/tree-tests/config?study=${encodeURIComponent(state.studyId)}`); state.config = config.config; if (!state.config?.tree?.length || !state.config?.tasks?.length) { $("#tree-test-setup-warning").hidden = false; $("#tree-test-setup-link").href = `/pages/study/tree-test/?id=${encodeURIComponent(state.studyId)}${params.get("project") ? `&project=${encodeURIComponent(params.get("project"))}` : ""}`; return; } $("#tree-test-instructions").textContent = state.config.instructions || "Choose the place where you would expect to find each answer."; $("#tree-test-instructions-wrap").hidden = false; const participant = $("#participant-select"); state.participantId = participant?.value || ""; participant?.addEventListener("change", async () => { state.participantId = participant.value; state.saveGeneration += 1; await loadParticipantResult(); }); await loadParticipantResult(); } catch (error) { setStatus(`Could not load the Tree Test. ${error.message}`); }
+	if (!state.studyId) return; try { const studies = await request(`/api/studies?id=${encodeURIComponent(state.studyId)}`); state.study = studies.study || studies.studies?.find((item) => item.id === state.studyId) || null; if (!hideIfNotTreeTest()) return; const config = await request(`/api/tree-tests/config?study=${encodeURIComponent(state.studyId)}`); state.config = config.config; if (!state.config?.tree?.length || !state.config?.tasks?.length) { $("#tree-test-setup-warning").hidden = false; $("#tree-test-setup-link").href = `/pages/study/tree-test/?id=${encodeURIComponent(state.studyId)}${params.get("project") ? `&project=${encodeURIComponent(params.get("project"))}` : ""}`; return; } $("#tree-test-instructions").textContent = state.config.instructions || "Choose the place where you would expect to find each answer."; $("#tree-test-instructions-wrap").hidden = false; $("#btn-skip-tree-test-task")?.addEventListener("click", skip); const participant = $("#participant-select"); state.participantId = participant?.value || ""; participant?.addEventListener("change", async () => { state.participantId = participant.value; state.saveGeneration += 1; await loadParticipantResult(); }); await loadParticipantResult(); } catch (error) { setStatus(`Could not load the Tree Test. ${error.message}`); }
 })();
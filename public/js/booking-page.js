@@ -0,0 +1,259 @@
+/**
+ * @file public/js/booking-page.js
+ * @module booking-page
+ * @summary Participant-facing page for choosing a session time from a booking link.
+ *
+ * Participants are not signed in. The link token is read once, removed from
+ * the address bar and sent with each request instead of a session.
+ */
+
+import { apiUrl } from './study-route-context.js';
+
+const state = {
+	token: "",
+	session: null
+};
+
+const $ = (selector, root = document) => root.querySelector(selector);
+
+function escapeHtml(value) {
+	return String(value ?? "")
+		.replaceAll("&", "&amp;")
+		.replaceAll("<", "&lt;")
+		.replaceAll(">", "&gt;")
+		.replaceAll('"', "&quot;")
+		.replaceAll("'", "&#39;");
+}
+
+function setHidden(selector, hidden) {
+	const el = $(selector);
+	if (!el) return;
+	el.hidden = hidden;
+	if (hidden) el.setAttribute("aria-hidden", "true");
+	else el.removeAttribute("aria-hidden");
+}
+
+function setText(selector, value) {
+	const el = $(selector);
+	if (el) el.textContent = value || "";
+}
+
+function formatDay(iso) {
+	const date = new Date(iso);
+	if (Number.isNaN(date.getTime())) return "";
+	return date.toLocaleDateString("en-GB", { weekday: "long", day: "numeric", month: "long", year: "numeric", timeZone: "Europe/London" });
+}
+
+function formatTime(iso) {
+	const date = new Date(iso);
+	if (Number.isNaN(date.getTime())) return "";
+	return date.toLocaleTimeString("en-GB", { hour: "numeric", minute: "2-digit", hour12: true, timeZone: "Europe/London" }).replace(" ", "");
+}
+
+function formatSlot(slot) {
+	return `${formatDay(slot.startsAt)}, ${formatTime(slot.startsAt)} to ${formatTime(slot.endsAt)}`;
+}
+
+function portalUrl(path = "/api/booking-portal") {
+	return new URL(apiUrl(path), window.location.origin);
+}
+
+async function portalFetch(path, options = {}) {
+	const url = portalUrl(path);
+	if (!options.method) url.searchParams.set("token", state.token);
+	const response = await fetch(url.toString(), {
+		cache: "no-store",
+		credentials: "omit",
+		...options,
+		headers: { "Content-Type": "application/json", ...(options.headers || {}) }
+	});
+	const text = await response.text();
+	let body = {};
+	try {
+		body = text ? JSON.parse(text) : {};
+	} catch {
+		body = {};
+	}
+	return { status: response.status, body };
+}
+
+function clearErrors() {
+	setHidden("#booking-error", true);
+	const list = $("#booking-error-list");
+	if (list) list.innerHTML = "";
+	const group = $("#booking-slots-group");
+	group?.classList.remove("govuk-form-group--error");
+	group?.querySelector(".govuk-error-message")?.remove();
+}
+
+function showErrors(errors) {
+	const list = $("#booking-error-list");
+	if (!list) return;
+	list.innerHTML = errors
+		.map(error => `<li>${error.href ? `<a href="${escapeHtml(error.href)}">${escapeHtml(error.text)}</a>` : escapeHtml(error.text)}</li>`)
+		.join("");
+	setHidden("#booking-error", false);
+	$("#booking-error")?.focus();
+}
+
+function markSlotMissing(text) {
+	const group = $("#booking-slots-group");
+	if (group) {
+		group.classList.add("govuk-form-group--error");
+		const message = document.createElement("p");
+		message.className = "govuk-error-message";
+		message.innerHTML = `<span class="govuk-visually-hidden">Error:</span> ${escapeHtml(text)}`;
+		$("#booking-slots-hint")?.after(message);
+	}
+	const first = $("#booking-slots input[type=radio]");
+	showErrors([{ text, href: first ? `#${first.id}` : "" }]);
+}
+
+function showUnavailable(message) {
+	setText("#booking-status", "");
+	setHidden("#booking-status", true);
+	setHidden("#booking-form", true);
+	setHidden("#booking-current", true);
+	setHidden("#booking-none", true);
+	setText("#booking-unavailable-message", message || "This link is not working. Ask the research team to send you a new one.");
+	setHidden("#booking-unavailable", false);
+}
+
+function renderSlots(slots) {
+	const container = $("#booking-slots");
+	if (!container) return;
+	let lastDay = "";
+	container.innerHTML = slots.map((slot, index) => {
+		const day = formatDay(slot.startsAt);
+		const heading = day !== lastDay ? `<h3 class="govuk-heading-s">${escapeHtml(day)}</h3>` : "";
+		lastDay = day;
+		return `${heading}
+			<div class="govuk-radios__item">
+				<input class="govuk-radios__input" id="booking-slot-${index}" name="slot" type="radio" value="${escapeHtml(slot.id)}">
+				<label class="govuk-label govuk-radios__label" for="booking-slot-${index}">${escapeHtml(`${formatTime(slot.startsAt)} to ${formatTime(slot.endsAt)}`)}</label>
+			</div>`;
+	}).join("");
+}
+
+function renderBooking(booking) {
+	setText("#booking-current-when", formatSlot(booking));
+	setText("#booking-current-where", booking.locationOrLink || (booking.sessionType === "remote" ? "Online. The research team will send you the link." : "The research team will tell you where to go."));
+	const link = $("#booking-ics-link");
+	if (link) {
+		const url = portalUrl("/api/booking-portal/ics");
+		url.searchParams.set("token", state.token);
+		link.href = url.toString();
+	}
+	setHidden("#booking-form", true);
+	setHidden("#booking-none", true);
+	setHidden("#booking-current", false);
+}
+
+function render(body) {
+	state.session = body.session;
+	setText("#booking-study", body.study?.title || "");
+	setHidden("#booking-confirmation", true);
+	if (body.booking) {
+		setText("#booking-status", "You have already booked a session.");
+		renderBooking(body.booking);
+		return;
+	}
+	setHidden("#booking-current", true);
+	const slots = Array.isArray(body.slots) ? body.slots : [];
+	const minutes = Number(body.session?.durationMin || 0);
+	setText("#booking-status", minutes ? `The session lasts about ${minutes} minutes.` : "");
+	setText("#booking-slots-hint", body.session?.sessionType === "remote" ? "The session is online. All times are UK time." : "The session is in person. All times are UK time.");
+	renderSlots(slots);
+	setHidden("#booking-form", !slots.length);
+	setHidden("#booking-none", Boolean(slots.length));
+}
+
+async function submit(event) {
+	event.preventDefault();
+	clearErrors();
+	const slotId = $("#booking-slots input[type=radio]:checked")?.value || "";
+	if (!slotId) {
+		markSlotMissing("Choose a time");
+		return;
+	}
+	try {
+		const { status, body } = await portalFetch("/api/booking-portal", {
+			method: "POST",
+			body: JSON.stringify({ token: state.token, slotId })
+		});
+		if (status === 201 && body.ok) {
+			setText("#booking-status", "");
+			setText("#booking-confirmation-body", formatSlot(body.booking));
+			setHidden("#booking-confirmation", false);
+			renderBooking(body.booking);
+			$("#booking-confirmation")?.focus();
+			return;
+		}
+		if (status === 404 || status === 410) {
+			showUnavailable(body.message);
+			return;
+		}
+		if (status === 409) {
+			showErrors([{ text: body.message || "This time is no longer available. Choose another time." }]);
+			await load();
+			return;
+		}
+		showErrors([{ text: body.message || "Your session could not be booked. Try again." }]);
+	} catch (error) {
+		console.error("[booking] submit failed", error);
+		showErrors([{ text: "Your session could not be booked. Check your internet connection and try again." }]);
+	}
+}
+
+async function cancel(event) {
+	event.preventDefault();
+	clearErrors();
+	try {
+		const { status, body } = await portalFetch("/api/booking-portal/cancel", {
+			method: "POST",
+			body: JSON.stringify({ token: state.token })
+		});
+		if (status === 200 && body.ok) {
+			await load();
+			setText("#booking-status", "Your session has been cancelled. You can choose another time below.");
+			return;
+		}
+		if (status === 410) {
+			showUnavailable(body.message);
+			return;
+		}
+		showErrors([{ text: body.message || "Your session could not be cancelled. Try again." }]);
+	} catch (error) {
+		console.error("[booking] cancel failed", error);
+		showErrors([{ text: "Your session could not be cancelled. Check your internet connection and try again." }]);
+	}
+}
+
+async function load() {
+	try {
+		const { status, body } = await portalFetch("/api/booking-portal");
+		if (status === 200 && body.ok) {
+			render(body);
+			return;
+		}
+		showUnavailable(body.message);
+	} catch (error) {
+		console.error("[booking] load failed", error);
+		showUnavailable("The times could not be loaded. Check your internet connection and try again.");
+	}
+}
+
+function init() {
+	const params = new URLSearchParams(window.location.search);
+	state.token = params.get("token") || "";
+	if (state.token) window.history.replaceState(null, "", window.location.pathname);
+	$("#booking-form")?.addEventListener("submit", submit);
+	$("#booking-cancel")?.addEventListener("click", cancel);
+	if (!state.token) {
+		showUnavailable("This link is incomplete. Open the full link from the message the research team sent you.");
+		return;
+	}
+	load();
+}
+
+init();
@@ -539,6 +539,226 @@ function runRetrieval(projectId) {
 	});
 }
 
+function percentText(value) {
+	return value === null || value === undefined ? '—' : `${value}%`;
+}
+
+function statText(value) {
+	return value === null || value === undefined ? 'Not defined' : String(value);
+}
+
+function doubleCodingSampleRow(sample) {
+	const coders = (sample.coders || []).map((coder) => `${esc(coder.name)} (${Number(coder.entriesCoded) || 0} of ${Number(sample.entryCount) || 0})`).join('<br>') || 'No one yet';
+	const codeAction = sample.open
+		? `<button type="button" class="govuk-button govuk-button--secondary govuk-!-margin-bottom-0" data-double-coding-open="${esc(sample.id)}" data-flux-key="button.analysis.open-double-coding" data-flux-role="control">Code this sample</button>`
+		: '';
+	return `<tr class="govuk-table__row">
+		<td class="govuk-table__cell">${esc(sample.name)}<br><span class="govuk-hint">${esc(when(sample.createdAt))}</span></td>
+		<td class="govuk-table__cell">${coders}</td>
+		<td class="govuk-table__cell">${Number(sample.mine) || 0} of ${Number(sample.entryCount) || 0}</td>
+		<td class="govuk-table__cell">${codeAction}</td>
+	</tr>`;
+}
+
+function loadDoubleCodingSamples(projectId) {
+	const wrap = document.getElementById('double-coding-samples');
+	if (!wrap) return Promise.resolve();
+	wrap.innerHTML = '<p class="govuk-body">Loading double-coding samples…</p>';
+	return fetchJSON(apiUrl('/api/analysis/double-coding?project=' + encodeURIComponent(projectId || '')), { credentials: 'include' }).then((res) => {
+		const samples = Array.isArray(res?.samples) ? res.samples : [];
+		if (!samples.length) {
+			wrap.innerHTML = '<p class="hint">No double-coding samples yet.</p>';
+			return;
+		}
+		wrap.innerHTML = `<table class="govuk-table">
+			<caption class="govuk-table__caption govuk-table__caption--s">Samples</caption>
+			<thead class="govuk-table__head"><tr class="govuk-table__row">
+				<th scope="col" class="govuk-table__header">Sample</th>
+				<th scope="col" class="govuk-table__header">Coders</th>
+				<th scope="col" class="govuk-table__header">Your progress</th>
+				<th scope="col" class="govuk-table__header"><span class="govuk-visually-hidden">Actions</span></th>
+			</tr></thead>
+			<tbody class="govuk-table__body">${samples.map(doubleCodingSampleRow).join('')}</tbody>
+		</table>`;
+	}).catch(() => {
+		wrap.innerHTML = '';
+		flashError('Double-coding samples failed to load.');
+	});
+}
+
+function doubleCodingEntryHtml(entry, codes, index) {
+	const selected = new Set(entry.codeIds || []);
+	const boxes = codes.map((code, codeIndex) => {
+		const id = `dc-${index}-${codeIndex}`;
+		return `<div class="govuk-checkboxes__item">
+			<input class="govuk-checkboxes__input" id="${id}" type="checkbox" value="${esc(code.id)}"${selected.has(code.id) ? ' checked' : ''}>
+			<label class="govuk-label govuk-checkboxes__label" for="${id}">${esc(code.name)}</label>
+		</div>`;
+	}).join('');
+	const status = entry.codedAt ? `Saved ${esc(when(entry.codedAt))}` : 'Not coded yet';
+	return `<form class="govuk-summary-card" data-double-coding-entry="${esc(entry.id)}" novalidate>
+		<div class="govuk-summary-card__title-wrapper">
+			<h5 class="govuk-summary-card__title">Entry ${index + 1}${entry.category ? ` · ${esc(sentenceCase(entry.category))}` : ''}</h5>
+		</div>
+		<div class="govuk-summary-card__content">
+			<p class="govuk-body">${entry.missing ? '<span class="govuk-hint">This entry is no longer available.</span>' : esc(entry.content)}</p>
+			<fieldset class="govuk-fieldset">
+				<legend class="govuk-fieldset__legend govuk-fieldset__legend--s">Codes that apply</legend>
+				<div class="govuk-checkboxes govuk-checkboxes--small" data-module="govuk-checkboxes">${boxes}</div>
+			</fieldset>
+			<div class="govuk-button-group govuk-!-margin-top-3">
+				<button type="submit" class="govuk-button govuk-button--secondary" data-flux-key="button.analysis.save-double-coding" data-flux-role="control">Save codes for this entry</button>
+				<p class="govuk-body govuk-!-margin-bottom-0" data-double-coding-status role="status">${status}</p>
+			</div>
+		</div>
+	</form>`;
+}
+
+function openDoubleCodingSample(sampleId) {
+	const workspace = document.getElementById('double-coding-workspace');
+	if (!workspace) return Promise.resolve();
+	workspace.hidden = false;
+	workspace.innerHTML = '<p class="govuk-body">Loading sample…</p>';
+	return fetchJSON(apiUrl('/api/analysis/double-coding/' + encodeURIComponent(sampleId)), { credentials: 'include' }).then((res) => {
+		const entries = Array.isArray(res?.entries) ? res.entries : [];
+		const codes = Array.isArray(res?.codes) ? res.codes : [];
+		workspace.dataset.sampleId = sampleId;
+		workspace.innerHTML = `<h5 class="govuk-heading-s">${esc(res?.sample?.name || 'Sample')}</h5>
+			<p class="govuk-body">Only your own codes are shown. Choose every code that applies to each entry, including none, and save it.</p>
+			${entries.map((entry, index) => doubleCodingEntryHtml(entry, codes, index)).join('')}`;
+	}).catch(() => {
+		workspace.innerHTML = '';
+		flashError('The double-coding sample failed to load.');
+	});
+}
+
+function saveDoubleCodingEntry(projectId, form) {
+	const sampleId = document.getElementById('double-coding-workspace')?.dataset.sampleId || '';
+	const entryId = form.getAttribute('data-double-coding-entry') || '';
+	const codeIds = Array.from(form.querySelectorAll('.govuk-checkboxes__input:checked')).map((input) => input.value);
+	const status = form.querySelector('[data-double-coding-status]');
+	if (status) status.textContent = 'Saving…';
+	return fetchJSON(apiUrl('/api/analysis/double-coding/' + encodeURIComponent(sampleId) + '/codings'), {
+		method: 'POST',
+		credentials: 'include',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ entryId, codeIds })
+	}).then((res) => {
+		if (status) status.textContent = `Saved ${when(res?.codedAt)}`;
+		loadDoubleCodingSamples(projectId);
+	}).catch((err) => {
+		if (status) status.textContent = 'Not saved';
+		const messages = {
+			coders_full: 'Two researchers are already coding this sample.',
+			sample_released: 'Agreement for this sample has been released, so its codes can no longer change.'
+		};
+		flashError(messages[err?.message] || 'Your codes could not be saved.');
+	});
+}
+
+function agreementSampleHtml(sample) {
+	const coders = (sample.coders || []).map((coder) => esc(coder.name)).join(' and ');
+	if ((sample.coders || []).length < 2) {
+		return `<h5 class="govuk-heading-s">${esc(sample.name)}</h5><p class="hint">Agreement appears once two researchers have coded entries in this sample.</p>`;
+	}
+	if (!sample.released) {
+		const progress = (sample.coders || []).map((coder) => `${esc(coder.name)} has coded ${Number(coder.entriesCoded) || 0} of ${Number(sample.entryCount) || 0}`).join(', ');
+		return `<h5 class="govuk-heading-s">${esc(sample.name)}</h5>
+			<p class="govuk-body">${progress}. Agreement is shown once both have coded every entry, so neither coder sees the other's codes first.</p>
+			<button type="button" class="govuk-button govuk-button--secondary" data-double-coding-close="${esc(sample.id)}" data-flux-key="button.analysis.close-double-coding" data-flux-role="control">Close sample and show agreement</button>`;
+	}
+	const rows = (sample.codes || []).map((code) => `<tr class="govuk-table__row">
+		<th scope="row" class="govuk-table__header">${esc(code.name)}</th>
+		<td class="govuk-table__cell govuk-table__cell--numeric">${percentText(code.percentAgreement)}</td>
+		<td class="govuk-table__cell govuk-table__cell--numeric">${statText(code.kappa)}</td>
+		<td class="govuk-table__cell govuk-table__cell--numeric">${statText(code.alpha)}</td>
+		<td class="govuk-table__cell govuk-table__cell--numeric">${Number(code.firstOnly) + Number(code.secondOnly)}</td>
+	</tr>`).join('');
+	const disagreements = (sample.disagreements || []).map((item) => `<li>
+		<strong>${esc(item.codeName)}</strong>: applied by ${esc(item.appliedBy?.name)}, not by ${esc(item.notAppliedBy?.name)}
+		<p class="govuk-body-s">${esc(item.snippet)}</p>
+	</li>`).join('');
+	return `<h5 class="govuk-heading-s">${esc(sample.name)}</h5>
+		<p class="govuk-body">${coders}. ${Number(sample.units) || 0} entries coded by both, ${Number(sample.pending) || 0} still to do. Overall agreement ${percentText(sample.overall?.percentAgreement)}, kappa ${statText(sample.overall?.kappa)}, alpha ${statText(sample.overall?.alpha)}.</p>
+		${rows ? `<table class="govuk-table">
+			<caption class="govuk-table__caption govuk-table__caption--s">Agreement by code</caption>
+			<thead class="govuk-table__head"><tr class="govuk-table__row">
+				<th scope="col" class="govuk-table__header">Code</th>
+				<th scope="col" class="govuk-table__header govuk-table__header--numeric">Agreement</th>
+				<th scope="col" class="govuk-table__header govuk-table__header--numeric">Cohen's kappa</th>
+				<th scope="col" class="govuk-table__header govuk-table__header--numeric">Krippendorff's alpha</th>
+				<th scope="col" class="govuk-table__header govuk-table__header--numeric">Disagreements</th>
+			</tr></thead>
+			<tbody class="govuk-table__body">${rows}</tbody>
+		</table>` : ''}
+		${disagreements ? `<h6 class="govuk-heading-s">Disagreements to reconcile</h6><ul class="govuk-list analysis-list analysis-list--spaced">${disagreements}</ul>` : ''}`;
+}
+
+function loadAgreementReport(projectId) {
+	const wrap = document.getElementById('agreement-report');
+	if (!wrap) return Promise.resolve();
+	wrap.innerHTML = '<p class="govuk-body">Loading coder agreement…</p>';
+	return fetchJSON(apiUrl('/api/analysis/agreement?project=' + encodeURIComponent(projectId || '')), { credentials: 'include' }).then((res) => {
+		const samples = Array.isArray(res?.samples) ? res.samples : [];
+		updateJsonPanel(res, `agreement-${String(projectId || 'unknown')}.json`);
+		wrap.innerHTML = samples.map(agreementSampleHtml).join('');
+	}).catch(() => {
+		wrap.innerHTML = '';
+		flashError('Coder agreement failed to load.');
+	});
+}
+
+function runAgreement(projectId) {
+	const section = document.getElementById('analysis-agreement');
+	if (!section) return Promise.resolve();
+	section.hidden = false;
+	clearJournalFeedback();
+
+	if (!section.dataset.ready) {
+		section.dataset.ready = 'true';
+		document.getElementById('double-coding-form')?.addEventListener('submit', (event) => {
+			event.preventDefault();
+			const size = Number(document.getElementById('double-coding-size')?.value) || 10;
+			fetchJSON(apiUrl('/api/analysis/double-coding'), {
+				method: 'POST',
+				credentials: 'include',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ project: projectId, size })
+			}).then((res) => {
+				flashStatus('Double-coding sample started.', { success: true, title: 'Success' });
+				loadDoubleCodingSamples(projectId);
+				if (res?.sample?.id) openDoubleCodingSample(res.sample.id);
+			}).catch(() => flashError('The double-coding sample could not be started.'));
+		});
+		document.getElementById('double-coding-samples')?.addEventListener('click', (event) => {
+			const button = event.target.closest('button[data-double-coding-open]');
+			if (button) openDoubleCodingSample(button.getAttribute('data-double-coding-open'));
+		});
+		document.getElementById('agreement-report')?.addEventListener('click', (event) => {
+			const button = event.target.closest('button[data-double-coding-close]');
+			if (!button) return;
+			const sampleId = button.getAttribute('data-double-coding-close') || '';
+			fetchJSON(apiUrl('/api/analysis/double-coding/' + encodeURIComponent(sampleId) + '/close'), {
+				method: 'POST',
+				credentials: 'include'
+			}).then(() => {
+				flashStatus('Sample closed. Its codes can no longer change.', { success: true, title: 'Success' });
+				return Promise.all([loadDoubleCodingSamples(projectId), loadAgreementReport(projectId)]);
+			}).catch((err) => flashError(err?.message === 'close_not_allowed'
+				? 'Only the researcher who started this sample or a research lead can close it.'
+				: 'The sample could not be closed.'));
+		});
+		document.getElementById('double-coding-workspace')?.addEventListener('submit', (event) => {
+			const form = event.target.closest('form[data-double-coding-entry]');
+			if (!form) return;
+			event.preventDefault();
+			saveDoubleCodingEntry(projectId, form).then(() => loadAgreementReport(projectId));
+		});
+	}
+
+	return Promise.all([loadDoubleCodingSamples(projectId), loadAgreementReport(projectId)]);
+}
+
 function runExport(projectId) {
 	const tUrl = apiUrl('/api/analysis/timeline?project=' + encodeURIComponent(projectId || ''));
 	const cUrl = apiUrl('/api/analysis/cooccurrence?project=' + encodeURIComponent(projectId || ''));
@@ -559,4 +779,4 @@ function runExport(projectId) {
 	});
 }
 
-export { runTimeline, runCooccurrence, runRetrieval, runExport };
+export { runTimeline, runCooccurrence, runRetrieval, runAgreement, runExport };
@@ -399,6 +399,14 @@ async function saveForm(event) {
 	}
 }
 
+function publishStatus(body = {}) {
+	const version = body.version;
+	const required = Number(body.reconsent?.required || 0);
+	const published = version ? `Published version ${version}.` : "Published.";
+	if (!required) return published;
+	return `${published} ${required} ${required === 1 ? "participant needs" : "participants need"} to consent again before session notes can be captured for them.`;
+}
+
 async function publishForm() {
 	const id = $("#consent-form-id").value;
 	if (!id) {
@@ -407,8 +415,8 @@ async function publishForm() {
 	}
 	try {
 		setStatus("Publishing…");
-		await jsonFetch(apiUrl(`/api/consent-forms/${encodeURIComponent(id)}/publish`), { method: "POST" });
-		setStatus("Published.");
+		const body = await jsonFetch(apiUrl(`/api/consent-forms/${encodeURIComponent(id)}/publish`), { method: "POST" });
+		setStatus(publishStatus(body));
 		await loadConsentForms();
 		const published = state.forms.find(form => form.id === id);
 		if (published) setEditor(published);
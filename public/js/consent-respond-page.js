@@ -0,0 +1,281 @@
+/**
+ * @file public/js/consent-respond-page.js
+ * @module consent-respond-page
+ * @summary Participant-facing consent page opened from a signed consent link.
+ *
+ * Participants are not signed in. The link token is read once, removed from
+ * the address bar and sent with each request instead of a session.
+ */
+
+import { apiUrl } from './study-route-context.js';
+
+const state = {
+	token: "",
+	form: null
+};
+
+const $ = (selector, root = document) => root.querySelector(selector);
+
+function escapeHtml(value) {
+	return String(value ?? "")
+		.replaceAll("&", "&amp;")
+		.replaceAll("<", "&lt;")
+		.replaceAll(">", "&gt;")
+		.replaceAll('"', "&quot;")
+		.replaceAll("'", "&#39;");
+}
+
+function safeToken(value) {
+	return String(value || "item").replace(/[^a-zA-Z0-9_-]/g, "-");
+}
+
+function setHidden(selector, hidden) {
+	const el = $(selector);
+	if (!el) return;
+	el.hidden = hidden;
+	if (hidden) el.setAttribute("aria-hidden", "true");
+	else el.removeAttribute("aria-hidden");
+}
+
+function setText(selector, value) {
+	const el = $(selector);
+	if (el) el.textContent = value || "";
+}
+
+function formatDate(iso) {
+	const date = new Date(iso);
+	if (Number.isNaN(date.getTime())) return "";
+	return date.toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric" });
+}
+
+async function portalFetch(options = {}) {
+	const url = new URL(apiUrl("/api/consent-portal"), window.location.origin);
+	if (!options.method) url.searchParams.set("token", state.token);
+	const response = await fetch(url.toString(), {
+		cache: "no-store",
+		credentials: "omit",
+		...options,
+		headers: { "Content-Type": "application/json", ...(options.headers || {}) }
+	});
+	const text = await response.text();
+	let body = {};
+	try {
+		body = text ? JSON.parse(text) : {};
+	} catch {
+		body = {};
+	}
+	return { status: response.status, body };
+}
+
+function clearErrors() {
+	setHidden("#consent-respond-error", true);
+	const list = $("#consent-respond-error-list");
+	if (list) list.innerHTML = "";
+	document.querySelectorAll(".consent-respond-item.govuk-form-group--error").forEach(group => {
+		group.classList.remove("govuk-form-group--error");
+		group.querySelector(".govuk-error-message")?.remove();
+	});
+}
+
+function showErrors(errors) {
+	const list = $("#consent-respond-error-list");
+	if (!list) return;
+	list.innerHTML = errors
+		.map(error => `<li>${error.href ? `<a href="${escapeHtml(error.href)}">${escapeHtml(error.text)}</a>` : escapeHtml(error.text)}</li>`)
+		.join("");
+	setHidden("#consent-respond-error", false);
+	$("#consent-respond-error")?.focus();
+}
+
+function showUnavailable(message) {
+	setText("#consent-respond-status", "");
+	setHidden("#consent-respond-status", true);
+	setHidden("#consent-respond-workspace", true);
+	setText("#consent-respond-unavailable-message", message || "This link is not working. Ask the research team to send you a new one.");
+	setHidden("#consent-respond-unavailable", false);
+}
+
+function renderItems(items, previous) {
+	const container = $("#consent-respond-items");
+	if (!container) return;
+	container.innerHTML = "";
+	for (const item of items) {
+		const token = safeToken(item.id);
+		const current = previous?.responses?.[item.id] || "";
+		const group = document.createElement("div");
+		group.className = "govuk-form-group consent-respond-item";
+		group.id = `consent-respond-item-${token}`;
+		group.innerHTML = `
+			<fieldset class="govuk-fieldset" aria-describedby="consent-respond-${token}-hint">
+				<legend class="govuk-fieldset__legend govuk-fieldset__legend--s">${escapeHtml(item.label)}</legend>
+				<div id="consent-respond-${token}-hint" class="govuk-hint">${item.required ? "You need to agree to this to take part." : "You can take part whether or not you agree to this."}</div>
+				<div class="govuk-radios govuk-radios--inline" data-module="govuk-radios">
+					<div class="govuk-radios__item">
+						<input class="govuk-radios__input" id="consent-respond-${token}-agreed" name="consent-${token}" type="radio" value="agreed" data-item-id="${escapeHtml(item.id)}" ${current === "agreed" ? "checked" : ""}>
+						<label class="govuk-label govuk-radios__label" for="consent-respond-${token}-agreed">I agree</label>
+					</div>
+					<div class="govuk-radios__item">
+						<input class="govuk-radios__input" id="consent-respond-${token}-declined" name="consent-${token}" type="radio" value="declined" data-item-id="${escapeHtml(item.id)}" ${current === "declined" ? "checked" : ""}>
+						<label class="govuk-label govuk-radios__label" for="consent-respond-${token}-declined">I do not agree</label>
+					</div>
+				</div>
+			</fieldset>
+		`;
+		container.appendChild(group);
+	}
+}
+
+function renderCurrentResponse(previous, form) {
+	const current = $("#consent-respond-current");
+	if (!current) return;
+	if (!previous) {
+		setHidden("#consent-respond-current", true);
+		return;
+	}
+	const when = formatDate(previous.recordedAt);
+	let message;
+	if (previous.withdrawn) message = `You told us you wanted to stop taking part${when ? ` on ${when}` : ""}. You can give your consent again below.`;
+	else if (previous.consentFormVersion < form.version) message = `This information has changed since you last answered${when ? ` on ${when}` : ""}. Read it again and answer each statement.`;
+	else message = `You last answered${when ? ` on ${when}` : ""}. Your answers are shown below and you can change them.`;
+	current.textContent = message;
+	setHidden("#consent-respond-current", false);
+}
+
+function render(body) {
+	state.form = body.form;
+	const form = body.form;
+	setText("#consent-respond-study", body.study?.title || "");
+	setText("#consent-respond-title", form.title || "Your consent to take part in research");
+	const summary = $("#consent-respond-summary");
+	if (summary) {
+		summary.textContent = form.summary || "";
+		setHidden("#consent-respond-summary", !form.summary);
+	}
+	const content = $("#consent-respond-form-content");
+	if (content) content.innerHTML = form.html || "";
+	renderCurrentResponse(body.response, form);
+	renderItems(form.consentItems || [], body.response?.withdrawn ? null : body.response);
+	const expires = formatDate(body.expiresAt);
+	setText("#consent-respond-status", expires ? `This link works until ${expires}.` : "");
+	setHidden("#consent-respond-workspace", false);
+}
+
+function toggleWithdrawal() {
+	const withdrawing = $("#consent-respond-withdraw")?.checked === true;
+	setHidden("#consent-respond-withdrawal-reason-group", !withdrawing);
+	setHidden("#consent-respond-items", withdrawing);
+}
+
+function collectResponses() {
+	const responses = {};
+	document.querySelectorAll("#consent-respond-items input[type=radio]:checked").forEach(input => {
+		responses[input.dataset.itemId] = input.value;
+	});
+	return responses;
+}
+
+function markMissing(ids) {
+	const errors = [];
+	for (const id of ids) {
+		const item = state.form?.consentItems?.find(entry => entry.id === id);
+		const token = safeToken(id);
+		const group = $(`#consent-respond-item-${token}`);
+		const text = `Select whether you agree: ${item?.label || id}`;
+		if (group) {
+			group.classList.add("govuk-form-group--error");
+			const message = document.createElement("p");
+			message.className = "govuk-error-message";
+			message.innerHTML = `<span class="govuk-visually-hidden">Error:</span> Select whether you agree`;
+			group.querySelector(".govuk-hint")?.after(message);
+		}
+		errors.push({ text, href: `#consent-respond-${token}-agreed` });
+	}
+	showErrors(errors);
+}
+
+async function submit(event) {
+	event.preventDefault();
+	clearErrors();
+	const withdrawn = $("#consent-respond-withdraw")?.checked === true;
+	const responses = withdrawn ? {} : collectResponses();
+	if (!withdrawn) {
+		const missing = (state.form?.consentItems || []).map(item => item.id).filter(id => !responses[id]);
+		if (missing.length) {
+			markMissing(missing);
+			return;
+		}
+	}
+	try {
+		const { status, body } = await portalFetch({
+			method: "POST",
+			body: JSON.stringify({
+				token: state.token,
+				consentFormId: state.form.id,
+				consentFormVersion: state.form.version,
+				responses,
+				withdrawn,
+				withdrawalReason: withdrawn ? $("#consent-respond-withdrawal-reason")?.value || "" : "",
+				...(withdrawn ? { withdrawalScope: document.querySelector('input[name="withdrawalScope"]:checked')?.value || "redact" } : {})
+			})
+		});
+		if (status === 201 && body.ok) {
+			setHidden("#consent-respond-workspace", true);
+			setHidden("#consent-respond-status", true);
+			setText(
+				"#consent-respond-confirmation-body",
+				withdrawn
+					? "You have stopped taking part. The research team will not use your information for new research."
+					: `Recorded on ${formatDate(body.response.recordedAt)}. Keep your link if you want to change your answers later.`
+			);
+			setHidden("#consent-respond-confirmation", false);
+			$("#consent-respond-confirmation")?.focus();
+			return;
+		}
+		if (body.error === "consent_responses_incomplete" && Array.isArray(body.missing)) {
+			markMissing(body.missing);
+			return;
+		}
+		if (body.error === "consent_form_changed") {
+			showErrors([{ text: body.message }]);
+			await load();
+			return;
+		}
+		if (status === 404 || status === 410) {
+			showUnavailable(body.message);
+			return;
+		}
+		showErrors([{ text: body.message || "Your answers could not be saved. Try again." }]);
+	} catch (error) {
+		console.error("[consent-respond] submit failed", error);
+		showErrors([{ text: "Your answers could not be saved. Check your internet connection and try again." }]);
+	}
+}
+
+async function load() {
+	try {
+		const { status, body } = await portalFetch();
+		if (status === 200 && body.ok) {
+			render(body);
+			return;
+		}
+		showUnavailable(body.message);
+	} catch (error) {
+		console.error("[consent-respond] load failed", error);
+		showUnavailable("The consent form could not be loaded. Check your internet connection and try again.");
+	}
+}
+
+function init() {
+	const params = new URLSearchParams(window.location.search);
+	state.token = params.get("token") || "";
+	if (state.token) window.history.replaceState(null, "", window.location.pathname);
+	$("#consent-respond-form")?.addEventListener("submit", submit);
+	$("#consent-respond-withdraw")?.addEventListener("change", toggleWithdrawal);
+	if (!state.token) {
+		showUnavailable("This link is incomplete. Open the full link from the message the research team sent you.");
+		return;
+	}
+	load();
+}
+
+init();
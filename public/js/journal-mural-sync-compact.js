@@ -52,6 +52,9 @@
 		lastStatus = { label, message, pending, busy };
 		applying = true;
 
+		const importButton = document.getElementById('mural-import-btn');
+		if (importButton) importButton.hidden = !!busy || label === 'Not connected' || label === 'No board found' || label === 'Unavailable';
+
 		if (messageEl) messageEl.textContent = message ? `${label}: ${message}` : label;
 		if (action) {
 			action.hidden = !!busy || !pending;
@@ -132,6 +135,157 @@
 		}
 	}
 
+	const CATEGORY_LABELS = {
+		perceptions: 'Evolving perceptions',
+		procedures: 'Day-to-day procedures',
+		decisions: 'Methodological decision points',
+		introspections: 'Personal introspections'
+	};
+
+	function importEls() {
+		return {
+			button: document.getElementById('mural-import-btn'),
+			panel: document.getElementById('mural-import-panel'),
+			status: document.getElementById('mural-import-status'),
+			form: document.getElementById('mural-import-form'),
+			list: document.getElementById('mural-import-list')
+		};
+	}
+
+	async function postImport(body) {
+		const res = await fetch(apiUrl('/api/mural/journal-import'), {
+			method: 'POST',
+			headers: { 'content-type': 'application/json' },
+			body: JSON.stringify({ projectId: projectId(), ...body })
+		});
+		const data = await res.json().catch(() => ({}));
+		if (!res.ok) throw Object.assign(new Error('Mural import failed'), { response: data, status: res.status });
+		return data;
+	}
+
+	function setImportStatus(message) {
+		const els = importEls();
+		if (els.panel) els.panel.hidden = false;
+		if (els.status) els.status.textContent = message;
+	}
+
+	function importErrorMessage(error) {
+		const code = error?.response?.error || '';
+		if (code === 'not_authenticated') return 'Connect Mural from the project dashboard before importing stickies.';
+		if (code === 'mural_board_not_found') return 'No Reflexive Journal Mural was found for this project.';
+		return 'Could not read the Mural board. Nothing was imported.';
+	}
+
+	function candidateItem(candidate, index) {
+		const item = document.createElement('div');
+		item.className = 'govuk-checkboxes__item';
+
+		const input = document.createElement('input');
+		input.className = 'govuk-checkboxes__input';
+		input.type = 'checkbox';
+		input.id = `mural-import-${index}`;
+		input.name = 'widgetIds';
+		input.value = candidate.widgetId;
+		input.checked = true;
+
+		const label = document.createElement('label');
+		label.className = 'govuk-label govuk-checkboxes__label';
+		label.htmlFor = input.id;
+		label.textContent = candidate.text;
+
+		const hint = document.createElement('div');
+		hint.className = 'govuk-hint govuk-checkboxes__hint';
+		hint.id = `${input.id}-hint`;
+		const codes = (candidate.codes || []).map(code => code.name);
+		const tags = candidate.unmatchedTags || [];
+		hint.textContent = [
+			candidate.category ? `Category: ${CATEGORY_LABELS[candidate.category] || candidate.category}` : 'Category: choose below',
+			codes.length ? `Codes: ${codes.join(', ')}` : '',
+			tags.length ? `Tags: ${tags.join(', ')}` : ''
+		].filter(Boolean).join('. ');
+		input.setAttribute('aria-describedby', hint.id);
+
+		item.append(input, label, hint);
+
+		if (!candidate.category) {
+			const group = document.createElement('div');
+			group.className = 'govuk-form-group mural-import-category';
+			const selectLabel = document.createElement('label');
+			selectLabel.className = 'govuk-label';
+			selectLabel.htmlFor = `${input.id}-category`;
+			selectLabel.textContent = 'Category';
+			const select = document.createElement('select');
+			select.className = 'govuk-select';
+			select.id = `${input.id}-category`;
+			select.dataset.widgetId = candidate.widgetId;
+			select.append(new Option('Choose a category', ''));
+			Object.keys(CATEGORY_LABELS).forEach(key => select.append(new Option(CATEGORY_LABELS[key], key)));
+			group.append(selectLabel, select);
+			item.append(group);
+		}
+
+		return item;
+	}
+
+	async function previewMuralImport() {
+		const els = importEls();
+		if (!projectId() || !els.list) return;
+		if (els.form) els.form.hidden = true;
+		setImportStatus('Reading the Mural board…');
+		try {
+			const preview = await postImport({ mode: 'preview' });
+			const candidates = preview.candidates || [];
+			const already = (preview.alreadyImported || []).length;
+			const previously = already ? ` ${already} ${already === 1 ? 'sticky was' : 'stickies were'} imported before.` : '';
+			if (!candidates.length) {
+				setImportStatus(`There are no new stickies on the board to import.${previously}`);
+				return;
+			}
+			els.list.replaceChildren(...candidates.map(candidateItem));
+			if (els.form) els.form.hidden = false;
+			setImportStatus(`${candidates.length} ${candidates.length === 1 ? 'sticky was' : 'stickies were'} added on the board and can be imported. Nothing is saved until you choose Import selected stickies.${previously}`);
+		} catch (error) {
+			setImportStatus(importErrorMessage(error));
+		}
+	}
+
+	async function confirmMuralImport(event) {
+		event.preventDefault();
+		const els = importEls();
+		const widgetIds = Array.from(els.list?.querySelectorAll('input[name="widgetIds"]:checked') || []).map(input => input.value);
+		if (!widgetIds.length) {
+			setImportStatus('Choose at least one sticky to import.');
+			return;
+		}
+		const categories = {};
+		els.list.querySelectorAll('select[data-widget-id]').forEach(select => {
+			if (select.value) categories[select.dataset.widgetId] = select.value;
+		});
+
+		setImportStatus('Importing stickies…');
+		try {
+			const result = await postImport({ mode: 'confirm', widgetIds, categories });
+			const imported = (result.imported || []).length;
+			const noCategory = (result.skipped || []).filter(item => item.reason === 'no_category').length;
+			const failed = (result.failed || []).length;
+			const parts = [`${imported} ${imported === 1 ? 'sticky was' : 'stickies were'} imported as journal entries.`];
+			if (noCategory) parts.push(`${noCategory} ${noCategory === 1 ? 'needs' : 'need'} a category before ${noCategory === 1 ? 'it' : 'they'} can be imported.`);
+			if (failed) parts.push(`${failed} could not be imported.`);
+			if (els.form) els.form.hidden = true;
+			setImportStatus(parts.join(' '));
+			if (imported) document.dispatchEvent(new CustomEvent('journal:entries-changed'));
+			loadMuralSyncStatus();
+		} catch (error) {
+			setImportStatus(importErrorMessage(error));
+		}
+	}
+
+	function closeMuralImport() {
+		const els = importEls();
+		if (els.panel) els.panel.hidden = true;
+		els.list?.replaceChildren();
+	}
+
 	function observeStatusAction() {
 		const target = document.getElementById('mural-sync-pending-btn');
 		if (!target || typeof MutationObserver !== 'function') return;
@@ -148,6 +302,9 @@
 
 	document.addEventListener('DOMContentLoaded', function() {
 		document.getElementById('mural-sync-pending-btn')?.addEventListener('click', addPendingEntriesToMural);
+		document.getElementById('mural-import-btn')?.addEventListener('click', previewMuralImport);
+		document.getElementById('mural-import-form')?.addEventListener('submit', confirmMuralImport);
+		document.getElementById('mural-import-cancel')?.addEventListener('click', closeMuralImport);
 		document.getElementById('add-entry-form')?.addEventListener('submit', function() {
 			window.setTimeout(loadMuralSyncStatus, 750);
 			window.setTimeout(loadMuralSyncStatus, 2500);
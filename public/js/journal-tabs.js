@@ -8,7 +8,7 @@
  * - Shows page-level Reflexive Journal Mural sync status and hydration controls
  */
 
-import { runTimeline, runCooccurrence, runRetrieval, runExport } from './caqdas-interface.js';
+import { runTimeline, runCooccurrence, runRetrieval, runAgreement, runExport } from './caqdas-interface.js';
 import { clearJournalFeedback, showJournalError, showJournalStatus } from './journal-feedback.js';
 
 /* eslint-env browser */
@@ -1079,7 +1079,8 @@ import { clearJournalFeedback, showJournalError, showJournalStatus } from './jou
 				runRetrieval(state.projectId);
 				document.getElementById('retrieval-q')?.focus();
 				showJournalStatus('Enter a search term in Code retrieval, then select Run search.');
-			} else if (mode === 'export') runExport(state.projectId);
+			} else if (mode === 'agreement') runAgreement(state.projectId);
+			else if (mode === 'export') runExport(state.projectId);
 		});
 	}
 
@@ -1110,6 +1111,7 @@ import { clearJournalFeedback, showJournalError, showJournalStatus } from './jou
 		setupMemoFilters();
 		setupAnalysisButtons();
 		ensureMuralSyncPanel();
+		document.addEventListener('journal:entries-changed', loadEntries);
 		clearJournalFeedback();
 		try {
 			const queued = sessionStorage.getItem('journal-feedback');
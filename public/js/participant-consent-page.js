@@ -54,6 +54,8 @@ const state = {
 	participants: [],
 	consentForms: [],
 	participantConsentRecords: [],
+	reconsentQueue: [],
+	withdrawals: [],
 	selectedParticipantId: ""
 };
 
@@ -138,6 +140,18 @@ async function loadStudyCollection(path, studyId, key) {
 	}
 }
 
+async function loadReconsentQueue(studyId) {
+	try {
+		const url = new URL(apiUrl("/api/consent-forms/reconsent-queue"), window.location.origin);
+		url.searchParams.set("study", studyId);
+		const body = await jsonFetch(url.toString());
+		return Array.isArray(body?.queue) ? body.queue : [];
+	} catch (error) {
+		console.warn("[participant-consent] re-consent queue lookup failed", error);
+		return [];
+	}
+}
+
 function normaliseStatus(value) {
 	return String(value || "").trim().toLowerCase();
 }
@@ -173,7 +187,7 @@ function participantMatchesIdentifier(participant, identifier) {
 function consentRecordForParticipant(participantId) {
 	const participant = state.participants.find(item => participantMatchesIdentifier(item, participantId));
 	const identifiers = participantConsentIdentifiers(participant || { id: participantId });
-	return state.participantConsentRecords.find(record => identifiers.has(record.participantId || record.participant_id)) || null;
+	return state.participantConsentRecords.findLast(record => identifiers.has(record.participantId || record.participant_id)) || null;
 }
 
 function statusForParticipant(participant, record = consentRecordForParticipant(participant.id), form = latestPublishedForm()) {
@@ -434,6 +448,127 @@ function renderParticipantTable() {
 	}
 }
 
+function reconsentEntryForParticipant(participant = {}) {
+	const identifiers = participantConsentIdentifiers(participant);
+	return state.reconsentQueue.find(entry => identifiers.has(entry.participantId)) || null;
+}
+
+function renderReconsentQueue() {
+	const list = $("#reconsent-queue-list");
+	if (!list) return;
+	list.innerHTML = "";
+	for (const entry of state.reconsentQueue) {
+		const participant = state.participants.find(item => participantMatchesIdentifier(item, entry.participantId));
+		const participantName = participant?.display_name || participant?.name || "Participant";
+		const li = document.createElement("li");
+		li.dataset.reconsentParticipant = entry.participantId;
+		li.innerHTML = `
+			<span><strong>${escapeHtml(participantName)}</strong> agreed to version ${escapeHtml(entry.consentedVersion)}. The current version is ${escapeHtml(entry.currentVersion)}.</span>
+			${participant ? `<button type="button" class="govuk-button govuk-button--secondary govuk-!-margin-bottom-0" data-record-consent="${escapeHtml(participant.id)}">Review changes<span class="govuk-visually-hidden"> for ${escapeHtml(participantName)}</span></button>` : ""}
+		`;
+		list.appendChild(li);
+	}
+	setHidden("#reconsent-queue-panel", state.reconsentQueue.length === 0);
+}
+
+const WITHDRAWAL_SCOPE_LABELS = {
+	remove: "Notes and excerpts deleted",
+	redact: "Participant's words redacted",
+	retain: "Records kept"
+};
+
+const WITHDRAWAL_STATUS_LABELS = {
+	queued: "Waiting to run",
+	running: "Running",
+	completed: "Completed",
+	needs_attention: "Needs attention",
+	failed: "Failed, will retry"
+};
+
+function withdrawalReportUrl(withdrawal, format) {
+	const url = new URL(apiUrl(`/api/consent-withdrawals/${encodeURIComponent(withdrawal.id)}/report`), window.location.origin);
+	url.searchParams.set("format", format);
+	return url.toString();
+}
+
+function renderWithdrawals() {
+	const list = $("#withdrawal-reports-list");
+	if (!list) return;
+	list.innerHTML = "";
+	for (const withdrawal of state.withdrawals) {
+		const participant = state.participants.find(item => participantMatchesIdentifier(item, withdrawal.participantId));
+		const participantName = participant?.display_name || participant?.name || "Participant";
+		const counts = withdrawal.counts || {};
+		const open = Number(counts.manual || 0) + Number(counts.failed || 0) + Number(counts.pending || 0);
+		const li = document.createElement("li");
+		li.dataset.withdrawalId = withdrawal.id;
+		li.innerHTML = `
+			<p class="govuk-body govuk-!-margin-bottom-1"><strong>${escapeHtml(participantName)}</strong> withdrew on ${escapeHtml(formatConsentTime(withdrawal.requestedAt))}. ${escapeHtml(WITHDRAWAL_SCOPE_LABELS[withdrawal.scope] || withdrawal.scope)}.</p>
+			<p class="govuk-body govuk-!-margin-bottom-1">${escapeHtml(WITHDRAWAL_STATUS_LABELS[withdrawal.status] || withdrawal.status)}: ${escapeHtml(counts.done || 0)} of ${escapeHtml(counts.total || 0)} items done${open ? `, ${escapeHtml(open)} still to do` : ""}.</p>
+			<div class="govuk-button-group">
+				<a class="govuk-link" href="${escapeHtml(withdrawalReportUrl(withdrawal, "csv"))}" download>Download report (CSV)<span class="govuk-visually-hidden"> for ${escapeHtml(participantName)}</span></a>
+				<a class="govuk-link" href="${escapeHtml(withdrawalReportUrl(withdrawal, "json"))}" download>Download report (JSON)<span class="govuk-visually-hidden"> for ${escapeHtml(participantName)}</span></a>
+				${open || withdrawal.status === "failed" ? `<button type="button" class="govuk-button govuk-button--secondary govuk-!-margin-bottom-0" data-rerun-withdrawal="${escapeHtml(withdrawal.id)}">Run again<span class="govuk-visually-hidden"> for ${escapeHtml(participantName)}</span></button>` : ""}
+			</div>
+		`;
+		list.appendChild(li);
+	}
+	setHidden("#withdrawal-reports-panel", state.withdrawals.length === 0);
+}
+
+async function rerunWithdrawal(button) {
+	const id = button.getAttribute("data-rerun-withdrawal") || "";
+	if (!id) return;
+	button.disabled = true;
+	setText("#withdrawal-reports-status", "Running the withdrawal again.");
+	try {
+		await jsonFetch(apiUrl(`/api/consent-withdrawals/${encodeURIComponent(id)}/run`), { method: "POST" });
+		state.withdrawals = await loadStudyCollection("/api/consent-withdrawals", state.studyId, "withdrawals");
+		renderWithdrawals();
+		setText("#withdrawal-reports-status", "Withdrawal run again. Download the report to see what is left to do.");
+	} catch (error) {
+		console.error("[participant-consent] withdrawal rerun failed", error);
+		button.disabled = false;
+		setText("#withdrawal-reports-status", "Could not run the withdrawal again. Try again in a few minutes.");
+	}
+}
+
+const CHANGE_LABELS = { added: "Added", removed: "Removed", changed: "Changed" };
+
+async function renderVersionChanges(entry) {
+	const list = $("#consent-version-changes-list");
+	setHidden("#consent-version-changes", !entry);
+	if (!entry || !list) return;
+	list.innerHTML = "";
+	setText("#consent-version-changes-status", `Loading changes between version ${entry.consentedVersion} and version ${entry.currentVersion}.`);
+	try {
+		const url = new URL(apiUrl(`/api/consent-forms/${encodeURIComponent(entry.consentFormId)}/diff`), window.location.origin);
+		url.searchParams.set("from", String(entry.consentedVersion));
+		url.searchParams.set("to", String(entry.currentVersion));
+		const body = await jsonFetch(url.toString());
+		const changes = Array.isArray(body?.changes) ? body.changes : [];
+		setText(
+			"#consent-version-changes-status",
+			changes.length
+				? `Go through these changes with the participant before recording consent to version ${entry.currentVersion}.`
+				: "The wording has not changed, but the participant still needs to agree to the current version."
+		);
+		for (const change of changes) {
+			const row = document.createElement("div");
+			row.className = "govuk-summary-list__row";
+			const wording = change.change === "removed" ? change.before : change.after;
+			row.innerHTML = `
+				<dt class="govuk-summary-list__key">${escapeHtml(change.label)}</dt>
+				<dd class="govuk-summary-list__value"><strong class="govuk-tag govuk-tag--grey">${escapeHtml(CHANGE_LABELS[change.change] || change.change)}</strong> ${escapeHtml(wording)}</dd>
+			`;
+			list.appendChild(row);
+		}
+	} catch (error) {
+		console.warn("[participant-consent] version changes lookup failed", error);
+		setText("#consent-version-changes-status", "Could not load the changes between versions. Open the consent form to compare them.");
+	}
+}
+
 function renderFormOptions(selectedFormId = "") {
 	const select = $("#consent-form-select");
 	if (!select) return;
@@ -500,13 +635,17 @@ function selectParticipant(participantId) {
 			: "Complete the required statements before saving this participant as ready for research."
 	);
 	$("#participant-id").value = participantId;
-	$("#consent-record-id").value = record?.id || "";
+	// Responses given through a consent link are hashed and cannot be edited, so a researcher records a new response instead.
+	$("#consent-record-id").value = record?.responseHash ? "" : record?.id || "";
 	$("#capture-method").value = record?.captureMethod || "";
 	$("#recorded-by").value = record?.recordedBy || "";
 	$("#consent-withdrawn").checked = record?.withdrawn === true;
 	$("#withdrawal-reason").value = record?.withdrawalReason || "";
+	$("#withdrawal-scope-redact").checked = true;
 	renderFormOptions(form?.id || "");
 	renderConsentItems(record, form);
+	renderVersionChanges(reconsentEntryForParticipant(participant));
+	resetConsentLink(Boolean(currentForm));
 	updateSourcebookAssurance(participant, record, currentForm);
 	const currentRoute = route("/pages/study/participant-consent/", {
 		id: state.studyId,
@@ -533,6 +672,39 @@ function deriveStatus(responses, withdrawn, form = latestPublishedForm()) {
 	return missingRequired ? "Needs consent" : "Ready for session";
 }
 
+function resetConsentLink(published) {
+	$("#consent-link-url").value = "";
+	setHidden("#consent-link-result", true);
+	setText("#consent-link-status", published ? "" : "Publish a consent form before creating a consent link.");
+	const button = $("#create-consent-link");
+	if (button) button.disabled = !published;
+}
+
+async function createConsentLink() {
+	const participantId = state.selectedParticipantId;
+	if (!participantId) return;
+	const button = $("#create-consent-link");
+	if (button) button.disabled = true;
+	setText("#consent-link-status", "Creating consent link.");
+	try {
+		const body = await jsonFetch(apiUrl("/api/participant-consent/links"), {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify({ studyId: state.studyId, participantId })
+		});
+		$("#consent-link-url").value = body.url || "";
+		setHidden("#consent-link-result", false);
+		const expires = new Date(body.link?.expiresAt || "").toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric" });
+		setText("#consent-link-status", `Consent link created. It works until ${expires}.`);
+		$("#consent-link-url").select();
+	} catch (error) {
+		console.error("[participant-consent] consent link failed", error);
+		setText("#consent-link-status", "Could not create a consent link. Check a consent form is published and try again.");
+	} finally {
+		if (button) button.disabled = false;
+	}
+}
+
 async function saveConsent(event) {
 	event.preventDefault();
 	clearErrors();
@@ -546,6 +718,7 @@ async function saveConsent(event) {
 	const recordedBy = $("#recorded-by")?.value || "";
 	const withdrawn = $("#consent-withdrawn")?.checked === true;
 	const withdrawalReason = $("#withdrawal-reason")?.value || "";
+	const withdrawalScope = document.querySelector('input[name="withdrawalScope"]:checked')?.value || "redact";
 	const errors = [];
 
 	if (!participantId) errors.push("Choose a participant before saving consent.");
@@ -568,6 +741,7 @@ async function saveConsent(event) {
 		captureMethod,
 		withdrawn,
 		withdrawalReason,
+		...(withdrawn ? { withdrawalScope } : {}),
 		recordedBy
 	};
 
@@ -582,10 +756,17 @@ async function saveConsent(event) {
 		if (!saved) throw new Error("Participant consent response was not returned.");
 		state.participantConsentRecords = state.participantConsentRecords.filter(record => record.id !== saved.id && record.participantId !== saved.participantId);
 		state.participantConsentRecords.push(saved);
-		setStatus("Participant consent saved.");
+		state.reconsentQueue = state.reconsentQueue.filter(entry => {
+			if (!participantMatchesIdentifier(participant, entry.participantId)) return true;
+			return !saved.withdrawn && Number(saved.consentFormVersion || 0) < Number(entry.currentVersion || 0);
+		});
+		if (body.withdrawal) state.withdrawals = await loadStudyCollection("/api/consent-withdrawals", state.studyId, "withdrawals");
+		setStatus(body.withdrawal ? "Participant consent saved. Their data has been handled as chosen. Download the withdrawal report below." : "Participant consent saved.");
 		setHidden("#consent-record-panel", true);
 		renderSummary();
 		renderParticipantTable();
+		renderReconsentQueue();
+		renderWithdrawals();
 		updateSourcebookAssurance(participant, saved, form);
 	} catch (error) {
 		console.error("[participant-consent] save failed", error);
@@ -595,12 +776,18 @@ async function saveConsent(event) {
 
 function wireEvents() {
 	document.addEventListener("click", event => {
+		const rerun = event.target instanceof Element ? event.target.closest("[data-rerun-withdrawal]") : null;
+		if (rerun) {
+			rerunWithdrawal(rerun);
+			return;
+		}
 		const button = event.target instanceof Element ? event.target.closest("[data-record-consent]") : null;
 		if (!button) return;
 		selectParticipant(button.getAttribute("data-record-consent") || "");
 	});
 	$("#participant-consent-form")?.addEventListener("submit", saveConsent);
 	$("#cancel-participant-consent")?.addEventListener("click", () => setHidden("#consent-record-panel", true));
+	$("#create-consent-link")?.addEventListener("click", createConsentLink);
 	$("#consent-form-select")?.addEventListener("change", event => {
 		const form = state.consentForms.find(item => item.id === event.target.value) || latestPublishedForm();
 		renderConsentItems(null, form);
@@ -649,19 +836,25 @@ async function init() {
 	}
 
 	try {
-		const [participants, consentForms, participantConsentRecords] = await Promise.all([
+		const [participants, consentForms, participantConsentRecords, reconsentQueue, withdrawals] = await Promise.all([
 			loadStudyCollection("/api/participants", state.studyId, "participants"),
 			loadStudyCollection("/api/consent-forms", state.studyId, "consentForms"),
-			loadStudyCollection("/api/participant-consent", state.studyId, "participantConsentRecords")
+			loadStudyCollection("/api/participant-consent", state.studyId, "participantConsentRecords"),
+			loadReconsentQueue(state.studyId),
+			loadStudyCollection("/api/consent-withdrawals", state.studyId, "withdrawals")
 		]);
 		state.participants = participants;
 		state.consentForms = consentForms;
 		state.participantConsentRecords = participantConsentRecords;
+		state.reconsentQueue = reconsentQueue;
+		state.withdrawals = withdrawals;
 		setText("#study-context", `Study: ${studyTitle(state.study || {})}`);
 		updateRoutes();
 		renderPageState();
 		renderSummary();
 		renderParticipantTable();
+		renderReconsentQueue();
+		renderWithdrawals();
 		updateSourcebookAssurance();
 		if (state.routeParticipantId) {
 			const routeParticipant = state.participants.find(participant => participantMatchesIdentifier(participant, state.routeParticipantId));
@@ -8,3 +8,5 @@ await import('/js/study-canonical-url-bridge.js?v=study-record-id-routing-202605
 await import('/components/layout.js');
 await import('/components/participants/participants-page.js?v=study-record-id-routing-20260518');
 await import('/pages/study/participants/scheduler.js?v=study-record-id-routing-20260518');
+await import('/pages/study/participants/session-reminders.js?v=study-session-reminders-20261018');
+await import('/pages/study/participants/calendar-feeds.js?v=study-calendar-feeds-20261018');
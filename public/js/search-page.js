@@ -1,7 +1,8 @@
 /**
  * @file public/js/search-page.js
  * @module SearchPage
- * @summary Local ResearchOps entity search for legacy SDK records.
+ * @summary Research content search backed by GET /api/search, with a local
+ * fallback over legacy SDK records saved in this browser.
  */
 
 const queryInput = document.getElementById("q");
@@ -10,6 +11,32 @@ const searchForm = document.getElementById("search-form");
 const searchButton = document.getElementById("go");
 const resultsSection = document.getElementById("search-results-section");
 const resultsContainer = document.getElementById("results");
+const statusElement = document.getElementById("search-status");
+const facetsContainer = document.getElementById("search-facets");
+const paginationContainer = document.getElementById("search-pagination");
+
+const FETCH_TIMEOUT_MS = 12000;
+const FACET_GROUPS = [
+	["type", "Type"],
+	["project", "Project"],
+	["study", "Study"],
+	["code", "Code"]
+];
+
+const searchState = {
+	filters: { project: "", study: "", code: "" },
+	page: 1
+};
+
+function resolveApiBase() {
+	const explicit = document.documentElement?.dataset?.apiOrigin || window.API_ORIGIN || "";
+	return String(explicit || "").trim().replace(/\/+$/, "");
+}
+
+function signInUrl() {
+	const returnTo = `${window.location.pathname}${window.location.search || ""}`;
+	return `/pages/account/sign-in/?returnTo=${encodeURIComponent(returnTo)}`;
+}
 
 function escapeHtml(value) {
 	return String(value ?? "")
@@ -75,33 +102,176 @@ function renderItem(entity, index) {
 </div>`;
 }
 
+function setStatus(html) {
+	if (statusElement) statusElement.innerHTML = html;
+}
+
 function renderResults(results) {
 	if (!resultsContainer) return;
 
 	if (resultsSection) resultsSection.hidden = false;
 	resultsContainer.innerHTML = results.map(renderItem).join("") || '<div class="govuk-hint">No results.</div>';
+	if (facetsContainer) facetsContainer.innerHTML = "";
+	if (paginationContainer) paginationContainer.innerHTML = "";
+}
+
+function renderResult(result, index) {
+	const resultPosition = index + 1;
+	const title = result.url
+		? `<a class="govuk-link" href="${escapeHtml(result.url)}" data-flux-key="link.search.result-${resultPosition}" data-flux-role="navigation">${result.titleHtml}</a>`
+		: result.titleHtml;
+
+	return `<div class="govuk-summary-card researchops-utility-card">
+	<div class="govuk-summary-card__title-wrapper">
+		<h3 class="govuk-summary-card__title">${title}</h3>
+		<ul class="govuk-summary-card__actions">
+			<li class="govuk-summary-card__action">
+				<strong class="govuk-tag govuk-tag--blue">${escapeHtml(result.typeLabel)}</strong>
+			</li>
+		</ul>
+	</div>
+	<div class="govuk-summary-card__content">
+		<p class="govuk-body">${result.snippetHtml}</p>
+	</div>
+</div>`;
+}
+
+function activeFilterValue(facet) {
+	return facet === "type" ? typeSelect?.value || "" : searchState.filters[facet];
 }
 
-function runSearch() {
+function renderFacets(facets = {}) {
+	if (!facetsContainer) return;
+
+	facetsContainer.innerHTML = FACET_GROUPS.map(([facet, label]) => {
+		const values = facets[facet] || [];
+		const active = activeFilterValue(facet);
+		if (!values.length && !active) return "";
+		const items = values.map(item => {
+			const selected = item.value === active;
+			return `<li><button type="button" class="govuk-link researchops-search-facet" data-facet="${escapeHtml(facet)}" data-value="${selected ? "" : escapeHtml(item.value)}" aria-pressed="${selected}" data-flux-key="button.search.facet-${escapeHtml(facet)}" data-flux-role="control">${selected ? "<strong>" : ""}${escapeHtml(item.label)} (${Number(item.count) || 0})${selected ? "</strong>" : ""}</button></li>`;
+		}).join("");
+		const clear = active
+			? `<li><button type="button" class="govuk-link researchops-search-facet" data-facet="${escapeHtml(facet)}" data-value="" data-flux-key="button.search.facet-${escapeHtml(facet)}-clear" data-flux-role="control">Any ${escapeHtml(label.toLowerCase())}</button></li>`
+			: "";
+		return `<h3 class="govuk-heading-s">${escapeHtml(label)}</h3><ul class="govuk-list">${clear}${items}</ul>`;
+	}).join("");
+}
+
+function renderPagination(payload) {
+	if (!paginationContainer) return;
+
+	const lastPage = Math.max(1, Math.ceil((payload.total || 0) / (payload.pageSize || 20)));
+	const buttons = [];
+	if (payload.page > 1) buttons.push(`<button type="button" class="govuk-button govuk-button--secondary" data-page="${payload.page - 1}" data-flux-key="button.search.previous-page" data-flux-role="control">Previous page</button>`);
+	if (payload.page < lastPage) buttons.push(`<button type="button" class="govuk-button govuk-button--secondary" data-page="${payload.page + 1}" data-flux-key="button.search.next-page" data-flux-role="control">Next page</button>`);
+	paginationContainer.innerHTML = buttons.join("");
+}
+
+function renderServerResults(payload) {
+	if (!resultsContainer) return;
+
+	if (resultsSection) resultsSection.hidden = false;
+	const total = Number(payload.total) || 0;
+	setStatus(total === 1 ? "1 result" : `${total} results`);
+	resultsContainer.innerHTML = (payload.results || []).map(renderResult).join("") || '<div class="govuk-hint">No results.</div>';
+	renderFacets(payload.facets);
+	renderPagination(payload);
+}
+
+async function fetchSearch({ query, type }) {
+	const params = new URLSearchParams({ q: query });
+	if (type) params.set("type", type);
+	for (const [key, value] of Object.entries(searchState.filters)) {
+		if (value) params.set(key, value);
+	}
+	if (searchState.page > 1) params.set("page", String(searchState.page));
+
+	const controller = new AbortController();
+	const timer = setTimeout(() => controller.abort("timeout"), FETCH_TIMEOUT_MS);
+	try {
+		const response = await fetch(`${resolveApiBase()}/api/search?${params}`, {
+			signal: controller.signal,
+			credentials: "include",
+			cache: "no-store"
+		});
+		const data = await response.json().catch(() => ({}));
+		return { status: response.status, data };
+	} finally {
+		clearTimeout(timer);
+	}
+}
+
+function runLocalSearch({ query }) {
+	// Saved browser records use their own entity types, so the type filter does not apply.
+	renderResults(searchEntities({ query }));
+	setStatus("Search is not available right now, so only records saved in this browser were searched.");
+}
+
+async function runSearch() {
 	const query = queryInput?.value || "";
 	const type = typeSelect?.value || "";
-	const results = searchEntities({ query, type });
-	renderResults(results);
+
+	if (!query.trim()) {
+		if (resultsSection) resultsSection.hidden = false;
+		setStatus("Enter some words to search for.");
+		if (resultsContainer) resultsContainer.innerHTML = "";
+		if (facetsContainer) facetsContainer.innerHTML = "";
+		if (paginationContainer) paginationContainer.innerHTML = "";
+		return;
+	}
+
+	setStatus("Searching…");
+	try {
+		const { status, data } = await fetchSearch({ query, type });
+		if (status === 401) {
+			if (resultsSection) resultsSection.hidden = false;
+			setStatus(`<a class="govuk-link" href="${escapeHtml(signInUrl())}">Sign in</a> to search research content.`);
+			return;
+		}
+		if (!data?.ok) throw new Error(data?.error || `search_${status}`);
+		renderServerResults(data);
+	} catch {
+		runLocalSearch({ query });
+	}
 }
 
-searchButton?.addEventListener("click", runSearch);
+function startSearch() {
+	searchState.page = 1;
+	runSearch();
+}
+
+searchButton?.addEventListener("click", startSearch);
 searchForm?.addEventListener("submit", event => {
 	event.preventDefault();
-	runSearch();
+	startSearch();
 });
 queryInput?.addEventListener("keydown", event => {
 	if (event.key === "Enter") {
 		event.preventDefault();
-		runSearch();
+		startSearch();
+	}
+});
+facetsContainer?.addEventListener("click", event => {
+	const button = event.target.closest("button[data-facet]");
+	if (!button) return;
+	const { facet, value } = button.dataset;
+	if (facet === "type") {
+		if (typeSelect) typeSelect.value = value;
+	} else {
+		searchState.filters[facet] = value;
 	}
+	startSearch();
+});
+paginationContainer?.addEventListener("click", event => {
+	const button = event.target.closest("button[data-page]");
+	if (!button) return;
+	searchState.page = Number(button.dataset.page) || 1;
+	runSearch();
 });
 
 window.__ropsSearch = Object.freeze({
 	searchEntities,
-	readStoredEntities
+	readStoredEntities,
+	runSearch
 });
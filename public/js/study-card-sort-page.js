@@ -6,6 +6,8 @@
  * - Cards and groups are edited as dynamic rows; bulk card entry supports
  *   "Label | Description" lines.
  * - Predefined groups are only shown (and required) for closed and hybrid sorts.
+ * - Renders the study's results analysis from /api/card-sorts/analysis: card agreement,
+ *   standardised categories, the similarity matrix and the dendrogram.
  */
 
 const $ = (s, r = document) => r.querySelector(s);
@@ -225,6 +227,137 @@ function applyBulkCards() {
 	if (panel) panel.hidden = true;
 }
 
+/* -------------------------------------------------------------------------- */
+/* Results analysis                                                           */
+/* -------------------------------------------------------------------------- */
+async function loadAnalysis(studyId) {
+	const res = await fetch(apiUrl(`/api/card-sorts/analysis?study=${encodeURIComponent(studyId)}&ts=${Date.now()}`), {
+		cache: "no-store",
+		credentials: "include"
+	});
+	if (!res.ok) return null;
+	const body = await res.json().catch(() => ({}));
+	return body?.analysis || null;
+}
+
+function percent(value) {
+	return `${Math.round(Number(value || 0) * 100)}%`;
+}
+
+function analysisTable(caption, headers, rows) {
+	const table = document.createElement("table");
+	table.className = "govuk-table govuk-!-font-size-16";
+	const cap = document.createElement("caption");
+	cap.className = "govuk-table__caption govuk-visually-hidden";
+	cap.textContent = caption;
+	const head = document.createElement("thead");
+	head.className = "govuk-table__head";
+	const headRow = document.createElement("tr");
+	headRow.className = "govuk-table__row";
+	headers.forEach((text) => {
+		const th = document.createElement("th");
+		th.scope = "col";
+		th.className = "govuk-table__header";
+		th.textContent = text;
+		headRow.append(th);
+	});
+	head.append(headRow);
+	const body = document.createElement("tbody");
+	body.className = "govuk-table__body";
+	rows.forEach((cells) => {
+		const tr = document.createElement("tr");
+		tr.className = "govuk-table__row";
+		cells.forEach((text, index) => {
+			const cell = document.createElement(index === 0 ? "th" : "td");
+			if (index === 0) cell.scope = "row";
+			cell.className = index === 0 ? "govuk-table__header" : "govuk-table__cell";
+			cell.textContent = text;
+			tr.append(cell);
+		});
+		body.append(tr);
+	});
+	table.append(cap, head, body);
+	return table;
+}
+
+function similarityTable(analysis) {
+	const labels = new Map((analysis.cards || []).map((card) => [card.id, card.label]));
+	const position = new Map((analysis.similarity?.cardIds || []).map((id, index) => [id, index]));
+	const order = (analysis.dendrogram?.order || []).filter((id) => position.has(id));
+	const matrix = analysis.similarity?.matrix || [];
+
+	const table = analysisTable("Similarity matrix", ["Card", ...order.map((id) => labels.get(id) || id)], []);
+	const body = table.querySelector("tbody");
+	order.forEach((rowId) => {
+		const tr = document.createElement("tr");
+		tr.className = "govuk-table__row";
+		const th = document.createElement("th");
+		th.scope = "row";
+		th.className = "govuk-table__header";
+		th.textContent = labels.get(rowId) || rowId;
+		tr.append(th);
+		order.forEach((colId) => {
+			const value = matrix[position.get(rowId)]?.[position.get(colId)] || 0;
+			const td = document.createElement("td");
+			td.className = `govuk-table__cell study-card-sort-matrix__cell study-card-sort-matrix__cell--band-${Math.min(4, Math.floor(value * 5))}`;
+			td.textContent = rowId === colId ? "–" : percent(value);
+			tr.append(td);
+		});
+		body.append(tr);
+	});
+	return table;
+}
+
+function dendrogramList(node) {
+	const li = document.createElement("li");
+	if (!node.children) {
+		li.className = "study-card-sort-dendrogram__leaf";
+		li.textContent = node.label || node.id;
+		return li;
+	}
+	const label = document.createElement("span");
+	label.className = "study-card-sort-dendrogram__cluster";
+	label.textContent = `${node.size} cards, distance ${Number(node.height).toFixed(2)}`;
+	const ul = document.createElement("ul");
+	ul.className = "govuk-list study-card-sort-dendrogram__children";
+	node.children.forEach((child) => ul.append(dendrogramList(child)));
+	li.append(label, ul);
+	return li;
+}
+
+function renderAnalysis(analysis) {
+	const status = $("#card-sort-analysis-status");
+	const body = $("#card-sort-analysis-body");
+	if (!status || !body) return;
+	if (!analysis || !analysis.participants) {
+		status.textContent = "Analysis appears here once participants have completed the card sort.";
+		body.hidden = true;
+		return;
+	}
+	status.textContent = `Based on ${analysis.participants} completed card sort${analysis.participants === 1 ? "" : "s"}.`;
+
+	$("#card-sort-agreement")?.replaceChildren(analysisTable(
+		"Card agreement",
+		["Card", "Most common category", "Agreement", "Participants"],
+		(analysis.agreement || []).map((row) => [row.label, row.topCategory || "Not sorted", percent(row.agreement), String(row.placements)])
+	));
+	$("#card-sort-categories")?.replaceChildren(analysisTable(
+		"Standardised categories",
+		["Category", "Also named", "Participants", "Cards"],
+		(analysis.categories || []).map((row) => [row.name, row.labels.slice(1).join(", ") || "–", String(row.participants), String(row.cards.length)])
+	));
+	$("#card-sort-similarity")?.replaceChildren(similarityTable(analysis));
+
+	const tree = $("#card-sort-dendrogram");
+	if (tree) {
+		const root = document.createElement("ul");
+		root.className = "govuk-list study-card-sort-dendrogram__children";
+		if (analysis.dendrogram?.root) root.append(dendrogramList(analysis.dendrogram.root));
+		tree.replaceChildren(root);
+	}
+	body.hidden = false;
+}
+
 /* -------------------------------------------------------------------------- */
 /* Breadcrumbs and study context                                              */
 /* -------------------------------------------------------------------------- */
@@ -328,4 +461,10 @@ async function hydrateContext(studyId) {
 	} catch {
 		hydrate(null);
 	}
+
+	try {
+		renderAnalysis(await loadAnalysis(studyId));
+	} catch {
+		renderAnalysis(null);
+	}
 })();
@@ -1,7 +1,10 @@
 /**
  * @file public/js/study-ethics-risk-model.js
  * @module study-ethics-risk-model
- * @summary Shared local preview model for study ethics and research risk outcomes.
+ * @summary Shared model for study ethics and research risk outcomes.
+ *
+ * `evaluateStudyEthicsRisk` is also imported by the Worker, which runs it
+ * authoritatively when answers are recorded. Keep it free of browser globals.
  */
 
 function asSet(values = []) {
@@ -411,26 +414,71 @@ export function loadStudyEthicsRisk(studyId) {
 	return evaluateStudyEthicsRisk({});
 }
 
+function studyEthicsRiskReview(ethicsRisk = {}) {
+	return {
+		status: ethicsRisk.status || "",
+		statusLabel: ethicsRisk.statusLabel || "Not recorded",
+		version: Number(ethicsRisk.version) || 0,
+		recruitment: ethicsRisk.recruitment || { allowed: true, reason: "" },
+		canReview: ethicsRisk.canReview === true,
+		isAuthor: ethicsRisk.isAuthor === true,
+		reviews: Array.isArray(ethicsRisk.reviews) ? ethicsRisk.reviews : []
+	};
+}
+
+/**
+ * The outcome recorded on the Worker. The Worker evaluates the answers itself,
+ * so its stored outcome is used rather than re-evaluating in the browser.
+ */
+function outcomeFromServer(ethicsRisk = {}) {
+	const review = studyEthicsRiskReview(ethicsRisk);
+	if (!ethicsRisk.answers || !ethicsRisk.outcome?.route) return { ...evaluateStudyEthicsRisk({}), review };
+	return {
+		...evaluateStudyEthicsRisk(ethicsRisk.answers, {
+			savedAt: ethicsRisk.savedAt,
+			recordedBy: ethicsRisk.recordedBy
+		}),
+		...ethicsRisk.outcome,
+		answers: ethicsRisk.answers,
+		savedAt: ethicsRisk.savedAt || "",
+		recordedBy: ethicsRisk.recordedBy || "",
+		review
+	};
+}
+
+async function studyEthicsRiskRequest(path, body) {
+	const response = await fetch(path, {
+		method: body ? "POST" : "GET",
+		cache: "no-store",
+		credentials: "include",
+		headers: body
+			? {
+					Accept: "application/json",
+					"Content-Type": "application/json",
+					"X-ResearchOps-CSRF": "1"
+				}
+			: { Accept: "application/json" },
+		body: body ? JSON.stringify(body) : undefined
+	});
+	const payload = await response.json().catch(() => ({}));
+	if (!response.ok || payload?.ok === false) {
+		throw Object.assign(new Error(payload?.message || `HTTP ${response.status}`), {
+			status: response.status,
+			code: payload?.error || ""
+		});
+	}
+	return payload;
+}
+
 export async function loadSeededStudyEthicsRisk(studyId) {
 	if (!studyId) return evaluateStudyEthicsRisk({});
 	const localOutcome = loadStudyEthicsRisk(studyId);
-	if (localOutcome.started) return localOutcome;
 	try {
 		const url = new URL("/api/study-ethics-risk", window.location.origin);
 		url.searchParams.set("study", studyId);
-		const response = await fetch(url.toString(), {
-			cache: "no-store",
-			credentials: "include",
-			headers: { Accept: "application/json" }
-		});
-		const body = await response.json();
-		if (!response.ok || body?.ok === false || !body?.ethicsRisk?.answers) {
-			return localOutcome;
-		}
-		return evaluateStudyEthicsRisk(body.ethicsRisk.answers, {
-			savedAt: body.ethicsRisk.savedAt,
-			recordedBy: body.ethicsRisk.recordedBy
-		});
+		const body = await studyEthicsRiskRequest(url.toString());
+		if (!body?.ethicsRisk?.answers && localOutcome.started) return localOutcome;
+		return outcomeFromServer(body?.ethicsRisk);
 	} catch {
 		return localOutcome;
 	}
@@ -461,21 +509,13 @@ export function studyEthicsRiskRecord(studyId, outcome, metadata = {}) {
 
 async function persistStudyEthicsRiskRecord(record) {
 	try {
-		const response = await fetch("/api/study-ethics-risk", {
-			method: "POST",
-			cache: "no-store",
-			credentials: "include",
-			headers: {
-				Accept: "application/json",
-				"Content-Type": "application/json"
-			},
-			body: JSON.stringify(record)
+		const body = await studyEthicsRiskRequest("/api/study-ethics-risk", {
+			studyId: record.studyId,
+			answers: record.answers
 		});
-		if (!response.ok) return false;
-		const body = await response.json();
-		return body?.ok !== false;
+		return body?.ethicsRisk || null;
 	} catch {
-		return false;
+		return null;
 	}
 }
 
@@ -499,7 +539,8 @@ export async function recordStudyEthicsRisk(studyId, answers) {
 	});
 	if (!studyId || !outcome.started || outcome.route === "incomplete-assessment") return outcome;
 	const record = studyEthicsRiskRecord(studyId, outcome);
-	const persisted = await persistStudyEthicsRiskRecord(record);
+	const recorded = await persistStudyEthicsRiskRecord(record);
+	const persisted = Boolean(recorded);
 	if (!persisted && !isLocalPreviewOrigin()) {
 		return {
 			...outcome,
@@ -517,11 +558,21 @@ export async function recordStudyEthicsRisk(studyId, answers) {
 	}
 	if (!persisted) saveStudyEthicsRisk(studyId, answers);
 	return {
-		...outcome,
+		...(persisted ? outcomeFromServer(recorded) : outcome),
 		persisted
 	};
 }
 
+export async function submitStudyEthicsRiskForReview(studyId, comment = "") {
+	const body = await studyEthicsRiskRequest("/api/study-ethics-risk/submit", { studyId, comment });
+	return outcomeFromServer(body.ethicsRisk);
+}
+
+export async function recordStudyEthicsRiskDecision(studyId, action, comment = "") {
+	const body = await studyEthicsRiskRequest("/api/study-ethics-risk/decisions", { studyId, action, comment });
+	return outcomeFromServer(body.ethicsRisk);
+}
+
 export function clearStudyEthicsRisk(studyId) {
 	if (!studyId) return evaluateStudyEthicsRisk({});
 	window.localStorage.removeItem(ethicsRiskStorageKey(studyId));
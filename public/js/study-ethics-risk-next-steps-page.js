@@ -24,6 +24,7 @@ let currentWorkflowKey = "";
 let currentContext = null;
 let currentOutcome = {};
 let currentSubmissionStepId = "";
+let submissionDocuments = [];
 
 const ethicsSubmissionRoute = "ethics-board-submission-likely";
 
@@ -933,14 +934,140 @@ function renderSubmissionStep(workflow, record, outcome = {}) {
 	}
 }
 
+async function loadSubmissionDocuments(studyId) {
+	if (!studyId) return [];
+	try {
+		const response = await fetch(`/api/study-ethics-risk/submissions?study=${encodeURIComponent(studyId)}`, {
+			headers: { Accept: "application/json" }
+		});
+		const body = await response.json().catch(() => ({}));
+		return response.ok && Array.isArray(body?.documents) ? body.documents : [];
+	} catch {
+		return [];
+	}
+}
+
+function submissionHistoryItems(record) {
+	if (submissionDocuments.length) {
+		return [...submissionDocuments]
+			.sort((a, b) => a.submissionVersion - b.submissionVersion || String(a.createdAt).localeCompare(String(b.createdAt)))
+			.map(stored => ({
+				version: stored.submissionVersion,
+				status: "Submitted to ethics board",
+				submittedAt: stored.createdAt,
+				documentId: stored.id
+			}));
+	}
+	return Array.isArray(record?.submissionHistory) ? record.submissionHistory : [];
+}
+
+const submissionDiffGroups = {
+	submission: "Submission details",
+	riskOutcome: "Risk outcome",
+	sections: "Submission sections"
+};
+
+const submissionDiffChanges = {
+	added: "Added",
+	removed: "Removed",
+	changed: "Changed"
+};
+
+function submissionDiffValue(value) {
+	if (value === null || value === undefined) return "Not recorded";
+	return String(value) === "" ? "Empty" : String(value);
+}
+
+function renderSubmissionDiff(diff, item, previous) {
+	const container = $("#ethics-submission-diff");
+	if (!container) return;
+	const heading = document.createElement("h5");
+	heading.className = "govuk-heading-s";
+	heading.textContent = `Changes from version ${previous.version} to version ${item.version}`;
+	if (!diff.changes.length) {
+		const empty = document.createElement("p");
+		empty.className = "govuk-body";
+		empty.textContent = "No fields changed between these versions.";
+		container.replaceChildren(heading, empty);
+	} else {
+		const table = document.createElement("table");
+		table.className = "govuk-table";
+		const caption = document.createElement("caption");
+		caption.className = "govuk-table__caption govuk-table__caption--s govuk-visually-hidden";
+		caption.textContent = heading.textContent;
+		const head = document.createElement("thead");
+		head.className = "govuk-table__head";
+		const headRow = document.createElement("tr");
+		headRow.className = "govuk-table__row";
+		["Part", "Field", "Change", `Version ${previous.version}`, `Version ${item.version}`].forEach(label => {
+			const cell = document.createElement("th");
+			cell.className = "govuk-table__header";
+			cell.scope = "col";
+			cell.textContent = label;
+			headRow.append(cell);
+		});
+		head.append(headRow);
+		const body = document.createElement("tbody");
+		body.className = "govuk-table__body";
+		diff.changes.forEach(change => {
+			const row = document.createElement("tr");
+			row.className = "govuk-table__row";
+			[
+				submissionDiffGroups[change.group] || change.group,
+				change.field,
+				submissionDiffChanges[change.change] || change.change,
+				submissionDiffValue(change.before),
+				submissionDiffValue(change.after)
+			].forEach(text => {
+				const cell = document.createElement("td");
+				cell.className = "govuk-table__cell";
+				cell.textContent = text;
+				row.append(cell);
+			});
+			body.append(row);
+		});
+		table.append(caption, head, body);
+		const summary = document.createElement("p");
+		summary.className = "govuk-body";
+		summary.textContent = `${diff.summary.changed} changed, ${diff.summary.added} added and ${diff.summary.removed} removed.`;
+		container.replaceChildren(heading, summary, table);
+	}
+	container.hidden = false;
+	container.focus();
+}
+
+async function compareSubmissionVersions(item, previous) {
+	const status = $("#ethics-submission-history-status");
+	if (status) status.textContent = `Comparing version ${item.version} with version ${previous.version}.`;
+	try {
+		const response = await fetch(`/api/study-ethics-risk/submissions/${encodeURIComponent(item.documentId)}/diff?against=${encodeURIComponent(previous.documentId)}`, {
+			headers: { Accept: "application/json" }
+		});
+		const body = await response.json().catch(() => ({}));
+		if (!response.ok || body?.ok === false) throw new Error(body?.message || "The submission versions could not be compared.");
+		if (status) status.textContent = "";
+		renderSubmissionDiff(body, item, previous);
+	} catch (error) {
+		if (status) status.textContent = error?.message || "The submission versions could not be compared.";
+	}
+}
+
+function submissionDocumentLink(href, text) {
+	const link = document.createElement("a");
+	link.className = "govuk-link";
+	link.href = href;
+	link.textContent = text;
+	return link;
+}
+
 function renderSubmissionHistory(record) {
 	const list = $("#ethics-submission-history-list");
 	const empty = $("#ethics-submission-history-empty");
 	if (!list) return;
-	const history = Array.isArray(record?.submissionHistory) ? record.submissionHistory : [];
+	const history = submissionHistoryItems(record);
 	if (empty) empty.hidden = history.length > 0;
 	list.replaceChildren(
-		...history.map(item => {
+		...history.map((item, index) => {
 			const entry = document.createElement("li");
 			const title = document.createElement("span");
 			title.className = "study-ethics-submission-history__title";
@@ -950,11 +1077,24 @@ function renderSubmissionHistory(record) {
 			meta.textContent = item.submittedAt ? `Submitted ${formatStoredDateTime(item.submittedAt)}` : "Saved";
 			entry.append(title, document.createElement("br"), meta);
 			if (item.documentId) {
-				const documentLink = document.createElement("a");
-				documentLink.className = "govuk-link";
-				documentLink.href = `/api/study-ethics-risk/submissions/${encodeURIComponent(item.documentId)}`;
-				documentLink.textContent = "Download generated Word document";
-				entry.append(document.createElement("br"), documentLink);
+				const documentPath = `/api/study-ethics-risk/submissions/${encodeURIComponent(item.documentId)}`;
+				const actions = document.createElement("span");
+				actions.className = "study-ethics-submission-history__actions";
+				actions.append(
+					submissionDocumentLink(documentPath, "Download generated Word document"),
+					submissionDocumentLink(`${documentPath}/rendition?format=html`, "Read as a web page"),
+					submissionDocumentLink(`${documentPath}/rendition?format=pdf`, "Open PDF")
+				);
+				const previous = history.slice(0, index).reverse().find(candidate => candidate.documentId);
+				if (previous) {
+					const compare = document.createElement("button");
+					compare.type = "button";
+					compare.className = "govuk-button govuk-button--secondary govuk-!-margin-bottom-0";
+					compare.textContent = `Compare with version ${previous.version}`;
+					compare.addEventListener("click", () => compareSubmissionVersions(item, previous));
+					actions.append(compare);
+				}
+				entry.append(actions);
 			}
 			return entry;
 		})
@@ -1391,6 +1531,7 @@ function bindSubmissionWorkflow() {
 				submissionHistory: history,
 				evidenceIds: evidenceIdsForStatus(workflow, "submitted")
 			});
+			submissionDocuments = await loadSubmissionDocuments(currentStudyId);
 			submitVersion.disabled = false;
 			setSubmissionDocumentStatus("Generated Word document saved with this submission version.");
 			renderSubmissionWorkflow(workflow, saved, currentOutcome);
@@ -1493,6 +1634,7 @@ async function initContext() {
 
 async function init() {
 	const studyId = await initContext();
+	submissionDocuments = await loadSubmissionDocuments(studyId);
 	renderOutcome(await loadSeededStudyEthicsRisk(studyId));
 	bindRecordForm();
 	bindSubmissionWorkflow();
@@ -8,7 +8,9 @@ import {
 	clearStudyEthicsRisk,
 	loadSeededStudyEthicsRisk,
 	recordStudyEthicsRisk,
-	requiredEthicsRiskGroups
+	recordStudyEthicsRiskDecision,
+	requiredEthicsRiskGroups,
+	submitStudyEthicsRiskForReview
 } from "./study-ethics-risk-model.js?v=study-ethics-risk-20260704-2";
 import {
 	resolveStudyContextFromUrl,
@@ -210,10 +212,107 @@ function renderOutcome(outcome = {}) {
 	);
 	renderTextCollection("#study-ethics-risk-controls", outcome.controls, "Record the study risk outcome.");
 	renderSourcebookClauses(outcome);
+	renderReview(outcome);
 
 	populateForm(outcome);
 }
 
+function tagClassForReview(status) {
+	if (status === "approved") return "govuk-tag--green";
+	if (status === "changes_requested" || status === "escalated") return "govuk-tag--red";
+	if (status === "submitted") return "govuk-tag--blue";
+	return "govuk-tag--grey";
+}
+
+function reviewHistoryText(review = {}) {
+	const date = new Date(review.createdAt);
+	const when = Number.isNaN(date.getTime())
+		? review.createdAt || ""
+		: new Intl.DateTimeFormat("en-GB", { dateStyle: "medium", timeStyle: "short" }).format(date);
+	const action = {
+		submit: "Submitted for review",
+		approve: "Approved",
+		request_changes: "Changes requested",
+		escalate: "Escalated"
+	}[review.action] || review.action;
+	const comment = review.comment ? `: ${review.comment}` : "";
+	return `Version ${review.version}. ${action} by ${review.actorName || "unknown"}, ${when}${comment}`;
+}
+
+function renderReview(outcome = {}) {
+	const section = $("#study-ethics-review");
+	if (!section) return;
+	const review = outcome.review;
+	const recorded = Boolean(review?.status);
+	section.hidden = !recorded;
+	if (!recorded) return;
+
+	const tag = $("#study-ethics-review-tag");
+	if (tag) {
+		tag.textContent = review.statusLabel;
+		tag.className = `govuk-tag ${tagClassForReview(review.status)}`;
+	}
+	setText("#study-ethics-review-recruitment", review.recruitment?.allowed
+		? "Participants can be recruited for this study."
+		: review.recruitment?.reason);
+
+	const submit = $("#study-ethics-review-submit");
+	if (submit) submit.hidden = !["draft", "changes_requested"].includes(review.status);
+
+	const decisionForm = $("#study-ethics-review-decision-form");
+	if (decisionForm) {
+		decisionForm.hidden = !(review.canReview && !review.isAuthor && ["submitted", "escalated"].includes(review.status));
+		const escalate = decisionForm.querySelector("input[value='escalate']")?.closest(".govuk-radios__item");
+		if (escalate) escalate.hidden = review.status !== "submitted";
+	}
+
+	renderTextCollection(
+		"#study-ethics-review-history",
+		review.reviews.map(reviewHistoryText),
+		"No review activity yet."
+	);
+	const history = $("#study-ethics-review-history");
+	if (history) history.classList.add("govuk-body-s");
+}
+
+function setReviewMessage(message) {
+	const element = $("#study-ethics-review-message");
+	if (element) element.textContent = message || "";
+}
+
+function bindReview() {
+	const submit = $("#study-ethics-review-submit");
+	const decisionForm = $("#study-ethics-review-decision-form");
+
+	submit?.addEventListener("click", async () => {
+		setReviewMessage("");
+		try {
+			renderOutcome(await submitStudyEthicsRiskForReview(currentStudyId));
+			setReviewMessage("Submitted for review.");
+		} catch (error) {
+			setReviewMessage(error?.message || "The assessment could not be submitted for review.");
+		}
+	});
+
+	decisionForm?.addEventListener("submit", async event => {
+		event.preventDefault();
+		setReviewMessage("");
+		const action = decisionForm.querySelector("[name='decision']:checked")?.value || "";
+		const comment = decisionForm.querySelector("[name='comment']")?.value || "";
+		if (!action) {
+			setReviewMessage("Choose a review decision.");
+			return;
+		}
+		try {
+			renderOutcome(await recordStudyEthicsRiskDecision(currentStudyId, action, comment));
+			decisionForm.reset();
+			setReviewMessage("Review decision recorded.");
+		} catch (error) {
+			setReviewMessage(error?.message || "The review decision could not be recorded.");
+		}
+	});
+}
+
 function hideError() {
 	const summary = $("#ethics-risk-error");
 	if (!summary) return;
@@ -357,6 +456,7 @@ async function init() {
 	const studyId = await initContext();
 	renderOutcome(await loadSeededStudyEthicsRisk(studyId));
 	bindForm();
+	bindReview();
 }
 
 init();
@@ -192,7 +192,7 @@ async function loadStudySynthesisSummary(studyId) {
 }
 
 async function loadReadinessContext(studyId) {
-	const [participants, guides, consentForms, participantConsentRecords, supportSetup, evidence, synthesisSummary, studyEthicsRisk] =
+	const [participants, guides, consentForms, participantConsentRecords, supportSetup, evidence, synthesisSummary, studyEthicsRisk, legalHolds] =
 		await Promise.all([
 			loadStudyCollection("/api/participants", studyId, "participants"),
 			loadStudyCollection("/api/guides", studyId, "guides"),
@@ -201,7 +201,8 @@ async function loadReadinessContext(studyId) {
 			loadStudySupportSetup(studyId),
 			loadStudyCollection("/api/synthesis/evidence", studyId, "evidence"),
 			loadStudySynthesisSummary(studyId),
-			loadSeededStudyEthicsRisk(studyId)
+			loadSeededStudyEthicsRisk(studyId),
+			loadStudyCollection("/api/legal-holds", studyId, "legalHolds")
 		]);
 	const studyEthicsRiskNextSteps = loadStudyEthicsRiskNextSteps(studyId);
 
@@ -214,7 +215,8 @@ async function loadReadinessContext(studyId) {
 		evidence,
 		synthesisSummary,
 		studyEthicsRisk,
-		studyEthicsRiskNextSteps
+		studyEthicsRiskNextSteps,
+		legalHolds
 	};
 }
 
@@ -930,6 +932,52 @@ async function renderTreeTestTask(study, projectId, studyId) {
 	}
 }
 
+const LEGAL_HOLD_REASON_LABELS = {
+	foi_request: "FOI request",
+	complaint: "Complaint",
+	audit: "Audit",
+	litigation: "Litigation",
+	other: "Other"
+};
+
+function legalHoldScopeLabel(hold = {}) {
+	if (hold.scopeType === "project") return "Whole project";
+	if (hold.scopeType === "participant") return `Participant ${hold.scopeId}`;
+	return "This study";
+}
+
+function formatReviewDate(value) {
+	const date = new Date(`${value}T00:00:00Z`);
+	if (Number.isNaN(date.getTime())) return value || "—";
+	return date.toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric", timeZone: "UTC" });
+}
+
+function renderLegalHolds(holds = []) {
+	const section = $("#study-legal-holds");
+	const list = $("#study-legal-holds-list");
+	if (!section || !list) return;
+	const active = holds.filter(hold => hold?.active !== false);
+	section.hidden = active.length === 0;
+	list.replaceChildren(
+		...active.map(hold => {
+			const item = document.createElement("li");
+			const tag = document.createElement("strong");
+			tag.className = "govuk-tag govuk-tag--red";
+			tag.textContent = LEGAL_HOLD_REASON_LABELS[hold.reason] || "Legal hold";
+			const scope = document.createElement("span");
+			scope.className = "govuk-!-font-weight-bold";
+			scope.textContent = ` ${legalHoldScopeLabel(hold)}`;
+			const detail = document.createElement("span");
+			detail.className = "govuk-hint govuk-!-display-block govuk-!-margin-bottom-0";
+			detail.textContent = [hold.detail, `Owner: ${hold.owner || "—"}`, `Review by ${formatReviewDate(hold.reviewDate)}`]
+				.filter(Boolean)
+				.join(". ");
+			item.append(tag, scope, detail);
+			return item;
+		})
+	);
+}
+
 function renderRoutes(projectId, studyId) {
 	const studyParams = { id: studyId, project: projectId };
 	enableLink("#breadcrumb-project", route("/pages/project-dashboard/", { id: projectId }));
@@ -981,6 +1029,7 @@ async function renderStudy(project, study, projectId, studyId, readinessContext)
 	renderReadiness(study, readinessContext, routes.sessionHref);
 	renderSupportSetupStatus(readinessContext.supportSetup);
 	renderEvidenceStateSummary(readinessContext);
+	renderLegalHolds(readinessContext.legalHolds);
 }
 
 async function init() {
@@ -36,6 +36,51 @@ function addTask(task = {}) {
 function refreshTaskDestinations() { $("#tree-test-task-list")?.querySelectorAll("select").forEach((select) => { const selected = select.value; options(select, selected); }); }
 function taskPayload() { return Array.from($("#tree-test-task-list")?.children || []).map((row) => ({ id: row.dataset.taskId, prompt: $("textarea", row)?.value.trim() || "", target_id: $("select", row)?.value || "" })); }
 async function request(path, options = {}) { const response = await fetch(apiUrl(path), { cache: "no-store", credentials: "include", headers: { "Content-Type": "application/json", ...(options.headers || {}) }, ...options }); const data = await response.json().catch(() => ({})); if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`); return data; }
+function percent(value) { return `${Math.round(Number(value || 0) * 100)}%`; }
+function seconds(ms) { return `${(Number(ms || 0) / 1000).toFixed(1)}s`; }
+function cell(tag, text, className = "") { const el = document.createElement(tag); el.className = className || (tag === "th" ? "govuk-table__header" : "govuk-table__cell"); el.textContent = text; return el; }
+function table(caption, headers, rows) {
+	const el = document.createElement("table"); el.className = "govuk-table";
+	const cap = document.createElement("caption"); cap.className = "govuk-table__caption govuk-visually-hidden"; cap.textContent = caption;
+	const head = document.createElement("thead"); head.className = "govuk-table__head"; const headRow = document.createElement("tr"); headRow.className = "govuk-table__row"; headers.forEach((header) => headRow.append(cell("th", header))); head.append(headRow);
+	const body = document.createElement("tbody"); body.className = "govuk-table__body"; rows.forEach((values) => { const row = document.createElement("tr"); row.className = "govuk-table__row"; values.forEach((value, index) => row.append(index ? cell("td", value) : cell("th", value))); body.append(row); });
+	el.append(cap, head, body); return el;
+}
+function countList(title, entries, markLabel) {
+	const wrap = document.createElement("div"); wrap.className = "tree-test-analysis-list";
+	const heading = document.createElement("p"); heading.className = "govuk-body govuk-!-font-weight-bold govuk-!-margin-bottom-1"; heading.textContent = title;
+	const list = document.createElement("ul"); list.className = "govuk-list";
+	entries.slice(0, 5).forEach((entry) => { const item = document.createElement("li"); item.textContent = `${entry.label} — ${entry.count} (${percent(entry.share)})${entry[markLabel] ? " ✓" : ""}`; list.append(item); });
+	if (!entries.length) { const item = document.createElement("li"); item.textContent = "None yet"; list.append(item); }
+	wrap.append(heading, list); return wrap;
+}
+function renderAnalysis(analysis) {
+	const tasks = analysis?.tasks || []; const answered = tasks.some((task) => task.attempts);
+	const body = $("#tree-test-analysis-body"); if (body) body.hidden = !answered;
+	const statusEl = $("#tree-test-analysis-status"); if (statusEl) statusEl.textContent = answered ? `Based on ${analysis.participants} completed ${analysis.participants === 1 ? "participant" : "participants"}.` : "Task results appear here once participants have completed the tree test.";
+	if (!answered) return;
+	$("#tree-test-task-metrics")?.replaceChildren(table("Task metrics", ["Task", "Attempts", "Success", "Direct success", "Indirect success", "Failure", "Skipped", "Directness", "Median time"], tasks.map((task) => [task.prompt, String(task.attempts), percent(task.rates.success), percent(task.rates.directSuccess), percent(task.rates.indirectSuccess), percent(task.rates.failure), percent(task.rates.skip), percent(task.rates.directness), seconds(task.timeOnTask.medianMs)])));
+	$("#tree-test-task-detail")?.replaceChildren(...tasks.map((task) => {
+		const section = document.createElement("div"); section.className = "tree-test-analysis-task";
+		const heading = document.createElement("h4"); heading.className = "govuk-heading-s"; heading.textContent = task.prompt;
+		const target = document.createElement("p"); target.className = "govuk-hint"; target.textContent = `Correct destination: ${task.target_label}`;
+		const flow = document.createElement("ol"); flow.className = "govuk-list tree-test-analysis-flow"; flow.setAttribute("aria-label", "Locations visited");
+		task.flow.forEach((node) => { const item = document.createElement("li"); item.style.setProperty("--tree-test-depth", node.depth); item.className = node.onTargetPath ? "tree-test-analysis-flow__node tree-test-analysis-flow__node--target" : "tree-test-analysis-flow__node"; item.textContent = `${node.label} — visited by ${node.visits}`; flow.append(item); });
+		const columns = document.createElement("div"); columns.className = "tree-test-analysis-columns"; columns.append(countList("First clicks", task.firstClicks, "onTargetPath"), countList("Destinations", task.destinations, "correct"));
+		section.append(heading, target, columns, flow); return section;
+	}));
+}
+async function loadAnalysis(currentStudyId) {
+	try { const data = await request(`/api/tree-tests/analysis?study=${encodeURIComponent(currentStudyId)}`); renderAnalysis(data.analysis); }
+	catch { const statusEl = $("#tree-test-analysis-status"); if (statusEl) statusEl.textContent = "Task results could not be loaded."; }
+}
+async function downloadCsv(currentStudyId) {
+	try {
+		const response = await fetch(apiUrl(`/api/tree-tests/analysis?study=${encodeURIComponent(currentStudyId)}&format=csv`), { cache: "no-store", credentials: "include" });
+		if (!response.ok) throw new Error(`Request failed (${response.status})`);
+		const link = document.createElement("a"); link.href = URL.createObjectURL(await response.blob()); link.download = `tree-test-${currentStudyId}.csv`; link.click(); setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+	} catch (error) { showError(`Could not download task results. ${error.message}`); }
+}
 async function hydrateContext(currentStudyId) {
 	try { const data = await request(`/api/studies?id=${encodeURIComponent(currentStudyId)}`); const studyRecord = data.study || data.studies?.find((item) => item.id === currentStudyId) || {}; const projectId = studyRecord.projectId || new URLSearchParams(location.search).get("project") || ""; const breadcrumb = $("#breadcrumb-study"); if (breadcrumb) breadcrumb.href = `/pages/study/?id=${encodeURIComponent(currentStudyId)}${projectId ? `&project=${encodeURIComponent(projectId)}` : ""}`; } catch { /* Page remains usable if context is unavailable. */ }
 }
@@ -52,5 +97,6 @@ async function hydrateContext(currentStudyId) {
 		catch (error) { status(""); showError(`Could not save the tree test. ${error.message}`); }
 	});
 	try { const data = await request(`/api/tree-tests/config?study=${encodeURIComponent(currentStudyId)}`); if (data.config) { editorState.loadedTree = Array.isArray(data.config.tree) ? data.config.tree : []; editorState.treeDirty = false; $("#tree-test-instructions").value = data.config.instructions || ""; $("#tree-test-tree").value = serialiseTree(editorState.loadedTree); (data.config.tasks || []).forEach(addTask); } } catch { /* Empty configuration is expected on first use. */ }
-	if (!$("#tree-test-task-list")?.children.length) addTask(); hydrateContext(currentStudyId);
+	$("#btn-download-tree-test-csv")?.addEventListener("click", () => downloadCsv(currentStudyId));
+	if (!$("#tree-test-task-list")?.children.length) addTask(); hydrateContext(currentStudyId); loadAnalysis(currentStudyId);
 })();
@@ -55,7 +55,14 @@ const els = {
   createTheme: $("#create-theme"),
   createThemeHint: $("#create-theme-hint"),
   themesEmpty: $("#themes-empty"),
-  themeList: $("#theme-list")
+  themeList: $("#theme-list"),
+  muralExportSection: $("#mural-export-section"),
+  exportToMural: $("#export-to-mural"),
+  muralExportStatus: $("#mural-export-status"),
+  muralImportPreview: $("#mural-import-preview"),
+  muralImportStatus: $("#mural-import-status"),
+  muralImportForm: $("#mural-import-form"),
+  muralImportList: $("#mural-import-list")
 };
 
 const state = {
@@ -165,11 +172,42 @@ async function jsonFetch(url, options = {}) {
   const text = await response.text();
   const body = text ? JSON.parse(text) : {};
   if (!response.ok || body?.ok === false) {
-    throw new Error(body?.error || `Request failed (${response.status})`);
+    const error = new Error(body?.message || body?.error || `Request failed (${response.status})`);
+    error.status = response.status;
+    error.body = body;
+    throw error;
   }
   return body;
 }
 
+function replaceCluster(cluster) {
+  if (!cluster?.id) return;
+  state.clusters = state.clusters.map((item) => (item.id === cluster.id ? cluster : item));
+}
+
+/**
+ * PATCH a cluster against the version this page last saw. When someone else
+ * has changed it since, the server answers 412 with their version; adding
+ * evidence only ever grows the list, so it is merged into theirs and sent once more.
+ */
+async function patchClusterEvidence(cluster, ids, retry = true) {
+  const url = new URL(apiUrl(`/api/synthesis/clusters/${encodeURIComponent(cluster.id)}`));
+  url.searchParams.set("sid", state.sid);
+
+  try {
+    return await jsonFetch(url.toString(), {
+      method: "PATCH",
+      headers: cluster.version ? { "If-Match": `"${cluster.version}"` } : {},
+      body: JSON.stringify({ evidenceIds: [...new Set([...(cluster.evidenceIds || []), ...ids])] })
+    });
+  } catch (error) {
+    if (error.status !== 412 || !error.body?.cluster) throw error;
+    replaceCluster(error.body.cluster);
+    if (!retry) throw new Error(`${error.body.cluster.label || "This cluster"} is being changed by someone else. Try adding the evidence again.`);
+    return patchClusterEvidence(error.body.cluster, ids, false);
+  }
+}
+
 function evidenceMatchesFilter(item) {
   const filter = normaliseTag(state.activeTagFilter);
   if (!filter) return true;
@@ -275,6 +313,8 @@ function updateWorkflowVisibility() {
   setHidden(els.evidenceSection, !flow.showEvidenceSelection);
   setHidden(els.themesLocked, !flow.showThemesLocked);
   setHidden(els.themesSection, !flow.showThemes);
+  setHidden(els.muralExportSection, !flow.showWorkspace);
+  setHidden(els.exportToMural, !state.clusters.length);
 }
 
 function updateSummary() {
@@ -612,17 +652,10 @@ async function addSelectedEvidenceToCluster() {
     return;
   }
 
-  const cluster = clusterById(clusterId);
-  const mergedEvidenceIds = [...new Set([...(cluster?.evidenceIds || []), ...ids])];
-  const url = new URL(apiUrl(`/api/synthesis/clusters/${encodeURIComponent(clusterId)}`));
-  url.searchParams.set("sid", state.sid);
-
-  const body = await jsonFetch(url.toString(), {
-    method: "PATCH",
-    body: JSON.stringify({ evidenceIds: mergedEvidenceIds })
-  });
+  const cluster = clusterById(clusterId) || { id: clusterId, evidenceIds: [] };
+  const body = await patchClusterEvidence(cluster, ids);
 
-  state.clusters = state.clusters.map((item) => (item.id === body.cluster.id ? body.cluster : item));
+  replaceCluster(body.cluster);
   $$("input[name='evidence-id']:checked", els.evidenceList).forEach((input) => {
     input.checked = false;
   });
@@ -664,6 +697,122 @@ async function createTheme(event) {
   renderAll();
 }
 
+function setMuralExportStatus(html) {
+  if (els.muralExportStatus) els.muralExportStatus.innerHTML = html;
+}
+
+async function exportToMural() {
+  const url = new URL(apiUrl("/api/synthesis/mural-export"));
+  url.searchParams.set("sid", state.sid);
+  setDisabled(els.exportToMural, true);
+  setMuralExportStatus("Exporting to Mural…");
+
+  try {
+    const body = await jsonFetch(url.toString(), { method: "POST", body: "{}" });
+    const changes = [
+      body.created ? `${body.created} added` : "",
+      body.updated ? `${body.updated} renamed` : "",
+      body.moved ? `${body.moved} moved` : "",
+      body.removed ? `${body.removed} removed` : ""
+    ].filter(Boolean);
+    const summary = changes.length ? changes.join(", ") : "no changes were needed";
+    const link = body.boardUrl ? ` <a class="govuk-link" href="${escapeHtml(body.boardUrl)}" target="_blank" rel="noopener">Open the board in Mural (opens in new tab)</a>` : "";
+    setMuralExportStatus(`${body.boardCreated ? "Created a new affinity map board" : "Updated the affinity map board"}: ${escapeHtml(summary)}.${link}`);
+  } catch (error) {
+    if (error.status === 401) {
+      const connect = new URL(apiUrl("/api/mural/auth"));
+      connect.searchParams.set("return", window.location.href);
+      setMuralExportStatus(`Connect your Mural account before exporting. <a class="govuk-link" href="${escapeHtml(connect.toString())}">Connect Mural</a>`);
+    } else {
+      setMuralExportStatus(`Could not export to Mural: ${escapeHtml(error.message)}`);
+    }
+  } finally {
+    setDisabled(els.exportToMural, false);
+  }
+}
+
+function setMuralImportStatus(html) {
+  if (els.muralImportStatus) els.muralImportStatus.innerHTML = html;
+}
+
+function muralErrorHtml(error, action) {
+  if (error.status === 401) {
+    const connect = new URL(apiUrl("/api/mural/auth"));
+    connect.searchParams.set("return", window.location.href);
+    return `Connect your Mural account before ${action}. <a class="govuk-link" href="${escapeHtml(connect.toString())}">Connect Mural</a>`;
+  }
+  if (error.body?.error === "mural_board_not_found") return "There is no affinity map board for this study yet. Export to Mural first.";
+  return `Could not read the Mural board: ${escapeHtml(error.message)}`;
+}
+
+function importCandidateHtml(candidate, index) {
+  const id = `mural-import-${index}`;
+  const details = [
+    (candidate.codes || []).length ? `Codes: ${candidate.codes.map((code) => code.name).join(", ")}` : "",
+    (candidate.unmatchedTags || []).length ? `Tags: ${candidate.unmatchedTags.join(", ")}` : ""
+  ].filter(Boolean).join(". ");
+  return `
+    <div class="govuk-checkboxes__item">
+      <input class="govuk-checkboxes__input" id="${id}" name="widgetIds" type="checkbox" value="${escapeHtml(candidate.widgetId)}" checked${details ? ` aria-describedby="${id}-hint"` : ""}>
+      <label class="govuk-label govuk-checkboxes__label" for="${id}">${escapeHtml(truncateText(candidate.text, 240))}</label>
+      ${details ? `<div id="${id}-hint" class="govuk-hint govuk-checkboxes__hint">${escapeHtml(details)}</div>` : ""}
+    </div>`;
+}
+
+function muralImportUrl() {
+  const url = new URL(apiUrl("/api/synthesis/mural-import"));
+  url.searchParams.set("sid", state.sid);
+  return url.toString();
+}
+
+async function previewMuralImport() {
+  setHidden(els.muralImportForm, true);
+  setDisabled(els.muralImportPreview, true);
+  setMuralImportStatus("Reading the Mural board…");
+
+  try {
+    const body = await jsonFetch(muralImportUrl(), { method: "POST", body: JSON.stringify({ mode: "preview", projectId: state.pid }) });
+    const candidates = Array.isArray(body.candidates) ? body.candidates : [];
+    const already = (body.alreadyImported || []).length;
+    const previously = already ? ` ${pluralise(already, "sticky", "stickies")} imported before ${already === 1 ? "is" : "are"} not shown.` : "";
+    if (!candidates.length) {
+      setMuralImportStatus(`There are no new stickies on the board to import.${escapeHtml(previously)}`);
+      return;
+    }
+    if (els.muralImportList) els.muralImportList.innerHTML = candidates.map(importCandidateHtml).join("");
+    setHidden(els.muralImportForm, false);
+    setMuralImportStatus(`${escapeHtml(pluralise(candidates.length, "sticky", "stickies"))} can be imported. Nothing is saved until you choose Import selected stickies.${escapeHtml(previously)}`);
+  } catch (error) {
+    setMuralImportStatus(muralErrorHtml(error, "importing"));
+  } finally {
+    setDisabled(els.muralImportPreview, false);
+  }
+}
+
+async function confirmMuralImport(event) {
+  event.preventDefault();
+  const widgetIds = Array.from(els.muralImportList?.querySelectorAll('input[name="widgetIds"]:checked') || []).map((input) => input.value);
+  if (!widgetIds.length) {
+    setMuralImportStatus("Choose at least one sticky to import.");
+    return;
+  }
+
+  setMuralImportStatus("Importing stickies…");
+  try {
+    const body = await jsonFetch(muralImportUrl(), { method: "POST", body: JSON.stringify({ mode: "confirm", widgetIds, projectId: state.pid }) });
+    const imported = (body.imported || []).length;
+    const failed = (body.failed || []).length;
+    setHidden(els.muralImportForm, true);
+    setMuralImportStatus(escapeHtml(`${pluralise(imported, "sticky", "stickies")} imported as evidence.${failed ? ` ${failed} could not be imported.` : ""}`));
+    if (imported) {
+      await loadStudySynthesis();
+      renderAll();
+    }
+  } catch (error) {
+    setMuralImportStatus(muralErrorHtml(error, "importing"));
+  }
+}
+
 function bindEvents() {
   els.tagFilter?.addEventListener("input", (event) => {
     state.activeTagFilter = event.target.value || "";
@@ -684,6 +833,15 @@ function bindEvents() {
   els.themeForm?.addEventListener("submit", (event) => {
     createTheme(event).catch((error) => showErrors([error.message]));
   });
+  els.exportToMural?.addEventListener("click", () => {
+    exportToMural();
+  });
+  els.muralImportPreview?.addEventListener("click", () => {
+    previewMuralImport();
+  });
+  els.muralImportForm?.addEventListener("submit", (event) => {
+    confirmMuralImport(event);
+  });
 }
 
 async function init() {
@@ -0,0 +1,105 @@
+/**
+ * @file /pages/study/participants/calendar-feeds.js
+ * @module ParticipantsCalendarFeeds
+ * @summary Controller for calendar subscription links on a Study: creates study and personal feeds, shows the link once and revokes feeds.
+ */
+
+import { apiUrl } from '/js/study-route-context.js';
+
+const $ = (sel, root = document) => root.querySelector(sel);
+
+function escapeHtml(value) {
+	const d = document.createElement("div");
+	d.textContent = String(value ?? "");
+	return d.innerHTML;
+}
+
+function studyId() {
+	return new URLSearchParams(location.search).get("sid") || window.__studyRouteContext?.studyId || "";
+}
+
+async function jsonFetch(path, options = {}) {
+	const res = await fetch(apiUrl(path), {
+		cache: "no-store",
+		credentials: "include",
+		...options,
+		headers: {
+			"Content-Type": "application/json",
+			...(options.headers || {})
+		}
+	});
+	const js = await res.json().catch(() => ({}));
+	if (!res.ok || js?.ok === false) throw new Error(js?.message || js?.detail || js?.error || `HTTP ${res.status}`);
+	return js;
+}
+
+function setMessage(text) {
+	const msg = $("#calendarFeedsMsg");
+	if (msg) msg.textContent = text;
+}
+
+function fmtDate(iso) {
+	return iso ? new Date(iso).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" }) : "Not yet";
+}
+
+function renderFeeds(feeds) {
+	$("#calendar-feeds-tbody").innerHTML = feeds.map((feed) => `
+		<tr class="govuk-table__row">
+			<td class="govuk-table__cell">${feed.scope === "study" ? "This study" : "All my sessions"}${feed.label ? ` – ${escapeHtml(feed.label)}` : ""}</td>
+			<td class="govuk-table__cell">${escapeHtml(fmtDate(feed.created_at))}</td>
+			<td class="govuk-table__cell">${escapeHtml(fmtDate(feed.last_used_at))}</td>
+			<td class="govuk-table__cell"><button class="govuk-button govuk-button--warning govuk-!-margin-bottom-0" data-feed-id="${escapeHtml(feed.id)}" data-act="revoke-feed">Revoke</button></td>
+		</tr>
+	`).join("");
+	$("#calendarFeedsTableWrap").hidden = !feeds.length;
+}
+
+async function loadFeeds(sid) {
+	const js = await jsonFetch(`/api/calendar-feeds?study=${encodeURIComponent(sid)}`);
+	renderFeeds(js.feeds || []);
+}
+
+async function createFeed(sid, scope) {
+	setMessage("Creating link…");
+	try {
+		const js = await jsonFetch("/api/calendar-feeds", { method: "POST", body: JSON.stringify(scope === "study" ? { scope, study_id: sid } : { scope }) });
+		$("#calendarFeedUrl").value = js.url;
+		$("#calendarFeedCreated").hidden = false;
+		$("#calendarFeedUrl").focus();
+		$("#calendarFeedUrl").select();
+		setMessage("");
+		await loadFeeds(sid);
+	} catch (err) {
+		setMessage(`Could not create the link: ${err.message}`);
+	}
+}
+
+async function init() {
+	const sid = studyId();
+	if (!$("#calendar-feeds-tbody") || !sid) return;
+
+	try {
+		await loadFeeds(sid);
+	} catch (err) {
+		setMessage(`Could not load calendar subscriptions: ${err.message}`);
+	}
+
+	$("#createStudyFeedBtn")?.addEventListener("click", () => createFeed(sid, "study"));
+	$("#createResearcherFeedBtn")?.addEventListener("click", () => createFeed(sid, "researcher"));
+	$("#calendar-feeds-tbody").addEventListener("click", async (event) => {
+		const button = event.target.closest('[data-act="revoke-feed"]');
+		if (!button) return;
+		button.disabled = true;
+		try {
+			await jsonFetch(`/api/calendar-feeds/${encodeURIComponent(button.dataset.feedId)}`, { method: "DELETE" });
+			setMessage("Subscription link revoked. Calendars using it will stop updating.");
+			await loadFeeds(sid);
+		} catch (err) {
+			button.disabled = false;
+			setMessage(`Could not revoke the link: ${err.message}`);
+		}
+	});
+}
+
+if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", init, { once: true });
+else init();
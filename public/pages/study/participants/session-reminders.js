@@ -0,0 +1,131 @@
+/**
+ * @file /pages/study/participants/session-reminders.js
+ * @module ParticipantsSessionReminders
+ * @summary Controller for a Study's session reminder settings: loads and saves preferences and previews the reminder job as a dry run.
+ */
+
+import { apiUrl } from '/js/study-route-context.js';
+
+const $ = (sel, root = document) => root.querySelector(sel);
+
+const KIND_LABELS = {
+	confirmation: "Confirmation",
+	reminder_24h: "24-hour reminder",
+	reminder_1h: "1-hour reminder",
+	reschedule: "Reschedule notice",
+	cancellation: "Cancellation notice"
+};
+
+function escapeHtml(value) {
+	const d = document.createElement("div");
+	d.textContent = String(value ?? "");
+	return d.innerHTML;
+}
+
+function studyId() {
+	return new URLSearchParams(location.search).get("sid") || window.__studyRouteContext?.studyId || "";
+}
+
+async function jsonFetch(path, options = {}) {
+	const res = await fetch(apiUrl(path), {
+		cache: "no-store",
+		credentials: "include",
+		...options,
+		headers: {
+			"Content-Type": "application/json",
+			...(options.headers || {})
+		}
+	});
+	const js = await res.json().catch(() => ({}));
+	if (!res.ok || js?.ok === false) throw new Error(js?.message || js?.detail || js?.error || `HTTP ${res.status}`);
+	return js;
+}
+
+function setMessage(text) {
+	const msg = $("#remindersMsg");
+	if (msg) msg.textContent = text;
+}
+
+function checkbox(name, value) {
+	return $(`#remindersForm input[name="${name}"][value="${value}"]`);
+}
+
+function fillForm(prefs) {
+	checkbox("enabled", "1").checked = Boolean(prefs.enabled);
+	for (const kind of ["confirmation", "reminder_24h", "reminder_1h", "change_notices"]) checkbox("kinds", kind).checked = Boolean(prefs[kind]);
+	const channel = checkbox("channel", prefs.channel || "email");
+	if (channel) channel.checked = true;
+	checkbox("notify_note_takers", "1").checked = Boolean(prefs.notify_note_takers);
+	$("#remindersForm").dataset.templates = JSON.stringify(prefs.templates || {});
+}
+
+function readForm() {
+	const form = $("#remindersForm");
+	const kinds = new Set(Array.from(form.querySelectorAll('input[name="kinds"]:checked')).map((input) => input.value));
+	let templates = {};
+	try { templates = JSON.parse(form.dataset.templates || "{}"); } catch { /* keep provider defaults */ }
+	return {
+		enabled: checkbox("enabled", "1").checked,
+		confirmation: kinds.has("confirmation"),
+		reminder_24h: kinds.has("reminder_24h"),
+		reminder_1h: kinds.has("reminder_1h"),
+		change_notices: kinds.has("change_notices"),
+		channel: form.querySelector('input[name="channel"]:checked')?.value || "email",
+		notify_note_takers: checkbox("notify_note_takers", "1").checked,
+		templates
+	};
+}
+
+function renderPreview(result) {
+	const wrap = $("#remindersPreview");
+	const planned = result.planned || [];
+	$("#remindersPreviewSummary").textContent = planned.length ?
+		`${planned.length} message${planned.length === 1 ? "" : "s"} would be sent now. Nothing has been sent.` :
+		checkbox("enabled", "1").checked ? "No messages are due right now." : "Session messages are turned off for this study. Save the settings with them turned on to preview.";
+	$("#remindersPreviewList").innerHTML = planned.map((item) => {
+		const when = item.starts_at ? new Date(item.starts_at).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" }) : "";
+		const who = item.recipient_type === "participant" ? "participant" : "note taker";
+		const warning = item.template_id ? "" : " <strong class=\"govuk-tag govuk-tag--yellow\">No template</strong>";
+		return `<li>${escapeHtml(KIND_LABELS[item.kind] || item.kind)} to ${who} by ${escapeHtml(item.channel === "sms" ? "text message" : "email")}${when ? ` for the session on ${escapeHtml(when)}` : ""}${warning}</li>`;
+	}).join("");
+	wrap.hidden = false;
+}
+
+async function init() {
+	const form = $("#remindersForm");
+	const sid = studyId();
+	if (!form || !sid) return;
+	const query = `study=${encodeURIComponent(sid)}`;
+
+	try {
+		const js = await jsonFetch(`/api/session-reminders/preferences?${query}`);
+		fillForm(js.preferences || {});
+	} catch (err) {
+		setMessage(`Could not load reminder settings: ${err.message}`);
+	}
+
+	form.addEventListener("submit", async (event) => {
+		event.preventDefault();
+		setMessage("Saving…");
+		try {
+			const js = await jsonFetch(`/api/session-reminders/preferences?${query}`, { method: "POST", body: JSON.stringify(readForm()) });
+			fillForm(js.preferences || {});
+			setMessage("Reminder settings saved.");
+		} catch (err) {
+			setMessage(`Could not save reminder settings: ${err.message}`);
+		}
+	});
+
+	$("#previewRemindersBtn")?.addEventListener("click", async () => {
+		setMessage("Checking which messages are due…");
+		try {
+			renderPreview(await jsonFetch(`/api/session-reminders/run?${query}`, { method: "POST", body: JSON.stringify({ dry_run: true }) }));
+			setMessage("");
+		} catch (err) {
+			setMessage(`Could not preview reminders: ${err.message}`);
+		}
+	});
+}
+
+if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", init, { once: true });
+else init();
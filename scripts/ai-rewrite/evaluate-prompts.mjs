@@ -0,0 +1,31 @@
+/**
+ * @file evaluate-prompts.mjs
+ * @module EvaluateAiRewritePrompts
+ * @summary Replays the AI rewrite fixture set through the guardrails and checks the prompt locks.
+ *
+ * Fixtures without a recorded answer use the local stand-in model. Set
+ * AI_PROVIDER (with AI_ENDPOINT and AI_MODEL for an OpenAI-compatible API)
+ * to answer them with a real model before a prompt change ships.
+ */
+
+import { DEFAULTS } from "../../infra/cloudflare/src/core/ai-rewrite/config.js";
+import { EVAL_FIXTURES, PROMPT_LOCKS } from "../../infra/cloudflare/src/core/ai-rewrite/eval-fixtures.js";
+import { evaluateFixtures } from "../../infra/cloudflare/src/core/ai-rewrite/evaluate.js";
+import { resolveProvider } from "../../infra/cloudflare/src/core/ai-rewrite/providers.js";
+
+const provider = process.env.AI_PROVIDER ? resolveProvider(process.env, DEFAULTS) : null;
+
+if (provider && !provider.available) {
+	console.error(`AI provider ${provider.name} is not configured.`);
+	process.exit(1);
+}
+
+const report = await evaluateFixtures(EVAL_FIXTURES, {
+	locks: PROMPT_LOCKS,
+	provider,
+	pinned: process.env.AI_PROMPT_VERSIONS || "",
+});
+
+console.log(JSON.stringify({ ...report, status: report.ok ? "passed" : "failed" }, null, 2));
+
+if (!report.ok) process.exit(1);
@@ -936,6 +936,28 @@ export const pageCatalogue = [
 			navigation: projectNavigation,
 		},
 	},
+	{
+		template: 'pages/book.njk',
+		output: 'public/pages/book/index.html',
+		context: {
+			pageTitle: 'Book your research session - ResearchOps Demo Suite',
+			serviceName: 'ResearchOps Demo Suite',
+			activeNavigation: '',
+			navigation: accountNavigation,
+			fluxPageKey: 'page.book',
+		},
+	},
+	{
+		template: 'pages/consent-respond.njk',
+		output: 'public/pages/consent/respond/index.html',
+		context: {
+			pageTitle: 'Your consent to take part in research - ResearchOps Demo Suite',
+			serviceName: 'ResearchOps Demo Suite',
+			activeNavigation: '',
+			navigation: accountNavigation,
+			fluxPageKey: 'page.consent.respond',
+		},
+	},
 	{
 		template: 'pages/consent.njk',
 		output: 'public/pages/consent/index.html',
@@ -223,6 +223,9 @@ node scripts/agent-operating-model/validate-bundle-version-consistency.mjs
 info "checking behavioural operating-model evals"
 node scripts/agent-operating-model/run-behavioural-evals.mjs >/dev/null
 
+info "checking AI rewrite prompt evals"
+node scripts/ai-rewrite/evaluate-prompts.mjs >/dev/null
+
 info "checking agent traces"
 node scripts/agent-trace/validate-traces.mjs
 
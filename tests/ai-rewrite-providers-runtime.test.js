@@ -0,0 +1,149 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+	aiRewrite,
+	createMockEnv,
+	makeJsonRequest,
+	PROMPT_RECORDS,
+} from '../infra/cloudflare/src/core/ai-rewrite.js';
+import {
+	EVAL_FIXTURES,
+	PROMPT_LOCKS,
+} from '../infra/cloudflare/src/core/ai-rewrite/eval-fixtures.js';
+import {
+	checkPromptLocks,
+	evaluateFixtures,
+} from '../infra/cloudflare/src/core/ai-rewrite/evaluate.js';
+import { selectPrompt } from '../infra/cloudflare/src/core/ai-rewrite/prompts.js';
+import { stubFetch } from './helpers/d1-sqlite.mjs';
+
+const ORIGIN = 'https://research-operations.com';
+const OBJECTIVES = [
+	'Understand why applicants leave the address step.',
+	'Test revised error messages with applicants who use assistive technology.',
+].join('\n');
+
+function objectivesRequest() {
+	return makeJsonRequest(
+		'/api/ai-rewrite?mode=objectives',
+		{ text: OBJECTIVES },
+		{ headers: { Origin: ORIGIN } }
+	);
+}
+
+test('Workers AI responses are tagged with the prompt version and model', async () => {
+	let sent;
+	const env = createMockEnv({
+		AI: {
+			run: async (model, request) => {
+				sent = { model, request };
+				return {
+					response: JSON.stringify({ summary: 'ok', suggestions: [], rewrite: '1. Understand.' }),
+				};
+			},
+		},
+	});
+	const body = await (await aiRewrite(objectivesRequest(), env, ORIGIN)).json();
+	const prompt = selectPrompt('objectives');
+	assert.deepEqual(body.meta, {
+		prompt_version: 'objectives@1',
+		prompt_hash: prompt.hash,
+		provider: 'workers-ai',
+		model: '@cf/meta/llama-3.1-8b-instruct',
+	});
+	assert.equal(sent.model, '@cf/meta/llama-3.1-8b-instruct');
+	assert.equal(sent.request.messages[0].content, prompt.system);
+	assert.equal(sent.request.temperature, 0.15);
+});
+
+test('an OpenAI-compatible endpoint answers when configured', async () => {
+	const calls = [];
+	const restore = stubFetch(async (url, init) => {
+		calls.push({ url: String(url), init });
+		const rewrite = '1. Understand why applicants leave the address step.';
+		return new Response(
+			JSON.stringify({
+				choices: [
+					{ message: { content: JSON.stringify({ summary: 'ok', suggestions: [], rewrite }) } },
+				],
+			}),
+			{ status: 200 }
+		);
+	});
+	try {
+		const env = createMockEnv({
+			AI: undefined,
+			AIRTABLE_TABLE_AI_LOG: '',
+			AI_PROVIDER: 'openai-compatible',
+			AI_ENDPOINT: 'https://models.example.test/v1/',
+			AI_MODEL: 'rewrite-small',
+			AI_API_KEY: 'secret',
+		});
+		const body = await (await aiRewrite(objectivesRequest(), env, ORIGIN)).json();
+		assert.equal(calls[0].url, 'https://models.example.test/v1/chat/completions');
+		assert.equal(calls[0].init.headers.authorization, 'Bearer secret');
+		const sent = JSON.parse(calls[0].init.body);
+		assert.equal(sent.model, 'rewrite-small');
+		assert.equal(sent.messages.length, 2);
+		assert.equal(body.rewrite, '1. Understand why applicants leave the address step.');
+		assert.deepEqual([body.meta.provider, body.meta.model], ['openai-compatible', 'rewrite-small']);
+
+		// Without a model name the provider is not configured, so the rules answer
+		const fallback = await (
+			await aiRewrite(objectivesRequest(), { ...env, AI_MODEL: '' }, ORIGIN)
+		).json();
+		assert.equal(fallback.flags.ai_unavailable, true);
+		assert.deepEqual([fallback.meta.provider, fallback.meta.model], ['rules', '']);
+		assert.equal(calls.length, 1);
+	} finally {
+		restore();
+	}
+});
+
+test('the local stand-in is deterministic and passes through the guardrails', async () => {
+	const env = createMockEnv({ AI: undefined, AI_PROVIDER: 'local', AIRTABLE_TABLE_AI_LOG: '' });
+	const first = await (await aiRewrite(objectivesRequest(), env, ORIGIN)).json();
+	const second = await (await aiRewrite(objectivesRequest(), env, ORIGIN)).json();
+	assert.deepEqual(first, second);
+	assert.deepEqual([first.meta.provider, first.meta.model], ['local', 'local-stub']);
+	assert.equal(first.flags.ai_unavailable, undefined);
+	assert.match(first.rewrite, /^1\. Understand why applicants leave the address step\.$/m);
+});
+
+test('prompt versions are immutable records that can be pinned', () => {
+	assert.ok(PROMPT_RECORDS.every((record) => Object.isFrozen(record)));
+	assert.equal(selectPrompt('description', 'description@1').id, 'description@1');
+	assert.equal(selectPrompt('description', 'description@99').id, 'description@1');
+	assert.deepEqual(checkPromptLocks(PROMPT_LOCKS), []);
+
+	const edited = [
+		{ ...PROMPT_RECORDS[0], hash: '00000000' },
+		{ id: 'description@2', hash: 'abc' },
+	];
+	assert.deepEqual(
+		checkPromptLocks(PROMPT_LOCKS, edited).map((p) => p.id),
+		['description@1', 'description@2']
+	);
+});
+
+test('the evaluation harness replays fixtures and reports guardrail regressions', async () => {
+	const report = await evaluateFixtures(EVAL_FIXTURES, { locks: PROMPT_LOCKS });
+	assert.equal(report.ok, true, JSON.stringify(report.results.filter((r) => !r.ok)));
+	assert.equal(report.results.length, EVAL_FIXTURES.length);
+
+	const regressed = await evaluateFixtures([
+		{
+			id: 'unmet-expectations',
+			mode: 'objectives',
+			input: OBJECTIVES,
+			model_output: JSON.stringify({ rewrite: '1. Understand why applicants leave.' }),
+			expect: { excludes: ['applicants leave'], categories: ['Bias'] },
+		},
+	]);
+	assert.equal(regressed.ok, false);
+	assert.deepEqual(regressed.results[0].failures, [
+		'rewrite still contains "applicants leave"',
+		'no "Bias" suggestion',
+	]);
+});
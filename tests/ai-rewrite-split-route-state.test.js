@@ -6,6 +6,8 @@ const configSource = fs.readFileSync("infra/cloudflare/src/core/ai-rewrite/confi
 const fallbackSource = fs.readFileSync("infra/cloudflare/src/core/ai-rewrite/fallback.js", "utf8");
 const guardrailsSource = fs.readFileSync("infra/cloudflare/src/core/ai-rewrite/guardrails.js", "utf8");
 const httpSource = fs.readFileSync("infra/cloudflare/src/core/ai-rewrite/http.js", "utf8");
+const providersSource = fs.readFileSync("infra/cloudflare/src/core/ai-rewrite/providers.js", "utf8");
+const responseSource = fs.readFileSync("infra/cloudflare/src/core/ai-rewrite/response.js", "utf8");
 const promptsSource = fs.readFileSync("infra/cloudflare/src/core/ai-rewrite/prompts.js", "utf8");
 const testingSource = fs.readFileSync("infra/cloudflare/src/core/ai-rewrite/testing.js", "utf8");
 const textSource = fs.readFileSync("infra/cloudflare/src/core/ai-rewrite/text.js", "utf8");
@@ -20,7 +22,9 @@ function excludes(source, text, label) {
 
 includes(routeSource, 'import { DEFAULTS } from "./ai-rewrite/config.js";', "AI rewrite route");
 includes(routeSource, 'from "./ai-rewrite/fallback.js";', "AI rewrite route");
-includes(routeSource, 'from "./ai-rewrite/guardrails.js";', "AI rewrite route");
+includes(routeSource, 'from "./ai-rewrite/providers.js";', "AI rewrite route");
+includes(routeSource, 'from "./ai-rewrite/response.js";', "AI rewrite route");
+includes(responseSource, 'from "./guardrails.js";', "AI rewrite response shaping");
 includes(routeSource, 'from "./ai-rewrite/http.js";', "AI rewrite route");
 includes(routeSource, 'from "./ai-rewrite/prompts.js";', "AI rewrite route");
 includes(routeSource, 'from "./ai-rewrite/text.js";', "AI rewrite route");
@@ -34,6 +38,9 @@ excludes(routeSource, "function sanitizeRewrite", "AI rewrite route");
 excludes(routeSource, "function auditForBias", "AI rewrite route");
 excludes(routeSource, "const SUGGESTION_LIBRARY", "AI rewrite route");
 excludes(routeSource, "function createMockEnv", "AI rewrite route");
+excludes(routeSource, "env.AI.run(", "AI rewrite route");
+excludes(routeSource, "const OUTPUT_SCHEMA_STR", "AI rewrite route");
+includes(providersSource, "export function resolveProvider", "AI rewrite providers");
 excludes(routeSource, "MAX_REWRITE_CHARS", "AI rewrite route");
 excludes(configSource, "MAX_REWRITE_CHARS", "AI rewrite config");
 
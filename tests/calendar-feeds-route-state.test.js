@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+const read = (file) => fs.readFileSync(file, "utf8");
+const includes = (source, text, label) => assert.equal(source.includes(text), true, `Expected ${label} to include: ${text}`);
+
+const service = read("infra/cloudflare/src/service/calendar-feeds.js");
+const ics = read("infra/cloudflare/src/service/internals/ics.js");
+const serviceIndex = read("infra/cloudflare/src/service/index.js");
+const router = read("infra/cloudflare/src/core/router.js");
+const worker = read("infra/cloudflare/src/worker.js");
+const migration = read("infra/cloudflare/migrations/0031_calendar_feeds.sql");
+const template = read("src/govuk/templates/pages/study-participants.njk");
+const page = read("public/pages/study/participants/index.html");
+const loader = read("public/js/participants-route-loader.js");
+
+includes(service, "rops_calendar_feeds", "calendar feeds table");
+includes(service, "token_hash", "calendar feeds store token hashes only");
+includes(service, "revoked_at IS NULL", "calendar feeds honour revocation");
+includes(service, "rops_study_support_people", "calendar feed attendees");
+includes(ics, "BEGIN:VTIMEZONE", "calendar feed timezone");
+includes(ics, "export function buildCalendarFeed", "calendar feed builder");
+includes(serviceIndex, "studySessionsFeed = (origin, url, studyId) => CalendarFeeds.studySessionsFeed(this, origin, url, studyId);", "service index");
+includes(router, '"/api/researchers/sessions.ics"', "router");
+includes(worker, '["route_api_study_sessions_ics_get", "GET", "/api/studies/:id/sessions.ics", "[]", 0]', "Worker permission register");
+includes(worker, '["route_api_researcher_sessions_ics_get", "GET", "/api/researchers/sessions.ics", "[]", 0]', "Worker permission register");
+includes(worker, '["route_api_calendar_feed_delete", "DELETE", "/api/calendar-feeds/:id", "[\\"study.view\\"]", 1]', "Worker permission register");
+includes(worker, 'requestForRoutePermission(request, "/api/studies/:id/sessions.ics")', "Worker permission path mapping");
+includes(worker, "result = await handleCalendarFeeds(request, env, apiPath);", "Worker dispatch");
+includes(migration, "CREATE TABLE IF NOT EXISTS rops_calendar_feeds", "D1 migration");
+includes(template, 'aria-labelledby="calendar-feeds-h"', "study participants template");
+includes(template, '<!-- route-state contract: src="/pages/study/participants/calendar-feeds.js" defer -->', "study participants template");
+includes(page, 'id="createResearcherFeedBtn"', "study participants page");
+includes(loader, "await import('/pages/study/participants/calendar-feeds.js?v=study-calendar-feeds-20261018');", "participants loader");
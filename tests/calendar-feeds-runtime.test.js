@@ -0,0 +1,252 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import {
+	createCalendarFeed,
+	researcherSessionsFeed,
+	revokeCalendarFeed,
+	sessionInvolvesResearcher,
+	studySessionsFeed,
+} from '../infra/cloudflare/src/service/calendar-feeds.js';
+import {
+	buildCalendarFeed,
+	foldIcs,
+	icsLocalDate,
+} from '../infra/cloudflare/src/service/internals/ics.js';
+import { listSessions } from './helpers/airtable-sessions.mjs';
+import { serviceStub, stubFetch } from './helpers/d1-sqlite.mjs';
+
+const soon = (days) => new Date(Date.now() + days * 24 * 60 * 60_000).toISOString();
+
+function record(id, study, startsAt, extra = {}) {
+	return {
+		id,
+		fields: {
+			Study: [study],
+			'Study Record ID': [study],
+			Participant: ['recP1'],
+			'Starts At': startsAt,
+			'Duration (min)': 60,
+			'Location / Link': 'Room 4',
+			Status: 'Scheduled',
+			...extra,
+		},
+	};
+}
+
+function setup(records) {
+	const db = new DatabaseSync(':memory:');
+	db.exec(`
+		CREATE TABLE rops_participants_cache (id TEXT PRIMARY KEY, study_id TEXT, participant_airtable_id TEXT, participant_ref TEXT, sensitive_contact_json TEXT, active INTEGER DEFAULT 1);
+		CREATE TABLE rops_study_support_people (id TEXT PRIMARY KEY, study_id TEXT, name TEXT, role TEXT, email TEXT, attendance_scope TEXT, active INTEGER DEFAULT 1);
+		CREATE TABLE rops_studies_cache (id TEXT PRIMARY KEY, title TEXT, active INTEGER DEFAULT 1);
+		INSERT INTO rops_participants_cache VALUES ('p1', 'recStudyA', 'recP1', 'P01', '{"first_name":"Amal","email":"amal@example.test"}', 1);
+		INSERT INTO rops_study_support_people VALUES ('sp1', 'recStudyA', 'Nia Note', 'note_taker', 'nia@example.test', 'all_sessions', 1);
+		INSERT INTO rops_studies_cache VALUES ('recStudyA', 'Benefits journeys', 1);
+		INSERT INTO rops_studies_cache VALUES ('recStudyB', 'Appointments', 1);
+	`);
+	const cache = new Map();
+	const kv = {
+		async get(key) {
+			return cache.get(key)?.value ?? null;
+		},
+		async put(key, value, options) {
+			cache.set(key, { value, options });
+		},
+		async delete(key) {
+			cache.delete(key);
+		},
+	};
+	const svc = serviceStub(db, {
+		env: { AIRTABLE_BASE_ID: 'appTest', AIRTABLE_API_KEY: 'key', SESSION_KV: kv },
+	});
+	const urls = [];
+	const restore = stubFetch(async (url) => {
+		urls.push(new URL(url));
+		return listSessions(records, new URL(url));
+	});
+	return { db, svc, cache, urls, restore };
+}
+
+const researcher = {
+	authenticated: true,
+	user: { id: 'usr_1', email: 'rae@example.test', displayName: 'Rae Researcher' },
+	permissions: [],
+};
+
+async function createFeed(svc, body, auth = researcher) {
+	const request = new Request('https://api.example.test/api/calendar-feeds', {
+		method: 'POST',
+		body: JSON.stringify(body),
+	});
+	const res = await createCalendarFeed(svc, request, '', auth);
+	assert.equal(res.status, 201);
+	return res.json();
+}
+
+function unfold(ics) {
+	return ics.replace(/\r\n /g, '');
+}
+
+test('foldIcs folds at 75 octets without splitting multi-byte characters', () => {
+	const line = `SUMMARY:${'é'.repeat(60)}`;
+	const folded = foldIcs(line);
+	for (const part of folded.split('\r\n')) assert.ok(new TextEncoder().encode(part).length <= 75);
+	assert.equal(folded.replace(/\r\n /g, ''), line);
+	assert.equal(foldIcs('SUMMARY:short'), 'SUMMARY:short');
+});
+
+test('buildCalendarFeed writes local UK times with a VTIMEZONE and attendees', () => {
+	assert.equal(icsLocalDate(new Date('2026-07-01T09:30:00Z')), '20260701T103000');
+	assert.equal(icsLocalDate(new Date('2026-12-01T09:30:00Z')), '20261201T093000');
+	const ics = buildCalendarFeed({
+		name: 'Study sessions',
+		events: [
+			{
+				uid: 'recS1@researchops',
+				sequence: 3,
+				start: new Date('2026-07-01T09:30:00Z'),
+				end: new Date('2026-07-01T10:30:00Z'),
+				summary: 'Research session',
+				status: 'CANCELLED',
+				attendees: [{ name: 'Nia Note', email: 'nia@example.test' }],
+			},
+		],
+	});
+	assert.match(ics, /BEGIN:VTIMEZONE\r\nTZID:Europe\/London/);
+	assert.match(ics, /DTSTART;TZID=Europe\/London:20260701T103000/);
+	assert.match(ics, /SEQUENCE:3/);
+	assert.match(ics, /STATUS:CANCELLED/);
+	assert.match(unfold(ics), /ATTENDEE;CN=Nia Note;ROLE=REQ-PARTICIPANT:mailto:nia@example.test/);
+});
+
+test('a study feed serves its sessions only while the token is valid', async () => {
+	const { svc, restore } = setup([
+		record('recS1', 'recStudyA', soon(2)),
+		record('recS2', 'recStudyA', soon(3), { Status: 'Cancelled' }),
+		record('recS3', 'recStudyB', soon(2)),
+		record('recOld', 'recStudyA', soon(-60)),
+	]);
+	try {
+		const created = await createFeed(svc, { scope: 'study', study_id: 'recStudyA' });
+		const url = new URL(created.url);
+		assert.equal(url.pathname, '/api/studies/recStudyA/sessions.ics');
+		assert.ok(created.webcal_url.startsWith('webcal://'));
+
+		const res = await studySessionsFeed(svc, '', url, 'recStudyA');
+		assert.equal(res.status, 200);
+		assert.match(res.headers.get('content-type'), /text\/calendar/);
+		const ics = unfold(await res.text());
+		assert.match(ics, /X-WR-CALNAME:Benefits journeys sessions/);
+		assert.match(ics, /UID:recS1@researchops/);
+		assert.match(ics, /UID:recS2@researchops[\s\S]*STATUS:CANCELLED/);
+		assert.doesNotMatch(ics, /recS3|recOld/);
+		assert.match(ics, /SUMMARY:Research session – P01/);
+		assert.match(ics, /mailto:nia@example.test/);
+		assert.doesNotMatch(ics, /Amal|amal@example/);
+
+		assert.equal((await studySessionsFeed(svc, '', url, 'recStudyB')).status, 404);
+		const wrong = new URL(url);
+		wrong.searchParams.set('token', 'not-a-token');
+		assert.equal((await studySessionsFeed(svc, '', wrong, 'recStudyA')).status, 404);
+
+		const other = { ...researcher, user: { id: 'usr_2' } };
+		assert.equal((await revokeCalendarFeed(svc, '', created.feed.id, other)).status, 403);
+		assert.equal((await revokeCalendarFeed(svc, '', created.feed.id, researcher)).status, 200);
+		assert.equal((await studySessionsFeed(svc, '', url, 'recStudyA')).status, 404);
+	} finally {
+		restore();
+	}
+});
+
+test('a study feed asks Airtable for its own recent sessions and caches the result', async () => {
+	const { svc, cache, urls, restore } = setup([record('recS1', 'recStudyA', soon(2))]);
+	try {
+		const created = await createFeed(svc, { scope: 'study', study_id: 'recStudyA' });
+		const url = new URL(created.url);
+		const first = await studySessionsFeed(svc, '', url, 'recStudyA');
+		assert.equal(first.headers.get('cache-control'), 'private, max-age=300');
+		const formula = urls.at(-1).searchParams.get('filterByFormula');
+		assert.match(formula, /FIND\("recStudyA", ARRAYJOIN\(\{Study Record ID\}\)\)/);
+		assert.match(formula, /IS_AFTER\(\{Starts At\}, "\d{4}-\d{2}-\d{2}T/);
+
+		const key = `calendar-feed:${created.feed.id}`;
+		assert.equal(cache.get(key).options.expirationTtl, 300);
+		const reads = urls.length;
+		const second = await studySessionsFeed(svc, '', url, 'recStudyA');
+		assert.equal(await second.text(), await first.text());
+		assert.equal(urls.length, reads);
+
+		await revokeCalendarFeed(svc, '', created.feed.id, researcher);
+		assert.equal(cache.has(key), false);
+	} finally {
+		restore();
+	}
+});
+
+test('a researcher feed spans studies the researcher runs or supports', async () => {
+	const { db, svc, urls, restore } = setup([
+		record('recS1', 'recStudyA', soon(2)),
+		record('recS3', 'recStudyB', soon(2), { Researchers: 'Rae Researcher, Sam' }),
+		record('recS4', 'recStudyB', soon(4), { Researchers: 'Sam' }),
+	]);
+	try {
+		db.exec(
+			"INSERT INTO rops_study_support_people VALUES ('sp2', 'recStudyA', 'Rae Researcher', 'observer', 'RAE@example.test', 'all_sessions', 1)"
+		);
+		const created = await createFeed(svc, { scope: 'researcher' });
+		const res = await researcherSessionsFeed(svc, '', new URL(created.url));
+		assert.equal(res.status, 200);
+		const ics = unfold(await res.text());
+		assert.match(ics, /UID:recS1@researchops/);
+		assert.match(ics, /UID:recS3@researchops/);
+		assert.doesNotMatch(ics, /recS4/);
+		assert.match(ics, /SUMMARY:Research session – P01 \(Appointments\)/);
+		assert.match(ics, /ROLE=OPT-PARTICIPANT:mailto:RAE@example.test/);
+		const formula = urls.at(-1).searchParams.get('filterByFormula');
+		assert.match(formula, /FIND\("rae@example.test", LOWER\(\{Researchers\}\)\)/);
+		assert.match(formula, /FIND\("rae researcher", LOWER\(\{Researchers\}\)\)/);
+	} finally {
+		restore();
+	}
+});
+
+test('sessionInvolvesResearcher matches whole names and emails only', () => {
+	const feed = { owner_email: 'ann@example.test', owner_name: 'Ann' };
+	const involves = (researchers) =>
+		sessionInvolvesResearcher({ researchers, study_id: 'x' }, feed, new Set());
+	assert.equal(involves('Anna, Sam'), false);
+	assert.equal(involves('joann@example.test'), false);
+	assert.equal(involves('Sam; ann'), true);
+	assert.equal(involves('Ann Other <ann@example.test>'), true);
+	assert.equal(involves(''), false);
+	assert.equal(
+		sessionInvolvesResearcher({ researchers: '', study_id: 'x' }, feed, new Set(['x'])),
+		true
+	);
+});
+
+test('a researcher feed on a base with other field aliases selects only their sessions', async () => {
+	const session = (id, startsAt, researchers) => ({
+		id,
+		fields: { Studies: ['recStudyB'], 'Start Time': startsAt, Researchers: researchers },
+	});
+	const { svc, urls, restore } = setup([
+		session('recMine', soon(2), 'Sam, Rae Researcher'),
+		session('recAnna', soon(2), 'Rae Researchers'),
+		session('recOld', soon(-60), 'Rae Researcher'),
+		session('recEmail', soon(5), 'rae@example.test'),
+	]);
+	try {
+		const created = await createFeed(svc, { scope: 'researcher' });
+		const ics = unfold(await (await researcherSessionsFeed(svc, '', new URL(created.url))).text());
+		const uids = [...ics.matchAll(/UID:(\w+)@researchops/g)].map((match) => match[1]);
+		assert.deepEqual(uids, ['recMine', 'recEmail']);
+		const formula = urls.at(-1).searchParams.get('filterByFormula');
+		assert.match(formula, /IS_AFTER\(\{Start Time\}/);
+		assert.doesNotMatch(formula, /\{Starts At\}|\{Study\}/);
+	} finally {
+		restore();
+	}
+});
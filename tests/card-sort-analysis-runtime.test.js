@@ -0,0 +1,157 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+	analyseCardSort,
+	categoryKey,
+	clusterCards,
+	similarityMatrix,
+} from '../infra/cloudflare/src/service/card-sorts/analysis.js';
+import { getCardSortAnalysis } from '../infra/cloudflare/src/service/card-sorts.js';
+
+const config = {
+	sort_type: 'open',
+	cards: [
+		{ id: 'passport', label: 'Passport' },
+		{ id: 'visa', label: 'Visa' },
+		{ id: 'fees', label: 'Fees' },
+		{ id: 'refunds', label: 'Refunds' },
+	],
+};
+
+function card(id) {
+	return { id, label: id };
+}
+
+function result(id, groups) {
+	return { id, status: 'completed', result: { sort_type: 'open', groups } };
+}
+
+const results = [
+	result('r1', [
+		{ id: 'g1', label: 'Travel documents', cards: [card('passport'), card('visa')] },
+		{ id: 'g2', label: 'Money', cards: [card('fees'), card('refunds')] },
+	]),
+	result('r2', [
+		{ id: 'g1', label: 'travel document', cards: [card('passport'), card('visa')] },
+		{ id: 'g2', label: 'Payments', cards: [card('fees')] },
+		{ id: 'g3', label: 'Money', cards: [card('refunds')] },
+	]),
+	result('r3', [
+		{
+			id: 'g1',
+			label: 'Travel Documents.',
+			cards: [card('passport')],
+			children: [{ id: 'g1a', label: 'Visas', cards: [card('visa')] }],
+		},
+		{ id: 'g2', label: 'Money', cards: [card('fees'), card('refunds')] },
+	]),
+];
+
+test('categoryKey merges case, punctuation and plural variants', () => {
+	assert.equal(categoryKey('Travel Documents.'), 'travel document');
+	assert.equal(categoryKey('travel document'), 'travel document');
+	assert.equal(categoryKey('The Fees & Charges'), 'fee and charge');
+	assert.equal(categoryKey('Access'), 'access');
+});
+
+test('similarityMatrix counts direct group co-occurrence only', () => {
+	const { counts, matrix } = similarityMatrix(config.cards, results);
+	assert.equal(counts[0][1], 2);
+	assert.equal(matrix[0][1], 0.667);
+	assert.equal(counts[2][3], 2);
+	assert.equal(matrix[0][0], 1);
+	assert.equal(matrix[0][2], 0);
+});
+
+test('clusterCards joins the most similar cards first', () => {
+	const { matrix } = similarityMatrix(config.cards, results);
+	const { root, order } = clusterCards(config.cards, matrix);
+	assert.equal(root.size, 4);
+	assert.equal(order.length, 4);
+	const [left, right] = root.children;
+	const leaves = (node) => (node.children ? node.children.flatMap(leaves) : [node.id]);
+	assert.deepEqual([leaves(left).sort(), leaves(right).sort()].sort(), [
+		['fees', 'refunds'],
+		['passport', 'visa'],
+	]);
+	assert.ok(root.height >= left.height);
+});
+
+test('analyseCardSort standardises categories and scores agreement', () => {
+	const analysis = analyseCardSort(config, results);
+	assert.equal(analysis.participants, 3);
+	const travel = analysis.categories.find((category) => category.key === 'travel document');
+	assert.equal(travel.name, 'Travel documents');
+	assert.equal(travel.participants, 3);
+	assert.deepEqual(travel.labels.sort(), [
+		'Travel Documents.',
+		'Travel documents',
+		'travel document',
+	]);
+
+	const passport = analysis.agreement.find((row) => row.id === 'passport');
+	assert.equal(passport.agreement, 1);
+	assert.equal(passport.topCategory, 'Travel documents');
+	const fees = analysis.agreement.find((row) => row.id === 'fees');
+	assert.equal(fees.topCategory, 'Money');
+	assert.equal(fees.agreement, 0.667);
+});
+
+test('getCardSortAnalysis reads only completed, active results', async () => {
+	const seen = [];
+	const db = {
+		prepare(sql) {
+			return {
+				params: [],
+				bind(...params) {
+					this.params = params;
+					return this;
+				},
+				async run() {
+					return { success: true };
+				},
+				async first() {
+					return /rops_card_sort_configs/.test(sql)
+						? { study_id: 'study_1', sort_type: 'open', cards_json: JSON.stringify(config.cards) }
+						: null;
+				},
+				async all() {
+					seen.push(sql);
+					return {
+						results: results.map((row) => ({
+							id: row.id,
+							study_id: 'study_1',
+							session_id: `session_${row.id}`,
+							status: 'completed',
+							result_json: JSON.stringify(row.result),
+						})),
+					};
+				},
+			};
+		},
+	};
+	const svc = {
+		env: { RESEARCHOPS_D1: db },
+		log: { error() {} },
+		corsHeaders: () => ({}),
+		json: (body, status = 200) => new Response(JSON.stringify(body), { status }),
+	};
+
+	const response = await getCardSortAnalysis(
+		svc,
+		'',
+		new URL('https://example.test/api/card-sorts/analysis?study=study_1')
+	);
+	const body = await response.json();
+	assert.equal(response.status, 200);
+	assert.equal(body.analysis.participants, 3);
+	assert.match(seen[0], /status = 'completed' AND active = 1/);
+
+	const missing = await getCardSortAnalysis(
+		svc,
+		'',
+		new URL('https://example.test/api/card-sorts/analysis')
+	);
+	assert.equal(missing.status, 400);
+});
@@ -3,6 +3,7 @@ import fs from "node:fs";
 import { publishedGovukPage } from './helpers/published-govuk-pages.mjs';
 
 const serviceSource = fs.readFileSync("infra/cloudflare/src/service/card-sorts.js", "utf8");
+const analysisSource = fs.readFileSync("infra/cloudflare/src/service/card-sorts/analysis.js", "utf8");
 const serviceIndexSource = fs.readFileSync("infra/cloudflare/src/service/index.js", "utf8");
 const routerSource = fs.readFileSync("infra/cloudflare/src/core/router.js", "utf8");
 const workerSource = fs.readFileSync("infra/cloudflare/src/worker.js", "utf8");
@@ -33,6 +34,13 @@ includes(serviceSource, "listCardSortResults", "card sorts service");
 includes(serviceSource, "createCardSortResult", "card sorts service");
 includes(serviceSource, "updateCardSortResult", "card sorts service");
 includes(serviceSource, "card_sort_store_unavailable", "card sorts service");
+includes(serviceSource, "getCardSortAnalysis", "card sorts service");
+includes(serviceSource, 'import { analyseCardSort } from "./card-sorts/analysis.js"', "card sorts service");
+includes(serviceSource, "status = 'completed'", "card sorts service");
+includes(analysisSource, "export function similarityMatrix", "card sort analysis");
+includes(analysisSource, "export function clusterCards", "card sort analysis");
+includes(analysisSource, "export function standardiseCategories", "card sort analysis");
+includes(analysisSource, "export function cardAgreement", "card sort analysis");
 
 includes(serviceIndexSource, 'import * as CardSorts from "./card-sorts.js"', "service index");
 includes(serviceIndexSource, "getCardSortConfig", "service index");
@@ -45,11 +53,15 @@ includes(routerSource, "service.saveCardSortConfig", "core router");
 includes(routerSource, "service.listCardSortResults", "core router");
 includes(routerSource, "service.createCardSortResult", "core router");
 includes(routerSource, "service.updateCardSortResult", "core router");
+includes(routerSource, '"/api/card-sorts/analysis"', "core router");
+includes(routerSource, "service.getCardSortAnalysis", "core router");
+includes(serviceIndexSource, "getCardSortAnalysis", "service index");
 includes(workerSource, "route_api_card_sorts_config_get", "Worker route permissions");
 includes(workerSource, "route_api_card_sorts_config_post", "Worker route permissions");
 includes(workerSource, "route_api_card_sorts_results_get", "Worker route permissions");
 includes(workerSource, "route_api_card_sorts_results_post", "Worker route permissions");
 includes(workerSource, "route_api_card_sorts_result_patch", "Worker route permissions");
+includes(workerSource, "route_api_card_sorts_analysis_get", "Worker route permissions");
 includes(workerSource, 'requestForRoutePermission(request, "/api/card-sorts/results/:id")', "Worker route permissions");
 
 /* D1 migration */
@@ -69,6 +81,17 @@ includes(setupScript, 'apiUrl("/api/studies")', "card sort setup script");
 excludes(setupScript, "/api/studies/${encodeURIComponent", "card sort setup script");
 includes(setupScript, "cardSortType", "card sort setup script");
 
+/* Results analysis */
+includes(setupPage, 'id="card-sort-analysis"', "card sort setup page");
+includes(setupPage, 'id="card-sort-agreement"', "card sort setup page");
+includes(setupPage, 'id="card-sort-categories"', "card sort setup page");
+includes(setupPage, 'id="card-sort-similarity"', "card sort setup page");
+includes(setupPage, 'id="card-sort-dendrogram"', "card sort setup page");
+includes(setupScript, "/api/card-sorts/analysis", "card sort setup script");
+includes(setupScript, "renderAnalysis", "card sort setup script");
+includes(setupScript, "dendrogramList", "card sort setup script");
+includes(cardSortStyles, ".study-card-sort-matrix__cell--band-4", "card sort stylesheet");
+
 /* Session page card sort workflow */
 includes(sessionPage, 'id="card-sort-section"', "study session page");
 includes(sessionPage, 'id="card-sort-tray-list"', "study session page");
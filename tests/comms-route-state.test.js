@@ -0,0 +1,32 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+const read = (file) => fs.readFileSync(file, "utf8");
+const includes = (source, text, label) => assert.equal(source.includes(text), true, `Expected ${label} to include: ${text}`);
+
+const service = read("infra/cloudflare/src/service/comms.js");
+const providers = read("infra/cloudflare/src/service/comms/providers.js");
+const serviceIndex = read("infra/cloudflare/src/service/index.js");
+const router = read("infra/cloudflare/src/core/router.js");
+const worker = read("infra/cloudflare/src/worker.js");
+const retention = read("infra/cloudflare/src/service/retention.js");
+const migration = read("infra/cloudflare/migrations/0029_comms_outbox.sql");
+
+assert.equal(service.includes("msg_${Date.now()}"), false, "comms service must not fabricate message ids without a provider");
+includes(service, "rops_comms_outbox", "comms service outbox");
+includes(service, "rops_participant_consent_cache", "comms service consent check");
+includes(service, "participant_consent_withdrawn", "comms service consent refusal");
+includes(service, "retryDelayMs", "comms service backoff");
+includes(service, "Communications Log", "comms service Airtable log");
+includes(providers, "createNotifyProvider", "comms providers");
+includes(providers, "createFakeCommsProvider", "comms providers");
+includes(providers, "/v2/notifications/email", "Notify provider");
+includes(serviceIndex, "drainCommsOutbox = (options) => Comms.drainCommsOutbox(this, options);", "service index");
+includes(router, '"/api/comms/outbox"', "router");
+includes(router, '"/api/comms/callback"', "router");
+includes(worker, '["route_api_comms_callback_post", "POST", "/api/comms/callback", "[]", 0]', "Worker permission register");
+includes(worker, "route_api_comms_outbox_get", "Worker permission register");
+includes(worker, "drainCommsOutbox({ now: scheduledTime })", "Worker scheduled handler");
+includes(retention, "DELETE FROM rops_comms_outbox", "retention");
+includes(migration, "CREATE TABLE IF NOT EXISTS rops_comms_outbox", "D1 migration");
+includes(migration, "idx_rops_comms_outbox_due", "D1 migration");
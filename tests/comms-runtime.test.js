@@ -0,0 +1,255 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import {
+	buildPersonalisation,
+	commsDeliveryCallback,
+	drainCommsOutbox,
+	retryDelayMs,
+	sendComms,
+} from '../infra/cloudflare/src/service/comms.js';
+import {
+	commsProviderError,
+	createFakeCommsProvider,
+	parseNotifyApiKey,
+	resolveCommsProvider,
+} from '../infra/cloudflare/src/service/comms/providers.js';
+import { serviceStub, stubFetch } from './helpers/d1-sqlite.mjs';
+
+function setup(provider = createFakeCommsProvider(), env = {}) {
+	const db = new DatabaseSync(':memory:');
+	db.exec(`
+		CREATE TABLE rops_participants_cache (id TEXT PRIMARY KEY, study_id TEXT, participant_airtable_id TEXT, participant_ref TEXT, sensitive_contact_json TEXT, active INTEGER DEFAULT 1);
+		CREATE TABLE rops_participant_consent_cache (id TEXT PRIMARY KEY, participant_id TEXT, withdrawn INTEGER DEFAULT 0, active INTEGER DEFAULT 1);
+		INSERT INTO rops_participants_cache VALUES ('p1', 'study_1', 'recP1', 'P01', '{"first_name":"Amal","family_name":"Shah","email":"amal@example.test","phone":"07700900000"}', 1);
+		INSERT INTO rops_participants_cache VALUES ('p2', 'study_1', 'recP2', 'P02', '{"first_name":"Sam","email":"sam@example.test"}', 1);
+		INSERT INTO rops_participant_consent_cache VALUES ('c2', 'p2', 1, 1);
+	`);
+	const svc = serviceStub(db, {
+		env: { COMMS_CALLBACK_TOKEN: 'callback-secret', ...env },
+		commsProvider: provider,
+	});
+	return { db, svc, provider };
+}
+
+function post(body, headers = {}) {
+	return new Request('https://example.test/api/comms/send', {
+		method: 'POST',
+		headers: { 'content-type': 'application/json', ...headers },
+		body: JSON.stringify(body),
+	});
+}
+
+test('retryDelayMs doubles from one minute up to an hour', () => {
+	assert.equal(retryDelayMs(1), 60_000);
+	assert.equal(retryDelayMs(3), 240_000);
+	assert.equal(retryDelayMs(20), 3_600_000);
+});
+
+test('buildPersonalisation merges participant, session and overrides', () => {
+	const values = buildPersonalisation(
+		{ first_name: 'Amal', full_name: 'Amal Shah', participant_ref: 'P01' },
+		{
+			starts_at: '2026-07-01T09:30:00Z',
+			duration_min: 45,
+			location_or_link: 'https://example.test/call',
+		},
+		{ study_name: 'Passports' }
+	);
+	assert.equal(values.first_name, 'Amal');
+	assert.equal(values.session_date, 'Wednesday 1 July 2026');
+	assert.equal(values.session_time, '10:30am');
+	assert.equal(values.session_duration, '45 minutes');
+	assert.equal(values.session_location, 'https://example.test/call');
+	assert.equal(values.study_name, 'Passports');
+});
+
+test('resolveCommsProvider reads the configured provider', () => {
+	const key = `researchops-${'a'.repeat(8)}-1111-2222-3333-${'b'.repeat(12)}-${'c'.repeat(8)}-4444-5555-6666-${'d'.repeat(12)}`;
+	assert.deepEqual(parseNotifyApiKey(key), {
+		serviceId: `${'a'.repeat(8)}-1111-2222-3333-${'b'.repeat(12)}`,
+		secret: `${'c'.repeat(8)}-4444-5555-6666-${'d'.repeat(12)}`,
+	});
+	assert.equal(resolveCommsProvider({ NOTIFY_API_KEY: key }).name, 'notify');
+	assert.equal(resolveCommsProvider({ COMMS_PROVIDER: 'fake' }).name, 'fake');
+	assert.equal(resolveCommsProvider({}), null);
+});
+
+test('sendComms delivers through the provider and records the outbox', async () => {
+	const { db, svc, provider } = setup();
+	const response = await sendComms(
+		svc,
+		post({
+			participant_id: 'recP1',
+			template_id: 'tmpl_invite',
+			channel: 'email',
+			personalisation: { study_name: 'Passports' },
+		}),
+		''
+	);
+	const body = await response.json();
+	assert.equal(response.status, 200);
+	assert.equal(body.message.status, 'sent');
+	assert.equal(provider.sent.length, 1);
+	assert.equal(provider.sent[0].to, 'amal@example.test');
+	assert.equal(provider.sent[0].templateId, 'tmpl_invite');
+	assert.equal(provider.sent[0].personalisation.first_name, 'Amal');
+	assert.equal(provider.sent[0].reference, body.message_id);
+
+	const row = db.prepare('SELECT * FROM rops_comms_outbox WHERE id = ?').get(body.message_id);
+	assert.equal(row.status, 'sent');
+	assert.equal(row.provider_message_id, 'fake_1');
+	assert.equal(row.log_status, 'pending');
+});
+
+test('sendComms refuses participants who withdrew consent', async () => {
+	const { db, svc, provider } = setup();
+	const response = await sendComms(
+		svc,
+		post({ participant_id: 'p2', template_id: 'tmpl', channel: 'email' }),
+		''
+	);
+	assert.equal(response.status, 409);
+	assert.equal((await response.json()).error, 'participant_consent_withdrawn');
+	assert.equal(provider.sent.length, 0);
+	assert.equal(db.prepare('SELECT COUNT(*) AS n FROM rops_comms_outbox').get().n, 0);
+});
+
+test('retryable failures back off and are sent by the drain', async () => {
+	const provider = createFakeCommsProvider({
+		failures: [commsProviderError('Notify 503', { status: 503 })],
+	});
+	const { db, svc } = setup(provider);
+	const response = await sendComms(
+		svc,
+		post({ participant_id: 'p1', template_id: 'tmpl', channel: 'sms' }),
+		''
+	);
+	const body = await response.json();
+	assert.equal(response.status, 202);
+	assert.equal(body.message.status, 'retrying');
+	assert.equal(body.message.attempts, 1);
+
+	const early = await drainCommsOutbox(svc, { now: Date.now() });
+	assert.equal(early.attempted, 0);
+
+	const later = await drainCommsOutbox(svc, { now: Date.now() + retryDelayMs(1) + 1000 });
+	assert.equal(later.sent, 1);
+	assert.equal(provider.sent[0].to, '07700900000');
+	const row = db.prepare('SELECT * FROM rops_comms_outbox WHERE id = ?').get(body.message_id);
+	assert.equal(row.status, 'sent');
+	assert.equal(row.attempts, 2);
+});
+
+test('a queued message is claimed once, so overlapping drains send it once', async () => {
+	const { db, svc, provider } = setup();
+	await drainCommsOutbox(svc);
+	const insert = db.prepare(
+		"INSERT INTO rops_comms_outbox (id, participant_id, channel, template_id, recipient, status, claimed_at, created_at, updated_at) VALUES (?, 'p1', 'email', 'tmpl', 'amal@example.test', ?, ?, ?, ?)"
+	);
+	const now = Date.now();
+	const minutesAgo = (minutes) => new Date(now - minutes * 60_000).toISOString();
+	insert.run('msg_queued', 'queued', null, minutesAgo(1), minutesAgo(1));
+	insert.run('msg_stale', 'sending', minutesAgo(11), minutesAgo(11), minutesAgo(11));
+	insert.run('msg_sending', 'sending', minutesAgo(1), minutesAgo(1), minutesAgo(1));
+
+	const [first, second] = await Promise.all([drainCommsOutbox(svc), drainCommsOutbox(svc)]);
+	assert.equal(first.sent + second.sent, 2);
+	assert.equal(first.claimed + second.claimed, 2);
+	assert.deepEqual(provider.sent.map((message) => message.reference).sort(), [
+		'msg_queued',
+		'msg_stale',
+	]);
+	const statuses = db
+		.prepare('SELECT id, status, claimed_at FROM rops_comms_outbox ORDER BY id')
+		.all()
+		.map((row) => [row.id, row.status, row.claimed_at === null]);
+	assert.deepEqual(statuses, [
+		['msg_queued', 'sent', true],
+		['msg_sending', 'sending', false],
+		['msg_stale', 'sent', true],
+	]);
+});
+
+test('permanent provider errors fail without retrying', async () => {
+	const provider = createFakeCommsProvider({
+		failures: [commsProviderError('Notify 400', { status: 400 })],
+	});
+	const { svc } = setup(provider);
+	const response = await sendComms(
+		svc,
+		post({ participant_id: 'p1', template_id: 'tmpl', channel: 'email' }),
+		''
+	);
+	assert.equal(response.status, 502);
+	assert.equal((await response.json()).message.status, 'failed');
+});
+
+test('drain writes Communications Log entries once Airtable recovers', async () => {
+	const { db, svc } = setup(undefined, { AIRTABLE_BASE_ID: 'appTest', AIRTABLE_API_KEY: 'key' });
+	let airtableUp = false;
+	const logged = [];
+	const restore = stubFetch(async (url, init = {}) => {
+		if (init.method === 'POST') {
+			if (!airtableUp) return new Response('unavailable', { status: 503 });
+			logged.push(JSON.parse(init.body).records[0].fields);
+			return new Response('{}', { status: 200 });
+		}
+		return new Response('{}', { status: 404 });
+	});
+	try {
+		const body = await (
+			await sendComms(
+				svc,
+				post({ participant_id: 'p1', template_id: 'tmpl', channel: 'email' }),
+				''
+			)
+		).json();
+		assert.equal(
+			db.prepare('SELECT log_status FROM rops_comms_outbox WHERE id = ?').get(body.message_id)
+				.log_status,
+			'pending'
+		);
+		airtableUp = true;
+		const drained = await drainCommsOutbox(svc);
+		assert.equal(drained.logged, 1);
+		assert.equal(logged[0]['Template Id'], 'tmpl');
+		assert.equal(
+			db.prepare('SELECT log_status FROM rops_comms_outbox WHERE id = ?').get(body.message_id)
+				.log_status,
+			'logged'
+		);
+	} finally {
+		restore();
+	}
+});
+
+test('commsDeliveryCallback requires the bearer token and records delivery', async () => {
+	const { db, svc } = setup();
+	const body = await (
+		await sendComms(svc, post({ participant_id: 'p1', template_id: 'tmpl', channel: 'email' }), '')
+	).json();
+	const callback = (token, payload) =>
+		commsDeliveryCallback(
+			svc,
+			new Request('https://example.test/api/comms/callback', {
+				method: 'POST',
+				headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+				body: JSON.stringify(payload),
+			}),
+			''
+		);
+
+	assert.equal((await callback('wrong', { id: 'fake_1', status: 'delivered' })).status, 401);
+	const ok = await callback('callback-secret', {
+		id: 'fake_1',
+		reference: body.message_id,
+		status: 'delivered',
+		completed_at: '2026-07-01T10:00:00Z',
+	});
+	assert.equal(ok.status, 200);
+	const row = db.prepare('SELECT * FROM rops_comms_outbox WHERE id = ?').get(body.message_id);
+	assert.equal(row.status, 'delivered');
+	assert.equal(row.delivered_at, '2026-07-01T10:00:00Z');
+});
@@ -15,6 +15,7 @@ const fieldsSource = fs.readFileSync("infra/cloudflare/src/core/fields.js", "utf
 const d1MigrationSource = fs.readFileSync("infra/cloudflare/migrations/0011_consent_forms_d1.sql", "utf8");
 const d1DiaryStudySeedSource = fs.readFileSync("infra/cloudflare/migrations/0012_seed_diary_study_consent_forms.sql", "utf8");
 const d1DiaryStudySeedWorkflow = fs.readFileSync(".github/workflows/apply-d1-diary-study-consent-forms.yml", "utf8");
+const d1VersionsMigrationSource = fs.readFileSync("infra/cloudflare/migrations/0039_consent_form_versions.sql", "utf8");
 
 function includes(source, text, label) {
 	assert.equal(source.includes(text), true, `Expected ${label} to include: ${text}`);
@@ -118,3 +119,17 @@ includes(d1DiaryStudySeedWorkflow, "Apply D1 Diary Study Consent Forms Seed", "D
 includes(d1DiaryStudySeedWorkflow, "infra/cloudflare/migrations/0012_seed_diary_study_consent_forms.sql", "D1 diary study consent form seed workflow");
 includes(d1DiaryStudySeedWorkflow, "APPLY_DIARY_STUDY_CONSENT_FORMS", "D1 diary study consent form seed workflow");
 includes(d1DiaryStudySeedWorkflow, "SELECT COUNT(*) AS consent_form_count", "D1 diary study consent form seed workflow");
+
+includes(serviceSource, "rops_consent_form_versions", "consent form versions");
+includes(serviceSource, "reconsent: { required: participants.length, participants }", "consent form versions");
+includes(serviceSource, "export async function listReconsentQueue", "consent form versions");
+includes(serviceSource, "export async function diffConsentFormVersions", "consent form versions");
+includes(serviceSource, "export async function participantConsentGate", "consent form versions");
+includes(serviceIndexSource, "diffConsentFormVersions", "service index");
+includes(serviceIndexSource, "listReconsentQueue", "service index");
+includes(workerSource, "route_api_consent_forms_reconsent_queue_get", "worker");
+includes(workerSource, "route_api_consent_forms_diff_get", "worker");
+includes(d1VersionsMigrationSource, "CREATE TABLE IF NOT EXISTS rops_consent_form_versions", "D1 consent form versions migration");
+includes(d1VersionsMigrationSource, "/api/consent-forms/reconsent-queue", "D1 consent form versions migration");
+includes(controllerSource, "function publishStatus", "consent forms controller");
+includes(controllerSource, "body.reconsent?.required", "consent forms controller");
@@ -0,0 +1,417 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import {
+	createConsentForm,
+	publishConsentForm,
+	updateConsentForm,
+} from '../infra/cloudflare/src/service/consent-forms.js';
+import {
+	createConsentLink,
+	readConsentPortal,
+	revokeConsentLink,
+	submitConsentPortal,
+	verifyParticipantConsentRecord,
+} from '../infra/cloudflare/src/service/consent-portal.js';
+import {
+	createParticipantConsent,
+	listParticipantConsent,
+	updateParticipantConsent,
+} from '../infra/cloudflare/src/service/participant-consent.js';
+import { serviceStub } from './helpers/d1-sqlite.mjs';
+
+function service(env = { CONSENT_PORTAL_SECRET: 'test-secret' }) {
+	const db = new DatabaseSync(':memory:');
+	return { db, ...serviceStub(db, { env }) };
+}
+
+function post(body, method = 'POST') {
+	return new Request('https://example.test/api', {
+		method,
+		body: JSON.stringify(body),
+	});
+}
+
+async function read(response) {
+	return { status: response.status, body: await response.json() };
+}
+
+const ORIGIN = 'https://researchops.example.test';
+const AUTH = { user: { email: 'researcher@example.gov.uk' } };
+
+async function publishedForm(svc) {
+	const created = await read(
+		await createConsentForm(
+			svc,
+			post({
+				studyId: 'study-1',
+				title: 'Licence renewal consent',
+				plainEnglishSummary: 'What taking part involves.',
+				sourceMarkdown: '# About the research\nNotes are kept for {{retention}}.',
+				variables: { retention: '12 months' },
+				consentItems: [
+					{ id: 'participation', label: 'I agree to take part.', required: true },
+					{ id: 'recording', label: 'I agree to be recorded.', required: false },
+				],
+			}),
+			''
+		)
+	);
+	const id = created.body.consentForm.id;
+	const published = await read(await publishConsentForm(svc, '', id));
+	return { id, version: published.body.version };
+}
+
+async function issueLink(svc, participantId = 'participant-a', extra = {}) {
+	const issued = await read(
+		await createConsentLink(
+			svc,
+			post({ studyId: 'study-1', participantId, ...extra }),
+			ORIGIN,
+			AUTH
+		)
+	);
+	const token = issued.status === 201 ? new URL(issued.body.url).searchParams.get('token') : '';
+	return { ...issued, token };
+}
+
+async function portal(svc, token) {
+	return read(
+		await readConsentPortal(
+			svc,
+			ORIGIN,
+			new URL(`https://example.test/api/consent-portal?token=${encodeURIComponent(token)}`)
+		)
+	);
+}
+
+async function answer(svc, token, form, body) {
+	return read(
+		await submitConsentPortal(
+			svc,
+			post({
+				token,
+				consentFormId: form.id,
+				consentFormVersion: form.version,
+				...body,
+			}),
+			ORIGIN
+		)
+	);
+}
+
+async function verify(svc, id) {
+	return (await read(await verifyParticipantConsentRecord(svc, '', id))).body;
+}
+
+test('a consent link shows the published form and records each answer as a hashed, chained response', async () => {
+	const svc = service();
+	const form = await publishedForm(svc);
+	const link = await issueLink(svc);
+	assert.equal(link.status, 201);
+	assert.match(
+		link.body.url,
+		/^https:\/\/researchops\.example\.test\/pages\/consent\/respond\/\?token=/
+	);
+	assert.equal(link.body.link.issuedBy, 'researcher@example.gov.uk');
+
+	const opened = await portal(svc, link.token);
+	assert.equal(opened.status, 200);
+	assert.equal(opened.body.form.version, form.version);
+	assert.match(opened.body.form.html, /<h2 class="govuk-heading-l">About the research<\/h2>/);
+	assert.match(opened.body.form.html, /Notes are kept for 12 months\./);
+	assert.equal(opened.body.response, null);
+
+	const incomplete = await answer(svc, link.token, form, {
+		responses: { participation: 'agreed' },
+	});
+	assert.equal(incomplete.status, 400);
+	assert.equal(incomplete.body.error, 'consent_responses_incomplete');
+	assert.deepEqual(incomplete.body.missing, ['recording']);
+
+	const given = await answer(svc, link.token, form, {
+		responses: { participation: 'agreed', recording: 'declined' },
+	});
+	assert.equal(given.status, 201);
+	assert.equal(given.body.response.status, 'Ready for session');
+	assert.match(given.body.response.responseHash, /^[0-9a-f]{64}$/);
+
+	const varied = await answer(svc, link.token, form, {
+		responses: { participation: 'agreed', recording: 'agreed' },
+	});
+	const withdrawn = await answer(svc, link.token, form, {
+		withdrawn: true,
+		withdrawalReason: 'No longer have time.',
+	});
+	assert.equal(withdrawn.body.response.status, 'Withdrawn');
+
+	const reopened = await portal(svc, link.token);
+	assert.equal(reopened.body.response.withdrawn, true);
+	assert.deepEqual(reopened.body.response.responses, {
+		participation: 'declined',
+		recording: 'declined',
+	});
+
+	const rows = svc.db
+		.prepare(
+			'SELECT id, response_hash, previous_response_hash, capture_method, consent_link_id FROM rops_participant_consent_cache ORDER BY rowid'
+		)
+		.all();
+	assert.deepEqual(
+		rows.map((row) => row.response_hash),
+		[given, varied, withdrawn].map((result) => result.body.response.responseHash)
+	);
+	assert.equal(rows[0].previous_response_hash, null);
+	assert.equal(rows[1].previous_response_hash, rows[0].response_hash);
+	assert.equal(rows[2].previous_response_hash, rows[1].response_hash);
+	assert.ok(rows.every((row) => row.capture_method === 'Participant consent link'));
+	assert.ok(rows.every((row) => row.consent_link_id === link.body.link.id));
+
+	for (const row of rows) {
+		const result = await verify(svc, row.id);
+		assert.equal(result.valid, true, row.id);
+	}
+
+	const listed = await read(
+		await listParticipantConsent(
+			svc,
+			'',
+			new URL('https://example.test/api/participant-consent?study=study-1')
+		)
+	);
+	assert.equal(listed.body.participantConsentRecords.at(-1).responseHash, rows[2].response_hash);
+});
+
+test('changed responses, changed form wording and removed earlier responses fail verification', async () => {
+	const svc = service();
+	const form = await publishedForm(svc);
+	const link = await issueLink(svc);
+	const first = await answer(svc, link.token, form, {
+		responses: { participation: 'agreed', recording: 'agreed' },
+	});
+	const second = await answer(svc, link.token, form, {
+		responses: { participation: 'agreed', recording: 'declined' },
+	});
+
+	svc.db
+		.prepare('UPDATE rops_participant_consent_cache SET responses_json = ? WHERE id = ?')
+		.run(JSON.stringify({ participation: 'agreed', recording: 'agreed' }), second.body.response.id);
+	const tampered = await verify(svc, second.body.response.id);
+	assert.equal(tampered.valid, false);
+	assert.deepEqual(tampered.checks, {
+		responseHash: false,
+		formWording: true,
+		previousResponse: true,
+	});
+
+	svc.db
+		.prepare('UPDATE rops_consent_form_versions SET source_markdown = ?')
+		.run('# About the research\nNotes are kept forever.');
+	assert.equal((await verify(svc, first.body.response.id)).checks.formWording, false);
+
+	svc.db
+		.prepare('DELETE FROM rops_participant_consent_cache WHERE id = ?')
+		.run(first.body.response.id);
+	assert.equal((await verify(svc, second.body.response.id)).checks.previousResponse, false);
+});
+
+test('expired, replaced, revoked and forged links are refused', async () => {
+	const svc = service();
+	await publishedForm(svc);
+
+	const invalidExpiry = await issueLink(svc, 'participant-a', { expiresInDays: 365 });
+	assert.equal(invalidExpiry.status, 400);
+	assert.equal(invalidExpiry.body.error, 'invalid_expiry');
+
+	const first = await issueLink(svc);
+	const second = await issueLink(svc);
+	const replaced = await portal(svc, first.token);
+	assert.equal(replaced.status, 410);
+	assert.equal(replaced.body.error, 'consent_link_revoked');
+	assert.equal((await portal(svc, second.token)).status, 200);
+
+	const [payload, signature] = second.token.split('.');
+	const forgedPayload = Buffer.from(
+		JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), pid: 'participant-b' })
+	).toString('base64url');
+	const forged = await portal(svc, `${forgedPayload}.${signature}`);
+	assert.equal(forged.status, 404);
+	assert.equal(forged.body.error, 'consent_link_invalid');
+
+	const revoked = await read(await revokeConsentLink(svc, '', second.body.link.id));
+	assert.equal(revoked.status, 200);
+	assert.equal((await portal(svc, second.token)).body.error, 'consent_link_revoked');
+
+	const realNow = Date.now;
+	try {
+		const third = await issueLink(svc, 'participant-a', { expiresInDays: 1 });
+		Date.now = () => realNow() + 2 * 24 * 60 * 60_000;
+		const expired = await portal(svc, third.token);
+		assert.equal(expired.status, 410);
+		assert.equal(expired.body.error, 'consent_link_expired');
+	} finally {
+		Date.now = realNow;
+	}
+});
+
+test('links need a published form, answers must match the current version and portal responses cannot be edited', async () => {
+	const svc = service();
+	const unpublished = await issueLink(svc);
+	assert.equal(unpublished.status, 409);
+	assert.equal(unpublished.body.error, 'consent_form_not_published');
+
+	const form = await publishedForm(svc);
+	const link = await issueLink(svc);
+	await updateConsentForm(
+		svc,
+		post({ sourceMarkdown: '# About the research\nNotes are kept for 6 months.' }, 'PATCH'),
+		'',
+		form.id
+	);
+	await publishConsentForm(svc, '', form.id);
+
+	const stale = await answer(svc, link.token, form, {
+		responses: { participation: 'agreed', recording: 'agreed' },
+	});
+	assert.equal(stale.status, 409);
+	assert.equal(stale.body.error, 'consent_form_changed');
+
+	const current = await answer(
+		svc,
+		link.token,
+		{ ...form, version: form.version + 1 },
+		{ responses: { participation: 'agreed', recording: 'agreed' } }
+	);
+	assert.equal(current.status, 201);
+	assert.equal(current.body.response.consentFormVersion, form.version + 1);
+
+	const edited = await read(
+		await updateParticipantConsent(
+			svc,
+			post({ responses: { participation: 'declined' } }, 'PATCH'),
+			'',
+			current.body.response.id
+		)
+	);
+	assert.equal(edited.status, 409);
+	assert.equal(edited.body.error, 'participant_response_locked');
+});
+
+test('consent links need their own signing secret, not the sign-in secret', async () => {
+	const svc = service({ RESEARCHOPS_AUTH_SECRET: 'sign-in-secret' });
+	await publishedForm(svc);
+	const link = await issueLink(svc);
+	assert.equal(link.status, 503);
+	assert.equal(link.body.error, 'consent_portal_unavailable');
+});
+
+test('researcher-recorded consent joins the hash chain and an edit appends a new record', async () => {
+	const svc = service();
+	const form = await publishedForm(svc);
+	const recorded = await read(
+		await createParticipantConsent(
+			svc,
+			post({
+				studyId: 'study-1',
+				participantId: 'participant-a',
+				consentFormId: form.id,
+				responses: { participation: 'agreed', recording: 'agreed' },
+				captureMethod: 'Paper form',
+				recordedBy: 'researcher@example.gov.uk',
+			}),
+			''
+		)
+	);
+	assert.match(recorded.body.participantConsent.responseHash, /^[0-9a-f]{64}$/);
+
+	const link = await issueLink(svc);
+	const answered = await answer(svc, link.token, form, {
+		responses: { participation: 'agreed', recording: 'declined' },
+	});
+	const edited = await read(
+		await updateParticipantConsent(
+			svc,
+			post({ captureMethod: 'Email' }, 'PATCH'),
+			'',
+			recorded.body.participantConsent.id
+		)
+	);
+	assert.equal(edited.status, 200);
+	assert.notEqual(edited.body.participantConsent.id, recorded.body.participantConsent.id);
+	assert.equal(edited.body.participantConsent.captureMethod, 'Email');
+
+	const rows = svc.db
+		.prepare(
+			'SELECT id, active, capture_method, response_hash, previous_response_hash FROM rops_participant_consent_cache ORDER BY rowid'
+		)
+		.all();
+	assert.deepEqual(
+		rows.map((row) => [row.id, row.active, row.capture_method]),
+		[
+			[recorded.body.participantConsent.id, 0, 'Paper form'],
+			[answered.body.response.id, 1, 'Participant consent link'],
+			[edited.body.participantConsent.id, 1, 'Email'],
+		]
+	);
+	assert.equal(rows[0].previous_response_hash, null);
+	assert.equal(rows[1].previous_response_hash, rows[0].response_hash);
+	assert.equal(rows[2].previous_response_hash, rows[1].response_hash);
+	for (const row of rows) assert.equal((await verify(svc, row.id)).valid, true, row.id);
+});
+
+test('responses submitted at the same moment are chained one after the other', async () => {
+	const svc = service();
+	const form = await publishedForm(svc);
+	const link = await issueLink(svc);
+	const results = await Promise.all(
+		['agreed', 'declined', 'agreed'].map((recording) =>
+			answer(svc, link.token, form, { responses: { participation: 'agreed', recording } })
+		)
+	);
+	assert.deepEqual(
+		results.map((result) => result.status),
+		[201, 201, 201]
+	);
+
+	const rows = svc.db
+		.prepare('SELECT response_hash, previous_response_hash FROM rops_participant_consent_cache')
+		.all();
+	const following = new Map(rows.map((row) => [row.previous_response_hash || '', row]));
+	assert.equal(following.size, 3);
+	const chain = [];
+	for (let row = following.get(''); row; row = following.get(row.response_hash)) chain.push(row);
+	assert.equal(chain.length, 3);
+
+	assert.throws(
+		() =>
+			svc.db
+				.prepare(
+					"INSERT INTO rops_participant_consent_cache (id, study_id, participant_id, created_at, updated_at, response_hash, previous_response_hash) VALUES ('pc_fork', 'study-1', 'participant-a', '', '', 'fork', ?)"
+				)
+				.run(chain[0].response_hash),
+		/UNIQUE constraint failed/
+	);
+});
+
+test('a participant’s withdrawal uses the scope they chose', async () => {
+	const svc = service();
+	const form = await publishedForm(svc);
+	const link = await issueLink(svc);
+	const invalid = await answer(svc, link.token, form, {
+		withdrawn: true,
+		withdrawalScope: 'shred',
+	});
+	assert.equal(invalid.status, 400);
+	assert.equal(invalid.body.error, 'invalid_withdrawal_scope');
+
+	const withdrawn = await answer(svc, link.token, form, {
+		withdrawn: true,
+		withdrawalScope: 'remove',
+	});
+	assert.equal(withdrawn.status, 201);
+	const row = svc.db
+		.prepare('SELECT scope, requested_by FROM rops_consent_withdrawals WHERE consent_record_id = ?')
+		.get(withdrawn.body.response.id);
+	assert.deepEqual({ ...row }, { scope: 'remove', requested_by: 'Participant' });
+});
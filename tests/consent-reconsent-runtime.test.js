@@ -0,0 +1,216 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import {
+	createConsentForm,
+	diffConsentFormVersions,
+	listReconsentQueue,
+	publishConsentForm,
+	updateConsentForm,
+} from '../infra/cloudflare/src/service/consent-forms.js';
+import { createParticipantConsent } from '../infra/cloudflare/src/service/participant-consent.js';
+import { createSessionNote } from '../infra/cloudflare/src/service/session-notes.js';
+import { serviceStub } from './helpers/d1-sqlite.mjs';
+
+function service() {
+	const db = new DatabaseSync(':memory:');
+	return { db, ...serviceStub(db) };
+}
+
+function post(body, method = 'POST') {
+	return new Request('https://example.test/api', {
+		method,
+		body: JSON.stringify(body),
+	});
+}
+
+async function read(response) {
+	return { status: response.status, body: await response.json() };
+}
+
+const FIRST_MARKDOWN = [
+	'# About the research',
+	'We want to understand how people renew a licence.',
+	'',
+	'## Your data',
+	'Notes are kept for 12 months.',
+].join('\n');
+
+async function publishedForm(svc) {
+	const created = await read(
+		await createConsentForm(
+			svc,
+			post({
+				studyId: 'study-1',
+				title: 'Licence renewal consent',
+				sourceMarkdown: FIRST_MARKDOWN,
+				variables: { retention: '12 months' },
+				consentItems: [
+					{ id: 'participation', label: 'I agree to take part.', required: true },
+					{ id: 'recording', label: 'I agree to be recorded.', required: false },
+				],
+			}),
+			''
+		)
+	);
+	const id = created.body.consentForm.id;
+	const published = await read(await publishConsentForm(svc, '', id));
+	assert.equal(published.body.reconsent.required, 0);
+	return { id, version: published.body.version };
+}
+
+async function consent(svc, participantId, formId, version, extra = {}) {
+	const response = await createParticipantConsent(
+		svc,
+		post({
+			studyId: 'study-1',
+			participantId,
+			consentFormId: formId,
+			consentFormVersion: version,
+			responses: { participation: 'agreed' },
+			status: 'Ready for session',
+			recordedAt: '2026-01-01T10:00:00.000Z',
+			...extra,
+		}),
+		''
+	);
+	assert.equal(response.status, 200);
+}
+
+async function republish(svc, formId) {
+	await updateConsentForm(
+		svc,
+		post(
+			{
+				sourceMarkdown: FIRST_MARKDOWN.replace('12 months', '6 months'),
+				variables: { retention: '6 months', contact: 'research@example.gov.uk' },
+				consentItems: [
+					{ id: 'participation', label: 'I agree to take part.', required: true },
+					{ id: 'observers', label: 'I agree to observers joining.', required: false },
+				],
+			},
+			'PATCH'
+		),
+		'',
+		formId
+	);
+	return read(await publishConsentForm(svc, '', formId));
+}
+
+function note(participantId) {
+	return post({
+		session_airtable_id: 'session-1',
+		studyId: 'study-1',
+		participant_airtable_id: participantId,
+		start_iso: '2026-02-01T10:00:00.000Z',
+		content_html: 'Started on the eligibility page.',
+	});
+}
+
+test('publishing a new version lists participants who agreed to a superseded version', async () => {
+	const svc = service();
+	const form = await publishedForm(svc);
+	await consent(svc, 'participant-a', form.id, form.version);
+	await consent(svc, 'participant-b', form.id, form.version);
+	await consent(svc, 'participant-c', form.id, form.version, {
+		withdrawn: true,
+		status: 'Withdrawn',
+	});
+
+	const published = await republish(svc, form.id);
+	assert.equal(published.status, 200);
+	assert.equal(published.body.version, form.version + 1);
+	assert.equal(published.body.reconsent.required, 2);
+
+	await consent(svc, 'participant-b', form.id, form.version + 1, {
+		recordedAt: '2026-03-01T10:00:00.000Z',
+	});
+
+	const queue = await read(
+		await listReconsentQueue(
+			svc,
+			'',
+			new URL('https://example.test/api/consent-forms/reconsent-queue?study=study-1')
+		)
+	);
+	assert.equal(queue.status, 200);
+	assert.deepEqual(
+		queue.body.queue.map((entry) => [
+			entry.participantId,
+			entry.consentedVersion,
+			entry.currentVersion,
+		]),
+		[['participant-a', form.version, form.version + 1]]
+	);
+});
+
+test('versions are compared section by section, statement by statement and detail by detail', async () => {
+	const svc = service();
+	const form = await publishedForm(svc);
+	await republish(svc, form.id);
+
+	const diff = await read(
+		await diffConsentFormVersions(svc, '', form.id, new URL('https://example.test/diff'))
+	);
+	assert.equal(diff.status, 200);
+	assert.equal(diff.body.from.version, form.version);
+	assert.equal(diff.body.to.version, form.version + 1);
+	const byLabel = Object.fromEntries(diff.body.changes.map((change) => [change.label, change]));
+	assert.deepEqual(
+		[byLabel['Section: Your data'].change, byLabel['Section: Your data'].after],
+		['changed', 'Notes are kept for 6 months.']
+	);
+	assert.deepEqual(
+		[
+			byLabel['Consent statement: recording'].change,
+			byLabel['Consent statement: recording'].before,
+		],
+		['removed', 'I agree to be recorded. (optional)']
+	);
+	assert.equal(byLabel['Consent statement: observers'].change, 'added');
+	assert.equal(byLabel['Detail: retention'].change, 'changed');
+	assert.equal(byLabel['Detail: contact'].change, 'added');
+	assert.equal(byLabel['Section: About the research'], undefined);
+
+	const missing = await read(
+		await diffConsentFormVersions(
+			svc,
+			'',
+			form.id,
+			new URL('https://example.test/diff?from=9&to=10')
+		)
+	);
+	assert.equal(missing.status, 404);
+	assert.equal(missing.body.error, 'consent_form_version_not_found');
+});
+
+test('session notes are blocked for participants with outdated or withdrawn consent', async () => {
+	const svc = service();
+	const form = await publishedForm(svc);
+	await consent(svc, 'participant-a', form.id, form.version);
+	await consent(svc, 'participant-b', form.id, form.version, {
+		withdrawn: true,
+		status: 'Withdrawn',
+	});
+	await consent(svc, 'participant-c', form.id, form.version);
+	await republish(svc, form.id);
+	await consent(svc, 'participant-c', form.id, form.version + 1, {
+		recordedAt: '2026-03-01T10:00:00.000Z',
+	});
+
+	const outdated = await read(await createSessionNote(svc, note('participant-a'), ''));
+	assert.equal(outdated.status, 409);
+	assert.equal(outdated.body.error, 'participant_reconsent_required');
+	assert.equal(outdated.body.consent.currentVersion, form.version + 1);
+
+	const withdrawn = await read(await createSessionNote(svc, note('participant-b'), ''));
+	assert.equal(withdrawn.status, 409);
+	assert.equal(withdrawn.body.error, 'participant_consent_withdrawn');
+
+	const current = await read(await createSessionNote(svc, note('participant-c'), ''));
+	assert.equal(current.status, 200);
+
+	const unrecorded = await read(await createSessionNote(svc, note('participant-d'), ''));
+	assert.equal(unrecorded.status, 200);
+});
@@ -0,0 +1,603 @@
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import {
+	drainConsentWithdrawals,
+	listConsentWithdrawals,
+	readConsentWithdrawalReport,
+	rerunConsentWithdrawal,
+	startConsentWithdrawal,
+} from '../infra/cloudflare/src/service/consent-withdrawal.js';
+import {
+	createParticipantConsent,
+	updateParticipantConsent,
+} from '../infra/cloudflare/src/service/participant-consent.js';
+import { rebuildSearchIndex } from '../infra/cloudflare/src/service/search.js';
+import { exportSynthesisToMural } from '../infra/cloudflare/src/service/synthesis-mural-export.js';
+import {
+	createSynthesisCluster,
+	createSynthesisTheme,
+	listSynthesis,
+} from '../infra/cloudflare/src/service/synthesis.js';
+import { serviceStub, stubFetch } from './helpers/d1-sqlite.mjs';
+
+const airtableNotes = [
+	{
+		id: 'recN1',
+		createdTime: '2026-06-01T10:00:00.000Z',
+		fields: {
+			'Study ID': ['recStudyA'],
+			Participant: ['participant-a'],
+			'Note (plain)': 'Could not find the payment date',
+		},
+	},
+	{
+		id: 'recN2',
+		createdTime: '2026-06-01T10:05:00.000Z',
+		fields: {
+			'Study ID': ['recStudyA'],
+			Participant: ['participant-b'],
+			'Note (plain)': 'Phoned the helpline twice',
+		},
+	},
+];
+
+const json = (body, status = 200) =>
+	new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+
+/** In-memory Mural board plus Airtable notes behind a stubbed fetch. */
+function fakeMural() {
+	const widgets = new Map();
+	let next = 1;
+	const handler = async (input, init = {}) => {
+		const url = new URL(String(input));
+		const method = (init.method || 'GET').toUpperCase();
+		const body = init.body ? JSON.parse(init.body) : null;
+		if (url.hostname === 'api.airtable.com') return json({ records: airtableNotes });
+		const path = url.pathname.replace('/api/public/v1', '');
+		if (path === '/users/me')
+			return json({ value: { id: 'mural-user', companyId: 'homeofficegovuk' } });
+		if (path.endsWith('/tags'))
+			return method === 'GET' ? json({ value: [] }) : json({ value: { id: `tag-${body.title}` } });
+		let match = path.match(/^\/murals\/([^/]+)\/widgets(?:\/(area|title))?$/);
+		if (match && method === 'GET') return json({ value: [...widgets.values()] });
+		if (match && method === 'POST') {
+			const id = `w${next++}`;
+			widgets.set(id, { id, type: match[2] || body.type, ...body });
+			return json({ value: [{ id }] }, 201);
+		}
+		match = path.match(/^\/murals\/[^/]+\/widgets\/(?:(?:area|title)\/)?([^/]+)$/);
+		if (match && (method === 'PATCH' || method === 'DELETE')) {
+			if (!widgets.has(match[1])) return json({ error: 'not found' }, 404);
+			if (method === 'DELETE') widgets.delete(match[1]);
+			else widgets.set(match[1], { ...widgets.get(match[1]), ...body });
+			return json({ value: widgets.get(match[1]) || {} });
+		}
+		if (/^\/murals\/[^/]+$/.test(path)) return json({ value: { id: path.split('/')[2] } });
+		return json({ error: 'unexpected' }, 500);
+	};
+	return { widgets, handler };
+}
+
+function setup({ airtable = false } = {}) {
+	const db = new DatabaseSync(':memory:');
+	const board = fakeMural();
+	const svc = {
+		db,
+		...serviceStub(db, {
+			env: {
+				MURAL_COMPANY_ID: 'homeofficegovuk',
+				...(airtable
+					? {
+							AIRTABLE_BASE_ID: 'appTest',
+							AIRTABLE_API_KEY: 'key',
+							AIRTABLE_TABLE_SESSION_NOTES: 'Session Notes',
+						}
+					: {}),
+			},
+			mural: {
+				async loadTokens(uid) {
+					return uid === 'u1' ? { access_token: 'token' } : null;
+				},
+				async saveTokens() {},
+				async resolveBoard() {
+					return {
+						muralId: 'ws.board1',
+						boardUrl: 'https://app.mural.co/t/ws/m/ws/board1',
+						source: 'airtable',
+					};
+				},
+				async registerBoard() {
+					return { ok: true };
+				},
+			},
+		}),
+	};
+	svc.mural.root = svc;
+	return { svc, db, board, restore: stubFetch(board.handler) };
+}
+
+const AUTH = { user: { id: 'u1', email: 'researcher@example.gov.uk' } };
+const request = (body, method = 'POST') =>
+	new Request('https://api.example.test/', { method, body: JSON.stringify(body) });
+const studyUrl = (path) => new URL(`https://api.example.test${path}?sid=recStudyA`);
+
+async function read(response) {
+	return { status: response.status, body: await response.json() };
+}
+
+function seedNotes(db) {
+	db.exec(`
+		CREATE TABLE rops_session_notes (id TEXT PRIMARY KEY, session_id TEXT NOT NULL, participant_id TEXT, study_id TEXT, start_iso TEXT NOT NULL, content_html TEXT NOT NULL, content_plain TEXT, synced_to_mural INTEGER NOT NULL DEFAULT 0, synced_at TEXT, created_at TEXT NOT NULL, updated_at TEXT NOT NULL, payload_json TEXT);
+		CREATE TABLE code_applications (record_id TEXT, project TEXT, entry TEXT, code TEXT, excerpt TEXT, createdat TEXT, local_project_id TEXT, local_application_id TEXT PRIMARY KEY);
+	`);
+	const note = db.prepare(
+		'INSERT INTO rops_session_notes (id, session_id, participant_id, study_id, start_iso, content_html, content_plain, synced_to_mural, created_at, updated_at, payload_json) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+	);
+	const at = '2026-06-01T10:00:00.000Z';
+	note.run(
+		'note-a1',
+		'session-1',
+		'participant-a',
+		'recStudyA',
+		at,
+		'<p>I rent from my brother</p>',
+		'I rent from my brother',
+		0,
+		at,
+		at,
+		'{"raw":true}'
+	);
+	note.run(
+		'note-a2',
+		'session-1',
+		'participant-a',
+		'recStudyA',
+		at,
+		'<p>My letters go to my old flat</p>',
+		'My letters go to my old flat',
+		1,
+		at,
+		at,
+		null
+	);
+	note.run(
+		'note-b1',
+		'session-2',
+		'participant-b',
+		'recStudyA',
+		at,
+		'<p>Forms were fine</p>',
+		'Forms were fine',
+		0,
+		at,
+		at,
+		null
+	);
+	const excerpt = db.prepare(
+		'INSERT INTO code_applications (entry, code, excerpt, local_application_id) VALUES (?, ?, ?, ?)'
+	);
+	excerpt.run('note-a1', 'housing', 'rent from my brother', 'app-a1');
+	excerpt.run('note-b1', 'forms', 'Forms were fine', 'app-b1');
+}
+
+async function withdraw(svc, body, auth = AUTH) {
+	return read(
+		await createParticipantConsent(
+			svc,
+			request({
+				studyId: 'recStudyA',
+				participantId: 'participant-a',
+				consentFormId: 'form-1',
+				captureMethod: 'Email',
+				withdrawn: true,
+				withdrawalReason: 'Asked to stop by email.',
+				...body,
+			}),
+			'',
+			auth
+		)
+	);
+}
+
+async function report(svc, id, format = 'json') {
+	return readConsentWithdrawalReport(
+		svc,
+		'',
+		id,
+		new URL(`https://api.example.test/api/consent-withdrawals/${id}/report?format=${format}`)
+	);
+}
+
+test('redacting keeps notes and excerpts but replaces the participant’s words, and the report hashes what was there', async () => {
+	const { svc, db, restore } = setup();
+	try {
+		seedNotes(db);
+		const saved = await withdraw(svc, { withdrawalScope: 'redact' });
+		assert.equal(saved.status, 200);
+		const withdrawal = saved.body.withdrawal;
+		assert.equal(withdrawal.scope, 'redact');
+		assert.equal(withdrawal.requestedBy, 'researcher@example.gov.uk');
+		assert.equal(
+			withdrawal.status,
+			'needs_attention',
+			'the Mural sync without a widget id needs a person'
+		);
+
+		const notes = db
+			.prepare('SELECT id, content_plain, payload_json FROM rops_session_notes ORDER BY id')
+			.all();
+		assert.deepEqual(
+			notes.map((note) => [note.id, note.content_plain, note.payload_json]),
+			[
+				['note-a1', '[Redacted: the participant withdrew consent]', null],
+				['note-a2', '[Redacted: the participant withdrew consent]', null],
+				['note-b1', 'Forms were fine', null],
+			]
+		);
+		assert.deepEqual(
+			db
+				.prepare(
+					'SELECT local_application_id, excerpt FROM code_applications ORDER BY local_application_id'
+				)
+				.all()
+				.map((row) => [row.local_application_id, row.excerpt]),
+			[
+				['app-a1', '[Redacted: the participant withdrew consent]'],
+				['app-b1', 'Forms were fine'],
+			]
+		);
+
+		const response = await report(svc, withdrawal.id);
+		assert.match(response.headers.get('content-disposition'), /consent-withdrawal-cw_.*\.json/);
+		const body = await response.json();
+		const byId = Object.fromEntries(body.items.map((item) => [item.id, item]));
+		assert.equal(byId['note-a1'].action, 'redact');
+		assert.equal(byId['note-a1'].status, 'done');
+		assert.equal(
+			byId['note-a1'].contentHash,
+			createHash('sha256').update('<p>I rent from my brother</p>').digest('hex')
+		);
+		assert.equal(byId['app-a1'].type, 'coded_excerpt');
+		assert.equal(byId['note:note-a2'].status, 'manual');
+		assert.equal(byId['note-b1'], undefined);
+		assert.equal(
+			body.reportHash,
+			createHash('sha256')
+				.update(JSON.stringify({ withdrawal: body.withdrawal, items: body.items }))
+				.digest('hex')
+		);
+
+		const csv = await report(svc, withdrawal.id, 'csv');
+		assert.equal(csv.headers.get('content-type'), 'text/csv; charset=utf-8');
+		assert.equal(csv.headers.get('x-report-sha256'), body.reportHash);
+		const lines = (await csv.text()).trim().split('\n');
+		assert.match(lines[0], /^Withdrawal ID,Study,Participant,Scope,Item type/);
+		assert.equal(lines.length, body.items.length + 1);
+
+		assert.equal((await report(svc, withdrawal.id, 'xml')).status, 400);
+		assert.equal((await report(svc, 'cw_missing')).status, 404);
+
+		const listed = await read(
+			await listConsentWithdrawals(
+				svc,
+				'',
+				new URL('https://api.example.test/api/consent-withdrawals?study=recStudyA')
+			)
+		);
+		assert.equal(listed.body.withdrawals.length, 1);
+		assert.deepEqual(listed.body.withdrawals[0].counts, {
+			total: 4,
+			done: 3,
+			manual: 1,
+			failed: 0,
+			pending: 0,
+		});
+	} finally {
+		restore();
+	}
+});
+
+test('excerpts synced to Airtable or coded from journal entries naming the participant are withdrawn too', async () => {
+	const { svc, db, restore } = setup();
+	try {
+		seedNotes(db);
+		db.exec(`
+			UPDATE code_applications SET record_id = 'recApp1' WHERE local_application_id = 'app-a1';
+			CREATE TABLE rops_participants_cache (id TEXT PRIMARY KEY, participant_airtable_id TEXT, participant_ref TEXT, project_id TEXT);
+			INSERT INTO rops_participants_cache VALUES ('participant-a', 'recPartA', 'P1', 'proj-1');
+			CREATE TABLE journal_entries (record_id TEXT PRIMARY KEY, project TEXT, category TEXT, content TEXT, tags TEXT, createdat TEXT, local_project_id TEXT);
+			INSERT INTO journal_entries (record_id, project, content, createdat) VALUES
+				('journal-1', 'proj-1', 'P1 lost the renewal letter', '2026-06-01'),
+				('journal-2', 'proj-1', 'P10 found the renewal letter', '2026-06-01');
+			INSERT INTO code_applications (entry, code, excerpt, local_application_id) VALUES
+				('journal-1', 'letters', 'lost the renewal letter', 'app-j1'),
+				('journal-2', 'letters', 'found the renewal letter', 'app-j2');
+		`);
+		const withdrawal = (await withdraw(svc, { withdrawalScope: 'redact' })).body.withdrawal;
+
+		assert.deepEqual(
+			db
+				.prepare(
+					'SELECT local_application_id, excerpt FROM code_applications ORDER BY local_application_id'
+				)
+				.all()
+				.map((row) => [row.local_application_id, row.excerpt]),
+			[
+				['app-a1', '[Redacted: the participant withdrew consent]'],
+				['app-b1', 'Forms were fine'],
+				['app-j1', '[Redacted: the participant withdrew consent]'],
+				['app-j2', 'found the renewal letter'],
+			]
+		);
+		const items = (await (await report(svc, withdrawal.id)).json()).items;
+		const byId = Object.fromEntries(items.map((item) => [item.id, item]));
+		assert.equal(byId['app-j1'].label, 'Code letters on journal entry journal-1');
+		assert.equal(byId['app-j2'], undefined);
+		assert.equal(byId['recApp1'].type, 'airtable_coded_excerpt');
+		assert.equal(byId['recApp1'].status, 'manual');
+		assert.equal(byId['recApp1'].detail, 'Synced to Airtable. Redact it there.');
+		assert.equal(byId['app-a1'].status, 'done');
+	} finally {
+		restore();
+	}
+});
+
+test('withdrawn notes and excerpts leave the search index straight away', async () => {
+	const { svc, db, restore } = setup();
+	try {
+		seedNotes(db);
+		await rebuildSearchIndex(svc);
+		const row = db.prepare(
+			'INSERT INTO rops_search_index (title, body, doc_key, doc_type, record_id) VALUES (?, ?, ?, ?, ?)'
+		);
+		row.run('Brother', 'I rent from my brother', 'session_note:note-a1', 'session_note', 'note-a1');
+		row.run('Brother', 'rent from my brother', 'excerpt:app-a1', 'excerpt', 'app-a1');
+		row.run('Forms', 'Forms were fine', 'session_note:note-b1', 'session_note', 'note-b1');
+
+		const saved = await withdraw(svc, { withdrawalScope: 'redact' });
+
+		assert.deepEqual(
+			db
+				.prepare('SELECT doc_key FROM rops_search_index ORDER BY doc_key')
+				.all()
+				.map((entry) => entry.doc_key),
+			['excerpt:app-b1', 'session_note:note-b1']
+		);
+		const body = await (await report(svc, saved.body.withdrawal.id)).json();
+		const index = body.items.find((item) => item.type === 'search_index');
+		assert.equal(index.action, 'remove');
+		assert.equal(index.status, 'done');
+	} finally {
+		restore();
+	}
+});
+
+test('removing deletes notes and excerpts, strips synthesis evidence and takes stickies off the Mural board', async () => {
+	const { svc, db, board, restore } = setup({ airtable: true });
+	try {
+		seedNotes(db);
+		const cluster = (
+			await read(
+				await createSynthesisCluster(
+					svc,
+					request({ label: 'Money worries', evidenceIds: ['recN1', 'recN2'] }),
+					'',
+					studyUrl('/api/synthesis/clusters'),
+					AUTH
+				)
+			)
+		).body.cluster;
+		await createSynthesisTheme(
+			svc,
+			request({ label: 'Timing of payments', clusterId: cluster.id, evidenceIds: ['recN1'] }),
+			'',
+			studyUrl('/api/synthesis/themes'),
+			AUTH
+		);
+		await exportSynthesisToMural(
+			svc,
+			request({}),
+			'',
+			studyUrl('/api/synthesis/mural-export'),
+			AUTH
+		);
+		const stickiesBefore = [...board.widgets.values()].filter(
+			(widget) => widget.type === 'sticky-note'
+		);
+		assert.equal(stickiesBefore.length, 2);
+
+		const saved = await withdraw(svc, { withdrawalScope: 'remove' });
+		const withdrawal = saved.body.withdrawal;
+		assert.equal(withdrawal.scope, 'remove');
+
+		assert.deepEqual(
+			db
+				.prepare('SELECT id FROM rops_session_notes ORDER BY id')
+				.all()
+				.map((row) => row.id),
+			['note-b1']
+		);
+		assert.deepEqual(
+			db
+				.prepare('SELECT local_application_id FROM code_applications')
+				.all()
+				.map((row) => row.local_application_id),
+			['app-b1']
+		);
+
+		const synthesis = await read(await listSynthesis(svc, '', studyUrl('/api/synthesis')));
+		assert.deepEqual(synthesis.body.clusters[0].evidenceIds, ['recN2']);
+		assert.deepEqual(synthesis.body.themes[0].evidenceIds, []);
+		const history = db
+			.prepare(
+				"SELECT snapshot_json FROM rops_synthesis_history WHERE action = 'consent_withdrawn'"
+			)
+			.all();
+		assert.equal(history.length, 1);
+		assert.ok(
+			db
+				.prepare('SELECT snapshot_json FROM rops_synthesis_history')
+				.all()
+				.every((row) => !row.snapshot_json.includes('recN1'))
+		);
+
+		const stickiesAfter = [...board.widgets.values()].filter(
+			(widget) => widget.type === 'sticky-note'
+		);
+		assert.equal(stickiesAfter.length, 1);
+		assert.equal(
+			db
+				.prepare("SELECT COUNT(*) AS n FROM mural_synthesis_widgets WHERE evidence_id = 'recN1'")
+				.get().n,
+			0
+		);
+
+		const items = (await (await report(svc, withdrawal.id)).json()).items;
+		const byType = (type) => items.filter((item) => item.type === type);
+		assert.equal(
+			byType('airtable_session_note')[0].status,
+			'manual',
+			'Airtable notes are removed by hand'
+		);
+		assert.equal(
+			byType('mural_sticky').find((item) => !item.id.startsWith('note:')).status,
+			'done'
+		);
+		assert.deepEqual(
+			byType('synthesis_cluster').map((item) => [item.id, item.detail]),
+			[[cluster.id, 'Removed evidence recN1']]
+		);
+		assert.equal(byType('synthesis_theme').length, 1);
+		assert.equal(withdrawal.status, 'needs_attention');
+	} finally {
+		restore();
+	}
+});
+
+test('a participant’s own withdrawal leaves stickies for a researcher with Mural connected to run again', async () => {
+	const { svc, board, restore } = setup({ airtable: true });
+	try {
+		await createSynthesisCluster(
+			svc,
+			request({ label: 'Money worries', evidenceIds: ['recN1'] }),
+			'',
+			studyUrl('/api/synthesis/clusters'),
+			AUTH
+		);
+		await exportSynthesisToMural(
+			svc,
+			request({}),
+			'',
+			studyUrl('/api/synthesis/mural-export'),
+			AUTH
+		);
+
+		const started = await startConsentWithdrawal(
+			svc,
+			{
+				id: 'consent-1',
+				studyId: 'recStudyA',
+				participantId: 'participant-a',
+				withdrawalReason: 'No time.',
+			},
+			{ actor: 'Participant' }
+		);
+		assert.equal(started.status, 'needs_attention');
+		let sticky = (await (await report(svc, started.id)).json()).items.find(
+			(item) => item.type === 'mural_sticky'
+		);
+		assert.equal(sticky.status, 'manual');
+		assert.match(sticky.detail, /Connect Mural/);
+		assert.equal(
+			[...board.widgets.values()].filter((widget) => widget.type === 'sticky-note').length,
+			1
+		);
+
+		const again = await startConsentWithdrawal(svc, {
+			id: 'consent-1',
+			studyId: 'recStudyA',
+			participantId: 'participant-a',
+		});
+		assert.equal(again.id, started.id, 'a consent record only ever gets one withdrawal');
+
+		const rerun = await read(await rerunConsentWithdrawal(svc, '', started.id, AUTH));
+		assert.equal(rerun.status, 200);
+		assert.equal(rerun.body.withdrawal.attempts, 2);
+		sticky = (await (await report(svc, started.id)).json()).items.find(
+			(item) => item.type === 'mural_sticky'
+		);
+		assert.equal(sticky.status, 'done');
+		assert.equal(
+			[...board.widgets.values()].filter((widget) => widget.type === 'sticky-note').length,
+			0
+		);
+	} finally {
+		restore();
+	}
+});
+
+test('keeping data only lists it, unknown scopes are refused and failed runs are retried by the drain', async () => {
+	const { svc, db, restore } = setup();
+	try {
+		seedNotes(db);
+		const invalid = await withdraw(svc, { withdrawalScope: 'shred' });
+		assert.equal(invalid.status, 400);
+		assert.equal(invalid.body.error, 'invalid_withdrawal_scope');
+
+		const created = await read(
+			await createParticipantConsent(
+				svc,
+				request({
+					studyId: 'recStudyA',
+					participantId: 'participant-a',
+					consentFormId: 'form-1',
+					captureMethod: 'Email',
+				}),
+				'',
+				AUTH
+			)
+		);
+		assert.equal(created.body.withdrawal, undefined);
+		const retained = await read(
+			await updateParticipantConsent(
+				svc,
+				request(
+					{ withdrawn: true, withdrawalReason: 'Stopped.', withdrawalScope: 'retain' },
+					'PATCH'
+				),
+				'',
+				created.body.participantConsent.id,
+				AUTH
+			)
+		);
+		assert.equal(retained.body.withdrawal.status, 'completed');
+		assert.equal(
+			db.prepare('SELECT content_plain FROM rops_session_notes WHERE id = ?').get('note-a1')
+				.content_plain,
+			'I rent from my brother'
+		);
+		const items = (await (await report(svc, retained.body.withdrawal.id)).json()).items;
+		assert.ok(
+			items.length > 0 && items.every((item) => item.action === 'retain' && item.status === 'done')
+		);
+
+		db.prepare(
+			"INSERT INTO rops_consent_withdrawals (id, study_id, participant_id, consent_record_id, scope, status, requested_at, attempts, next_attempt_at, last_error) VALUES ('cw_failed', 'recStudyA', 'participant-b', 'consent-b', 'redact', 'failed', '2026-06-01T10:00:00.000Z', 1, '2026-06-01T10:10:00.000Z', 'D1 timed out')"
+		).run();
+		const drained = await drainConsentWithdrawals(svc, {
+			now: Date.parse('2026-06-01T11:00:00.000Z'),
+		});
+		assert.equal(drained.attempted, 1);
+		assert.equal(drained.completed, 1);
+		assert.equal(
+			db.prepare('SELECT content_plain FROM rops_session_notes WHERE id = ?').get('note-b1')
+				.content_plain,
+			'[Redacted: the participant withdrew consent]'
+		);
+	} finally {
+		restore();
+	}
+});
@@ -0,0 +1,240 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import {
+	agreementReport,
+	binaryAgreement,
+	closeDoubleCodingSample,
+	createDoubleCodingSample,
+	getDoubleCodingSample,
+	saveDoubleCoding,
+} from '../infra/cloudflare/src/service/reflection/agreement.js';
+import { serviceStub } from './helpers/d1-sqlite.mjs';
+
+function service() {
+	const db = new DatabaseSync(':memory:');
+	db.exec(`
+		CREATE TABLE journal_entries (record_id TEXT PRIMARY KEY, project TEXT, category TEXT, content TEXT, tags TEXT, createdat TEXT, local_project_id TEXT);
+		CREATE TABLE codes (record_id TEXT, project TEXT, name TEXT, description TEXT, parentcode TEXT, colour TEXT, createdat TEXT, local_project_id TEXT, local_code_id TEXT PRIMARY KEY);
+		CREATE TABLE code_applications (record_id TEXT, project TEXT, entry TEXT, code TEXT, excerpt TEXT, createdat TEXT, local_project_id TEXT, local_application_id TEXT PRIMARY KEY);
+
+		INSERT INTO journal_entries VALUES ('entry-1', 'proj-dc', 'perceptions', 'The letter felt threatening', '[]', '2026-10-01T09:00:00.000Z', NULL);
+		INSERT INTO journal_entries VALUES ('entry-2', 'proj-dc', 'procedures', 'Renewal asks for the same thing twice', '[]', '2026-10-02T09:00:00.000Z', NULL);
+		INSERT INTO journal_entries VALUES ('entry-3', 'proj-dc', 'procedures', 'Nobody explained the next step', '[]', '2026-10-03T09:00:00.000Z', NULL);
+		INSERT INTO codes VALUES ('code-trust', 'proj-dc', 'Trust', NULL, NULL, NULL, '2026-09-01T09:00:00.000Z', NULL, 'code-trust');
+		INSERT INTO codes VALUES ('code-effort', 'proj-dc', 'Effort', NULL, NULL, NULL, '2026-09-02T09:00:00.000Z', NULL, 'code-effort');
+		INSERT INTO code_applications VALUES ('app-1', 'proj-dc', 'entry-1', 'code-trust', NULL, '2026-10-01T09:05:00.000Z', NULL, 'app-1');
+	`);
+	return { db, ...serviceStub(db) };
+}
+
+const ada = { user: { id: 'user-ada', email: 'ada@example.test', displayName: 'Ada' } };
+const ben = { user: { id: 'user-ben', email: 'ben@example.test', displayName: 'Ben' } };
+const cal = { user: { id: 'user-cal', email: 'cal@example.test', displayName: 'Cal' } };
+
+function post(body) {
+	return new Request('https://example.test/api', {
+		method: 'POST',
+		headers: { 'content-type': 'application/json' },
+		body: JSON.stringify(body),
+	});
+}
+
+async function read(response) {
+	return { status: response.status, body: await response.json() };
+}
+
+async function code(svc, sampleId, who, entryId, codeIds) {
+	return read(await saveDoubleCoding(svc, post({ entryId, codeIds }), '', sampleId, who));
+}
+
+test('binary agreement gives percent agreement, kappa and alpha', () => {
+	assert.deepEqual(binaryAgreement({ both: 3, firstOnly: 1, secondOnly: 1, neither: 5 }), {
+		units: 10,
+		percentAgreement: 80,
+		kappa: 0.583,
+		alpha: 0.604,
+	});
+	assert.deepEqual(binaryAgreement({ both: 4 }), {
+		units: 4,
+		percentAgreement: 100,
+		kappa: null,
+		alpha: null,
+	});
+	assert.equal(binaryAgreement({}).percentAgreement, null);
+});
+
+test('coders only see their own codes and a third coder is turned away', async () => {
+	const svc = service();
+	const created = await read(
+		await createDoubleCodingSample(
+			svc,
+			post({ project: 'proj-dc', entryIds: ['entry-1', 'entry-2'] }),
+			'',
+			ada
+		)
+	);
+	assert.equal(created.status, 201);
+	const sampleId = created.body.sample.id;
+
+	assert.equal((await code(svc, sampleId, ada, 'entry-1', ['code-trust'])).status, 200);
+	const forBen = await read(await getDoubleCodingSample(svc, '', sampleId, ben));
+	assert.deepEqual(
+		forBen.body.entries.map((entry) => entry.codeIds),
+		[[], []]
+	);
+	assert.deepEqual(forBen.body.sample.coders, [{ name: 'Ada', entriesCoded: 1 }]);
+
+	assert.equal((await code(svc, sampleId, ben, 'entry-1', [])).status, 200);
+	const third = await code(svc, sampleId, cal, 'entry-1', ['code-trust']);
+	assert.equal(third.status, 409);
+	assert.equal(third.body.error, 'coders_full');
+
+	const unknown = await code(svc, sampleId, ben, 'entry-2', ['code-missing']);
+	assert.equal(unknown.status, 400);
+	assert.equal(unknown.body.error, 'unknown_codes');
+	assert.equal((await code(svc, sampleId, ben, 'entry-3', [])).body.error, 'entry_not_in_sample');
+});
+
+test('new coders saving at the same time cannot take more than two slots', async () => {
+	const svc = service();
+	const created = await read(
+		await createDoubleCodingSample(
+			svc,
+			post({ project: 'proj-dc', entryIds: ['entry-1', 'entry-2'] }),
+			'',
+			ada
+		)
+	);
+	const sampleId = created.body.sample.id;
+
+	const results = await Promise.all(
+		[ada, ben, cal].map((who) => code(svc, sampleId, who, 'entry-1', ['code-trust']))
+	);
+	assert.deepEqual(results.map((result) => result.status).sort(), [200, 200, 409]);
+	assert.equal(results.find((result) => result.status === 409).body.error, 'coders_full');
+	const { n } = svc.db
+		.prepare(
+			'SELECT COUNT(DISTINCT coder_id) AS n FROM rops_double_coding_codings WHERE sample_id = ?'
+		)
+		.get(sampleId);
+	assert.equal(n, 2);
+});
+
+test('a research lead can close a sample someone else started', async () => {
+	const svc = service();
+	const created = await read(
+		await createDoubleCodingSample(
+			svc,
+			post({ project: 'proj-dc', entryIds: ['entry-1', 'entry-2'] }),
+			'',
+			ada
+		)
+	);
+	const sampleId = created.body.sample.id;
+	const lead = { ...cal, roles: [{ key: 'research_lead' }] };
+	const closed = await read(await closeDoubleCodingSample(svc, '', sampleId, lead));
+	assert.equal(closed.status, 200);
+	assert.ok(closed.body.sample.closedAt);
+});
+
+async function report(svc) {
+	const url = new URL(`https://example.test/api/analysis/agreement?project=proj-dc`);
+	return read(await agreementReport(svc, '', url));
+}
+
+test('a half-coded sample shows progress but no agreement or disagreements', async () => {
+	const svc = service();
+	const created = await read(
+		await createDoubleCodingSample(
+			svc,
+			post({ project: 'proj-dc', entryIds: ['entry-1', 'entry-2'] }),
+			'',
+			ada
+		)
+	);
+	const sampleId = created.body.sample.id;
+	await code(svc, sampleId, ada, 'entry-1', ['code-trust']);
+	await code(svc, sampleId, ada, 'entry-2', ['code-effort']);
+	await code(svc, sampleId, ben, 'entry-1', ['code-effort']);
+
+	const [withheld] = (await report(svc)).body.samples;
+	assert.equal(withheld.released, false);
+	assert.deepEqual(withheld.codes, []);
+	assert.deepEqual(withheld.disagreements, []);
+	assert.equal(withheld.overall.percentAgreement, null);
+	assert.deepEqual(
+		withheld.coders.map((coder) => [coder.name, coder.entriesCoded]),
+		[
+			['Ada', 2],
+			['Ben', 1],
+		]
+	);
+	assert.equal((await code(svc, sampleId, ben, 'entry-1', ['code-trust'])).status, 200);
+
+	await code(svc, sampleId, ben, 'entry-2', ['code-effort']);
+	const [released] = (await report(svc)).body.samples;
+	assert.equal(released.released, true);
+	assert.equal(released.units, 2);
+	assert.equal(released.overall.percentAgreement, 100);
+
+	const locked = await code(svc, sampleId, ada, 'entry-1', []);
+	assert.equal(locked.status, 409);
+	assert.equal(locked.body.error, 'sample_released');
+	const forAda = await read(await getDoubleCodingSample(svc, '', sampleId, ada));
+	assert.equal(forAda.body.sample.open, false);
+});
+
+test('agreement report compares entries both coders finished and lists disagreements', async () => {
+	const svc = service();
+	const created = await read(
+		await createDoubleCodingSample(svc, post({ project: 'proj-dc', size: 50 }), '', ada)
+	);
+	const sampleId = created.body.sample.id;
+	assert.equal(created.body.sample.entryCount, 3);
+
+	await code(svc, sampleId, ada, 'entry-1', ['code-trust']);
+	await code(svc, sampleId, ada, 'entry-2', ['code-effort']);
+	await code(svc, sampleId, ada, 'entry-3', ['code-effort']);
+	await code(svc, sampleId, ben, 'entry-1', ['code-trust', 'code-effort']);
+	await code(svc, sampleId, ben, 'entry-2', ['code-effort']);
+	assert.deepEqual((await report(svc)).body.samples[0].disagreements, []);
+
+	const refused = await read(await closeDoubleCodingSample(svc, '', sampleId, ben));
+	assert.equal(refused.status, 403);
+	assert.equal(refused.body.error, 'close_not_allowed');
+	const closed = await read(await closeDoubleCodingSample(svc, '', sampleId, ada));
+	assert.equal(closed.status, 200);
+	assert.ok(closed.body.sample.closedAt);
+	assert.equal((await code(svc, sampleId, ben, 'entry-3', ['code-effort'])).status, 409);
+
+	const { status, body } = await report(svc);
+	assert.equal(status, 200);
+	const [sample] = body.samples;
+	assert.deepEqual(
+		sample.coders.map((coder) => coder.name),
+		['Ada', 'Ben']
+	);
+	assert.equal(sample.units, 2);
+	assert.equal(sample.pending, 1);
+
+	const effort = sample.codes.find((item) => item.codeId === 'code-effort');
+	assert.equal(effort.both, 1);
+	assert.equal(effort.secondOnly, 1);
+	assert.equal(effort.percentAgreement, 50);
+	const trust = sample.codes.find((item) => item.codeId === 'code-trust');
+	assert.equal(trust.percentAgreement, 100);
+
+	assert.deepEqual(sample.disagreements, [
+		{
+			entryId: 'entry-1',
+			snippet: 'The letter felt threatening',
+			codeId: 'code-effort',
+			codeName: 'Effort',
+			appliedBy: { id: 'user-ben', name: 'Ben' },
+			notAppliedBy: { id: 'user-ada', name: 'Ada' },
+		},
+	]);
+	assert.equal(svc.db.prepare('SELECT COUNT(*) AS n FROM code_applications').get().n, 1);
+});
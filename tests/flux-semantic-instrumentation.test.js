@@ -19,6 +19,8 @@ for (const key of [
 	'button.analysis.timeline',
 	'button.analysis.code-cooccurrence',
 	'button.analysis.code-retrieval',
+	'button.analysis.coder-agreement',
+	'button.analysis.start-double-coding',
 	'button.analysis.export',
 	'form.analysis.code-retrieval',
 	'field.analysis.code-retrieval',
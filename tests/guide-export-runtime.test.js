@@ -0,0 +1,191 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import { exportGuide } from '../infra/cloudflare/src/service/guide-export.js';
+import { publishGuide } from '../infra/cloudflare/src/service/guides.js';
+import { guideBlocks } from '../infra/cloudflare/src/service/internals/guide-documents.js';
+import { renderMustache } from '../infra/cloudflare/src/service/internals/mustache.js';
+import { entryText, parseZipEntries } from '../infra/cloudflare/src/service/internals/zip.js';
+import { serviceStub, stubFetch } from './helpers/d1-sqlite.mjs';
+
+function setup() {
+	const db = new DatabaseSync(':memory:');
+	db.exec(
+		'CREATE TABLE rops_studies_cache (id TEXT PRIMARY KEY, project_id TEXT NOT NULL, title TEXT, method TEXT, created_at TEXT, payload_json TEXT);' +
+			'CREATE TABLE rops_projects_cache (id TEXT PRIMARY KEY, name TEXT NOT NULL);' +
+			"INSERT INTO rops_studies_cache VALUES ('recStudy', 'recProject', 'Permit interviews', 'Interviews', '2026-03-01T09:00:00Z', NULL);" +
+			"INSERT INTO rops_projects_cache VALUES ('recProject', 'Licensing');"
+	);
+	const svc = serviceStub(db, {
+		env: {
+			AIRTABLE_BASE_ID: 'appTest',
+			AIRTABLE_API_KEY: 'key',
+			AIRTABLE_TABLE_GUIDES: 'Discussion Guides',
+		},
+	});
+	const guide = {
+		id: 'recGuide',
+		fields: {
+			Title: 'Permit interviews guide',
+			Status: 'draft',
+			Version: 1,
+			'Source Markdown': [
+				'---',
+				'timebox: 30',
+				'---',
+				'# {{study.title}} for {{project.name}}',
+				'',
+				'## Introduction (5 min)',
+				'',
+				'{{> consent}}',
+				'',
+				'## Applying (20 mins)',
+				'',
+				'{{#topics}}',
+				'- Ask about {{.}}',
+				'{{/topics}}',
+				'',
+				'### Follow-ups (5 min)',
+				'',
+				'## Close [10 minutes]',
+				'',
+				'Thank {{participant.name}}{{^participant.name}}the participant{{/participant.name}}.',
+			].join('\n'),
+			'Variables (JSON)': '{"topics":["fees","timescales"]}',
+			Study: ['recStudy'],
+		},
+	};
+	const partials = [
+		{
+			id: 'recP1',
+			fields: { Name: 'consent', Version: 1, Source: 'Confirm consent for **{{study.title}}**.' },
+		},
+	];
+	const restore = stubFetch(async (url, init = {}) => {
+		const href = String(url);
+		if (href.includes('/Discussion%20Guides') && init.method === 'PATCH') {
+			Object.assign(guide.fields, JSON.parse(init.body).records[0].fields);
+			return new Response(JSON.stringify({ records: [guide] }), { status: 200 });
+		}
+		if (href.includes('/Discussion%20Guides/recGuide')) {
+			return new Response(JSON.stringify(structuredClone(guide)), { status: 200 });
+		}
+		if (href.includes('/Discussion%20Guides?')) {
+			const found = href.includes('recGuide') ? [structuredClone(guide)] : [];
+			return new Response(JSON.stringify({ records: found }), { status: 200 });
+		}
+		if (href.includes('/Partials?')) {
+			return new Response(JSON.stringify({ records: partials }), { status: 200 });
+		}
+		return new Response('{"error":"NOT_FOUND"}', { status: 404 });
+	});
+	return { db, svc, guide, restore };
+}
+
+function exportUrl(query) {
+	return new URL(`https://researchops.test/api/guides/recGuide/export?${query}`);
+}
+
+test('guides export as DOCX with variables, partials, GOV.UK headings and timings applied', async () => {
+	const { svc, restore } = setup();
+	try {
+		const res = await exportGuide(svc, '', 'recGuide', exportUrl('format=docx'));
+		assert.equal(res.status, 200);
+		assert.equal(
+			res.headers.get('content-type'),
+			'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+		);
+		assert.equal(
+			res.headers.get('content-disposition'),
+			'attachment; filename="permit-interviews-guide-v1.docx"'
+		);
+
+		const entries = parseZipEntries(new Uint8Array(await res.arrayBuffer()));
+		assert.ok(entries.some((entry) => entry.name === 'word/styles.xml'));
+		const xml = await entryText(entries.find((entry) => entry.name === 'word/document.xml'));
+		const paragraphs = Array.from(xml.matchAll(/<w:p>(.*?)<\/w:p>/g), (m) => [
+			m[1].match(/w:pStyle w:val="([^"]+)"/)?.[1] || '',
+			Array.from(m[1].matchAll(/<w:t[^>]*>([^<]*)<\/w:t>/g), (t) => t[1]).join(''),
+		]);
+		assert.deepEqual(paragraphs, [
+			['Heading1', 'Permit interviews for Licensing'],
+			['Timing', 'Planned timing: 35 minutes of a 30 minute session, 5 minutes over'],
+			['Heading2', 'Introduction'],
+			['Timing', 'Timing: 5 minutes, 0:00 to 0:05'],
+			['', 'Confirm consent for Permit interviews.'],
+			['Heading2', 'Applying'],
+			['Timing', 'Timing: 20 minutes, 0:05 to 0:25'],
+			['ListItem', '• Ask about fees'],
+			['ListItem', '• Ask about timescales'],
+			['Heading3', 'Follow-ups'],
+			['Timing', 'Timing: 5 minutes, part of the section above'],
+			['Heading2', 'Close'],
+			['Timing', 'Timing: 10 minutes, 0:25 to 0:35'],
+			['', 'Thank the participant.'],
+		]);
+	} finally {
+		restore();
+	}
+});
+
+test('guides export as PDF and HTML, and published versions export their frozen text', async () => {
+	const { db, svc, guide, restore } = setup();
+	try {
+		const pdf = await exportGuide(svc, '', 'recGuide', exportUrl('format=pdf'));
+		assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+		assert.equal(new TextDecoder().decode((await pdf.arrayBuffer()).slice(0, 5)), '%PDF-');
+
+		const html = await exportGuide(svc, '', 'recGuide', exportUrl('format=html'));
+		assert.match(html.headers.get('content-security-policy'), /default-src 'none'/);
+		const page = await html.text();
+		assert.match(page, /<h2>Applying<\/h2>/);
+		assert.match(page, /Timing: 20 minutes, 0:05 to 0:25/);
+
+		await publishGuide(svc, '', 'recGuide');
+		guide.fields['Source Markdown'] = '# Rewritten draft';
+		db.exec("UPDATE rops_studies_cache SET title = 'Renamed study'");
+		db.exec("UPDATE rops_projects_cache SET name = 'Renamed project'");
+		const frozen = await exportGuide(svc, '', 'recGuide', exportUrl('format=html&version=2'));
+		assert.match(frozen.headers.get('content-disposition'), /-v2\.html"/);
+		const frozenPage = await frozen.text();
+		assert.match(frozenPage, /Ask about timescales/);
+		assert.match(frozenPage, /Permit interviews for Licensing/);
+		assert.match(frozenPage, /Confirm consent for Permit interviews\./);
+		assert.match(frozenPage, /Timing: 20 minutes, 0:05 to 0:25/);
+		assert.doesNotMatch(frozenPage, /Renamed/);
+
+		assert.equal((await exportGuide(svc, '', 'recGuide', exportUrl('format=rtf'))).status, 400);
+		assert.equal(
+			(await exportGuide(svc, '', 'recGuide', exportUrl('format=pdf&version=7'))).status,
+			404
+		);
+		assert.equal((await exportGuide(svc, '', 'recMissing', exportUrl('format=pdf'))).status, 404);
+	} finally {
+		restore();
+	}
+});
+
+test('the Mustache subset and guide blocks cover sections, escapes and numbered lists', () => {
+	assert.equal(
+		renderMustache(
+			'{{! note }}{{#people}}{{name}} ({{role.title}}){{^last}}, {{/last}}{{/people}}{{{raw}}}',
+			{
+				people: [
+					{ name: 'Ana', role: { title: 'lead' } },
+					{ name: 'Bo', role: { title: 'notes' }, last: true },
+				],
+				raw: ' <ok>',
+			}
+		),
+		'Ana (lead), Bo (notes) <ok>'
+	);
+	assert.deepEqual(
+		guideBlocks('1. First\n2. Second', { title: 'Numbered' }).map((b) => [b.type, b.text]),
+		[
+			['heading', 'Numbered'],
+			['paragraph', '1. First'],
+			['paragraph', '2. Second'],
+		]
+	);
+});
@@ -0,0 +1,198 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import {
+	readGuideRunningOrder,
+	readSessionRunningOrder,
+} from '../infra/cloudflare/src/service/guide-running-order.js';
+import { saveSessionGuideVersion } from '../infra/cloudflare/src/service/guide-versions.js';
+import { publishGuide } from '../infra/cloudflare/src/service/guides.js';
+import {
+	markdownHeadings,
+	planRunningOrder,
+	runningOrderWarnings,
+} from '../infra/cloudflare/src/service/internals/running-order.js';
+import { serviceStub, stubFetch } from './helpers/d1-sqlite.mjs';
+
+function setup() {
+	const db = new DatabaseSync(':memory:');
+	const svc = serviceStub(db, {
+		env: {
+			AIRTABLE_BASE_ID: 'appTest',
+			AIRTABLE_API_KEY: 'key',
+			AIRTABLE_TABLE_GUIDES: 'Discussion Guides',
+		},
+	});
+	const guide = {
+		id: 'recGuide',
+		fields: {
+			Title: 'Permit interviews guide',
+			Status: 'draft',
+			Version: 1,
+			'Source Markdown': [
+				'---',
+				'timebox: 45',
+				'timings:',
+				'  - Warm-up: 5',
+				'  - Wrap up: 5',
+				'---',
+				'# Permit interviews',
+				'',
+				'## Warm-up',
+				'',
+				'{{> tasks}}',
+				'',
+				'```',
+				'## Not a heading (90 min)',
+				'```',
+				'',
+				'## Wrap up',
+			].join('\n'),
+			'Variables (JSON)': '{}',
+		},
+	};
+	const partials = [
+		{
+			id: 'recTasks',
+			fields: {
+				Name: 'tasks',
+				Version: 1,
+				Source: '## Tasks (30 min)\n\n### Apply online (10 min)\n\n### Pay the fee (10 min)',
+			},
+		},
+	];
+	const sessions = {
+		recSession: {
+			id: 'recSession',
+			fields: { 'Starts At': '2026-10-20T10:00:00Z', 'Duration (min)': 30 },
+		},
+		recUnplanned: { id: 'recUnplanned', fields: { 'Starts At': '2026-10-21T10:00:00Z' } },
+	};
+	const restore = stubFetch(async (url, init = {}) => {
+		const href = String(url);
+		if (href.includes('/Discussion%20Guides') && init.method === 'PATCH') {
+			Object.assign(guide.fields, JSON.parse(init.body).records[0].fields);
+			return new Response(JSON.stringify({ records: [guide] }), { status: 200 });
+		}
+		if (href.includes('/Discussion%20Guides/recGuide')) {
+			return new Response(JSON.stringify(structuredClone(guide)), { status: 200 });
+		}
+		if (href.includes('/Discussion%20Guides?')) {
+			const found = href.includes('recGuide') ? [structuredClone(guide)] : [];
+			return new Response(JSON.stringify({ records: found }), { status: 200 });
+		}
+		if (href.includes('/Partials?')) {
+			return new Response(JSON.stringify({ records: partials }), { status: 200 });
+		}
+		const session = sessions[decodeURIComponent(href.split('/Sessions/')[1] || '')];
+		if (session) return new Response(JSON.stringify(session), { status: 200 });
+		return new Response('{"error":"NOT_FOUND"}', { status: 404 });
+	});
+	return { svc, guide, restore };
+}
+
+test('front-matter and heading timings plan a running order against the timebox', async () => {
+	const { svc, restore } = setup();
+	try {
+		const res = await readGuideRunningOrder(
+			svc,
+			'',
+			'recGuide',
+			new URL('https://researchops.test/api/guides/recGuide/running-order')
+		);
+		assert.equal(res.status, 200);
+		const body = await res.json();
+		assert.equal(body.guide.title, 'Permit interviews guide');
+		const plan = body.running_order;
+		assert.deepEqual(
+			plan.sections.map((s) => [s.title, s.minutes, s.start_min, s.end_min, s.source]),
+			[
+				['Warm-up', 5, 0, 5, 'timings'],
+				['Tasks', 30, 5, 35, 'heading'],
+				['Apply online', 10, null, null, 'heading'],
+				['Pay the fee', 10, null, null, 'heading'],
+				['Wrap up', 5, 35, 40, 'timings'],
+			]
+		);
+		assert.deepEqual(
+			[plan.total_min, plan.planned_min, plan.spare_min, plan.status],
+			[40, 45, 5, 'fits']
+		);
+		assert.deepEqual(plan.warnings, []);
+	} finally {
+		restore();
+	}
+});
+
+test('sessions use the pinned guide version and their planned duration', async () => {
+	const { svc, guide, restore } = setup();
+	try {
+		const sessionUrl = (id, query = '') =>
+			new URL(`https://researchops.test/api/sessions/${id}/running-order${query}`);
+		const missing = await readSessionRunningOrder(svc, '', 'recSession', sessionUrl('recSession'));
+		assert.equal(missing.status, 404);
+		assert.equal((await missing.json()).error, 'session_guide_not_found');
+
+		await publishGuide(svc, '', 'recGuide');
+		await saveSessionGuideVersion(
+			svc,
+			new Request('https://researchops.test/api/sessions/recSession/guide-version', {
+				method: 'PUT',
+				body: JSON.stringify({ guideId: 'recGuide' }),
+			}),
+			'',
+			'recSession'
+		);
+		// Later drafts do not change the running order of a pinned session
+		guide.fields['Source Markdown'] = '# Draft\n\n## Everything (90 min)';
+
+		const body = await (
+			await readSessionRunningOrder(svc, '', 'recSession', sessionUrl('recSession'))
+		).json();
+		assert.equal(body.pinned, true);
+		assert.equal(body.guide.id, 'recGuide');
+		assert.equal(body.session.duration_min, 30);
+		assert.deepEqual(
+			[body.running_order.total_min, body.running_order.planned_min, body.running_order.status],
+			[40, 30, 'over']
+		);
+		assert.match(
+			body.running_order.warnings[0],
+			/40 minutes for a 30 minute session: 10 minutes over/
+		);
+
+		// Without a stored duration the guide's timebox is the plan
+		const live = await (
+			await readSessionRunningOrder(
+				svc,
+				'',
+				'recUnplanned',
+				sessionUrl('recUnplanned', '?guide=recGuide')
+			)
+		).json();
+		assert.equal(live.pinned, false);
+		assert.equal(live.session.duration_min, null);
+		assert.deepEqual([live.running_order.total_min, live.running_order.status], [90, 'unplanned']);
+
+		assert.equal(
+			(await readSessionRunningOrder(svc, '', 'recGone', sessionUrl('recGone'))).status,
+			404
+		);
+	} finally {
+		restore();
+	}
+});
+
+test('untimed guides and timings that match no heading are reported', () => {
+	const plan = planRunningOrder(markdownHeadings('# Guide\n\n## Intro\n\n## Tasks'), {
+		timings: { Outro: 5 },
+		plannedMinutes: 30,
+	});
+	assert.equal(plan.status, 'untimed');
+	assert.deepEqual(plan.unmatched_timings, ['Outro']);
+	const warnings = runningOrderWarnings(plan);
+	assert.equal(warnings.length, 2);
+	assert.match(warnings[0], /No guide sections have planned durations/);
+	assert.match(warnings[1], /"Outro" does not match a heading/);
+});
@@ -0,0 +1,259 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import { publishGuide } from '../infra/cloudflare/src/service/guides.js';
+import {
+	expandPartials,
+	listGuideVersions,
+	readGuideVersion,
+	readSessionGuideVersion,
+	saveSessionGuideVersion,
+} from '../infra/cloudflare/src/service/guide-versions.js';
+import { diffLines, sideBySideRows } from '../public/components/guides/version-diff.js';
+import { serviceStub, stubFetch } from './helpers/d1-sqlite.mjs';
+
+function setup() {
+	const db = new DatabaseSync(':memory:');
+	const svc = serviceStub(db, {
+		env: {
+			AIRTABLE_BASE_ID: 'appTest',
+			AIRTABLE_API_KEY: 'key',
+			AIRTABLE_TABLE_GUIDES: 'Discussion Guides',
+		},
+	});
+	const guide = {
+		id: 'recGuide',
+		fields: {
+			Title: 'Permit interviews',
+			Status: 'draft',
+			Version: 1,
+			'Source Markdown': '# Welcome\n\n{{> consent_v2}}\n\nAsk about {{topic}}.',
+			'Variables (JSON)': '{"topic":"permits"}',
+			Study: ['recStudy'],
+		},
+	};
+	const partials = [
+		{ id: 'recP1', fields: { Name: 'consent', Version: 1, Source: 'Old consent wording.' } },
+		{
+			id: 'recP2',
+			fields: { Name: 'consent', Version: 2, Source: 'Check consent.\n{{> recording}}' },
+		},
+		{
+			id: 'recP3',
+			fields: { Name: 'recording', Version: 1, Source: 'We will record the session.' },
+		},
+	];
+	const airtable = { patchStatus: 200, partialsStatus: 200, patches: 0 };
+	const restore = stubFetch(async (url, init = {}) => {
+		const href = String(url);
+		if (href.includes('/Discussion%20Guides') && init.method === 'PATCH') {
+			airtable.patches += 1;
+			if (airtable.patchStatus !== 200) {
+				return new Response('{"error":"unavailable"}', { status: airtable.patchStatus });
+			}
+			const fields = JSON.parse(init.body).records[0].fields;
+			Object.assign(guide.fields, fields);
+			return new Response(JSON.stringify({ records: [guide] }), { status: 200 });
+		}
+		if (href.includes('/Discussion%20Guides?')) {
+			return new Response(JSON.stringify({ records: [structuredClone(guide)] }), { status: 200 });
+		}
+		if (href.includes('/Partials?')) {
+			if (airtable.partialsStatus !== 200) {
+				return new Response('{"error":"unavailable"}', { status: airtable.partialsStatus });
+			}
+			return new Response(JSON.stringify({ records: partials }), { status: 200 });
+		}
+		return new Response('{}', { status: 404 });
+	});
+	return { db, svc, guide, airtable, restore };
+}
+
+const auth = { user: { email: 'lead@example.test' } };
+
+test('publishing freezes the text, variables and resolved partials as an immutable version', async () => {
+	const { db, svc, guide, restore } = setup();
+	try {
+		const first = await (await publishGuide(svc, '', 'recGuide', auth)).json();
+		assert.equal(first.version, 2);
+		assert.equal(first.snapshot.version, 2);
+		assert.equal(first.snapshot.published_by, 'lead@example.test');
+		assert.deepEqual(
+			first.snapshot.partials.map((p) => [p.name, p.id]),
+			[
+				['consent_v2', 'recP2'],
+				['recording', 'recP3'],
+			]
+		);
+
+		guide.fields['Source Markdown'] = '# Welcome\n\nAsk about {{topic}} and fees.';
+		const second = await (await publishGuide(svc, '', 'recGuide', auth)).json();
+		assert.equal(second.version, 3);
+
+		const list = await (await listGuideVersions(svc, '', 'recGuide')).json();
+		assert.deepEqual(
+			list.versions.map((v) => v.version),
+			[3, 2]
+		);
+
+		const v2 = (await (await readGuideVersion(svc, '', 'recGuide', '2')).json()).version;
+		assert.equal(v2.source_markdown, '# Welcome\n\n{{> consent_v2}}\n\nAsk about {{topic}}.');
+		assert.equal(
+			v2.rendered_markdown,
+			'# Welcome\n\nCheck consent.\nWe will record the session.\n\nAsk about permits.'
+		);
+		assert.deepEqual(v2.variables, { topic: 'permits' });
+		assert.equal(v2.partials[0].source, 'Check consent.\n{{> recording}}');
+
+		const v3 = (await (await readGuideVersion(svc, '', 'recGuide', second.snapshot.id)).json())
+			.version;
+		assert.equal(v3.rendered_markdown, '# Welcome\n\nAsk about permits and fees.');
+
+		assert.throws(
+			() => db.prepare("UPDATE rops_guide_versions SET title = 'Changed' WHERE version = 2").run(),
+			/immutable/
+		);
+		assert.equal((await readGuideVersion(svc, '', 'recGuide', '9')).status, 404);
+	} finally {
+		restore();
+	}
+});
+
+test('a failed publish leaves no version behind and an unconfirmed snapshot is confirmed next time', async () => {
+	const { db, svc, guide, airtable, restore } = setup();
+	try {
+		airtable.patchStatus = 503;
+		assert.equal((await publishGuide(svc, '', 'recGuide', auth)).status, 503);
+		assert.equal(guide.fields.Version, 1);
+		assert.deepEqual((await (await listGuideVersions(svc, '', 'recGuide')).json()).versions, []);
+
+		airtable.patchStatus = 200;
+		const database = svc.env.RESEARCHOPS_D1;
+		svc.env.RESEARCHOPS_D1 = {
+			...database,
+			prepare(sql) {
+				// Fails only once Airtable has taken the new version
+				if (sql.includes("SET status = 'published'") && guide.fields.Version === 2) {
+					throw new Error('D1 unavailable');
+				}
+				return database.prepare(sql);
+			},
+		};
+		const unconfirmed = await publishGuide(svc, '', 'recGuide', auth);
+		assert.equal(unconfirmed.status, 503);
+		assert.equal((await unconfirmed.json()).error, 'guide_version_snapshot_failed');
+		assert.equal(guide.fields.Version, 2);
+		assert.equal((await readGuideVersion(svc, '', 'recGuide', '2')).status, 404);
+
+		svc.env.RESEARCHOPS_D1 = database;
+		guide.fields['Source Markdown'] = '# Edited after publishing';
+		const next = await (await publishGuide(svc, '', 'recGuide', auth)).json();
+		assert.equal(next.version, 3);
+		const v2 = (await (await readGuideVersion(svc, '', 'recGuide', '2')).json()).version;
+		assert.equal(v2.source_markdown, '# Welcome\n\n{{> consent_v2}}\n\nAsk about {{topic}}.');
+		assert.deepEqual(
+			db
+				.prepare('SELECT version, status FROM rops_guide_versions ORDER BY version')
+				.all()
+				.map((row) => [row.version, row.status]),
+			[
+				[2, 'published'],
+				[3, 'published'],
+			]
+		);
+	} finally {
+		restore();
+	}
+});
+
+test('a guide whose partials cannot be read is not published or snapshotted', async () => {
+	const { svc, guide, airtable, restore } = setup();
+	try {
+		airtable.partialsStatus = 503;
+		const failed = await publishGuide(svc, '', 'recGuide', auth);
+		assert.equal(failed.status, 503);
+		assert.equal((await failed.json()).error, 'guide_partials_unavailable');
+		assert.equal(airtable.patches, 0);
+		assert.equal(guide.fields.Version, 1);
+		assert.deepEqual((await (await listGuideVersions(svc, '', 'recGuide')).json()).versions, []);
+
+		airtable.partialsStatus = 200;
+		const published = await (await publishGuide(svc, '', 'recGuide', auth)).json();
+		assert.equal(published.version, 2);
+		assert.deepEqual(
+			published.snapshot.partials.map((p) => p.id),
+			['recP2', 'recP3']
+		);
+	} finally {
+		restore();
+	}
+});
+
+test('sessions record the guide version they ran with', async () => {
+	const { svc, restore } = setup();
+	try {
+		const pin = (body) =>
+			saveSessionGuideVersion(
+				svc,
+				new Request('https://researchops.test/api/sessions/recSession1/guide-version', {
+					method: 'PUT',
+					body: JSON.stringify(body),
+				}),
+				'',
+				'recSession1',
+				auth
+			);
+
+		const early = await pin({ guideId: 'recGuide' });
+		assert.equal(early.status, 409);
+
+		await publishGuide(svc, '', 'recGuide', auth);
+		await publishGuide(svc, '', 'recGuide', auth);
+
+		const latest = await (await pin({ guideId: 'recGuide' })).json();
+		assert.equal(latest.guide_version.version, 3);
+		assert.equal(latest.recorded_by, 'lead@example.test');
+
+		await pin({ guideId: 'recGuide', version: 2 });
+		const read = await (await readSessionGuideVersion(svc, '', 'recSession1')).json();
+		assert.equal(read.guide_version.version, 2);
+
+		const list = await (await listGuideVersions(svc, '', 'recGuide')).json();
+		assert.deepEqual(
+			list.versions.map((v) => [v.version, v.session_count]),
+			[
+				[3, 0],
+				[2, 1],
+			]
+		);
+	} finally {
+		restore();
+	}
+});
+
+test('partials expand recursively and the diff pairs changed lines side by side', () => {
+	assert.equal(
+		expandPartials('A {{> one}} {{> missing}}', { one: '[{{> two}}]', two: 'B' }),
+		'A [B] {{> missing}}'
+	);
+
+	const rows = sideBySideRows(
+		diffLines('Intro\nAsk about permits\nThanks', 'Intro\nAsk about fees\nFollow up\nThanks')
+	);
+	assert.deepEqual(
+		rows.map((row) => [
+			row.left?.type ?? null,
+			row.left?.text ?? null,
+			row.right?.type ?? null,
+			row.right?.text ?? null,
+		]),
+		[
+			['same', 'Intro', 'same', 'Intro'],
+			['removed', 'Ask about permits', 'added', 'Ask about fees'],
+			[null, null, 'added', 'Follow up'],
+			['same', 'Thanks', 'same', 'Thanks'],
+		]
+	);
+	assert.deepEqual([rows[3].left.line, rows[3].right.line], [3, 4]);
+});
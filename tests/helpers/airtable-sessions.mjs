@@ -0,0 +1,35 @@
+/**
+ * A stand-in for Airtable's Sessions list endpoint. Like Airtable, it rejects
+ * a `filterByFormula` that names a field the base does not have (422) and
+ * honours `maxRecords`; any other formula returns every record, so a test
+ * sees exactly which sessions the service itself selects.
+ */
+
+/**
+ * @param {Array<{ id: string, fields: Record<string, unknown> }>} records
+ * @param {URL} url
+ * @param {{ fields?: string[] }} [options] Field names the base has; defaults to those the records use.
+ * @returns {Response}
+ */
+export function listSessions(records, url, { fields } = {}) {
+	const known = new Set(fields || records.flatMap((record) => Object.keys(record.fields)));
+	const formula = url.searchParams.get('filterByFormula') || '';
+	const unknown = [...formula.matchAll(/\{([^}]+)\}/g)]
+		.map((match) => match[1])
+		.filter((name) => !known.has(name));
+	if (unknown.length) {
+		return new Response(
+			JSON.stringify({
+				error: {
+					type: 'INVALID_FILTER_BY_FORMULA',
+					message: `Unknown field names: ${unknown.join(', ')}`,
+				},
+			}),
+			{ status: 422 }
+		);
+	}
+	const maxRecords = Number(url.searchParams.get('maxRecords')) || records.length;
+	return new Response(JSON.stringify({ records: structuredClone(records.slice(0, maxRecords)) }), {
+		status: 200,
+	});
+}
@@ -0,0 +1,83 @@
+/**
+ * Shared fixtures for the service runtime tests: an in-memory node:sqlite
+ * database behind the D1 binding API, the `svc` object the service modules
+ * receive from the worker, and a swappable `globalThis.fetch` for the
+ * Airtable and provider calls they make.
+ */
+
+/**
+ * Wrap a node:sqlite database in the subset of the D1 binding the service
+ * uses: `prepare().bind()` with `run`, `first` and `all`, plus `batch`, which
+ * like D1 runs its statements in one transaction.
+ * @param {import('node:sqlite').DatabaseSync} db
+ */
+export function d1(db) {
+	return {
+		prepare(sql) {
+			let params = [];
+			return {
+				bind(...values) {
+					params = values;
+					return this;
+				},
+				async run() {
+					const result = db.prepare(sql).run(...params);
+					return { success: true, meta: { changes: result.changes } };
+				},
+				async first() {
+					return db.prepare(sql).get(...params) ?? null;
+				},
+				async all() {
+					return { results: db.prepare(sql).all(...params) };
+				},
+			};
+		},
+		async batch(statements) {
+			db.exec('BEGIN');
+			try {
+				const results = [];
+				for (const statement of statements) results.push(await statement.run());
+				db.exec('COMMIT');
+				return results;
+			} catch (error) {
+				db.exec('ROLLBACK');
+				throw error;
+			}
+		},
+	};
+}
+
+/**
+ * A `svc` stub backed by `db`. `env` and `cfg` are merged over the defaults,
+ * so Airtable and other bindings are only present when a test passes them;
+ * any other option (a `mural` client, extra helpers) is copied onto the stub.
+ * @param {import('node:sqlite').DatabaseSync} db
+ * @param {{env?: object, cfg?: object, log?: object, [key: string]: unknown}} [options]
+ */
+export function serviceStub(db, { env = {}, cfg = {}, log, ...extra } = {}) {
+	return {
+		env: { RESEARCHOPS_D1: d1(db), ...env },
+		cfg: { MAX_BODY_BYTES: 512 * 1024, TIMEOUT_MS: 1000, ...cfg },
+		log: log || { info() {}, warn() {}, error() {} },
+		corsHeaders: () => ({}),
+		json: (body, status = 200, headers = {}) =>
+			new Response(JSON.stringify(body), {
+				status,
+				headers: { 'content-type': 'application/json', ...headers },
+			}),
+		...extra,
+	};
+}
+
+/**
+ * Replace `globalThis.fetch` with `handler` until the returned function is called.
+ * @param {typeof fetch} handler
+ * @returns {() => void} Restores the original fetch.
+ */
+export function stubFetch(handler) {
+	const originalFetch = globalThis.fetch;
+	globalThis.fetch = handler;
+	return () => {
+		globalThis.fetch = originalFetch;
+	};
+}
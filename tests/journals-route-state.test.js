@@ -68,6 +68,11 @@ includes(pageSource, "id=\"codes\"", "journals page");
 includes(pageSource, "id=\"memos\"", "journals page");
 includes(pageSource, "id=\"analysis\"", "journals page");
 includes(pageSource, "id=\"coding-panel\"", "journals page");
+includes(pageSource, "data-analysis=\"agreement\"", "journals page");
+includes(pageSource, "id=\"analysis-agreement\"", "journals page");
+includes(pageSource, "id=\"double-coding-form\"", "journals page");
+includes(pageSource, "id=\"double-coding-workspace\"", "journals page");
+includes(pageSource, "id=\"agreement-report\"", "journals page");
 excludes(pageSource, "id=\"back-to-project\"", "journals page");
 excludes(pageSource, "href=\"/css/govuk/govuk-forms.css\"", "journals page");
 excludes(pageSource, "href=\"/css/screen.css\"", "journals page");
@@ -84,6 +89,11 @@ includes(projectContextSource, "function ensureProjectActionBar", "project conte
 includes(projectContextSource, "function setProjectParentLink", "project context module");
 includes(caqdasSource, "flashError('Enter a term to search.', 'retrieval-q')", "CAQDAS analysis module");
 includes(caqdasSource, "setRetrievalError('Enter a term to search.')", "CAQDAS analysis module");
+includes(caqdasSource, "function runAgreement(projectId)", "CAQDAS analysis module");
+includes(caqdasSource, "apiUrl('/api/analysis/agreement?project='", "CAQDAS analysis module");
+includes(caqdasSource, "apiUrl('/api/analysis/double-coding/' + encodeURIComponent(sampleId) + '/codings')", "CAQDAS analysis module");
+includes(caqdasSource, "Only your own codes are shown.", "CAQDAS analysis module");
+includes(tabsSource, "runAgreement(", "journal tabs module");
 includes(tabsSource, "tab:shown", "journal tabs module");
 includes(tabsSource, "govuk-button govuk-button--secondary", "journal tabs module");
 includes(tabsSource, "govuk-button govuk-button--warning", "journal tabs module");
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import {
+	createLegalHold,
+	listLegalHolds,
+	releaseLegalHold,
+} from '../infra/cloudflare/src/service/legal-holds.js';
+import { serviceStub } from './helpers/d1-sqlite.mjs';
+
+function setup() {
+	const db = new DatabaseSync(':memory:');
+	db.exec(`
+		CREATE TABLE rops_studies_cache (id TEXT PRIMARY KEY, project_id TEXT NOT NULL, updated_at TEXT NOT NULL);
+		CREATE TABLE rops_participants_cache (id TEXT PRIMARY KEY, project_id TEXT NOT NULL, study_id TEXT NOT NULL, updated_at TEXT NOT NULL);
+		INSERT INTO rops_studies_cache VALUES ('recStudyA', 'recProject1', '2026-10-01T00:00:00.000Z');
+		INSERT INTO rops_studies_cache VALUES ('recStudyB', 'recProject1', '2026-10-01T00:00:00.000Z');
+		INSERT INTO rops_participants_cache VALUES ('p-a1', 'recProject1', 'recStudyA', '2026-10-01T00:00:00.000Z');
+	`);
+	return { svc: serviceStub(db), db };
+}
+
+const auth = { user: { id: 'user-1', email: 'lead@example.test' } };
+const post = (body) =>
+	new Request('https://api.example.test/api/legal-holds', {
+		method: 'POST',
+		body: JSON.stringify(body),
+	});
+const list = (query) => new URL(`https://api.example.test/api/legal-holds?${query}`);
+
+async function read(response) {
+	return { status: response.status, body: await response.json() };
+}
+
+const hold = {
+	scopeType: 'participant',
+	scopeId: 'p-a1',
+	reason: 'foi_request',
+	detail: 'FOI 2026/118',
+	owner: 'Information rights team',
+	reviewDate: '2027-01-31',
+};
+
+test('a hold needs a known scope, a reason, an owner and a review date', async () => {
+	const { svc } = setup();
+	for (const [change, error] of [
+		[{ scopeType: 'team' }, 'scopeType must be project, study or participant'],
+		[{ scopeId: '' }, 'Missing field: scopeId'],
+		[
+			{ reason: 'curiosity' },
+			'reason must be one of foi_request, complaint, audit, litigation, other',
+		],
+		[{ reason: 'other', detail: '' }, 'Missing field: detail'],
+		[{ owner: ' ' }, 'Missing field: owner'],
+		[{ reviewDate: '31/01/2027' }, 'reviewDate must be a date in YYYY-MM-DD format'],
+	]) {
+		const response = await read(await createLegalHold(svc, post({ ...hold, ...change }), '', auth));
+		assert.equal(response.status, 400);
+		assert.equal(response.body.error, error);
+	}
+});
+
+test('a participant hold records its study and project and shows on the study', async () => {
+	const { svc } = setup();
+	const created = await read(await createLegalHold(svc, post(hold), '', auth));
+	assert.equal(created.status, 201);
+	assert.equal(created.body.legalHold.studyId, 'recStudyA');
+	assert.equal(created.body.legalHold.projectId, 'recProject1');
+	assert.equal(created.body.legalHold.placedBy, 'lead@example.test');
+	assert.equal(created.body.legalHold.active, true);
+
+	await createLegalHold(
+		svc,
+		post({ ...hold, scopeType: 'project', scopeId: 'recProject1', reason: 'audit' }),
+		'',
+		auth
+	);
+	await createLegalHold(
+		svc,
+		post({ ...hold, scopeType: 'study', scopeId: 'recStudyB', reason: 'complaint' }),
+		'',
+		auth
+	);
+
+	const studyA = await read(await listLegalHolds(svc, '', list('study=recStudyA')));
+	assert.deepEqual(studyA.body.legalHolds.map((item) => item.scopeType).sort(), [
+		'participant',
+		'project',
+	]);
+	const participant = await read(await listLegalHolds(svc, '', list('participant=p-a1')));
+	assert.equal(participant.body.legalHolds.length, 1);
+	const missing = await read(await listLegalHolds(svc, '', list('')));
+	assert.equal(missing.status, 400);
+});
+
+test('releasing a hold keeps it on record and takes it off the active list', async () => {
+	const { svc } = setup();
+	const created = await read(await createLegalHold(svc, post(hold), '', auth));
+	const id = created.body.legalHold.id;
+
+	const noNote = await read(await releaseLegalHold(svc, post({}), '', id, auth));
+	assert.equal(noNote.status, 400);
+
+	const released = await read(
+		await releaseLegalHold(svc, post({ note: 'FOI response sent' }), '', id, auth)
+	);
+	assert.equal(released.status, 200);
+	assert.equal(released.body.legalHold.active, false);
+	assert.equal(released.body.legalHold.releaseNote, 'FOI response sent');
+
+	const again = await read(
+		await releaseLegalHold(svc, post({ note: 'FOI response sent' }), '', id, auth)
+	);
+	assert.equal(again.status, 409);
+	const unknown = await releaseLegalHold(svc, post({ note: 'x' }), '', 'lh_missing', auth);
+	assert.equal(unknown.status, 404);
+
+	const active = await read(await listLegalHolds(svc, '', list('study=recStudyA')));
+	assert.equal(active.body.legalHolds.length, 0);
+	const all = await read(await listLegalHolds(svc, '', list('study=recStudyA&status=all')));
+	assert.equal(all.body.legalHolds.length, 1);
+});
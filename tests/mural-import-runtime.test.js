@@ -0,0 +1,342 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import {
+	importJournalFromMural,
+	importSynthesisFromMural,
+} from '../infra/cloudflare/src/service/mural-import.js';
+import { listEvidenceForStudy } from '../infra/cloudflare/src/service/synthesis.js';
+import { serviceStub, stubFetch } from './helpers/d1-sqlite.mjs';
+
+const json = (body, status = 200) =>
+	new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+
+const journalBoard = [
+	{
+		id: 'header-perceptions',
+		type: 'text',
+		text: 'perceptions',
+		x: 0,
+		y: 0,
+		width: 400,
+		height: 60,
+	},
+	{
+		id: 'synced',
+		type: 'sticky note',
+		text: 'Written in ResearchOps',
+		tags: ['t-entry'],
+		x: 60,
+		y: 120,
+		width: 260,
+		height: 160,
+	},
+	{
+		id: 'mapped',
+		type: 'sticky note',
+		text: 'Also from ResearchOps',
+		tags: [],
+		x: 60,
+		y: 320,
+		width: 260,
+		height: 160,
+	},
+	{
+		id: 'hand-1',
+		type: 'sticky note',
+		text: 'People do not <b>trust</b> the letters',
+		tags: ['t-trust'],
+		x: 60,
+		y: 520,
+		width: 260,
+		height: 160,
+	},
+	{
+		id: 'hand-2',
+		type: 'sticky note',
+		text: 'We changed the recruitment plan',
+		tags: ['t-decisions', 't-other'],
+		x: 2000,
+		y: 40,
+		width: 260,
+		height: 160,
+	},
+	{
+		id: 'hand-3',
+		type: 'sticky note',
+		text: 'Loose thought',
+		tags: [],
+		x: 4000,
+		y: 40,
+		width: 260,
+		height: 160,
+	},
+	{ id: 'blank', type: 'sticky note', text: '', tags: [], x: 60, y: 720, width: 260, height: 160 },
+];
+
+const boardTags = [
+	{ id: 't-entry', text: 'journal-entry:recEntry1' },
+	{ id: 't-trust', text: 'Trust' },
+	{ id: 't-decisions', text: 'decisions' },
+	{ id: 't-other', text: 'Workshop 2' },
+];
+
+function setup({
+	widgets = journalBoard,
+	resolved = { muralId: 'ws.journal', source: 'airtable' },
+} = {}) {
+	const db = new DatabaseSync(':memory:');
+	const created = [];
+	const provenance = [];
+	const svc = serviceStub(db, {
+		env: { MURAL_COMPANY_ID: 'homeofficegovuk' },
+		async listCodes() {
+			return json({ ok: true, codes: [{ id: 'code-trust', name: 'Trust', path: 'Trust' }] });
+		},
+		async createJournalEntry(request) {
+			const body = await request.json();
+			created.push(body);
+			return json({ ok: true, id: `recJournal${created.length}` }, 201);
+		},
+		async recordProvenance(event) {
+			provenance.push(event);
+		},
+		mural: {
+			async loadTokens() {
+				return { access_token: 'token' };
+			},
+			async saveTokens() {},
+			async resolveBoard() {
+				return resolved;
+			},
+		},
+	});
+	svc.mural.root = svc;
+
+	const restore = stubFetch(async (input) => {
+		const path = new URL(String(input)).pathname.replace('/api/public/v1', '');
+		if (path === '/users/me')
+			return json({ value: { id: 'mural-user', companyId: 'homeofficegovuk' } });
+		if (/^\/murals\/[^/]+\/widgets$/.test(path)) return json({ value: widgets });
+		if (/^\/murals\/[^/]+\/tags$/.test(path)) return json({ value: boardTags });
+		return json({ error: 'not found' }, 404);
+	});
+	db.exec(
+		'CREATE TABLE mural_journal_entry_widgets (journal_entry_id TEXT NOT NULL, mural_id TEXT NOT NULL, widget_id TEXT NOT NULL, project_id TEXT, category TEXT, sync_status TEXT, action TEXT, synced_at TEXT, updated_at TEXT, PRIMARY KEY (journal_entry_id, mural_id))'
+	);
+	db.prepare(
+		'INSERT INTO mural_journal_entry_widgets (journal_entry_id, mural_id, widget_id) VALUES (?, ?, ?)'
+	).run('recEntry2', 'ws.journal', 'mapped');
+	return { svc, db, created, provenance, restore };
+}
+
+const auth = { user: { id: 'u1', email: 'alice@example.test' } };
+const post = (body) =>
+	new Request('https://api.example.test/api/mural/journal-import', {
+		method: 'POST',
+		body: JSON.stringify(body),
+	});
+
+async function journalImport(svc, body) {
+	const res = await importJournalFromMural(
+		svc,
+		post({ projectId: 'recProject1', ...body }),
+		'',
+		auth
+	);
+	return { status: res.status, body: await res.json() };
+}
+
+test('preview lists hand-added stickies with categories and codes without writing anything', async () => {
+	const { svc, db, created, restore } = setup();
+	try {
+		const { status, body } = await journalImport(svc, { mode: 'preview' });
+		assert.equal(status, 200);
+		assert.deepEqual(
+			body.candidates.map((candidate) => candidate.widgetId),
+			['hand-2', 'hand-3', 'hand-1']
+		);
+		const [decisions, loose, trust] = body.candidates;
+		assert.equal(trust.text, 'People do not trust the letters');
+		assert.equal(trust.category, 'perceptions', 'category comes from the column heading');
+		assert.deepEqual(trust.codes, [{ id: 'code-trust', name: 'Trust', tag: 'Trust' }]);
+		assert.equal(decisions.category, 'decisions', 'category comes from a tag');
+		assert.deepEqual(decisions.unmatchedTags, ['Workshop 2']);
+		assert.equal(loose.category, '');
+		assert.equal(body.fromResearchOps, 2);
+		assert.equal(body.empty, 1);
+		assert.equal(created.length, 0);
+		assert.equal(db.prepare('SELECT COUNT(*) AS n FROM mural_widget_imports').get().n, 0);
+	} finally {
+		restore();
+	}
+});
+
+test('confirm creates journal entries with code applications and never imports a sticky twice', async () => {
+	const { svc, db, created, provenance, restore } = setup();
+	try {
+		const first = await journalImport(svc, {
+			mode: 'confirm',
+			widgetIds: ['hand-1', 'hand-2', 'hand-3'],
+		});
+		assert.equal(first.status, 200);
+		assert.deepEqual(
+			first.body.imported.map((item) => [item.widgetId, item.category]),
+			[
+				['hand-1', 'perceptions'],
+				['hand-2', 'decisions'],
+			]
+		);
+		assert.deepEqual(first.body.skipped, [{ widgetId: 'hand-3', reason: 'no_category' }]);
+		assert.deepEqual(created[0], {
+			project: 'recProject1',
+			category: 'perceptions',
+			content: 'People do not trust the letters',
+			tags: [],
+		});
+		assert.deepEqual(created[1].tags, ['Workshop 2']);
+
+		const application = db.prepare('SELECT entry, code, project FROM code_applications').get();
+		assert.deepEqual(
+			{ ...application },
+			{ entry: 'recJournal1', code: 'code-trust', project: 'recProject1' }
+		);
+		const link = db
+			.prepare("SELECT record_id, target FROM mural_widget_imports WHERE widget_id = 'hand-1'")
+			.get();
+		assert.deepEqual({ ...link }, { record_id: 'recJournal1', target: 'journal' });
+		assert.equal(provenance[0].parentArtifactId, 'mural:ws.journal:hand-1');
+
+		const withCategory = await journalImport(svc, {
+			mode: 'confirm',
+			widgetIds: ['hand-1', 'hand-3'],
+			categories: { 'hand-3': 'Personal introspections' },
+		});
+		assert.deepEqual(withCategory.body.skipped, [
+			{ widgetId: 'hand-1', reason: 'already_imported' },
+		]);
+		assert.equal(created[2].category, 'introspections');
+
+		const preview = await journalImport(svc, { mode: 'preview' });
+		assert.equal(preview.body.candidates.length, 0);
+		assert.equal(preview.body.alreadyImported.length, 3);
+	} finally {
+		restore();
+	}
+});
+
+test('confirms of the same sticky at the same time create one record, and a failed one can be retried', async () => {
+	const { svc, db, created, restore } = setup();
+	try {
+		const [first, second] = await Promise.all([
+			journalImport(svc, { mode: 'confirm', widgetIds: ['hand-1'] }),
+			journalImport(svc, { mode: 'confirm', widgetIds: ['hand-1'] }),
+		]);
+		assert.equal(created.length, 1);
+		assert.equal(first.body.imported.length + second.body.imported.length, 1);
+		assert.deepEqual(
+			[...first.body.skipped, ...second.body.skipped],
+			[{ widgetId: 'hand-1', reason: 'already_imported' }]
+		);
+
+		const createJournalEntry = svc.createJournalEntry;
+		svc.createJournalEntry = async () => json({ ok: false, error: 'airtable_down' }, 502);
+		const failed = await journalImport(svc, { mode: 'confirm', widgetIds: ['hand-2'] });
+		assert.equal(failed.body.failed[0].widgetId, 'hand-2');
+		assert.equal(
+			db.prepare("SELECT COUNT(*) AS n FROM mural_widget_imports WHERE widget_id = 'hand-2'").get()
+				.n,
+			0
+		);
+
+		svc.createJournalEntry = createJournalEntry;
+		const retried = await journalImport(svc, { mode: 'confirm', widgetIds: ['hand-2'] });
+		assert.deepEqual(
+			retried.body.imported.map((item) => item.recordId),
+			['recJournal2']
+		);
+	} finally {
+		restore();
+	}
+});
+
+test('confirm needs a choice of stickies and a connected Mural account', async () => {
+	const { svc, restore } = setup();
+	try {
+		assert.equal((await journalImport(svc, { mode: 'confirm' })).body.error, 'missing_widget_ids');
+		svc.mural.loadTokens = async () => null;
+		assert.equal((await journalImport(svc, { mode: 'preview' })).status, 401);
+	} finally {
+		restore();
+	}
+});
+
+test('synthesis import reads the exported board and stores evidence that points at the widget', async () => {
+	const widgets = [
+		{
+			id: 'exported',
+			type: 'sticky note',
+			text: 'Could not find the payment date\n\nSession S1',
+			tags: [],
+			x: 40,
+			y: 120,
+			width: 240,
+			height: 120,
+		},
+		{
+			id: 'workshop',
+			type: 'sticky note',
+			text: 'Staff re-key data from letters',
+			tags: ['t-trust', 't-other'],
+			x: 1200,
+			y: 120,
+			width: 240,
+			height: 120,
+		},
+	];
+	const { svc, db, restore } = setup({ widgets, resolved: null });
+	try {
+		db.exec(
+			'CREATE TABLE mural_synthesis_widgets (mural_id TEXT NOT NULL, study_id TEXT NOT NULL, kind TEXT NOT NULL, entity_key TEXT NOT NULL, widget_id TEXT NOT NULL, cluster_id TEXT, evidence_id TEXT, content TEXT, x REAL, y REAL, width REAL, height REAL, synced_at TEXT NOT NULL, PRIMARY KEY (mural_id, kind, entity_key))'
+		);
+		db.prepare(
+			"INSERT INTO mural_synthesis_widgets (mural_id, study_id, kind, entity_key, widget_id, synced_at) VALUES ('ws.affinity', 'recStudyA', 'evidence', 'c1:recN1', 'exported', '2026-07-01T10:00:00.000Z')"
+		).run();
+		const url = new URL('https://api.example.test/api/synthesis/mural-import?sid=recStudyA');
+		const run = async (body) => {
+			const request = new Request(url, {
+				method: 'POST',
+				body: JSON.stringify({ projectId: 'recProject1', ...body }),
+			});
+			const res = await importSynthesisFromMural(svc, request, '', url, auth);
+			return res.json();
+		};
+
+		const preview = await run({ mode: 'preview' });
+		assert.equal(preview.muralId, 'ws.affinity');
+		assert.equal(preview.boardSource, 'd1');
+		assert.deepEqual(
+			preview.candidates.map((candidate) => candidate.widgetId),
+			['workshop']
+		);
+
+		const confirmed = await run({ mode: 'confirm', widgetIds: ['workshop'] });
+		assert.equal(confirmed.imported.length, 1);
+
+		const evidence = await listEvidenceForStudy(svc, 'recStudyA');
+		assert.equal(evidence.length, 1);
+		assert.equal(evidence[0].id, confirmed.imported[0].recordId);
+		assert.equal(evidence[0].contentPlain, 'Staff re-key data from letters');
+		assert.deepEqual(evidence[0].codeIds, ['code-trust']);
+		assert.deepEqual(evidence[0].tags, ['Workshop 2']);
+		assert.equal(evidence[0].sourceLabel, 'Mural sticky');
+		assert.deepEqual(evidence[0].source, {
+			muralId: 'ws.affinity',
+			widgetId: 'workshop',
+			tags: ['Trust', 'Workshop 2'],
+		});
+	} finally {
+		restore();
+	}
+});
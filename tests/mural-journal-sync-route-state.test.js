@@ -192,3 +192,25 @@ excludes(layoutSource, "created-template-widget", "layout service");
 excludes(safeTagsSource, "tags: [", "safe tags");
 excludes(compactSource, "Sync pending entries", "compact script");
 excludes(compactSource, "https://rops-api.digikev-kevin-rapley.workers.dev", "compact script");
+
+const importSource = fs.readFileSync("infra/cloudflare/src/service/mural-import.js", "utf8");
+const workerSource = fs.readFileSync("infra/cloudflare/src/worker.js", "utf8");
+const importMigrationSource = fs.readFileSync("infra/cloudflare/migrations/0034_mural_widget_imports.sql", "utf8");
+
+includes(workerSource, "[\"route_api_mural_journal_import_post\", \"POST\", \"/api/mural/journal-import\", \"[\\\"research.integration.manage\\\"]\", 1]", "worker");
+includes(workerSource, "apiPath === \"/api/mural/journal-import\" && request.method === \"POST\"", "worker");
+includes(indexSource, "this.mural.muralJournalImport = (req, origin, authContext)", "service index");
+includes(safeTagsSource, "export async function listD1MappingsForMural(env, muralId)", "safe tags");
+includes(importSource, "export async function importJournalFromMural(svc, request, origin, authContext)", "Mural import");
+includes(importSource, "getWidgets(svc.env, token, muralId, { includeDetails: true })", "Mural import");
+includes(importSource, "matchTagsToCodes(codes", "Mural import");
+includes(importSource, "INSERT INTO code_applications", "Mural import");
+includes(importSource, "eventType: \"imported_from_mural\"", "Mural import");
+includes(importMigrationSource, "CREATE TABLE IF NOT EXISTS mural_widget_imports", "Mural import migration");
+includesElementAttributes(pageSource, "button", ["id=\"mural-import-btn\"", "hidden"], "page");
+includesElementAttributes(pageSource, "section", ["id=\"mural-import-panel\"", "hidden"], "page");
+includes(pageSource, "Import selected stickies", "page");
+includes(compactSource, "apiUrl('/api/mural/journal-import')", "compact script");
+includes(compactSource, "postImport({ mode: 'preview' })", "compact script");
+includes(compactSource, "postImport({ mode: 'confirm', widgetIds, categories })", "compact script");
+includes(journalTabsSource, "document.addEventListener('journal:entries-changed', loadEntries);", "journal tabs");
@@ -0,0 +1,253 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import { publishGuide } from '../infra/cloudflare/src/service/guides.js';
+import {
+	createPartial,
+	createPartialVersion,
+	deletePartial,
+	findIncludeCycles,
+	readPartialGraph,
+	readPartialUsage,
+	updatePartial,
+} from '../infra/cloudflare/src/service/partials.js';
+import { serviceStub, stubFetch } from './helpers/d1-sqlite.mjs';
+
+function setup() {
+	const db = new DatabaseSync(':memory:');
+	const svc = serviceStub(db, {
+		env: {
+			AIRTABLE_BASE_ID: 'appTest',
+			AIRTABLE_API_KEY: 'key',
+			AIRTABLE_TABLE_GUIDES: 'Discussion Guides',
+		},
+	});
+	const guides = [
+		{
+			id: 'recGuideA',
+			fields: { Title: 'Permits', Version: 1, 'Source Markdown': '# Permits\n\n{{> intro}}' },
+		},
+		{
+			id: 'recGuideB',
+			fields: { Title: 'Fees', Version: 1, 'Source Markdown': '# Fees\n\n{{> consent_v1}}' },
+		},
+	];
+	const partials = [
+		{ id: 'recIntro', fields: { Name: 'intro', Version: 1, Source: 'Hello. {{> consent}}' } },
+		{ id: 'recConsent', fields: { Name: 'consent', Version: 1, Source: 'Check consent.' } },
+		{ id: 'recThanks', fields: { Name: 'thanks', Version: 1, Source: 'Thank you.' } },
+	];
+	const deleted = [];
+	let nextId = 1;
+	const restore = stubFetch(async (url, init = {}) => {
+		const href = String(url);
+		const method = init.method || 'GET';
+		const ok = (body) => new Response(JSON.stringify(body), { status: 200 });
+		if (href.includes('/Discussion%20Guides')) {
+			if (method === 'PATCH') {
+				const { id, fields } = JSON.parse(init.body).records[0];
+				Object.assign(guides.find((g) => g.id === id).fields, fields);
+				return ok({ records: [] });
+			}
+			const wanted = decodeURIComponent(href).match(/RECORD_ID\(\)=["'](\w+)["']/)?.[1];
+			return ok({
+				records: structuredClone(wanted ? guides.filter((g) => g.id === wanted) : guides),
+			});
+		}
+		if (href.includes('/Partials')) {
+			if (method === 'POST') {
+				const { fields } = JSON.parse(init.body).records[0];
+				const record = { id: `recNew${nextId++}`, fields };
+				partials.push(record);
+				return ok({ records: [record] });
+			}
+			if (method === 'PATCH') {
+				const { id, fields } = JSON.parse(init.body).records[0];
+				Object.assign(partials.find((p) => p.id === id).fields, fields);
+				return ok({ records: [] });
+			}
+			if (method === 'DELETE') {
+				const id = decodeURIComponent(href.split('/').pop());
+				deleted.push(id);
+				partials.splice(
+					partials.findIndex((p) => p.id === id),
+					1
+				);
+				return ok({ deleted: true, id });
+			}
+			return ok({ records: structuredClone(partials) });
+		}
+		return new Response('{}', { status: 404 });
+	});
+	const body = (method, value) =>
+		new Request('https://researchops.test/api/partials', {
+			method,
+			body: JSON.stringify(value),
+		});
+	return {
+		svc,
+		partials,
+		deleted,
+		body,
+		restore,
+	};
+}
+
+test('the graph reports who uses each partial, missing includes and cycles', async () => {
+	const { svc, partials, restore } = setup();
+	try {
+		partials.push({
+			id: 'recLoopA',
+			fields: { Name: 'loop_a', Version: 1, Source: '{{> loop_b}}' },
+		});
+		partials.push({
+			id: 'recLoopB',
+			fields: { Name: 'loop_b', Version: 1, Source: '{{> loop_a}} {{> gone}}' },
+		});
+		const graph = await (await readPartialGraph(svc, '')).json();
+		const consent = graph.partials.find((p) => p.id === 'recConsent');
+		assert.deepEqual(consent.used_by, {
+			guides: 1,
+			indirect_guides: 1,
+			partials: 1,
+			published: 0,
+		});
+		assert.equal(graph.partials.find((p) => p.id === 'recThanks').in_use, false);
+		assert.deepEqual(graph.missing, ['gone']);
+		assert.deepEqual(graph.cycles, [['loop_a', 'loop_b', 'loop_a']]);
+
+		const usage = await (await readPartialUsage(svc, '', 'recConsent')).json();
+		assert.deepEqual(usage.used_by.guides, [{ id: 'recGuideB', title: 'Fees' }]);
+		assert.deepEqual(usage.used_by.indirect_guides, [{ id: 'recGuideA', title: 'Permits' }]);
+		assert.deepEqual(usage.used_by.partials, [{ id: 'recIntro', ref: 'intro', title: '' }]);
+	} finally {
+		restore();
+	}
+});
+
+test('deleting a partial that is still included is refused unless forced', async () => {
+	const { svc, deleted, restore } = setup();
+	try {
+		const refused = await deletePartial(svc, '', 'recConsent', new URL('https://x.test/'));
+		assert.equal(refused.status, 409);
+		const err = await refused.json();
+		assert.equal(err.error, 'partial_in_use');
+		assert.match(err.message, /1 guide, 1 guide through other partials, 1 partial/);
+		assert.deepEqual(deleted, []);
+
+		const forced = await deletePartial(
+			svc,
+			'',
+			'recConsent',
+			new URL('https://x.test/?force=true')
+		);
+		assert.equal(forced.status, 200);
+		assert.equal((await forced.json()).warnings.length, 1);
+
+		assert.equal((await deletePartial(svc, '', 'recThanks')).status, 200);
+		assert.deepEqual(deleted, ['recConsent', 'recThanks']);
+	} finally {
+		restore();
+	}
+});
+
+test('includes that loop back are rejected on create and update', async () => {
+	const { svc, body, restore } = setup();
+	try {
+		const selfLoop = await updatePartial(
+			svc,
+			body('PATCH', { source: 'Check consent. {{> intro}}' }),
+			'',
+			'recConsent'
+		);
+		assert.equal(selfLoop.status, 422);
+		assert.deepEqual((await selfLoop.json()).cycle, ['consent', 'intro', 'consent']);
+
+		const duplicate = await createPartial(
+			svc,
+			body('POST', { name: 'thanks', title: 'Thanks', source: 'Cheers.' }),
+			''
+		);
+		assert.equal(duplicate.status, 409);
+
+		const created = await createPartial(
+			svc,
+			body('POST', { name: 'wrap', title: 'Wrap up', source: '{{> thanks}}' }),
+			''
+		);
+		assert.equal(created.status, 200);
+		assert.equal(
+			(await updatePartial(svc, body('PATCH', { source: '{{> wrap}}' }), '', 'recThanks')).status,
+			422
+		);
+	} finally {
+		restore();
+	}
+});
+
+test('a partial version frozen by a published guide is changed through a new version', async () => {
+	const { svc, partials, body, restore } = setup();
+	try {
+		await publishGuide(svc, '', 'recGuideB');
+
+		const blocked = await updatePartial(
+			svc,
+			body('PATCH', { source: 'Check consent again.' }),
+			'',
+			'recConsent'
+		);
+		assert.equal(blocked.status, 409);
+		const err = await blocked.json();
+		assert.equal(err.error, 'partial_version_published');
+		assert.deepEqual(err.published, [{ guide_id: 'recGuideB', version: 2, title: 'Fees' }]);
+
+		// Other fields can still change, and so can the source of unpublished partials
+		assert.equal(
+			(await updatePartial(svc, body('PATCH', { title: 'Consent' }), '', 'recConsent')).status,
+			200
+		);
+		assert.equal(
+			(await updatePartial(svc, body('PATCH', { source: 'Bye.' }), '', 'recThanks')).status,
+			200
+		);
+
+		const created = await (
+			await createPartialVersion(
+				svc,
+				body('POST', { source: 'Check consent again.' }),
+				'',
+				'recConsent'
+			)
+		).json();
+		assert.deepEqual([created.version, created.ref], [2, 'consent_v2']);
+		const v2 = partials.find((p) => p.id === created.id).fields;
+		assert.deepEqual([v2.Name, v2.Title, v2.Status], ['consent', 'Consent', 'draft']);
+		assert.equal(partials.find((p) => p.id === 'recConsent').fields.Source, 'Check consent.');
+
+		const usage = await (await readPartialUsage(svc, '', 'recConsent')).json();
+		assert.deepEqual(
+			usage.versions.map((v) => v.ref),
+			['consent', 'consent_v2']
+		);
+		assert.equal(usage.used_by.published.length, 1);
+	} finally {
+		restore();
+	}
+});
+
+test('cycle detection reports each loop once', () => {
+	assert.deepEqual(
+		findIncludeCycles([
+			{ ref: 'a', source: '{{> b}}' },
+			{ ref: 'b', source: '{{> c}} {{> a_v1}}' },
+			{ ref: 'c', source: '{{> b}}' },
+			{ ref: 'd', source: '{{> d}}' },
+		]),
+		[
+			['b', 'c', 'b'],
+			['a', 'b', 'a'],
+			['d', 'd'],
+		]
+	);
+});
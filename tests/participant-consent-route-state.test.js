@@ -14,6 +14,12 @@ const serviceSource = fs.readFileSync("infra/cloudflare/src/service/participant-
 const d1MigrationSource = fs.readFileSync("infra/cloudflare/migrations/0023_session_consent_and_notes.sql", "utf8");
 const workerSource = fs.readFileSync("infra/cloudflare/src/worker.js", "utf8");
 const studyControllerSource = fs.readFileSync("public/js/study-page.js", "utf8");
+const portalServiceSource = fs.readFileSync("infra/cloudflare/src/service/consent-portal.js", "utf8");
+const portalMigrationSource = fs.readFileSync("infra/cloudflare/migrations/0040_participant_consent_links.sql", "utf8");
+const portalTemplateSource = fs.readFileSync("src/govuk/templates/pages/consent-respond.njk", "utf8");
+const portalControllerSource = fs.readFileSync("public/js/consent-respond-page.js", "utf8");
+const withdrawalServiceSource = fs.readFileSync("infra/cloudflare/src/service/consent-withdrawal.js", "utf8");
+const withdrawalMigrationSource = fs.readFileSync("infra/cloudflare/migrations/0041_consent_withdrawals.sql", "utf8");
 
 function includes(source, text, label) {
 	assert.equal(source.includes(text), true, `Expected ${label} to include: ${text}`);
@@ -184,3 +190,46 @@ includes(workerSource, "service.listParticipantConsent", "worker");
 includes(studyControllerSource, "const studyParams = { id: studyId, project: projectId }", "study page controller");
 includes(studyControllerSource, "loadStudyCollection(\"/api/participant-consent\"", "study page controller");
 includes(studyControllerSource, "route(\"/pages/study/participant-consent/\", studyParams)", "study page controller");
+
+includes(templateSource, 'id="reconsent-queue-panel"', "participant consent template");
+includes(templateSource, 'id="consent-version-changes"', "participant consent template");
+includes(pageSource, 'id="reconsent-queue-list"', "participant consent page");
+includes(controllerSource, "/api/consent-forms/reconsent-queue", "participant consent controller");
+includes(controllerSource, "function renderReconsentQueue", "participant consent controller");
+includes(controllerSource, "function renderVersionChanges", "participant consent controller");
+includes(stylesheetSource, ".participant-consent-version-changes", "participant consent stylesheet");
+includes(generatedStylesheetSource, ".participant-consent-reconsent-list li", "participant consent generated stylesheet");
+
+includes(pageSource, 'id="create-consent-link"', "participant consent page");
+includes(templateSource, 'id="consent-link-url"', "participant consent template");
+includes(controllerSource, "/api/participant-consent/links", "participant consent controller");
+includes(controllerSource, "record?.responseHash ? \"\" : record?.id", "participant consent controller");
+includes(portalServiceSource, "export async function submitConsentPortal", "consent portal service");
+includes(portalServiceSource, "export async function verifyParticipantConsentRecord", "consent portal service");
+includes(portalServiceSource, "appendParticipantConsent(svc, {", "consent portal service");
+includes(serviceSource, "idx_rops_participant_consent_chain", "participant consent service");
+includes(portalMigrationSource, "CREATE TABLE IF NOT EXISTS rops_participant_consent_links", "consent portal D1 migration");
+includes(portalMigrationSource, "'route_api_consent_portal_post', 'POST', '/api/consent-portal'", "consent portal D1 migration");
+includes(workerSource, "async function handleConsentPortal", "worker");
+includes(workerSource, "service.submitConsentPortal", "worker");
+includes(portalTemplateSource, '<meta name="robots" content="noindex, nofollow">', "consent respond template");
+includes(portalTemplateSource, 'id="consent-respond-withdraw"', "consent respond template");
+includes(portalControllerSource, "credentials: \"omit\"", "consent respond controller");
+includes(portalControllerSource, "window.history.replaceState(null, \"\", window.location.pathname)", "consent respond controller");
+
+includes(templateSource, 'name: "withdrawalScope"', "participant consent template");
+includes(pageSource, 'id="withdrawal-scope-remove"', "participant consent page");
+includes(templateSource, 'id="withdrawal-reports-panel"', "participant consent template");
+includes(controllerSource, "/api/consent-withdrawals", "participant consent controller");
+includes(controllerSource, "data-rerun-withdrawal", "participant consent controller");
+includes(controllerSource, "...(withdrawn ? { withdrawalScope } : {})", "participant consent controller");
+includes(serviceSource, "startConsentWithdrawal(svc, participantConsent", "participant consent service");
+includes(portalServiceSource, "startConsentWithdrawal(svc", "consent portal service");
+includes(withdrawalServiceSource, "removeEvidenceFromSynthesis", "consent withdrawal service");
+includes(withdrawalServiceSource, "deleteWidget(svc.env, token, muralId, widgetId)", "consent withdrawal service");
+includes(withdrawalServiceSource, '"X-Report-SHA256": reportHash', "consent withdrawal service");
+includes(withdrawalMigrationSource, "CREATE TABLE IF NOT EXISTS rops_consent_withdrawal_items", "consent withdrawal D1 migration");
+includes(withdrawalMigrationSource, "'route_api_consent_withdrawal_report_get', 'GET', '/api/consent-withdrawals/:id/report'", "consent withdrawal D1 migration");
+includes(workerSource, "async function handleConsentWithdrawals", "worker");
+includes(workerSource, "service.drainConsentWithdrawals({ now: scheduledTime })", "worker");
+includes(generatedStylesheetSource, ".participant-consent-withdrawal-list li", "participant consent generated stylesheet");
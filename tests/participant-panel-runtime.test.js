@@ -0,0 +1,316 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import {
+	contactAllowance,
+	createPanelMember,
+	createPanelScreener,
+	evaluateScreener,
+	invitePanelMembers,
+	listPanelMembers,
+	listPanelQuotas,
+	recordScreenerResponse,
+	savePanelQuotas,
+} from '../infra/cloudflare/src/service/participant-panel.js';
+import { serviceStub } from './helpers/d1-sqlite.mjs';
+
+function setup(env = {}) {
+	const db = new DatabaseSync(':memory:');
+	db.exec(`
+		CREATE TABLE auth_events (id TEXT PRIMARY KEY, event_type TEXT NOT NULL, actor_user_id TEXT, target_user_id TEXT, team_id TEXT, provider TEXT, route_path TEXT, metadata_json TEXT);
+		CREATE TABLE rops_studies_cache (id TEXT PRIMARY KEY, project_id TEXT);
+		INSERT INTO rops_studies_cache VALUES ('recStudyA', 'recProject1');
+		INSERT INTO rops_studies_cache VALUES ('recStudyB', 'recProject1');
+		CREATE TABLE rops_participants_cache (id TEXT PRIMARY KEY, project_id TEXT NOT NULL, study_id TEXT NOT NULL, participant_airtable_id TEXT, participant_ref TEXT, channel_pref TEXT, consent_status TEXT, status TEXT, access_needs TEXT, active INTEGER NOT NULL DEFAULT 1, source TEXT, created_at TEXT, updated_at TEXT NOT NULL, sensitive_contact_json TEXT, payload_json TEXT);
+	`);
+	const svc = serviceStub(db, { env: { ...env } });
+	return { svc, db };
+}
+
+const auth = { user: { id: 'user-lead', email: 'lead@example.test' } };
+
+function post(body, method = 'POST') {
+	return new Request('https://researchops.test/api/panel', {
+		method,
+		body: JSON.stringify(body),
+	});
+}
+
+async function addMember(svc, name, attributes) {
+	const response = await createPanelMember(
+		svc,
+		post({ fullName: name, email: `${name.toLowerCase()}@example.test`, attributes }),
+		'',
+		auth
+	);
+	assert.equal(response.status, 201);
+	return (await response.json()).member;
+}
+
+const screenerBody = {
+	title: 'Benefits applicants',
+	questions: [
+		{ id: 'applied', text: 'Have you applied for a benefit in the last year?', type: 'yes_no' },
+		{
+			id: 'device',
+			text: 'What do you mostly use to go online?',
+			type: 'choice',
+			options: ['Phone', 'Laptop', 'Tablet'],
+			attribute: 'device',
+		},
+		{ id: 'age', text: 'How old are you?', type: 'number' },
+	],
+	rules: [
+		{ question: 'applied', operator: 'equals', value: 'yes' },
+		{ question: 'age', operator: 'at_least', value: 18 },
+	],
+};
+
+test('screener rules decide eligibility and answers update member attributes', async () => {
+	const { svc } = setup();
+	const screenerResponse = await createPanelScreener(svc, post(screenerBody), '', auth);
+	assert.equal(screenerResponse.status, 201);
+	const { screener } = await screenerResponse.json();
+
+	assert.deepEqual(evaluateScreener(screener, { applied: true, age: 30 }), {
+		eligible: true,
+		reasons: [],
+	});
+	const failed = evaluateScreener(screener, { applied: 'no' });
+	assert.equal(failed.eligible, false);
+	assert.equal(failed.reasons.length, 2);
+	assert.match(failed.reasons[1], /How old are you\?: not answered/);
+
+	const member = await addMember(svc, 'Ada', { userGroup: 'claimant' });
+	assert.equal('email' in member, false);
+	assert.equal(member.hasContactDetails, true);
+
+	const recorded = await recordScreenerResponse(
+		svc,
+		post({
+			memberId: member.id,
+			answers: { applied: 'yes', device: 'Phone', age: 42, ignored: 'x' },
+		}),
+		'',
+		screener.id,
+		auth
+	);
+	const body = await recorded.json();
+	assert.equal(recorded.status, 201);
+	assert.equal(body.response.eligible, true);
+	assert.deepEqual(body.response.answers, { applied: 'yes', device: 'Phone', age: 42 });
+	assert.deepEqual(body.attributes, { userGroup: 'claimant', device: 'Phone' });
+
+	const list = await listPanelMembers(
+		svc,
+		'',
+		new URL(`https://researchops.test/api/panel/members?screener=${screener.id}`)
+	);
+	const listed = (await list.json()).members[0];
+	assert.equal(listed.screening.eligible, true);
+	assert.equal(listed.attributes.device, 'Phone');
+
+	const invalid = await createPanelScreener(
+		svc,
+		post({ ...screenerBody, rules: [{ question: 'missing', operator: 'equals', value: 'yes' }] }),
+		'',
+		auth
+	);
+	assert.equal(invalid.status, 400);
+});
+
+test('invites create study participants and skip members by screener, quota and contact limits', async () => {
+	const { svc, db } = setup();
+	const { screener } = await (await createPanelScreener(svc, post(screenerBody), '', auth)).json();
+	const ada = await addMember(svc, 'Ada', { userGroup: 'claimant', assistedDigital: 'yes' });
+	const ben = await addMember(svc, 'Ben', { userGroup: 'claimant', assistedDigital: 'yes' });
+	const cal = await addMember(svc, 'Cal', { userGroup: 'agent' });
+	const dee = await addMember(svc, 'Dee', { userGroup: 'agent' });
+	for (const member of [ada, ben, cal]) {
+		await recordScreenerResponse(
+			svc,
+			post({ memberId: member.id, answers: { applied: 'yes', age: 30 } }),
+			'',
+			screener.id,
+			auth
+		);
+	}
+	await recordScreenerResponse(
+		svc,
+		post({ memberId: dee.id, answers: { applied: 'no', age: 30 } }),
+		'',
+		screener.id,
+		auth
+	);
+
+	const quotas = await savePanelQuotas(
+		svc,
+		post(
+			{ studyId: 'recStudyA', quotas: [{ attribute: 'assistedDigital', value: 'yes', target: 1 }] },
+			'PUT'
+		),
+		'',
+		auth
+	);
+	assert.equal(quotas.status, 200);
+
+	const response = await invitePanelMembers(
+		svc,
+		post({
+			studyId: 'recStudyA',
+			screenerId: screener.id,
+			memberIds: [ada.id, ben.id, cal.id, dee.id, 'pnl_missing'],
+		}),
+		'',
+		auth
+	);
+	const body = await response.json();
+	assert.equal(response.status, 200);
+	assert.deepEqual(
+		body.invited.map((item) => item.memberId),
+		[ada.id, cal.id]
+	);
+	assert.deepEqual(
+		body.skipped.map((item) => [item.memberId, item.reason]),
+		[
+			[ben.id, 'quota_full'],
+			[dee.id, 'not_eligible'],
+			['pnl_missing', 'not_found'],
+		]
+	);
+
+	const participant = db
+		.prepare('SELECT * FROM rops_participants_cache WHERE id = ?')
+		.get(body.invited[0].participantId);
+	assert.equal(participant.project_id, 'recProject1');
+	assert.equal(participant.source, 'panel');
+	assert.equal(JSON.parse(participant.sensitive_contact_json).email, 'ada@example.test');
+	assert.equal(JSON.parse(participant.payload_json).panelMemberId, ada.id);
+	assert.equal(
+		db
+			.prepare(
+				"SELECT COUNT(*) AS n FROM auth_events WHERE event_type = 'participant.panel.invited'"
+			)
+			.get().n,
+		2
+	);
+
+	const fill = await (
+		await listPanelQuotas(
+			svc,
+			'',
+			new URL('https://researchops.test/api/panel/quotas?study=recStudyA')
+		)
+	).json();
+	assert.deepEqual(
+		fill.quotas.map((quota) => [quota.filled, quota.remaining, quota.full]),
+		[[1, 0, true]]
+	);
+
+	const again = await (
+		await invitePanelMembers(svc, post({ studyId: 'recStudyA', memberIds: [ada.id] }), '', auth)
+	).json();
+	assert.equal(again.skipped[0].reason, 'already_invited');
+	const other = await (
+		await invitePanelMembers(svc, post({ studyId: 'recStudyB', memberIds: [ada.id] }), '', auth)
+	).json();
+	assert.equal(other.skipped[0].reason, 'contacted_recently');
+
+	const list = await (
+		await listPanelMembers(svc, '', new URL('https://researchops.test/api/panel/members'))
+	).json();
+	const listedAda = list.members.find((member) => member.id === ada.id);
+	assert.equal(listedAda.contactable, false);
+	assert.ok(listedAda.availableFrom > listedAda.lastInvitedAt);
+});
+
+test('contact limits count invites in the window and honour the configured gap', () => {
+	const now = Date.parse('2026-10-18T12:00:00.000Z');
+	const limits = { windowDays: 365, maxStudies: 2, minDaysBetween: 30 };
+	assert.equal(contactAllowance(['2026-01-10T12:00:00.000Z'], limits, now).contactable, true);
+
+	const full = contactAllowance(
+		['2026-01-10T12:00:00.000Z', '2026-05-01T12:00:00.000Z'],
+		limits,
+		now
+	);
+	assert.equal(full.reason, 'contact_limit_reached');
+	assert.equal(full.availableFrom, '2027-01-10T12:00:00.000Z');
+
+	const recent = contactAllowance(['2026-10-08T12:00:00.000Z'], limits, now);
+	assert.equal(recent.reason, 'contacted_recently');
+	assert.equal(recent.availableFrom, '2026-11-07T12:00:00.000Z');
+
+	assert.equal(
+		contactAllowance(['2025-01-10T12:00:00.000Z', '2025-05-01T12:00:00.000Z'], limits, now)
+			.contactable,
+		true
+	);
+});
+
+test('invites sent at the same time cannot overfill a quota or contact a member too often', async () => {
+	const { svc, db } = setup();
+	const ada = await addMember(svc, 'Ada', { assistedDigital: 'yes' });
+	const ben = await addMember(svc, 'Ben', { assistedDigital: 'Yes' });
+	const cal = await addMember(svc, 'Cal', { assistedDigital: 'no' });
+	await savePanelQuotas(
+		svc,
+		post(
+			{ studyId: 'recStudyA', quotas: [{ attribute: 'assistedDigital', value: 'yes', target: 1 }] },
+			'PUT'
+		),
+		'',
+		auth
+	);
+
+	const invite = async (studyId, memberId) =>
+		(await invitePanelMembers(svc, post({ studyId, memberIds: [memberId] }), '', auth)).json();
+	const [first, second, third, fourth] = await Promise.all([
+		invite('recStudyA', ada.id),
+		invite('recStudyA', ben.id),
+		invite('recStudyA', cal.id),
+		invite('recStudyB', cal.id),
+	]);
+	assert.equal(first.invited.length + second.invited.length, 1);
+	assert.equal([...first.skipped, ...second.skipped][0].reason, 'quota_full');
+	assert.equal(third.invited.length + fourth.invited.length, 1);
+	assert.equal([...third.skipped, ...fourth.skipped][0].reason, 'contacted_recently');
+	assert.equal(db.prepare('SELECT COUNT(*) AS n FROM rops_panel_invites').get().n, 2);
+	assert.equal(db.prepare('SELECT COUNT(*) AS n FROM rops_participants_cache').get().n, 2);
+	assert.equal(
+		db.prepare("SELECT COUNT(*) AS n FROM rops_panel_invites WHERE participant_id = ''").get().n,
+		0
+	);
+});
+
+test("invited members join the study's own project, whatever the request says", async () => {
+	const { svc, db } = setup();
+	const ada = await addMember(svc, 'Ada', {});
+	const response = await invitePanelMembers(
+		svc,
+		post({ studyId: 'recStudyA', projectId: 'recOtherProject', memberIds: [ada.id] }),
+		'',
+		auth
+	);
+	const body = await response.json();
+	assert.equal(response.status, 200);
+	const participant = db
+		.prepare('SELECT project_id FROM rops_participants_cache WHERE id = ?')
+		.get(body.invited[0].participantId);
+	assert.equal(participant.project_id, 'recProject1');
+	assert.equal(
+		db.prepare('SELECT project_id FROM rops_panel_invites WHERE member_id = ?').get(ada.id)
+			.project_id,
+		'recProject1'
+	);
+
+	const missing = await invitePanelMembers(
+		svc,
+		post({ studyId: 'recNoStudy', projectId: 'recProject1', memberIds: [ada.id] }),
+		'',
+		auth
+	);
+	assert.equal(missing.status, 404);
+	assert.equal((await missing.json()).error, 'study_not_found');
+});
@@ -0,0 +1,160 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import { entryText, parseZipEntries } from '../infra/cloudflare/src/service/internals/zip.js';
+import { exportParticipantSar } from '../infra/cloudflare/src/service/participant-sar-export.js';
+import { serviceStub } from './helpers/d1-sqlite.mjs';
+
+function seed(db) {
+	db.exec(`
+		CREATE TABLE auth_events (id TEXT PRIMARY KEY, event_type TEXT NOT NULL, actor_user_id TEXT, target_user_id TEXT, team_id TEXT, provider TEXT, route_path TEXT, metadata_json TEXT);
+		CREATE TABLE auth_role_assignments (id TEXT PRIMARY KEY, user_id TEXT NOT NULL, role_id TEXT NOT NULL, scope_type TEXT NOT NULL, scope_id TEXT NOT NULL, assignment_status TEXT NOT NULL, expires_at TEXT);
+		CREATE TABLE auth_role_permissions (role_id TEXT NOT NULL, permission_code TEXT NOT NULL);
+		CREATE TABLE auth_permission_exceptions (id TEXT PRIMARY KEY, user_id TEXT NOT NULL, scope_type TEXT NOT NULL, scope_id TEXT NOT NULL, exception_status TEXT NOT NULL, permission_code TEXT NOT NULL, expires_at TEXT NOT NULL);
+		INSERT INTO auth_role_permissions VALUES ('role_research_lead', 'participant.pii.reveal');
+		INSERT INTO auth_role_assignments VALUES ('ra-1', 'user-lead', 'role_research_lead', 'project', 'recProject1', 'active', NULL);
+
+		CREATE TABLE rops_participants_cache (id TEXT PRIMARY KEY, project_id TEXT NOT NULL, study_id TEXT NOT NULL, participant_ref TEXT, status TEXT, access_needs TEXT, active INTEGER NOT NULL DEFAULT 1, created_at TEXT, updated_at TEXT NOT NULL, sensitive_contact_json TEXT, payload_json TEXT);
+		INSERT INTO rops_participants_cache VALUES ('p-1', 'recProject1', 'recStudyA', 'P07', 'invited', 'Screen reader', 1, '2026-09-01T09:00:00.000Z', '2026-09-01T09:00:00.000Z', '{"full_name":"Ada Example","email":"ada@example.test"}', '{"pseudonymised":true}');
+		INSERT INTO rops_participants_cache VALUES ('p-2', 'recProject1', 'recStudyA', 'P08', 'invited', NULL, 1, '2026-09-01T09:00:00.000Z', '2026-09-01T09:00:00.000Z', NULL, NULL);
+
+		CREATE TABLE rops_participant_consent_cache (id TEXT PRIMARY KEY, study_id TEXT NOT NULL, participant_id TEXT NOT NULL, consent_form_version INTEGER NOT NULL DEFAULT 1, responses_json TEXT NOT NULL DEFAULT '{}', status TEXT NOT NULL, withdrawn INTEGER NOT NULL DEFAULT 0, recorded_at TEXT, created_at TEXT NOT NULL, updated_at TEXT NOT NULL);
+		INSERT INTO rops_participant_consent_cache VALUES ('pc-1', 'recStudyA', 'p-1', 2, '{"Recording":"Yes"}', 'Ready for session', 0, '2026-09-02T10:00:00.000Z', '2026-09-02T10:00:00.000Z', '2026-09-02T10:00:00.000Z');
+		INSERT INTO rops_participant_consent_cache VALUES ('pc-2', 'recStudyA', 'p-2', 2, '{}', 'Ready for session', 0, '2026-09-02T10:00:00.000Z', '2026-09-02T10:00:00.000Z', '2026-09-02T10:00:00.000Z');
+
+		CREATE TABLE rops_session_notes (id TEXT PRIMARY KEY, session_id TEXT NOT NULL, participant_id TEXT, study_id TEXT, start_iso TEXT NOT NULL, content_html TEXT NOT NULL, content_plain TEXT, author TEXT, consent_snapshot_json TEXT, created_at TEXT NOT NULL, updated_at TEXT NOT NULL);
+		INSERT INTO rops_session_notes VALUES ('note-1', 'sess-1', 'p-1', 'recStudyA', '2026-09-03T10:00:00.000Z', '<p>Found the form confusing</p>', 'Found the form confusing', 'researcher@example.test', '{"status":"Ready for session"}', '2026-09-03T10:00:00.000Z', '2026-09-03T10:00:00.000Z');
+		INSERT INTO rops_session_notes VALUES ('note-2', 'sess-2', 'p-2', 'recStudyA', '2026-09-03T11:00:00.000Z', '<p>Other participant</p>', 'Other participant', 'researcher@example.test', NULL, '2026-09-03T11:00:00.000Z', '2026-09-03T11:00:00.000Z');
+
+		CREATE TABLE code_applications (record_id TEXT, project TEXT, entry TEXT, code TEXT, excerpt TEXT, createdat TEXT, local_project_id TEXT, local_application_id TEXT PRIMARY KEY);
+		INSERT INTO code_applications VALUES ('ca-1', 'recProject1', 'note-1', 'code-usability', 'the form confusing', '2026-09-04T10:00:00.000Z', 'recProject1', 'ca-1');
+		INSERT INTO code_applications VALUES ('ca-2', 'recProject1', 'journal-1', 'code-access', 'asked for larger text', '2026-09-04T10:00:00.000Z', 'recProject1', 'ca-2');
+		INSERT INTO code_applications VALUES ('ca-3', 'recProject1', 'note-2', 'code-usability', 'Other participant', '2026-09-04T10:00:00.000Z', 'recProject1', 'ca-3');
+
+		CREATE TABLE journal_entries (record_id TEXT PRIMARY KEY, project TEXT, category TEXT, content TEXT, tags TEXT, createdat TEXT, local_project_id TEXT);
+		INSERT INTO journal_entries VALUES ('journal-1', 'recProject1', 'perceptions', 'P07 asked for larger text', '', '2026-09-03T12:00:00.000Z', 'recProject1');
+		INSERT INTO journal_entries VALUES ('journal-2', 'recProject1', 'procedures', 'Booked the room', '', '2026-09-03T12:00:00.000Z', 'recProject1');
+		INSERT INTO journal_entries VALUES ('journal-3', 'recProject2', 'perceptions', 'P07 in another project', '', '2026-09-03T12:00:00.000Z', 'recProject2');
+
+		CREATE TABLE rops_card_sort_results (id TEXT PRIMARY KEY, study_id TEXT NOT NULL, session_id TEXT NOT NULL, participant_id TEXT, status TEXT NOT NULL, result_json TEXT NOT NULL DEFAULT '{}', completed_at TEXT, created_at TEXT NOT NULL, updated_at TEXT NOT NULL);
+		INSERT INTO rops_card_sort_results VALUES ('cs-1', 'recStudyA', 'sess-1', 'p-1', 'completed', '{"groups":[{"name":"Money","cards":["Tax"]}]}', '2026-09-03T10:30:00.000Z', '2026-09-03T10:00:00.000Z', '2026-09-03T10:30:00.000Z');
+	`);
+}
+
+function setup() {
+	const db = new DatabaseSync(':memory:');
+	seed(db);
+	return { svc: serviceStub(db), db };
+}
+
+const lead = {
+	user: { id: 'user-lead', email: 'lead@example.test' },
+	permissions: [{ code: 'participant.pii.reveal' }],
+};
+const request = (id) =>
+	new Request(`https://api.example.test/api/participants/${id}/sar-export`, { method: 'POST' });
+
+async function unzip(response) {
+	const entries = parseZipEntries(new Uint8Array(await response.arrayBuffer()));
+	const files = {};
+	for (const entry of entries) files[entry.name] = await entryText(entry);
+	return files;
+}
+
+test('the export zips every record held about the participant and nothing about others', async () => {
+	const { svc, db } = setup();
+	const response = await exportParticipantSar(svc, request('p-1'), '', 'p-1', lead);
+	assert.equal(response.status, 200);
+	assert.equal(response.headers.get('content-type'), 'application/zip');
+	assert.match(
+		response.headers.get('content-disposition'),
+		/attachment; filename="participant-sar-p-1-\d{4}-\d{2}-\d{2}\.zip"/
+	);
+
+	const files = await unzip(response);
+	assert.deepEqual(Object.keys(files).sort(), ['participant.json', 'summary.txt']);
+	const sar = JSON.parse(files['participant.json']);
+	assert.equal(sar.participantId, 'p-1');
+	assert.equal(sar.generatedBy, 'lead@example.test');
+	assert.equal(sar.participant.participant_ref, 'P07');
+	assert.deepEqual(sar.participant.payload, { pseudonymised: true });
+	assert.equal(sar.participant.sensitive_contact_json, undefined);
+	assert.deepEqual(sar.contactDetails, { full_name: 'Ada Example', email: 'ada@example.test' });
+	assert.deepEqual(
+		sar.consentRecords.map((row) => [row.id, row.responses]),
+		[['pc-1', { Recording: 'Yes' }]]
+	);
+	assert.deepEqual(
+		sar.sessionNotes.map((row) => row.id),
+		['note-1']
+	);
+	assert.deepEqual(
+		sar.journalMentions.map((row) => row.record_id),
+		['journal-1']
+	);
+	assert.deepEqual(sar.excerpts.map((row) => row.local_application_id).sort(), ['ca-1', 'ca-2']);
+	assert.deepEqual(sar.cardSortResults[0].result, { groups: [{ name: 'Money', cards: ['Tax'] }] });
+	assert.deepEqual(sar.treeTestResults, []);
+	const treeTests = sar.sources.find((source) => source.key === 'treeTestResults');
+	assert.deepEqual(
+		{ present: treeTests.present, count: treeTests.count },
+		{ present: false, count: 0 }
+	);
+
+	const summary = files['summary.txt'];
+	assert.match(summary, /Participant: P07 \(p-1\)/);
+	assert.match(summary, /Email: ada@example\.test/);
+	assert.match(summary, /Session notes \(1\)/);
+	assert.match(summary, /Found the form confusing/);
+	assert.match(summary, /Recording: Yes/);
+	assert.doesNotMatch(summary, /Other participant/);
+
+	const event = db
+		.prepare('SELECT event_type, actor_user_id, metadata_json FROM auth_events')
+		.get();
+	assert.equal(event.event_type, 'participant.sar.exported');
+	assert.equal(event.actor_user_id, 'user-lead');
+	assert.deepEqual(JSON.parse(event.metadata_json), { participantId: 'p-1', outcome: 'succeeded' });
+});
+
+test('an export outside the user reveal scope is refused and recorded', async () => {
+	const { svc, db } = setup();
+	const outsider = {
+		user: { id: 'user-other', email: 'other@example.test' },
+		permissions: [{ code: 'participant.pii.reveal' }],
+	};
+	const response = await exportParticipantSar(svc, request('p-1'), '', 'p-1', outsider);
+	assert.equal(response.status, 403);
+	assert.equal((await response.json()).error, 'participant_project_scope_denied');
+	assert.equal(
+		db.prepare('SELECT event_type FROM auth_events').get().event_type,
+		'participant.sar.export.denied'
+	);
+
+	const missing = await exportParticipantSar(svc, request('p-404'), '', 'p-404', lead);
+	assert.equal(missing.status, 404);
+});
+
+test('journal mentions match the participant reference as a whole word', async () => {
+	const { svc, db } = setup();
+	db.exec(`
+		INSERT INTO rops_participants_cache VALUES ('p-3', 'recProject1', 'recStudyA', 'P1', 'invited', NULL, 1, '2026-09-01T09:00:00.000Z', '2026-09-01T09:00:00.000Z', NULL, NULL);
+		INSERT INTO journal_entries VALUES ('journal-p1', 'recProject1', 'perceptions', 'p1, on the phone, wanted a callback', '', '2026-09-05T12:00:00.000Z', 'recProject1');
+		INSERT INTO journal_entries VALUES ('journal-p10', 'recProject1', 'perceptions', 'P10 and P12 skipped the form', '', '2026-09-05T12:00:00.000Z', 'recProject1');
+		INSERT INTO journal_entries VALUES ('journal-xp1', 'recProject1', 'procedures', 'Moved XP1 to the new room', '', '2026-09-05T12:00:00.000Z', 'recProject1');
+		INSERT INTO code_applications VALUES ('ca-p1', 'recProject1', 'journal-p1', 'code-contact', 'wanted a callback', '2026-09-05T13:00:00.000Z', 'recProject1', 'ca-p1');
+		INSERT INTO code_applications VALUES ('ca-p10', 'recProject1', 'journal-p10', 'code-usability', 'skipped the form', '2026-09-05T13:00:00.000Z', 'recProject1', 'ca-p10');
+	`);
+	const response = await exportParticipantSar(svc, request('p-3'), '', 'p-3', lead);
+	assert.equal(response.status, 200);
+	const sar = JSON.parse((await unzip(response))['participant.json']);
+	assert.deepEqual(
+		sar.journalMentions.map((row) => row.record_id),
+		['journal-p1']
+	);
+	assert.deepEqual(
+		sar.excerpts.map((row) => row.local_application_id),
+		['ca-p1']
+	);
+});
@@ -0,0 +1,422 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import { ensureLegalHoldsTable } from '../infra/cloudflare/src/service/legal-holds.js';
+import {
+	enforceRetention,
+	listRetentionRuns,
+	nextRetentionRunAt,
+	normaliseLawfulBasis,
+	previewRetention,
+	readRetentionRun,
+	resolveRetentionPolicies,
+} from '../infra/cloudflare/src/service/retention.js';
+import { serviceStub } from './helpers/d1-sqlite.mjs';
+
+/** R2 bucket stand-in with the list and delete calls retention uses. */
+function fakeBucket(objects) {
+	const store = new Map(objects.map((object) => [object.key, object]));
+	return {
+		store,
+		async list({ prefix = '' } = {}) {
+			return {
+				objects: [...store.values()].filter((object) => object.key.startsWith(prefix)),
+				truncated: false,
+			};
+		},
+		async delete(key) {
+			store.delete(key);
+		},
+	};
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const scheduledTime = nextRetentionRunAt();
+const daysBefore = (days) => new Date(scheduledTime - days * DAY_MS).toISOString();
+
+function seed(db) {
+	db.exec(`
+		CREATE TABLE rops_consent_forms (id TEXT PRIMARY KEY, study_id TEXT NOT NULL, status TEXT NOT NULL, version INTEGER NOT NULL DEFAULT 1, variables_json TEXT NOT NULL DEFAULT '{}', published_at TEXT, updated_at TEXT NOT NULL, active INTEGER NOT NULL DEFAULT 1);
+		CREATE TABLE rops_participants_cache (id TEXT PRIMARY KEY, project_id TEXT, study_id TEXT NOT NULL, active INTEGER NOT NULL DEFAULT 1, created_at TEXT, updated_at TEXT NOT NULL, sensitive_contact_json TEXT, payload_json TEXT);
+		CREATE TABLE rops_participant_consent_cache (id TEXT PRIMARY KEY, study_id TEXT NOT NULL, participant_id TEXT NOT NULL, recorded_at TEXT, created_at TEXT NOT NULL, updated_at TEXT NOT NULL);
+		CREATE TABLE rops_session_notes (id TEXT PRIMARY KEY, participant_id TEXT, study_id TEXT, start_iso TEXT NOT NULL, end_iso TEXT, created_at TEXT NOT NULL, updated_at TEXT NOT NULL);
+		CREATE TABLE rops_ethics_submission_documents (id TEXT PRIMARY KEY, study_id TEXT NOT NULL, project_id TEXT, object_key TEXT NOT NULL, html_object_key TEXT, pdf_object_key TEXT, created_at TEXT NOT NULL);
+	`);
+	const at = daysBefore(400);
+	db.prepare(
+		"INSERT INTO rops_consent_forms (id, study_id, status, version, variables_json, published_at, updated_at) VALUES ('cf_a', 'recStudyA', 'Published', 2, ?, ?, ?)"
+	).run(JSON.stringify({ lawfulBasis: 'dpv:Consent' }), at, at);
+	db.prepare(
+		"INSERT INTO rops_consent_forms (id, study_id, status, version, variables_json, published_at, updated_at) VALUES ('cf_b', 'recStudyB', 'Published', 1, ?, ?, ?)"
+	).run(JSON.stringify({ lawfulBasis: 'dpv:PublicInterest' }), at, at);
+
+	const participant = db.prepare(
+		'INSERT INTO rops_participants_cache (id, study_id, created_at, updated_at, sensitive_contact_json) VALUES (?, ?, ?, ?, ?)'
+	);
+	participant.run(
+		'p-a1',
+		'recStudyA',
+		daysBefore(232),
+		daysBefore(232),
+		'{"email":"a@example.com"}'
+	);
+	participant.run(
+		'p-b1',
+		'recStudyB',
+		daysBefore(232),
+		daysBefore(232),
+		'{"email":"b@example.com"}'
+	);
+	participant.run(
+		'p-b2',
+		'recStudyB',
+		daysBefore(413),
+		daysBefore(413),
+		'{"email":"c@example.com"}'
+	);
+
+	const consent = db.prepare(
+		'INSERT INTO rops_participant_consent_cache (id, study_id, participant_id, recorded_at, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)'
+	);
+	consent.run('pc-old', 'recStudyB', 'p-b2', daysBefore(450), daysBefore(450), daysBefore(450));
+	consent.run('pc-new', 'recStudyB', 'p-b1', daysBefore(30), daysBefore(30), daysBefore(30));
+
+	const note = db.prepare(
+		'INSERT INTO rops_session_notes (id, study_id, start_iso, created_at, updated_at) VALUES (?, ?, ?, ?, ?)'
+	);
+	note.run('note-old', 'recStudyB', daysBefore(232), daysBefore(232), daysBefore(232));
+	note.run('note-new', 'recStudyB', daysBefore(40), daysBefore(40), daysBefore(40));
+
+	db.prepare(
+		"INSERT INTO rops_ethics_submission_documents (id, study_id, object_key, html_object_key, pdf_object_key, created_at) VALUES ('esd-old', 'recStudyB', 'ethics-submissions/b/v1/esd-old.docx', 'ethics-submissions/b/v1/esd-old.html', 'ethics-submissions/b/v1/esd-old.pdf', ?)"
+	).run(daysBefore(2300));
+}
+
+function setup(env = {}) {
+	const db = new DatabaseSync(':memory:');
+	seed(db);
+	const bucket = fakeBucket([
+		{ key: 'recordings/recStudyA/s1.mp4', uploaded: new Date(daysBefore(140)) },
+		{ key: 'recordings/recStudyB/s2.mp4', uploaded: new Date(daysBefore(140)) },
+		{ key: 'ethics-submissions/b/v1/esd-old.docx', uploaded: new Date(daysBefore(2300)) },
+		{ key: 'ethics-submissions/b/v1/esd-old.html', uploaded: new Date(daysBefore(2300)) },
+		{ key: 'ethics-submissions/b/v1/esd-old.pdf', uploaded: new Date(daysBefore(2300)) },
+	]);
+	const svc = serviceStub(db, {
+		env: {
+			RESEARCHOPS_DOCUMENTS_R2: bucket,
+			RESEARCHOPS_RETENTION_ENFORCEMENT_ENABLED: 'true',
+			RESEARCHOPS_RETENTION_GRACE_DAYS: '7',
+			...env,
+		},
+	});
+	return { svc, db, bucket };
+}
+
+async function read(response) {
+	return { status: response.status, body: await response.json() };
+}
+
+const itemKey = (item) => `${item.dataClass}:${item.id}`;
+
+test('lawful basis values from the consent page map to policy keys', () => {
+	assert.equal(normaliseLawfulBasis('dpv:Consent'), 'consent');
+	assert.equal(normaliseLawfulBasis('dpv:PublicInterest'), 'public_task');
+	assert.equal(normaliseLawfulBasis('Public task'), 'public_task');
+	assert.equal(normaliseLawfulBasis('dpv:LegitimateInterest'), '');
+});
+
+test('deployment overrides change periods but never actions', () => {
+	const policies = resolveRetentionPolicies({
+		RESEARCHOPS_RETENTION_POLICIES: JSON.stringify({
+			recordings: { retainDays: 120, lawfulBasisDays: { consent: 60 } },
+			contact_details: { action: 'delete', retainDays: -1 },
+			unknown: { retainDays: 1 },
+		}),
+	});
+	assert.equal(policies.recordings.retainDays, 120);
+	assert.deepEqual(policies.recordings.lawfulBasisDays, { consent: 60 });
+	assert.equal(policies.contact_details.action, 'anonymise');
+	assert.equal(policies.contact_details.retainDays, 365);
+	assert.equal(policies.unknown, undefined);
+	assert.equal(
+		resolveRetentionPolicies({ RESEARCHOPS_RETENTION_POLICIES: 'not json' }).session_notes
+			.retainDays,
+		183
+	);
+});
+
+test('the next run is the following 02:17 UTC', () => {
+	assert.equal(
+		new Date(nextRetentionRunAt(Date.parse('2026-10-18T13:00:00.000Z'))).toISOString(),
+		'2026-10-19T02:17:00.000Z'
+	);
+	assert.equal(
+		new Date(nextRetentionRunAt(Date.parse('2026-10-18T01:00:00.000Z'))).toISOString(),
+		'2026-10-18T02:17:00.000Z'
+	);
+});
+
+test('preview lists what the next run would change per data class and study without changing it', async () => {
+	const { svc, db, bucket } = setup();
+	const { status, body } = await read(
+		await previewRetention(svc, '', new URL('https://api.example.test/api/retention/preview'))
+	);
+	assert.equal(status, 200);
+	assert.equal(body.scheduledTime, new Date(scheduledTime).toISOString());
+	assert.equal(body.enforcementEnabled, true);
+	assert.deepEqual(body.items.map(itemKey).sort(), [
+		'consent:pc-old',
+		'contact_details:p-a1',
+		'contact_details:p-b2',
+		'ethics_documents:esd-old',
+		'recordings:recordings/recStudyA/s1.mp4',
+		'session_notes:note-old',
+	]);
+	const consentBasis = body.items.find((item) => item.id === 'p-a1');
+	assert.equal(consentBasis.lawfulBasis, 'consent');
+	assert.equal(consentBasis.retainDays, 183);
+	assert.equal(consentBasis.action, 'anonymise');
+	assert.equal(body.items.find((item) => item.id === 'esd-old').objectKeys.length, 3);
+	assert.deepEqual(body.counts.contact_details, {
+		anonymise: 2,
+		delete: 0,
+		failed: 0,
+		skipped: 0,
+		unchanged: 0,
+	});
+
+	assert.equal(db.prepare('SELECT COUNT(*) AS n FROM rops_session_notes').get().n, 2);
+	assert.equal(bucket.store.size, 5);
+	assert.equal(
+		db.prepare("SELECT name FROM sqlite_master WHERE name = 'rops_retention_runs'").get(),
+		undefined
+	);
+
+	const scoped = await read(
+		await previewRetention(
+			svc,
+			'',
+			new URL('https://api.example.test/api/retention/preview?study=recStudyA')
+		)
+	);
+	assert.deepEqual(scoped.body.items.map(itemKey).sort(), [
+		'contact_details:p-a1',
+		'recordings:recordings/recStudyA/s1.mp4',
+	]);
+});
+
+test('the scheduled run changes exactly the previewed items and logs each one', async () => {
+	const { svc, db, bucket } = setup();
+	const preview = await read(
+		await previewRetention(svc, '', new URL('https://api.example.test/api/retention/preview'))
+	);
+	const result = await enforceRetention(svc.env, { scheduledTime });
+	assert.equal(result.ok, true);
+	assert.equal(result.status, 'completed');
+
+	const participants = db
+		.prepare(
+			'SELECT id, sensitive_contact_json, payload_json FROM rops_participants_cache ORDER BY id'
+		)
+		.all();
+	assert.deepEqual(
+		participants.map((row) => [row.id, row.sensitive_contact_json === null]),
+		[
+			['p-a1', true],
+			['p-b1', false],
+			['p-b2', true],
+		]
+	);
+	assert.equal(JSON.parse(participants[0].payload_json).retentionAnonymised, 1);
+	assert.deepEqual(
+		db
+			.prepare('SELECT id FROM rops_session_notes')
+			.all()
+			.map((row) => row.id),
+		['note-new']
+	);
+	assert.deepEqual(
+		db
+			.prepare('SELECT id FROM rops_participant_consent_cache')
+			.all()
+			.map((row) => row.id),
+		['pc-new']
+	);
+	assert.equal(db.prepare('SELECT COUNT(*) AS n FROM rops_ethics_submission_documents').get().n, 0);
+	assert.deepEqual([...bucket.store.keys()], ['recordings/recStudyB/s2.mp4']);
+
+	const runs = await read(
+		await listRetentionRuns(svc, '', new URL('https://api.example.test/api/retention/runs'))
+	);
+	assert.equal(runs.body.runs.length, 1);
+	assert.equal(runs.body.runs[0].id, result.runId);
+	assert.equal(runs.body.runs[0].counts.recordings.delete, 1);
+
+	const run = await read(await readRetentionRun(svc, '', result.runId));
+	assert.deepEqual(run.body.items.map(itemKey).sort(), preview.body.items.map(itemKey).sort());
+	assert.ok(run.body.items.every((item) => item.status === 'done'));
+
+	const missing = await readRetentionRun(svc, '', 'rr_missing');
+	assert.equal(missing.status, 404);
+});
+
+test('a failed item is logged and the rest of the run continues', async () => {
+	const { svc, db, bucket } = setup();
+	bucket.delete = async (key) => {
+		if (key.startsWith('ethics-submissions/')) throw new Error('R2 unavailable');
+		bucket.store.delete(key);
+	};
+	const result = await enforceRetention(svc.env, { scheduledTime });
+	assert.equal(result.status, 'completed_with_errors');
+	assert.equal(result.counts.ethics_documents.failed, 1);
+	assert.equal(db.prepare('SELECT COUNT(*) AS n FROM rops_ethics_submission_documents').get().n, 1);
+	assert.equal(db.prepare('SELECT COUNT(*) AS n FROM rops_session_notes').get().n, 1);
+	const item = db
+		.prepare("SELECT status, detail FROM rops_retention_run_items WHERE item_id = 'esd-old'")
+		.get();
+	assert.deepEqual({ ...item }, { status: 'failed', detail: 'R2 unavailable' });
+});
+
+test('a run with enforcement switched off is logged as skipped and changes nothing', async () => {
+	const { svc, db } = setup({ RESEARCHOPS_RETENTION_ENFORCEMENT_ENABLED: 'false' });
+	const result = await enforceRetention(svc.env, { scheduledTime });
+	assert.equal(result.skipped, 'retention_disabled');
+	assert.equal(db.prepare('SELECT COUNT(*) AS n FROM rops_session_notes').get().n, 2);
+	const run = db.prepare('SELECT status, skipped_reason FROM rops_retention_runs').get();
+	assert.deepEqual({ ...run }, { status: 'skipped', skipped_reason: 'retention_disabled' });
+});
+
+function placeHold(db, scopeType, scopeId, id = `lh_${scopeType}_${scopeId}`) {
+	db.prepare(
+		"INSERT INTO rops_legal_holds (id, scope_type, scope_id, reason, owner, review_date, placed_at) VALUES (?, ?, ?, 'foi_request', 'Information rights team', '2027-01-31', ?)"
+	).run(id, scopeType, scopeId, new Date().toISOString());
+	return id;
+}
+
+test('items under a legal hold are previewed and logged as skipped and left unchanged', async () => {
+	const { svc, db, bucket } = setup();
+	db.exec(
+		'CREATE TABLE rops_studies_cache (id TEXT PRIMARY KEY, project_id TEXT NOT NULL, updated_at TEXT NOT NULL)'
+	);
+	db.prepare(
+		"INSERT INTO rops_studies_cache (id, project_id, updated_at) VALUES ('recStudyB', 'recProject1', ?)"
+	).run(daysBefore(1));
+	await ensureLegalHoldsTable(svc.env);
+	const studyHold = placeHold(db, 'study', 'recStudyA');
+	const participantHold = placeHold(db, 'participant', 'p-b2');
+
+	const preview = await read(
+		await previewRetention(svc, '', new URL('https://api.example.test/api/retention/preview'))
+	);
+	const skipped = preview.body.items
+		.filter((item) => item.skipped)
+		.map((item) => [itemKey(item), item.skipped, item.legalHoldId]);
+	assert.deepEqual(skipped.sort(), [
+		['consent:pc-old', 'legal hold', participantHold],
+		['contact_details:p-a1', 'legal hold', studyHold],
+		['contact_details:p-b2', 'legal hold', participantHold],
+		['recordings:recordings/recStudyA/s1.mp4', 'legal hold', studyHold],
+	]);
+	assert.equal(preview.body.counts.contact_details.skipped, 2);
+	assert.equal(preview.body.counts.contact_details.anonymise, 0);
+
+	const result = await enforceRetention(svc.env, { scheduledTime });
+	assert.equal(result.status, 'completed');
+	assert.equal(result.counts.recordings.skipped, 1);
+	assert.equal(
+		db
+			.prepare(
+				'SELECT COUNT(*) AS n FROM rops_participants_cache WHERE sensitive_contact_json IS NULL'
+			)
+			.get().n,
+		0
+	);
+	assert.ok(bucket.store.has('recordings/recStudyA/s1.mp4'));
+	assert.deepEqual(
+		db
+			.prepare('SELECT id FROM rops_participant_consent_cache ORDER BY id')
+			.all()
+			.map((row) => row.id),
+		['pc-new', 'pc-old']
+	);
+	assert.equal(db.prepare('SELECT COUNT(*) AS n FROM rops_session_notes').get().n, 1);
+
+	const run = await read(await readRetentionRun(svc, '', result.runId));
+	const held = run.body.items.find((item) => item.id === 'p-a1');
+	assert.equal(held.status, 'skipped');
+	assert.equal(held.detail, 'legal hold');
+	assert.equal(held.legalHoldId, studyHold);
+
+	placeHold(db, 'project', 'recProject1');
+	const projectPreview = await read(
+		await previewRetention(
+			svc,
+			'',
+			new URL('https://api.example.test/api/retention/preview?study=recStudyB')
+		)
+	);
+	assert.ok(projectPreview.body.items.every((item) => item.skipped === 'legal hold'));
+});
+
+test('a hold placed while a run is in progress is still honoured', async () => {
+	const { svc, db, bucket } = setup();
+	db.exec(`
+		CREATE TABLE rops_comms_outbox (id TEXT PRIMARY KEY, participant_id TEXT NOT NULL, study_id TEXT, created_at TEXT NOT NULL, updated_at TEXT NOT NULL);
+		INSERT INTO rops_comms_outbox (id, participant_id, study_id, created_at, updated_at) VALUES ('msg-old', 'p-a1', 'recStudyA', '${daysBefore(400)}', '${daysBefore(400)}');
+	`);
+	const remove = bucket.delete;
+	bucket.delete = async (key) => {
+		if (key.startsWith('ethics-submissions/')) {
+			db.prepare('DELETE FROM rops_legal_holds').run();
+			placeHold(db, 'study', 'recStudyA');
+		}
+		await remove(key);
+	};
+	const result = await enforceRetention(svc.env, { scheduledTime });
+	assert.equal(result.status, 'completed');
+	assert.equal(db.prepare('SELECT COUNT(*) AS n FROM rops_comms_outbox').get().n, 1);
+	assert.ok(bucket.store.has('recordings/recStudyA/s1.mp4'));
+	const statuses = db
+		.prepare(
+			"SELECT item_id, status FROM rops_retention_run_items WHERE item_id IN ('msg-old', 'recordings/recStudyA/s1.mp4') ORDER BY item_id"
+		)
+		.all()
+		.map((row) => [row.item_id, row.status]);
+	assert.deepEqual(statuses, [
+		['msg-old', 'unchanged'],
+		['recordings/recStudyA/s1.mp4', 'unchanged'],
+	]);
+});
+
+test('a project hold placed while a run is in progress covers items whose project comes from their study', async () => {
+	const { svc, db, bucket } = setup();
+	db.exec(`
+		CREATE TABLE rops_studies_cache (id TEXT PRIMARY KEY, project_id TEXT NOT NULL, updated_at TEXT NOT NULL);
+		INSERT INTO rops_studies_cache (id, project_id, updated_at) VALUES ('recStudyA', 'recProjectA', '${daysBefore(1)}');
+		CREATE TABLE rops_comms_outbox (id TEXT PRIMARY KEY, participant_id TEXT NOT NULL, study_id TEXT, created_at TEXT NOT NULL, updated_at TEXT NOT NULL);
+		INSERT INTO rops_comms_outbox (id, participant_id, study_id, created_at, updated_at) VALUES ('msg-old', 'p-a1', 'recStudyA', '${daysBefore(400)}', '${daysBefore(400)}');
+	`);
+	const remove = bucket.delete;
+	let held = '';
+	bucket.delete = async (key) => {
+		if (key.startsWith('ethics-submissions/') && !held)
+			held = placeHold(db, 'project', 'recProjectA');
+		await remove(key);
+	};
+	const result = await enforceRetention(svc.env, { scheduledTime });
+	assert.equal(result.status, 'completed');
+	assert.equal(db.prepare('SELECT COUNT(*) AS n FROM rops_comms_outbox').get().n, 1);
+	assert.ok(bucket.store.has('recordings/recStudyA/s1.mp4'));
+	const statuses = db
+		.prepare(
+			"SELECT item_id, status FROM rops_retention_run_items WHERE item_id IN ('msg-old', 'recordings/recStudyA/s1.mp4') ORDER BY item_id"
+		)
+		.all()
+		.map((row) => [row.item_id, row.status]);
+	assert.deepEqual(statuses, [
+		['msg-old', 'unchanged'],
+		['recordings/recStudyA/s1.mp4', 'unchanged'],
+	]);
+});
@@ -7,6 +7,10 @@ const templateSource = fs.readFileSync("src/govuk/templates/pages/search.njk", "
 const controllerSource = fs.readFileSync("public/js/search-page.js", "utf8");
 const stylesheetSource = fs.readFileSync("public/css/search.css", "utf8");
 const generatedCssTargetsSource = fs.readFileSync("scripts/styles/generated-css-targets.mjs", "utf8");
+const workerSource = fs.readFileSync("infra/cloudflare/src/worker.js", "utf8");
+const serviceIndexSource = fs.readFileSync("infra/cloudflare/src/service/index.js", "utf8");
+const searchServiceSource = fs.readFileSync("infra/cloudflare/src/service/search.js", "utf8");
+const searchMigrationSource = fs.readFileSync("infra/cloudflare/migrations/0035_search_index.sql", "utf8");
 
 function includes(source, text, label) {
   assert.equal(source.includes(text), true, `Expected ${label} to include: ${text}`);
@@ -72,6 +76,28 @@ includes(controllerSource, "window.__ropsSearch", "search page controller");
 includes(controllerSource, "govuk-summary-card", "search page controller");
 includes(controllerSource, "govuk-tag", "search page controller");
 includes(controllerSource, "govuk-details", "search page controller");
+includes(controllerSource, "/api/search?", "search page controller");
+includes(controllerSource, "credentials: \"include\"", "search page controller");
+includes(controllerSource, "function renderFacets", "search page controller");
+includes(controllerSource, "function runLocalSearch", "search page controller");
+includes(controllerSource, "result.snippetHtml", "search page controller");
+includes(pageSource, "id=\"search-facets\"", "search page");
+includes(pageSource, "id=\"search-status\"", "search page");
+includes(pageSource, "value=\"journal_entry\"", "search page");
+includes(pageSource, "value=\"repository_artefact\"", "search page");
+
+includes(workerSource, "[\"route_api_search_get\", \"GET\", \"/api/search\", \"[]\", 1]", "worker route permissions");
+includes(workerSource, "[\"route_api_search_reindex_post\", \"POST\", \"/api/search/reindex\", \"[\\\"research.content.manage\\\"]\", 1]", "worker route permissions");
+includes(workerSource, "async function searchableTypesFor(request, env, authContext)", "worker search permissions");
+includes(workerSource, "[\"journal_entry\", \"/api/journal-entries\"]", "worker search permissions");
+includes(workerSource, "[\"repository_artefact\", \"/api/repository/artefacts\"]", "worker search permissions");
+includes(workerSource, "result = await handleSearch(request, env, apiPath)", "worker dispatch");
+includes(serviceIndexSource, "searchResearchOps = (origin, url, types) => Search.searchResearchOps(this, origin, url, types);", "service index");
+includes(searchServiceSource, "USING fts5(", "search service");
+includes(searchServiceSource, "bm25(", "search service");
+includes(searchServiceSource, "WHERE ${publicWhereSql()}", "search service");
+includes(searchMigrationSource, "CREATE VIRTUAL TABLE IF NOT EXISTS rops_search_index USING fts5(", "search migration");
+includes(searchMigrationSource, "CREATE TABLE IF NOT EXISTS rops_search_index_state", "search migration");
 
 includes(stylesheetSource, "Repo:       /src/styles/researchops-utility-pages.scss", "search stylesheet");
 includes(stylesheetSource, ".researchops-utility-page__section", "search stylesheet");
@@ -0,0 +1,202 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import { removeFromSearchIndex } from '../infra/cloudflare/src/service/internals/search-index.js';
+import {
+	SEARCH_DOC_TYPES,
+	rebuildSearchIndex,
+	refreshSearchIndex,
+	reindexSearch,
+	searchResearchOps,
+} from '../infra/cloudflare/src/service/search.js';
+import { serviceStub } from './helpers/d1-sqlite.mjs';
+
+function seed(db) {
+	db.exec(`
+		CREATE TABLE journal_entries (record_id TEXT PRIMARY KEY, project TEXT, category TEXT, content TEXT, tags TEXT, createdat TEXT, local_project_id TEXT);
+		CREATE TABLE memos (record_id TEXT, project TEXT, type TEXT, title TEXT, body TEXT, createdat TEXT, local_project_id TEXT, local_memo_id TEXT PRIMARY KEY);
+		CREATE TABLE codes (record_id TEXT, project TEXT, name TEXT, description TEXT, parentcode TEXT, colour TEXT, createdat TEXT, local_project_id TEXT, local_code_id TEXT PRIMARY KEY);
+		CREATE TABLE code_applications (record_id TEXT, project TEXT, entry TEXT, code TEXT, excerpt TEXT, createdat TEXT, local_project_id TEXT, local_application_id TEXT PRIMARY KEY);
+		CREATE TABLE rops_session_notes (id TEXT PRIMARY KEY, session_id TEXT, study_id TEXT, category TEXT, framework TEXT, content_html TEXT, content_plain TEXT, updated_at TEXT, active INTEGER NOT NULL DEFAULT 1);
+		CREATE TABLE rops_studies_cache (id TEXT PRIMARY KEY, project_id TEXT NOT NULL, study_id TEXT, title TEXT);
+		CREATE TABLE rops_projects_cache (id TEXT PRIMARY KEY, name TEXT NOT NULL);
+		CREATE TABLE rops_repository_artefacts (id TEXT PRIMARY KEY, title TEXT, summary TEXT, artefact_type TEXT, status TEXT, method TEXT, service_area TEXT, user_group TEXT, risk_area TEXT, source_project_id TEXT, source_study_id TEXT, limitations TEXT, reuse_guidance TEXT, pii_cleared INTEGER, consent_scope_confirmed INTEGER, active INTEGER, updated_at TEXT);
+		CREATE TABLE rops_repository_artefact_tags (artefact_id TEXT, tag_slug TEXT, tag_label TEXT, tag_type TEXT);
+
+		INSERT INTO rops_projects_cache VALUES ('proj-a', 'Visa letters'), ('proj-b', 'Passport renewals');
+		INSERT INTO rops_studies_cache VALUES ('study-1', 'proj-a', 'S1', 'Letter usability');
+		INSERT INTO journal_entries VALUES ('entry-1', 'proj-a', 'perceptions', 'People do not <b>trust</b> the letters they receive', '["letters"]', '2026-10-01T09:00:00.000Z', NULL);
+		INSERT INTO journal_entries VALUES ('entry-2', 'proj-b', 'procedures', 'Renewal forms ask for the same thing twice', '[]', '2026-10-02T09:00:00.000Z', NULL);
+		INSERT INTO codes VALUES ('code-trust', 'proj-a', 'Trust', 'Whether people believe what they are told', NULL, NULL, '2026-09-01T09:00:00.000Z', NULL, 'code-trust');
+		INSERT INTO code_applications VALUES ('app-1', 'proj-a', 'entry-1', 'code-trust', 'do not trust the letters', '2026-10-01T09:05:00.000Z', NULL, 'app-1');
+		INSERT INTO memos VALUES ('memo-1', 'proj-a', 'analytic', 'Trust and tone', 'The tone of letters affects trust', '2026-10-03T09:00:00.000Z', NULL, 'memo-1');
+		INSERT INTO rops_session_notes VALUES ('note-1', 'session-1', 'study-1', 'pain point', 'notes', '<p>Participant said the letter felt <em>threatening</em></p>', NULL, '2026-10-04T09:00:00.000Z', 1);
+		INSERT INTO rops_session_notes VALUES ('note-2', 'session-1', 'study-1', 'pain point', 'notes', '<p>Deleted threatening note</p>', NULL, '2026-10-04T09:00:00.000Z', 0);
+		INSERT INTO rops_repository_artefacts VALUES ('art-1', 'Letters and trust', 'Plain letters are trusted more', 'insight', 'published', 'interviews', 'immigration', 'applicants', NULL, 'proj-a', 'study-1', NULL, NULL, 1, 1, 1, '2026-10-05T09:00:00.000Z');
+		INSERT INTO rops_repository_artefacts VALUES ('art-2', 'Draft trust finding', 'Not cleared yet', 'insight', 'candidate', NULL, NULL, NULL, NULL, 'proj-a', NULL, NULL, NULL, 0, 0, 1, '2026-10-05T09:00:00.000Z');
+		INSERT INTO rops_repository_artefact_tags VALUES ('art-1', 'tone', 'Tone of voice', 'tag');
+	`);
+}
+
+function service() {
+	const db = new DatabaseSync(':memory:');
+	seed(db);
+	const logs = [];
+	const record = (event) => logs.push(event);
+	return { db, logs, ...serviceStub(db, { log: { info: record, warn: record, error: record } }) };
+}
+
+async function search(svc, params, types = SEARCH_DOC_TYPES) {
+	const url = new URL('https://example.test/api/search');
+	for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+	const response = await searchResearchOps(svc, '', url, [...types]);
+	return { status: response.status, body: await response.json() };
+}
+
+test('rebuild indexes every source type and leaves out inactive notes and unpublished artefacts', async () => {
+	const svc = service();
+	const summary = await rebuildSearchIndex(svc);
+
+	assert.deepEqual(summary.counts, {
+		journal_entry: 2,
+		session_note: 1,
+		memo: 1,
+		excerpt: 1,
+		code: 1,
+		repository_artefact: 1,
+	});
+	const keys = svc.db
+		.prepare('SELECT doc_key FROM rops_search_index ORDER BY doc_key')
+		.all()
+		.map((row) => row.doc_key);
+	assert.equal(keys.includes('session_note:note-2'), false);
+	assert.equal(keys.includes('repository_artefact:art-2'), false);
+});
+
+test('search ranks matches, highlights snippets safely and returns labelled facets', async () => {
+	const svc = service();
+	const { status, body } = await search(svc, { q: 'trust' });
+
+	assert.equal(status, 200);
+	assert.equal(body.ok, true);
+	assert.equal(body.total, 5);
+	assert.equal(
+		body.results.some((result) => result.id === 'repository_artefact:art-2'),
+		false
+	);
+	assert.equal(body.results[0].titleHtml.includes('<mark>'), true);
+	const entry = body.results.find((result) => result.id === 'journal_entry:entry-1');
+	assert.match(entry.snippetHtml, /<mark>trust<\/mark>/);
+	assert.equal(entry.snippetHtml.includes('<b>'), false);
+	assert.equal(entry.url, '/pages/journal/entry/?id=entry-1&project=proj-a');
+	assert.deepEqual(entry.codeIds, ['code-trust']);
+
+	assert.deepEqual(
+		body.facets.project.find((facet) => facet.value === 'proj-a'),
+		{ value: 'proj-a', label: 'Visa letters', count: 5 }
+	);
+	assert.deepEqual(body.facets.code, [{ value: 'code-trust', label: 'Trust', count: 3 }]);
+	assert.deepEqual(body.facets.study, [{ value: 'study-1', label: 'Letter usability', count: 1 }]);
+
+	const coded = await search(svc, { q: 'trust', code: 'code-trust' });
+	assert.deepEqual(coded.body.results.map((result) => result.type).sort(), [
+		'code',
+		'excerpt',
+		'journal_entry',
+	]);
+
+	const notes = await search(svc, { q: 'threat', study: 'study-1' });
+	assert.equal(notes.body.total, 1);
+	assert.equal(
+		notes.body.results[0].url,
+		'/pages/study/session/?id=study-1&project=proj-a&session=session-1'
+	);
+});
+
+test('types the caller cannot read are never counted, faceted or returned', async () => {
+	const svc = service();
+	const { body } = await search(svc, { q: 'trust' }, ['repository_artefact']);
+
+	assert.equal(body.total, 1);
+	assert.deepEqual(
+		body.results.map((result) => result.id),
+		['repository_artefact:art-1']
+	);
+	assert.deepEqual(body.facets.type, [
+		{ value: 'repository_artefact', label: 'Repository artefact', count: 1 },
+	]);
+	assert.deepEqual(body.facets.code, []);
+	assert.deepEqual(body.searchableTypes, ['repository_artefact']);
+
+	const asked = await search(svc, { q: 'trust', type: 'journal_entry' }, ['repository_artefact']);
+	assert.equal(asked.status, 200);
+	assert.deepEqual(asked.body.results, []);
+	assert.equal(asked.body.total, 0);
+});
+
+test('query syntax in user input is treated as words and empty queries are rejected', async () => {
+	const svc = service();
+	const quoted = await search(svc, { q: 'trust" OR title:* NEAR(' });
+	assert.equal(quoted.status, 200);
+	assert.equal(quoted.body.ok, true);
+
+	const empty = await search(svc, { q: '  "*  ' });
+	assert.equal(empty.status, 400);
+	assert.equal(empty.body.error, 'missing_query');
+});
+
+test('only one rebuild runs at a time and an abandoned claim is taken over', async () => {
+	const svc = service();
+	await rebuildSearchIndex(svc);
+	const claim = svc.db.prepare(
+		"UPDATE rops_search_index_state SET rebuild_started_at = ? WHERE id = 'default'"
+	);
+
+	claim.run(new Date().toISOString());
+	const busy = await reindexSearch(svc, '');
+	assert.equal(busy.status, 409);
+	assert.equal((await busy.json()).error, 'search_reindex_in_progress');
+	assert.equal(await refreshSearchIndex(svc), null);
+	assert.equal((await search(svc, { q: 'trust' })).body.total, 5, 'the old index still answers');
+
+	claim.run(new Date(Date.now() - 11 * 60_000).toISOString());
+	const taken = await reindexSearch(svc, '');
+	assert.equal(taken.status, 200);
+	const state = svc.db
+		.prepare("SELECT rebuild_started_at FROM rops_search_index_state WHERE id = 'default'")
+		.get();
+	assert.equal(state.rebuild_started_at, null);
+	assert.equal(
+		svc.db.prepare("SELECT name FROM sqlite_master WHERE name = 'rops_search_index_staging'").get(),
+		undefined
+	);
+});
+
+test('removed content leaves the index at once, even when a rebuild has already read it', async () => {
+	const svc = service();
+	await rebuildSearchIndex(svc);
+
+	svc.db.prepare("DELETE FROM rops_session_notes WHERE id = 'note-1'").run();
+	assert.equal(await removeFromSearchIndex(svc.env, 'session_note', ['note-1']), 1);
+	assert.equal((await search(svc, { q: 'threatening' })).body.total, 0);
+
+	const batch = svc.env.RESEARCHOPS_D1.batch;
+	let removed = false;
+	svc.env.RESEARCHOPS_D1.batch = async (statements) => {
+		if (!removed) {
+			removed = true;
+			await removeFromSearchIndex(svc.env, 'memo', ['memo-1']);
+		}
+		return batch(statements);
+	};
+	await rebuildSearchIndex(svc);
+
+	const keys = svc.db
+		.prepare('SELECT doc_key FROM rops_search_index ORDER BY doc_key')
+		.all()
+		.map((row) => row.doc_key);
+	assert.equal(keys.includes('memo:memo-1'), false);
+	assert.equal(keys.includes('session_note:note-1'), false);
+	assert.equal(keys.includes('journal_entry:entry-1'), true);
+});
@@ -93,7 +93,8 @@ function assertRetentionAndProductionConfigExist() {
 	assert.match(wrangler, /head_sampling_rate = 0\.1/);
 	assert.match(wrangler, /invocation_logs = false/);
 	assert.match(wrangler, /persist = false/);
-	assert.match(wrangler, /crons = \["17 2 \* \* \*"\]/);
+	assert.match(wrangler, /crons = \["17 2 \* \* \*", "\*\/10 \* \* \* \*"\]/);
+	assert.match(worker, /const RETENTION_CRON = "17 2 \* \* \*"/);
 	assert.doesNotMatch(previewWrangler, /http:\/\/localhost:8080/);
 	assert.match(previewWrangler, /id         = "8e2d88969b9e4be694868931bdba92f2"/);
 	assert.match(previewWrangler, /database_id = "48b35a2e-52e8-4bc0-a8cf-88a7a1536f04"/);
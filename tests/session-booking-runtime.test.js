@@ -0,0 +1,361 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import {
+	bookingDay,
+	bookingPortalIcs,
+	cancelBookingPortal,
+	createBookingLink,
+	createBookingSlots,
+	listBookingSlots,
+	readBookingPortal,
+	releaseBookingForSession,
+	saveBookingSettings,
+	slotConflict,
+	submitBookingPortal,
+	withdrawBookingSlot,
+} from '../infra/cloudflare/src/service/session-booking.js';
+import { serviceStub, stubFetch } from './helpers/d1-sqlite.mjs';
+
+function setup() {
+	const db = new DatabaseSync(':memory:');
+	db.exec(`
+		CREATE TABLE rops_studies_cache (id TEXT PRIMARY KEY, title TEXT, active INTEGER DEFAULT 1);
+		INSERT INTO rops_studies_cache VALUES ('recStudy', 'Applying for a permit', 1);
+		CREATE TABLE rops_participants_cache (id TEXT PRIMARY KEY, study_id TEXT, participant_airtable_id TEXT, participant_ref TEXT);
+		INSERT INTO rops_participants_cache VALUES ('p1', 'recStudy', 'recP1', 'P01');
+		INSERT INTO rops_participants_cache VALUES ('p2', 'recStudy', NULL, 'P02');
+		INSERT INTO rops_participants_cache VALUES ('p3', 'recStudy', 'recP3', 'P03');
+		CREATE TABLE rops_study_support_people (id TEXT PRIMARY KEY, study_id TEXT, name TEXT, role TEXT, email TEXT, attendance_scope TEXT, active INTEGER DEFAULT 1);
+		INSERT INTO rops_study_support_people VALUES ('sp1', 'recStudy', 'Nia Note', 'note_taker', 'nia@example.test', 'some_sessions', 1);
+		INSERT INTO rops_study_support_people VALUES ('sp2', 'recStudy', 'Omar Observer', 'observer', 'omar@example.test', 'some_sessions', 1);
+	`);
+	const svc = serviceStub(db, { env: { AIRTABLE_BASE_ID: 'appTest', AIRTABLE_API_KEY: 'key' } });
+	const airtable = { created: [], patched: [] };
+	const restore = stubFetch(async (url, init = {}) => {
+		const body = init.body ? JSON.parse(init.body) : {};
+		if (String(url).endsWith('/Sessions') && init.method === 'POST') {
+			const fields = body.records[0].fields;
+			const record = { id: `recSession${airtable.created.length + 1}`, fields };
+			airtable.created.push(record);
+			return new Response(JSON.stringify({ records: [record] }), { status: 200 });
+		}
+		if (String(url).endsWith('/Sessions') && init.method === 'PATCH') {
+			airtable.patched.push(body.records[0]);
+			return new Response(JSON.stringify({ records: [body.records[0]] }), { status: 200 });
+		}
+		return new Response('{}', { status: 404 });
+	});
+	return { db, svc, airtable, restore };
+}
+
+const auth = { user: { email: 'lead@example.test' } };
+
+function request(body, method = 'POST') {
+	return new Request('https://researchops.test/api/booking', {
+		method,
+		body: JSON.stringify(body),
+	});
+}
+
+function at(days, hour, minute = 0) {
+	const date = new Date();
+	date.setUTCDate(date.getUTCDate() + days);
+	date.setUTCHours(hour, minute, 0, 0);
+	return date.toISOString();
+}
+
+async function issueLink(svc, participantId) {
+	const response = await createBookingLink(
+		svc,
+		request({ studyId: 'recStudy', participantId }),
+		'https://researchops.test',
+		auth
+	);
+	assert.equal(response.status, 201);
+	return new URL((await response.json()).url).searchParams.get('token');
+}
+
+test('slots respect the buffer, known note takers and settings', async () => {
+	const { svc, restore } = setup();
+	try {
+		const settings = await saveBookingSettings(
+			svc,
+			request(
+				{
+					studyId: 'recStudy',
+					durationMin: 45,
+					bufferMin: 30,
+					dailyCap: 2,
+					locationOrLink: 'https://meet.example.test/abc',
+				},
+				'PUT'
+			),
+			'',
+			auth
+		);
+		assert.equal(settings.status, 200);
+		assert.equal((await settings.json()).settings.bufferMin, 30);
+
+		const response = await createBookingSlots(
+			svc,
+			request({
+				studyId: 'recStudy',
+				slots: [
+					{ startsAt: at(3, 9), noteTakerIds: ['sp1'] },
+					{ startsAt: at(3, 10) },
+					{ startsAt: at(3, 10, 30) },
+					{ startsAt: at(3, 14), noteTakerIds: ['sp2'] },
+					{ startsAt: at(-1, 9) },
+				],
+			}),
+			'',
+			auth
+		);
+		const body = await response.json();
+		assert.equal(response.status, 201);
+		assert.equal(body.created.length, 2);
+		assert.equal(
+			body.created[0].endsAt,
+			new Date(Date.parse(at(3, 9)) + 45 * 60_000).toISOString()
+		);
+		assert.deepEqual(body.created[0].noteTakers, [{ id: 'sp1', name: 'Nia Note' }]);
+		assert.deepEqual(
+			body.rejected.map((item) => item.reason),
+			['overlaps_slot', 'unknown_note_taker', 'in_past']
+		);
+		assert.equal(body.created[1].day, bookingDay(at(3, 10, 30)));
+
+		const list = await (
+			await listBookingSlots(
+				svc,
+				'',
+				new URL('https://researchops.test/api/booking/slots?study=recStudy')
+			)
+		).json();
+		assert.equal(list.slots.length, 2);
+		assert.equal(list.settings.dailyCap, 2);
+		assert.equal((await withdrawBookingSlot(svc, '', list.slots[1].id)).status, 200);
+		assert.equal(
+			slotConflict(
+				{ starts_at: at(3, 9, 50), ends_at: at(3, 10, 30) },
+				[{ starts_at: at(3, 9), ends_at: at(3, 9, 45) }],
+				0
+			),
+			null
+		);
+	} finally {
+		restore();
+	}
+});
+
+test('participants book a slot once, cannot take a booked slot and cancelling releases it', async () => {
+	const { svc, airtable, restore } = setup();
+	try {
+		await saveBookingSettings(
+			svc,
+			request({ studyId: 'recStudy', dailyCap: 1, bufferMin: 0 }, 'PUT'),
+			'',
+			auth
+		);
+		const { created } = await (
+			await createBookingSlots(
+				svc,
+				request({
+					studyId: 'recStudy',
+					slots: [
+						{ startsAt: at(4, 9), noteTakerIds: ['sp1'] },
+						{ startsAt: at(4, 13) },
+						{ startsAt: at(5, 9) },
+					],
+				}),
+				'',
+				auth
+			)
+		).json();
+		const [morning, afternoon, nextDay] = created;
+		const first = await issueLink(svc, 'p1');
+		const second = await issueLink(svc, 'p2');
+
+		const portal = await (
+			await readBookingPortal(
+				svc,
+				'',
+				new URL(`https://researchops.test/api/booking-portal?token=${first}`)
+			)
+		).json();
+		assert.equal(portal.study.title, 'Applying for a permit');
+		assert.equal(portal.slots.length, 3);
+
+		const booked = await submitBookingPortal(
+			svc,
+			request({ token: first, slotId: morning.id }),
+			''
+		);
+		const booking = (await booked.json()).booking;
+		assert.equal(booked.status, 201);
+		assert.equal(booking.sessionId, 'recSession1');
+		assert.deepEqual(airtable.created[0].fields.Participant, ['recP1']);
+		assert.match(airtable.created[0].fields.Notes, /Note takers: Nia Note\./);
+
+		const taken = await submitBookingPortal(
+			svc,
+			request({ token: second, slotId: morning.id }),
+			''
+		);
+		assert.equal(taken.status, 409);
+		assert.equal((await taken.json()).error, 'slot_taken');
+		const dayFull = await submitBookingPortal(
+			svc,
+			request({ token: second, slotId: afternoon.id }),
+			''
+		);
+		assert.equal((await dayFull.json()).error, 'day_full');
+		const again = await submitBookingPortal(svc, request({ token: first, slotId: nextDay.id }), '');
+		assert.equal((await again.json()).error, 'already_booked');
+
+		const secondView = await (
+			await readBookingPortal(
+				svc,
+				'',
+				new URL(`https://researchops.test/api/booking-portal?token=${second}`)
+			)
+		).json();
+		assert.deepEqual(
+			secondView.slots.map((slot) => slot.id),
+			[nextDay.id]
+		);
+
+		const ics = await bookingPortalIcs(
+			svc,
+			'',
+			new URL(`https://researchops.test/api/booking-portal/ics?token=${first}`)
+		);
+		assert.equal(ics.headers.get('Content-Type'), 'text/calendar; charset=utf-8');
+		assert.match(await ics.text(), /UID:recSession1@researchops/);
+
+		const cancelled = await cancelBookingPortal(svc, request({ token: first }), '');
+		assert.equal(cancelled.status, 200);
+		assert.deepEqual(airtable.patched[0], { id: 'recSession1', fields: { Status: 'cancelled' } });
+
+		const rebooked = await submitBookingPortal(
+			svc,
+			request({ token: second, slotId: morning.id }),
+			''
+		);
+		assert.equal(rebooked.status, 201);
+		assert.equal(airtable.created[1].fields.Participant, undefined);
+		assert.equal(await releaseBookingForSession(svc, 'recSession2', 'Session cancelled'), true);
+		const list = await (
+			await listBookingSlots(
+				svc,
+				'',
+				new URL('https://researchops.test/api/booking/slots?study=recStudy')
+			)
+		).json();
+		assert.equal(list.slots.find((slot) => slot.id === morning.id).status, 'open');
+	} finally {
+		restore();
+	}
+});
+
+test('booking links are replaced by newer links', async () => {
+	const { svc, restore } = setup();
+	try {
+		const older = await issueLink(svc, 'p3');
+		const newer = await issueLink(svc, 'p3');
+		const revoked = await readBookingPortal(
+			svc,
+			'',
+			new URL(`https://researchops.test/api/booking-portal?token=${older}`)
+		);
+		assert.equal(revoked.status, 410);
+		assert.equal((await revoked.json()).error, 'booking_link_revoked');
+		assert.equal(
+			(
+				await readBookingPortal(
+					svc,
+					'',
+					new URL(`https://researchops.test/api/booking-portal?token=${newer}`)
+				)
+			).status,
+			200
+		);
+		assert.equal(
+			(
+				await readBookingPortal(
+					svc,
+					'',
+					new URL('https://researchops.test/api/booking-portal?token=nope')
+				)
+			).status,
+			404
+		);
+		const outsider = await createBookingLink(
+			svc,
+			request({ studyId: 'recOther', participantId: 'p3' }),
+			'',
+			auth
+		);
+		assert.equal(outsider.status, 404);
+	} finally {
+		restore();
+	}
+});
+
+test('slots published at the same time cannot overlap', async () => {
+	const { db, svc, restore } = setup();
+	try {
+		const responses = await Promise.all(
+			[at(4, 9), at(4, 9, 30)].map((startsAt) =>
+				createBookingSlots(svc, request({ studyId: 'recStudy', slots: [{ startsAt }] }), '', auth)
+			)
+		);
+		const bodies = await Promise.all(responses.map((response) => response.json()));
+		assert.equal(bodies.flatMap((body) => body.created).length, 1);
+		assert.deepEqual(
+			bodies.flatMap((body) => body.rejected.map((item) => item.reason)),
+			['overlaps_slot']
+		);
+		assert.equal(db.prepare('SELECT COUNT(*) AS n FROM rops_booking_slots').get().n, 1);
+	} finally {
+		restore();
+	}
+});
+
+test('a participant who has withdrawn consent cannot book', async () => {
+	const { db, svc, airtable, restore } = setup();
+	try {
+		const created = await createBookingSlots(
+			svc,
+			request({ studyId: 'recStudy', slots: [{ startsAt: at(5, 9) }] }),
+			'',
+			auth
+		);
+		const [slot] = (await created.json()).created;
+		const token = await issueLink(svc, 'p2');
+		const portal = new URL(`https://researchops.test/api/booking-portal?token=${token}`);
+		assert.equal((await readBookingPortal(svc, '', portal)).status, 200);
+
+		db.prepare(
+			`INSERT INTO rops_participant_consent_cache (id, study_id, participant_id, status, withdrawn, recorded_at, created_at, updated_at)
+			VALUES ('pc1', 'recStudy', 'p2', 'Withdrawn', 1, ?, ?, ?)`
+		).run(at(-1, 9), at(-1, 9), at(-1, 9));
+
+		const read = await readBookingPortal(svc, '', portal);
+		assert.equal(read.status, 410);
+		assert.equal((await read.json()).error, 'participant_consent_withdrawn');
+		const submitted = await submitBookingPortal(svc, request({ token, slotId: slot.id }), '');
+		assert.equal(submitted.status, 410);
+		assert.equal((await submitted.json()).error, 'participant_consent_withdrawn');
+		assert.equal(db.prepare('SELECT COUNT(*) AS n FROM rops_session_bookings').get().n, 0);
+		assert.equal(
+			db.prepare('SELECT status FROM rops_booking_slots WHERE id = ?').get(slot.id).status,
+			'open'
+		);
+		assert.equal(airtable.created.length, 0);
+	} finally {
+		restore();
+	}
+});
@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+const read = (file) => fs.readFileSync(file, "utf8");
+const includes = (source, text, label) => assert.equal(source.includes(text), true, `Expected ${label} to include: ${text}`);
+
+const service = read("infra/cloudflare/src/service/session-reminders.js");
+const sessions = read("infra/cloudflare/src/service/sessions.js");
+const ics = read("infra/cloudflare/src/service/internals/ics.js");
+const serviceIndex = read("infra/cloudflare/src/service/index.js");
+const router = read("infra/cloudflare/src/core/router.js");
+const worker = read("infra/cloudflare/src/worker.js");
+const retention = read("infra/cloudflare/src/service/retention.js");
+const migration = read("infra/cloudflare/migrations/0030_session_reminders.sql");
+const template = read("src/govuk/templates/pages/study-participants.njk");
+const page = read("public/pages/study/participants/index.html");
+const loader = read("public/js/participants-route-loader.js");
+const controller = read("public/pages/study/participants/session-reminders.js");
+
+includes(service, "rops_study_reminder_prefs", "session reminders preferences table");
+includes(service, "rops_session_calendar", "session reminders calendar sequence table");
+includes(service, "rops_session_reminders", "session reminders ledger");
+includes(service, "SESSION_REMINDERS_DRY_RUN", "session reminders dry-run switch");
+includes(service, "queueComms", "session reminders send through the comms outbox");
+includes(sessions, "await notifySessionChange(svc, record);", "updateSession change notices");
+includes(sessions, "buildSessionIcs({", "sessionIcs shared ICS builder");
+includes(ics, "SEQUENCE:", "ICS sequence");
+includes(ics, "METHOD:", "ICS method");
+includes(serviceIndex, "runSessionReminders = (options) => SessionReminders.runSessionReminders(this, options);", "service index");
+includes(router, '"/api/session-reminders/preferences"', "router");
+includes(router, '"/api/session-reminders/run"', "router");
+includes(worker, '["route_api_session_reminders_preferences_get", "GET", "/api/session-reminders/preferences", "[\\"study.view\\"]", 1]', "Worker permission register");
+includes(worker, '["route_api_session_reminders_run_post", "POST", "/api/session-reminders/run", "[\\"study.manage\\"]", 1]', "Worker permission register");
+includes(worker, "service.runSessionReminders({ now: scheduledTime })", "Worker scheduled handler");
+includes(retention, "DELETE FROM rops_session_reminders", "retention");
+includes(migration, "ALTER TABLE rops_comms_outbox ADD COLUMN recipient_type", "D1 migration");
+includes(migration, "UNIQUE (session_id, kind, recipient_type, recipient_id, sequence)", "D1 migration");
+includes(template, 'aria-labelledby="reminders-h"', "study participants template");
+includes(template, '<!-- route-state contract: src="/pages/study/participants/session-reminders.js" defer -->', "study participants template");
+includes(page, 'id="previewRemindersBtn"', "study participants page");
+includes(loader, "await import('/pages/study/participants/session-reminders.js?v=study-session-reminders-20261018');", "participants loader");
+includes(controller, "dry_run: true", "session reminders controller preview");
@@ -0,0 +1,381 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import { createFakeCommsProvider } from '../infra/cloudflare/src/service/comms/providers.js';
+import {
+	dueReminders,
+	notifySessionChange,
+	runSessionReminders,
+	saveReminderPreferences,
+	sessionCalendarFile,
+} from '../infra/cloudflare/src/service/session-reminders.js';
+import { createSession, updateSession } from '../infra/cloudflare/src/service/sessions.js';
+import { listSessions } from './helpers/airtable-sessions.mjs';
+import { serviceStub, stubFetch } from './helpers/d1-sqlite.mjs';
+
+const NOW = Date.parse('2026-07-01T09:00:00Z');
+const HOUR = 60 * 60_000;
+
+function record(id, startsAt, extra = {}) {
+	return {
+		id,
+		fields: {
+			Study: ['recStudy'],
+			Participant: ['recP1'],
+			'Starts At': startsAt,
+			'Duration (min)': 45,
+			'Location / Link': 'https://meet.example.test/abc',
+			Status: 'Scheduled',
+			...extra,
+		},
+	};
+}
+
+function setup(records = []) {
+	const db = new DatabaseSync(':memory:');
+	db.exec(`
+		CREATE TABLE rops_participants_cache (id TEXT PRIMARY KEY, study_id TEXT, participant_airtable_id TEXT, participant_ref TEXT, sensitive_contact_json TEXT, active INTEGER DEFAULT 1);
+		CREATE TABLE rops_participant_consent_cache (id TEXT PRIMARY KEY, participant_id TEXT, withdrawn INTEGER DEFAULT 0, active INTEGER DEFAULT 1);
+		CREATE TABLE rops_study_support_people (id TEXT PRIMARY KEY, study_id TEXT, name TEXT, role TEXT, email TEXT, attendance_scope TEXT, active INTEGER DEFAULT 1);
+		INSERT INTO rops_participants_cache VALUES ('p1', 'recStudy', 'recP1', 'P01', '{"first_name":"Amal","email":"amal@example.test"}', 1);
+		INSERT INTO rops_participants_cache VALUES ('p2', 'recStudy', 'recP2', 'P02', '{"first_name":"Sam","email":"sam@example.test"}', 1);
+		INSERT INTO rops_participant_consent_cache VALUES ('c2', 'p2', 1, 1);
+		INSERT INTO rops_study_support_people VALUES ('sp1', 'recStudy', 'Nia Note', 'note_taker', 'nia@example.test', 'all_sessions', 1);
+	`);
+	const provider = createFakeCommsProvider();
+	const svc = serviceStub(db, {
+		env: {
+			AIRTABLE_BASE_ID: 'appTest',
+			AIRTABLE_API_KEY: 'key',
+			SESSION_TEMPLATE_CONFIRMATION: 'tpl-confirm',
+			SESSION_TEMPLATE_REMINDER_24H: 'tpl-24h',
+			SESSION_TEMPLATE_REMINDER_1H: 'tpl-1h',
+			SESSION_TEMPLATE_RESCHEDULE: 'tpl-reschedule',
+			SESSION_TEMPLATE_CANCELLATION: 'tpl-cancel',
+		},
+		commsProvider: provider,
+	});
+	const airtable = { records, urls: [] };
+	const restore = stubFetch(async (url, init = {}) => {
+		const href = String(url);
+		const method = init.method || 'GET';
+		const ok = (body) => new Response(JSON.stringify(body), { status: 200 });
+		airtable.urls.push(href);
+		if (href.includes('/Sessions?')) return listSessions(airtable.records, new URL(href));
+		if (href.endsWith('/Sessions') && method === 'POST') {
+			const { fields } = JSON.parse(init.body).records[0];
+			const created = { id: `recNew${airtable.records.length + 1}`, fields };
+			airtable.records.push(created);
+			return ok({ records: [structuredClone(created)] });
+		}
+		if (href.endsWith('/Sessions') && method === 'PATCH') {
+			const { id, fields } = JSON.parse(init.body).records[0];
+			const found = airtable.records.find((r) => r.id === id);
+			Object.assign(found.fields, fields);
+			return ok({ records: [structuredClone(found)] });
+		}
+		const found = airtable.records.find((r) => href.endsWith(`/Sessions/${r.id}`));
+		if (found) return ok(structuredClone(found));
+		return new Response('{}', { status: 404 });
+	});
+	return { db, svc, provider, airtable, restore };
+}
+
+async function savePrefs(svc, prefs) {
+	const request = new Request(
+		'https://example.test/api/session-reminders/preferences?study=recStudy',
+		{
+			method: 'POST',
+			body: JSON.stringify(prefs),
+		}
+	);
+	const res = await saveReminderPreferences(svc, request, '', new URL(request.url));
+	assert.equal(res.status, 200);
+	return (await res.json()).preferences;
+}
+
+function decodeIcs(file) {
+	return Buffer.from(file.file, 'base64').toString('utf8');
+}
+
+test('dueReminders follows the study preferences and the time before the session', () => {
+	const prefs = { enabled: true, confirmation: true, reminder_24h: true, reminder_1h: true };
+	const at = (ms) => ({ starts_at: new Date(NOW + ms).toISOString(), status: 'scheduled' });
+	assert.deepEqual(dueReminders(at(72 * HOUR), prefs, NOW), ['confirmation']);
+	assert.deepEqual(dueReminders(at(20 * HOUR), prefs, NOW), ['confirmation', 'reminder_24h']);
+	assert.deepEqual(dueReminders(at(HOUR / 2), prefs, NOW), ['confirmation', 'reminder_1h']);
+	assert.deepEqual(dueReminders(at(-HOUR), prefs, NOW), []);
+	assert.deepEqual(dueReminders({ ...at(20 * HOUR), status: 'cancelled' }, prefs, NOW), []);
+	assert.deepEqual(dueReminders(at(20 * HOUR), { ...prefs, enabled: false }, NOW), []);
+	assert.deepEqual(dueReminders(at(20 * HOUR), { ...prefs, confirmation: false }, NOW), [
+		'reminder_24h',
+	]);
+});
+
+test('sessionCalendarFile keeps a stable UID and carries the sequence', () => {
+	const session = {
+		id: 'recS1',
+		starts_at: '2026-07-02T09:00:00Z',
+		duration_min: 45,
+		location_or_link: 'Room 1, Floor 2',
+	};
+	const ics = decodeIcs(sessionCalendarFile(session, 2, { cancelled: true }));
+	assert.match(ics, /UID:recS1@researchops/);
+	assert.match(ics, /SEQUENCE:2/);
+	assert.match(ics, /METHOD:CANCEL/);
+	assert.match(ics, /STATUS:CANCELLED/);
+	assert.match(ics, /DTEND:20260702T094500Z/);
+	assert.match(ics, /LOCATION:Room 1\\, Floor 2/);
+});
+
+test('runSessionReminders sends nothing for studies that have not opted in', async () => {
+	const { svc, provider, restore } = setup([
+		record('recS1', new Date(NOW + 20 * HOUR).toISOString()),
+	]);
+	try {
+		const result = await runSessionReminders(svc, { now: NOW });
+		assert.equal(result.ok, true);
+		assert.deepEqual(result.planned, []);
+		assert.equal(provider.sent.length, 0);
+	} finally {
+		restore();
+	}
+});
+
+test('a dry run plans messages without sending or recording them', async () => {
+	const { db, svc, provider, restore } = setup([
+		record('recS1', new Date(NOW + 20 * HOUR).toISOString()),
+	]);
+	try {
+		await savePrefs(svc, { enabled: true, notify_note_takers: true });
+		const result = await runSessionReminders(svc, { now: NOW, dryRun: true });
+		assert.equal(result.dry_run, true);
+		assert.deepEqual(
+			result.planned.map((item) => `${item.kind}:${item.recipient_type}:${item.template_id}`),
+			[
+				'confirmation:participant:tpl-confirm',
+				'reminder_24h:participant:tpl-24h',
+				'confirmation:note_taker:tpl-confirm',
+				'reminder_24h:note_taker:tpl-24h',
+			]
+		);
+		assert.equal(provider.sent.length, 0);
+		assert.equal(db.prepare('SELECT COUNT(*) AS n FROM rops_session_reminders').get().n, 0);
+		assert.equal(db.prepare('SELECT COUNT(*) AS n FROM rops_session_calendar').get().n, 0);
+	} finally {
+		restore();
+	}
+});
+
+test("the reminder run selects its studies' active upcoming sessions whatever field aliases the base uses", async () => {
+	const at = (hours) => new Date(NOW + hours * HOUR).toISOString();
+	const session = (id, study, startsAt, extra = {}) => ({
+		id,
+		fields: {
+			Studies: [study],
+			'Study Record ID': [study],
+			Participant: ['recP1'],
+			'Start Time': startsAt,
+			Status: 'Scheduled',
+			...extra,
+		},
+	});
+	const { svc, airtable, restore } = setup([
+		session('recDue', 'recStudy', at(20)),
+		session('recBlank', 'recStudy', at(30), { Status: '' }),
+		session('recOther', 'recOtherStudy', at(20)),
+		session('recPast', 'recStudy', at(-2)),
+		session('recCancelled', 'recStudy', at(20), { Status: 'Cancelled' }),
+	]);
+	try {
+		await savePrefs(svc, { enabled: true, reminder_24h: true, reminder_1h: true });
+		const result = await runSessionReminders(svc, { now: NOW, dryRun: true });
+		assert.equal(result.ok, true);
+		assert.deepEqual(
+			[...new Set(result.planned.map((item) => item.session_id))],
+			['recDue', 'recBlank']
+		);
+
+		const listed = airtable.urls
+			.map((href) => new URL(href))
+			.find((url) => url.searchParams.has('filterByFormula'));
+		const formula = listed.searchParams.get('filterByFormula');
+		assert.match(formula, /ARRAYJOIN\(\{Study Record ID\}\)/);
+		assert.match(formula, /IS_AFTER\(\{Start Time\}/);
+		assert.doesNotMatch(formula, /\{Study\}|\{Starts At\}/);
+	} finally {
+		restore();
+	}
+});
+
+test('without a study record ID field the run still keeps to its own studies', async () => {
+	const { svc, airtable, restore } = setup([
+		record('recS1', new Date(NOW + 20 * HOUR).toISOString()),
+		record('recS2', new Date(NOW + 20 * HOUR).toISOString(), { Study: ['recOtherStudy'] }),
+	]);
+	try {
+		await savePrefs(svc, { enabled: true, reminder_24h: true });
+		const result = await runSessionReminders(svc, { now: NOW, dryRun: true });
+		assert.equal(result.ok, true);
+		assert.deepEqual([...new Set(result.planned.map((item) => item.session_id))], ['recS1']);
+		assert.ok(airtable.urls.every((href) => !href.includes('ARRAYJOIN')));
+	} finally {
+		restore();
+	}
+});
+
+test('runSessionReminders sends each due message once with the session calendar file', async () => {
+	const { db, svc, provider, restore } = setup([
+		record('recS1', new Date(NOW + 20 * HOUR).toISOString()),
+	]);
+	try {
+		await savePrefs(svc, { enabled: true, notify_note_takers: true });
+		const first = await runSessionReminders(svc, { now: NOW });
+		assert.equal(first.sent, 4);
+		assert.deepEqual(
+			provider.sent.map((message) => `${message.templateId}:${message.to}`),
+			[
+				'tpl-confirm:amal@example.test',
+				'tpl-24h:amal@example.test',
+				'tpl-confirm:nia@example.test',
+				'tpl-24h:nia@example.test',
+			]
+		);
+		const ics = decodeIcs(provider.sent[0].personalisation.calendar_file);
+		assert.match(ics, /UID:recS1@researchops/);
+		assert.match(ics, /SEQUENCE:0/);
+		assert.equal(provider.sent[0].personalisation.first_name, 'Amal');
+
+		const second = await runSessionReminders(svc, { now: NOW + 10 * 60_000 });
+		assert.equal(second.sent, 0);
+		assert.equal(provider.sent.length, 4);
+
+		const staffRow = db
+			.prepare(
+				"SELECT recipient_type FROM rops_comms_outbox WHERE recipient = 'nia@example.test' LIMIT 1"
+			)
+			.get();
+		assert.equal(staffRow.recipient_type, 'note_taker');
+	} finally {
+		restore();
+	}
+});
+
+test('participants who withdrew consent are skipped and not retried', async () => {
+	const { db, svc, provider, restore } = setup([
+		record('recS2', new Date(NOW + 72 * HOUR).toISOString(), { Participant: ['recP2'] }),
+	]);
+	try {
+		await savePrefs(svc, { enabled: true });
+		const result = await runSessionReminders(svc, { now: NOW });
+		assert.equal(result.skipped, 1);
+		assert.equal(provider.sent.length, 0);
+		const ledger = db.prepare('SELECT status, detail FROM rops_session_reminders').get();
+		assert.equal(ledger.status, 'skipped');
+		assert.equal(ledger.detail, 'participant_consent_withdrawn');
+	} finally {
+		restore();
+	}
+});
+
+test('notifySessionChange sends reschedule and cancellation notices with a rising sequence', async () => {
+	const { svc, provider, restore } = setup();
+	try {
+		await savePrefs(svc, { enabled: true });
+		const original = record('recS1', '2026-07-03T09:00:00.000Z');
+
+		assert.equal((await notifySessionChange(svc, original)).change, '');
+		assert.equal(provider.sent.length, 0);
+
+		assert.equal(
+			(
+				await notifySessionChange(
+					svc,
+					record('recS1', '2026-07-03T09:00:00.000Z', { Notes: 'edited' })
+				)
+			).change,
+			''
+		);
+		assert.equal(provider.sent.length, 0);
+
+		const moved = await notifySessionChange(svc, record('recS1', '2026-07-04T13:00:00.000Z'));
+		assert.deepEqual([moved.change, moved.sequence], ['reschedule', 1]);
+		assert.equal(provider.sent[0].templateId, 'tpl-reschedule');
+		assert.equal(provider.sent[0].personalisation.previous_starts_at, '2026-07-03T09:00:00.000Z');
+		assert.match(decodeIcs(provider.sent[0].personalisation.calendar_file), /SEQUENCE:1/);
+
+		const cancelled = await notifySessionChange(
+			svc,
+			record('recS1', '2026-07-04T13:00:00.000Z', { Status: 'Cancelled' })
+		);
+		assert.deepEqual([cancelled.change, cancelled.sequence], ['cancellation', 2]);
+		const ics = decodeIcs(provider.sent[1].personalisation.calendar_file);
+		assert.match(ics, /METHOD:CANCEL/);
+		assert.match(ics, /SEQUENCE:2/);
+	} finally {
+		restore();
+	}
+});
+
+test('create, then reschedule, sends a notice', async () => {
+	const { db, svc, provider, restore } = setup();
+	try {
+		await savePrefs(svc, { enabled: true });
+		const created = await createSession(
+			svc,
+			new Request('https://example.test/api/sessions', {
+				method: 'POST',
+				body: JSON.stringify({
+					study_airtable_id: 'recStudy',
+					participant_airtable_id: 'recP1',
+					starts_at: '2026-07-03T09:00:00.000Z',
+					duration_min: 45,
+					type: 'Remote',
+					location_or_link: 'https://meet.example.test/abc',
+				}),
+			}),
+			''
+		);
+		const { id } = await created.json();
+		assert.equal(db.prepare('SELECT sequence FROM rops_session_calendar').get().sequence, 0);
+
+		const moved = await updateSession(
+			svc,
+			new Request(`https://example.test/api/sessions/${id}`, {
+				method: 'PATCH',
+				body: JSON.stringify({ starts_at: '2026-07-04T13:00:00.000Z' }),
+			}),
+			'',
+			id
+		);
+		assert.equal(moved.status, 200);
+		assert.equal(provider.sent.length, 1);
+		assert.equal(provider.sent[0].templateId, 'tpl-reschedule');
+		assert.match(decodeIcs(provider.sent[0].personalisation.calendar_file), /SEQUENCE:1/);
+	} finally {
+		restore();
+	}
+});
+
+test('a session first seen on reschedule is compared with its start before the write', async () => {
+	const { db, svc, provider, restore } = setup([record('recS9', '2026-07-03T09:00:00.000Z')]);
+	try {
+		await savePrefs(svc, { enabled: true });
+		const res = await updateSession(
+			svc,
+			new Request('https://example.test/api/sessions/recS9', {
+				method: 'PATCH',
+				body: JSON.stringify({ starts_at: '2026-07-05T10:00:00.000Z' }),
+			}),
+			'',
+			'recS9'
+		);
+		assert.equal(res.status, 200);
+		assert.equal(provider.sent.length, 1);
+		assert.equal(provider.sent[0].personalisation.previous_starts_at, '2026-07-03T09:00:00.000Z');
+		assert.equal(db.prepare('SELECT sequence FROM rops_session_calendar').get().sequence, 1);
+	} finally {
+		restore();
+	}
+});
@@ -0,0 +1,168 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import {
+	decideStudyEthicsRisk,
+	listStudyEthicsReviews,
+	readStudyEthicsRisk,
+	recordStudyEthicsRisk,
+	recruitmentEthicsGate,
+	submitStudyEthicsRisk,
+} from '../infra/cloudflare/src/service/study-ethics-risk.js';
+import { serviceStub } from './helpers/d1-sqlite.mjs';
+
+function service(env = {}) {
+	const db = new DatabaseSync(':memory:');
+	return { db, ...serviceStub(db, { env }) };
+}
+
+const researcher = {
+	user: { id: 'user-rae', email: 'rae@example.test', displayName: 'Rae Researcher' },
+	permissions: [{ code: 'study.ethics.manage' }],
+};
+const lead = {
+	user: { id: 'user-lee', email: 'lee@example.test', displayName: 'Lee Lead' },
+	permissions: [{ code: 'study.ethics.manage' }, { code: 'study.ethics.review' }],
+};
+
+const lowRiskAnswers = {
+	participants: ['professional-users'],
+	topics: ['none-sensitive-topics'],
+	setting: ['remote-private'],
+	data: ['no-sensitive-data'],
+	recruitment: 'open-voluntary',
+	researcherSupport: ['no-additional-support'],
+};
+
+function post(body) {
+	return new Request('https://example.test/api', {
+		method: 'POST',
+		headers: { 'content-type': 'application/json' },
+		body: JSON.stringify(body),
+	});
+}
+
+async function read(response) {
+	return { status: response.status, body: await response.json() };
+}
+
+async function record(svc, answers, who = researcher) {
+	return read(await recordStudyEthicsRisk(svc, post({ studyId: 'study-1', answers }), '', who));
+}
+
+async function decide(svc, action, comment, who = lead) {
+	return read(
+		await decideStudyEthicsRisk(svc, post({ studyId: 'study-1', action, comment }), '', who)
+	);
+}
+
+test('the Worker evaluates the risk outcome and ignores any outcome sent by the client', async () => {
+	const svc = service();
+	const incomplete = await record(svc, { participants: ['children'] });
+	assert.equal(incomplete.status, 400);
+	assert.equal(incomplete.body.error, 'incomplete_assessment');
+
+	const request = post({
+		studyId: 'study-1',
+		answers: { ...lowRiskAnswers, participants: ['children'] },
+		outcome: { route: 'standard-controls', ready: true },
+	});
+	const { status, body } = await read(await recordStudyEthicsRisk(svc, request, '', researcher));
+	assert.equal(status, 201);
+	assert.equal(body.ethicsRisk.version, 1);
+	assert.equal(body.ethicsRisk.status, 'draft');
+	assert.equal(body.ethicsRisk.outcome.route, 'ethics-board-submission-likely');
+	assert.equal(body.ethicsRisk.outcome.ready, false);
+	assert.equal(body.ethicsRisk.recordedBy, 'Rae Researcher');
+	assert.deepEqual(body.ethicsRisk.answers.participants, ['children']);
+	assert.equal(body.ethicsRisk.recruitment.allowed, false);
+});
+
+test('an assessment moves through review and recruitment opens only when approved', async () => {
+	const svc = service();
+	await record(svc, lowRiskAnswers);
+
+	const early = await decide(svc, 'approve', '');
+	assert.equal(early.status, 409);
+	assert.equal(early.body.error, 'invalid_status_transition');
+
+	const submitted = await read(
+		await submitStudyEthicsRisk(svc, post({ studyId: 'study-1' }), '', researcher)
+	);
+	assert.equal(submitted.body.ethicsRisk.status, 'submitted');
+	const queue = await read(
+		await listStudyEthicsReviews(
+			svc,
+			'',
+			new URL('https://example.test/api/study-ethics-risk/reviews')
+		)
+	);
+	assert.deepEqual(
+		queue.body.reviews.map((item) => [item.studyId, item.status, item.route]),
+		[['study-1', 'submitted', 'managed-risk']]
+	);
+
+	const ownReview = await decide(svc, 'approve', '', {
+		...researcher,
+		permissions: lead.permissions,
+	});
+	assert.equal(ownReview.status, 403);
+	assert.equal(ownReview.body.error, 'reviewer_is_author');
+
+	const noComment = await decide(svc, 'request_changes', '');
+	assert.equal(noComment.status, 400);
+	assert.equal(noComment.body.error, 'comment_required');
+
+	const changes = await decide(svc, 'request_changes', 'Say how sessions are recorded.');
+	assert.equal(changes.body.ethicsRisk.status, 'changes_requested');
+	assert.equal((await recruitmentEthicsGate(svc, 'study-1')).allowed, false);
+
+	await read(await submitStudyEthicsRisk(svc, post({ studyId: 'study-1' }), '', researcher));
+	await decide(svc, 'escalate', 'Needs the governance board.');
+	assert.equal((await decide(svc, 'escalate', 'Again')).status, 409);
+	const approved = await decide(svc, 'approve', '');
+	assert.equal(approved.body.ethicsRisk.status, 'approved');
+	assert.deepEqual(await recruitmentEthicsGate(svc, 'study-1'), {
+		allowed: true,
+		reason: '',
+		status: 'approved',
+	});
+	assert.deepEqual(
+		approved.body.ethicsRisk.reviews.map((review) => review.action),
+		['approve', 'escalate', 'submit', 'request_changes', 'submit']
+	);
+});
+
+test('recording new answers starts a new draft version and withdraws approval', async () => {
+	const svc = service();
+	await record(svc, lowRiskAnswers);
+	await submitStudyEthicsRisk(svc, post({ studyId: 'study-1' }), '', researcher);
+	await decide(svc, 'approve', '');
+
+	const second = await record(svc, { ...lowRiskAnswers, data: ['recording-capture'] });
+	assert.equal(second.body.ethicsRisk.version, 2);
+	assert.equal(second.body.ethicsRisk.status, 'draft');
+	assert.equal(second.body.ethicsRisk.outcome.route, 'sensitive-research-controls');
+	assert.deepEqual(
+		second.body.ethicsRisk.versions.map((item) => item.version),
+		[2, 1]
+	);
+	assert.equal((await recruitmentEthicsGate(svc, 'study-1')).allowed, false);
+
+	const url = new URL('https://example.test/api/study-ethics-risk?study=study-1');
+	const current = await read(await readStudyEthicsRisk(svc, '', url, lead));
+	assert.equal(current.body.ethicsRisk.version, 2);
+	assert.equal(current.body.ethicsRisk.canReview, true);
+	assert.equal(current.body.ethicsRisk.isAuthor, false);
+});
+
+test('studies without an assessment can recruit unless approval is required everywhere', async () => {
+	assert.equal((await recruitmentEthicsGate(service(), 'study-new')).allowed, true);
+	const strict = await recruitmentEthicsGate(
+		service({ ETHICS_APPROVAL_REQUIRED: 'true' }),
+		'study-new'
+	);
+	assert.equal(strict.allowed, false);
+	assert.equal(strict.status, '');
+});
@@ -17,6 +17,11 @@ const wranglerSource = fs.readFileSync("infra/cloudflare/wrangler.toml", "utf8")
 const serviceIndexSource = fs.readFileSync("infra/cloudflare/src/service/index.js", "utf8");
 const documentsServiceSource = fs.readFileSync("infra/cloudflare/src/service/ethics-submission-documents.js", "utf8");
 const documentsMigrationSource = fs.readFileSync("infra/cloudflare/migrations/0026_ethics_submission_documents.sql", "utf8");
+const reviewServiceSource = fs.readFileSync("infra/cloudflare/src/service/study-ethics-risk.js", "utf8");
+const reviewMigrationSource = fs.readFileSync("infra/cloudflare/migrations/0037_study_ethics_review.sql", "utf8");
+const participantsServiceSource = fs.readFileSync("infra/cloudflare/src/service/participants.js", "utf8");
+const renditionsMigrationSource = fs.readFileSync("infra/cloudflare/migrations/0038_ethics_submission_renditions.sql", "utf8");
+const renditionsSource = fs.readFileSync("infra/cloudflare/src/service/internals/ethics-submission-renditions.js", "utf8");
 
 function includes(source, text, label) {
 	assert.equal(source.includes(text), true, `Expected ${label} to include: ${text}`);
@@ -456,3 +461,108 @@ excludes(pageSource, "<div id=\"study-ethics-risk-triggers\"", "ethics risk page
 excludes(pageSource, "<div id=\"study-ethics-risk-controls\"", "ethics risk page");
 excludes(pageSource, "<ul id=\"study-ethics-risk-triggers\"", "ethics risk page");
 excludes(pageSource, "<ul id=\"study-ethics-risk-controls\"", "ethics risk page");
+
+for (const text of [
+	"id=\"study-ethics-review\"",
+	"id=\"study-ethics-review-tag\"",
+	"id=\"study-ethics-review-recruitment\"",
+	"id=\"study-ethics-review-submit\"",
+	"id=\"study-ethics-review-decision-form\"",
+	"value=\"request_changes\"",
+	"id=\"study-ethics-review-comment\"",
+	"id=\"study-ethics-review-history\""
+]) {
+	includes(pageSource, text, "ethics risk page review panel");
+}
+
+for (const text of [
+	"export async function submitStudyEthicsRiskForReview",
+	"export async function recordStudyEthicsRiskDecision",
+	"function outcomeFromServer",
+	"\"/api/study-ethics-risk/submit\"",
+	"\"/api/study-ethics-risk/decisions\"",
+	"\"X-ResearchOps-CSRF\": \"1\""
+]) {
+	includes(modelSource, text, "ethics risk model review workflow");
+}
+
+for (const text of ["function renderReview", "function bindReview", "submitStudyEthicsRiskForReview", "recordStudyEthicsRiskDecision"]) {
+	includes(controllerSource, text, "ethics risk controller review workflow");
+}
+
+for (const text of [
+	"\"study.ethics.review\"",
+	"route_api_study_ethics_risk_get",
+	"route_api_study_ethics_risk_post",
+	"route_api_study_ethics_risk_submit_post",
+	"route_api_study_ethics_risk_decisions_post",
+	"route_api_study_ethics_risk_reviews_get",
+	"[\"role_research_lead\", \"study.ethics.review\"]"
+]) {
+	includes(workerSource, text, "worker ethics review routes");
+}
+excludes(workerSource, "[\"role_researcher\", \"study.ethics.review\"]", "worker ethics review routes");
+
+for (const text of [
+	"import { evaluateStudyEthicsRisk } from \"../../../../public/js/study-ethics-risk-model.js\"",
+	"rops_study_ethics_assessments",
+	"rops_study_ethics_assessment_versions",
+	"rops_study_ethics_reviews",
+	"reviewer_is_author",
+	"export async function recruitmentEthicsGate"
+]) {
+	includes(reviewServiceSource, text, "ethics review service");
+}
+
+for (const text of ["readStudyEthicsRisk", "recordStudyEthicsRisk", "submitStudyEthicsRisk", "decideStudyEthicsRisk", "listStudyEthicsReviews"]) {
+	includes(serviceIndexSource, text, "service index ethics review wiring");
+}
+
+includes(reviewMigrationSource, "('study.ethics.review', 'Review study ethics records'", "ethics review migration");
+includes(reviewMigrationSource, "('route_api_study_ethics_risk_decisions_post', 'POST', '/api/study-ethics-risk/decisions', '[\"study.ethics.review\"]', 1, 'implemented')", "ethics review migration");
+includes(participantsServiceSource, "recruitmentEthicsGate(svc, studyId)", "participants service");
+includes(participantsServiceSource, "error: \"ethics_approval_required\"", "participants service");
+
+for (const text of [
+	"route_api_study_ethics_submission_documents_get",
+	"route_api_study_ethics_submission_document_diff_get",
+	"route_api_study_ethics_submission_document_rendition_get",
+	"requestForRoutePermission(request, \"/api/study-ethics-risk/submissions/:id/diff\")",
+	"service.diffEthicsSubmissionDocument(origin, decodeURIComponent(diffMatch[1]), new URL(request.url))"
+]) {
+	includes(workerSource, text, "worker ethics submission versions routes");
+}
+
+for (const text of ["listEthicsSubmissionDocuments", "diffEthicsSubmissionDocument", "readEthicsSubmissionRendition"]) {
+	includes(serviceIndexSource, text, "service index ethics submission versions wiring");
+}
+
+for (const text of [
+	"export function diffEthicsSubmissions",
+	"html_object_key TEXT",
+	"pdf_object_key TEXT",
+	"sections_json TEXT NOT NULL DEFAULT '[]'",
+	"const blocks = submissionBlocks(payload, createdAt);"
+]) {
+	includes(documentsServiceSource, text, "ethics submission documents service");
+}
+
+includes(renditionsSource, "/MarkInfo << /Marked true >>", "ethics submission renditions");
+includes(renditionsSource, "<html lang=\"${htmlEscape(lang)}\">", "ethics submission renditions");
+includes(renditionsMigrationSource, "ALTER TABLE rops_ethics_submission_documents ADD COLUMN html_object_key TEXT;", "ethics submission renditions migration");
+includes(renditionsMigrationSource, "('route_api_study_ethics_submission_document_diff_get', 'GET', '/api/study-ethics-risk/submissions/:id/diff', '[\"study.ethics.view\"]', 1, 'implemented')", "ethics submission renditions migration");
+
+for (const text of ["id=\"ethics-submission-diff\"", "id=\"ethics-submission-history-status\""]) {
+	includes(nextStepsTemplateSource, text, "ethics next steps template submission versions");
+	includes(nextStepsPageSource, text, "ethics next steps page submission versions");
+}
+
+for (const text of [
+	"async function loadSubmissionDocuments",
+	"/rendition?format=html",
+	"/rendition?format=pdf",
+	"/diff?against=",
+	"Compare with version ${previous.version}"
+]) {
+	includes(nextStepsControllerSource, text, "ethics next steps controller submission versions");
+}
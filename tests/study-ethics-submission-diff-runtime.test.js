@@ -0,0 +1,231 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import {
+	createEthicsSubmissionDocument,
+	diffEthicsSubmissionDocument,
+	diffEthicsSubmissions,
+	listEthicsSubmissionDocuments,
+	readEthicsSubmissionRendition,
+} from '../infra/cloudflare/src/service/ethics-submission-documents.js';
+import { serviceStub } from './helpers/d1-sqlite.mjs';
+
+const templateBytes = fs.readFileSync(
+	'public/templates/ethics/research-ethics-approval-form-v3.docx'
+);
+
+function service() {
+	const db = new DatabaseSync(':memory:');
+	const objects = new Map();
+	return {
+		db,
+		objects,
+		...serviceStub(db, {
+			env: {
+				RESEARCHOPS_DOCUMENTS_R2: {
+					async put(key, value) {
+						objects.set(key, new Uint8Array(value));
+						return { etag: 'etag' };
+					},
+					async get(key) {
+						const bytes = objects.get(key);
+						return bytes ? { body: new Response(bytes).body } : null;
+					},
+				},
+				ASSETS: {
+					async fetch() {
+						return new Response(templateBytes, { status: 200 });
+					},
+				},
+			},
+		}),
+	};
+}
+
+function payload(studyId, version, overrides = {}) {
+	return {
+		projectId: 'proj-a',
+		studyId,
+		studyTitle: 'Diary study',
+		submission: {
+			studyId,
+			route: 'ethics-board-submission-likely',
+			status: 'submitted',
+			submissionType: version === 1 ? 'New submission' : 'Resubmission',
+			submissionVersion: version,
+			owner: 'Research Lead',
+		},
+		riskOutcome: {
+			route: 'ethics-board-submission-likely',
+			summary: 'Pause fieldwork before participant contact.',
+			triggers: [{ family: 'Participants', label: 'Direct research with people' }],
+			sourcebookClauses: [{ id: 'GOVERN 2.1.1', title: 'Complete governance triage', href: '/a' }],
+		},
+		sections: [
+			{ id: 'project-details', label: 'Project details', value: 'Senior review has happened.' },
+			{ id: 'data', label: 'Data handling', value: 'Stored in the research drive.' },
+		],
+		...overrides,
+	};
+}
+
+async function create(svc, body) {
+	const response = await createEthicsSubmissionDocument(
+		svc,
+		new Request('https://example.test/api/study-ethics-risk/submissions', {
+			method: 'POST',
+			body: JSON.stringify(body),
+		}),
+		'',
+		{ user: { email: 'researcher@example.com' } }
+	);
+	assert.equal(response.status, 201);
+	return (await response.json()).document;
+}
+
+async function call(handler, svc, ...args) {
+	const response = await handler(svc, '', ...args);
+	return { status: response.status, body: await response.json() };
+}
+
+test('versions are listed newest first and diffed against the previous version field by field', async () => {
+	const svc = service();
+	const first = await create(svc, payload('study-1', 1));
+	const base = payload('study-1', 2);
+	const second = await create(svc, {
+		...base,
+		riskOutcome: {
+			...base.riskOutcome,
+			triggers: [
+				...base.riskOutcome.triggers,
+				{ family: 'Data', label: 'Sensitive data may be seen' },
+			],
+		},
+		sections: [
+			{ id: 'data', label: 'Data handling', value: 'Stored in the secure research drive.' },
+			base.sections[0],
+		],
+	});
+
+	const listed = await call(
+		listEthicsSubmissionDocuments,
+		svc,
+		new URL('https://example.test/api/study-ethics-risk/submissions?study=study-1')
+	);
+	assert.equal(listed.status, 200);
+	assert.deepEqual(
+		listed.body.documents.map((document) => document.submissionVersion),
+		[2, 1]
+	);
+
+	const diff = await call(
+		diffEthicsSubmissionDocument,
+		svc,
+		second.id,
+		new URL('https://example.test/diff')
+	);
+	assert.equal(diff.status, 200);
+	assert.equal(diff.body.against.id, first.id);
+	assert.deepEqual(diff.body.summary, { added: 2, removed: 0, changed: 3 });
+	assert.deepEqual(
+		diff.body.changes.find((change) => change.group === 'sections'),
+		{
+			group: 'sections',
+			field: 'data / value',
+			change: 'changed',
+			before: 'Stored in the research drive.',
+			after: 'Stored in the secure research drive.',
+		}
+	);
+	assert.equal(
+		diff.body.changes.some(
+			(change) =>
+				change.field === 'triggers / Sensitive data may be seen / label' &&
+				change.change === 'added'
+		),
+		true
+	);
+	assert.equal(
+		diff.body.changes.some((change) => change.field.endsWith('href')),
+		false
+	);
+
+	const firstDiff = await call(
+		diffEthicsSubmissionDocument,
+		svc,
+		first.id,
+		new URL('https://example.test/diff')
+	);
+	assert.equal(firstDiff.status, 404);
+	assert.equal(firstDiff.body.error, 'no_previous_version');
+});
+
+test('versions of different studies cannot be compared', async () => {
+	const svc = service();
+	const own = await create(svc, payload('study-1', 1));
+	const other = await create(svc, payload('study-2', 1));
+
+	const diff = await call(
+		diffEthicsSubmissionDocument,
+		svc,
+		own.id,
+		new URL(`https://example.test/diff?against=${other.id}`)
+	);
+	assert.equal(diff.status, 400);
+	assert.equal(diff.body.error, 'different_study');
+});
+
+test('matching items in a different order and ignored links do not count as changes', () => {
+	const row = (sections, clauses) => ({
+		study_id: 'study-1',
+		submission_json: '{}',
+		risk_outcome_json: JSON.stringify({ sourcebookClauses: clauses }),
+		sections_json: JSON.stringify(sections),
+	});
+	const sections = [
+		{ id: 'a', value: 'One' },
+		{ id: 'b', value: 'Two' },
+	];
+	assert.deepEqual(
+		diffEthicsSubmissions(
+			row(sections, [{ id: 'C1', title: 'Clause', href: '/old' }]),
+			row([...sections].reverse(), [{ id: 'C1', title: 'Clause', href: '/new' }])
+		),
+		[]
+	);
+});
+
+test('a rendition missing from storage is rebuilt from the stored submission', async () => {
+	const svc = service();
+	const document = await create(svc, payload('study-1', 1));
+	svc.objects.delete(document.pdfObjectKey);
+	svc.objects.delete(document.htmlObjectKey);
+
+	const pdf = await readEthicsSubmissionRendition(
+		svc,
+		'',
+		document.id,
+		new URL('https://example.test/rendition?format=pdf')
+	);
+	assert.equal(pdf.status, 200);
+	const pdfText = Buffer.from(await pdf.arrayBuffer()).toString('latin1');
+	assert.match(pdfText, /\(Stored in the research drive\.\) Tj/);
+
+	const html = await readEthicsSubmissionRendition(
+		svc,
+		'',
+		document.id,
+		new URL('https://example.test/rendition?format=html')
+	);
+	assert.match(await html.text(), /<h3>Data handling<\/h3>/);
+
+	const unsupported = await readEthicsSubmissionRendition(
+		svc,
+		'',
+		document.id,
+		new URL('https://example.test/rendition?format=rtf')
+	);
+	assert.equal(unsupported.status, 400);
+});
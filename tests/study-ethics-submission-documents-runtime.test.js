@@ -4,6 +4,7 @@ import fs from 'node:fs';
 import {
 	createEthicsSubmissionDocument,
 	readEthicsSubmissionDocument,
+	readEthicsSubmissionRendition,
 } from '../infra/cloudflare/src/service/ethics-submission-documents.js';
 
 const templateBytes = fs.readFileSync(
@@ -43,6 +44,9 @@ class MockD1Statement {
 				sourcebookClausesJson,
 				createdBy,
 				createdAt,
+				sectionsJson,
+				htmlObjectKey,
+				pdfObjectKey,
 			] = this.params;
 			this.db.rows.set(id, {
 				id,
@@ -63,6 +67,9 @@ class MockD1Statement {
 				sourcebook_clauses_json: sourcebookClausesJson,
 				created_by: createdBy,
 				created_at: createdAt,
+				sections_json: sectionsJson,
+				html_object_key: htmlObjectKey,
+				pdf_object_key: pdfObjectKey,
 			});
 		}
 		return { success: true };
@@ -206,7 +213,7 @@ assert.equal(
 );
 assert.equal(created.document.objectKey.startsWith('ethics-submissions/rect3o7dt/v1/'), true);
 assert.equal(created.document.byteSize > templateBytes.byteLength, true);
-assert.equal(r2.objects.size, 1);
+assert.equal(r2.objects.size, 3);
 assert.equal(d1.rows.size, 1);
 
 const stored = [...r2.objects.values()][0];
@@ -231,3 +238,40 @@ assert.match(
 	readResponse.headers.get('content-disposition'),
 	/rect3o7dt-ethics-submission-v1\.docx/
 );
+
+assert.equal(
+	created.document.htmlObjectKey,
+	created.document.objectKey.replace(/\.docx$/, '.html')
+);
+assert.equal(created.document.pdfObjectKey, created.document.objectKey.replace(/\.docx$/, '.pdf'));
+
+const htmlResponse = await readEthicsSubmissionRendition(
+	svc,
+	'https://research-operations.com',
+	created.document.id,
+	new URL(
+		'https://research-operations.com/api/study-ethics-risk/submissions/x/rendition?format=html'
+	)
+);
+assert.equal(htmlResponse.status, 200);
+assert.equal(htmlResponse.headers.get('content-type'), 'text/html; charset=utf-8');
+const html = await htmlResponse.text();
+assert.match(html, /<html lang="en-GB">/);
+assert.match(html, /<h1>ResearchOps completed submission<\/h1>/);
+assert.match(html, /<dt>Researcher response<\/dt><dd>Senior review has happened\.<\/dd>/);
+
+const pdfResponse = await readEthicsSubmissionRendition(
+	svc,
+	'https://research-operations.com',
+	created.document.id,
+	new URL(
+		'https://research-operations.com/api/study-ethics-risk/submissions/x/rendition?format=pdf'
+	)
+);
+assert.equal(pdfResponse.status, 200);
+assert.equal(pdfResponse.headers.get('content-type'), 'application/pdf');
+const pdf = Buffer.from(await pdfResponse.arrayBuffer()).toString('latin1');
+assert.equal(pdf.startsWith('%PDF-1.7'), true);
+assert.match(pdf, /\/StructTreeRoot/);
+assert.match(pdf, /\/Lang \(en-GB\)/);
+assert.match(pdf, /\(Senior review has happened\.\) Tj/);
@@ -96,7 +96,7 @@ for (const text of [
 	"/css/govuk/govuk-forms.css",
 	"/css/govuk/govuk-tables.css",
 	"/css/study-page.css",
-	"/js/study-page.js?v=study-card-sort-20260709-2",
+	"/js/study-page.js?v=study-legal-holds-20261018",
 	"class=\"govuk-breadcrumbs\"",
 	"class=\"govuk-summary-list",
 	"class=\"govuk-task-list",
@@ -157,11 +157,22 @@ for (const text of [
 	"id=\"link-note-takers-observers\"",
 	"id=\"link-synthesis\"",
 	"id=\"desc-cancel\"",
-	"Not available yet"
+	"Not available yet",
+	"Legal holds",
+	"id=\"study-legal-holds\"",
+	"id=\"study-legal-holds-list\""
 ]) {
 	includes(pageSource, text, "study page");
 }
 
+for (const text of [
+	"loadStudyCollection(\"/api/legal-holds\", studyId, \"legalHolds\")",
+	"function renderLegalHolds(holds = [])",
+	"renderLegalHolds(readinessContext.legalHolds);"
+]) {
+	includes(controllerSource, text, "study page controller");
+}
+
 {
 	const setupIndex = pageSource.indexOf("Study setup tasks");
 	const contextIndex = pageSource.indexOf("Why study readiness is governed");
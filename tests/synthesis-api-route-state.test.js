@@ -5,6 +5,10 @@ const workerSource = fs.readFileSync("infra/cloudflare/src/worker.js", "utf8");
 const serviceIndexSource = fs.readFileSync("infra/cloudflare/src/service/index.js", "utf8");
 const synthesisServiceSource = fs.readFileSync("infra/cloudflare/src/service/synthesis.js", "utf8");
 const synthesisPageSource = fs.readFileSync("public/js/synthesize-page.js", "utf8");
+const synthesisMigrationSource = fs.readFileSync("infra/cloudflare/migrations/0032_synthesis_d1.sql", "utf8");
+const muralExportServiceSource = fs.readFileSync("infra/cloudflare/src/service/synthesis-mural-export.js", "utf8");
+const muralExportMigrationSource = fs.readFileSync("infra/cloudflare/migrations/0033_mural_synthesis_widgets.sql", "utf8");
+const boardRegistrySource = fs.readFileSync("infra/cloudflare/src/service/internals/mural-board-registry.js", "utf8");
 
 function includes(source, text, label) {
   assert.equal(source.includes(text), true, `Expected ${label} to include: ${text}`);
@@ -26,6 +30,12 @@ includes(workerSource, "service.updateSynthesisCluster", "Worker");
 includes(workerSource, "service.deleteSynthesisCluster", "Worker");
 includes(workerSource, "service.createSynthesisTheme", "Worker");
 includes(workerSource, "apiPath.startsWith(\"/api/synthesis/\")", "Worker");
+includes(workerSource, "service.listSynthesisClusterHistory", "Worker");
+includes(workerSource, "service.revertSynthesisCluster", "Worker");
+includes(workerSource, "service.importSynthesisState", "Worker");
+includes(workerSource, "[\"route_api_synthesis_cluster_revert_post\", \"POST\", \"/api/synthesis/clusters/:id/revert\", \"[\\\"synthesis.manage\\\"]\"]", "Worker permission register");
+includes(workerSource, "requestForRoutePermission(request, \"/api/synthesis/clusters/:id/history\")", "Worker permission path mapping");
+includes(workerSource, "\"Access-Control-Expose-Headers\": \"ETag\"", "Worker CORS");
 
 includes(serviceIndexSource, "import * as Synthesis from \"./synthesis.js\"", "Service index");
 includes(serviceIndexSource, "listSynthesisEvidence", "Service index");
@@ -52,11 +62,37 @@ includes(synthesisServiceSource, "projectId", "Synthesis service");
 includes(synthesisServiceSource, "studyId", "Synthesis service");
 includes(synthesisServiceSource, "evidenceIds", "Synthesis service");
 excludes(synthesisServiceSource, "localStorage", "Synthesis service");
+includes(synthesisServiceSource, "rops_synthesis_clusters", "Synthesis service");
+includes(synthesisServiceSource, "rops_synthesis_history", "Synthesis service");
+includes(synthesisServiceSource, "WHERE id = ? AND study_id = ? AND version = ?", "Synthesis service");
+includes(synthesisServiceSource, "If-Match", "Synthesis service");
+includes(synthesisServiceSource, "synthesis_conflict", "Synthesis service");
+includes(synthesisMigrationSource, "CREATE TABLE IF NOT EXISTS rops_synthesis_clusters", "Synthesis migration");
+includes(synthesisMigrationSource, "CREATE TABLE IF NOT EXISTS rops_synthesis_imports", "Synthesis migration");
 
 includes(synthesisPageSource, "function repositoryCandidateHref(theme)", "Synthesis page");
+includes(synthesisPageSource, "\"If-Match\"", "Synthesis page");
+includes(synthesisPageSource, "error.status !== 412", "Synthesis page");
 includes(synthesisPageSource, 'route("/pages/repository/review/candidates/new/"', "Synthesis page");
 includes(synthesisPageSource, 'sourceSynthesisId: theme.id', "Synthesis page");
 includes(synthesisPageSource, 'evidenceType: "reviewed-synthesis"', "Synthesis page");
 includes(synthesisPageSource, 'sampleSummary: `${theme.label || "Theme"} is based on ${pluralise(evidenceIds.length, "source evidence item")}: ${evidenceIds.join(", ")}`', "Synthesis page");
 includes(synthesisPageSource, 'data-submit-to-repository="${escapeHtml(theme.id)}"', "Synthesis page");
 includes(synthesisPageSource, "Submit to repository", "Synthesis page");
+
+includes(workerSource, "[\"route_api_synthesis_mural_export_post\", \"POST\", \"/api/synthesis/mural-export\", \"[\\\"synthesis.manage\\\"]\"]", "Worker");
+includes(workerSource, "apiPath === \"/api/synthesis/mural-export\" && request.method === \"POST\"", "Worker");
+includes(serviceIndexSource, "exportSynthesisToMural =", "Service index");
+includes(boardRegistrySource, "export const PURPOSE_SYNTHESIS = \"synthesis_affinity_map\"", "Mural board registry");
+includes(muralExportServiceSource, "purpose: PURPOSE_SYNTHESIS", "Synthesis Mural export");
+includes(muralExportServiceSource, "mural_synthesis_widgets", "Synthesis Mural export");
+includes(muralExportMigrationSource, "CREATE TABLE IF NOT EXISTS mural_synthesis_widgets", "Synthesis Mural export migration");
+includes(synthesisPageSource, "apiUrl(\"/api/synthesis/mural-export\")", "Synthesis page");
+includes(synthesisPageSource, "Connect Mural", "Synthesis page");
+includes(workerSource, "apiPath === \"/api/synthesis/mural-import\" && request.method === \"POST\"", "Worker");
+includes(workerSource, "[\"route_api_synthesis_mural_import_post\", \"POST\", \"/api/synthesis/mural-import\", \"[\\\"synthesis.manage\\\"]\"]", "Worker");
+includes(serviceIndexSource, "importSynthesisFromMural =", "Service index");
+includes(synthesisServiceSource, "export async function createImportedEvidence", "Synthesis service");
+includes(synthesisServiceSource, "rops_synthesis_evidence", "Synthesis service");
+includes(synthesisPageSource, "apiUrl(\"/api/synthesis/mural-import\")", "Synthesis page");
+includes(synthesisPageSource, "mode: \"confirm\", widgetIds", "Synthesis page");
@@ -0,0 +1,428 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import {
+	createSynthesisCluster,
+	createSynthesisTheme,
+	deleteSynthesisCluster,
+	importSynthesisState,
+	listSynthesis,
+	listSynthesisClusterHistory,
+	revertSynthesisCluster,
+	updateSynthesisCluster,
+} from '../infra/cloudflare/src/service/synthesis.js';
+import { serviceStub, stubFetch } from './helpers/d1-sqlite.mjs';
+
+function kv(entries = {}) {
+	const store = new Map(Object.entries(entries));
+	return {
+		store,
+		async get(key) {
+			return store.get(key) ?? null;
+		},
+		async put(key, value) {
+			store.set(key, value);
+		},
+		async list({ prefix = '' } = {}) {
+			return {
+				keys: [...store.keys()].filter((name) => name.startsWith(prefix)).map((name) => ({ name })),
+				list_complete: true,
+			};
+		},
+	};
+}
+
+const notes = [
+	{
+		id: 'recN1',
+		createdTime: '2026-06-01T10:00:00.000Z',
+		fields: { 'Study ID': ['recStudyA'], 'Note (plain)': 'First note' },
+	},
+	{
+		id: 'recN2',
+		createdTime: '2026-06-01T10:05:00.000Z',
+		fields: { 'Study ID': ['recStudyA'], 'Note (plain)': 'Second note' },
+	},
+	{
+		id: 'recN3',
+		createdTime: '2026-06-01T10:10:00.000Z',
+		fields: { 'Study ID': ['recStudyA'], 'Note (plain)': 'Third note' },
+	},
+];
+
+function setup(kvEntries) {
+	const db = new DatabaseSync(':memory:');
+	const svc = serviceStub(db, {
+		env: {
+			SESSION_KV: kv(kvEntries),
+			AIRTABLE_BASE_ID: 'appTest',
+			AIRTABLE_API_KEY: 'key',
+			AIRTABLE_TABLE_SESSION_NOTES: 'Session Notes',
+		},
+	});
+	const restore = stubFetch(
+		async () => new Response(JSON.stringify({ records: notes }), { status: 200 })
+	);
+	return { db, svc, restore };
+}
+
+const url = (path, study = 'recStudyA') => new URL(`https://api.example.test${path}?sid=${study}`);
+const alice = { user: { id: 'u1', email: 'alice@example.test' } };
+const bob = { user: { id: 'u2', email: 'bob@example.test' } };
+
+function request(method, body, headers = {}) {
+	return new Request('https://api.example.test/', {
+		method,
+		headers: { 'Content-Type': 'application/json', ...headers },
+		body: body === undefined ? undefined : JSON.stringify(body),
+	});
+}
+
+async function createCluster(svc, label = 'Paying bills') {
+	const res = await createSynthesisCluster(
+		svc,
+		request('POST', { label }),
+		'',
+		url('/api/synthesis/clusters'),
+		alice
+	);
+	assert.equal(res.status, 201);
+	return (await res.json()).cluster;
+}
+
+test('a stale If-Match gets 412 with the current cluster instead of overwriting it', async () => {
+	const { svc, restore } = setup();
+	try {
+		const cluster = await createCluster(svc);
+		assert.equal(cluster.version, 1);
+
+		const first = await updateSynthesisCluster(
+			svc,
+			request('PATCH', { evidenceIds: ['recN1'] }, { 'If-Match': '"1"' }),
+			'',
+			url(`/api/synthesis/clusters/${cluster.id}`),
+			cluster.id,
+			alice
+		);
+		assert.equal(first.status, 200);
+		assert.equal(first.headers.get('ETag'), '"2"');
+		assert.deepEqual((await first.json()).cluster.evidenceIds, ['recN1']);
+
+		const stale = await updateSynthesisCluster(
+			svc,
+			request('PATCH', { evidenceIds: ['recN2'] }, { 'If-Match': 'W/"1"' }),
+			'',
+			url(`/api/synthesis/clusters/${cluster.id}`),
+			cluster.id,
+			bob
+		);
+		assert.equal(stale.status, 412);
+		const conflict = await stale.json();
+		assert.equal(conflict.error, 'synthesis_conflict');
+		assert.equal(conflict.cluster.version, 2);
+		assert.deepEqual(conflict.cluster.evidenceIds, ['recN1']);
+
+		const byBody = await updateSynthesisCluster(
+			svc,
+			request('PATCH', { label: 'Bills', version: 1 }),
+			'',
+			url(`/api/synthesis/clusters/${cluster.id}`),
+			cluster.id,
+			bob
+		);
+		assert.equal(byBody.status, 412);
+
+		const listed = await (await listSynthesis(svc, '', url('/api/synthesis'))).json();
+		assert.equal(listed.clusters.length, 1);
+		assert.deepEqual(listed.clusters[0].evidenceIds, ['recN1']);
+		assert.equal(listed.clusters[0].version, 2);
+	} finally {
+		restore();
+	}
+});
+
+test('history records each version and revert restores an earlier one as a new version', async () => {
+	const { svc, restore } = setup();
+	try {
+		const cluster = await createCluster(svc);
+		const path = url(`/api/synthesis/clusters/${cluster.id}`);
+		await updateSynthesisCluster(
+			svc,
+			request('PATCH', { evidenceIds: ['recN1', 'recN2'] }),
+			'',
+			path,
+			cluster.id,
+			alice
+		);
+		await updateSynthesisCluster(
+			svc,
+			request('PATCH', { label: 'Money worries' }),
+			'',
+			path,
+			cluster.id,
+			bob
+		);
+
+		const history = await (await listSynthesisClusterHistory(svc, '', path, cluster.id)).json();
+		assert.deepEqual(
+			history.history.map((entry) => [entry.version, entry.action, entry.actor]),
+			[
+				[3, 'update', 'bob@example.test'],
+				[2, 'update', 'alice@example.test'],
+				[1, 'create', 'alice@example.test'],
+			]
+		);
+		assert.equal(history.history[1].cluster.label, 'Paying bills');
+
+		const stale = await revertSynthesisCluster(
+			svc,
+			request('POST', { version: 1 }, { 'If-Match': '"2"' }),
+			'',
+			path,
+			cluster.id,
+			alice
+		);
+		assert.equal(stale.status, 412);
+
+		const reverted = await revertSynthesisCluster(
+			svc,
+			request('POST', { version: 2 }, { 'If-Match': '"3"' }),
+			'',
+			path,
+			cluster.id,
+			alice
+		);
+		assert.equal(reverted.status, 200);
+		const body = await reverted.json();
+		assert.equal(body.cluster.version, 4);
+		assert.equal(body.cluster.label, 'Paying bills');
+		assert.deepEqual(body.cluster.evidenceIds, ['recN1', 'recN2']);
+
+		const latest = await (await listSynthesisClusterHistory(svc, '', path, cluster.id)).json();
+		assert.equal(latest.history[0].action, 'revert');
+		assert.equal(latest.history[0].revertedFrom, 2);
+	} finally {
+		restore();
+	}
+});
+
+test('a change whose history cannot be written is not saved and the error is returned', async () => {
+	const { db, svc, restore } = setup();
+	try {
+		const cluster = await createCluster(svc);
+		db.exec(`
+			CREATE TRIGGER history_unavailable BEFORE INSERT ON rops_synthesis_history
+			BEGIN SELECT RAISE(ABORT, 'history unavailable'); END;
+		`);
+
+		const updated = await updateSynthesisCluster(
+			svc,
+			request('PATCH', { label: 'Bills' }),
+			'',
+			url(`/api/synthesis/clusters/${cluster.id}`),
+			cluster.id,
+			alice
+		);
+		assert.equal(updated.status, 500);
+		assert.match((await updated.json()).error, /history unavailable/);
+		const created = await createSynthesisCluster(
+			svc,
+			request('POST', { label: 'Rent' }),
+			'',
+			url('/api/synthesis/clusters'),
+			alice
+		);
+		assert.equal(created.status, 500);
+
+		const listed = await (await listSynthesis(svc, '', url('/api/synthesis'))).json();
+		assert.deepEqual(
+			listed.clusters.map((row) => [row.label, row.version]),
+			[['Paying bills', 1]]
+		);
+		db.exec('DROP TRIGGER history_unavailable');
+		const history = await (
+			await listSynthesisClusterHistory(
+				svc,
+				'',
+				url(`/api/synthesis/clusters/${cluster.id}/history`),
+				cluster.id
+			)
+		).json();
+		assert.deepEqual(
+			history.history.map((entry) => [entry.version, entry.action]),
+			[[1, 'create']]
+		);
+	} finally {
+		restore();
+	}
+});
+
+test('deleting is a versioned soft delete that revert can undo', async () => {
+	const { svc, restore } = setup();
+	try {
+		const cluster = await createCluster(svc);
+		const path = url(`/api/synthesis/clusters/${cluster.id}`);
+
+		const stale = await deleteSynthesisCluster(
+			svc,
+			request('DELETE', undefined, { 'If-Match': '"7"' }),
+			'',
+			path,
+			cluster.id,
+			bob
+		);
+		assert.equal(stale.status, 412);
+
+		const deleted = await deleteSynthesisCluster(
+			svc,
+			request('DELETE', undefined, { 'If-Match': '"1"' }),
+			'',
+			path,
+			cluster.id,
+			bob
+		);
+		assert.equal(deleted.status, 200);
+		assert.equal(
+			(await (await listSynthesis(svc, '', url('/api/synthesis'))).json()).clusters.length,
+			0
+		);
+
+		const missing = await updateSynthesisCluster(
+			svc,
+			request('PATCH', { label: 'Back' }),
+			'',
+			path,
+			cluster.id,
+			bob
+		);
+		assert.equal(missing.status, 404);
+
+		const restored = await revertSynthesisCluster(
+			svc,
+			request('POST', { version: 1 }),
+			'',
+			path,
+			cluster.id,
+			bob
+		);
+		assert.equal(restored.status, 200);
+		assert.equal((await restored.json()).cluster.deletedAt, '');
+		const listed = await (await listSynthesis(svc, '', url('/api/synthesis'))).json();
+		assert.deepEqual(
+			listed.clusters.map((item) => [item.id, item.version]),
+			[[cluster.id, 3]]
+		);
+	} finally {
+		restore();
+	}
+});
+
+test('existing KV state is imported once on first read and kept by later edits', async () => {
+	const legacy = {
+		clusters: [
+			{
+				id: 'cluster_old',
+				studyId: 'recStudyA',
+				projectId: 'recProj',
+				label: 'Old group',
+				description: '',
+				evidenceIds: ['recN3'],
+				status: 'working',
+				createdAt: '2026-05-01T09:00:00.000Z',
+				updatedAt: '2026-05-02T09:00:00.000Z',
+			},
+		],
+		themes: [
+			{
+				id: 'theme_old',
+				studyId: 'recStudyA',
+				label: 'Old theme',
+				evidenceIds: ['recN3'],
+				sourceClusterId: 'cluster_old',
+				status: 'created',
+				createdAt: '2026-05-03T09:00:00.000Z',
+			},
+		],
+	};
+	const { db, svc, restore } = setup({
+		'rops:synthesis:study:recStudyA:state': JSON.stringify(legacy),
+	});
+	try {
+		const first = await (await listSynthesis(svc, '', url('/api/synthesis'))).json();
+		assert.deepEqual(
+			first.clusters.map((item) => [item.id, item.label, item.version]),
+			[['cluster_old', 'Old group', 1]]
+		);
+		assert.deepEqual(
+			first.themes.map((item) => [item.id, item.sourceClusterId]),
+			[['theme_old', 'cluster_old']]
+		);
+
+		await updateSynthesisCluster(
+			svc,
+			request('PATCH', { label: 'Renamed' }, { 'If-Match': '"1"' }),
+			'',
+			url('/api/synthesis/clusters/cluster_old'),
+			'cluster_old',
+			alice
+		);
+		const again = await (await listSynthesis(svc, '', url('/api/synthesis'))).json();
+		assert.equal(again.clusters[0].label, 'Renamed');
+		assert.equal(db.prepare('SELECT COUNT(*) AS n FROM rops_synthesis_imports').get().n, 1);
+
+		const history = await (
+			await listSynthesisClusterHistory(
+				svc,
+				'',
+				url('/api/synthesis/clusters/cluster_old'),
+				'cluster_old'
+			)
+		).json();
+		assert.deepEqual(
+			history.history.map((entry) => entry.action),
+			['update', 'import']
+		);
+
+		const theme = await createSynthesisTheme(
+			svc,
+			request('POST', { label: 'New theme', clusterId: 'cluster_old' }),
+			'',
+			url('/api/synthesis/themes'),
+			alice
+		);
+		assert.equal(theme.status, 201);
+		assert.deepEqual((await theme.json()).theme.evidenceIds, ['recN3']);
+	} finally {
+		restore();
+	}
+});
+
+test('bulk import walks every KV study document and skips ones already imported', async () => {
+	const state = (id) =>
+		JSON.stringify({ clusters: [{ id, label: id, evidenceIds: [] }], themes: [] });
+	const { svc, restore } = setup({
+		'rops:synthesis:study:recStudyA:state': state('cluster_a'),
+		'rops:synthesis:study:recStudyB:state': state('cluster_b'),
+	});
+	try {
+		await listSynthesis(svc, '', url('/api/synthesis', 'recStudyA'));
+		const res = await importSynthesisState(
+			svc,
+			'',
+			new URL('https://api.example.test/api/synthesis/import')
+		);
+		const body = await res.json();
+		assert.equal(res.status, 200);
+		assert.deepEqual(body.imported, [{ studyId: 'recStudyB', clusters: 1, themes: 0 }]);
+		assert.equal(body.skipped, 1);
+
+		const listed = await (await listSynthesis(svc, '', url('/api/synthesis', 'recStudyB'))).json();
+		assert.deepEqual(
+			listed.clusters.map((item) => item.id),
+			['cluster_b']
+		);
+	} finally {
+		restore();
+	}
+});
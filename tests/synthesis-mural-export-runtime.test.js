@@ -0,0 +1,319 @@
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import test from 'node:test';
+
+import {
+	PURPOSE_SYNTHESIS,
+	resolveBoardForService,
+} from '../infra/cloudflare/src/service/internals/mural-board-registry.js';
+import {
+	affinityLayout,
+	exportSynthesisToMural,
+} from '../infra/cloudflare/src/service/synthesis-mural-export.js';
+import {
+	createSynthesisCluster,
+	createSynthesisTheme,
+	deleteSynthesisCluster,
+	updateSynthesisCluster,
+} from '../infra/cloudflare/src/service/synthesis.js';
+import { serviceStub, stubFetch } from './helpers/d1-sqlite.mjs';
+
+const notes = [
+	{
+		id: 'recN1',
+		createdTime: '2026-06-01T10:00:00.000Z',
+		fields: { 'Study ID': ['recStudyA'], 'Note (plain)': 'Could not find the payment date' },
+	},
+	{
+		id: 'recN2',
+		createdTime: '2026-06-01T10:05:00.000Z',
+		fields: { 'Study ID': ['recStudyA'], 'Note (plain)': 'Phoned the helpline twice' },
+	},
+	{
+		id: 'recN3',
+		createdTime: '2026-06-01T10:10:00.000Z',
+		fields: { 'Study ID': ['recStudyA'], 'Note (plain)': 'Letters arrive late' },
+	},
+];
+
+const json = (body, status = 200) =>
+	new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+
+/** In-memory Mural board plus Airtable notes behind a stubbed fetch. */
+function fakeMural() {
+	const widgets = new Map();
+	const calls = [];
+	let next = 1;
+	const handler = async (input, init = {}) => {
+		const url = new URL(String(input));
+		const method = (init.method || 'GET').toUpperCase();
+		const body = init.body ? JSON.parse(init.body) : null;
+		if (url.hostname === 'api.airtable.com') return json({ records: notes });
+		const path = url.pathname.replace('/api/public/v1', '');
+		calls.push(`${method} ${path}`);
+		if (path === '/users/me')
+			return json({ value: { id: 'mural-user', companyId: 'homeofficegovuk' } });
+		if (path.endsWith('/tags'))
+			return method === 'GET' ? json({ value: [] }) : json({ value: { id: `tag-${body.title}` } });
+		let match = path.match(/^\/murals\/([^/]+)\/widgets(?:\/(area|title))?$/);
+		if (match && method === 'GET') return json({ value: [...widgets.values()] });
+		if (match && method === 'POST') {
+			const id = `w${next++}`;
+			widgets.set(id, { id, type: match[2] || body.type, ...body });
+			return json({ value: [{ id }] }, 201);
+		}
+		match = path.match(/^\/murals\/[^/]+\/widgets\/(?:(?:area|title)\/)?([^/]+)$/);
+		if (match && (method === 'PATCH' || method === 'DELETE')) {
+			if (!widgets.has(match[1])) return json({ error: 'not found' }, 404);
+			if (method === 'DELETE') widgets.delete(match[1]);
+			else widgets.set(match[1], { ...widgets.get(match[1]), ...body });
+			return json({ value: widgets.get(match[1]) || {} });
+		}
+		if (/^\/murals\/[^/]+$/.test(path)) return json({ value: { id: path.split('/')[2] } });
+		return json({ error: 'unexpected' }, 500);
+	};
+	return { widgets, calls, handler };
+}
+
+function setup() {
+	const db = new DatabaseSync(':memory:');
+	const registered = [];
+	const board = fakeMural();
+	const svc = serviceStub(db, {
+		env: {
+			AIRTABLE_BASE_ID: 'appTest',
+			AIRTABLE_API_KEY: 'key',
+			AIRTABLE_TABLE_SESSION_NOTES: 'Session Notes',
+			MURAL_COMPANY_ID: 'homeofficegovuk',
+		},
+		mural: {
+			async loadTokens() {
+				return { access_token: 'token' };
+			},
+			async saveTokens() {},
+			async resolveBoard() {
+				return {
+					muralId: 'ws.board1',
+					boardUrl: 'https://app.mural.co/t/ws/m/ws/board1',
+					source: 'airtable',
+				};
+			},
+			async registerBoard(args) {
+				registered.push(args);
+				return { ok: true };
+			},
+		},
+	});
+	svc.mural.root = svc;
+	return { svc, board, registered, restore: stubFetch(board.handler) };
+}
+
+const auth = { user: { id: 'u1', email: 'alice@example.test' } };
+const studyUrl = (path) => new URL(`https://api.example.test${path}?sid=recStudyA`);
+const post = (body) =>
+	new Request('https://api.example.test/', { method: 'POST', body: JSON.stringify(body) });
+const patch = (body) =>
+	new Request('https://api.example.test/', { method: 'PATCH', body: JSON.stringify(body) });
+
+async function exportNow(svc) {
+	const res = await exportSynthesisToMural(
+		svc,
+		post({}),
+		'',
+		studyUrl('/api/synthesis/mural-export'),
+		auth
+	);
+	return { status: res.status, body: await res.json() };
+}
+
+async function cluster(svc, label, evidenceIds) {
+	const res = await createSynthesisCluster(
+		svc,
+		post({ label, evidenceIds }),
+		'',
+		studyUrl('/api/synthesis/clusters'),
+		auth
+	);
+	return (await res.json()).cluster;
+}
+
+test('export lays out clusters as areas with evidence stickies and theme titles', async () => {
+	const { svc, board, restore } = setup();
+	try {
+		const money = await cluster(svc, 'Money worries', ['recN1', 'recN2']);
+		await cluster(svc, 'Post', ['recN3']);
+		await createSynthesisTheme(
+			svc,
+			post({ label: 'Timing of payments', clusterId: money.id }),
+			'',
+			studyUrl('/api/synthesis/themes'),
+			auth
+		);
+
+		const { status, body } = await exportNow(svc);
+		assert.equal(status, 200);
+		assert.equal(body.muralId, 'ws.board1');
+		assert.deepEqual([body.created, body.updated, body.moved, body.removed], [6, 0, 0, 0]);
+
+		const all = [...board.widgets.values()];
+		assert.deepEqual(
+			all.filter((widget) => widget.type === 'area').map((widget) => widget.title),
+			['Money worries', 'Post']
+		);
+		assert.deepEqual(
+			all.filter((widget) => widget.type === 'title').map((widget) => widget.text),
+			['Theme: Timing of payments']
+		);
+		const stickies = all.filter((widget) => widget.type === 'sticky-note');
+		assert.equal(stickies.length, 3);
+		assert.match(stickies[0].text, /Could not find the payment date/);
+		assert.ok(
+			board.calls.includes('POST /murals/ws.board1/tags'),
+			'stickies are tagged with their cluster'
+		);
+	} finally {
+		restore();
+	}
+});
+
+test('re-exporting renames and moves existing widgets instead of duplicating them', async () => {
+	const { svc, board, restore } = setup();
+	try {
+		const money = await cluster(svc, 'Money worries', ['recN1', 'recN2']);
+		const post_ = await cluster(svc, 'Post', ['recN3']);
+		await exportNow(svc);
+		const before = new Map(
+			[...board.widgets.values()].map((widget) => [widget.text || widget.title, widget.id])
+		);
+
+		const unchanged = (await exportNow(svc)).body;
+		assert.deepEqual(
+			[
+				unchanged.created,
+				unchanged.updated,
+				unchanged.moved,
+				unchanged.removed,
+				unchanged.unchanged,
+			],
+			[0, 0, 0, 0, 5]
+		);
+
+		const path = studyUrl(`/api/synthesis/clusters/${money.id}`);
+		await updateSynthesisCluster(
+			svc,
+			patch({ label: 'Paying bills', evidenceIds: ['recN1'] }),
+			'',
+			path,
+			money.id,
+			auth
+		);
+		await updateSynthesisCluster(
+			svc,
+			patch({ evidenceIds: ['recN3', 'recN2'] }),
+			'',
+			studyUrl(`/api/synthesis/clusters/${post_.id}`),
+			post_.id,
+			auth
+		);
+
+		const changed = (await exportNow(svc)).body;
+		assert.equal(changed.created, 0);
+		assert.equal(changed.removed, 0);
+		assert.equal(changed.updated, 1);
+		assert.ok(changed.moved >= 1);
+
+		const after = [...board.widgets.values()];
+		assert.equal(after.length, 5);
+		assert.deepEqual(
+			after
+				.filter((widget) => widget.type === 'area')
+				.map((widget) => widget.title)
+				.sort(),
+			['Paying bills', 'Post']
+		);
+		const moved = after.find((widget) => /helpline/.test(widget.text || ''));
+		assert.equal(moved.id, [...before.entries()].find(([label]) => /helpline/.test(label))[1]);
+		const postArea = after.find((widget) => widget.title === 'Post');
+		assert.ok(
+			moved.x >= postArea.x && moved.x < postArea.x + postArea.width,
+			'sticky now sits inside the Post area'
+		);
+
+		await deleteSynthesisCluster(
+			svc,
+			new Request('https://api.example.test/', { method: 'DELETE' }),
+			'',
+			studyUrl(`/api/synthesis/clusters/${post_.id}`),
+			post_.id,
+			auth
+		);
+		const removed = (await exportNow(svc)).body;
+		assert.equal(removed.removed, 3);
+		assert.equal(board.widgets.size, 2);
+	} finally {
+		restore();
+	}
+});
+
+test('widgets deleted by hand on the board are created again', async () => {
+	const { svc, board, restore } = setup();
+	try {
+		await cluster(svc, 'Money worries', ['recN1']);
+		await exportNow(svc);
+		const sticky = [...board.widgets.values()].find((widget) => widget.type === 'sticky-note');
+		board.widgets.delete(sticky.id);
+
+		const body = (await exportNow(svc)).body;
+		assert.equal(body.created, 1);
+		assert.equal(
+			[...board.widgets.values()].filter((widget) => widget.type === 'sticky-note').length,
+			1
+		);
+	} finally {
+		restore();
+	}
+});
+
+test('export needs clusters and a connected Mural account', async () => {
+	const { svc, restore } = setup();
+	try {
+		assert.equal((await exportNow(svc)).status, 409);
+		svc.mural.loadTokens = async () => null;
+		await cluster(svc, 'Money worries', []);
+		const res = await exportNow(svc);
+		assert.equal(res.status, 401);
+		assert.equal(res.body.error, 'not_authenticated');
+	} finally {
+		restore();
+	}
+});
+
+test('themes stack above their cluster and orphaned themes sit above the grid', () => {
+	const layout = affinityLayout(
+		[{ id: 'c1', label: 'One', evidenceIds: ['e1', 'e2', 'e3', 'e4'] }],
+		[
+			{ id: 't1', label: 'From one', sourceClusterId: 'c1' },
+			{ id: 't2', label: 'Orphan', sourceClusterId: 'gone' },
+		],
+		new Map([['e1', { excerpt: 'First', sourceLabel: 'Session S1' }]])
+	);
+	const byKey = Object.fromEntries(layout.map((item) => [item.key, item]));
+	assert.equal(byKey.t2.y, 0);
+	assert.ok(byKey.t1.y < byKey.c1.y);
+	assert.ok(byKey.t1.y > byKey.t2.y);
+	assert.equal(byKey['c1:e1'].text, 'First\n\nSession S1');
+	assert.ok(byKey['c1:e4'].y > byKey['c1:e1'].y, 'fourth sticky wraps to a second row');
+	assert.ok(byKey['c1:e4'].y + byKey['c1:e4'].height <= byKey.c1.y + byKey.c1.height);
+});
+
+test('the shared reflexive journal board is never handed out for synthesis', async () => {
+	const self = {
+		root: { env: { MURAL_REFLEXIVE_MURAL_ID: 'reflexive-board' }, log: { info() {}, warn() {} } },
+	};
+	const resolved = await resolveBoardForService(self, {
+		projectId: 'recStudyZ',
+		uid: 'u1',
+		purpose: PURPOSE_SYNTHESIS,
+	});
+	assert.equal(resolved.muralId, null);
+});
@@ -0,0 +1,226 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+	analyseTreeTest,
+	classifyCompletion,
+	timeOnTask,
+	treeTestAnalysisCsv,
+} from '../infra/cloudflare/src/service/tree-tests/analysis.js';
+import { getTreeTestAnalysis } from '../infra/cloudflare/src/service/tree-tests.js';
+
+const config = {
+	tree: [
+		{
+			id: 'travel',
+			label: 'Travel',
+			children: [
+				{ id: 'passports', label: 'Passports', children: [] },
+				{ id: 'visas', label: 'Visas', children: [] },
+			],
+		},
+		{ id: 'money', label: 'Money', children: [{ id: 'fees', label: 'Fees', children: [] }] },
+	],
+	tasks: [{ id: 'task_1', prompt: 'Renew a passport', target_id: 'passports' }],
+};
+
+function completion(fields) {
+	return { task_id: 'task_1', target_id: 'passports', ...fields };
+}
+
+const results = [
+	{
+		participant_id: 'p1',
+		result: {
+			completions: [
+				completion({
+					selected_id: 'passports',
+					correct: true,
+					trail: [
+						{ node_id: 'travel', action: 'open' },
+						{ node_id: 'passports', action: 'choose' },
+					],
+					time_on_task_ms: 4000,
+				}),
+			],
+		},
+	},
+	{
+		participant_id: 'p2',
+		result: {
+			completions: [
+				completion({
+					selected_id: 'passports',
+					correct: true,
+					trail: [
+						{ node_id: 'money', action: 'open' },
+						{ node_id: 'money', action: 'back' },
+						{ node_id: 'travel', action: 'open' },
+						{ node_id: 'passports', action: 'choose' },
+					],
+					time_on_task_ms: 10000,
+				}),
+			],
+		},
+	},
+	{
+		participant_id: 'p3',
+		result: {
+			completions: [
+				completion({
+					selected_id: 'fees',
+					correct: false,
+					path: ['money', 'fees'],
+					elapsed_ms: 6000,
+				}),
+			],
+		},
+	},
+	{
+		participant_id: 'p4',
+		result: {
+			completions: [
+				completion({
+					selected_id: '',
+					skipped: true,
+					trail: [{ node_id: 'money', action: 'open' }],
+					time_on_task_ms: 2000,
+				}),
+			],
+		},
+	},
+];
+
+test('classifyCompletion separates direct, indirect and skipped attempts', () => {
+	assert.equal(classifyCompletion(results[0].result.completions[0]), 'direct_success');
+	assert.equal(classifyCompletion(results[1].result.completions[0]), 'indirect_success');
+	assert.equal(classifyCompletion(results[2].result.completions[0]), 'direct_failure');
+	assert.equal(classifyCompletion(results[3].result.completions[0]), 'skipped');
+});
+
+test('timeOnTask falls back to the gap between cumulative elapsed times', () => {
+	assert.equal(timeOnTask({ time_on_task_ms: 1200 }), 1200);
+	assert.equal(timeOnTask({ elapsed_ms: 9000 }, { elapsed_ms: 4000 }), 5000);
+	assert.equal(timeOnTask({ elapsed_ms: 3000 }), 3000);
+	assert.equal(timeOnTask({}), null);
+});
+
+test('analyseTreeTest reports rates, first clicks and path flow per task', () => {
+	const analysis = analyseTreeTest(config, results);
+	const [task] = analysis.tasks;
+	assert.equal(analysis.participants, 4);
+	assert.equal(task.attempts, 4);
+	assert.equal(task.target_label, 'Passports');
+	assert.deepEqual(task.outcomes, {
+		direct_success: 1,
+		indirect_success: 1,
+		direct_failure: 1,
+		indirect_failure: 0,
+		skipped: 1,
+	});
+	assert.equal(task.rates.success, 0.5);
+	assert.equal(task.rates.skip, 0.25);
+	assert.equal(task.rates.directness, 0.667);
+	assert.equal(task.timeOnTask.medianMs, 5000);
+
+	const money = task.firstClicks.find((entry) => entry.id === 'money');
+	assert.equal(money.count, 3);
+	assert.equal(money.onTargetPath, false);
+	assert.equal(task.firstClicks.find((entry) => entry.id === 'travel').onTargetPath, true);
+	assert.deepEqual(
+		task.destinations.map((entry) => [entry.id, entry.count, entry.correct]),
+		[
+			['passports', 2, true],
+			['fees', 1, false],
+		]
+	);
+	assert.deepEqual(
+		task.flow.map((node) => [node.id, node.visits]),
+		[
+			['travel', 2],
+			['passports', 2],
+			['money', 2],
+			['fees', 1],
+		]
+	);
+});
+
+test('treeTestAnalysisCsv writes one row per task', () => {
+	const csv = treeTestAnalysisCsv(analyseTreeTest(config, results));
+	const lines = csv.trim().split('\n');
+	assert.equal(lines.length, 2);
+	assert.match(lines[0], /^Task,Correct destination,Attempts/);
+	assert.match(
+		lines[1],
+		/^Renew a passport,Passports,4,0\.5,1,1,1,0,1,0\.667,5\.0,Money,No,Passports$/
+	);
+});
+
+test('getTreeTestAnalysis returns JSON or CSV for completed, active results', async () => {
+	const seen = [];
+	const db = {
+		prepare(sql) {
+			return {
+				bind() {
+					return this;
+				},
+				async run() {
+					return { success: true };
+				},
+				async first() {
+					return /rops_tree_test_configs/.test(sql)
+						? {
+								study_id: 'study_1',
+								tree_json: JSON.stringify(config.tree),
+								tasks_json: JSON.stringify(config.tasks),
+							}
+						: null;
+				},
+				async all() {
+					seen.push(sql);
+					return {
+						results: results.map((row, index) => ({
+							id: `r${index}`,
+							study_id: 'study_1',
+							session_id: `s${index}`,
+							participant_id: row.participant_id,
+							status: 'completed',
+							result_json: JSON.stringify(row.result),
+						})),
+					};
+				},
+			};
+		},
+	};
+	const svc = {
+		env: { RESEARCHOPS_D1: db },
+		log: { error() {} },
+		corsHeaders: () => ({}),
+		json: (body, status = 200) => new Response(JSON.stringify(body), { status }),
+	};
+
+	const response = await getTreeTestAnalysis(
+		svc,
+		'',
+		new URL('https://example.test/api/tree-tests/analysis?study=study_1')
+	);
+	const body = await response.json();
+	assert.equal(response.status, 200);
+	assert.equal(body.analysis.tasks[0].attempts, 4);
+	assert.match(seen[0], /status = 'completed' AND active = 1/);
+
+	const csv = await getTreeTestAnalysis(
+		svc,
+		'',
+		new URL('https://example.test/api/tree-tests/analysis?study=study_1&format=csv')
+	);
+	assert.match(csv.headers.get('content-type'), /text\/csv/);
+	assert.match(csv.headers.get('content-disposition'), /tree-test-study_1\.csv/);
+
+	const missing = await getTreeTestAnalysis(
+		svc,
+		'',
+		new URL('https://example.test/api/tree-tests/analysis')
+	);
+	assert.equal(missing.status, 400);
+});
@@ -22,10 +22,15 @@ includes(service, "rops_tree_test_results", "Tree Test service");
 includes(service, "getTreeTestConfig", "Tree Test service");
 includes(service, "saveTreeTestConfig", "Tree Test service");
 includes(service, "createTreeTestResult", "Tree Test service");
+includes(service, "getTreeTestAnalysis", "Tree Test service");
+includes(service, "status = 'completed' AND active = 1", "Tree Test analysis reads completed results only");
+includes(service, "text/csv; charset=utf-8", "Tree Test analysis CSV export");
 includes(serviceIndex, 'import * as TreeTests from "./tree-tests.js"', "service index");
 includes(router, '"/api/tree-tests/config"', "router");
 includes(router, '"/api/tree-tests/results"', "router");
+includes(router, '"/api/tree-tests/analysis"', "router");
 includes(worker, "route_api_tree_tests_config_get", "Worker permission register");
+includes(worker, "route_api_tree_tests_analysis_get", "Worker permission register");
 includes(worker, 'requestForRoutePermission(request, "/api/tree-tests/results/:id")', "Worker route permission");
 includes(migration, "CREATE TABLE IF NOT EXISTS rops_tree_test_configs", "D1 migration");
 includes(migration, "CREATE TABLE IF NOT EXISTS rops_tree_test_results", "D1 migration");
@@ -35,6 +40,10 @@ includes(setupPage, 'id="tree-test-tree"', "Tree Test setup page");
 includes(setupPage, 'id="tree-test-task-list"', "Tree Test setup page");
 includes(setupController, "/api/tree-tests/config", "Tree Test setup controller");
 includes(setupController, "parseTree", "Tree Test setup controller");
+includes(setupPage, 'id="tree-test-analysis"', "Tree Test setup page task results");
+includes(setupPage, 'id="btn-download-tree-test-csv"', "Tree Test setup page CSV download");
+includes(setupController, "/api/tree-tests/analysis", "Tree Test setup controller");
+includes(setupController, "format=csv", "Tree Test setup controller CSV download");
 includes(setupController, "editorState = { loadedTree: [], treeDirty: false }", "Tree Test setup controller preserves loaded tree state");
 includes(setupController, "editorState.treeDirty || !editorState.loadedTree.length ? parseTree", "Tree Test setup controller preserves node ids until the tree is edited");
 
@@ -52,6 +61,10 @@ includes(sessionController, "Select a participant before recording Tree Test res
 includes(sessionController, "const generation = state.saveGeneration", "session controller save generation guard");
 includes(sessionController, "const participantId = state.participantId", "session controller participant snapshot");
 includes(sessionController, "path: selectedPath(node.id)", "session controller selected path persistence");
+includes(sessionPage, 'id="btn-skip-tree-test-task"', "session page skip task control");
+includes(sessionController, 'action: pathIndex === -1 ? "open" : "back"', "session controller navigation trail");
+includes(sessionController, "time_on_task_ms", "session controller time on task");
+includes(sessionController, "skipped: true", "session controller skipped tasks");
 assert.equal(sessionController.includes('result.correct ? "Correct" : "Incorrect"'), false, "session controller must not disclose task correctness to participants");
 assert.equal(sessionController.includes('home.textContent = "Home"'), false, "session controller must not render a Home breadcrumb button");
 
@@ -705,6 +705,8 @@ export const visualWalkthroughConfig = {
 		registeredPage('search', 'Search', 'Utilities', '/pages/search/index.html', 'Search page.'),
 		registeredPage('notes', 'Notes', 'Utilities', '/pages/notes/index.html', 'Notes page.'),
 		registeredPage('consent', 'Consent', 'Utilities', '/pages/consent/index.html', 'Consent page.'),
+		registeredPage('consent-respond', 'Participant consent link', 'Utilities', '/pages/consent/respond/index.html', 'Participant-facing consent page opened from a signed consent link.'),
+		registeredPage('book', 'Participant booking link', 'Utilities', '/pages/book/index.html', 'Participant-facing page for choosing a session time from a booking link.'),
 		registeredPage('sessions', 'Sessions', 'Utilities', '/pages/sessions/index.html', 'Sessions list page.'),
 		{
 			...registeredPage(